@@ -1,16 +1,172 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 const crypto = require('crypto');
-const { app } = require('electron');
+// Electron is not available when the database is opened by the command-line tool (db-tool.js)
+let app = null;
+try {
+    ({ app } = require('electron'));
+} catch (error) {
+    app = null;
+}
 const passwordUtils = require('./password-utils');
+const { SCHEMA_MIGRATIONS, MONEY_COLUMNS, getColumnNames } = require('./migrations/schema-migrations');
+const { egpToCents, centsToEgp } = require('./utils/currency');
+const searchIndexUtils = require('./utils/search-index');
+const backupCrypto = require('./utils/backup-crypto');
+const { normalizeRetention, applyRetentionPolicy } = require('./utils/backup-retention');
+const { diffTableRows, getChangedColumns } = require('./utils/backup-diff');
+const { DATA_TRANSFER_TABLES, buildDataBundle, validateDataBundle } = require('./utils/data-transfer');
+const { RECORD_IMPORT_FIELDS, readImportRow, formatRecordCode, getMaxCodeCounter } = require('./utils/record-import');
+const { MAINTENANCE_TASKS, getFragmentationPercent, evaluateDatabaseHealth } = require('./utils/db-health');
+const { diffStockEffects, findBalanceDiscrepancies, findStockDiscrepancies } = require('./utils/consistency-check');
+const { LOGIN_LOCKOUT, getLoginLockout, formatLockoutWait } = require('./utils/login-lockout');
+
+// Tables whose deleted rows are kept in recycle_bin (see moveToRecycleBin).
+//   children    - child rows archived and restored together with the row
+//   stockSource - stock_movements sourceType; the document's net movement is
+//                 reversed on delete and re-applied on restore
+//   legacyStock - stock effect of documents saved before the stock ledger existed
+//   balance     - amount the document added to a customer/supplier balance
+//   linkedNote  - delivery note status to write on delete / restore
+//   afterChange - bookkeeping to refresh after delete and restore
+//   dependents  - documents moved to the recycle bin (as their own entries) before the row
+const RECYCLE_BIN_TABLES = {
+    sales_invoices: {
+        children: [{ table: 'sales_invoice_items', foreignKey: 'invoiceId' }],
+        stockSource: 'sales_invoice',
+        legacyStock: (manager, row, children) => manager.getItemsStockEffects(children.sales_invoice_items, -1),
+        balance: (row) => ({ table: 'customers', id: row.customerId, amount: parseFloat(row.remaining) || 0 }),
+        afterChange: (manager, row) => manager.refreshCustomerFirstTransactionDate(row.customerId)
+    },
+    purchase_invoices: {
+        children: [{ table: 'purchase_invoice_items', foreignKey: 'invoiceId' }],
+        stockSource: 'purchase_invoice',
+        legacyStock: (manager, row, children) => manager.getItemsStockEffects(children.purchase_invoice_items, 1),
+        balance: (row) => ({ table: 'suppliers', id: row.supplierId, amount: parseFloat(row.remaining) || 0 }),
+        afterChange: (manager, row) => manager.refreshSupplierFirstTransactionDate(row.supplierId)
+    },
+    receipts: {
+        balance: (row) => ({ table: 'customers', id: row.customerId, amount: -(parseFloat(row.amount) || 0) })
+    },
+    payments: {
+        balance: (row) => (row.supplierId
+            ? { table: 'suppliers', id: row.supplierId, amount: -(parseFloat(row.amount) || 0) }
+            : null)
+    },
+    returns: {
+        stockSource: 'return',
+        legacyStock: (manager, row) => {
+            if (String(row.restoredToStock) !== 'true') {
+                return [];
+            }
+            const quantity = parseFloat(row.quantity) || 0;
+            return [{ productId: row.productId, quantity: row.returnType === 'from_customer' ? quantity : -quantity }];
+        },
+        balance: (row) => (String(row.restoreBalance) === 'true' && row.entityId
+            ? {
+                table: row.returnType === 'from_customer' ? 'customers' : 'suppliers',
+                id: row.entityId,
+                amount: -(parseFloat(row.totalAmount) || 0)
+            }
+            : null)
+    },
+    inventory_adjustments: {
+        stockSource: 'inventory_adjustment',
+        legacyStock: (manager, row) => (row.oldStock !== null && row.oldStock !== undefined && row.newStock !== null && row.newStock !== undefined
+            ? [{ productId: row.productId, quantity: (parseFloat(row.newStock) || 0) - (parseFloat(row.oldStock) || 0) }]
+            : [])
+    },
+    delivery_settlements: {
+        children: [{ table: 'settlement_items', foreignKey: 'settlementId' }],
+        stockSource: 'delivery_settlement',
+        // Stock a settlement puts back (postDeliverySettlement): remaining + returned + rejected,
+        // i.e. issued - sold
+        legacyStock: (manager, row, children) => manager.getItemsStockEffects(children.settlement_items.map(item => ({
+            ...item,
+            quantity: (parseFloat(item.issuedQuantity) || 0) - (parseFloat(item.soldQuantity) || 0)
+        })), 1),
+        linkedNote: { onDelete: 'issued', onRestore: 'settled' }
+    },
+    delivery_notes: {
+        children: [{ table: 'delivery_note_items', foreignKey: 'deliveryNoteId' }],
+        dependents: [{ table: 'delivery_settlements', foreignKey: 'deliveryNoteId' }]
+    },
+    operating_expenses: {},
+    fixed_assets: {},
+    customers: {},
+    suppliers: {},
+    categories: {},
+    products: {
+        children: [{ table: 'stock_movements', foreignKey: 'productId' }]
+    }
+};
+
+// Documents whose stock effect the consistency check recomputes from their contents (legacyStock)
+const CONSISTENCY_STOCK_TABLES = ['sales_invoices', 'purchase_invoices', 'returns', 'inventory_adjustments', 'delivery_settlements'];
+
+// Documents listed with each balance that differs (the newest)
+const CONSISTENCY_DOCUMENT_LIMIT = 100;
+
+// Columns that stay as they are in the live database when a record that still exists is
+// reset to its values in a backup: they are totals kept up to date by the documents
+const SELECTIVE_RESTORE_LIVE_COLUMNS = {
+    customers: ['balance', 'firstTransactionDate', 'lastTransactionDate'],
+    suppliers: ['balance', 'firstTransactionDate', 'lastTransactionDate'],
+    products: ['stock']
+};
+
+// Records of an imported bundle matched by this column when their id is not here: the
+// imported documents are linked to the existing record (e.g. the cash customer every
+// installation has, or the same product in two branches)
+const DATA_IMPORT_MATCH_COLUMNS = { customers: 'code', suppliers: 'code', products: 'code', categories: 'name' };
+
+// Largest page returned by search() (list screens show 20-100 rows)
+const MAX_SEARCH_PAGE_SIZE = 500;
+
+// Row ids listed per table in one data-changed event; more than this and pages reload the table
+const MAX_ANNOUNCED_IDS = 200;
+
+// Totals compared between a new backup and the live database (raw stored values: cents, units)
+const BACKUP_VERIFICATION_TOTALS = [
+    { key: 'sales', table: 'sales_invoices', column: 'total' },
+    { key: 'purchases', table: 'purchase_invoices', column: 'total' },
+    { key: 'stock', table: 'products', column: 'stock' },
+    { key: 'customerBalances', table: 'customers', column: 'balance' },
+    { key: 'supplierBalances', table: 'suppliers', column: 'balance' }
+];
+// Tables left out of the row count comparison (full-text index tables are rebuilt from the data)
+const BACKUP_VERIFICATION_EXCLUDED_TABLE = /^(sqlite_|search_)/;
+
+// Size of a file in bytes, 0 when it does not exist (the WAL file comes and goes)
+function getFileSize(filePath) {
+    try {
+        return fs.statSync(filePath).size;
+    } catch (error) {
+        return 0;
+    }
+}
+
+// Problems reported by PRAGMA integrity_check (empty when the database is sound)
+function getIntegrityErrors(db) {
+    return db.pragma('integrity_check')
+        .map(row => row.integrity_check)
+        .filter(message => message !== 'ok');
+}
 
 class DatabaseManager {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.userDataPath] - Folder holding asel-database.db (default: Electron userData folder)
+     * @param {boolean} [options.initialize=true] - false only sets the paths and opens nothing, so
+     *   db-tool.js can check, repair or restore a database the application cannot open (see openConnection)
+     */
+    constructor(options = {}) {
         try {
             // CRITICAL: Get userData path BEFORE any path modifications
             // Store it immediately to prevent cache path changes from affecting it
-            const userDataPath = app.getPath('userData');
+            const userDataPath = options.userDataPath || app.getPath('userData');
             const dbPath = path.join(userDataPath, 'asel-database.db');
             
             // Database path is stored for use in backup functions
@@ -19,6 +175,15 @@ class DatabaseManager {
             // This ensures the path never changes even if app.getPath('userData') changes
             this.dbPath = path.resolve(dbPath);
             this.userDataPath = path.resolve(userDataPath);
+            // Writes not yet announced to the windows (see takeDataChanges)
+            this.pendingDataChanges = new Map();
+            // Login attempt still being checked for each username (see verifyLogin)
+            this.pendingLogins = new Map();
+            
+            if (options.initialize === false) {
+                this.db = null;
+                return;
+            }
             
             // Ensure directory exists with error handling
             if (!fs.existsSync(userDataPath)) {
@@ -112,7 +277,7 @@ class DatabaseManager {
             console.error('Error initializing database:', typeof errorDetails === 'string' ? errorDetails : JSON.stringify(errorDetails, null, 2));
             // Try to get userData path with error handling
             try {
-                const userDataPath = app.getPath('userData');
+                const userDataPath = options.userDataPath || app.getPath('userData');
                 console.error('UserData path:', userDataPath);
             } catch (pathError) {
                 console.error('Error getting userData path:', pathError);
@@ -122,41 +287,33 @@ class DatabaseManager {
     }
 
     async ensureInitialized() {
-        // Synchronous database is already initialized in constructor
-        // But ensure migrations are run
-        try {
-            this.runStatusMigrations();
-        } catch (error) {
-            console.error('Error running status migrations:', error);
-        }
+        // Synchronous database is already initialized (and migrated) in constructor
         return Promise.resolve();
     }
-    
-    // Add notes column to suppliers table if it doesn't exist
-    runStatusMigrations() {
-        try {
-            const suppliersTableCheck = this.db.prepare(`SELECT name FROM sqlite_master WHERE type='table' AND name='suppliers'`).get();
-            if (suppliersTableCheck) {
-                // Check if notes column exists
-                const columns = this.db.prepare(`PRAGMA table_info(suppliers)`).all();
-                const hasNotesColumn = columns.some(col => col.name === 'notes');
-                if (!hasNotesColumn) {
-                    console.log('[Migration] Adding notes column to suppliers table...');
-                    this.db.exec(`ALTER TABLE suppliers ADD COLUMN notes TEXT`);
-                    console.log('[Migration] Successfully added notes column to suppliers table');
-                }
-            }
-        } catch (error) {
-            if (error.message && (error.message.includes('duplicate column') || error.message.includes('already exists'))) {
-                // Column already exists, ignore
-            } else {
-                console.error('[Migration] Error adding notes column to suppliers table:', error.message);
-            }
+
+    /**
+     * Open the database file without creating tables or running migrations
+     * (for a manager constructed with initialize: false).
+     * @param {{readonly?: boolean}} [options] - readonly connections never change the file
+     * @returns {import('better-sqlite3').Database}
+     */
+    openConnection({ readonly = false } = {}) {
+        if (this.db && this.db.open) {
+            return this.db;
+        }
+        this.db = new Database(this.dbPath, { readonly, fileMustExist: true, timeout: 10000 });
+        if (!readonly) {
+            this.db.pragma('journal_mode = WAL');
+            this.db.pragma('foreign_keys = ON');
         }
+        return this.db;
     }
 
     initializeDatabase() {
         try {
+            // A database without the products table was just created; it has nothing to back up
+            const isNewDatabase = !this.db.prepare(`SELECT name FROM sqlite_master WHERE type='table' AND name='products'`).get();
+
             // Products Table
             this.db.exec(`
             CREATE TABLE IF NOT EXISTS products (
@@ -199,8 +356,8 @@ class DatabaseManager {
                 phone TEXT,
                 address TEXT,
                 firstTransactionDate TEXT,
-                openingBalance REAL DEFAULT 0,
-                balance REAL NOT NULL DEFAULT 0,
+                openingBalance INTEGER DEFAULT 0,
+                balance INTEGER NOT NULL DEFAULT 0,
                 status TEXT NOT NULL DEFAULT 'active',
                 lastTransactionDate TEXT,
                 notes TEXT,
@@ -219,8 +376,8 @@ class DatabaseManager {
                 phone TEXT,
                 address TEXT,
                 firstTransactionDate TEXT,
-                openingBalance REAL NOT NULL DEFAULT 0,
-                balance REAL NOT NULL DEFAULT 0,
+                openingBalance INTEGER NOT NULL DEFAULT 0,
+                balance INTEGER NOT NULL DEFAULT 0,
                 status TEXT NOT NULL DEFAULT 'active',
                 lastTransactionDate TEXT,
                 notes TEXT,
@@ -239,14 +396,14 @@ class DatabaseManager {
                 date TEXT NOT NULL,
                 dueDate TEXT,
                 invoiceType TEXT NOT NULL DEFAULT 'normal',
-                subtotal REAL NOT NULL DEFAULT 0,
+                subtotal INTEGER NOT NULL DEFAULT 0,
                 taxRate REAL NOT NULL DEFAULT 0,
-                taxAmount REAL NOT NULL DEFAULT 0,
-                shipping REAL NOT NULL DEFAULT 0,
-                discount REAL NOT NULL DEFAULT 0,
-                total REAL NOT NULL DEFAULT 0,
-                paid REAL NOT NULL DEFAULT 0,
-                remaining REAL NOT NULL DEFAULT 0,
+                taxAmount INTEGER NOT NULL DEFAULT 0,
+                shipping INTEGER NOT NULL DEFAULT 0,
+                discount INTEGER NOT NULL DEFAULT 0,
+                total INTEGER NOT NULL DEFAULT 0,
+                paid INTEGER NOT NULL DEFAULT 0,
+                remaining INTEGER NOT NULL DEFAULT 0,
                 paymentMethod TEXT,
                 notes TEXT,
                 createdBy TEXT,
@@ -265,8 +422,8 @@ class DatabaseManager {
                 productName TEXT NOT NULL,
                 unit TEXT NOT NULL,
                 quantity REAL NOT NULL,
-                price REAL NOT NULL,
-                total REAL NOT NULL,
+                price INTEGER NOT NULL,
+                total INTEGER NOT NULL,
                 FOREIGN KEY (invoiceId) REFERENCES sales_invoices(id) ON DELETE CASCADE,
                 FOREIGN KEY (productId) REFERENCES products(id)
             )
@@ -357,14 +514,14 @@ class DatabaseManager {
                 date TEXT NOT NULL,
                 dueDate TEXT,
                 invoiceType TEXT NOT NULL DEFAULT 'normal',
-                subtotal REAL NOT NULL DEFAULT 0,
+                subtotal INTEGER NOT NULL DEFAULT 0,
                 taxRate REAL NOT NULL DEFAULT 0,
-                taxAmount REAL NOT NULL DEFAULT 0,
-                shipping REAL NOT NULL DEFAULT 0,
-                discount REAL NOT NULL DEFAULT 0,
-                total REAL NOT NULL DEFAULT 0,
-                paid REAL NOT NULL DEFAULT 0,
-                remaining REAL NOT NULL DEFAULT 0,
+                taxAmount INTEGER NOT NULL DEFAULT 0,
+                shipping INTEGER NOT NULL DEFAULT 0,
+                discount INTEGER NOT NULL DEFAULT 0,
+                total INTEGER NOT NULL DEFAULT 0,
+                paid INTEGER NOT NULL DEFAULT 0,
+                remaining INTEGER NOT NULL DEFAULT 0,
                 paymentMethod TEXT,
                 notes TEXT,
                 createdBy TEXT,
@@ -384,20 +541,13 @@ class DatabaseManager {
                 category TEXT,
                 unit TEXT NOT NULL,
                 quantity REAL NOT NULL,
-                price REAL NOT NULL,
-                total REAL NOT NULL,
+                price INTEGER NOT NULL,
+                total INTEGER NOT NULL,
                 FOREIGN KEY (invoiceId) REFERENCES purchase_invoices(id) ON DELETE CASCADE,
                 FOREIGN KEY (productId) REFERENCES products(id)
             )
         `);
         
-        // Add category column if it doesn't exist (for existing databases)
-        try {
-            this.db.exec(`ALTER TABLE purchase_invoice_items ADD COLUMN category TEXT`);
-        } catch (e) {
-            // Column already exists, ignore
-        }
-
         // Receipts Table
         this.db.exec(`
             CREATE TABLE IF NOT EXISTS receipts (
@@ -405,7 +555,7 @@ class DatabaseManager {
                 receiptNumber TEXT UNIQUE NOT NULL,
                 customerId TEXT NOT NULL,
                 date TEXT NOT NULL,
-                amount REAL NOT NULL,
+                amount INTEGER NOT NULL,
                 paymentMethod TEXT NOT NULL,
                 notes TEXT,
                 createdBy TEXT,
@@ -423,7 +573,7 @@ class DatabaseManager {
                 supplierId TEXT,
                 toName TEXT,
                 date TEXT NOT NULL,
-                amount REAL NOT NULL,
+                amount INTEGER NOT NULL,
                 paymentMethod TEXT NOT NULL,
                 notes TEXT,
                 createdBy TEXT,
@@ -465,8 +615,8 @@ class DatabaseManager {
                 invoiceType TEXT,
                 invoiceNumber TEXT,
                 quantity REAL NOT NULL,
-                unitPrice REAL NOT NULL,
-                totalAmount REAL NOT NULL,
+                unitPrice INTEGER NOT NULL,
+                totalAmount INTEGER NOT NULL,
                 returnReason TEXT NOT NULL,
                 isDamaged TEXT NOT NULL DEFAULT 'false',
                 restoredToStock TEXT NOT NULL DEFAULT 'false',
@@ -483,6 +633,25 @@ class DatabaseManager {
             )
         `);
 
+        // Stock Movements Table (ledger of every stock change; products.stock = SUM(quantity))
+        // quantity is signed and always in the product's smallest unit
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS stock_movements (
+                id TEXT PRIMARY KEY,
+                productId TEXT NOT NULL,
+                quantity REAL NOT NULL,
+                sourceType TEXT NOT NULL,
+                sourceId TEXT,
+                sourceNumber TEXT,
+                price INTEGER,
+                notes TEXT,
+                date TEXT NOT NULL,
+                userId TEXT,
+                createdAt TEXT NOT NULL,
+                FOREIGN KEY (productId) REFERENCES products(id) ON DELETE CASCADE
+            )
+        `);
+
         // Users Table
         this.db.exec(`
             CREATE TABLE IF NOT EXISTS users (
@@ -499,458 +668,6 @@ class DatabaseManager {
             )
         `);
         
-        // Migrations: Add missing columns to existing tables
-        // SQLite doesn't support NOT NULL DEFAULT in ALTER TABLE, so we add nullable columns first
-        
-        // Users table migrations
-        const usersMigrations = [
-            { column: 'email', sql: `ALTER TABLE users ADD COLUMN email TEXT;` },
-            { column: 'type', sql: `ALTER TABLE users ADD COLUMN type TEXT;` },
-            { column: 'status', sql: `ALTER TABLE users ADD COLUMN status TEXT;` },
-            { column: 'permissions', sql: `ALTER TABLE users ADD COLUMN permissions TEXT;` },
-            { column: 'updatedAt', sql: `ALTER TABLE users ADD COLUMN updatedAt TEXT;` },
-            { column: 'lastLogin', sql: `ALTER TABLE users ADD COLUMN lastLogin TEXT;` }
-        ];
-
-        // Returns table migrations
-        const returnsMigrations = [
-            { column: 'operationType', sql: `ALTER TABLE returns ADD COLUMN operationType TEXT;` },
-            { column: 'returnType', sql: `ALTER TABLE returns ADD COLUMN returnType TEXT;` },
-            { column: 'entityId', sql: `ALTER TABLE returns ADD COLUMN entityId TEXT;` },
-            { column: 'entityType', sql: `ALTER TABLE returns ADD COLUMN entityType TEXT;` },
-            { column: 'unitPrice', sql: `ALTER TABLE returns ADD COLUMN unitPrice REAL;` },
-            { column: 'totalAmount', sql: `ALTER TABLE returns ADD COLUMN totalAmount REAL;` },
-            { column: 'returnReason', sql: `ALTER TABLE returns ADD COLUMN returnReason TEXT;` },
-            { column: 'isDamaged', sql: `ALTER TABLE returns ADD COLUMN isDamaged TEXT DEFAULT 'false';` },
-            { column: 'restoredToStock', sql: `ALTER TABLE returns ADD COLUMN restoredToStock TEXT DEFAULT 'false';` },
-            { column: 'updatedAt', sql: `ALTER TABLE returns ADD COLUMN updatedAt TEXT;` },
-            { column: 'invoiceId', sql: `ALTER TABLE returns ADD COLUMN invoiceId TEXT;` },
-            { column: 'invoiceType', sql: `ALTER TABLE returns ADD COLUMN invoiceType TEXT;` },
-            { column: 'invoiceNumber', sql: `ALTER TABLE returns ADD COLUMN invoiceNumber TEXT;` },
-            { column: 'userId', sql: `ALTER TABLE returns ADD COLUMN userId TEXT;` },
-            { column: 'restoreBalance', sql: `ALTER TABLE returns ADD COLUMN restoreBalance TEXT DEFAULT 'false';` }
-        ];
-
-        // Inventory adjustments table migrations
-        const inventoryAdjustmentsMigrations = [
-            { column: 'userId', sql: `ALTER TABLE inventory_adjustments ADD COLUMN userId TEXT;` },
-            { column: 'oldStock', sql: `ALTER TABLE inventory_adjustments ADD COLUMN oldStock REAL;` },
-            { column: 'newStock', sql: `ALTER TABLE inventory_adjustments ADD COLUMN newStock REAL;` }
-        ];
-        
-        usersMigrations.forEach(migration => {
-            try {
-                // Check if column exists by querying table info
-                const tableInfo = this.db.prepare(`PRAGMA table_info(users)`).all();
-                const columnExists = tableInfo.some(col => col.name === migration.column);
-                
-                if (!columnExists) {
-                    // console.log(`Adding missing column to users: ${migration.column}`);
-                    this.db.exec(migration.sql);
-                    
-                    // Set default values for existing rows
-                    if (migration.column === 'type') {
-                        this.db.exec(`UPDATE users SET type = 'sales' WHERE type IS NULL;`);
-                    } else if (migration.column === 'status') {
-                        this.db.exec(`UPDATE users SET status = 'active' WHERE status IS NULL;`);
-                    } else if (migration.column === 'permissions') {
-                        this.db.exec(`UPDATE users SET permissions = '[]' WHERE permissions IS NULL;`);
-                    } else if (migration.column === 'updatedAt') {
-                        this.db.exec(`UPDATE users SET updatedAt = datetime('now') WHERE updatedAt IS NULL OR updatedAt = '';`);
-                    }
-                }
-            } catch (e) {
-                // Column might already exist or other error
-                if (e.message && (e.message.includes('duplicate column') || e.message.includes('already exists'))) {
-                    // Column already exists, ignore
-                } else {
-                    console.warn(`Could not add ${migration.column} column to users table:`, e.message);
-                }
-            }
-        });
-
-        // Returns table migrations
-        try {
-            const returnsTableInfo = this.db.prepare(`PRAGMA table_info(returns)`).all();
-            if (returnsTableInfo.length > 0) {
-                // Check if old foreign key constraints exist (by checking foreign_keys)
-                const foreignKeys = this.db.prepare(`PRAGMA foreign_key_list(returns)`).all();
-                const hasEntityIdFK = foreignKeys.some(fk => fk.from === 'entityId');
-                
-                // If old foreign key constraints exist on entityId, recreate table without them
-                if (hasEntityIdFK) {
-                    console.log('Recreating returns table to remove entityId foreign key constraints...');
-                    try {
-                        // Create temporary table with correct structure (no entityId FK)
-                        this.db.exec(`
-                            CREATE TABLE IF NOT EXISTS returns_new (
-                                id TEXT PRIMARY KEY,
-                                returnNumber TEXT UNIQUE NOT NULL,
-                                productId TEXT NOT NULL,
-                                date TEXT NOT NULL,
-                                operationType TEXT NOT NULL,
-                                returnType TEXT NOT NULL,
-                                entityId TEXT,
-                                entityType TEXT,
-                                invoiceId TEXT,
-                                invoiceType TEXT,
-                                invoiceNumber TEXT,
-                                quantity REAL NOT NULL,
-                                unitPrice REAL NOT NULL,
-                                totalAmount REAL NOT NULL,
-                                returnReason TEXT NOT NULL,
-                                isDamaged TEXT NOT NULL DEFAULT 'false',
-                                restoredToStock TEXT NOT NULL DEFAULT 'false',
-                                notes TEXT,
-                                createdAt TEXT NOT NULL,
-                                updatedAt TEXT NOT NULL,
-                                userId TEXT,
-                                FOREIGN KEY (productId) REFERENCES products(id),
-                                FOREIGN KEY (invoiceId) REFERENCES sales_invoices(id),
-                                FOREIGN KEY (invoiceId) REFERENCES purchase_invoices(id)
-                            )
-                        `);
-                        
-                        // Copy data from old table to new table
-                        this.db.exec(`INSERT INTO returns_new SELECT * FROM returns;`);
-                        
-                        // Drop old table
-                        this.db.exec(`DROP TABLE returns;`);
-                        
-                        // Rename new table
-                        this.db.exec(`ALTER TABLE returns_new RENAME TO returns;`);
-                        
-                        console.log('[INFO] Returns table recreated successfully without entityId foreign keys');
-                    } catch (error) {
-                        console.error('Error recreating returns table:', error);
-                        // If recreation fails, try to continue with column migrations
-                    }
-                }
-                
-                // Add missing columns
-                returnsMigrations.forEach(migration => {
-                    try {
-                        const columnExists = returnsTableInfo.some(col => col.name === migration.column);
-                        if (!columnExists) {
-                            // console.log(`Adding missing column to returns: ${migration.column}`);
-                            this.db.exec(migration.sql);
-                        }
-                    } catch (error) {
-                        console.error(`Error adding column ${migration.column} to returns:`, error);
-                    }
-                });
-            }
-        } catch (error) {
-            console.error('Error checking returns table:', error);
-        }
-
-        // Inventory adjustments table migrations
-        try {
-            const inventoryAdjustmentsTableInfo = this.db.prepare(`PRAGMA table_info(inventory_adjustments)`).all();
-            if (inventoryAdjustmentsTableInfo.length > 0) {
-                inventoryAdjustmentsMigrations.forEach(migration => {
-                    try {
-                        const columnExists = inventoryAdjustmentsTableInfo.some(col => col.name === migration.column);
-                        if (!columnExists) {
-                            // console.log(`Adding missing column to inventory_adjustments: ${migration.column}`);
-                            this.db.exec(migration.sql);
-                        }
-                    } catch (error) {
-                        console.error(`Error adding column ${migration.column} to inventory_adjustments:`, error);
-                    }
-                });
-            }
-        } catch (error) {
-            console.error('Error checking inventory_adjustments table:', error);
-        }
-        
-        // Add createdBy column to all tables (migration for existing databases)
-        const tablesWithCreatedBy = [
-            'products', 'categories', 'customers', 'suppliers', 'sales_invoices',
-            'delivery_notes', 'delivery_settlements', 'purchase_invoices',
-            'receipts', 'payments', 'inventory_adjustments', 'returns',
-            'fixed_assets', 'operating_expenses'
-        ];
-        
-        // Migrate createdBy column to existing tables
-        tablesWithCreatedBy.forEach(tableName => {
-            try {
-                // Check if table exists first
-                const tableCheck = this.db.prepare(`SELECT name FROM sqlite_master WHERE type='table' AND name=?`).get(tableName);
-                if (!tableCheck) {
-                    return; // Skip migration, table will be created with column in CREATE TABLE
-                }
-                
-                // Check if column exists
-                const tableInfo = this.db.prepare(`PRAGMA table_info(${tableName})`).all();
-                const columnExists = tableInfo.some(col => col.name === 'createdBy');
-                
-                if (!columnExists) {
-                    this.db.exec(`ALTER TABLE ${tableName} ADD COLUMN createdBy TEXT;`);
-                }
-            } catch (error) {
-                // Only log actual errors (not "already exists" errors)
-                if (!error.message || (!error.message.includes('duplicate column') && !error.message.includes('already exists'))) {
-                    console.warn(`[Migration] ⚠️ Could not add createdBy column to ${tableName}:`, error.message);
-                }
-            }
-        });
-        
-        // Clean up temporary tables if they exist (from incomplete migrations)
-        try {
-            const tablesCheck = this.db.prepare(`SELECT name FROM sqlite_master WHERE type='table' AND name IN ('customers_new', 'suppliers_new')`).all();
-            for (const table of tablesCheck || []) {
-                if (table.name === 'customers_new') {
-                    this.db.exec(`DROP TABLE IF EXISTS customers_new`);
-                } else if (table.name === 'suppliers_new') {
-                    this.db.exec(`DROP TABLE IF EXISTS suppliers_new`);
-                }
-            }
-        } catch (error) {
-            // Silently ignore cleanup errors
-        }
-        
-        // Customers table migrations
-        const customersMigrations = [
-            { column: 'notes', sql: `ALTER TABLE customers ADD COLUMN notes TEXT;` },
-            { column: 'openingBalance', sql: `ALTER TABLE customers ADD COLUMN openingBalance INTEGER DEFAULT 0;` }
-        ];
-        
-        customersMigrations.forEach(migration => {
-            try {
-                // Check if column exists by querying table info
-                let columnExists = false;
-                try {
-                    const tableInfo = this.db.prepare(`PRAGMA table_info(customers)`).all();
-                    columnExists = tableInfo.some(col => col.name === migration.column);
-                } catch (pragmaError) {
-                    console.warn(`[Migration] Could not check table info for customers:`, pragmaError.message);
-                    // Try to add column anyway - if it exists, we'll catch the error
-                }
-                
-                if (!columnExists) {
-                    console.log(`[Migration] Adding missing column to customers: ${migration.column}`);
-                    try {
-                        this.db.exec(migration.sql);
-                        console.log(`[Migration] ✅ Successfully added ${migration.column} column to customers table`);
-                        
-                        // If openingBalance was added, update existing customers to have 0 as default
-                        if (migration.column === 'openingBalance') {
-                            try {
-                                const updateResult = this.db.prepare(`UPDATE customers SET openingBalance = 0 WHERE openingBalance IS NULL;`).run();
-                                console.log(`[Migration] Updated ${updateResult.changes || 0} existing customers with default openingBalance = 0`);
-                            } catch (updateError) {
-                                console.warn(`[Migration] Could not update existing customers with openingBalance:`, updateError.message);
-                            }
-                        }
-                    } catch (execError) {
-                        // Column might already exist or other error
-                        if (execError.message && (execError.message.includes('duplicate column') || execError.message.includes('already exists'))) {
-                            // Column already exists, ignore - no need to log
-                            // console.debug(`[Migration] Column ${migration.column} already exists (duplicate error)`);
-                        } else {
-                            throw execError; // Re-throw to be caught by outer catch
-                        }
-                    }
-                } else {
-                    // Column already exists, no need to log
-                    // console.debug(`[Migration] Column ${migration.column} already exists in customers table`);
-                }
-            } catch (e) {
-                // Column might already exist or other error
-                if (e.message && (e.message.includes('duplicate column') || e.message.includes('already exists'))) {
-                    // Column already exists, ignore - no need to log
-                    // console.debug(`[Migration] Column ${migration.column} already exists (duplicate error)`);
-                } else {
-                    console.error(`[Migration] ❌ Could not add ${migration.column} column to customers table:`, e.message);
-                    console.error(`[Migration] Error details:`, e);
-                    // Don't throw - continue with other migrations
-                }
-            }
-        });
-        
-        // Purchase invoices table migrations
-        try {
-            // Check if purchase_invoices table exists
-            const purchaseInvoicesTableCheck = this.db.prepare(`SELECT name FROM sqlite_master WHERE type='table' AND name='purchase_invoices'`).get();
-            if (purchaseInvoicesTableCheck) {
-                const purchaseInvoicesMigrations = [
-                    { column: 'dueDate', sql: `ALTER TABLE purchase_invoices ADD COLUMN dueDate TEXT;` },
-                    { column: 'invoiceType', sql: `ALTER TABLE purchase_invoices ADD COLUMN invoiceType TEXT DEFAULT 'normal';` }
-                ];
-                
-                purchaseInvoicesMigrations.forEach(migration => {
-                    try {
-                        // Check if column exists by querying table info
-                        const tableInfo = this.db.prepare(`PRAGMA table_info(purchase_invoices)`).all();
-                        const columnExists = tableInfo.some(col => col.name === migration.column);
-                        
-                        if (!columnExists) {
-                            console.log(`Adding ${migration.column} column to purchase_invoices table...`);
-                            this.db.exec(migration.sql);
-                            // Set default value for existing rows
-                            if (migration.column === 'invoiceType') {
-                                this.db.exec(`UPDATE purchase_invoices SET invoiceType = 'normal' WHERE invoiceType IS NULL;`);
-                            }
-                            console.log(`Successfully added ${migration.column} column to purchase_invoices table`);
-                        }
-                    } catch (e) {
-                        // Column might already exist or other error
-                        if (e.message && (e.message.includes('duplicate column') || e.message.includes('already exists'))) {
-                            // Column already exists, ignore
-                        } else {
-                            console.error(`Could not add ${migration.column} column to purchase_invoices table:`, e.message);
-                        }
-                    }
-                });
-                
-                // Add oldBalance, oldBalancePlusTotal, and newBalance columns
-                try {
-                    const purchaseInvoicesTableInfo = this.db.prepare(`PRAGMA table_info(purchase_invoices)`).all();
-                    const columnNames = purchaseInvoicesTableInfo.map(col => col.name);
-                    
-                    // Add oldBalance column
-                    if (!columnNames.includes('oldBalance')) {
-                        // console.log('Adding oldBalance column to purchase_invoices');
-                        this.db.exec(`ALTER TABLE purchase_invoices ADD COLUMN oldBalance REAL;`);
-                    }
-                    
-                    // Add oldBalancePlusTotal column (القديم + الإجمالي)
-                    if (!columnNames.includes('oldBalancePlusTotal')) {
-                        // console.log('Adding oldBalancePlusTotal column to purchase_invoices');
-                        this.db.exec(`ALTER TABLE purchase_invoices ADD COLUMN oldBalancePlusTotal REAL;`);
-                    }
-                    
-                    // Add newBalance column (الرصيد الجديد)
-                    if (!columnNames.includes('newBalance')) {
-                        // console.log('Adding newBalance column to purchase_invoices');
-                        this.db.exec(`ALTER TABLE purchase_invoices ADD COLUMN newBalance REAL;`);
-                    }
-                    
-                    // Add remainingWithOldBalance column (المتبقي من الفاتورة والرصيد القديم)
-                    // هذه القيمة = oldBalance + remaining = newBalance (لكن نحفظها كعمود منفصل للوضوح)
-                    if (!columnNames.includes('remainingWithOldBalance')) {
-                        // console.log('Adding remainingWithOldBalance column to purchase_invoices');
-                        this.db.exec(`ALTER TABLE purchase_invoices ADD COLUMN remainingWithOldBalance REAL;`);
-                    }
-                } catch (e) {
-                    if (e.message && !e.message.includes('duplicate column') && !e.message.includes('already exists')) {
-                        console.warn('Could not add oldBalance/oldBalancePlusTotal/newBalance/remainingWithOldBalance columns to purchase_invoices:', e.message);
-                    }
-                }
-            }
-        } catch (error) {
-            console.error('Error checking purchase_invoices table for migrations:', error);
-        }
-
-        // Sales invoices table migrations - Add deliveryNoteId and deliveryNoteNumber
-        try {
-            const salesInvoicesTableInfo = this.db.prepare(`PRAGMA table_info(sales_invoices)`).all();
-            const columnNames = salesInvoicesTableInfo.map(col => col.name);
-            
-            if (!columnNames.includes('deliveryNoteId')) {
-                // console.log('Adding deliveryNoteId column to sales_invoices');
-                this.db.exec(`ALTER TABLE sales_invoices ADD COLUMN deliveryNoteId TEXT;`);
-            }
-            
-            if (!columnNames.includes('deliveryNoteNumber')) {
-                // console.log('Adding deliveryNoteNumber column to sales_invoices');
-                this.db.exec(`ALTER TABLE sales_invoices ADD COLUMN deliveryNoteNumber TEXT;`);
-            }
-            
-            // Add oldBalance column to store the customer's old balance at the time of invoice creation (for delivered invoices)
-            if (!columnNames.includes('oldBalance')) {
-                // console.log('Adding oldBalance column to sales_invoices');
-                this.db.exec(`ALTER TABLE sales_invoices ADD COLUMN oldBalance REAL;`);
-            }
-            
-            // Add oldBalancePlusTotal column (القديم + الإجمالي)
-            if (!columnNames.includes('oldBalancePlusTotal')) {
-                // console.log('Adding oldBalancePlusTotal column to sales_invoices');
-                this.db.exec(`ALTER TABLE sales_invoices ADD COLUMN oldBalancePlusTotal REAL;`);
-            }
-            
-            // Add newBalance column (الرصيد الجديد)
-            if (!columnNames.includes('newBalance')) {
-                // console.log('Adding newBalance column to sales_invoices');
-                this.db.exec(`ALTER TABLE sales_invoices ADD COLUMN newBalance REAL;`);
-            }
-            
-            // Add remainingWithOldBalance column (المتبقي من الفاتورة والرصيد القديم)
-            // هذه القيمة = oldBalance + remaining = newBalance (لكن نحفظها كعمود منفصل للوضوح)
-            if (!columnNames.includes('remainingWithOldBalance')) {
-                // console.log('Adding remainingWithOldBalance column to sales_invoices');
-                this.db.exec(`ALTER TABLE sales_invoices ADD COLUMN remainingWithOldBalance REAL;`);
-            }
-            
-            // Add invoiceType column
-            if (!columnNames.includes('invoiceType')) {
-                console.log('Adding invoiceType column to sales_invoices');
-                this.db.exec(`ALTER TABLE sales_invoices ADD COLUMN invoiceType TEXT DEFAULT 'normal';`);
-                this.db.exec(`UPDATE sales_invoices SET invoiceType = 'normal' WHERE invoiceType IS NULL;`);
-            }
-        } catch (e) {
-            if (e.message && !e.message.includes('duplicate column') && !e.message.includes('already exists')) {
-                console.warn('Could not add deliveryNoteId/deliveryNoteNumber/oldBalance/oldBalancePlusTotal/newBalance/remainingWithOldBalance/invoiceType columns to sales_invoices:', e.message);
-            }
-        }
-
-        // Delivery note items table migrations - Add productCategory
-        try {
-            const deliveryNoteItemsTableInfo = this.db.prepare(`PRAGMA table_info(delivery_note_items)`).all();
-            const deliveryNoteItemsColumnNames = deliveryNoteItemsTableInfo.map(col => col.name);
-            
-            if (!deliveryNoteItemsColumnNames.includes('productCategory')) {
-                // console.log('Adding productCategory column to delivery_note_items');
-                this.db.exec(`ALTER TABLE delivery_note_items ADD COLUMN productCategory TEXT DEFAULT '';`);
-            }
-        } catch (e) {
-            if (e.message && !e.message.includes('duplicate column') && !e.message.includes('already exists')) {
-                console.warn('Could not add productCategory column to delivery_note_items table:', e.message);
-            }
-        }
-
-        // Delivery notes table migrations - Add warehouseKeeperName
-        try {
-            const deliveryNotesTableInfo = this.db.prepare(`PRAGMA table_info(delivery_notes)`).all();
-            const columnNames = deliveryNotesTableInfo.map(col => col.name);
-            
-            if (!columnNames.includes('warehouseKeeperName')) {
-                // console.log('Adding warehouseKeeperName column to delivery_notes');
-                this.db.exec(`ALTER TABLE delivery_notes ADD COLUMN warehouseKeeperName TEXT;`);
-                // Migrate existing data: if salesRepName exists, copy it to warehouseKeeperName
-                this.db.exec(`UPDATE delivery_notes SET warehouseKeeperName = salesRepName WHERE warehouseKeeperName IS NULL AND salesRepName IS NOT NULL;`);
-            }
-        } catch (e) {
-            if (e.message && !e.message.includes('duplicate column') && !e.message.includes('already exists')) {
-                console.warn('Could not add warehouseKeeperName column to delivery_notes:', e.message);
-            }
-        }
-
-        // Handle fullName column - either make it nullable or remove it
-        try {
-            const tableInfo = this.db.prepare(`PRAGMA table_info(users)`).all();
-            const fullNameColumn = tableInfo.find(col => col.name === 'fullName');
-            
-            if (fullNameColumn) {
-                // fullName exists - update existing rows to have fullName = username if fullName is NULL
-                const usersWithNullFullName = this.db.prepare(`SELECT id, username FROM users WHERE fullName IS NULL OR fullName = ''`).all();
-                if (usersWithNullFullName.length > 0) {
-                    console.log(`Updating ${usersWithNullFullName.length} users with NULL fullName`);
-                    const updateStmt = this.db.prepare(`UPDATE users SET fullName = ? WHERE id = ?`);
-                    usersWithNullFullName.forEach(user => {
-                        updateStmt.run(user.username || 'User', user.id);
-                    });
-                }
-                
-                // Note: SQLite doesn't support ALTER COLUMN, so we can't change NOT NULL constraint
-                // We'll just ensure all rows have a fullName value
-            }
-        } catch (e) {
-            console.warn('Could not handle fullName column:', e.message);
-        }
-
-
         // Backup History Table
         this.db.exec(`
             CREATE TABLE IF NOT EXISTS backup_history (
@@ -960,27 +677,13 @@ class DatabaseManager {
                 fileSize INTEGER NOT NULL,
                 checksum TEXT,
                 encrypted INTEGER DEFAULT 0,
+                verificationStatus TEXT,
+                verifiedAt TEXT,
+                verificationDetails TEXT,
                 createdAt TEXT NOT NULL
             )
         `);
         
-        // Add checksum and encrypted columns to backup_history if they don't exist (migration)
-        try {
-            const backupHistoryTableInfo = this.db.prepare(`PRAGMA table_info(backup_history)`).all();
-            const backupHistoryColumnNames = backupHistoryTableInfo.map(col => col.name);
-            
-            if (!backupHistoryColumnNames.includes('checksum')) {
-                this.db.exec(`ALTER TABLE backup_history ADD COLUMN checksum TEXT;`);
-            }
-            if (!backupHistoryColumnNames.includes('encrypted')) {
-                this.db.exec(`ALTER TABLE backup_history ADD COLUMN encrypted INTEGER DEFAULT 0;`);
-            }
-        } catch (e) {
-            if (e.message && !e.message.includes('duplicate column') && !e.message.includes('already exists')) {
-                console.warn('Could not add columns to backup_history:', e.message);
-            }
-        }
-
         // Fixed Assets Table
         this.db.exec(`
             CREATE TABLE IF NOT EXISTS fixed_assets (
@@ -1022,20 +725,6 @@ class DatabaseManager {
             )
         `);
 
-        // Add expenseNumber column if it doesn't exist (for existing databases)
-        try {
-            this.db.exec(`ALTER TABLE operating_expenses ADD COLUMN expenseNumber TEXT`);
-        } catch (e) {
-            // Column already exists, ignore
-        }
-        
-        // Add recipientName column if it doesn't exist (for existing databases)
-        try {
-            this.db.exec(`ALTER TABLE operating_expenses ADD COLUMN recipientName TEXT`);
-        } catch (e) {
-            // Column already exists, ignore
-        }
-
         // Company Info Table
         this.db.exec(`
             CREATE TABLE IF NOT EXISTS company_info (
@@ -1056,34 +745,19 @@ class DatabaseManager {
             )
         `);
         
-        // Add new columns if they don't exist (for existing databases)
-        try {
-            this.db.exec(`ALTER TABLE company_info ADD COLUMN warehouseKeeperName TEXT`);
-        } catch (e) {
-            // Column already exists, ignore
-        }
-        try {
-            this.db.exec(`ALTER TABLE company_info ADD COLUMN warehouseKeeperPhone TEXT`);
-        } catch (e) {
-            // Column already exists, ignore
-        }
+        // Schema Migrations Table (one row per applied numbered migration)
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                appliedAt TEXT NOT NULL,
+                durationMs INTEGER,
+                backupPath TEXT
+            )
+        `);
 
-        // Add marketing contact columns if they don't exist (for existing databases)
-        try {
-            this.db.exec(`ALTER TABLE company_info ADD COLUMN marketingWhatsApp TEXT`);
-        } catch (e) {
-            // Column already exists, ignore
-        }
-        try {
-            this.db.exec(`ALTER TABLE company_info ADD COLUMN marketingMobile TEXT`);
-        } catch (e) {
-            // Column already exists, ignore
-        }
-        try {
-            this.db.exec(`ALTER TABLE company_info ADD COLUMN marketingWorkingHours TEXT`);
-        } catch (e) {
-            // Column already exists, ignore
-        }
+        // Bring older databases up to the current schema before seeding default rows
+        this.runSchemaMigrations({ isNewDatabase });
 
         // Initialize default company info if not exists
         try {
@@ -1105,77 +779,6 @@ class DatabaseManager {
             console.warn('Could not initialize company info:', error.message);
         }
         
-        // Add taxRate column to company_info if it doesn't exist (migration)
-        try {
-            const tableInfo = this.db.prepare(`PRAGMA table_info(company_info)`).all();
-            const columnExists = tableInfo.some(col => col.name === 'taxRate');
-            
-            if (!columnExists) {
-                // console.log('Adding taxRate column to company_info');
-                this.db.exec(`ALTER TABLE company_info ADD COLUMN taxRate REAL DEFAULT 0;`);
-                // Set default value for existing rows
-                this.db.exec(`UPDATE company_info SET taxRate = 0 WHERE taxRate IS NULL;`);
-            }
-        } catch (e) {
-            if (e.message && !e.message.includes('duplicate column') && !e.message.includes('already exists')) {
-                console.warn('Could not add taxRate column to company_info:', e.message);
-            }
-        }
-
-        // Add salesRepName, salesRepPhone, accountantName, accountantPhone columns to company_info if they don't exist (migration)
-        try {
-            const tableInfo = this.db.prepare(`PRAGMA table_info(company_info)`).all();
-            const columnNames = tableInfo.map(col => col.name);
-            
-            // Add salesRepName column
-            if (!columnNames.includes('salesRepName')) {
-                // console.log('Adding salesRepName column to company_info');
-                this.db.exec(`ALTER TABLE company_info ADD COLUMN salesRepName TEXT DEFAULT '';`);
-            }
-            
-            // Add salesRepPhone column
-            if (!columnNames.includes('salesRepPhone')) {
-                // console.log('Adding salesRepPhone column to company_info');
-                this.db.exec(`ALTER TABLE company_info ADD COLUMN salesRepPhone TEXT DEFAULT '';`);
-            }
-            
-            // Add accountantName column
-            if (!columnNames.includes('accountantName')) {
-                // console.log('Adding accountantName column to company_info');
-                this.db.exec(`ALTER TABLE company_info ADD COLUMN accountantName TEXT DEFAULT '';`);
-            }
-            
-            // Add accountantPhone column
-            if (!columnNames.includes('accountantPhone')) {
-                // console.log('Adding accountantPhone column to company_info');
-                this.db.exec(`ALTER TABLE company_info ADD COLUMN accountantPhone TEXT DEFAULT '';`);
-            }
-        } catch (e) {
-            if (e.message && !e.message.includes('duplicate column') && !e.message.includes('already exists')) {
-                console.warn('Could not add sales rep/accountant columns to company_info:', e.message);
-            }
-        }
-
-        // Add managerName and managerMobile columns to company_info if they don't exist (migration)
-        try {
-            const tableInfo = this.db.prepare(`PRAGMA table_info(company_info)`).all();
-            const columnNames = tableInfo.map(col => col.name);
-            
-            // Add managerName column
-            if (!columnNames.includes('managerName')) {
-                this.db.exec(`ALTER TABLE company_info ADD COLUMN managerName TEXT DEFAULT '';`);
-            }
-            
-            // Add managerMobile column
-            if (!columnNames.includes('managerMobile')) {
-                this.db.exec(`ALTER TABLE company_info ADD COLUMN managerMobile TEXT DEFAULT '';`);
-            }
-        } catch (e) {
-            if (e.message && !e.message.includes('duplicate column') && !e.message.includes('already exists')) {
-                console.warn('Could not add manager columns to company_info:', e.message);
-            }
-        }
-
         // Initialize default system engineer user (BashMohndes) if not exists
         // This user is always created/updated if it doesn't exist or has wrong type
         try {
@@ -1244,141 +847,6 @@ class DatabaseManager {
             console.error('Error details:', typeof errorDetails === 'string' ? errorDetails : JSON.stringify(errorDetails, null, 2));
         }
 
-        // Migration: Remove type column from payments table (SQLite doesn't support DROP COLUMN)
-        try {
-            const paymentsTableInfo = this.db.prepare(`PRAGMA table_info(payments)`).all();
-            const hasTypeColumn = paymentsTableInfo.some(col => col.name === 'type');
-            
-            if (hasTypeColumn) {
-                console.log('[Migration] Removing type column from payments table...');
-                
-                // Create new table without type column
-                this.db.exec(`
-                    CREATE TABLE IF NOT EXISTS payments_new (
-                        id TEXT PRIMARY KEY,
-                        paymentNumber TEXT UNIQUE NOT NULL,
-                        supplierId TEXT,
-                        toName TEXT,
-                        date TEXT NOT NULL,
-                        amount REAL NOT NULL,
-                        paymentMethod TEXT NOT NULL,
-                        notes TEXT,
-                        createdBy TEXT,
-                        createdAt TEXT NOT NULL,
-                        updatedAt TEXT NOT NULL,
-                        FOREIGN KEY (supplierId) REFERENCES suppliers(id)
-                    )
-                `);
-                
-                // Copy data from old table to new table (excluding type column)
-                this.db.exec(`
-                    INSERT INTO payments_new (id, paymentNumber, supplierId, toName, date, amount, paymentMethod, notes, createdBy, createdAt, updatedAt)
-                    SELECT id, paymentNumber, supplierId, toName, date, amount, paymentMethod, notes, createdBy, createdAt, updatedAt
-                    FROM payments
-                `);
-                
-                // Drop old table
-                this.db.exec(`DROP TABLE payments`);
-                
-                // Rename new table
-                this.db.exec(`ALTER TABLE payments_new RENAME TO payments`);
-                
-                console.log('[Migration] Successfully removed type column from payments table');
-            }
-        } catch (e) {
-            if (e.message && !e.message.includes('no such table') && !e.message.includes('does not exist')) {
-                console.error('[Migration] Error removing type column from payments table:', e.message);
-            }
-        }
-        
-        // Payments table migrations - Add oldBalance and newBalance columns
-        try {
-            const paymentsTableInfo = this.db.prepare(`PRAGMA table_info(payments)`).all();
-            const columnNames = paymentsTableInfo.map(col => col.name);
-            
-            // Add oldBalance column (الرصيد القديم)
-            if (!columnNames.includes('oldBalance')) {
-                // console.log('Adding oldBalance column to payments');
-                this.db.exec(`ALTER TABLE payments ADD COLUMN oldBalance REAL;`);
-            }
-            
-            // Add newBalance column (الرصيد الجديد)
-            if (!columnNames.includes('newBalance')) {
-                // console.log('Adding newBalance column to payments');
-                this.db.exec(`ALTER TABLE payments ADD COLUMN newBalance REAL;`);
-            }
-        } catch (e) {
-            if (e.message && !e.message.includes('duplicate column') && !e.message.includes('already exists')) {
-                console.warn('Could not add oldBalance/newBalance columns to payments:', e.message);
-            }
-        }
-        
-        // Receipts table migrations - Add oldBalance and newBalance columns
-        try {
-            const receiptsTableInfo = this.db.prepare(`PRAGMA table_info(receipts)`).all();
-            const columnNames = receiptsTableInfo.map(col => col.name);
-            
-            // Add oldBalance column (الرصيد القديم)
-            if (!columnNames.includes('oldBalance')) {
-                // console.log('Adding oldBalance column to receipts');
-                this.db.exec(`ALTER TABLE receipts ADD COLUMN oldBalance REAL;`);
-            }
-            
-            // Add newBalance column (الرصيد الجديد)
-            if (!columnNames.includes('newBalance')) {
-                // console.log('Adding newBalance column to receipts');
-                this.db.exec(`ALTER TABLE receipts ADD COLUMN newBalance REAL;`);
-            }
-        } catch (e) {
-            if (e.message && !e.message.includes('duplicate column') && !e.message.includes('already exists')) {
-                console.warn('Could not add oldBalance/newBalance columns to receipts:', e.message);
-            }
-        }
-        
-        // Returns table migrations - Add oldBalance and newBalance columns
-        try {
-            const returnsTableInfo = this.db.prepare(`PRAGMA table_info(returns)`).all();
-            const columnNames = returnsTableInfo.map(col => col.name);
-            
-            // Add oldBalance column (الرصيد القديم للعميل/المورد)
-            if (!columnNames.includes('oldBalance')) {
-                // console.log('Adding oldBalance column to returns');
-                this.db.exec(`ALTER TABLE returns ADD COLUMN oldBalance REAL;`);
-            }
-            
-            // Add newBalance column (الرصيد الجديد للعميل/المورد)
-            if (!columnNames.includes('newBalance')) {
-                // console.log('Adding newBalance column to returns');
-                this.db.exec(`ALTER TABLE returns ADD COLUMN newBalance REAL;`);
-            }
-        } catch (e) {
-            if (e.message && !e.message.includes('duplicate column') && !e.message.includes('already exists')) {
-                console.warn('Could not add oldBalance/newBalance columns to returns:', e.message);
-            }
-        }
-        
-        // Inventory adjustments table migrations - Ensure oldStock and newStock columns exist
-        try {
-            const adjustmentsTableInfo = this.db.prepare(`PRAGMA table_info(inventory_adjustments)`).all();
-            const columnNames = adjustmentsTableInfo.map(col => col.name);
-            
-            // Add oldStock column (المخزون القديم)
-            if (!columnNames.includes('oldStock')) {
-                // console.log('Adding oldStock column to inventory_adjustments');
-                this.db.exec(`ALTER TABLE inventory_adjustments ADD COLUMN oldStock REAL;`);
-            }
-            
-            // Add newStock column (المخزون الجديد)
-            if (!columnNames.includes('newStock')) {
-                // console.log('Adding newStock column to inventory_adjustments');
-                this.db.exec(`ALTER TABLE inventory_adjustments ADD COLUMN newStock REAL;`);
-            }
-        } catch (e) {
-            if (e.message && !e.message.includes('duplicate column') && !e.message.includes('already exists')) {
-                console.warn('Could not add oldStock/newStock columns to inventory_adjustments:', e.message);
-            }
-        }
-
         // Create indexes for better performance
         this.db.exec(`
             CREATE INDEX IF NOT EXISTS idx_products_category ON products(category);
@@ -1410,13 +878,12 @@ class DatabaseManager {
             CREATE INDEX IF NOT EXISTS idx_delivery_settlements_delivery_note ON delivery_settlements(deliveryNoteId);
             CREATE INDEX IF NOT EXISTS idx_delivery_settlements_status ON delivery_settlements(status);
             CREATE INDEX IF NOT EXISTS idx_settlement_items_settlement ON settlement_items(settlementId);
+            CREATE INDEX IF NOT EXISTS idx_stock_movements_product_date ON stock_movements(productId, date);
+            CREATE INDEX IF NOT EXISTS idx_stock_movements_source ON stock_movements(sourceType, sourceId);
         `);
         
         // Ensure cash customer exists
         this.ensureCashCustomer();
-        
-        // Run status migrations to ensure status columns exist
-        this.runStatusMigrations();
         } catch (error) {
             console.error('Error initializing database schema:', error);
             // Don't throw - let the app continue with partial initialization
@@ -1888,42 +1355,11 @@ class DatabaseManager {
                 repairDb.close();
                 repairSuccess = true;
                 
-                // Verify repair was successful using improved logic
+                // Verify repair was successful
                 const verifyDb = new Database(dbPath, { readonly: true });
-                const integrityResult = verifyDb.pragma('integrity_check');
+                const isStillCorrupted = getIntegrityErrors(verifyDb).length > 0;
                 verifyDb.close();
                 
-                // Check if repair was actually successful
-                let isStillCorrupted = false;
-                if (typeof integrityResult === 'string') {
-                    const trimmed = integrityResult.trim();
-                    isStillCorrupted = trimmed !== 'ok' && (
-                        trimmed.toLowerCase().includes('error') ||
-                        trimmed.toLowerCase().includes('corrupt') ||
-                        trimmed.toLowerCase().includes('malformed') ||
-                        (trimmed.length > 10 && trimmed.length < 200)
-                    );
-                } else if (Array.isArray(integrityResult)) {
-                    const firstResult = Array.isArray(integrityResult[0]) ? integrityResult[0][0] : integrityResult[0];
-                    if (typeof firstResult === 'string') {
-                        const trimmed = firstResult.trim();
-                        isStillCorrupted = trimmed !== 'ok' && (
-                            trimmed.toLowerCase().includes('error') ||
-                            trimmed.toLowerCase().includes('corrupt') ||
-                            trimmed.toLowerCase().includes('malformed')
-                        );
-                    } else {
-                        isStillCorrupted = firstResult !== 'ok';
-                    }
-                } else if (integrityResult && typeof integrityResult === 'object') {
-                    const resultStr = JSON.stringify(integrityResult);
-                    const hasOk = resultStr.includes('"ok"') || resultStr.includes('"ok":"ok"');
-                    const hasError = resultStr.toLowerCase().includes('error') || 
-                                   resultStr.toLowerCase().includes('corrupt') ||
-                                   resultStr.toLowerCase().includes('malformed');
-                    isStillCorrupted = !hasOk && hasError;
-                }
-                
                 if (isStillCorrupted) {
                     repairSuccess = false;
                 }
@@ -2019,6 +1455,94 @@ class DatabaseManager {
         }
     }
 
+    // ============================================================
+    // Money Columns
+    // ============================================================
+    // Amounts are stored as INTEGER cents (MONEY_COLUMNS). Rows cross the DatabaseManager
+    // boundary in EGP: insert/update convert to cents and every read converts back, so
+    // pages never see cents. Code inside this class that uses raw SQL works in cents.
+
+    // Copy of data with its money columns converted from EGP to cents
+    toStorageMoney(table, data) {
+        const columns = MONEY_COLUMNS[table];
+        if (!columns || !data) {
+            return data;
+        }
+        const converted = { ...data };
+        columns.forEach(column => {
+            if (converted[column] !== undefined && converted[column] !== null && converted[column] !== '') {
+                converted[column] = egpToCents(converted[column]);
+            }
+        });
+        return converted;
+    }
+
+    // Copy of a stored row (or array of rows) with its money columns in EGP
+    fromStorageMoney(table, rows) {
+        const columns = MONEY_COLUMNS[table];
+        if (!columns || !rows) {
+            return rows;
+        }
+        const convert = (row) => {
+            if (!row || typeof row !== 'object') {
+                return row;
+            }
+            const converted = { ...row };
+            columns.forEach(column => {
+                if (typeof converted[column] === 'number') {
+                    converted[column] = centsToEgp(converted[column]);
+                }
+            });
+            return converted;
+        };
+        return Array.isArray(rows) ? rows.map(convert) : convert(rows);
+    }
+
+    // Document snapshot ({...header, items} or {...header, [childTable]: rows}) in EGP
+    fromStorageDocument(table, document) {
+        if (!document) {
+            return document;
+        }
+        const itemsTable = { sales_invoices: 'sales_invoice_items', purchase_invoices: 'purchase_invoice_items' }[table];
+        const converted = this.fromStorageMoney(table, document);
+        Object.keys(converted).forEach(key => {
+            if (Array.isArray(converted[key])) {
+                converted[key] = this.fromStorageMoney(key === 'items' ? itemsTable : key, converted[key]);
+            }
+        });
+        return converted;
+    }
+
+    // Rows of a raw SELECT: columns read straight from a money column are converted.
+    // Computed columns (SUM, expressions) have no source column; wrap them in egp().
+    fromStorageQueryRows(stmt, rows) {
+        const moneyNames = stmt.columns()
+            .filter(column => column.table && (MONEY_COLUMNS[column.table] || []).includes(column.column))
+            .map(column => column.name);
+        if (moneyNames.length === 0) {
+            return rows;
+        }
+        return rows.map(row => {
+            const converted = { ...row };
+            moneyNames.forEach(name => {
+                if (typeof converted[name] === 'number') {
+                    converted[name] = centsToEgp(converted[name]);
+                }
+            });
+            return converted;
+        });
+    }
+
+    // egp(cents) SQL function for aggregates in raw queries, e.g. egp(SUM(total)).
+    // Registered per connection because the connection is reopened after restores.
+    ensureMoneyFunctions() {
+        if (this.moneyFunctionsConnection === this.db) {
+            return;
+        }
+        this.db.function('egp', { deterministic: true }, (cents) => (cents === null ? null : centsToEgp(cents)));
+        this.moneyFunctionsConnection = this.db;
+    }
+
     // Generic CRUD Operations
     insert(table, data) {
         try {
@@ -2029,6 +1553,7 @@ class DatabaseManager {
                     data = { ...data, password: passwordUtils.hashPasswordSync(data.password) };
                 }
             }
+            data = this.toStorageMoney(table, data);
             
             const keys = Object.keys(data);
             const placeholders = keys.map(() => '?').join(', ');
@@ -2054,13 +1579,22 @@ class DatabaseManager {
                 // Use transaction for critical operations
                 const transaction = this.db.transaction((data) => {
                     const stmt = this.db.prepare(sql);
-                    return stmt.run(...values);
+                    const runResult = stmt.run(...values);
+                    if (table === 'products' && data.stock) {
+                        const openingDate = typeof data.createdAt === 'string' ? data.createdAt.split('T')[0] : null;
+                        this.recordDirectStockChange(data.id, 0, data.stock, 'opening_balance', openingDate);
+                    }
+                    this.writeAuditLog(table, data.id, 'insert', null, this.getAuditSnapshot(table, data.id));
+                    return runResult;
                 });
                 result = transaction(data);
             } else {
-                // For non-critical tables, use direct insert
-                const stmt = this.db.prepare(sql);
-                result = stmt.run(...values);
+                // For non-critical tables, use direct insert (with its audit entry)
+                result = this.db.transaction(() => {
+                    const runResult = this.db.prepare(sql).run(...values);
+                    this.writeAuditLog(table, data.id, 'insert', null, this.getAuditSnapshot(table, data.id));
+                    return runResult;
+                })();
             }
             
             // Check if insert was successful
@@ -2112,7 +1646,17 @@ class DatabaseManager {
         }
     }
 
-    update(table, id, data) {
+    /**
+     * Update a row. When expectedUpdatedAt is given the update only succeeds if the
+     * row still has that updatedAt (optimistic concurrency); otherwise a conflict
+     * result with the current row is returned and nothing is written.
+     * @param {string} table
+     * @param {string} id
+     * @param {Object} data
+     * @param {string|null} [expectedUpdatedAt] - updatedAt of the copy the caller edited
+     * @returns {Object} better-sqlite3 run result, or {success: false, error, conflict?, current?}
+     */
+    update(table, id, data, expectedUpdatedAt = null) {
         try {
             // Hash password if updating users table and password is provided
             if (table === 'users' && data.password) {
@@ -2121,6 +1665,7 @@ class DatabaseManager {
                     data = { ...data, password: passwordUtils.hashPasswordSync(data.password) };
                 }
             }
+            data = this.toStorageMoney(table, data);
             
             // Tables that don't have updatedAt column
             const tablesWithoutUpdatedAt = ['delivery_note_items', 'settlement_items', 'sales_invoice_items', 'purchase_invoice_items'];
@@ -2137,14 +1682,17 @@ class DatabaseManager {
                 }
                 return data[key];
             });
-            const values = [...filteredValues, id];
+            const checkVersion = hasUpdatedAt && expectedUpdatedAt !== null && expectedUpdatedAt !== undefined;
+            const values = checkVersion ? [...filteredValues, id, expectedUpdatedAt] : [...filteredValues, id];
+            const whereClause = checkVersion ? 'WHERE id = ? AND updatedAt IS ?' : 'WHERE id = ?';
             
-            // Only add updatedAt if table has it
+            // Only add updatedAt if table has it (millisecond timestamps so every save
+            // produces a new version for the concurrency check)
             let sql;
             if (hasUpdatedAt) {
-                sql = `UPDATE ${table} SET ${setClause}, updatedAt = datetime('now') WHERE id = ?`;
+                sql = `UPDATE ${table} SET ${setClause}, updatedAt = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') ${whereClause}`;
             } else {
-                sql = `UPDATE ${table} SET ${setClause} WHERE id = ?`;
+                sql = `UPDATE ${table} SET ${setClause} ${whereClause}`;
             }
             
             // Use transaction for critical tables to prevent corruption
@@ -2159,19 +1707,44 @@ class DatabaseManager {
             if (criticalTables.includes(table)) {
                 // Use transaction for critical operations
                 const transaction = this.db.transaction((data) => {
+                    const before = this.getAuditSnapshot(table, id);
+                    // Direct writes to products.stock are recorded in the stock ledger
+                    const stockBefore = table === 'products' && data.stock !== undefined
+                        ? this.db.prepare('SELECT stock FROM products WHERE id = ?').get(id)
+                        : null;
                     const stmt = this.db.prepare(sql);
-                    return stmt.run(...values);
+                    const runResult = stmt.run(...values);
+                    if (stockBefore && runResult.changes > 0) {
+                        this.recordDirectStockChange(id, stockBefore.stock, data.stock, 'manual');
+                    }
+                    if (runResult.changes > 0) {
+                        this.writeAuditLog(table, id, 'update', before, this.getAuditSnapshot(table, id));
+                    }
+                    return runResult;
                 });
                 result = transaction(data);
             } else {
-                // For non-critical tables, use direct update
-                const stmt = this.db.prepare(sql);
-                result = stmt.run(...values);
+                // For non-critical tables, use direct update (with its audit entry)
+                result = this.db.transaction(() => {
+                    const before = this.getAuditSnapshot(table, id);
+                    const runResult = this.db.prepare(sql).run(...values);
+                    if (runResult.changes > 0) {
+                        this.writeAuditLog(table, id, 'update', before, this.getAuditSnapshot(table, id));
+                    }
+                    return runResult;
+                })();
             }
             
             // Check if update was successful
             if (result.changes === 0) {
+                if (checkVersion) {
+                    return this.getUpdateConflict(table, id);
+                }
                 console.warn(`[Database] ⚠️ Update returned 0 changes for ${table} id ${id}!`);
+            } else if (hasUpdatedAt) {
+                // New version, for the caller's next conditional update
+                const saved = this.db.prepare(`SELECT updatedAt FROM ${table} WHERE id = ?`).get(id);
+                result = { ...result, updatedAt: saved ? saved.updatedAt : null };
             }
             
             // Perform checkpoint after important operations to ensure data is persisted
@@ -2202,16 +1775,38 @@ class DatabaseManager {
         }
     }
 
+    // Conflict result for an update rejected by the optimistic concurrency check
+    getUpdateConflict(table, id, current = undefined) {
+        const row = current !== undefined ? current : this.getAuditSnapshot(table, id);
+        if (!row) {
+            return { success: false, conflict: true, deleted: true, error: 'تم حذف هذا السجل من مستخدم أو نافذة أخرى' };
+        }
+        console.warn(`[Database] Update conflict on ${table} id ${id} (changed since it was opened)`);
+        return {
+            success: false,
+            conflict: true,
+            error: 'تم تعديل هذا السجل من مستخدم أو نافذة أخرى بعد فتحه',
+            current: this.fromStorageDocument(table, row)
+        };
+    }
+
     delete(table, id) {
         const sql = `DELETE FROM ${table} WHERE id = ?`;
-        const stmt = this.db.prepare(sql);
-        return stmt.run(id);
+        const remove = this.db.transaction(() => {
+            const before = this.getAuditSnapshot(table, id);
+            const result = this.db.prepare(sql).run(id);
+            if (result.changes > 0) {
+                this.writeAuditLog(table, id, 'delete', before, null);
+            }
+            return result;
+        });
+        return remove();
     }
 
     getById(table, id) {
         const sql = `SELECT * FROM ${table} WHERE id = ?`;
         const stmt = this.db.prepare(sql);
-        return stmt.get(id);
+        return this.fromStorageMoney(table, stmt.get(id));
     }
 
     getAll(table, where = '', params = []) {
@@ -2228,7 +1823,7 @@ class DatabaseManager {
                 result = stmt.all();
             }
             // Ensure result is always an array
-            return Array.isArray(result) ? result : (result ? [result] : []);
+            return this.fromStorageMoney(table, Array.isArray(result) ? result : (result ? [result] : []));
         } catch (error) {
             // If error is about missing column, try to get only existing columns
             if (error.message && error.message.includes('no such column')) {
@@ -2267,7 +1862,7 @@ class DatabaseManager {
                         result = stmt.all();
                     }
                     // Ensure result is always an array
-                    return Array.isArray(result) ? result : (result ? [result] : []);
+                    return this.fromStorageMoney(table, Array.isArray(result) ? result : (result ? [result] : []));
                 } catch (retryError) {
                     console.error(`[Database] Error in getAll for ${table} (retry with column list):`, retryError);
                     return [];
@@ -2279,438 +1874,3442 @@ class DatabaseManager {
     }
 
     query(sql, params = []) {
+        this.ensureMoneyFunctions();
         const stmt = this.db.prepare(sql);
         if (sql.trim().toUpperCase().startsWith('SELECT')) {
-            return params.length > 0 ? stmt.all(...params) : stmt.all();
+            return this.fromStorageQueryRows(stmt, params.length > 0 ? stmt.all(...params) : stmt.all());
         } else {
             return params.length > 0 ? stmt.run(...params) : stmt.run();
         }
     }
 
-    // Encryption/Decryption Functions for Backups
-    getEncryptionKey() {
-        // Generate a key from app name and userData path (consistent per installation)
-        // This ensures the same key is used for encryption/decryption
-        const userDataPath = app.getPath('userData');
-        const keyMaterial = `asel-backup-encryption-${userDataPath}`;
-        // Use PBKDF2 to derive a 32-byte key (AES-256 requires 32 bytes)
-        const salt = 'asel-backup-salt-2025';
-        return crypto.pbkdf2Sync(keyMaterial, salt, 100000, 32, 'sha256');
+    /**
+     * Run a read-only query (used for raw SQL coming from renderer pages).
+     * SQLite itself decides whether the prepared statement can modify the database,
+     * so write statements hidden inside a SELECT-looking string are rejected too.
+     * @param {string} sql
+     * @param {Array} params
+     * @returns {Array}
+     */
+    selectQuery(sql, params = []) {
+        this.ensureMoneyFunctions();
+        const stmt = this.db.prepare(sql);
+        if (!stmt.reader || !stmt.readonly) {
+            throw new Error('Only read-only SELECT statements are allowed');
+        }
+        return this.fromStorageQueryRows(stmt, params.length > 0 ? stmt.all(...params) : stmt.all());
     }
 
-    encryptBackupFile(inputPath, outputPath) {
+    // ============================================================
+    // Paginated Search (db-search)
+    // ============================================================
+    // List screens ask for one page of a table at a time instead of loading the
+    // whole table with getAll and filtering in the renderer. Only column names that
+    // exist in the table are accepted and every value is bound as a parameter.
+
+    /**
+     * Filtered, sorted and paginated rows of a table.
+     * @param {string} table
+     * @param {Object} options
+     *   filters  - {column: value} (equality) or [{column, op, value}] with op one of
+     *              = != > >= < <= like in notIn between null notNull
+     *   search   - {text, columns: [...], related: [{column, table, columns: [...]}]}
+     *              rows where any column (or a row of the related table) contains text
+     *   sort     - {column, direction: 'asc'|'desc'} or an array of them
+     *   page, pageSize - 1-based page; without pageSize all matching rows are returned
+     *   columns  - columns to return (default all)
+     * @returns {{success: boolean, rows?: Array, total?: number, page?: number, pageSize?: number|null, totalPages?: number, error?: string}}
+     */
+    search(table, options = {}) {
         try {
-            const key = this.getEncryptionKey();
-            const iv = crypto.randomBytes(16); // Initialization Vector
-            
-            const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
-            const input = fs.createReadStream(inputPath);
-            const output = fs.createWriteStream(outputPath);
-            
-            // Write IV at the beginning of the encrypted file
-            output.write(iv);
-            
-            input.pipe(cipher).pipe(output);
-            
-            return new Promise((resolve, reject) => {
-                output.on('finish', () => {
-                    resolve({ success: true, iv: iv.toString('hex') });
+            const tableColumns = getColumnNames(this.db, table);
+            if (tableColumns.length === 0) {
+                return { success: false, error: `الجدول ${table} غير موجود` };
+            }
+            const invalid = (message) => {
+                const optionsError = new Error(message);
+                optionsError.isValidationError = true;
+                return optionsError;
+            };
+            const checkColumn = (column, columns = tableColumns, tableName = table) => {
+                if (!columns.includes(column)) {
+                    throw invalid(`العمود ${column} غير موجود في الجدول ${tableName}`);
+                }
+                return column;
+            };
+            const moneyColumns = MONEY_COLUMNS[table] || [];
+            const toStored = (column, value) => (moneyColumns.includes(column) && value !== null && value !== '' ? egpToCents(value) : value);
+
+            const conditions = [];
+            const params = [];
+
+            const filters = Array.isArray(options.filters)
+                ? options.filters
+                : Object.entries(options.filters || {}).map(([column, value]) => ({ column, op: '=', value }));
+            filters.forEach(({ column, op = '=', value }) => {
+                checkColumn(column);
+                switch (op) {
+                    case '=':
+                    case '!=':
+                    case '>':
+                    case '>=':
+                    case '<':
+                    case '<=':
+                        conditions.push(`${column} ${op} ?`);
+                        params.push(toStored(column, value));
+                        break;
+                    case 'like':
+                        conditions.push(`${column} LIKE ?`);
+                        params.push(`%${value}%`);
+                        break;
+                    case 'in':
+                    case 'notIn': {
+                        // null in the list matches (or excludes) NULL values, which SQL IN never does
+                        const values = Array.isArray(value) ? value : [value];
+                        const withNull = values.some(item => item === null || item === undefined);
+                        const listed = values.filter(item => item !== null && item !== undefined);
+                        const parts = [];
+                        if (listed.length > 0) {
+                            parts.push(`${column} ${op === 'in' ? 'IN' : 'NOT IN'} (${listed.map(() => '?').join(', ')})`);
+                            params.push(...listed.map(item => toStored(column, item)));
+                        }
+                        if (withNull) {
+                            parts.push(`${column} ${op === 'in' ? 'IS NULL' : 'IS NOT NULL'}`);
+                        }
+                        if (parts.length > 0) {
+                            conditions.push(`(${parts.join(op === 'in' ? ' OR ' : ' AND ')})`);
+                        } else if (op === 'in') {
+                            // Nothing can be IN an empty list; everything is NOT IN it
+                            conditions.push('0');
+                        }
+                        break;
+                    }
+                    case 'between':
+                        if (!Array.isArray(value) || value.length !== 2) {
+                            throw invalid(`قيمة between للعمود ${column} يجب أن تكون [من, إلى]`);
+                        }
+                        conditions.push(`${column} BETWEEN ? AND ?`);
+                        params.push(toStored(column, value[0]), toStored(column, value[1]));
+                        break;
+                    case 'null':
+                        conditions.push(`(${column} IS NULL OR ${column} = '')`);
+                        break;
+                    case 'notNull':
+                        conditions.push(`(${column} IS NOT NULL AND ${column} != '')`);
+                        break;
+                    default:
+                        throw invalid(`عملية التصفية ${op} غير مدعومة`);
+                }
+            });
+
+            const search = options.search || {};
+            const text = typeof search.text === 'string' ? search.text.trim() : '';
+            if (text) {
+                const like = `%${text}%`;
+                const parts = (search.columns || []).map(column => {
+                    params.push(like);
+                    return `${checkColumn(column)} LIKE ?`;
                 });
-                output.on('error', (error) => {
-                    reject(error);
+                (search.related || []).forEach(relation => {
+                    checkColumn(relation.column);
+                    const relatedColumns = getColumnNames(this.db, relation.table);
+                    if (relatedColumns.length === 0 || !relatedColumns.includes('id')) {
+                        throw invalid(`الجدول ${relation.table} غير موجود`);
+                    }
+                    const relatedParts = (relation.columns || []).map(column => {
+                        params.push(like);
+                        return `${checkColumn(column, relatedColumns, relation.table)} LIKE ?`;
+                    });
+                    if (relatedParts.length > 0) {
+                        parts.push(`${relation.column} IN (SELECT id FROM ${relation.table} WHERE ${relatedParts.join(' OR ')})`);
+                    }
                 });
-            });
+                if (parts.length > 0) {
+                    conditions.push(`(${parts.join(' OR ')})`);
+                }
+            }
+
+            const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+            const total = this.db.prepare(`SELECT COUNT(*) as count FROM ${table}${where}`).get(...params).count;
+
+            // Default newest first; id is always the last key so pages never overlap
+            let sort = Array.isArray(options.sort) ? options.sort : (options.sort ? [options.sort] : []);
+            if (sort.length === 0 && tableColumns.includes('createdAt')) {
+                sort = [{ column: 'createdAt', direction: 'desc' }];
+            }
+            const orderBy = sort.map(({ column, direction }) =>
+                `${checkColumn(column)} ${String(direction).toLowerCase() === 'desc' ? 'DESC' : 'ASC'}`
+            );
+            if (tableColumns.includes('id') && !sort.some(item => item.column === 'id')) {
+                orderBy.push(`id ${sort.length > 0 && String(sort[0].direction).toLowerCase() === 'desc' ? 'DESC' : 'ASC'}`);
+            }
+
+            const selectColumns = Array.isArray(options.columns) && options.columns.length > 0
+                ? options.columns.map(column => checkColumn(column)).join(', ')
+                : '*';
+            let sql = `SELECT ${selectColumns} FROM ${table}${where}`;
+            if (orderBy.length > 0) {
+                sql += ` ORDER BY ${orderBy.join(', ')}`;
+            }
+
+            const pageSize = options.pageSize ? Math.min(Math.max(parseInt(options.pageSize, 10) || 0, 1), MAX_SEARCH_PAGE_SIZE) : null;
+            const totalPages = pageSize ? Math.max(1, Math.ceil(total / pageSize)) : 1;
+            const page = pageSize ? Math.min(Math.max(parseInt(options.page, 10) || 1, 1), totalPages) : 1;
+            const queryParams = [...params];
+            if (pageSize) {
+                sql += ' LIMIT ? OFFSET ?';
+                queryParams.push(pageSize, (page - 1) * pageSize);
+            }
+
+            const rows = this.db.prepare(sql).all(...queryParams);
+            return { success: true, rows: this.fromStorageMoney(table, rows), total, page, pageSize, totalPages };
         } catch (error) {
-            throw new Error(`Encryption failed: ${error.message}`);
+            if (error.isValidationError) {
+                return { success: false, error: error.message };
+            }
+            console.error(`[Database] Error searching ${table}:`, error);
+            return { success: false, error: error.message };
         }
     }
 
-    decryptBackupFile(inputPath, outputPath) {
+    // ============================================================
+    // Global Search (top bar)
+    // ============================================================
+    // search_documents / search_index (FTS5) are created by schema migration 16 and
+    // kept in step with the data from writeAuditLog(). See utils/search-index.js.
+
+    /**
+     * Update the search index after a change to one row.
+     * @param {string} table
+     * @param {string} rowId
+     * @param {string} operation - insert | update | delete | restore | purge
+     * @param {Object|null} before - Row before the change
+     * @param {Object|null} after - Row after the change
+     */
+    syncSearchIndex(table, rowId, operation, before, after) {
+        if (!searchIndexUtils.SEARCH_ENTITIES[table] || rowId === undefined || rowId === null) {
+            return;
+        }
         try {
-            const key = this.getEncryptionKey();
-            
-            // Read IV from the beginning of the encrypted file
-            const encryptedBuffer = fs.readFileSync(inputPath);
-            const iv = encryptedBuffer.slice(0, 16);
-            const encryptedData = encryptedBuffer.slice(16);
-            
-            const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
-            const decrypted = Buffer.concat([decipher.update(encryptedData), decipher.final()]);
-            
-            fs.writeFileSync(outputPath, decrypted);
-            
-            return { success: true };
+            if (operation === 'delete' || operation === 'purge') {
+                searchIndexUtils.removeSearchRow(this.db, table, rowId);
+                return;
+            }
+            searchIndexUtils.indexSearchRow(this.db, table, rowId);
+            // Invoices and vouchers are found by the customer/supplier name too
+            if ((table === 'customers' || table === 'suppliers') && operation === 'update'
+                && before && after && before.name !== after.name) {
+                searchIndexUtils.reindexPartyDocuments(this.db, table, rowId);
+            }
         } catch (error) {
-            throw new Error(`Decryption failed: ${error.message}`);
+            console.error(`[Search] Error updating search index for ${operation} on ${table}:`, error.message);
         }
     }
 
+    /**
+     * Search every indexed record type at once.
+     * @param {string} text - What the user typed (Arabic spelling variants and digits are normalised)
+     * @param {{tables?: string[], limit?: number}} options - tables limits the record types searched
+     * @returns {{success: boolean, results?: Array, error?: string}}
+     */
+    globalSearch(text, options = {}) {
+        try {
+            return { success: true, results: searchIndexUtils.searchIndex(this.db, text, options) };
+        } catch (error) {
+            console.error('[Database] Error in global search:', error);
+            return { success: false, error: error.message };
+        }
+    }
 
-    // Backup Functions
-    // Manual backup - saves WITHOUT encryption (plain SQLite database file)
-    // This allows users to easily restore backups or open them with SQLite tools
-    async createBackup(backupPath) {
+    // ============================================================
+    // Audit Log
+    // ============================================================
+    // Every insert/update/delete made through DatabaseManager writes an audit_log
+    // row (in the same transaction) with JSON snapshots of the row before and after.
+    // The acting user is taken from the context set by runWithAuditContext.
+
+    /**
+     * Run fn with the given user recorded as the actor of its audit entries.
+     * @param {{userId?: string, username?: string, source?: string}|null} context
+     * @param {Function} fn - Synchronous database work
+     * @returns {*} Whatever fn returns
+     */
+    runWithAuditContext(context, fn) {
+        const previous = this.auditContext;
+        this.auditContext = context || null;
         try {
-            // Ensure backup directory exists with error handling
-            const backupDir = path.dirname(backupPath);
-            if (!fs.existsSync(backupDir)) {
-                try {
-                    fs.mkdirSync(backupDir, { recursive: true });
-                } catch (mkdirError) {
-                    console.error('Error creating backup directory:', mkdirError);
-                    throw new Error(`Cannot create backup directory: ${backupDir}. Please check permissions.`);
-                }
-            }
-            
-            // Verify directory is writable
-            try {
-                fs.accessSync(backupDir, fs.constants.W_OK);
-            } catch (accessError) {
-                console.error('Backup directory is not writable:', accessError);
-                throw new Error(`Cannot write to backup directory: ${backupDir}. Please check permissions.`);
-            }
+            return fn();
+        } finally {
+            this.auditContext = previous;
+        }
+    }
 
-            // Checkpoint WAL to ensure all data is in main database file
-            this.db.pragma('wal_checkpoint(FULL)');
+    // Current row as stored, or null (never throws - auditing must not break writes)
+    getAuditSnapshot(table, id) {
+        if (id === undefined || id === null) {
+            return null;
+        }
+        try {
+            return this.db.prepare(`SELECT * FROM ${table} WHERE id = ?`).get(id) || null;
+        } catch (error) {
+            return null;
+        }
+    }
 
-            // Remove destination file if it exists
-            if (fs.existsSync(backupPath)) {
-                fs.unlinkSync(backupPath);
-            }
+    // Document header with its items, for auditing multi-table documents as one entry
+    getDocumentAuditSnapshot(table, itemsTable, id) {
+        const header = this.getAuditSnapshot(table, id);
+        if (!header) {
+            return null;
+        }
+        return { ...header, items: this.db.prepare(`SELECT * FROM ${itemsTable} WHERE invoiceId = ?`).all(id) };
+    }
 
-            // Check available disk space before backup
-            const dbStats = fs.statSync(this.dbPath);
-            const estimatedBackupSize = dbStats.size * 1.2; // Add 20% buffer
-            const backupDirStats = fs.statSync(backupDir);
-            if (backupDirStats.size !== undefined) {
-                // Try to get free space (works on some systems)
-                try {
-                    const freeSpace = require('os').freemem(); // This is RAM, not disk
-                    // For disk space, we'll check after creation
-                } catch (e) {
-                    // Ignore if can't check
-                }
-            }
+    // Audit balance changes made to customers/suppliers by a posted document
+    writeEntityAuditLogs(table, beforeRows) {
+        beforeRows.filter(Boolean).forEach(before => {
+            this.writeAuditLog(table, before.id, 'update', before, this.getAuditSnapshot(table, before.id));
+        });
+    }
 
-            // IMPORTANT: Create backup WITHOUT encryption (plain SQLite file)
-            // Use VACUUM INTO to create a complete backup (SQLite 3.27+)
-            // VACUUM INTO creates a backup with all data - NO ENCRYPTION
-            // Escape single quotes and convert backslashes to forward slashes for SQLite
-            const backupPathEscaped = backupPath.replace(/\\/g, '/').replace(/'/g, "''");
-            this.db.exec(`VACUUM INTO '${backupPathEscaped}'`);
-            
-            // Verify backup file exists and has content
-            if (!fs.existsSync(backupPath)) {
-                throw new Error('Backup file was not created');
+    // Number shown and searched in the audit viewer (invoice number, receipt number, code...)
+    getAuditDocumentNumber(row) {
+        if (!row) {
+            return null;
+        }
+        const numberColumns = [
+            'invoiceNumber', 'receiptNumber', 'paymentNumber', 'deliveryNoteNumber', 'settlementNumber',
+            'adjustmentNumber', 'returnNumber', 'expenseNumber', 'code', 'username'
+        ];
+        const column = numberColumns.find(name => row[name] !== undefined && row[name] !== null && row[name] !== '');
+        return column ? String(row[column]) : null;
+    }
+
+    /**
+     * Record one change in audit_log. Errors are thrown, so the change they belong to
+     * is rolled back by the transaction it runs in.
+     * @param {string} table
+     * @param {string} rowId
+     * @param {'insert'|'update'|'delete'} operation
+     * @param {Object|null} before - Row before the change
+     * @param {Object|null} after - Row after the change
+     * @returns {number|null} Id of the audit_log row, or null for changes to audit_log itself
+     */
+    writeAuditLog(table, rowId, operation, before, after) {
+        if (table === 'audit_log') {
+            return null;
+        }
+        const context = this.auditContext || {};
+        // Snapshots are stored in EGP like the rest of what pages see
+        const serialize = (row) => {
+            if (!row) {
+                return null;
             }
-            
-            let fileSize = fs.statSync(backupPath).size;
-            if (fileSize === 0) {
-                throw new Error('Backup file is empty');
+            const copy = this.fromStorageDocument(table, row);
+            if (table === 'users') {
+                delete copy.password;
             }
+            return JSON.stringify(copy);
+        };
+        // Not caught: a change that cannot be logged is rolled back with the caller's transaction
+        const auditLogId = this.db.prepare(`
+            INSERT INTO audit_log (userId, username, tableName, rowId, operation, documentNumber, beforeData, afterData, source, createdAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            context.userId || null,
+            context.username || null,
+            table,
+            rowId !== undefined && rowId !== null ? String(rowId) : null,
+            operation,
+            this.getAuditDocumentNumber(after || before),
+            serialize(before),
+            serialize(after),
+            context.source || null,
+            new Date().toISOString()
+        ).lastInsertRowid;
+        // Every data change passes through here, so the global search index follows it too
+        this.syncSearchIndex(table, rowId, operation, before, after);
+        this.noteDataChange(table, rowId, operation);
+        return auditLogId;
+    }
 
-            // Integrity Check: Verify backup database can be opened and is valid
-            let testDb = null;
-            try {
-                testDb = new Database(backupPath, { readonly: true });
-                const integrityResult = testDb.pragma('integrity_check');
-                testDb.close();
-                
-                // integrity_check returns 'ok' if valid, or error messages if not
-                if (integrityResult !== 'ok' && typeof integrityResult === 'string' && integrityResult.trim() !== 'ok') {
-                    throw new Error(`Backup integrity check failed: ${integrityResult}`);
-                }
-            } catch (integrityError) {
-                if (testDb && testDb.open) {
-                    testDb.close();
-                }
-                // Delete invalid backup file
-                if (fs.existsSync(backupPath)) {
-                    fs.unlinkSync(backupPath);
-                }
-                throw new Error(`Backup integrity verification failed: ${integrityError.message}`);
-            }
+    // ============================================================
+    // Data Change Notifications
+    // ============================================================
+    // Writes are collected here by table and operation; main.js takes them after each IPC call
+    // and sends them to every window as data-changed events, so open pages can refresh.
+    // A write rolled back by a failed transaction may still be announced: pages only re-read.
 
-            // Calculate checksum for backup file
-            fileSize = fs.statSync(backupPath).size;
-            const fileBuffer = fs.readFileSync(backupPath);
-            const checksum = crypto.createHash('sha256').update(fileBuffer).digest('hex');
+    /**
+     * Remember that a row changed.
+     * @param {string} table
+     * @param {string} rowId
+     * @param {string} operation - insert | update | delete | restore | purge
+     */
+    noteDataChange(table, rowId, operation) {
+        if (rowId === undefined || rowId === null) {
+            return;
+        }
+        const key = `${table}:${operation}`;
+        let change = this.pendingDataChanges.get(key);
+        if (!change) {
+            change = { table, operation, ids: new Set(), truncated: false };
+            this.pendingDataChanges.set(key, change);
+        }
+        // Bulk work (imports, rebuilds) is announced without listing every row
+        if (change.ids.size >= MAX_ANNOUNCED_IDS) {
+            change.truncated = true;
+        } else {
+            change.ids.add(String(rowId));
+        }
+    }
 
-            // Save backup history with checksum (NOT ENCRYPTED - plain SQLite file)
-            this.insert('backup_history', {
-                id: `backup_${Date.now()}`,
-                backupPath: backupPath,
-                backupType: 'manual',
-                fileSize: fileSize,
-                checksum: checksum,
-                encrypted: 0, // Always 0 for manual backups - no encryption
-                createdAt: new Date().toISOString()
-            });
+    /**
+     * Changes noted since the last call, then forgotten.
+     * @returns {Array<{table: string, operation: string, ids: string[]}>} ids is empty when
+     *   too many rows changed to list them (pages reload the whole table)
+     */
+    takeDataChanges() {
+        const changes = [...this.pendingDataChanges.values()].map(change => ({
+            table: change.table,
+            operation: change.operation,
+            ids: change.truncated ? [] : [...change.ids]
+        }));
+        this.pendingDataChanges.clear();
+        return changes;
+    }
+
+    /**
+     * Search the audit log (newest first).
+     * @param {Object} filters - {userId, tableName, operation, dateFrom, dateTo (YYYY-MM-DD), documentNumber, limit}
+     * @returns {{success: boolean, entries?: Array, total?: number, error?: string}}
+     */
+    searchAuditLog(filters = {}) {
+        try {
+            const conditions = [];
+            const params = [];
+            if (filters.userId) {
+                conditions.push('userId = ?');
+                params.push(filters.userId);
+            }
+            if (filters.tableName) {
+                conditions.push('tableName = ?');
+                params.push(filters.tableName);
+            }
+            if (filters.operation) {
+                conditions.push('operation = ?');
+                params.push(filters.operation);
+            }
+            if (filters.dateFrom) {
+                conditions.push('createdAt >= ?');
+                params.push(filters.dateFrom);
+            }
+            if (filters.dateTo) {
+                // createdAt is a full ISO timestamp; include the whole last day
+                conditions.push('createdAt < date(?, \'+1 day\')');
+                params.push(filters.dateTo);
+            }
+            if (filters.documentNumber) {
+                conditions.push('(documentNumber LIKE ? OR rowId = ?)');
+                params.push(`%${filters.documentNumber}%`, filters.documentNumber);
+            }
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            const limit = Math.min(parseInt(filters.limit, 10) || 1000, 5000);
 
-            return { success: true, fileSize: fileSize, checksum, encrypted: false };
+            const total = this.db.prepare(`SELECT COUNT(*) as count FROM audit_log ${where}`).get(...params).count;
+            const entries = this.db.prepare(`
+                SELECT * FROM audit_log ${where}
+                ORDER BY createdAt DESC, id DESC
+                LIMIT ?
+            `).all(...params, limit);
+            return { success: true, entries, total };
         } catch (error) {
-            console.error('Error creating backup:', error);
-            // Fallback: try using copyFileSync
-            try {
-                if (fs.existsSync(this.dbPath)) {
-                    // Checkpoint again
-                    this.db.pragma('wal_checkpoint(FULL)');
-                    // Copy the database file
-                    fs.copyFileSync(this.dbPath, backupPath);
-                    const fileSize = fs.statSync(backupPath).size;
-                    if (fileSize > 0) {
-                        // Integrity Check for fallback backup
-                        let testDb = null;
-                        try {
-                            testDb = new Database(backupPath, { readonly: true });
-                            const integrityResult = testDb.pragma('integrity_check');
-                            testDb.close();
-                            
-                            if (integrityResult !== 'ok' && typeof integrityResult === 'string' && integrityResult.trim() !== 'ok') {
-                                throw new Error(`Backup integrity check failed: ${integrityResult}`);
-                            }
-                        } catch (integrityError) {
-                            if (testDb && testDb.open) {
-                                testDb.close();
-                            }
-                            if (fs.existsSync(backupPath)) {
-                                fs.unlinkSync(backupPath);
-                            }
-                            throw integrityError;
-                        }
+            console.error('[Audit] Error searching audit log:', error);
+            return { success: false, error: error.message };
+        }
+    }
 
-                        // Calculate checksum for backup file
-                        const fileSize = fs.statSync(backupPath).size;
-                        const fileBuffer = fs.readFileSync(backupPath);
-                        const checksum = crypto.createHash('sha256').update(fileBuffer).digest('hex');
+    // ============================================================
+    // Stock Movements Ledger
+    // ============================================================
+    // Every change to products.stock is written as a row in stock_movements
+    // (signed quantity in the smallest unit), so products.stock always equals
+    // the sum of the product's movements and can be rebuilt at any date.
 
-                        // Save backup history with checksum (NOT ENCRYPTED - plain SQLite file)
-                        this.insert('backup_history', {
-                            id: `backup_${Date.now()}`,
-                            backupPath: backupPath,
-                            backupType: 'manual',
-                            fileSize: backupFileSize,
-                            checksum: checksum,
-                            encrypted: 0, // Always 0 for manual backups - no encryption
-                            createdAt: new Date().toISOString()
-                        });
-                        return { success: true, fileSize: backupFileSize, checksum, encrypted: false };
+    // Insert a ledger row without touching products.stock.
+    // Used when the stock column has already been written (direct product insert/update).
+    insertStockMovement(movement) {
+        const now = new Date().toISOString();
+        const row = {
+            id: movement.id || `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            productId: movement.productId,
+            quantity: parseFloat(movement.quantity) || 0,
+            sourceType: movement.sourceType || 'manual',
+            sourceId: movement.sourceId || null,
+            sourceNumber: movement.sourceNumber || null,
+            price: movement.price !== undefined && movement.price !== null ? parseFloat(movement.price) || 0 : null,
+            notes: movement.notes || null,
+            date: movement.date || now.split('T')[0],
+            // The acting user comes from the audit context (the session user), never from a page
+            userId: (this.auditContext && this.auditContext.userId) || movement.userId || null,
+            createdAt: now
+        };
+        this.db.prepare(`
+            INSERT INTO stock_movements (id, productId, quantity, sourceType, sourceId, sourceNumber, price, notes, date, userId, createdAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(row.id, row.productId, row.quantity, row.sourceType, row.sourceId, row.sourceNumber,
+            row.price, row.notes, row.date, row.userId, row.createdAt);
+        this.noteDataChange('stock_movements', row.id, 'insert');
+        return row;
+    }
+
+    // Record a stock movement and apply it to products.stock (call inside a transaction)
+    recordStockMovement(movement) {
+        const row = this.insertStockMovement(movement);
+        this.db.prepare(`UPDATE products SET stock = stock + ?, updatedAt = ? WHERE id = ?`)
+            .run(row.quantity, row.createdAt, row.productId);
+        // Stock changes are not audited row by row, but open pages still show the stock
+        this.noteDataChange('products', row.productId, 'update');
+        return row;
+    }
+
+    // Record the difference between two stock values written directly to products.stock
+    recordDirectStockChange(productId, oldStock, newStock, sourceType, date = null) {
+        const delta = (parseFloat(newStock) || 0) - (parseFloat(oldStock) || 0);
+        if (Math.abs(delta) < 1e-9) {
+            return null;
+        }
+        return this.insertStockMovement({
+            productId,
+            quantity: delta,
+            sourceType,
+            date,
+            notes: sourceType === 'opening_balance' ? 'رصيد افتتاحي' : 'تعديل مباشر لرصيد المنتج'
+        });
+    }
+
+    /**
+     * Get a product's movements with running balances (single query).
+     * Balances include movements before dateFrom, so balanceBefore is the real stock at that point.
+     * @param {string} productId
+     * @param {string} [dateFrom] - YYYY-MM-DD
+     * @param {string} [dateTo] - YYYY-MM-DD
+     * @returns {Array}
+     */
+    getStockMovements(productId, dateFrom = null, dateTo = null) {
+        return this.db.prepare(`
+            SELECT * FROM (
+                SELECT m.*, m.rowid AS seq,
+                    SUM(m.quantity) OVER (ORDER BY m.date, m.createdAt, m.rowid) AS balanceAfter
+                FROM stock_movements m
+                WHERE m.productId = ?
+            )
+            WHERE (? IS NULL OR date >= ?) AND (? IS NULL OR date <= ?)
+            ORDER BY date, createdAt, seq
+        `).all(productId, dateFrom || null, dateFrom || null, dateTo || null, dateTo || null)
+            .map(row => this.fromStorageMoney('stock_movements', { ...row, balanceBefore: row.balanceAfter - row.quantity }));
+    }
+
+    /**
+     * Stock of one product (or all products) as of the end of a given date.
+     * @param {string|null} productId - null for all products
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Array<{productId: string, stock: number}>}
+     */
+    getStockAtDate(productId, date) {
+        return this.db.prepare(`
+            SELECT p.id AS productId, COALESCE(SUM(m.quantity), 0) AS stock
+            FROM products p
+            LEFT JOIN stock_movements m ON m.productId = p.id AND m.date <= ?
+            WHERE (? IS NULL OR p.id = ?)
+            GROUP BY p.id
+        `).all(date, productId || null, productId || null);
+    }
+
+    /**
+     * Rebuild products.stock from the ledger. Each corrected product gets an audit entry.
+     * @param {string|null} productId - null to rebuild all products
+     * @returns {{success: boolean, corrected?: Array, error?: string}}
+     */
+    rebuildProductStock(productId = null) {
+        try {
+            const rebuild = this.db.transaction(() => {
+                const rows = this.db.prepare(`
+                    SELECT p.id, p.name, p.stock, COALESCE(SUM(m.quantity), 0) AS ledgerStock
+                    FROM products p
+                    LEFT JOIN stock_movements m ON m.productId = p.id
+                    WHERE (? IS NULL OR p.id = ?)
+                    GROUP BY p.id
+                `).all(productId || null, productId || null);
+
+                const corrected = [];
+                const now = new Date().toISOString();
+                for (const row of rows) {
+                    const currentStock = parseFloat(row.stock) || 0;
+                    if (Math.abs(currentStock - row.ledgerStock) > 1e-9) {
+                        const before = this.getAuditSnapshot('products', row.id);
+                        this.db.prepare('UPDATE products SET stock = ?, updatedAt = ? WHERE id = ?')
+                            .run(row.ledgerStock, now, row.id);
+                        this.writeAuditLog('products', row.id, 'update', before, this.getAuditSnapshot('products', row.id));
+                        corrected.push({ id: row.id, name: row.name, oldStock: currentStock, newStock: row.ledgerStock });
                     }
                 }
-            } catch (fallbackError) {
-                console.error('Fallback backup also failed:', fallbackError);
+                return corrected;
+            });
+
+            const corrected = rebuild();
+            if (corrected.length > 0) {
+                console.warn(`[Database] Rebuilt stock from ledger for ${corrected.length} products`);
             }
+            return { success: true, corrected };
+        } catch (error) {
+            console.error('[Database] Error rebuilding product stock:', error);
             return { success: false, error: error.message };
         }
     }
 
-    restoreBackup(backupPath) {
-        let currentBackupPath = null;
-        
+    // ============================================================
+    // Document Posting: Sales Invoices
+    // ============================================================
+
+    // Convert an invoice item quantity to the product's smallest unit
+    getItemQuantityInSmallestUnit(item, product) {
+        const quantity = parseFloat(item.quantity) || 0;
+        if (item.unit === 'largest') {
+            return quantity * (parseFloat(product.conversionFactor) || 1);
+        }
+        return quantity;
+    }
+
+    // Recompute a customer's firstTransactionDate from sales invoices and receipts
+    refreshCustomerFirstTransactionDate(customerId) {
+        this.db.prepare(`
+            UPDATE customers SET firstTransactionDate = (
+                SELECT MIN(date) FROM (
+                    SELECT date FROM sales_invoices WHERE customerId = ?
+                    UNION ALL
+                    SELECT date FROM receipts WHERE customerId = ?
+                )
+            ) WHERE id = ?
+        `).run(customerId, customerId, customerId);
+    }
+
+    /**
+     * Post a sales invoice (new or edited) atomically.
+     * Header, items, product stock and customer balance are written inside one
+     * transaction, so a failure at any step leaves the database untouched.
+     * Totals are recalculated here from the items instead of trusting the renderer.
+     * @param {Object} invoiceData - Invoice header (id present when editing; expectedUpdatedAt
+     *   rejects the edit with a conflict result if the invoice changed since it was opened)
+     * @param {Array} items - Invoice items ({productId, productName, unit, quantity, price})
+     * @returns {{success: boolean, invoice?: Object, error?: string, validationErrors?: Array}}
+     */
+    postSalesInvoice(invoiceData, items) {
+        const validationErrors = [];
+        const addError = (field, message) => validationErrors.push({ field, message });
+
         try {
-            // Validate backup path
-            if (!backupPath || typeof backupPath !== 'string') {
-                throw new Error('Invalid backup path');
-            }
-            
-            // Check if backup file exists
-            if (!fs.existsSync(backupPath)) {
-                throw new Error(`Backup file does not exist: ${backupPath}`);
+            const data = invoiceData || {};
+            const invoiceItems = Array.isArray(items) ? items : [];
+            const existingInvoice = data.id
+                ? this.db.prepare('SELECT * FROM sales_invoices WHERE id = ?').get(data.id)
+                : null;
+
+            // Optimistic concurrency: the renderer sends the updatedAt of the copy it edited
+            if (data.expectedUpdatedAt && (!existingInvoice || existingInvoice.updatedAt !== data.expectedUpdatedAt)) {
+                return this.getUpdateConflict('sales_invoices', data.id,
+                    this.getDocumentAuditSnapshot('sales_invoices', 'sales_invoice_items', data.id));
             }
 
-            // Verify backup file is a file, not a directory
-            const backupStats = fs.statSync(backupPath);
-            if (!backupStats.isFile()) {
-                throw new Error('Backup path is not a file');
+            // Header validation
+            if (!data.customerId) {
+                addError('customerId', 'يرجى اختيار العميل');
             }
-            
-            if (backupStats.size === 0) {
-                throw new Error('Backup file is empty');
+            if (!data.date) {
+                addError('date', 'يرجى إدخال تاريخ الفاتورة');
             }
-            
-            // Check if file is readable
-            try {
-                fs.accessSync(backupPath, fs.constants.R_OK);
-            } catch (accessError) {
-                throw new Error(`Backup file is not readable: ${accessError.message}`);
+            if (data.date && data.dueDate && new Date(data.dueDate) < new Date(data.date)) {
+                addError('dueDate', 'لا يمكن أن يكون تاريخ الاستحقاق قبل تاريخ الفاتورة');
+            }
+            if (invoiceItems.length === 0) {
+                addError('items', 'يرجى إضافة منتجات للفاتورة');
             }
 
-            // Verify backup checksum if available in history
-            let decryptedBackupPath = backupPath;
-            
-            try {
-                const backupRecord = this.db.prepare('SELECT encrypted, checksum FROM backup_history WHERE backupPath = ?').get(backupPath);
-                if (backupRecord && backupRecord.checksum) {
-                    // Verify backup checksum if available
-                    const fileBuffer = fs.readFileSync(backupPath);
-                    const currentChecksum = crypto.createHash('sha256').update(fileBuffer).digest('hex');
-                    if (currentChecksum !== backupRecord.checksum) {
-                        throw new Error('Backup file checksum mismatch - file may be corrupted');
-                    }
-                }
-            } catch (checksumError) {
-                // If checksum check fails, log but continue (backup might not have checksum)
-                console.warn('Checksum verification skipped:', checksumError.message);
+            const customer = data.customerId
+                ? this.db.prepare('SELECT * FROM customers WHERE id = ?').get(data.customerId)
+                : null;
+            if (data.customerId && !customer) {
+                addError('customerId', 'العميل غير موجود');
             }
 
-            // Integrity Check: Verify backup database before restore
-            let testDb = null;
-            try {
-                testDb = new Database(decryptedBackupPath, { readonly: true });
-                const integrityResult = testDb.pragma('integrity_check');
-                testDb.close();
-                
-                if (integrityResult !== 'ok' && typeof integrityResult === 'string' && integrityResult.trim() !== 'ok') {
-                    throw new Error(`Backup integrity check failed: ${integrityResult}`);
+            // Item validation (products must exist and quantities must be positive)
+            const productsById = new Map();
+            invoiceItems.forEach((item, index) => {
+                const product = item.productId
+                    ? this.db.prepare('SELECT * FROM products WHERE id = ?').get(item.productId)
+                    : null;
+                if (!product) {
+                    addError(`items[${index}].productId`, `المنتج غير موجود: ${item.productName || item.productId || ''}`);
+                    return;
                 }
-            } catch (integrityError) {
-                if (testDb && testDb.open) {
-                    testDb.close();
+                productsById.set(product.id, product);
+                if (!(parseFloat(item.quantity) > 0)) {
+                    addError(`items[${index}].quantity`, `كمية غير صحيحة للمنتج: ${product.name}`);
                 }
-                throw new Error(`Backup integrity verification failed: ${integrityError.message}`);
+                if (isNaN(parseFloat(item.price)) || parseFloat(item.price) < 0) {
+                    addError(`items[${index}].price`, `سعر غير صحيح للمنتج: ${product.name}`);
+                }
+            });
+
+            if (validationErrors.length > 0) {
+                return { success: false, error: validationErrors[0].message, validationErrors };
             }
 
-            // Check if backup is .db file or JSON
-            const isDbFile = decryptedBackupPath.toLowerCase().endsWith('.db') || 
-                           decryptedBackupPath.toLowerCase().endsWith('.sqlite') ||
-                           decryptedBackupPath.toLowerCase().endsWith('.sqlite3');
-            
-            if (isDbFile) {
-                // Verify userData directory is writable before proceeding
-                const userDataPath = app.getPath('userData');
-                try {
-                    fs.accessSync(userDataPath, fs.constants.W_OK);
-                } catch (accessError) {
-                    throw new Error(`Cannot write to user data directory: ${accessError.message}`);
+            // Totals in cents (recalculated from items; amounts from the page are in EGP)
+            const itemTotals = invoiceItems.map(item => Math.round(egpToCents(item.price) * (parseFloat(item.quantity) || 0)));
+            const subtotal = itemTotals.reduce((sum, itemTotal) => sum + itemTotal, 0);
+            const taxRate = parseFloat(data.taxRate) || 0;
+            const taxAmount = Math.round((subtotal * taxRate) / 100);
+            const shipping = egpToCents(data.shipping);
+            const discount = egpToCents(data.discount);
+            const total = subtotal + taxAmount + shipping - discount;
+            const paid = egpToCents(data.paid);
+            const remaining = total - paid;
+            const now = new Date().toISOString();
+            const invoiceId = existingInvoice ? existingInvoice.id : (data.id || Date.now().toString());
+
+            const post = this.db.transaction(() => {
+                const auditBefore = this.getDocumentAuditSnapshot('sales_invoices', 'sales_invoice_items', invoiceId);
+                const customersBefore = [...new Set([existingInvoice && existingInvoice.customerId, data.customerId])]
+                    .map(id => this.getAuditSnapshot('customers', id));
+
+                // 1) Revert the effects of the previous version of this invoice
+                if (existingInvoice) {
+                    const oldItems = this.db.prepare('SELECT * FROM sales_invoice_items WHERE invoiceId = ?').all(invoiceId);
+                    for (const oldItem of oldItems) {
+                        const oldProduct = this.db.prepare('SELECT * FROM products WHERE id = ?').get(oldItem.productId);
+                        if (oldProduct) {
+                            this.recordStockMovement({
+                                productId: oldProduct.id,
+                                quantity: this.getItemQuantityInSmallestUnit(oldItem, oldProduct),
+                                sourceType: 'sales_invoice',
+                                sourceId: invoiceId,
+                                sourceNumber: existingInvoice.invoiceNumber,
+                                price: oldItem.price,
+                                notes: 'عكس أثر الفاتورة قبل التعديل',
+                                date: existingInvoice.date
+                            });
+                        }
+                    }
+                    this.db.prepare('DELETE FROM sales_invoice_items WHERE invoiceId = ?').run(invoiceId);
+                    this.db.prepare(`UPDATE customers SET balance = balance - ?, updatedAt = ? WHERE id = ?`)
+                        .run(Math.round(parseFloat(existingInvoice.remaining) || 0), now, existingInvoice.customerId);
                 }
-                
-                // Backup current database (just in case) - BEFORE closing
-                currentBackupPath = this.dbPath + '.backup.' + Date.now();
-                if (fs.existsSync(this.dbPath)) {
-                    try {
-                        fs.copyFileSync(this.dbPath, currentBackupPath);
-                    } catch (copyError) {
-                        console.warn('Warning: Could not create backup of current database:', copyError.message);
-                        // Continue anyway - might not have permissions
+
+                // 2) Check stock availability against the (reverted) stock
+                const requiredByProduct = new Map();
+                for (const item of invoiceItems) {
+                    const product = productsById.get(item.productId);
+                    const required = this.getItemQuantityInSmallestUnit(item, product);
+                    requiredByProduct.set(product.id, (requiredByProduct.get(product.id) || 0) + required);
+                }
+                for (const [productId, required] of requiredByProduct) {
+                    const current = this.db.prepare('SELECT name, stock FROM products WHERE id = ?').get(productId);
+                    const available = parseFloat(current.stock) || 0;
+                    if (required > available + 1e-9) {
+                        addError('items', `الكمية المطلوبة من ${current.name} (${required}) أكبر من المتاح في المخزون (${available})`);
                     }
                 }
-                
-                // Close current database
-                try {
-                    this.db.close();
-                } catch (closeError) {
-                    console.warn('Warning: Error closing database:', closeError.message);
+                if (validationErrors.length > 0) {
+                    // Throwing rolls back the revert above
+                    const stockError = new Error(validationErrors[0].message);
+                    stockError.isValidationError = true;
+                    throw stockError;
                 }
-                
-                // Copy decrypted backup file to database location
-                try {
-                    fs.copyFileSync(decryptedBackupPath, this.dbPath);
-                } catch (copyError) {
-                    // Try to reopen database if copy failed
-                    try {
-                        this.db = new Database(this.dbPath);
-                        this.db.pragma('journal_mode = WAL');
-                        this.db.pragma('foreign_keys = ON');
-                    } catch (reopenError) {
-                        // Ignore
+
+                // 3) Balance snapshot (balance before this invoice, after reverting the old version)
+                const customerRow = this.db.prepare('SELECT balance FROM customers WHERE id = ?').get(data.customerId);
+                const oldBalance = Math.round(customerRow ? parseFloat(customerRow.balance) || 0 : 0);
+                const newBalance = oldBalance + remaining;
+
+                const header = {
+                    id: invoiceId,
+                    invoiceNumber: existingInvoice ? existingInvoice.invoiceNumber : data.invoiceNumber,
+                    customerId: data.customerId,
+                    date: data.date,
+                    dueDate: data.dueDate || '',
+                    invoiceType: data.invoiceType || (existingInvoice ? existingInvoice.invoiceType : 'normal') || 'normal',
+                    paymentMethod: data.paymentMethod || 'cash',
+                    notes: data.notes || '',
+                    deliveryNoteId: data.deliveryNoteId || null,
+                    deliveryNoteNumber: data.deliveryNoteNumber || null,
+                    subtotal,
+                    taxRate,
+                    taxAmount,
+                    shipping,
+                    discount,
+                    total,
+                    paid,
+                    remaining,
+                    oldBalance,
+                    oldBalancePlusTotal: oldBalance + total,
+                    newBalance,
+                    remainingWithOldBalance: newBalance,
+                    updatedAt: now
+                };
+
+                if (!header.invoiceNumber) {
+                    throw new Error('Invoice number is required');
+                }
+                const duplicate = this.db.prepare('SELECT id FROM sales_invoices WHERE invoiceNumber = ? AND id != ?')
+                    .get(header.invoiceNumber, invoiceId);
+                if (duplicate) {
+                    addError('invoiceNumber', 'رقم الفاتورة موجود بالفعل. يرجى المحاولة مرة أخرى');
+                    const duplicateError = new Error(validationErrors[0].message);
+                    duplicateError.isValidationError = true;
+                    throw duplicateError;
+                }
+
+                // 4) Header
+                if (existingInvoice) {
+                    const keys = Object.keys(header).filter(key => key !== 'id');
+                    this.db.prepare(`UPDATE sales_invoices SET ${keys.map(key => `${key} = ?`).join(', ')} WHERE id = ?`)
+                        .run(...keys.map(key => header[key]), invoiceId);
+                } else {
+                    header.createdBy = data.createdBy || null;
+                    header.createdAt = data.createdAt || now;
+                    const keys = Object.keys(header);
+                    this.db.prepare(`INSERT INTO sales_invoices (${keys.join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`)
+                        .run(...keys.map(key => header[key]));
+                }
+
+                // 5) Items and stock
+                const insertItem = this.db.prepare(`
+                    INSERT INTO sales_invoice_items (id, invoiceId, productId, productName, unit, quantity, price, total)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                `);
+                const savedItems = [];
+                invoiceItems.forEach((item, index) => {
+                    const product = productsById.get(item.productId);
+                    const quantity = parseFloat(item.quantity) || 0;
+                    const price = egpToCents(item.price);
+                    const savedItem = {
+                        id: `${Date.now()}-${index}-${Math.random().toString(36).substr(2, 9)}`,
+                        invoiceId,
+                        productId: product.id,
+                        productName: item.productName || product.name,
+                        unit: item.unit || 'smallest',
+                        quantity,
+                        price,
+                        total: itemTotals[index]
+                    };
+                    insertItem.run(savedItem.id, savedItem.invoiceId, savedItem.productId, savedItem.productName,
+                        savedItem.unit, savedItem.quantity, savedItem.price, savedItem.total);
+                    this.recordStockMovement({
+                        productId: product.id,
+                        quantity: -this.getItemQuantityInSmallestUnit(item, product),
+                        sourceType: 'sales_invoice',
+                        sourceId: invoiceId,
+                        sourceNumber: header.invoiceNumber,
+                        price,
+                        date: header.date
+                    });
+                    this.db.prepare(`UPDATE products SET lastSaleDate = ? WHERE id = ?`).run(now, product.id);
+                    savedItems.push(savedItem);
+                });
+
+                // 6) Customer balance and transaction dates
+                this.db.prepare(`UPDATE customers SET balance = ?, lastTransactionDate = ?, updatedAt = ? WHERE id = ?`)
+                    .run(newBalance, now, now, data.customerId);
+                // An edit that moved the invoice to another customer changes both customers' first date
+                if (existingInvoice && existingInvoice.customerId !== data.customerId) {
+                    this.refreshCustomerFirstTransactionDate(existingInvoice.customerId);
+                }
+                this.refreshCustomerFirstTransactionDate(data.customerId);
+
+                const savedInvoice = this.db.prepare('SELECT * FROM sales_invoices WHERE id = ?').get(invoiceId);
+
+                // 7) Audit trail
+                this.writeAuditLog('sales_invoices', invoiceId, existingInvoice ? 'update' : 'insert',
+                    auditBefore, { ...savedInvoice, items: savedItems });
+                this.writeEntityAuditLogs('customers', customersBefore);
+
+                return this.fromStorageDocument('sales_invoices', { ...savedInvoice, items: savedItems });
+            });
+
+            const invoice = post();
+
+            try {
+                this.checkpoint();
+            } catch (checkpointError) {
+                console.warn(`[Database] Checkpoint after sales invoice post failed (non-critical): ${checkpointError.message}`);
+            }
+
+            return { success: true, invoice };
+        } catch (error) {
+            if (error.isValidationError) {
+                return { success: false, error: error.message, validationErrors };
+            }
+            console.error('[Database] Error posting sales invoice:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ============================================================
+    // Document Posting: Purchase Invoices
+    // ============================================================
+
+    // Undo the stock and supplier-balance effects of a saved purchase invoice and
+    // remove its items. Must run inside a transaction. Returns the affected product ids.
+    revertPurchaseInvoiceEffects(invoice, now) {
+        const productIds = new Set();
+        const oldItems = this.db.prepare('SELECT * FROM purchase_invoice_items WHERE invoiceId = ?').all(invoice.id);
+        for (const oldItem of oldItems) {
+            const oldProduct = this.db.prepare('SELECT * FROM products WHERE id = ?').get(oldItem.productId);
+            if (oldProduct) {
+                this.recordStockMovement({
+                    productId: oldProduct.id,
+                    quantity: -this.getItemQuantityInSmallestUnit(oldItem, oldProduct),
+                    sourceType: 'purchase_invoice',
+                    sourceId: invoice.id,
+                    sourceNumber: invoice.invoiceNumber,
+                    price: oldItem.price,
+                    notes: 'عكس أثر الفاتورة',
+                    date: invoice.date
+                });
+                productIds.add(oldProduct.id);
+            }
+        }
+        this.db.prepare('DELETE FROM purchase_invoice_items WHERE invoiceId = ?').run(invoice.id);
+        this.db.prepare(`UPDATE suppliers SET balance = balance - ?, updatedAt = ? WHERE id = ?`)
+            .run(Math.round(parseFloat(invoice.remaining) || 0), now, invoice.supplierId);
+        return productIds;
+    }
+
+    // Throw a validation error if any of the products ended up with negative stock
+    // (by default: part of the purchased quantity was already sold, so it cannot be removed)
+    assertStockNotNegative(productIds, validationErrors, messageFor = (name) => `لا يمكن إتمام العملية: تم بيع جزء من الكمية المشتراة من ${name}`) {
+        for (const productId of productIds) {
+            const current = this.db.prepare('SELECT name, stock FROM products WHERE id = ?').get(productId);
+            if (current && (parseFloat(current.stock) || 0) < -1e-9) {
+                validationErrors.push({
+                    field: 'items',
+                    message: messageFor(current.name)
+                });
+            }
+        }
+        if (validationErrors.length > 0) {
+            // Throwing rolls back the whole transaction
+            const stockError = new Error(validationErrors[0].message);
+            stockError.isValidationError = true;
+            throw stockError;
+        }
+    }
+
+    // Recompute a supplier's firstTransactionDate from purchase invoices and payments
+    refreshSupplierFirstTransactionDate(supplierId) {
+        this.db.prepare(`
+            UPDATE suppliers SET firstTransactionDate = (
+                SELECT MIN(date) FROM (
+                    SELECT date FROM purchase_invoices WHERE supplierId = ?
+                    UNION ALL
+                    SELECT date FROM payments WHERE supplierId = ?
+                )
+            ) WHERE id = ?
+        `).run(supplierId, supplierId, supplierId);
+    }
+
+    /**
+     * Post a new purchase invoice atomically.
+     * @param {Object} invoiceData - Invoice header
+     * @param {Array} items - Invoice items ({productId, productName, category, unit, quantity, price})
+     * @returns {{success: boolean, invoice?: Object, error?: string, validationErrors?: Array}}
+     */
+    postPurchaseInvoice(invoiceData, items) {
+        const data = invoiceData || {};
+        if (data.id && this.db.prepare('SELECT id FROM purchase_invoices WHERE id = ?').get(data.id)) {
+            return { success: false, error: 'الفاتورة موجودة بالفعل' };
+        }
+        return this.savePurchaseInvoice(null, data, items);
+    }
+
+    /**
+     * Edit a saved purchase invoice atomically. The old version's stock and
+     * supplier balance are reverted before the new version is applied.
+     * @param {string} invoiceId - Id of the invoice being edited
+     * @param {Object} invoiceData - New invoice header
+     * @param {Array} items - New invoice items
+     * @returns {{success: boolean, invoice?: Object, error?: string, validationErrors?: Array}}
+     */
+    editPurchaseInvoice(invoiceId, invoiceData, items) {
+        const existingInvoice = invoiceId
+            ? this.db.prepare('SELECT * FROM purchase_invoices WHERE id = ?').get(invoiceId)
+            : null;
+        if (!existingInvoice) {
+            return { success: false, error: 'الفاتورة غير موجودة' };
+        }
+        // Optimistic concurrency: the renderer sends the updatedAt of the copy it edited
+        if (invoiceData && invoiceData.expectedUpdatedAt && existingInvoice.updatedAt !== invoiceData.expectedUpdatedAt) {
+            return this.getUpdateConflict('purchase_invoices', invoiceId,
+                this.getDocumentAuditSnapshot('purchase_invoices', 'purchase_invoice_items', invoiceId));
+        }
+        return this.savePurchaseInvoice(existingInvoice, { ...(invoiceData || {}), id: invoiceId }, items);
+    }
+
+    // Shared implementation of postPurchaseInvoice / editPurchaseInvoice.
+    // Header, items, product stock and supplier balance are written inside one
+    // transaction; totals are recalculated here from the items.
+    savePurchaseInvoice(existingInvoice, data, items) {
+        const validationErrors = [];
+        const addError = (field, message) => validationErrors.push({ field, message });
+
+        try {
+            const invoiceItems = Array.isArray(items) ? items : [];
+
+            // Header validation
+            if (!data.supplierId) {
+                addError('supplierId', 'يرجى اختيار المورد');
+            }
+            if (!data.date) {
+                addError('date', 'يرجى إدخال تاريخ الفاتورة');
+            }
+            if (data.date && data.dueDate && new Date(data.dueDate) < new Date(data.date)) {
+                addError('dueDate', 'لا يمكن أن يكون تاريخ الاستحقاق قبل تاريخ الفاتورة');
+            }
+            if (invoiceItems.length === 0) {
+                addError('items', 'يرجى إضافة منتجات للفاتورة');
+            }
+
+            const supplier = data.supplierId
+                ? this.db.prepare('SELECT id FROM suppliers WHERE id = ?').get(data.supplierId)
+                : null;
+            if (data.supplierId && !supplier) {
+                addError('supplierId', 'المورد غير موجود');
+            }
+
+            // Item validation (products must exist and quantities must be positive)
+            const productsById = new Map();
+            invoiceItems.forEach((item, index) => {
+                const product = item.productId
+                    ? this.db.prepare('SELECT * FROM products WHERE id = ?').get(item.productId)
+                    : null;
+                if (!product) {
+                    addError(`items[${index}].productId`, `المنتج غير موجود: ${item.productName || item.productId || ''}`);
+                    return;
+                }
+                productsById.set(product.id, product);
+                if (!(parseFloat(item.quantity) > 0)) {
+                    addError(`items[${index}].quantity`, `كمية غير صحيحة للمنتج: ${product.name}`);
+                }
+                if (isNaN(parseFloat(item.price)) || parseFloat(item.price) < 0) {
+                    addError(`items[${index}].price`, `سعر غير صحيح للمنتج: ${product.name}`);
+                }
+            });
+
+            if (validationErrors.length > 0) {
+                return { success: false, error: validationErrors[0].message, validationErrors };
+            }
+
+            // Totals in cents (recalculated from items; purchase invoices carry no tax)
+            const itemTotals = invoiceItems.map(item => Math.round(egpToCents(item.price) * (parseFloat(item.quantity) || 0)));
+            const subtotal = itemTotals.reduce((sum, itemTotal) => sum + itemTotal, 0);
+            const shipping = egpToCents(data.shipping);
+            const discount = egpToCents(data.discount);
+            const total = subtotal + shipping - discount;
+            const paid = egpToCents(data.paid);
+            const remaining = total - paid;
+            const now = new Date().toISOString();
+            const invoiceId = existingInvoice ? existingInvoice.id : (data.id || Date.now().toString());
+
+            const post = this.db.transaction(() => {
+                const auditBefore = this.getDocumentAuditSnapshot('purchase_invoices', 'purchase_invoice_items', invoiceId);
+                const suppliersBefore = [...new Set([existingInvoice && existingInvoice.supplierId, data.supplierId])]
+                    .map(id => this.getAuditSnapshot('suppliers', id));
+
+                // 1) Revert the effects of the previous version of this invoice
+                const revertedProductIds = existingInvoice
+                    ? this.revertPurchaseInvoiceEffects(existingInvoice, now)
+                    : new Set();
+
+                // 2) Balance snapshot (balance before this invoice, after reverting the old version)
+                const supplierRow = this.db.prepare('SELECT balance FROM suppliers WHERE id = ?').get(data.supplierId);
+                const oldBalance = Math.round(supplierRow ? parseFloat(supplierRow.balance) || 0 : 0);
+                const newBalance = oldBalance + remaining;
+
+                const header = {
+                    id: invoiceId,
+                    invoiceNumber: existingInvoice ? existingInvoice.invoiceNumber : data.invoiceNumber,
+                    supplierId: data.supplierId,
+                    date: data.date,
+                    dueDate: data.dueDate || '',
+                    invoiceType: data.invoiceType || (existingInvoice ? existingInvoice.invoiceType : 'normal') || 'normal',
+                    paymentMethod: data.paymentMethod || 'cash',
+                    notes: data.notes || '',
+                    subtotal,
+                    taxRate: 0,
+                    taxAmount: 0,
+                    shipping,
+                    discount,
+                    total,
+                    paid,
+                    remaining,
+                    oldBalance,
+                    oldBalancePlusTotal: oldBalance + total,
+                    newBalance,
+                    remainingWithOldBalance: newBalance,
+                    updatedAt: now
+                };
+
+                if (!header.invoiceNumber) {
+                    throw new Error('Invoice number is required');
+                }
+                const duplicate = this.db.prepare('SELECT id FROM purchase_invoices WHERE invoiceNumber = ? AND id != ?')
+                    .get(header.invoiceNumber, invoiceId);
+                if (duplicate) {
+                    addError('invoiceNumber', 'رقم الفاتورة موجود بالفعل. يرجى المحاولة مرة أخرى');
+                    const duplicateError = new Error(validationErrors[0].message);
+                    duplicateError.isValidationError = true;
+                    throw duplicateError;
+                }
+
+                // 3) Header
+                if (existingInvoice) {
+                    const keys = Object.keys(header).filter(key => key !== 'id');
+                    this.db.prepare(`UPDATE purchase_invoices SET ${keys.map(key => `${key} = ?`).join(', ')} WHERE id = ?`)
+                        .run(...keys.map(key => header[key]), invoiceId);
+                } else {
+                    header.createdBy = data.createdBy || null;
+                    header.createdAt = data.createdAt || now;
+                    const keys = Object.keys(header);
+                    this.db.prepare(`INSERT INTO purchase_invoices (${keys.join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`)
+                        .run(...keys.map(key => header[key]));
+                }
+
+                // 4) Items and stock
+                const insertItem = this.db.prepare(`
+                    INSERT INTO purchase_invoice_items (id, invoiceId, productId, productName, category, unit, quantity, price, total)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `);
+                const savedItems = [];
+                invoiceItems.forEach((item, index) => {
+                    const product = productsById.get(item.productId);
+                    const quantity = parseFloat(item.quantity) || 0;
+                    const price = egpToCents(item.price);
+                    const savedItem = {
+                        id: `${Date.now()}-${index}-${Math.random().toString(36).substr(2, 9)}`,
+                        invoiceId,
+                        productId: product.id,
+                        productName: item.productName || product.name,
+                        category: item.category || product.category || '',
+                        unit: item.unit || 'smallest',
+                        quantity,
+                        price,
+                        total: itemTotals[index]
+                    };
+                    insertItem.run(savedItem.id, savedItem.invoiceId, savedItem.productId, savedItem.productName,
+                        savedItem.category, savedItem.unit, savedItem.quantity, savedItem.price, savedItem.total);
+                    this.recordStockMovement({
+                        productId: product.id,
+                        quantity: this.getItemQuantityInSmallestUnit(item, product),
+                        sourceType: 'purchase_invoice',
+                        sourceId: invoiceId,
+                        sourceNumber: header.invoiceNumber,
+                        price,
+                        date: header.date
+                    });
+                    savedItems.push(savedItem);
+                });
+
+                // 5) An edit must not remove quantities that were already sold
+                this.assertStockNotNegative(revertedProductIds, validationErrors);
+
+                // 6) Supplier balance and transaction dates
+                this.db.prepare(`UPDATE suppliers SET balance = ?, lastTransactionDate = ?, updatedAt = ? WHERE id = ?`)
+                    .run(newBalance, now, now, data.supplierId);
+                this.refreshSupplierFirstTransactionDate(data.supplierId);
+                if (existingInvoice && existingInvoice.supplierId !== data.supplierId) {
+                    this.refreshSupplierFirstTransactionDate(existingInvoice.supplierId);
+                }
+
+                const savedInvoice = this.db.prepare('SELECT * FROM purchase_invoices WHERE id = ?').get(invoiceId);
+
+                // 7) Audit trail
+                this.writeAuditLog('purchase_invoices', invoiceId, existingInvoice ? 'update' : 'insert',
+                    auditBefore, { ...savedInvoice, items: savedItems });
+                this.writeEntityAuditLogs('suppliers', suppliersBefore);
+
+                return this.fromStorageDocument('purchase_invoices', { ...savedInvoice, items: savedItems });
+            });
+
+            const invoice = post();
+
+            try {
+                this.checkpoint();
+            } catch (checkpointError) {
+                console.warn(`[Database] Checkpoint after purchase invoice post failed (non-critical): ${checkpointError.message}`);
+            }
+
+            return { success: true, invoice };
+        } catch (error) {
+            if (error.isValidationError) {
+                return { success: false, error: error.message, validationErrors };
+            }
+            console.error('[Database] Error posting purchase invoice:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Delete a purchase invoice atomically by moving it to the recycle bin,
+     * removing its stock and supplier-balance effects together with the invoice rows.
+     * @param {string} invoiceId - Id of the invoice to delete
+     * @returns {{success: boolean, invoice?: Object, error?: string, validationErrors?: Array}}
+     */
+    deletePurchaseInvoice(invoiceId) {
+        const existingInvoice = invoiceId
+            ? this.db.prepare('SELECT * FROM purchase_invoices WHERE id = ?').get(invoiceId)
+            : null;
+        if (!existingInvoice) {
+            return { success: false, error: 'الفاتورة غير موجودة' };
+        }
+
+        const result = this.moveToRecycleBin('purchase_invoices', invoiceId);
+        if (!result.success) {
+            return result;
+        }
+        return { success: true, invoice: { ...result.row, items: result.children.purchase_invoice_items } };
+    }
+
+    // ============================================================
+    // Document Posting: Stock Documents
+    // ============================================================
+    // Inventory adjustments, returns and delivery settlements are saved together with
+    // their stock movements (and, for returns, the balance change) in one transaction.
+
+    // Ids and stock of products after a posting, for the page to update its local copies
+    getProductStocks(productIds) {
+        return [...new Set(productIds)]
+            .map(productId => this.db.prepare('SELECT id, stock FROM products WHERE id = ?').get(productId))
+            .filter(Boolean);
+    }
+
+    // Commit a posting's work to the main database file (failures are not critical)
+    checkpointAfterPosting(label) {
+        try {
+            this.checkpoint();
+        } catch (checkpointError) {
+            console.warn(`[Database] Checkpoint after ${label} failed (non-critical): ${checkpointError.message}`);
+        }
+    }
+
+    /**
+     * Save an inventory adjustment (new or edited) with its stock movement atomically.
+     * The new stock is computed here from the type and the product's current stock;
+     * an edit first reverses the movements of the saved version.
+     * @param {Object} adjustmentData - {id?, adjustmentNumber, productId, date, type: 'increase'|'decrease'|'set', quantity, reason, notes}
+     * @returns {{success: boolean, adjustment?: Object, products?: Array<{id: string, stock: number}>, error?: string, validationErrors?: Array}}
+     */
+    postInventoryAdjustment(adjustmentData) {
+        const validationErrors = [];
+        const addError = (field, message) => validationErrors.push({ field, message });
+
+        try {
+            const data = adjustmentData || {};
+            const existing = data.id
+                ? this.db.prepare('SELECT * FROM inventory_adjustments WHERE id = ?').get(data.id)
+                : null;
+            const product = data.productId
+                ? this.db.prepare('SELECT * FROM products WHERE id = ?').get(data.productId)
+                : null;
+            const quantity = parseFloat(data.quantity);
+
+            if (!product) {
+                addError('productId', 'المنتج غير موجود');
+            }
+            if (!['increase', 'decrease', 'set'].includes(data.type)) {
+                addError('type', 'نوع عملية الجرد غير صحيح');
+            }
+            if (!(quantity >= 0)) {
+                addError('quantity', 'يرجى إدخال كمية صحيحة');
+            }
+            if (!data.date) {
+                addError('date', 'يرجى إدخال تاريخ العملية');
+            }
+            if (!existing && !data.adjustmentNumber) {
+                addError('adjustmentNumber', 'رقم عملية الجرد مطلوب');
+            }
+            if (validationErrors.length > 0) {
+                return { success: false, error: validationErrors[0].message, validationErrors };
+            }
+
+            const now = new Date().toISOString();
+            const adjustmentId = existing ? existing.id : (data.id || Date.now().toString());
+            const context = this.auditContext || {};
+
+            const post = this.db.transaction(() => {
+                const productIds = [product.id];
+                if (existing) {
+                    const effects = this.getDocumentStockEffects('inventory_adjustments', existing, {});
+                    this.applyRecycleBinEffects('inventory_adjustments', existing, { stock: effects }, -1, 'عكس أثر عملية الجرد قبل التعديل');
+                    productIds.push(...effects.map(effect => effect.productId));
+                }
+
+                const oldStock = parseFloat(this.db.prepare('SELECT stock FROM products WHERE id = ?').get(product.id).stock) || 0;
+                const newStock = data.type === 'increase'
+                    ? oldStock + quantity
+                    : (data.type === 'decrease' ? Math.max(0, oldStock - quantity) : quantity);
+                const row = {
+                    id: adjustmentId,
+                    adjustmentNumber: existing ? existing.adjustmentNumber : data.adjustmentNumber,
+                    productId: product.id,
+                    date: data.date,
+                    type: data.type,
+                    quantity,
+                    reason: data.reason || '',
+                    notes: data.notes || '',
+                    oldStock,
+                    newStock,
+                    userId: existing ? existing.userId : (context.userId || null),
+                    createdBy: existing ? existing.createdBy : (data.createdBy || null),
+                    createdAt: existing ? existing.createdAt : now
+                };
+
+                if (Math.abs(newStock - oldStock) > 1e-9) {
+                    this.recordStockMovement({
+                        productId: product.id,
+                        quantity: newStock - oldStock,
+                        sourceType: 'inventory_adjustment',
+                        sourceId: adjustmentId,
+                        sourceNumber: row.adjustmentNumber,
+                        notes: row.reason,
+                        date: row.date
+                    });
+                }
+
+                const keys = Object.keys(row);
+                if (existing) {
+                    const updateKeys = keys.filter(key => key !== 'id');
+                    this.db.prepare(`UPDATE inventory_adjustments SET ${updateKeys.map(key => `${key} = ?`).join(', ')} WHERE id = ?`)
+                        .run(...updateKeys.map(key => row[key]), adjustmentId);
+                } else {
+                    this.db.prepare(`INSERT INTO inventory_adjustments (${keys.join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`)
+                        .run(...keys.map(key => row[key]));
+                }
+
+                const saved = this.db.prepare('SELECT * FROM inventory_adjustments WHERE id = ?').get(adjustmentId);
+                this.writeAuditLog('inventory_adjustments', adjustmentId, existing ? 'update' : 'insert', existing || null, saved);
+                return { adjustment: saved, products: this.getProductStocks(productIds) };
+            });
+
+            const result = post();
+            this.checkpointAfterPosting('inventory adjustment post');
+            return { success: true, ...result };
+        } catch (error) {
+            console.error('[Database] Error posting inventory adjustment:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Save a new return with its stock movement and balance change atomically.
+     * The total is recalculated here; the stock changes only when restoredToStock is 'true'
+     * (not for damaged or expired goods) and the customer/supplier balance only when
+     * restoreBalance is 'true', the same effects the recycle bin reverses (RECYCLE_BIN_TABLES.returns).
+     * @param {Object} returnData - Return row as the page builds it (amounts in EGP)
+     * @returns {{success: boolean, return?: Object, products?: Array<{id: string, stock: number}>, error?: string, validationErrors?: Array}}
+     */
+    postReturn(returnData) {
+        const validationErrors = [];
+        const addError = (field, message) => validationErrors.push({ field, message });
+
+        try {
+            const data = returnData || {};
+            const isCustomerReturn = data.returnType === 'from_customer';
+            const entityTable = isCustomerReturn ? 'customers' : 'suppliers';
+            const product = data.productId
+                ? this.db.prepare('SELECT * FROM products WHERE id = ?').get(data.productId)
+                : null;
+            const entity = data.entityId
+                ? this.db.prepare(`SELECT * FROM ${entityTable} WHERE id = ?`).get(data.entityId)
+                : null;
+            const quantity = parseFloat(data.quantity);
+
+            if (!['from_customer', 'to_supplier'].includes(data.returnType)) {
+                addError('returnType', 'يرجى اختيار نوع المرتجع');
+            } else if (!entity) {
+                addError('entityId', isCustomerReturn ? 'العميل غير موجود' : 'المورد غير موجود');
+            }
+            if (!product) {
+                addError('productId', 'المنتج غير موجود');
+            }
+            if (!(quantity > 0)) {
+                addError('quantity', 'يرجى إدخال كمية صحيحة');
+            }
+            if (isNaN(parseFloat(data.unitPrice)) || parseFloat(data.unitPrice) < 0) {
+                addError('unitPrice', 'يرجى إدخال سعر الوحدة');
+            }
+            if (!data.returnReason) {
+                addError('returnReason', 'يرجى اختيار سبب المرتجع');
+            }
+            if (!data.date) {
+                addError('date', 'يرجى اختيار التاريخ');
+            }
+            if (!data.returnNumber) {
+                addError('returnNumber', 'رقم المرتجع مطلوب');
+            }
+            if (validationErrors.length > 0) {
+                return { success: false, error: validationErrors[0].message, validationErrors };
+            }
+
+            const now = new Date().toISOString();
+            const returnId = data.id || Date.now().toString();
+            const unitPrice = egpToCents(data.unitPrice);
+            const totalAmount = Math.round(unitPrice * quantity);
+            const restoredToStock = String(data.restoredToStock) === 'true' ? 'true' : 'false';
+            const restoreBalance = String(data.restoreBalance) === 'true' ? 'true' : 'false';
+            const context = this.auditContext || {};
+
+            const post = this.db.transaction(() => {
+                const entityBefore = this.getAuditSnapshot(entityTable, entity.id);
+                const oldBalance = Math.round(parseFloat(entityBefore.balance) || 0);
+                const row = {
+                    id: returnId,
+                    returnNumber: data.returnNumber,
+                    productId: product.id,
+                    date: data.date,
+                    operationType: data.operationType || 'return',
+                    returnType: data.returnType,
+                    entityId: entity.id,
+                    entityType: isCustomerReturn ? 'customer' : 'supplier',
+                    invoiceId: data.invoiceId || null,
+                    invoiceType: data.invoiceId ? (data.invoiceType || null) : null,
+                    invoiceNumber: data.invoiceId ? (data.invoiceNumber || null) : null,
+                    quantity,
+                    unitPrice,
+                    totalAmount,
+                    returnReason: data.returnReason,
+                    isDamaged: String(data.isDamaged) === 'true' ? 'true' : 'false',
+                    restoredToStock,
+                    restoreBalance,
+                    notes: data.notes || '',
+                    userId: context.userId || null,
+                    oldBalance,
+                    newBalance: restoreBalance === 'true' ? oldBalance - totalAmount : oldBalance,
+                    createdAt: now,
+                    updatedAt: now
+                };
+                const keys = Object.keys(row);
+                this.db.prepare(`INSERT INTO returns (${keys.join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`)
+                    .run(...keys.map(key => row[key]));
+
+                const effects = {
+                    stock: RECYCLE_BIN_TABLES.returns.legacyStock(this, row),
+                    balance: RECYCLE_BIN_TABLES.returns.balance(row)
+                };
+                const entityBeforeRows = this.applyRecycleBinEffects('returns', row, effects, 1,
+                    isCustomerReturn ? 'مرتجع من عميل' : 'مرتجع إلى مورد');
+                const productIds = effects.stock.map(effect => effect.productId);
+                this.assertStockNotNegative(productIds, validationErrors,
+                    (name) => `لا يمكن إتمام المرتجع: رصيد ${name} لا يكفي`);
+
+                const saved = this.db.prepare('SELECT * FROM returns WHERE id = ?').get(returnId);
+                this.writeAuditLog('returns', returnId, 'insert', null, saved);
+                this.writeEntityAuditLogs(entityTable, entityBeforeRows);
+                return { return: this.fromStorageMoney('returns', saved), products: this.getProductStocks(productIds) };
+            });
+
+            const result = post();
+            this.checkpointAfterPosting('return post');
+            return { success: true, ...result };
+        } catch (error) {
+            if (error.isValidationError) {
+                return { success: false, error: error.message, validationErrors };
+            }
+            console.error('[Database] Error posting return:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Save a delivery settlement (new or edited) atomically: header, items, the stock put
+     * back (issued less sold, in the smallest unit) and the delivery note's 'settled' status.
+     * An edit first reverses the stock movements of the saved version.
+     * @param {Object} settlementData - Settlement header (id present when editing)
+     * @param {Array} items - [{productId, productName, productCode, issuedQuantity, soldQuantity, returnedQuantity, rejectedQuantity, difference, unit, notes}]
+     * @returns {{success: boolean, settlement?: Object, products?: Array<{id: string, stock: number}>, error?: string, validationErrors?: Array}}
+     */
+    postDeliverySettlement(settlementData, items) {
+        const validationErrors = [];
+        const addError = (field, message) => validationErrors.push({ field, message });
+
+        try {
+            const data = settlementData || {};
+            const settlementItems = Array.isArray(items) ? items : [];
+            const existing = data.id
+                ? this.db.prepare('SELECT * FROM delivery_settlements WHERE id = ?').get(data.id)
+                : null;
+            const deliveryNoteId = existing ? existing.deliveryNoteId : data.deliveryNoteId;
+            const deliveryNote = deliveryNoteId
+                ? this.db.prepare('SELECT * FROM delivery_notes WHERE id = ?').get(deliveryNoteId)
+                : null;
+
+            if (!deliveryNote) {
+                addError('deliveryNoteId', 'إذن الصرف غير موجود');
+            } else if (!existing) {
+                if (deliveryNote.status === 'settled') {
+                    addError('deliveryNoteId', 'لا يمكن عمل تسوية لإذن صرف تمت تسويته بالفعل');
+                } else if (this.db.prepare('SELECT id FROM delivery_settlements WHERE deliveryNoteId = ?').get(deliveryNoteId)) {
+                    addError('deliveryNoteId', 'تم عمل تسوية لهذا إذن الصرف بالفعل');
+                }
+            }
+            if (!data.date) {
+                addError('date', 'يرجى إدخال تاريخ التسوية');
+            }
+            if (!existing && !data.settlementNumber) {
+                addError('settlementNumber', 'رقم التسوية مطلوب');
+            }
+            if (settlementItems.length === 0) {
+                addError('items', 'لا توجد عناصر للتسوية');
+            }
+            settlementItems.forEach((item, index) => {
+                if (!item.productId || !this.db.prepare('SELECT id FROM products WHERE id = ?').get(item.productId)) {
+                    addError(`items[${index}].productId`, `المنتج غير موجود: ${item.productName || item.productId || ''}`);
+                }
+            });
+            if (validationErrors.length > 0) {
+                return { success: false, error: validationErrors[0].message, validationErrors };
+            }
+
+            const now = new Date().toISOString();
+            const settlementId = existing ? existing.id : (data.id || Date.now().toString());
+
+            const post = this.db.transaction(() => {
+                const childrenOf = (id) => ({
+                    settlement_items: this.db.prepare('SELECT * FROM settlement_items WHERE settlementId = ?').all(id)
+                });
+                const productIds = [];
+                const auditBefore = existing ? { ...existing, ...childrenOf(settlementId) } : null;
+
+                // 1) Reverse the stock of the saved version and drop its items
+                if (existing) {
+                    const effects = this.getDocumentStockEffects('delivery_settlements', existing, childrenOf(settlementId));
+                    this.applyRecycleBinEffects('delivery_settlements', existing, { stock: effects }, -1, 'عكس أثر التسوية قبل التعديل');
+                    productIds.push(...effects.map(effect => effect.productId));
+                    this.db.prepare('DELETE FROM settlement_items WHERE settlementId = ?').run(settlementId);
+                }
+
+                // 2) Header
+                const header = {
+                    id: settlementId,
+                    settlementNumber: existing ? existing.settlementNumber : data.settlementNumber,
+                    deliveryNoteId,
+                    date: data.date,
+                    salesRepId: data.salesRepId || deliveryNote.salesRepId || '',
+                    salesRepName: data.salesRepName || '',
+                    warehouseKeeperName: data.warehouseKeeperName || deliveryNote.warehouseKeeperName || '',
+                    status: 'completed',
+                    notes: data.notes || '',
+                    updatedAt: now
+                };
+                if (existing) {
+                    const keys = Object.keys(header).filter(key => key !== 'id');
+                    this.db.prepare(`UPDATE delivery_settlements SET ${keys.map(key => `${key} = ?`).join(', ')} WHERE id = ?`)
+                        .run(...keys.map(key => header[key]), settlementId);
+                } else {
+                    header.createdBy = data.createdBy || null;
+                    header.createdAt = now;
+                    const keys = Object.keys(header);
+                    this.db.prepare(`INSERT INTO delivery_settlements (${keys.join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`)
+                        .run(...keys.map(key => header[key]));
+                }
+
+                // 3) Items
+                const insertItem = this.db.prepare(`
+                    INSERT INTO settlement_items (id, settlementId, productId, productName, productCode, issuedQuantity, soldQuantity,
+                        returnedQuantity, rejectedQuantity, difference, unit, notes)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `);
+                settlementItems.forEach((item, index) => {
+                    insertItem.run(`${Date.now()}-${index}-${Math.random().toString(36).substr(2, 9)}`, settlementId,
+                        item.productId, item.productName || '', item.productCode || '',
+                        parseFloat(item.issuedQuantity) || 0, parseFloat(item.soldQuantity) || 0,
+                        parseFloat(item.returnedQuantity) || 0, parseFloat(item.rejectedQuantity) || 0,
+                        parseFloat(item.difference) || 0, item.unit || 'smallest', item.notes || '');
+                });
+
+                // 4) Stock: what was issued but not sold goes back to the warehouse
+                const saved = this.db.prepare('SELECT * FROM delivery_settlements WHERE id = ?').get(settlementId);
+                const children = childrenOf(settlementId);
+                const effects = RECYCLE_BIN_TABLES.delivery_settlements.legacyStock(this, saved, children)
+                    .filter(effect => Math.abs(effect.quantity) > 1e-9);
+                this.applyRecycleBinEffects('delivery_settlements', saved, { stock: effects }, 1, 'تسوية إذن صرف');
+                productIds.push(...effects.map(effect => effect.productId));
+                this.assertStockNotNegative(productIds, validationErrors,
+                    (name) => `لا يمكن حفظ التسوية: رصيد ${name} لا يكفي`);
+
+                // 5) Delivery note status and audit trail
+                this.updateLinkedDeliveryNoteStatus(saved, 'settled');
+                this.writeAuditLog('delivery_settlements', settlementId, existing ? 'update' : 'insert', auditBefore, { ...saved, ...children });
+                return { settlement: { ...saved, items: children.settlement_items }, products: this.getProductStocks(productIds) };
+            });
+
+            const result = post();
+            this.checkpointAfterPosting('delivery settlement post');
+            return { success: true, ...result };
+        } catch (error) {
+            if (error.isValidationError) {
+                return { success: false, error: error.message, validationErrors };
+            }
+            console.error('[Database] Error posting delivery settlement:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ============================================================
+    // Recycle Bin
+    // ============================================================
+    // Deleting a document or master record moves it, with its child rows, into
+    // recycle_bin. The stock and balance effects of a document are reversed on
+    // delete and re-applied when it is restored (see RECYCLE_BIN_TABLES).
+
+    // Stock effect of document items ({productId, quantity, unit}) in the smallest unit
+    getItemsStockEffects(items, sign) {
+        const effects = new Map();
+        (items || []).forEach(item => {
+            const product = this.db.prepare('SELECT * FROM products WHERE id = ?').get(item.productId);
+            if (product) {
+                const quantity = sign * this.getItemQuantityInSmallestUnit(item, product);
+                effects.set(product.id, (effects.get(product.id) || 0) + quantity);
+            }
+        });
+        return [...effects].map(([productId, quantity]) => ({ productId, quantity }));
+    }
+
+    // Net stock movement per product recorded in the ledger for one document
+    // (connection: the live database, or a backup opened for selective restore)
+    getDocumentStockEffects(table, row, children, connection = this.db) {
+        const config = RECYCLE_BIN_TABLES[table];
+        const effects = connection.prepare(`
+            SELECT productId, SUM(quantity) as quantity FROM stock_movements
+            WHERE sourceType = ? AND sourceId = ?
+            GROUP BY productId
+        `).all(config.stockSource, row.id).filter(effect => Math.abs(effect.quantity) > 1e-9);
+        if (effects.length === 0 && config.legacyStock) {
+            // Saved before the ledger existed - derive the effect from the document itself
+            return config.legacyStock(this, row, children).filter(effect => Math.abs(effect.quantity) > 1e-9);
+        }
+        return effects;
+    }
+
+    // Apply (sign 1) or reverse (sign -1) the stock and balance effects of a document.
+    // Returns the audit snapshots of the customers/suppliers taken before the change.
+    applyRecycleBinEffects(table, row, effects, sign, notes, userId) {
+        const now = new Date().toISOString();
+        const entityBefore = [];
+        (effects.stock || []).forEach(effect => {
+            this.recordStockMovement({
+                productId: effect.productId,
+                quantity: sign * effect.quantity,
+                sourceType: RECYCLE_BIN_TABLES[table].stockSource,
+                sourceId: row.id,
+                sourceNumber: this.getAuditDocumentNumber(row),
+                notes,
+                date: row.date,
+                userId
+            });
+        });
+        if (effects.balance && effects.balance.amount) {
+            entityBefore.push(this.getAuditSnapshot(effects.balance.table, effects.balance.id));
+            this.db.prepare(`UPDATE ${effects.balance.table} SET balance = balance + ?, updatedAt = ? WHERE id = ?`)
+                .run(sign * effects.balance.amount, now, effects.balance.id);
+        }
+        return entityBefore;
+    }
+
+    // Insert a row saved earlier (recycle bin, backup); columns dropped since are ignored
+    insertArchivedRow(table, data) {
+        const columns = this.db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+        const keys = Object.keys(data).filter(key => columns.includes(key));
+        this.db.prepare(`INSERT INTO ${table} (${keys.join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`)
+            .run(...keys.map(key => data[key]));
+    }
+
+    // Write the status of the delivery note linked to a settlement
+    updateLinkedDeliveryNoteStatus(row, status) {
+        if (row.deliveryNoteId) {
+            this.db.prepare('UPDATE delivery_notes SET status = ?, updatedAt = ? WHERE id = ?')
+                .run(status, new Date().toISOString(), row.deliveryNoteId);
+        }
+    }
+
+    // Arabic message for constraint errors raised while deleting or restoring
+    getRecycleBinErrorMessage(error, operation) {
+        const code = error && error.code ? String(error.code) : '';
+        if (code.startsWith('SQLITE_CONSTRAINT_FOREIGNKEY')) {
+            return operation === 'delete'
+                ? 'لا يمكن حذف السجل لارتباطه ببيانات أخرى'
+                : 'لا يمكن الاستعادة: بعض البيانات المرتبطة بهذا السجل محذوفة، يرجى استعادتها أولاً';
+        }
+        if (code.startsWith('SQLITE_CONSTRAINT_UNIQUE') || code.startsWith('SQLITE_CONSTRAINT_PRIMARYKEY')) {
+            return 'لا يمكن الاستعادة: يوجد سجل آخر بنفس الرقم أو الكود';
+        }
+        return error.message;
+    }
+
+    /**
+     * Delete a row by moving it (and its child rows) to the recycle bin.
+     * Stock and balance effects of documents are reversed in the same transaction.
+     * @param {string} table - One of RECYCLE_BIN_TABLES
+     * @param {string} id
+     * @param {string} [userId] - User performing the deletion (recorded in the stock ledger)
+     * @returns {{success: boolean, entryId?: string, row?: Object, children?: Object, products?: Array<{id: string, stock: number}>, error?: string, validationErrors?: Array}}
+     */
+    moveToRecycleBin(table, id, userId = null) {
+        const config = RECYCLE_BIN_TABLES[table];
+        if (!config) {
+            return { success: false, error: `لا يمكن حذف بيانات الجدول ${table} إلى سلة المحذوفات` };
+        }
+        const validationErrors = [];
+
+        try {
+            if (!this.getAuditSnapshot(table, id)) {
+                return { success: false, error: 'السجل غير موجود' };
+            }
+
+            const remove = this.db.transaction(() => this.moveRowToRecycleBin(table, id, userId, validationErrors));
+            const result = remove();
+
+            try {
+                this.checkpoint();
+            } catch (checkpointError) {
+                console.warn(`[Database] Checkpoint after recycle bin delete failed (non-critical): ${checkpointError.message}`);
+            }
+
+            return {
+                success: true,
+                ...result,
+                row: this.fromStorageMoney(table, result.row),
+                children: this.fromStorageDocument(null, result.children)
+            };
+        } catch (error) {
+            if (error.isValidationError) {
+                return { success: false, error: error.message, validationErrors };
+            }
+            console.error(`[Database] Error moving ${table} id ${id} to recycle bin:`, error);
+            return { success: false, error: this.getRecycleBinErrorMessage(error, 'delete') };
+        }
+    }
+
+    // Body of moveToRecycleBin, run inside its transaction. Documents that depend on the row
+    // (config.dependents, e.g. the settlements of a delivery note) go to the recycle bin first,
+    // each as its own entry, so they are deleted together with the row or not at all.
+    moveRowToRecycleBin(table, id, userId, validationErrors) {
+        const config = RECYCLE_BIN_TABLES[table];
+        const dependentProductIds = [];
+        (config.dependents || []).forEach(dependent => {
+            this.db.prepare(`SELECT id FROM ${dependent.table} WHERE ${dependent.foreignKey} = ?`).all(id).forEach(({ id: dependentId }) => {
+                const moved = this.moveRowToRecycleBin(dependent.table, dependentId, userId, validationErrors);
+                dependentProductIds.push(...moved.products.map(product => product.id));
+            });
+        });
+
+        // Read after the dependents moved: deleting a settlement changes its delivery note's status
+        const row = this.getAuditSnapshot(table, id);
+        const context = this.auditContext || {};
+        const now = new Date().toISOString();
+        const children = {};
+        (config.children || []).forEach(child => {
+            children[child.table] = this.db.prepare(`SELECT * FROM ${child.table} WHERE ${child.foreignKey} = ?`).all(id);
+        });
+        const effects = {
+            stock: config.stockSource ? this.getDocumentStockEffects(table, row, children) : [],
+            balance: config.balance ? config.balance(row) : null
+        };
+
+        const entityBefore = this.applyRecycleBinEffects(table, row, effects, -1, 'نقل إلى سلة المحذوفات', userId);
+        const productIds = effects.stock.map(effect => effect.productId);
+        this.assertStockNotNegative(productIds, validationErrors,
+            table === 'purchase_invoices' ? undefined : (name) => `لا يمكن الحذف: رصيد ${name} لا يكفي لعكس أثر المستند`);
+
+        // Children first (not every child table cascades)
+        (config.children || []).forEach(child => {
+            this.db.prepare(`DELETE FROM ${child.table} WHERE ${child.foreignKey} = ?`).run(id);
+        });
+        this.db.prepare(`DELETE FROM ${table} WHERE id = ?`).run(id);
+        if (config.linkedNote) {
+            this.updateLinkedDeliveryNoteStatus(row, config.linkedNote.onDelete);
+        }
+        if (config.afterChange) {
+            config.afterChange(this, row);
+        }
+
+        const entryId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        this.db.prepare(`
+            INSERT INTO recycle_bin (id, tableName, rowId, documentNumber, data, deletedBy, deletedByName, deletedAt, source)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            entryId,
+            table,
+            String(id),
+            this.getAuditDocumentNumber(row) || row.name || null,
+            JSON.stringify({ row, children, effects }),
+            context.userId || userId || null,
+            context.username || null,
+            now,
+            context.source || null
+        );
+
+        this.writeAuditLog(table, id, 'delete', { ...row, ...children }, null);
+        this.writeEntityAuditLogs(effects.balance ? effects.balance.table : table, entityBefore);
+
+        const products = [...new Set([...productIds, ...dependentProductIds])]
+            .map(productId => this.db.prepare('SELECT id, stock FROM products WHERE id = ?').get(productId)).filter(Boolean);
+        return { entryId, row, children, products };
+    }
+
+    /**
+     * Put a recycle-bin entry back and re-apply its stock and balance effects.
+     * @param {string} entryId - recycle_bin id
+     * @param {string} [userId] - User performing the restore
+     * @returns {{success: boolean, row?: Object, products?: Array<{id: string, stock: number}>, error?: string, validationErrors?: Array}}
+     */
+    restoreFromRecycleBin(entryId, userId = null) {
+        const validationErrors = [];
+
+        try {
+            const entry = this.db.prepare('SELECT * FROM recycle_bin WHERE id = ?').get(entryId);
+            if (!entry) {
+                return { success: false, error: 'العنصر غير موجود في سلة المحذوفات' };
+            }
+            if (entry.restoredAt) {
+                return { success: false, error: 'تمت استعادة هذا العنصر من قبل' };
+            }
+            const config = RECYCLE_BIN_TABLES[entry.tableName];
+            if (!config) {
+                return { success: false, error: `لا يمكن استعادة بيانات الجدول ${entry.tableName}` };
+            }
+
+            const { row, children = {}, effects = {} } = JSON.parse(entry.data);
+            if (this.getAuditSnapshot(entry.tableName, row.id)) {
+                return { success: false, error: 'السجل موجود بالفعل ولا يمكن استعادته مرة أخرى' };
+            }
+            if (effects.balance && effects.balance.amount && !this.getAuditSnapshot(effects.balance.table, effects.balance.id)) {
+                return {
+                    success: false,
+                    error: effects.balance.table === 'customers' ? 'يجب استعادة العميل أولاً' : 'يجب استعادة المورد أولاً'
+                };
+            }
+            const missingProduct = (effects.stock || []).find(effect => !this.getAuditSnapshot('products', effect.productId));
+            if (missingProduct) {
+                return { success: false, error: 'يجب استعادة المنتجات المحذوفة المرتبطة بهذا المستند أولاً' };
+            }
+
+            const context = this.auditContext || {};
+            const now = new Date().toISOString();
+            const restore = this.db.transaction(() => {
+                this.insertArchivedRow(entry.tableName, row);
+                Object.keys(children).forEach(childTable => {
+                    children[childTable].forEach(child => this.insertArchivedRow(childTable, child));
+                });
+
+                const entityBefore = this.applyRecycleBinEffects(entry.tableName, row, effects, 1, 'استعادة من سلة المحذوفات', userId);
+                const productIds = (effects.stock || []).map(effect => effect.productId);
+                this.assertStockNotNegative(productIds, validationErrors,
+                    (name) => `لا يمكن الاستعادة: رصيد ${name} الحالي لا يكفي`);
+                if (config.linkedNote) {
+                    this.updateLinkedDeliveryNoteStatus(row, config.linkedNote.onRestore);
+                }
+                if (config.afterChange) {
+                    config.afterChange(this, row);
+                }
+
+                this.db.prepare('UPDATE recycle_bin SET restoredAt = ?, restoredBy = ? WHERE id = ?')
+                    .run(now, context.username || context.userId || userId || null, entryId);
+                this.writeAuditLog(entry.tableName, row.id, 'restore', null, { ...row, ...children });
+                this.writeEntityAuditLogs(effects.balance ? effects.balance.table : entry.tableName, entityBefore);
+
+                const products = productIds.map(productId => this.db.prepare('SELECT id, stock FROM products WHERE id = ?').get(productId)).filter(Boolean);
+                return { row, products };
+            });
+
+            const result = restore();
+
+            try {
+                this.checkpoint();
+            } catch (checkpointError) {
+                console.warn(`[Database] Checkpoint after recycle bin restore failed (non-critical): ${checkpointError.message}`);
+            }
+
+            return { success: true, ...result, row: this.fromStorageMoney(entry.tableName, result.row) };
+        } catch (error) {
+            if (error.isValidationError) {
+                return { success: false, error: error.message, validationErrors };
+            }
+            console.error(`[Database] Error restoring recycle bin entry ${entryId}:`, error);
+            return { success: false, error: this.getRecycleBinErrorMessage(error, 'restore') };
+        }
+    }
+
+    /**
+     * List recycle-bin entries (newest first), without the archived data.
+     * @param {Object} filters - {tableName, includeRestored, limit}
+     * @returns {{success: boolean, entries?: Array, error?: string}}
+     */
+    getRecycleBin(filters = {}) {
+        try {
+            const conditions = [];
+            const params = [];
+            if (filters.tableName) {
+                conditions.push('tableName = ?');
+                params.push(filters.tableName);
+            }
+            if (!filters.includeRestored) {
+                conditions.push('restoredAt IS NULL');
+            }
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            const limit = Math.min(parseInt(filters.limit, 10) || 1000, 5000);
+            const entries = this.db.prepare(`
+                SELECT id, tableName, rowId, documentNumber, deletedBy, deletedByName, deletedAt, source, restoredAt, restoredBy
+                FROM recycle_bin ${where}
+                ORDER BY deletedAt DESC
+                LIMIT ?
+            `).all(...params, limit);
+            return { success: true, entries };
+        } catch (error) {
+            console.error('[Database] Error reading recycle bin:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Permanently remove a recycle-bin entry
+    purgeRecycleBinEntry(entryId) {
+        try {
+            const entry = this.db.prepare('SELECT * FROM recycle_bin WHERE id = ?').get(entryId);
+            if (!entry) {
+                return { success: false, error: 'العنصر غير موجود في سلة المحذوفات' };
+            }
+            const purge = this.db.transaction(() => {
+                this.db.prepare('DELETE FROM recycle_bin WHERE id = ?').run(entryId);
+                if (!entry.restoredAt) {
+                    this.writeAuditLog(entry.tableName, entry.rowId, 'purge', JSON.parse(entry.data).row, null);
+                }
+            });
+            purge();
+            return { success: true };
+        } catch (error) {
+            console.error(`[Database] Error purging recycle bin entry ${entryId}:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Encryption/Decryption Functions for Backups
+    // Key of the first encrypted backups (AES-256-CBC). It depends on this installation's
+    // userData path, so those files only open on the PC that made them; kept for reading them.
+    getEncryptionKey() {
+        const userDataPath = this.userDataPath;
+        const keyMaterial = `asel-backup-encryption-${userDataPath}`;
+        // Use PBKDF2 to derive a 32-byte key (AES-256 requires 32 bytes)
+        const salt = 'asel-backup-salt-2025';
+        return crypto.pbkdf2Sync(keyMaterial, salt, 100000, 32, 'sha256');
+    }
+
+    /**
+     * Encrypt a plain backup file with the backup passphrase (see utils/backup-crypto.js).
+     * @param {string} inputPath - Plain SQLite backup
+     * @param {string} outputPath - May be the same as inputPath
+     * @param {{passphrase: string, recoveryKey?: string, hint?: string}} encryption
+     */
+    encryptBackupFile(inputPath, outputPath, encryption) {
+        try {
+            const encrypted = backupCrypto.encryptBackup(fs.readFileSync(inputPath), encryption);
+            // Write next to the target first so a failure never leaves half a file behind
+            const tempPath = `${outputPath}.tmp`;
+            fs.writeFileSync(tempPath, encrypted);
+            fs.renameSync(tempPath, outputPath);
+            return { success: true };
+        } catch (error) {
+            // An encrypted backup was asked for: do not leave the plain file in its place
+            if (inputPath === outputPath && fs.existsSync(inputPath)) {
+                fs.unlinkSync(inputPath);
+            }
+            throw new Error(`Encryption failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Decrypt a backup file to a plain SQLite file.
+     * Files in the current format need the passphrase or recovery key; older AES-256-CBC
+     * files are opened with this installation's key.
+     * @param {string} inputPath
+     * @param {string} outputPath
+     * @param {string|null} secret - Passphrase or recovery key
+     */
+    decryptBackupFile(inputPath, outputPath, secret = null) {
+        const encryptedBuffer = fs.readFileSync(inputPath);
+        if (backupCrypto.isEncryptedBackup(encryptedBuffer)) {
+            fs.writeFileSync(outputPath, backupCrypto.decryptBackup(encryptedBuffer, secret));
+            return { success: true };
+        }
+        try {
+            // Legacy format: IV at the beginning of the file, no authentication
+            const key = this.getEncryptionKey();
+            const iv = encryptedBuffer.slice(0, 16);
+            const encryptedData = encryptedBuffer.slice(16);
+            
+            const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
+            const decrypted = Buffer.concat([decipher.update(encryptedData), decipher.final()]);
+            
+            fs.writeFileSync(outputPath, decrypted);
+            
+            return { success: true };
+        } catch (error) {
+            throw new Error(`Decryption failed (backups in the old format only open on the PC that created them): ${error.message}`);
+        }
+    }
+
+    /**
+     * How a backup file is stored, from its first bytes.
+     * @param {string} filePath
+     * @returns {'sqlite'|'encrypted'|'json'|'legacy-encrypted'}
+     */
+    getBackupFileFormat(filePath) {
+        const head = Buffer.alloc(16);
+        const fd = fs.openSync(filePath, 'r');
+        let bytesRead;
+        try {
+            bytesRead = fs.readSync(fd, head, 0, head.length, 0);
+        } finally {
+            fs.closeSync(fd);
+        }
+        if (backupCrypto.isEncryptedBackup(head.subarray(0, bytesRead))) {
+            return 'encrypted';
+        }
+        if (head.subarray(0, bytesRead).toString('latin1') === 'SQLite format 3\0') {
+            return 'sqlite';
+        }
+        const text = head.subarray(0, bytesRead).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+        return text.startsWith('{') ? 'json' : 'legacy-encrypted';
+    }
+
+    /**
+     * Hint saved in an encrypted backup (shown when asking for its passphrase).
+     * @param {string} filePath
+     * @returns {string}
+     */
+    getBackupPassphraseHint(filePath) {
+        try {
+            const header = backupCrypto.readBackupHeader(fs.readFileSync(filePath));
+            return header ? header.hint || '' : '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+
+    // Backup Functions
+    // Manual backup - a plain SQLite database file (can be opened with SQLite tools),
+    // or, when a backup passphrase is set, the same file encrypted with it
+    async createBackup(backupPath, encryption = null) {
+        try {
+            // Ensure backup directory exists with error handling
+            const backupDir = path.dirname(backupPath);
+            if (!fs.existsSync(backupDir)) {
+                try {
+                    fs.mkdirSync(backupDir, { recursive: true });
+                } catch (mkdirError) {
+                    console.error('Error creating backup directory:', mkdirError);
+                    throw new Error(`Cannot create backup directory: ${backupDir}. Please check permissions.`);
+                }
+            }
+            
+            // Verify directory is writable
+            try {
+                fs.accessSync(backupDir, fs.constants.W_OK);
+            } catch (accessError) {
+                console.error('Backup directory is not writable:', accessError);
+                throw new Error(`Cannot write to backup directory: ${backupDir}. Please check permissions.`);
+            }
+
+            // Checkpoint WAL to ensure all data is in main database file
+            this.db.pragma('wal_checkpoint(FULL)');
+
+            // Remove destination file if it exists
+            if (fs.existsSync(backupPath)) {
+                fs.unlinkSync(backupPath);
+            }
+
+            // Check available disk space before backup
+            const dbStats = fs.statSync(this.dbPath);
+            const estimatedBackupSize = dbStats.size * 1.2; // Add 20% buffer
+            const backupDirStats = fs.statSync(backupDir);
+            if (backupDirStats.size !== undefined) {
+                // Try to get free space (works on some systems)
+                try {
+                    const freeSpace = require('os').freemem(); // This is RAM, not disk
+                    // For disk space, we'll check after creation
+                } catch (e) {
+                    // Ignore if can't check
+                }
+            }
+
+            // Use VACUUM INTO to create a complete backup (SQLite 3.27+)
+            // VACUUM INTO writes a plain file; it is encrypted after the integrity check
+            // Escape single quotes and convert backslashes to forward slashes for SQLite
+            const backupPathEscaped = backupPath.replace(/\\/g, '/').replace(/'/g, "''");
+            this.db.exec(`VACUUM INTO '${backupPathEscaped}'`);
+            
+            // Verify backup file exists and has content
+            if (!fs.existsSync(backupPath)) {
+                throw new Error('Backup file was not created');
+            }
+            
+            let fileSize = fs.statSync(backupPath).size;
+            if (fileSize === 0) {
+                throw new Error('Backup file is empty');
+            }
+
+            // Integrity Check: Verify backup database can be opened and is valid
+            let testDb = null;
+            try {
+                testDb = new Database(backupPath, { readonly: true });
+                const integrityResult = testDb.pragma('integrity_check');
+                testDb.close();
+                
+                // integrity_check returns 'ok' if valid, or error messages if not
+                if (integrityResult !== 'ok' && typeof integrityResult === 'string' && integrityResult.trim() !== 'ok') {
+                    throw new Error(`Backup integrity check failed: ${integrityResult}`);
+                }
+            } catch (integrityError) {
+                if (testDb && testDb.open) {
+                    testDb.close();
+                }
+                // Delete invalid backup file
+                if (fs.existsSync(backupPath)) {
+                    fs.unlinkSync(backupPath);
+                }
+                throw new Error(`Backup integrity verification failed: ${integrityError.message}`);
+            }
+
+            if (encryption) {
+                this.encryptBackupFile(backupPath, backupPath, encryption);
+            }
+
+            // Calculate checksum for backup file (of the file as saved, encrypted or not)
+            fileSize = fs.statSync(backupPath).size;
+            const fileBuffer = fs.readFileSync(backupPath);
+            const checksum = crypto.createHash('sha256').update(fileBuffer).digest('hex');
+
+            // Test restore before anything else is written, so the live counts still match
+            const verification = this.verifyBackupFile(backupPath, { passphrase: encryption && encryption.passphrase });
+
+            // Save backup history with checksum
+            this.insert('backup_history', {
+                id: `backup_${Date.now()}`,
+                backupPath: backupPath,
+                backupType: 'manual',
+                fileSize: fileSize,
+                checksum: checksum,
+                encrypted: encryption ? 1 : 0,
+                verificationStatus: verification.status,
+                verifiedAt: verification.verifiedAt,
+                verificationDetails: JSON.stringify(verification.details),
+                createdAt: new Date().toISOString()
+            });
+
+            return { success: true, fileSize: fileSize, checksum, encrypted: !!encryption, verification: verification.status };
+        } catch (error) {
+            console.error('Error creating backup:', error);
+            // Fallback: try using copyFileSync
+            try {
+                if (fs.existsSync(this.dbPath)) {
+                    // Checkpoint again
+                    this.db.pragma('wal_checkpoint(FULL)');
+                    // Copy the database file
+                    fs.copyFileSync(this.dbPath, backupPath);
+                    const fileSize = fs.statSync(backupPath).size;
+                    if (fileSize > 0) {
+                        // Integrity Check for fallback backup
+                        let testDb = null;
+                        try {
+                            testDb = new Database(backupPath, { readonly: true });
+                            const integrityResult = testDb.pragma('integrity_check');
+                            testDb.close();
+                            
+                            if (integrityResult !== 'ok' && typeof integrityResult === 'string' && integrityResult.trim() !== 'ok') {
+                                throw new Error(`Backup integrity check failed: ${integrityResult}`);
+                            }
+                        } catch (integrityError) {
+                            if (testDb && testDb.open) {
+                                testDb.close();
+                            }
+                            if (fs.existsSync(backupPath)) {
+                                fs.unlinkSync(backupPath);
+                            }
+                            throw integrityError;
+                        }
+
+                        if (encryption) {
+                            this.encryptBackupFile(backupPath, backupPath, encryption);
+                        }
+
+                        // Calculate checksum for backup file
+                        const backupFileSize = fs.statSync(backupPath).size;
+                        const fileBuffer = fs.readFileSync(backupPath);
+                        const checksum = crypto.createHash('sha256').update(fileBuffer).digest('hex');
+
+                        // Test restore before anything else is written, so the live counts still match
+                        const verification = this.verifyBackupFile(backupPath, { passphrase: encryption && encryption.passphrase });
+
+                        // Save backup history with checksum
+                        this.insert('backup_history', {
+                            id: `backup_${Date.now()}`,
+                            backupPath: backupPath,
+                            backupType: 'manual',
+                            fileSize: backupFileSize,
+                            checksum: checksum,
+                            encrypted: encryption ? 1 : 0,
+                            verificationStatus: verification.status,
+                            verifiedAt: verification.verifiedAt,
+                            verificationDetails: JSON.stringify(verification.details),
+                            createdAt: new Date().toISOString()
+                        });
+                        return { success: true, fileSize: backupFileSize, checksum, encrypted: !!encryption, verification: verification.status };
+                    }
+                }
+            } catch (fallbackError) {
+                console.error('Fallback backup also failed:', fallbackError);
+            }
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Replace the database with a backup.
+     * @param {string} backupPath
+     * @param {{passphrase?: string}} [options] - Passphrase or recovery key of an encrypted backup
+     * @returns {{success: boolean, error?: string, needsPassphrase?: boolean, hint?: string}}
+     *          needsPassphrase: the backup is encrypted and no (or a wrong) passphrase was given
+     */
+    restoreBackup(backupPath, { passphrase = null } = {}) {
+        let currentBackupPath = null;
+        let decryptedBackupPath = backupPath;
+        
+        try {
+            // Validate backup path
+            if (!backupPath || typeof backupPath !== 'string') {
+                throw new Error('Invalid backup path');
+            }
+            
+            // Check if backup file exists
+            if (!fs.existsSync(backupPath)) {
+                throw new Error(`Backup file does not exist: ${backupPath}`);
+            }
+
+            // Verify backup file is a file, not a directory
+            const backupStats = fs.statSync(backupPath);
+            if (!backupStats.isFile()) {
+                throw new Error('Backup path is not a file');
+            }
+            
+            if (backupStats.size === 0) {
+                throw new Error('Backup file is empty');
+            }
+            
+            // Check if file is readable
+            try {
+                fs.accessSync(backupPath, fs.constants.R_OK);
+            } catch (accessError) {
+                throw new Error(`Backup file is not readable: ${accessError.message}`);
+            }
+
+            // Verify backup checksum if available in history
+            try {
+                const backupRecord = this.db.prepare('SELECT encrypted, checksum FROM backup_history WHERE backupPath = ?').get(backupPath);
+                if (backupRecord && backupRecord.checksum) {
+                    // Verify backup checksum if available
+                    const fileBuffer = fs.readFileSync(backupPath);
+                    const currentChecksum = crypto.createHash('sha256').update(fileBuffer).digest('hex');
+                    if (currentChecksum !== backupRecord.checksum) {
+                        throw new Error('Backup file checksum mismatch - file may be corrupted');
+                    }
+                }
+            } catch (checksumError) {
+                // If checksum check fails, log but continue (backup might not have checksum)
+                console.warn('Checksum verification skipped:', checksumError.message);
+            }
+
+            // Encrypted backups are checked and restored from a decrypted copy next to the database
+            const backupFormat = this.getBackupFileFormat(backupPath);
+            if (backupFormat === 'encrypted' || backupFormat === 'legacy-encrypted') {
+                if (backupFormat === 'encrypted' && !passphrase) {
+                    return {
+                        success: false,
+                        needsPassphrase: true,
+                        hint: this.getBackupPassphraseHint(backupPath),
+                        error: 'Backup is encrypted: enter its passphrase or recovery key'
+                    };
+                }
+                decryptedBackupPath = `${this.dbPath}.restore-${Date.now()}.db`;
+                try {
+                    this.decryptBackupFile(backupPath, decryptedBackupPath, passphrase);
+                } catch (decryptError) {
+                    if (decryptError.code === 'WRONG_BACKUP_SECRET') {
+                        return {
+                            success: false,
+                            needsPassphrase: true,
+                            hint: this.getBackupPassphraseHint(backupPath),
+                            error: decryptError.message
+                        };
+                    }
+                    throw decryptError;
+                }
+            }
+
+            // Integrity Check: Verify backup database before restore
+            let testDb = null;
+            try {
+                testDb = new Database(decryptedBackupPath, { readonly: true });
+                const integrityResult = testDb.pragma('integrity_check');
+                testDb.close();
+                
+                if (integrityResult !== 'ok' && typeof integrityResult === 'string' && integrityResult.trim() !== 'ok') {
+                    throw new Error(`Backup integrity check failed: ${integrityResult}`);
+                }
+            } catch (integrityError) {
+                if (testDb && testDb.open) {
+                    testDb.close();
+                }
+                throw new Error(`Backup integrity verification failed: ${integrityError.message}`);
+            }
+
+            // Check if backup is .db file or JSON
+            const isDbFile = decryptedBackupPath.toLowerCase().endsWith('.db') || 
+                           decryptedBackupPath.toLowerCase().endsWith('.sqlite') ||
+                           decryptedBackupPath.toLowerCase().endsWith('.sqlite3');
+            
+            if (isDbFile) {
+                // Verify userData directory is writable before proceeding
+                const userDataPath = this.userDataPath;
+                try {
+                    fs.accessSync(userDataPath, fs.constants.W_OK);
+                } catch (accessError) {
+                    throw new Error(`Cannot write to user data directory: ${accessError.message}`);
+                }
+                
+                // Backup current database (just in case) - BEFORE closing
+                currentBackupPath = this.dbPath + '.backup.' + Date.now();
+                if (fs.existsSync(this.dbPath)) {
+                    try {
+                        fs.copyFileSync(this.dbPath, currentBackupPath);
+                    } catch (copyError) {
+                        console.warn('Warning: Could not create backup of current database:', copyError.message);
+                        // Continue anyway - might not have permissions
+                    }
+                }
+                
+                // Close current database
+                try {
+                    this.db.close();
+                } catch (closeError) {
+                    console.warn('Warning: Error closing database:', closeError.message);
+                }
+                
+                // Copy decrypted backup file to database location
+                try {
+                    fs.copyFileSync(decryptedBackupPath, this.dbPath);
+                } catch (copyError) {
+                    // Try to reopen database if copy failed
+                    try {
+                        this.db = new Database(this.dbPath);
+                        this.db.pragma('journal_mode = WAL');
+                        this.db.pragma('foreign_keys = ON');
+                    } catch (reopenError) {
+                        // Ignore
+                    }
+                    throw new Error(`Cannot copy backup file: ${copyError.message}`);
+                }
+                
+                // Reopen database connection
+                try {
+                    this.db = new Database(this.dbPath);
+                    this.db.pragma('journal_mode = WAL');
+                    this.db.pragma('foreign_keys = ON');
+                } catch (reopenError) {
+                    throw new Error(`Cannot reopen database: ${reopenError.message}`);
+                }
+                
+                // Verify Schema after restore
+                try {
+                    const tables = this.db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'").all();
+                    const requiredTables = ['users', 'products', 'customers', 'suppliers', 'sales_invoices', 'purchase_invoices'];
+                    const existingTables = tables.map(t => t.name);
+                    const missingTables = requiredTables.filter(t => !existingTables.includes(t));
+                    
+                    if (missingTables.length > 0) {
+                        throw new Error(`Schema verification failed: Missing tables: ${missingTables.join(', ')}`);
+                    }
+                } catch (schemaError) {
+                    // Rollback: Restore original database
+                    this.db.close();
+                    if (fs.existsSync(currentBackupPath)) {
+                        fs.copyFileSync(currentBackupPath, this.dbPath);
+                    }
+                    this.db = new Database(this.dbPath);
+                    this.db.pragma('journal_mode = WAL');
+                    this.db.pragma('foreign_keys = ON');
+                    throw new Error(`Schema verification failed: ${schemaError.message}. Original database restored.`);
+                }
+                
+                return { success: true };
+            } else {
+                // Handle JSON backup (for backward compatibility)
+                const backup = JSON.parse(fs.readFileSync(backupPath, 'utf8'));
+                
+                // Begin transaction
+                const transaction = this.db.transaction((tables) => {
+                    // Clear existing data
+                    Object.keys(tables).forEach(table => {
+                        this.db.prepare(`DELETE FROM ${table}`).run();
+                    });
+
+                    // Restore data
+                    Object.keys(tables).forEach(table => {
+                        if (tables[table] && tables[table].length > 0) {
+                            const keys = Object.keys(tables[table][0]);
+                            const placeholders = keys.map(() => '?').join(', ');
+                            const insertSql = `INSERT INTO ${table} (${keys.join(', ')}) VALUES (${placeholders})`;
+                            const insertStmt = this.db.prepare(insertSql);
+                            
+                            tables[table].forEach(row => {
+                                const values = keys.map(key => row[key]);
+                                insertStmt.run(...values);
+                            });
+                        }
+                    });
+                });
+
+                transaction(backup.tables);
+                return { success: true };
+            }
+        } catch (error) {
+            // Rollback: If restore failed and we have a backup, restore it
+            if (currentBackupPath && fs.existsSync(currentBackupPath)) {
+                try {
+                    if (this.db && this.db.open) {
+                        this.db.close();
+                    }
+                    if (fs.existsSync(this.dbPath)) {
+                        fs.unlinkSync(this.dbPath);
+                    }
+                    fs.copyFileSync(currentBackupPath, this.dbPath);
+                    this.db = new Database(this.dbPath);
+                    this.db.pragma('journal_mode = WAL');
+                    this.db.pragma('foreign_keys = ON');
+                    console.log('✅ Rollback successful: Original database restored');
+                } catch (rollbackError) {
+                    console.error('❌ Rollback failed:', rollbackError);
+                }
+            } else {
+                // If database was closed, try to reopen it
+                if (!this.db || !this.db.open) {
+                    try {
+                        this.db = new Database(this.dbPath);
+                        this.db.pragma('journal_mode = WAL');
+                        this.db.pragma('foreign_keys = ON');
+                    } catch (reopenError) {
+                        console.error('❌ Failed to reopen database:', reopenError);
+                    }
+                }
+            }
+            return { success: false, error: error.message };
+        } finally {
+            if (decryptedBackupPath !== backupPath && fs.existsSync(decryptedBackupPath)) {
+                fs.unlinkSync(decryptedBackupPath);
+            }
+        }
+    }
+
+    /**
+     * Test-restore a backup: open a copy in a temporary folder and run integrity_check.
+     * For a backup that was just made, also compare the row count of every table and the
+     * sales, purchase, stock and balance totals with the live database.
+     * @param {string} backupPath
+     * @param {{passphrase?: string, compareWithLive?: boolean}} [options]
+     * @returns {{status: 'verified'|'failed', verifiedAt: string, details: Object}}
+     *          Throws (code WRONG_BACKUP_SECRET) when an encrypted backup needs another passphrase
+     */
+    verifyBackupFile(backupPath, { passphrase = null, compareWithLive = true } = {}) {
+        const tempPath = path.join(os.tmpdir(), `asel-verify-${process.pid}-${Date.now()}.db`);
+        const details = { integrity: null, tables: 0, totals: {}, mismatches: [] };
+        let testDb = null;
+        try {
+            const format = this.getBackupFileFormat(backupPath);
+            if (format === 'encrypted' || format === 'legacy-encrypted') {
+                this.decryptBackupFile(backupPath, tempPath, passphrase);
+            } else if (format === 'sqlite') {
+                fs.copyFileSync(backupPath, tempPath);
+            } else {
+                throw new Error('Backup is not a database file');
+            }
+
+            testDb = new Database(tempPath, { readonly: true });
+            details.integrity = testDb.pragma('integrity_check', { simple: true });
+            if (details.integrity !== 'ok') {
+                throw new Error(`Integrity check failed: ${details.integrity}`);
+            }
+
+            const listTables = connection => connection
+                .prepare("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name").all()
+                .map(row => row.name)
+                .filter(name => !BACKUP_VERIFICATION_EXCLUDED_TABLE.test(name));
+            const backupTables = listTables(testDb);
+            details.tables = backupTables.length;
+            BACKUP_VERIFICATION_TOTALS.forEach(({ key, table, column }) => {
+                if (backupTables.includes(table)) {
+                    details.totals[key] = testDb.prepare(`SELECT COALESCE(SUM(${column}), 0) AS total FROM ${table}`).get().total;
+                }
+            });
+
+            if (compareWithLive) {
+                listTables(this.db).forEach(table => {
+                    const live = this.db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
+                    const copy = backupTables.includes(table)
+                        ? testDb.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count
+                        : null;
+                    if (copy !== live) {
+                        details.mismatches.push({ item: `${table} rows`, live, backup: copy });
+                    }
+                });
+                BACKUP_VERIFICATION_TOTALS.forEach(({ key, table, column }) => {
+                    const live = this.db.prepare(`SELECT COALESCE(SUM(${column}), 0) AS total FROM ${table}`).get().total;
+                    const copy = key in details.totals ? details.totals[key] : null;
+                    if (copy === null || Math.abs(copy - live) > 0.000001) {
+                        details.mismatches.push({ item: key, live, backup: copy });
+                    }
+                });
+            }
+        } catch (error) {
+            if (error.code === 'WRONG_BACKUP_SECRET') {
+                throw error;
+            }
+            details.error = error.message;
+        } finally {
+            if (testDb && testDb.open) {
+                testDb.close();
+            }
+            if (fs.existsSync(tempPath)) {
+                fs.unlinkSync(tempPath);
+            }
+        }
+
+        const status = !details.error && details.mismatches.length === 0 ? 'verified' : 'failed';
+        if (status === 'failed') {
+            console.error(`[Database] Backup verification failed for ${backupPath}:`, details.error || JSON.stringify(details.mismatches));
+        }
+        return { status, verifiedAt: new Date().toISOString(), details };
+    }
+
+    /**
+     * Test-restore an existing backup again (integrity only: the live data has moved on
+     * since it was made) and save the result in its backup history record.
+     * @param {string} backupPath
+     * @param {{passphrase?: string}} [options]
+     * @returns {{success: boolean, status?: string, details?: Object, error?: string, needsPassphrase?: boolean, hint?: string}}
+     */
+    reverifyBackup(backupPath, { passphrase = null } = {}) {
+        try {
+            if (!backupPath || !fs.existsSync(backupPath)) {
+                throw new Error(`Backup file does not exist: ${backupPath}`);
+            }
+            const verification = this.verifyBackupFile(backupPath, { passphrase, compareWithLive: false });
+            this.db.prepare(`
+                UPDATE backup_history SET verificationStatus = ?, verifiedAt = ?, verificationDetails = ?
+                WHERE backupPath = ?
+            `).run(verification.status, verification.verifiedAt, JSON.stringify(verification.details), backupPath);
+            return { success: true, status: verification.status, details: verification.details };
+        } catch (error) {
+            if (error.code === 'WRONG_BACKUP_SECRET') {
+                return { success: false, needsPassphrase: true, hint: this.getBackupPassphraseHint(backupPath), error: error.message };
+            }
+            console.error('[Database] Error verifying backup:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ============================================================
+    // Selective Restore
+    // ============================================================
+    // A backup is opened as a temporary copy, brought up to the current schema and then
+    // only read. Rows deleted since the backup are put back with their child rows and the
+    // stock and balance effects of documents (as restoring from the recycle bin does);
+    // master records that still exist can be reset to their values in the backup.
+
+    /**
+     * Open a backup for browsing, without touching the live database.
+     * @param {string} backupPath
+     * @param {{passphrase?: string}} [options] - Passphrase or recovery key of an encrypted backup
+     * @returns {{success: boolean, browseId?: string, tables?: Array<{name: string, rows: number, liveRows: number|null, restorable: boolean}>,
+     *            upgradeError?: string|null, error?: string, needsPassphrase?: boolean, hint?: string}}
+     *          upgradeError: the copy could not be brought to the current schema, so it can be browsed but not restored from
+     */
+    openBackupForBrowse(backupPath, { passphrase = null } = {}) {
+        const browseId = `browse_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+        const tempPath = path.join(os.tmpdir(), `asel-${browseId}.db`);
+        let connection = null;
+        try {
+            if (!backupPath || !fs.existsSync(backupPath)) {
+                throw new Error(`Backup file does not exist: ${backupPath}`);
+            }
+            const format = this.getBackupFileFormat(backupPath);
+            if (format === 'encrypted' || format === 'legacy-encrypted') {
+                if (format === 'encrypted' && !passphrase) {
+                    return {
+                        success: false,
+                        needsPassphrase: true,
+                        hint: this.getBackupPassphraseHint(backupPath),
+                        error: 'Backup is encrypted: enter its passphrase or recovery key'
+                    };
+                }
+                this.decryptBackupFile(backupPath, tempPath, passphrase);
+            } else if (format === 'sqlite') {
+                fs.copyFileSync(backupPath, tempPath);
+            } else {
+                throw new Error('Backup is not a database file');
+            }
+
+            connection = new Database(tempPath);
+            const upgradeError = this.upgradeBrowsedBackup(connection);
+            connection.close();
+            connection = new Database(tempPath, { readonly: true });
+
+            const tables = connection.prepare("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name").all()
+                .map(row => row.name)
+                .filter(name => !BACKUP_VERIFICATION_EXCLUDED_TABLE.test(name))
+                .filter(name => connection.prepare(`PRAGMA table_info(${name})`).all().some(column => column.name === 'id'))
+                .map(name => {
+                    const liveExists = !!this.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+                    return {
+                        name,
+                        rows: connection.prepare(`SELECT COUNT(*) AS count FROM ${name}`).get().count,
+                        liveRows: liveExists ? this.db.prepare(`SELECT COUNT(*) AS count FROM ${name}`).get().count : null,
+                        restorable: !upgradeError && liveExists && !!RECYCLE_BIN_TABLES[name]
+                    };
+                });
+
+            // Only a few backups stay open at a time
+            this.browsedBackups = this.browsedBackups || new Map();
+            [...this.browsedBackups.keys()].slice(0, Math.max(0, this.browsedBackups.size - 2))
+                .forEach(id => this.closeBrowsedBackup(id));
+            this.browsedBackups.set(browseId, { backupPath, tempPath, db: connection, tables: tables.map(table => table.name), upgradeError });
+
+            return { success: true, browseId, tables, upgradeError };
+        } catch (error) {
+            if (connection && connection.open) {
+                connection.close();
+            }
+            this.removeBrowsedBackupFiles(tempPath);
+            if (error.code === 'WRONG_BACKUP_SECRET') {
+                return { success: false, needsPassphrase: true, hint: this.getBackupPassphraseHint(backupPath), error: error.message };
+            }
+            console.error('[Database] Error opening backup for browsing:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Apply the schema migrations a backup is missing to its temporary copy.
+    // Returns null, or the error that stopped the upgrade.
+    upgradeBrowsedBackup(connection) {
+        try {
+            connection.exec(`
+                CREATE TABLE IF NOT EXISTS schema_migrations (
+                    version INTEGER PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    appliedAt TEXT NOT NULL,
+                    durationMs INTEGER,
+                    backupPath TEXT
+                )
+            `);
+            const appliedVersions = new Set(connection.prepare('SELECT version FROM schema_migrations').all().map(row => row.version));
+            SCHEMA_MIGRATIONS
+                .filter(migration => !appliedVersions.has(migration.version))
+                .sort((a, b) => a.version - b.version)
+                .forEach(migration => {
+                    connection.transaction(() => {
+                        migration.up(connection);
+                        connection.prepare('INSERT INTO schema_migrations (version, name, appliedAt) VALUES (?, ?, ?)')
+                            .run(migration.version, migration.name, new Date().toISOString());
+                    })();
+                });
+            return null;
+        } catch (error) {
+            console.warn(`[Database] Backup opened for browsing could not be upgraded: ${error.message}`);
+            return error.message;
+        }
+    }
+
+    removeBrowsedBackupFiles(tempPath) {
+        [tempPath, `${tempPath}-wal`, `${tempPath}-shm`].forEach(file => {
+            try {
+                if (fs.existsSync(file)) {
+                    fs.unlinkSync(file);
+                }
+            } catch (error) {
+                console.warn(`[Database] Could not remove ${file}: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Close a backup opened with openBackupForBrowse and delete its temporary copy.
+     * @param {string} [browseId] - Omit to close every open backup
+     */
+    closeBrowsedBackup(browseId = null) {
+        if (!this.browsedBackups) {
+            return;
+        }
+        const ids = browseId ? [browseId] : [...this.browsedBackups.keys()];
+        ids.forEach(id => {
+            const browsed = this.browsedBackups.get(id);
+            if (!browsed) {
+                return;
+            }
+            this.browsedBackups.delete(id);
+            if (browsed.db.open) {
+                browsed.db.close();
+            }
+            this.removeBrowsedBackupFiles(browsed.tempPath);
+        });
+    }
+
+    getBrowsedBackup(browseId, table) {
+        const browsed = this.browsedBackups && this.browsedBackups.get(browseId);
+        if (!browsed) {
+            throw new Error('النسخة الاحتياطية المفتوحة لم تعد متاحة، افتحها مرة أخرى');
+        }
+        if (!browsed.tables.includes(table)) {
+            throw new Error(`الجدول ${table} غير موجود في النسخة الاحتياطية`);
+        }
+        return browsed;
+    }
+
+    // Row as shown on the page: money in EGP, no password hashes
+    toBrowsedRow(table, row) {
+        if (!row) {
+            return row;
+        }
+        const copy = this.fromStorageMoney(table, row);
+        if (table === 'users') {
+            delete copy.password;
+        }
+        return copy;
+    }
+
+    /**
+     * Compare a table of an open backup with the live database.
+     * @param {string} browseId
+     * @param {string} table
+     * @param {{status?: string, id?: string, search?: string, offset?: number, limit?: number}} [options]
+     *        id: one record, returned with the child rows of both versions
+     * @returns {{success: boolean, restorable?: boolean, summary?: Object, total?: number,
+     *            rows?: Array<{id: *, status: string, label: string|null, changedColumns: string[], backup: Object|null, live: Object|null}>, error?: string}}
+     */
+    diffBackupTable(browseId, table, { status = null, id = null, search = '', offset = 0, limit = 50 } = {}) {
+        try {
+            const browsed = this.getBrowsedBackup(browseId, table);
+            const liveExists = !!this.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+            const { summary, rows } = diffTableRows(
+                browsed.db.prepare(`SELECT * FROM ${table}`).all(),
+                liveExists ? this.db.prepare(`SELECT * FROM ${table}`).all() : []
+            );
+
+            const term = String(search || '').trim().toLowerCase();
+            const matching = rows
+                .filter(row => id === null || id === undefined || String(row.id) === String(id))
+                .filter(row => !status || row.status === status)
+                .filter(row => !term || JSON.stringify(row.backup || row.live).toLowerCase().includes(term));
+            const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_SEARCH_PAGE_SIZE);
+            const start = Math.max(parseInt(offset, 10) || 0, 0);
+            const config = RECYCLE_BIN_TABLES[table];
+
+            return {
+                success: true,
+                restorable: !browsed.upgradeError && liveExists && !!config,
+                summary,
+                total: matching.length,
+                rows: matching.slice(start, start + pageSize).map(row => {
+                    const record = row.backup || row.live;
+                    const result = {
+                        id: row.id,
+                        status: row.status,
+                        label: this.getAuditDocumentNumber(record) || record.name || null,
+                        changedColumns: row.changedColumns,
+                        backup: this.toBrowsedRow(table, row.backup),
+                        live: this.toBrowsedRow(table, row.live)
+                    };
+                    if (id !== null && id !== undefined && config && config.children) {
+                        result.children = {};
+                        config.children.forEach(child => {
+                            const select = `SELECT * FROM ${child.table} WHERE ${child.foreignKey} = ?`;
+                            result.children[child.table] = {
+                                backup: this.fromStorageMoney(child.table, browsed.db.prepare(select).all(row.id)),
+                                live: this.fromStorageMoney(child.table, this.db.prepare(select).all(row.id))
+                            };
+                        });
+                    }
+                    return result;
+                })
+            };
+        } catch (error) {
+            console.error(`[Database] Error comparing ${table} with the backup:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Restore selected rows of a table from an open backup into the live database, in one transaction.
+     * Rows missing from the live database are inserted with their child rows, and documents
+     * re-apply their stock and balance effects. Master records that still exist are reset to
+     * their backup values (stock and balances stay as they are); documents that still exist are skipped.
+     * @param {string} browseId
+     * @param {string} table - One of RECYCLE_BIN_TABLES
+     * @param {Array<string>} ids
+     * @param {string} [userId] - User performing the restore (recorded in the stock ledger)
+     * @returns {{success: boolean, restored?: Array, updated?: Array, skipped?: Array<{id: *, reason: string}>,
+     *            products?: Array<{id: string, stock: number}>, error?: string, validationErrors?: Array}}
+     */
+    restoreBackupRows(browseId, table, ids, userId = null) {
+        const validationErrors = [];
+        try {
+            const browsed = this.getBrowsedBackup(browseId, table);
+            const config = RECYCLE_BIN_TABLES[table];
+            if (!config) {
+                return { success: false, error: `لا يمكن استعادة سجلات الجدول ${table} بشكل منفصل` };
+            }
+            if (browsed.upgradeError) {
+                return { success: false, error: 'لا يمكن الاستعادة من هذه النسخة: تعذر تحديث بنيتها إلى إصدار البرنامج الحالي' };
+            }
+            if (!Array.isArray(ids) || ids.length === 0) {
+                return { success: false, error: 'لم يتم اختيار أي سجل' };
+            }
+
+            const context = this.auditContext || {};
+            const restore = this.db.transaction(() => {
+                const result = { restored: [], updated: [], skipped: [] };
+                const productIds = new Set();
+                [...new Set(ids.map(String))].forEach(id => {
+                    const row = browsed.db.prepare(`SELECT * FROM ${table} WHERE id = ?`).get(id);
+                    if (!row) {
+                        result.skipped.push({ id, reason: 'السجل غير موجود في النسخة الاحتياطية' });
+                        return;
+                    }
+                    const label = this.getAuditDocumentNumber(row) || row.name || row.id;
+                    try {
+                        const live = this.getAuditSnapshot(table, row.id);
+                        if (live) {
+                            const reason = this.resetRowToBackup(table, row, live);
+                            if (reason) {
+                                result.skipped.push({ id: row.id, reason });
+                            } else {
+                                result.updated.push(row.id);
+                            }
+                            return;
+                        }
+                        this.insertRowFromBackup(browsed.db, table, row, userId)
+                            .forEach(productId => productIds.add(productId));
+                        this.db.prepare(`
+                            UPDATE recycle_bin SET restoredAt = ?, restoredBy = ?
+                            WHERE tableName = ? AND rowId = ? AND restoredAt IS NULL
+                        `).run(new Date().toISOString(), context.username || context.userId || userId || null, table, String(row.id));
+                        result.restored.push(row.id);
+                    } catch (error) {
+                        if (error.isValidationError) {
+                            throw error;
+                        }
+                        throw new Error(`${label}: ${this.getRecycleBinErrorMessage(error, 'restore')}`);
+                    }
+                });
+                this.assertStockNotNegative([...productIds], validationErrors,
+                    (name) => `لا يمكن الاستعادة: رصيد ${name} الحالي لا يكفي`);
+                result.products = [...productIds].map(productId => this.db.prepare('SELECT id, stock FROM products WHERE id = ?').get(productId)).filter(Boolean);
+                return result;
+            });
+
+            const result = restore();
+
+            try {
+                this.checkpoint();
+            } catch (checkpointError) {
+                console.warn(`[Database] Checkpoint after selective restore failed (non-critical): ${checkpointError.message}`);
+            }
+
+            console.log(`[Backup] Restored ${result.restored.length} and reset ${result.updated.length} ${table} rows from ${browsed.backupPath}`);
+            return { success: true, ...result };
+        } catch (error) {
+            if (error.isValidationError) {
+                return { success: false, error: error.message, validationErrors };
+            }
+            console.error(`[Database] Error restoring ${table} rows from backup:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Reset a record that still exists to its backup values.
+    // Returns why it was left alone, or null when it was updated.
+    resetRowToBackup(table, row, live) {
+        const config = RECYCLE_BIN_TABLES[table];
+        if (config.stockSource || config.balance) {
+            return 'المستند موجود حالياً، احذفه أولاً ثم استعده من النسخة الاحتياطية';
+        }
+        const keepLive = ['id', 'updatedAt', ...(SELECTIVE_RESTORE_LIVE_COLUMNS[table] || [])];
+        const columns = getChangedColumns(row, live).filter(column => !keepLive.includes(column));
+        if (columns.length === 0) {
+            return 'مطابق للبيانات الحالية';
+        }
+        const assignments = columns.map(column => `${column} = ?`);
+        const values = columns.map(column => row[column]);
+        if (Object.prototype.hasOwnProperty.call(live, 'updatedAt')) {
+            assignments.push('updatedAt = ?');
+            values.push(new Date().toISOString());
+        }
+        this.db.prepare(`UPDATE ${table} SET ${assignments.join(', ')} WHERE id = ?`).run(...values, row.id);
+        this.writeAuditLog(table, row.id, 'update', live, this.getAuditSnapshot(table, row.id));
+        return null;
+    }
+
+    // Insert a row of the backup that is missing from the live database, with its child rows.
+    // Documents of the backup that are not in the live database are left out of a restored
+    // product's stock and a customer's/supplier's balance: they come back with the documents.
+    // Returns the products whose stock changed.
+    insertRowFromBackup(connection, table, row, userId) {
+        const config = RECYCLE_BIN_TABLES[table];
+        const children = {};
+        (config.children || []).forEach(child => {
+            children[child.table] = connection.prepare(`SELECT * FROM ${child.table} WHERE ${child.foreignKey} = ?`).all(row.id);
+        });
+        const data = { ...row };
+
+        if (table === 'products' && children.stock_movements) {
+            const sourceTables = {};
+            Object.keys(RECYCLE_BIN_TABLES).forEach(name => {
+                if (RECYCLE_BIN_TABLES[name].stockSource) {
+                    sourceTables[RECYCLE_BIN_TABLES[name].stockSource] = name;
+                }
+            });
+            children.stock_movements = children.stock_movements.filter(movement => {
+                const sourceTable = sourceTables[movement.sourceType];
+                const keep = !sourceTable || !movement.sourceId || !!this.getAuditSnapshot(sourceTable, movement.sourceId);
+                if (!keep) {
+                    data.stock = (parseFloat(data.stock) || 0) - (parseFloat(movement.quantity) || 0);
+                }
+                return keep;
+            });
+        }
+        if (table === 'customers' || table === 'suppliers') {
+            Object.keys(RECYCLE_BIN_TABLES).filter(name => RECYCLE_BIN_TABLES[name].balance).forEach(documentTable => {
+                connection.prepare(`SELECT * FROM ${documentTable}`).all().forEach(document => {
+                    const effect = RECYCLE_BIN_TABLES[documentTable].balance(document);
+                    if (effect && effect.amount && effect.table === table && String(effect.id) === String(row.id)
+                        && !this.getAuditSnapshot(documentTable, document.id)) {
+                        data.balance = (parseFloat(data.balance) || 0) - effect.amount;
+                    }
+                });
+            });
+        }
+
+        const effects = {
+            stock: config.stockSource ? this.getDocumentStockEffects(table, row, children, connection) : [],
+            balance: config.balance ? config.balance(row) : null
+        };
+        if (effects.balance && effects.balance.amount && !this.getAuditSnapshot(effects.balance.table, effects.balance.id)) {
+            throw new Error(effects.balance.table === 'customers' ? 'يجب استعادة العميل أولاً' : 'يجب استعادة المورد أولاً');
+        }
+        if (effects.stock.some(effect => !this.getAuditSnapshot('products', effect.productId))) {
+            throw new Error('يجب استعادة المنتجات المرتبطة بهذا المستند أولاً');
+        }
+
+        this.insertArchivedRow(table, data);
+        Object.keys(children).forEach(childTable => {
+            children[childTable].forEach(child => this.insertArchivedRow(childTable, child));
+        });
+        const entityBefore = this.applyRecycleBinEffects(table, row, effects, 1, 'استعادة من نسخة احتياطية', userId);
+        if (config.linkedNote) {
+            this.updateLinkedDeliveryNoteStatus(row, config.linkedNote.onRestore);
+        }
+        if (config.afterChange) {
+            config.afterChange(this, row);
+        }
+        this.writeAuditLog(table, row.id, 'restore', null, { ...data, ...children });
+        this.writeEntityAuditLogs(effects.balance ? effects.balance.table : table, entityBefore);
+        return effects.stock.map(effect => effect.productId);
+    }
+
+    // ============================================================
+    // Data Export / Import
+    // ============================================================
+    // The data tables as a JSON bundle or CSV files (see utils/data-transfer.js), and the
+    // import of a bundle into this database. An import only adds rows: a row whose id is
+    // already here is kept as it is here, and a customer, supplier, product or category whose
+    // code (name for categories) is already used here is linked to the existing record.
+    // Nothing is written when any row fails validation.
+
+    /**
+     * Export the data tables (amounts in EGP).
+     * @param {{appVersion?: string}} [meta]
+     * @returns {Object} bundle
+     */
+    exportData(meta = {}) {
+        const tables = {};
+        DATA_TRANSFER_TABLES.forEach(table => {
+            if (this.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(table)) {
+                tables[table] = this.getAll(table);
+            }
+        });
+        return buildDataBundle(tables, { ...meta, schemaVersion: this.getSchemaVersion() });
+    }
+
+    /**
+     * Check a bundle against this database and, unless dryRun, import it in one transaction.
+     * Documents whose customer/supplier is already here add to that balance, and documents
+     * on products that are already here apply their stock movement to them.
+     * @param {Object} bundle
+     * @param {{dryRun?: boolean}} [options]
+     * @returns {{success: boolean, dryRun: boolean, imported: boolean,
+     *            tables?: Array<{table: string, total: number, new: number, existing: number, linked: number, skipped: number, errors: number}>,
+     *            conflicts?: Array<{table: string, id: string, label: string, message: string}>,
+     *            errors?: Array<{table: string, id: string, label: string, message: string}>, warnings?: string[], error?: string}}
+     */
+    importData(bundle, { dryRun = true } = {}) {
+        const check = validateDataBundle(bundle, this.getSchemaVersion());
+        if (!check.valid) {
+            return { success: false, dryRun, imported: false, error: check.errors.join('، '), warnings: check.warnings };
+        }
+
+        try {
+            const warnings = [...check.warnings];
+            const conflicts = [];
+            const errors = [];
+            const summary = [];
+            const plan = [];
+            // Per table: ids imported, ids left out (rows referencing them are left out too),
+            // and bundle ids linked to an existing record
+            const accepted = {};
+            const skipped = {};
+            const linked = {};
+            let existingProductMovements = 0;
+
+            DATA_TRANSFER_TABLES.filter(table => Array.isArray(bundle.tables[table])).forEach(table => {
+                const tableInfo = this.db.prepare(`PRAGMA table_info(${table})`).all();
+                if (tableInfo.length === 0) {
+                    warnings.push(`الجدول ${table} غير موجود في هذا الإصدار وسيتم تجاهله`);
+                    return;
+                }
+                const columns = tableInfo.map(column => column.name);
+                const required = tableInfo.filter(column => column.notnull && column.dflt_value === null && !column.pk).map(column => column.name);
+                const uniqueColumns = this.db.prepare(`PRAGMA index_list(${table})`).all()
+                    .filter(index => index.unique && index.origin !== 'pk')
+                    .map(index => this.db.prepare(`PRAGMA index_info(${index.name})`).all().map(column => column.name))
+                    .filter(indexColumns => indexColumns.length === 1)
+                    .map(([column]) => column);
+                const foreignKeys = this.db.prepare(`PRAGMA foreign_key_list(${table})`).all();
+                const matchColumn = DATA_IMPORT_MATCH_COLUMNS[table];
+                const rows = bundle.tables[table];
+                const unknownColumns = [...new Set(rows.flatMap(row => Object.keys(row)))].filter(column => !columns.includes(column));
+                if (unknownColumns.length > 0) {
+                    warnings.push(`أعمدة غير معروفة في ${table} سيتم تجاهلها: ${unknownColumns.join('، ')}`);
+                }
+
+                const counts = { table, total: rows.length, new: 0, existing: 0, linked: 0, skipped: 0, errors: 0 };
+                const usedValues = {};
+                uniqueColumns.forEach(column => {
+                    usedValues[column] = new Set();
+                });
+                accepted[table] = new Set();
+                skipped[table] = new Set();
+                linked[table] = new Map();
+
+                rows.forEach(source => {
+                    const data = {};
+                    columns.forEach(column => {
+                        if (source[column] !== undefined) {
+                            data[column] = source[column];
+                        }
+                    });
+                    const row = this.toStorageMoney(table, data);
+                    const id = String(row.id);
+                    const label = this.getAuditDocumentNumber(row) || row.name || id;
+                    const report = (list, message) => list.push({ table, id, label, message });
+                    const skip = (message) => {
+                        skipped[table].add(id);
+                        counts.skipped++;
+                        if (message) {
+                            report(conflicts, message);
+                        }
+                    };
+
+                    // References to linked records point to the record that is already here
+                    foreignKeys.forEach(foreignKey => {
+                        const value = row[foreignKey.from];
+                        if (value !== undefined && value !== null && linked[foreignKey.table] && linked[foreignKey.table].has(String(value))) {
+                            row[foreignKey.from] = linked[foreignKey.table].get(String(value));
+                        }
+                    });
+
+                    const live = this.getAuditSnapshot(table, row.id);
+                    if (live) {
+                        counts.existing++;
+                        if (getChangedColumns(row, live).length > 0) {
+                            report(conflicts, 'موجود بالفعل ببيانات مختلفة، سيتم الإبقاء على البيانات الحالية');
+                        }
+                        return;
+                    }
+                    if (accepted[table].has(id) || skipped[table].has(id)) {
+                        skip('مكرر في الملف، سيتم استيراد أول سجل فقط');
+                        return;
+                    }
+                    if (matchColumn && row[matchColumn] !== undefined && row[matchColumn] !== null) {
+                        const existing = this.db.prepare(`SELECT id FROM ${table} WHERE ${matchColumn} = ?`).get(row[matchColumn]);
+                        if (existing) {
+                            linked[table].set(id, existing.id);
+                            counts.linked++;
+                            report(conflicts, `يوجد سجل بنفس ${matchColumn} (${row[matchColumn]})، سيتم ربط البيانات المستوردة به دون تعديله`);
+                            return;
+                        }
+                    }
+                    const skippedParent = foreignKeys.find(foreignKey => skipped[foreignKey.table] && skipped[foreignKey.table].has(String(row[foreignKey.from])));
+                    if (skippedParent) {
+                        // Reported with the document it belongs to
+                        skip(null);
+                        return;
                     }
-                    throw new Error(`Cannot copy backup file: ${copyError.message}`);
-                }
-                
-                // Reopen database connection
-                try {
-                    this.db = new Database(this.dbPath);
-                    this.db.pragma('journal_mode = WAL');
-                    this.db.pragma('foreign_keys = ON');
-                } catch (reopenError) {
-                    throw new Error(`Cannot reopen database: ${reopenError.message}`);
-                }
-                
-                // Verify Schema after restore
-                try {
-                    const tables = this.db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'").all();
-                    const requiredTables = ['users', 'products', 'customers', 'suppliers', 'sales_invoices', 'purchase_invoices'];
-                    const existingTables = tables.map(t => t.name);
-                    const missingTables = requiredTables.filter(t => !existingTables.includes(t));
-                    
-                    if (missingTables.length > 0) {
-                        throw new Error(`Schema verification failed: Missing tables: ${missingTables.join(', ')}`);
+                    if (table === 'stock_movements' && !accepted.products.has(String(row.productId))) {
+                        // The ledger of a product that is already here is kept; imported documents add their own movement
+                        skipped[table].add(id);
+                        counts.skipped++;
+                        existingProductMovements++;
+                        return;
                     }
-                } catch (schemaError) {
-                    // Rollback: Restore original database
-                    this.db.close();
-                    if (fs.existsSync(currentBackupPath)) {
-                        fs.copyFileSync(currentBackupPath, this.dbPath);
+
+                    const missing = required.filter(column => row[column] === undefined || row[column] === null || row[column] === '');
+                    if (missing.length > 0) {
+                        counts.errors++;
+                        report(errors, `حقول مطلوبة فارغة: ${missing.join('، ')}`);
+                        return;
                     }
-                    this.db = new Database(this.dbPath);
-                    this.db.pragma('journal_mode = WAL');
-                    this.db.pragma('foreign_keys = ON');
-                    throw new Error(`Schema verification failed: ${schemaError.message}. Original database restored.`);
-                }
-                
-                return { success: true };
-            } else {
-                // Handle JSON backup (for backward compatibility)
-                const backup = JSON.parse(fs.readFileSync(backupPath, 'utf8'));
-                
-                // Begin transaction
-                const transaction = this.db.transaction((tables) => {
-                    // Clear existing data
-                    Object.keys(tables).forEach(table => {
-                        this.db.prepare(`DELETE FROM ${table}`).run();
+                    const duplicate = uniqueColumns.find(column => row[column] !== undefined && row[column] !== null && (
+                        usedValues[column].has(String(row[column]))
+                        || this.db.prepare(`SELECT 1 FROM ${table} WHERE ${column} = ?`).get(row[column])
+                    ));
+                    if (duplicate) {
+                        skip(`القيمة ${row[duplicate]} في ${duplicate} مستخدمة لسجل آخر، سيتم تخطيه مع بنوده`);
+                        return;
+                    }
+                    const brokenReference = foreignKeys.find(foreignKey => {
+                        const value = row[foreignKey.from];
+                        if (value === undefined || value === null || value === '') {
+                            return false;
+                        }
+                        return !(accepted[foreignKey.table] && accepted[foreignKey.table].has(String(value)))
+                            && !this.db.prepare(`SELECT 1 FROM ${foreignKey.table} WHERE ${foreignKey.to} = ?`).get(value);
                     });
+                    if (brokenReference) {
+                        counts.errors++;
+                        report(errors, `يشير إلى سجل غير موجود في ${brokenReference.table} (${row[brokenReference.from]})`);
+                        return;
+                    }
 
-                    // Restore data
-                    Object.keys(tables).forEach(table => {
-                        if (tables[table] && tables[table].length > 0) {
-                            const keys = Object.keys(tables[table][0]);
-                            const placeholders = keys.map(() => '?').join(', ');
-                            const insertSql = `INSERT INTO ${table} (${keys.join(', ')}) VALUES (${placeholders})`;
-                            const insertStmt = this.db.prepare(insertSql);
-                            
-                            tables[table].forEach(row => {
-                                const values = keys.map(key => row[key]);
-                                insertStmt.run(...values);
+                    uniqueColumns.forEach(column => {
+                        if (row[column] !== undefined && row[column] !== null) {
+                            usedValues[column].add(String(row[column]));
+                        }
+                    });
+                    accepted[table].add(id);
+                    counts.new++;
+                    plan.push({ table, row });
+                });
+                summary.push(counts);
+            });
+            if (existingProductMovements > 0) {
+                warnings.push(`لم تُستورد ${existingProductMovements} من حركات المخزون لمنتجات موجودة بالفعل، ويُطبَّق عليها أثر المستندات المستوردة فقط`);
+            }
+
+            const result = { success: true, dryRun, imported: false, tables: summary, conflicts, errors, warnings };
+            if (dryRun || errors.length > 0 || plan.length === 0) {
+                return result;
+            }
+
+            // Net stock movement of each imported document, as recorded in the bundle's ledger
+            const bundleMovements = (bundle.tables.stock_movements || []).map(movement => ({
+                ...movement,
+                productId: linked.products && linked.products.has(String(movement.productId))
+                    ? linked.products.get(String(movement.productId))
+                    : movement.productId
+            }));
+
+            const importRows = this.db.transaction(() => {
+                const now = new Date().toISOString();
+                const entityBefore = new Map();
+                const ledgerProducts = new Set();
+                plan.forEach(({ table, row }) => {
+                    this.insertArchivedRow(table, row);
+                    if (table === 'stock_movements') {
+                        ledgerProducts.add(row.productId);
+                        this.noteDataChange(table, row.id, 'insert');
+                        return;
+                    }
+                    this.writeAuditLog(table, row.id, 'insert', null, this.getAuditSnapshot(table, row.id));
+
+                    const config = RECYCLE_BIN_TABLES[table];
+                    // Balances of customers/suppliers imported with the documents already include them
+                    const effect = config && config.balance ? config.balance(row) : null;
+                    if (effect && effect.amount && !(accepted[effect.table] && accepted[effect.table].has(String(effect.id)))) {
+                        const key = `${effect.table}:${effect.id}`;
+                        if (!entityBefore.has(key)) {
+                            entityBefore.set(key, { table: effect.table, before: this.getAuditSnapshot(effect.table, effect.id) });
+                        }
+                        this.db.prepare(`UPDATE ${effect.table} SET balance = balance + ?, updatedAt = ? WHERE id = ?`)
+                            .run(effect.amount, now, effect.id);
+                    }
+                });
+
+                // Documents whose movements were not imported (products already here)
+                plan.filter(({ table }) => RECYCLE_BIN_TABLES[table] && RECYCLE_BIN_TABLES[table].stockSource).forEach(({ table, row }) => {
+                    const sourceType = RECYCLE_BIN_TABLES[table].stockSource;
+                    const expected = new Map();
+                    bundleMovements
+                        .filter(movement => movement.sourceType === sourceType && String(movement.sourceId) === String(row.id))
+                        .forEach(movement => expected.set(movement.productId, (expected.get(movement.productId) || 0) + (parseFloat(movement.quantity) || 0)));
+                    this.db.prepare('SELECT productId, SUM(quantity) AS quantity FROM stock_movements WHERE sourceType = ? AND sourceId = ? GROUP BY productId')
+                        .all(sourceType, row.id)
+                        .forEach(recorded => expected.set(recorded.productId, (expected.get(recorded.productId) || 0) - recorded.quantity));
+                    expected.forEach((quantity, productId) => {
+                        if (Math.abs(quantity) > 1e-9) {
+                            this.recordStockMovement({
+                                productId,
+                                quantity,
+                                sourceType,
+                                sourceId: row.id,
+                                sourceNumber: this.getAuditDocumentNumber(row),
+                                notes: 'استيراد بيانات',
+                                date: row.date
                             });
                         }
                     });
                 });
 
-                transaction(backup.tables);
-                return { success: true };
+                entityBefore.forEach(({ table, before }) => this.writeEntityAuditLogs(table, [before]));
+                ledgerProducts.forEach(productId => {
+                    const rebuilt = this.rebuildProductStock(productId);
+                    if (!rebuilt.success) {
+                        throw new Error(rebuilt.error);
+                    }
+                });
+            });
+            importRows();
+
+            try {
+                this.checkpoint();
+            } catch (checkpointError) {
+                console.warn(`[Database] Checkpoint after data import failed (non-critical): ${checkpointError.message}`);
             }
+            console.log(`[Database] Imported ${plan.length} rows (${conflicts.length} conflicts)`);
+            return { ...result, imported: true };
         } catch (error) {
-            // Rollback: If restore failed and we have a backup, restore it
-            if (currentBackupPath && fs.existsSync(currentBackupPath)) {
-                try {
-                    if (this.db && this.db.open) {
-                        this.db.close();
+            console.error('[Database] Error importing data:', error);
+            return { success: false, dryRun, imported: false, error: error.message };
+        }
+    }
+
+    // ============================================================
+    // Record Import (products, customers and suppliers from a spreadsheet)
+    // ============================================================
+    // Rows of an .xlsx/.csv file with the column chosen for each field (utils/record-import.js).
+    // Every row is checked first, and the records are added only when no row has an error,
+    // all in one transaction. Missing categories are created, missing codes are generated in
+    // the format of the pages, and opening stock goes to the stock ledger like a product added
+    // from the products page.
+
+    /**
+     * Check the rows of a file and, unless dryRun, add them.
+     * @param {string} entity - products | customers | suppliers
+     * @param {Array<Array<*>>} rows - Data rows of the file (without the header row)
+     * @param {Object<string, number|null>} mapping - Field key -> column index
+     * @param {{dryRun?: boolean, firstRowNumber?: number}} [options] - firstRowNumber: number of rows[0] in the file
+     * @returns {{success: boolean, dryRun: boolean, imported: boolean, total?: number, valid?: number, invalid?: number,
+     *            newCategories?: string[], rows?: Array<{rowNumber: number, data: Object, errors: string[]}>, error?: string}}
+     */
+    importRecords(entity, rows, mapping, { dryRun = true, firstRowNumber = 2 } = {}) {
+        if (!RECORD_IMPORT_FIELDS[entity]) {
+            return { success: false, dryRun, imported: false, error: 'نوع السجلات غير مدعوم' };
+        }
+        if (!Array.isArray(rows) || !mapping || typeof mapping !== 'object') {
+            return { success: false, dryRun, imported: false, error: 'لا توجد بيانات للاستيراد' };
+        }
+
+        try {
+            const isProducts = entity === 'products';
+            // Same duplicate rule as the pages: same name (and same category for products)
+            const getNameKey = record => `${String(record.name).trim().toLowerCase()}${isProducts ? `|${record.category}` : ''}`;
+            const duplicateNameMessage = {
+                products: 'يوجد منتج بنفس الاسم ونفس الصنف',
+                customers: 'يوجد عميل بنفس الاسم',
+                suppliers: 'يوجد مورد بنفس الاسم'
+            }[entity];
+
+            const existing = this.db.prepare(`SELECT code, name${isProducts ? ', category' : ''} FROM ${entity}`).all();
+            const existingCodes = new Set(existing.map(record => String(record.code).trim().toLowerCase()));
+            const existingNames = new Set(existing.map(getNameKey));
+            const categories = new Map(this.db.prepare('SELECT name FROM categories').all()
+                .map(category => [category.name.trim().toLowerCase(), category.name]));
+            const newCategories = [];
+            const fileCodes = new Map();
+            const fileNames = new Map();
+
+            const checked = [];
+            rows.forEach((cells, index) => {
+                const values = Array.isArray(cells) ? cells : [];
+                if (values.every(value => String(value === null || value === undefined ? '' : value).trim() === '')) {
+                    return;
+                }
+                const rowNumber = firstRowNumber + index;
+                const { data, errors } = readImportRow(values, mapping, entity);
+
+                if (isProducts && data.category) {
+                    const categoryKey = data.category.toLowerCase();
+                    if (!categories.has(categoryKey)) {
+                        categories.set(categoryKey, data.category);
+                        newCategories.push(data.category);
                     }
-                    if (fs.existsSync(this.dbPath)) {
-                        fs.unlinkSync(this.dbPath);
+                    data.category = categories.get(categoryKey);
+                }
+                if (data.code) {
+                    const codeKey = data.code.toLowerCase();
+                    if (existingCodes.has(codeKey)) {
+                        errors.push(`الكود ${data.code} مستخدم بالفعل`);
+                    } else if (fileCodes.has(codeKey)) {
+                        errors.push(`الكود ${data.code} مكرر في الملف (الصف ${fileCodes.get(codeKey)})`);
+                    } else {
+                        fileCodes.set(codeKey, rowNumber);
                     }
-                    fs.copyFileSync(currentBackupPath, this.dbPath);
-                    this.db = new Database(this.dbPath);
-                    this.db.pragma('journal_mode = WAL');
-                    this.db.pragma('foreign_keys = ON');
-                    console.log('✅ Rollback successful: Original database restored');
-                } catch (rollbackError) {
-                    console.error('❌ Rollback failed:', rollbackError);
                 }
-            } else {
-                // If database was closed, try to reopen it
-                if (!this.db || !this.db.open) {
-                    try {
-                        this.db = new Database(this.dbPath);
-                        this.db.pragma('journal_mode = WAL');
-                        this.db.pragma('foreign_keys = ON');
-                    } catch (reopenError) {
-                        console.error('❌ Failed to reopen database:', reopenError);
+                if (data.name && (!isProducts || data.category)) {
+                    const nameKey = getNameKey(data);
+                    if (existingNames.has(nameKey)) {
+                        errors.push(duplicateNameMessage);
+                    } else if (fileNames.has(nameKey)) {
+                        errors.push(`مكرر في الملف (الصف ${fileNames.get(nameKey)})`);
+                    } else {
+                        fileNames.set(nameKey, rowNumber);
                     }
                 }
+                if (isProducts && data.largestPrice === undefined && data.smallestPrice !== undefined && data.conversionFactor) {
+                    // As the products page does for a new product
+                    data.largestPrice = Math.round(data.smallestPrice * data.conversionFactor * 100) / 100;
+                }
+                checked.push({ rowNumber, data, errors });
+            });
+
+            // Codes for the rows without one, after the highest code here or in the file
+            let counter = getMaxCodeCounter([...existing.map(record => record.code), ...checked.map(row => row.data.code)], entity);
+            checked.filter(row => !row.data.code).forEach(row => {
+                counter++;
+                row.data.code = formatRecordCode(entity, counter);
+            });
+
+            const invalid = checked.filter(row => row.errors.length > 0).length;
+            const result = {
+                success: true,
+                dryRun,
+                imported: false,
+                total: checked.length,
+                valid: checked.length - invalid,
+                invalid,
+                newCategories,
+                rows: checked
+            };
+            if (dryRun || invalid > 0 || checked.length === 0) {
+                return result;
+            }
+
+            const createdBy = this.auditContext && this.auditContext.username ? this.auditContext.username : null;
+            const insertRecord = (table, record) => {
+                const insertResult = this.insert(table, record);
+                if (insertResult && insertResult.success === false) {
+                    throw new Error(insertResult.error);
+                }
+            };
+            const importRows = this.db.transaction(() => {
+                const now = new Date().toISOString();
+                const newId = index => `${Date.now()}-${index}-${Math.random().toString(36).substr(2, 9)}`;
+                newCategories.forEach((name, index) => {
+                    insertRecord('categories', { id: newId(`c${index}`), name, createdBy, createdAt: now });
+                });
+                checked.forEach(({ data }, index) => {
+                    const record = isProducts
+                        ? {
+                            id: newId(index),
+                            code: data.code,
+                            name: data.name,
+                            category: data.category,
+                            smallestUnit: data.smallestUnit,
+                            largestUnit: data.largestUnit,
+                            conversionFactor: data.conversionFactor,
+                            smallestPrice: data.smallestPrice,
+                            largestPrice: data.largestPrice || 0,
+                            stock: data.openingStock || 0,
+                            openingStock: data.openingStock || 0,
+                            notes: data.notes || '',
+                            status: 'active',
+                            lastSaleDate: null
+                        }
+                        : {
+                            id: newId(index),
+                            code: data.code,
+                            name: data.name,
+                            phone: data.phone || '',
+                            address: data.address || '',
+                            openingBalance: data.openingBalance || 0,
+                            balance: data.openingBalance || 0,
+                            status: 'active',
+                            firstTransactionDate: null,
+                            lastTransactionDate: null,
+                            notes: data.notes || ''
+                        };
+                    insertRecord(entity, { ...record, createdBy, createdAt: now, updatedAt: now });
+                });
+            });
+            importRows();
+
+            try {
+                this.checkpoint();
+            } catch (checkpointError) {
+                console.warn(`[Database] Checkpoint after record import failed (non-critical): ${checkpointError.message}`);
             }
-            return { success: false, error: error.message };
+            console.log(`[Database] Imported ${checked.length} ${entity} (${newCategories.length} new categories)`);
+            return { ...result, imported: true };
+        } catch (error) {
+            console.error(`[Database] Error importing ${entity}:`, error);
+            return { success: false, dryRun, imported: false, error: error.message };
+        }
+    }
+
+    /**
+     * Whether a path is a backup this database made: an entry of the backup history or
+     * a copy of one on a mirror destination. Requests from LAN client PCs may only name
+     * these, never an arbitrary file on the host.
+     * @param {string} backupPath
+     * @returns {boolean}
+     */
+    isRecordedBackupPath(backupPath) {
+        if (!this.db || !backupPath || typeof backupPath !== 'string') {
+            return false;
         }
+        const resolved = path.resolve(backupPath);
+        const recorded = this.db.prepare(`
+            SELECT backupPath AS recordedPath FROM backup_history
+            UNION ALL
+            SELECT copyPath FROM backup_copies WHERE copyPath IS NOT NULL AND status = 'copied'
+        `).all();
+        return recorded.some(row => row.recordedPath && path.resolve(row.recordedPath) === resolved);
     }
 
     getBackupHistory(limit = 10) {
@@ -2735,6 +5334,18 @@ class DatabaseManager {
             // Remove duplicates based on backupPath
             const backupMap = new Map();
             
+            // Copies on the mirror destinations, per backup
+            const copiesByPath = new Map();
+            this.getBackupCopies().forEach(copy => {
+                if (!copiesByPath.has(copy.backupPath)) {
+                    copiesByPath.set(copy.backupPath, []);
+                }
+                copiesByPath.get(copy.backupPath).push(copy);
+            });
+            backups.forEach(backup => {
+                backup.copies = copiesByPath.get(backup.backupPath) || [];
+            });
+
             // Add database backups first
             backups.forEach(backup => {
                 if (backup.backupPath) {
@@ -2804,6 +5415,26 @@ class DatabaseManager {
                             } catch (statError) {
                                 console.warn(`[Database] Could not stat backup file ${filePath}: ${statError.message}`);
                             }
+                        } else if (file.endsWith('.encrypted')) {
+                            // Encrypted backups cannot be opened here; the file header identifies them
+                            const filePath = path.join(backupDir, file);
+                            try {
+                                const stats = fs.statSync(filePath);
+                                if (stats.isFile() && stats.size > 0 && this.getBackupFileFormat(filePath) !== 'sqlite') {
+                                    discoveredBackups.push({
+                                        id: `discovered_${Date.now()}_${file}`,
+                                        backupPath: filePath,
+                                        backupType: 'auto',
+                                        fileSize: stats.size,
+                                        encrypted: 1,
+                                        createdAt: stats.mtime.toISOString(),
+                                        mtime: stats.mtime.toISOString(),
+                                        discovered: true
+                                    });
+                                }
+                            } catch (statError) {
+                                console.warn(`[Database] Could not stat backup file ${filePath}: ${statError.message}`);
+                            }
                         }
                     });
                 } catch (readError) {
@@ -2977,7 +5608,7 @@ class DatabaseManager {
         }
     }
 
-    async createAutoBackup(backupPath) {
+    async createAutoBackup(backupPath, encryption = null) {
         try {
             // Ensure backup directory exists with error handling
             const backupDir = path.dirname(backupPath);
@@ -3061,19 +5692,29 @@ class DatabaseManager {
                 throw new Error(`Backup integrity verification failed: ${integrityError.message}`);
             }
 
+            if (encryption) {
+                this.encryptBackupFile(backupPath, backupPath, encryption);
+            }
+
             // Calculate checksum for backup file (re-read file size in case it changed)
             fileSize = fs.statSync(backupPath).size;
             const fileBuffer = fs.readFileSync(backupPath);
             const checksum = crypto.createHash('sha256').update(fileBuffer).digest('hex');
 
-            // Save backup history with auto type, checksum (not encrypted)
+            // Test restore before anything else is written, so the live counts still match
+            const verification = this.verifyBackupFile(backupPath, { passphrase: encryption && encryption.passphrase });
+
+            // Save backup history with auto type and checksum
             this.insert('backup_history', {
                 id: `backup_${Date.now()}`,
                 backupPath: backupPath,
                 backupType: 'auto',
                 fileSize: fileSize,
                 checksum: checksum,
-                encrypted: 0,
+                encrypted: encryption ? 1 : 0,
+                verificationStatus: verification.status,
+                verifiedAt: verification.verifiedAt,
+                verificationDetails: JSON.stringify(verification.details),
                 createdAt: new Date().toISOString()
             });
 
@@ -3082,7 +5723,7 @@ class DatabaseManager {
                 console.warn(`[Database] Error cleaning up old renamed files: ${err.message}`);
             });
 
-            return { success: true, fileSize: fileSize, checksum, encrypted: false };
+            return { success: true, fileSize: fileSize, checksum, encrypted: !!encryption, verification: verification.status };
         } catch (error) {
             console.error('Error creating auto backup:', error);
             // Fallback: try using copyFileSync
@@ -3117,22 +5758,32 @@ class DatabaseManager {
                             throw integrityError;
                         }
 
+                        if (encryption) {
+                            this.encryptBackupFile(backupPath, backupPath, encryption);
+                        }
+
                         // Calculate checksum for backup file
                         const autoBackupFileSize = fs.statSync(backupPath).size;
                         const fileBuffer = fs.readFileSync(backupPath);
                         const checksum = crypto.createHash('sha256').update(fileBuffer).digest('hex');
 
-                        // Save backup history with auto type, checksum (not encrypted)
+                        // Test restore before anything else is written, so the live counts still match
+                        const verification = this.verifyBackupFile(backupPath, { passphrase: encryption && encryption.passphrase });
+
+                        // Save backup history with auto type and checksum
                         this.insert('backup_history', {
                             id: `backup_${Date.now()}`,
                             backupPath: backupPath,
                             backupType: 'auto',
                             fileSize: autoBackupFileSize,
                             checksum: checksum,
-                            encrypted: 0,
+                            encrypted: encryption ? 1 : 0,
+                            verificationStatus: verification.status,
+                            verifiedAt: verification.verifiedAt,
+                            verificationDetails: JSON.stringify(verification.details),
                             createdAt: new Date().toISOString()
                         });
-                        return { success: true, fileSize: autoBackupFileSize, checksum, encrypted: false };
+                        return { success: true, fileSize: autoBackupFileSize, checksum, encrypted: !!encryption, verification: verification.status };
                     }
                 }
             } catch (fallbackError) {
@@ -3142,181 +5793,267 @@ class DatabaseManager {
         }
     }
 
-    deleteOldBackups(daysToKeep) {
+    /**
+     * Backup files in a folder, with the time each backup was made
+     * (from the backup history when it has the file, otherwise the file time).
+     * @param {string} backupDir
+     * @returns {Array<{name: string, path: string, size: number, date: string, backupType: string|null, encrypted: boolean}>}
+     */
+    listBackupFiles(backupDir) {
+        if (!backupDir || !fs.existsSync(backupDir)) {
+            return [];
+        }
+        const historyByPath = new Map();
         try {
-            const cutoffDate = new Date();
-            cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
-            const cutoffDateStr = cutoffDate.toISOString();
-
-            // Get old backups
-            const sql = `SELECT * FROM backup_history WHERE createdAt < ?`;
-            const stmt = this.db.prepare(sql);
-            const oldBackups = stmt.all(cutoffDateStr);
-
-            // Delete old backup files and records
-            let deletedCount = 0;
-            oldBackups.forEach(backup => {
-                try {
-                    // Delete file if exists
-                    if (backup.backupPath && fs.existsSync(backup.backupPath)) {
-                        fs.unlinkSync(backup.backupPath);
-                    }
-                    // Delete record
-                    this.delete('backup_history', backup.id);
-                    deletedCount++;
-                } catch (error) {
-                    console.error(`Error deleting backup ${backup.id}:`, error);
+            this.db.prepare('SELECT backupPath, backupType, encrypted, createdAt FROM backup_history').all()
+                .forEach(record => historyByPath.set(record.backupPath, record));
+        } catch (error) {
+            console.warn('[Database] Could not read backup history for retention:', error.message);
+        }
+        return fs.readdirSync(backupDir)
+            .filter(file => /\.(db|sqlite|sqlite3|encrypted)$/.test(file))
+            .map(file => {
+                const filePath = path.join(backupDir, file);
+                const stat = fs.statSync(filePath);
+                if (!stat.isFile()) {
+                    return null;
                 }
-            });
+                const record = historyByPath.get(filePath);
+                return {
+                    name: file,
+                    path: filePath,
+                    size: stat.size,
+                    date: record && record.createdAt ? record.createdAt : stat.mtime.toISOString(),
+                    backupType: record ? record.backupType : null,
+                    encrypted: record ? !!record.encrypted : file.endsWith('.encrypted')
+                };
+            })
+            .filter(Boolean);
+    }
 
-            return { success: true, deletedCount };
+    /**
+     * Which backups in a folder a retention policy keeps (nothing is deleted).
+     * @param {string} backupDir
+     * @param {Object} [policy] - { daily, weekly, monthly, yearly }, see utils/backup-retention.js
+     * @returns {{success: boolean, policy?: Object, files?: Array, error?: string}}
+     */
+    previewBackupRetention(backupDir, policy) {
+        try {
+            const files = applyRetentionPolicy(this.listBackupFiles(backupDir), policy)
+                .map(file => ({ ...file, date: file.date.toISOString() }));
+            return { success: true, policy: normalizeRetention(policy), files };
         } catch (error) {
-            console.error('Error deleting old backups:', error);
+            console.error('[Database] Error previewing backup retention:', error);
             return { success: false, error: error.message };
         }
     }
 
-    deleteOldBackupsByCount(maxFiles, backupDir) {
-        try {
-            // Check if backup directory exists
-            if (!fs.existsSync(backupDir)) {
-                return { success: true, deletedCount: 0, message: 'Backup directory does not exist' };
-            }
-
-            // Read all backup files from backup directory
-            const files = fs.readdirSync(backupDir)
-                .filter(file => {
-                    const filePath = path.join(backupDir, file);
-                    const stat = fs.statSync(filePath);
-                    return stat.isFile() && (
-                        file.endsWith('.db') || 
-                        file.endsWith('.sqlite') || 
-                        file.endsWith('.sqlite3')
-                    );
-                })
-                .map(file => {
-                    const filePath = path.join(backupDir, file);
-                    const stat = fs.statSync(filePath);
-                    return {
-                        name: file,
-                        path: filePath,
-                        mtime: stat.mtime, // Last modification time
-                        size: stat.size
-                    };
-                })
-                .sort((a, b) => a.mtime - b.mtime); // Sort by date (oldest first)
-
-            // If number of files is within limit, no need to delete
-            if (files.length <= maxFiles) {
-                return { success: true, deletedCount: 0, message: `Total files: ${files.length}, within limit of ${maxFiles}` };
+    /**
+     * Delete the backups in a folder that a retention policy does not keep,
+     * with their backup history records.
+     * @param {string} backupDir
+     * @param {Object} [policy]
+     * @returns {{success: boolean, deletedCount?: number, keptCount?: number, error?: string}}
+     */
+    applyBackupRetention(backupDir, policy) {
+        const preview = this.previewBackupRetention(backupDir, policy);
+        if (!preview.success) {
+            return preview;
+        }
+        let deletedCount = 0;
+        preview.files.filter(file => !file.keep).forEach(file => {
+            try {
+                if (fs.existsSync(file.path)) {
+                    fs.unlinkSync(file.path);
+                }
+                this.db.prepare('SELECT id FROM backup_history WHERE backupPath = ?').all(file.path)
+                    .forEach(record => this.delete('backup_history', record.id));
+                deletedCount++;
+            } catch (error) {
+                console.error(`[Database] Error deleting backup file ${file.path}:`, error);
             }
+        });
+        return { success: true, deletedCount, keptCount: preview.files.length - deletedCount };
+    }
 
-            // Calculate how many files to delete
-            const filesToDelete = files.length - maxFiles;
-            const filesToRemove = files.slice(0, filesToDelete); // Get oldest files
-
-            // Delete files and their records from backup_history
+    /**
+     * Delete the copies on a mirror destination that a retention policy does not keep.
+     * Only the copies recorded in backup_copies for the destination are considered, so other
+     * files in the folder are never touched. Their records stay, so they are not copied again.
+     * @param {{id: string, path: string}} destination
+     * @param {Object} [policy]
+     * @returns {{success: boolean, deletedCount?: number, keptCount?: number, error?: string}}
+     */
+    applyMirrorRetention(destination, policy) {
+        try {
+            const copyPaths = new Set(this.getBackupCopies(destination.id)
+                .filter(copy => copy.status === 'copied' && copy.copyPath)
+                .map(copy => path.resolve(copy.copyPath)));
+            const copies = this.listBackupFiles(destination.path).filter(file => copyPaths.has(path.resolve(file.path)));
             let deletedCount = 0;
-            filesToRemove.forEach(file => {
+            applyRetentionPolicy(copies, policy).filter(file => !file.keep).forEach(file => {
                 try {
-                    // Delete file
-                    if (fs.existsSync(file.path)) {
-                        fs.unlinkSync(file.path);
-                    }
-
-                    // Delete record from backup_history
-                    // Find backup record by path
-                    const backupRecords = this.db.prepare('SELECT * FROM backup_history WHERE backupPath = ?').all(file.path);
-                    backupRecords.forEach(record => {
-                        try {
-                            this.delete('backup_history', record.id);
-                        } catch (error) {
-                            console.error(`Error deleting backup record ${record.id}:`, error);
-                        }
-                    });
-
+                    fs.unlinkSync(file.path);
                     deletedCount++;
                 } catch (error) {
-                    console.error(`Error deleting backup file ${file.path}:`, error);
+                    console.error(`[Database] Error deleting backup copy ${file.path}:`, error);
                 }
             });
-
-            return { success: true, deletedCount, message: `Deleted ${deletedCount} old backup(s), kept ${maxFiles} most recent` };
+            return { success: true, deletedCount, keptCount: copies.length - deletedCount };
         } catch (error) {
-            console.error('Error deleting old backups by count:', error);
+            console.error('[Database] Error applying retention on a mirror destination:', error);
             return { success: false, error: error.message };
         }
     }
 
-    deleteOldBackupsWhenExceeds(threshold, deleteCount, backupDir) {
+    /**
+     * Record one automatic backup run (scheduled, catch-up at startup or on exit).
+     * @param {{trigger: string, scheduledFor?: string|null, startedAt: string, status: 'success'|'failed'|'skipped', backupPath?: string|null, error?: string|null}} run
+     * @returns {string|null} Id of the record
+     */
+    recordBackupRun(run) {
         try {
-            // Check if backup directory exists
-            if (!fs.existsSync(backupDir)) {
-                return { success: true, deletedCount: 0, message: 'Backup directory does not exist' };
-            }
-
-            // Read all backup files from backup directory
-            const files = fs.readdirSync(backupDir)
-                .filter(file => {
-                    const filePath = path.join(backupDir, file);
-                    const stat = fs.statSync(filePath);
-                    return stat.isFile() && (
-                        file.endsWith('.db') || 
-                        file.endsWith('.sqlite') || 
-                        file.endsWith('.sqlite3')
-                    );
-                })
-                .map(file => {
-                    const filePath = path.join(backupDir, file);
-                    const stat = fs.statSync(filePath);
-                    return {
-                        name: file,
-                        path: filePath,
-                        mtime: stat.mtime, // Last modification time
-                        size: stat.size
-                    };
-                })
-                .sort((a, b) => a.mtime - b.mtime); // Sort by date (oldest first)
+            const id = `run_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+            this.insert('backup_runs', {
+                id,
+                trigger: run.trigger,
+                scheduledFor: run.scheduledFor || null,
+                startedAt: run.startedAt,
+                finishedAt: new Date().toISOString(),
+                status: run.status,
+                backupPath: run.backupPath || null,
+                error: run.error || null
+            });
+            return id;
+        } catch (error) {
+            console.error('[Database] Could not record backup run:', error.message);
+            return null;
+        }
+    }
 
-            // If number of files doesn't exceed threshold, no need to delete
-            if (files.length <= threshold) {
-                return { success: true, deletedCount: 0, message: `Total files: ${files.length}, below threshold of ${threshold}` };
+    /**
+     * Automatic backup runs, newest first.
+     * @param {number} [limit]
+     * @param {{triggers?: string[], failedOnly?: boolean, includeDismissed?: boolean}} [filters]
+     * @returns {Array<Object>}
+     */
+    getBackupRuns(limit = 50, { triggers = null, failedOnly = false, includeDismissed = true } = {}) {
+        try {
+            const conditions = [];
+            const params = [];
+            if (triggers && triggers.length > 0) {
+                conditions.push(`trigger IN (${triggers.map(() => '?').join(', ')})`);
+                params.push(...triggers);
             }
+            if (failedOnly) {
+                conditions.push("status = 'failed'");
+            }
+            if (!includeDismissed) {
+                conditions.push('dismissedAt IS NULL');
+            }
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            return this.db.prepare(`SELECT * FROM backup_runs ${where} ORDER BY startedAt DESC LIMIT ?`).all(...params, limit);
+        } catch (error) {
+            console.warn('[Database] Could not read backup runs:', error.message);
+            return [];
+        }
+    }
 
-            // Delete oldest files (up to deleteCount files)
-            const filesToRemove = files.slice(0, Math.min(deleteCount, files.length)); // Get oldest files
-
-            // Delete files and their records from backup_history
-            let deletedCount = 0;
-            filesToRemove.forEach(file => {
-                try {
-                    // Delete file
-                    if (fs.existsSync(file.path)) {
-                        fs.unlinkSync(file.path);
-                    }
+    /**
+     * Hide a failed run from the notifications (it stays in the run history).
+     * @param {string} id
+     * @returns {{success: boolean, error?: string}}
+     */
+    dismissBackupRun(id) {
+        try {
+            this.db.prepare('UPDATE backup_runs SET dismissedAt = ? WHERE id = ?').run(new Date().toISOString(), id);
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
 
-                    // Delete record from backup_history
-                    // Find backup record by path
-                    const backupRecords = this.db.prepare('SELECT * FROM backup_history WHERE backupPath = ?').all(file.path);
-                    backupRecords.forEach(record => {
-                        try {
-                            this.delete('backup_history', record.id);
-                        } catch (error) {
-                            console.error(`Error deleting backup record ${record.id}:`, error);
-                        }
-                    });
+    /**
+     * Copies of backups on the mirror destinations (one record per backup and destination).
+     * @param {string} [destinationId] - Only this destination
+     * @returns {Array<{id: string, backupPath: string, destinationId: string, copyPath: string, status: string, error: string|null, copiedAt: string}>}
+     */
+    getBackupCopies(destinationId = null) {
+        try {
+            return destinationId
+                ? this.db.prepare('SELECT * FROM backup_copies WHERE destinationId = ? ORDER BY copiedAt DESC').all(destinationId)
+                : this.db.prepare('SELECT * FROM backup_copies ORDER BY copiedAt DESC').all();
+        } catch (error) {
+            console.warn('[Database] Could not read backup copies:', error.message);
+            return [];
+        }
+    }
 
-                    deletedCount++;
-                } catch (error) {
-                    console.error(`Error deleting backup file ${file.path}:`, error);
+    /**
+     * Copy a backup into a mirror destination folder and record the result.
+     * The copy is written under a temporary name, compared with the original
+     * (SHA-256) and only then renamed, so a half-written copy never looks complete.
+     * @param {string} backupPath
+     * @param {{id: string, path: string}} destination
+     * @returns {{success: boolean, copyPath?: string, error?: string}}
+     */
+    copyBackupToMirror(backupPath, destination) {
+        const copyPath = path.join(destination.path, path.basename(backupPath));
+        const tempPath = `${copyPath}.tmp`;
+        let result;
+        try {
+            fs.mkdirSync(destination.path, { recursive: true });
+            fs.copyFileSync(backupPath, tempPath);
+            const hashFile = filePath => crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+            if (hashFile(tempPath) !== hashFile(backupPath)) {
+                throw new Error('Copy does not match the original backup');
+            }
+            fs.renameSync(tempPath, copyPath);
+            // Keep the backup's time so retention on the destination dates it correctly
+            const stat = fs.statSync(backupPath);
+            fs.utimesSync(copyPath, stat.atime, stat.mtime);
+            result = { success: true, copyPath };
+        } catch (error) {
+            if (fs.existsSync(tempPath)) {
+                try {
+                    fs.unlinkSync(tempPath);
+                } catch (cleanupError) {
+                    // The next copy overwrites it
                 }
-            });
+            }
+            console.error(`[Backup] Could not copy ${backupPath} to ${destination.path}:`, error.message);
+            result = { success: false, error: error.message };
+        }
+        this.recordBackupCopy(backupPath, destination.id, result.success ? 'copied' : 'failed', {
+            copyPath,
+            error: result.error || null
+        });
+        return result;
+    }
 
-            const remainingFiles = files.length - deletedCount;
-            return { success: true, deletedCount, message: `Deleted ${deletedCount} oldest backup(s), ${remainingFiles} files remaining` };
-        } catch (error) {
-            console.error('Error deleting old backups when exceeds threshold:', error);
-            return { success: false, error: error.message };
+    /**
+     * Save the latest copy result of a backup on a destination, replacing the previous one.
+     * @param {string} backupPath
+     * @param {string} destinationId
+     * @param {'copied'|'failed'} status
+     * @param {{copyPath?: string, error?: string|null}} [details]
+     */
+    recordBackupCopy(backupPath, destinationId, status, { copyPath = null, error = null } = {}) {
+        try {
+            this.db.prepare('SELECT id FROM backup_copies WHERE backupPath = ? AND destinationId = ?')
+                .all(backupPath, destinationId)
+                .forEach(record => this.delete('backup_copies', record.id));
+            this.insert('backup_copies', {
+                id: `copy_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+                backupPath,
+                destinationId,
+                copyPath,
+                status,
+                error,
+                copiedAt: new Date().toISOString()
+            });
+        } catch (recordError) {
+            console.error('[Database] Could not record backup copy:', recordError.message);
         }
     }
 
@@ -3347,6 +6084,30 @@ class DatabaseManager {
         }
     }
 
+    /**
+     * Rebuild the database file to give back the space of deleted rows (VACUUM)
+     * and refresh the statistics the query planner uses (ANALYZE).
+     * @param {{analyze?: boolean}} [options] - analyze: false when ANALYZE runs as its own maintenance task
+     * @returns {{success: boolean, sizeBefore?: number, sizeAfter?: number, error?: string}}
+     */
+    vacuumDatabase({ analyze = true } = {}) {
+        try {
+            this.db.pragma('wal_checkpoint(TRUNCATE)');
+            const sizeBefore = fs.statSync(this.dbPath).size;
+            this.db.exec('VACUUM');
+            if (analyze) {
+                this.db.exec('ANALYZE');
+            }
+            // In WAL mode the rebuilt pages reach the file only at the next checkpoint
+            this.db.pragma('wal_checkpoint(TRUNCATE)');
+            const sizeAfter = fs.statSync(this.dbPath).size;
+            return { success: true, sizeBefore, sizeAfter };
+        } catch (error) {
+            console.error('[Database] Error running VACUUM:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     // Perform periodic health check on database
     performHealthCheck() {
         try {
@@ -3376,7 +6137,7 @@ class DatabaseManager {
                 const freeSpace = this.getFreeDiskSpace(dbDir);
                 
                 // Warn if less than 100MB free space
-                if (freeSpace < 100 * 1024 * 1024) {
+                if (freeSpace !== null && freeSpace < 100 * 1024 * 1024) {
                     console.warn(`[Database] ⚠️ Low disk space: ${(freeSpace / 1024 / 1024).toFixed(2)} MB remaining`);
                 }
             } catch (spaceError) {
@@ -3387,74 +6148,604 @@ class DatabaseManager {
         }
     }
     
-    // Perform full integrity check
+    /**
+     * Perform full integrity check
+     * @returns {{success: boolean, ok?: boolean, errors?: string[], error?: string}}
+     */
     performFullHealthCheck() {
         try {
             if (!this.db) {
-                return;
+                return { success: false, error: 'Database is not open' };
             }
             
             // Hide integrity check message - only show if failed
-            const integrityResult = this.db.pragma('integrity_check');
-            
-            // Use improved logic to detect actual corruption
-            let isCorrupted = false;
-            if (typeof integrityResult === 'string') {
-                const trimmed = integrityResult.trim();
-                isCorrupted = trimmed !== 'ok' && (
-                    trimmed.toLowerCase().includes('error') ||
-                    trimmed.toLowerCase().includes('corrupt') ||
-                    trimmed.toLowerCase().includes('malformed') ||
-                    (trimmed.length > 10 && trimmed.length < 200)
-                );
-            } else if (Array.isArray(integrityResult)) {
-                const firstResult = Array.isArray(integrityResult[0]) ? integrityResult[0][0] : integrityResult[0];
-                if (typeof firstResult === 'string') {
-                    const trimmed = firstResult.trim();
-                    isCorrupted = trimmed !== 'ok' && (
-                        trimmed.toLowerCase().includes('error') ||
-                        trimmed.toLowerCase().includes('corrupt') ||
-                        trimmed.toLowerCase().includes('malformed')
-                    );
-                } else {
-                    isCorrupted = firstResult !== 'ok';
-                }
-            } else if (integrityResult && typeof integrityResult === 'object') {
-                const resultStr = JSON.stringify(integrityResult);
-                const hasOk = resultStr.includes('"ok"') || resultStr.includes('"ok":"ok"');
-                const hasError = resultStr.toLowerCase().includes('error') || 
-                               resultStr.toLowerCase().includes('corrupt') ||
-                               resultStr.toLowerCase().includes('malformed');
-                isCorrupted = !hasOk && hasError;
-            }
-            
-            if (isCorrupted) {
-                console.error(`[Database] ❌ Integrity check failed: ${JSON.stringify(integrityResult)}`);
+            const errors = getIntegrityErrors(this.db);
+            if (errors.length > 0) {
+                console.error(`[Database] ❌ Integrity check failed: ${JSON.stringify(errors)}`);
                 console.error(`[Database] ⚠️ Database corruption detected!`);
                 // Note: Automatic repair is disabled - user will handle repairs manually or through the app
             }
-            // Hide success message - only show errors
+            return { success: true, ok: errors.length === 0, errors };
         } catch (error) {
             console.error('Error in full health check:', error);
+            return { success: false, error: error.message };
         }
     }
     
-    // Get free disk space (approximate)
+    /**
+     * Free space on the disk holding a folder, as available to this user.
+     * @param {string} dirPath
+     * @returns {number|null} Bytes, null when it cannot be read
+     */
     getFreeDiskSpace(dirPath) {
         try {
-            const stats = fs.statSync(dirPath);
-            // This is a simplified check - actual free space detection requires platform-specific code
-            // For now, we'll just check if we can write to the directory
-            return 1024 * 1024 * 1024; // Assume 1GB for now (conservative estimate)
+            const stats = fs.statfsSync(dirPath);
+            return stats.bavail * stats.bsize;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // ============================================================
+    // Database Maintenance
+    // ============================================================
+    // The maintenance page (maintenance.html) shows the measurements of getDatabaseHealth and
+    // runs the tasks of MAINTENANCE_TASKS (utils/db-health.js) by hand or on a schedule
+    // (main.js). Every task run is recorded in maintenance_runs.
+
+    /**
+     * Sizes, free disk space, free pages and the last run of each maintenance task, with the
+     * problems found in them. Only reads: the integrity check runs as a maintenance task.
+     * @returns {{success: boolean, health?: Object, error?: string}}
+     */
+    getDatabaseHealth() {
+        try {
+            const pageSize = this.db.pragma('page_size', { simple: true });
+            const pageCount = this.db.pragma('page_count', { simple: true });
+            const freelistCount = this.db.pragma('freelist_count', { simple: true });
+            const lastRuns = {};
+            const lastSuccessAt = {};
+            MAINTENANCE_TASKS.forEach(task => {
+                const run = this.db.prepare('SELECT * FROM maintenance_runs WHERE task = ? ORDER BY startedAt DESC LIMIT 1').get(task);
+                lastRuns[task] = run ? this.toMaintenanceRun(run) : null;
+                lastSuccessAt[task] = this.db.prepare("SELECT MAX(startedAt) AS startedAt FROM maintenance_runs WHERE task = ? AND status = 'success'")
+                    .get(task).startedAt;
+            });
+            const health = {
+                dbPath: this.dbPath,
+                dbSize: getFileSize(this.dbPath),
+                walSize: getFileSize(`${this.dbPath}-wal`),
+                freeDiskSpace: this.getFreeDiskSpace(path.dirname(this.dbPath)),
+                journalMode: this.db.pragma('journal_mode', { simple: true }),
+                pageSize,
+                pageCount,
+                freelistCount,
+                fragmentationPercent: getFragmentationPercent(freelistCount, pageCount),
+                reclaimableBytes: freelistCount * pageSize,
+                lastRuns,
+                lastSuccessAt
+            };
+            health.issues = evaluateDatabaseHealth(health);
+            return { success: true, health };
+        } catch (error) {
+            console.error('[Database] Error reading database health:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Run maintenance tasks in the order of MAINTENANCE_TASKS and record each one.
+     * VACUUM is skipped when the integrity check of the same run found problems:
+     * rebuilding a damaged file can lose the rows of its damaged pages.
+     * @param {string[]} tasks
+     * @param {'manual'|'schedule'} [trigger]
+     * @returns {{success: boolean, results?: Array<{task: string, status: string, details?: Object, error?: string}>, error?: string}}
+     */
+    runMaintenance(tasks, trigger = 'manual') {
+        const selected = MAINTENANCE_TASKS.filter(task => Array.isArray(tasks) && tasks.includes(task));
+        if (selected.length === 0) {
+            return { success: false, error: 'اختر مهمة صيانة واحدة على الأقل' };
+        }
+        const results = [];
+        let integrityOk = true;
+        selected.forEach(task => {
+            const startedAt = new Date().toISOString();
+            const result = task === 'vacuum' && !integrityOk
+                ? { status: 'skipped', error: 'لم يتم الضغط لأن فحص السلامة لم ينجح' }
+                : this.runMaintenanceTask(task);
+            if (task === 'integrity_check' && result.status !== 'success') {
+                integrityOk = false;
+            }
+            this.recordMaintenanceRun({ task, trigger, startedAt, ...result });
+            results.push({ task, ...result });
+        });
+        return { success: true, results };
+    }
+
+    // One maintenance task: { status: 'success' | 'failed', details?, error? }
+    runMaintenanceTask(task) {
+        const started = Date.now();
+        try {
+            let details = {};
+            if (task === 'integrity_check') {
+                const errors = getIntegrityErrors(this.db);
+                if (errors.length > 0) {
+                    console.error(`[Database] ❌ Integrity check failed: ${JSON.stringify(errors)}`);
+                    return {
+                        status: 'failed',
+                        details: { errors: errors.slice(0, 100), durationMs: Date.now() - started },
+                        error: `وُجدت ${errors.length} مشكلة في قاعدة البيانات`
+                    };
+                }
+            } else if (task === 'checkpoint') {
+                const walPath = `${this.dbPath}-wal`;
+                const walSizeBefore = getFileSize(walPath);
+                // TRUNCATE also empties the WAL file, unlike the FULL checkpoint after writes
+                const [result] = this.db.pragma('wal_checkpoint(TRUNCATE)');
+                if (result && result.busy) {
+                    return { status: 'failed', error: 'قاعدة البيانات مشغولة، أعد المحاولة لاحقاً' };
+                }
+                details = { walSizeBefore, walSizeAfter: getFileSize(walPath) };
+            } else if (task === 'vacuum') {
+                // VACUUM writes a full copy of the database before replacing it
+                const freeSpace = this.getFreeDiskSpace(path.dirname(this.dbPath));
+                if (freeSpace !== null && freeSpace < 2 * getFileSize(this.dbPath)) {
+                    return { status: 'failed', error: 'لا توجد مساحة كافية على القرص لضغط قاعدة البيانات' };
+                }
+                const result = this.vacuumDatabase({ analyze: false });
+                if (!result.success) {
+                    return { status: 'failed', error: result.error };
+                }
+                details = { sizeBefore: result.sizeBefore, sizeAfter: result.sizeAfter };
+            } else if (task === 'analyze') {
+                this.db.exec('ANALYZE');
+            }
+            details.durationMs = Date.now() - started;
+            return { status: 'success', details };
+        } catch (error) {
+            console.error(`[Database] Maintenance task ${task} failed:`, error.message);
+            return { status: 'failed', error: error.message };
+        }
+    }
+
+    // Stored maintenance run with its details parsed
+    toMaintenanceRun(row) {
+        let details = null;
+        try {
+            details = row.details ? JSON.parse(row.details) : null;
+        } catch (error) {
+            details = null;
+        }
+        return { ...row, details };
+    }
+
+    /**
+     * Record one maintenance task run.
+     * @param {{task: string, trigger: string, startedAt: string, status: 'success'|'failed'|'skipped', details?: Object, error?: string}} run
+     * @returns {string|null} Id of the record
+     */
+    recordMaintenanceRun(run) {
+        try {
+            const id = `maint_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+            this.insert('maintenance_runs', {
+                id,
+                task: run.task,
+                trigger: run.trigger,
+                startedAt: run.startedAt,
+                finishedAt: new Date().toISOString(),
+                status: run.status,
+                details: run.details ? JSON.stringify(run.details) : null,
+                error: run.error || null,
+                username: this.auditContext && this.auditContext.username ? this.auditContext.username : null
+            });
+            return id;
+        } catch (error) {
+            console.error('[Database] Could not record maintenance run:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Maintenance task runs, newest first.
+     * @param {number} [limit]
+     * @param {{trigger?: string}} [filters]
+     * @returns {Array<Object>}
+     */
+    getMaintenanceRuns(limit = 50, { trigger = null } = {}) {
+        try {
+            const rows = trigger
+                ? this.db.prepare('SELECT * FROM maintenance_runs WHERE trigger = ? ORDER BY startedAt DESC LIMIT ?').all(trigger, limit)
+                : this.db.prepare('SELECT * FROM maintenance_runs ORDER BY startedAt DESC LIMIT ?').all(limit);
+            return rows.map(row => this.toMaintenanceRun(row));
         } catch (error) {
-            return 0;
+            console.warn('[Database] Could not read maintenance runs:', error.message);
+            return [];
         }
     }
     
+    // ============================================================
+    // Data Consistency
+    // ============================================================
+    // customers.balance, suppliers.balance and products.stock are totals updated by each
+    // document as it is saved. The consistency check recomputes them from the documents
+    // (RECYCLE_BIN_TABLES says what each document adds to them) and corrections are recorded
+    // in consistency_corrections.
+
+    // Time the stock ledger started (migration 11): documents saved before it have no movements
+    // of their own, their effect is part of the opening movements
+    getStockLedgerStart() {
+        try {
+            const row = this.db.prepare('SELECT appliedAt FROM schema_migrations WHERE version = 11').get();
+            return row ? row.appliedAt : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Balances and stock that differ from the documents, in cents (see checkDataConsistency)
+    findDataDiscrepancies() {
+        const balanceDocuments = { customers: [], suppliers: [] };
+        Object.entries(RECYCLE_BIN_TABLES).forEach(([table, config]) => {
+            if (!config.balance) {
+                return;
+            }
+            this.db.prepare(`SELECT * FROM ${table}`).all().forEach(row => {
+                const effect = config.balance(row);
+                if (effect && effect.id && effect.amount) {
+                    balanceDocuments[effect.table].push({
+                        partyId: effect.id,
+                        table,
+                        id: row.id,
+                        number: this.getAuditDocumentNumber(row),
+                        date: row.date || null,
+                        amount: effect.amount
+                    });
+                }
+            });
+        });
+        const parties = {};
+        ['customers', 'suppliers'].forEach(table => {
+            parties[table] = findBalanceDiscrepancies(
+                this.db.prepare(`SELECT id, code, name, openingBalance, balance FROM ${table}`).all(),
+                balanceDocuments[table]
+            );
+        });
+
+        // Net movements recorded for each document and product
+        const recorded = new Map();
+        this.db.prepare(`
+            SELECT sourceType, sourceId, productId, SUM(quantity) AS quantity FROM stock_movements
+            WHERE sourceId IS NOT NULL
+            GROUP BY sourceType, sourceId, productId
+        `).all().forEach(row => {
+            const key = `${row.sourceType}:${row.sourceId}`;
+            if (!recorded.has(key)) {
+                recorded.set(key, []);
+            }
+            recorded.get(key).push({ productId: row.productId, quantity: row.quantity });
+        });
+        const ledgerStart = this.getStockLedgerStart() || '';
+        const documentDifferences = [];
+        CONSISTENCY_STOCK_TABLES.forEach(table => {
+            const config = RECYCLE_BIN_TABLES[table];
+            const childRows = {};
+            (config.children || []).forEach(child => {
+                childRows[child.table] = new Map();
+                this.db.prepare(`SELECT * FROM ${child.table}`).all().forEach(item => {
+                    const parentId = item[child.foreignKey];
+                    if (!childRows[child.table].has(parentId)) {
+                        childRows[child.table].set(parentId, []);
+                    }
+                    childRows[child.table].get(parentId).push(item);
+                });
+            });
+            this.db.prepare(`SELECT * FROM ${table}`).all()
+                .filter(row => String(row.createdAt || row.date || '') >= ledgerStart)
+                .forEach(row => {
+                    const children = {};
+                    (config.children || []).forEach(child => {
+                        children[child.table] = childRows[child.table].get(row.id) || [];
+                    });
+                    diffStockEffects(config.legacyStock(this, row, children), recorded.get(`${config.stockSource}:${row.id}`) || [])
+                        .forEach(difference => documentDifferences.push({
+                            ...difference,
+                            table,
+                            sourceType: config.stockSource,
+                            id: row.id,
+                            number: this.getAuditDocumentNumber(row),
+                            date: row.date || null
+                        }));
+                });
+        });
+        const ledgerTotals = new Map(this.db.prepare('SELECT productId, SUM(quantity) AS quantity FROM stock_movements GROUP BY productId')
+            .all().map(row => [row.productId, row.quantity]));
+        const products = findStockDiscrepancies(
+            this.db.prepare('SELECT id, code, name, smallestUnit, stock FROM products').all(),
+            ledgerTotals,
+            documentDifferences
+        );
+
+        return { customers: parties.customers, suppliers: parties.suppliers, products };
+    }
+
+    /**
+     * Recompute every customer/supplier balance and every product's stock from the documents
+     * and list the ones that differ from the stored value.
+     * A balance is the opening balance plus what each invoice, receipt, payment and return adds.
+     * Stock is the total of the product's ledger, plus what the documents saved since the ledger
+     * started add beyond the movements recorded for them.
+     * @returns {{success: boolean, checkedAt?: string, customers?: Array, suppliers?: Array,
+     *   products?: Array, error?: string}} Amounts in EGP; each balance lists its newest
+     *   CONSISTENCY_DOCUMENT_LIMIT documents (documentCount has them all)
+     */
+    checkDataConsistency() {
+        try {
+            const found = this.findDataDiscrepancies();
+            const toEgpParty = (party) => ({
+                id: party.id,
+                code: party.code,
+                name: party.name,
+                openingBalance: centsToEgp(party.openingBalance || 0),
+                balance: centsToEgp(party.balance || 0),
+                expectedBalance: centsToEgp(party.expectedBalance),
+                difference: centsToEgp(party.difference),
+                documentCount: party.documents.length,
+                documents: party.documents.slice(0, CONSISTENCY_DOCUMENT_LIMIT)
+                    .map(({ partyId, ...document }) => ({ ...document, amount: centsToEgp(document.amount) }))
+            });
+            return {
+                success: true,
+                checkedAt: new Date().toISOString(),
+                customers: found.customers.map(toEgpParty),
+                suppliers: found.suppliers.map(toEgpParty),
+                products: found.products
+            };
+        } catch (error) {
+            console.error('[Database] Error checking data consistency:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Correct the balances and stock selected from a consistency check. The check runs again
+     * first, so only values that still differ are written. A balance is adjusted by its
+     * difference from the recomputed value; a document whose stock movements differ from its
+     * contents gets a movement for the difference, and the product's stock is then rebuilt
+     * from the ledger. Each correction is logged with the user and page of the audit context.
+     * @param {{customers?: string[], suppliers?: string[], products?: string[]}} selection - Ids to correct
+     * @returns {{success: boolean, corrected?: number, error?: string}}
+     */
+    applyConsistencyCorrections(selection) {
+        const selectedIds = (key) => new Set(Array.isArray(selection && selection[key]) ? selection[key].map(String) : []);
+        try {
+            const apply = this.db.transaction(() => {
+                const found = this.findDataDiscrepancies();
+                const now = new Date().toISOString();
+                const userId = this.auditContext && this.auditContext.userId ? this.auditContext.userId : null;
+                let corrected = 0;
+
+                ['customers', 'suppliers'].forEach(table => {
+                    const ids = selectedIds(table);
+                    found[table].filter(party => ids.has(String(party.id))).forEach(party => {
+                        const before = this.getAuditSnapshot(table, party.id);
+                        this.db.prepare(`UPDATE ${table} SET balance = balance + ?, updatedAt = ? WHERE id = ?`)
+                            .run(party.difference, now, party.id);
+                        const auditLogId = this.writeAuditLog(table, party.id, 'update', before, this.getAuditSnapshot(table, party.id));
+                        this.recordConsistencyCorrection(table, party, 'balance', {
+                            oldValue: centsToEgp(party.balance),
+                            newValue: centsToEgp(party.expectedBalance),
+                            difference: centsToEgp(party.difference),
+                            documentCount: party.documents.length
+                        }, auditLogId);
+                        corrected++;
+                    });
+                });
+
+                const productIds = selectedIds('products');
+                found.products.filter(product => productIds.has(String(product.id))).forEach(product => {
+                    product.documents.forEach(document => {
+                        this.recordStockMovement({
+                            productId: product.id,
+                            quantity: document.difference,
+                            sourceType: document.sourceType,
+                            sourceId: document.id,
+                            sourceNumber: document.number,
+                            notes: 'تصحيح من فحص تطابق البيانات',
+                            date: document.date,
+                            userId
+                        });
+                    });
+                    const rebuilt = this.rebuildProductStock(product.id);
+                    if (!rebuilt.success) {
+                        throw new Error(rebuilt.error);
+                    }
+                    this.recordConsistencyCorrection('products', product, 'stock', {
+                        oldValue: parseFloat(product.stock) || 0,
+                        newValue: product.expectedStock,
+                        difference: product.difference,
+                        documents: product.documents.map(({ table, number, date, difference }) => ({ table, number, date, difference }))
+                    });
+                    corrected++;
+                });
+                return corrected;
+            });
+
+            const corrected = apply();
+            if (corrected > 0) {
+                console.warn(`[Database] Corrected ${corrected} balances/stock values from the consistency check`);
+            }
+            return { success: true, corrected };
+        } catch (error) {
+            console.error('[Database] Error applying consistency corrections:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Record one correction made from the consistency check (details in EGP / smallest units),
+    // with who made it and the audit_log entry of the change when there is one
+    recordConsistencyCorrection(entityType, entity, field, details, auditLogId = null) {
+        const context = this.auditContext || {};
+        const id = `corr_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+        this.insert('consistency_corrections', {
+            id,
+            entityType,
+            entityId: entity.id,
+            entityName: entity.name || entity.code || null,
+            field,
+            details: JSON.stringify(details),
+            userId: context.userId || null,
+            username: context.username || null,
+            source: context.source || null,
+            auditLogId,
+            createdAt: new Date().toISOString()
+        });
+        return id;
+    }
+
+    /**
+     * Corrections made from the consistency check, newest first.
+     * @param {number} [limit]
+     * @returns {Array<Object>} details parsed
+     */
+    getConsistencyCorrections(limit = 50) {
+        try {
+            return this.db.prepare('SELECT * FROM consistency_corrections ORDER BY createdAt DESC LIMIT ?').all(limit)
+                .map(row => {
+                    let details = null;
+                    try {
+                        details = row.details ? JSON.parse(row.details) : null;
+                    } catch (error) {
+                        details = null;
+                    }
+                    return { ...row, details };
+                });
+        } catch (error) {
+            console.warn('[Database] Could not read consistency corrections:', error.message);
+            return [];
+        }
+    }
+
+    // ============================================================
+    // Login
+    // ============================================================
+    // Passwords are checked here, never in the login page, and every attempt is recorded in
+    // login_attempts; repeated failures lock the username for a while (utils/login-lockout.js).
+
+    /**
+     * Check a username and password.
+     * @param {string} username - Compared without regard to case
+     * @param {string} password
+     * @param {string|null} [clientName] - Computer the attempt came from
+     * @returns {Promise<{success: boolean, userId?: string, error?: string, lockedUntil?: string}>}
+     */
+    async verifyLogin(username, password, clientName = null) {
+        const name = typeof username === 'string' ? username.trim() : '';
+        if (!name || typeof password !== 'string' || !password) {
+            return { success: false, error: 'يرجى إدخال اسم المستخدم وكلمة المرور' };
+        }
+        // Attempts on one username are checked one after another: the password comparison is
+        // awaited between the lockout check and recording the failure, so parallel attempts
+        // would otherwise all pass the check
+        const key = name.toLowerCase();
+        const attempt = (this.pendingLogins.get(key) || Promise.resolve())
+            .then(() => this.checkLogin(name, password, clientName));
+        this.pendingLogins.set(key, attempt);
+        attempt.then(() => {
+            if (this.pendingLogins.get(key) === attempt) {
+                this.pendingLogins.delete(key);
+            }
+        });
+        return attempt;
+    }
+
+    // verifyLogin for one attempt, once the previous attempts on the username are finished
+    async checkLogin(name, password, clientName) {
+        const invalidMessage = 'اسم المستخدم أو كلمة المرور غير صحيحة';
+        try {
+            const lockout = getLoginLockout(this.getLoginFailures(name));
+            if (lockout.locked) {
+                this.recordLoginAttempt(name, null, false, 'locked', clientName);
+                return {
+                    success: false,
+                    error: `تم إيقاف الدخول مؤقتاً بعد محاولات فاشلة متكررة. حاول مرة أخرى بعد ${formatLockoutWait(lockout.retryAfterMs)}`,
+                    lockedUntil: lockout.lockedUntil
+                };
+            }
+
+            const user = this.db.prepare('SELECT * FROM users WHERE username = ? COLLATE NOCASE').get(name);
+            const passwordMatch = user ? await passwordUtils.comparePassword(password, user.password) : false;
+            if (!passwordMatch) {
+                this.recordLoginAttempt(name, user ? user.id : null, false, user ? 'wrong_password' : 'unknown_user', clientName);
+                const after = getLoginLockout(this.getLoginFailures(name));
+                return after.locked
+                    ? {
+                        success: false,
+                        error: `${invalidMessage}. تم إيقاف الدخول مؤقتاً، حاول مرة أخرى بعد ${formatLockoutWait(after.retryAfterMs)}`,
+                        lockedUntil: after.lockedUntil
+                    }
+                    : { success: false, error: invalidMessage };
+            }
+            // Only told once the password is right, so the message does not reveal usernames
+            if (user.status && user.status !== 'active') {
+                this.recordLoginAttempt(name, user.id, false, 'inactive', clientName);
+                return { success: false, error: 'حسابك غير نشط. يرجى التواصل مع المدير' };
+            }
+
+            const now = new Date().toISOString();
+            // Passwords saved before hashing was introduced are hashed on their first login
+            if (!passwordUtils.isHashed(user.password)) {
+                this.db.prepare('UPDATE users SET password = ? WHERE id = ?').run(await passwordUtils.hashPassword(password), user.id);
+            }
+            this.db.prepare('UPDATE users SET lastLogin = ? WHERE id = ?').run(now, user.id);
+            this.noteDataChange('users', user.id, 'update');
+            this.recordLoginAttempt(name, user.id, true, null, clientName);
+            return { success: true, userId: user.id };
+        } catch (error) {
+            console.error('[Database] Error verifying login:', error);
+            return { success: false, error: 'حدث خطأ أثناء تسجيل الدخول' };
+        }
+    }
+
+    /**
+     * Failed logins of a username since its last successful one and within LOGIN_LOCKOUT.resetAfterMs.
+     * Every row is counted (no LIMIT) and attempts refused as 'locked' are left out, so they cannot
+     * dilute the count.
+     * @param {string} username - Compared without regard to case
+     * @param {Date} [now]
+     * @returns {{failures: number, lastFailureAt: string|null}}
+     */
+    getLoginFailures(username, now = new Date()) {
+        const since = new Date(now.getTime() - LOGIN_LOCKOUT.resetAfterMs).toISOString();
+        const row = this.db.prepare(`
+            SELECT COUNT(*) AS failures, MAX(createdAt) AS lastFailureAt
+            FROM login_attempts
+            WHERE username = ? COLLATE NOCASE AND success = 0 AND COALESCE(reason, '') != 'locked'
+              AND createdAt > ?
+              AND createdAt > COALESCE((
+                  SELECT MAX(createdAt) FROM login_attempts WHERE username = ? COLLATE NOCASE AND success = 1
+              ), '')
+        `).get(username, since, username);
+        return { failures: row.failures, lastFailureAt: row.lastFailureAt || null };
+    }
+
+    // Record one login attempt (reason: wrong_password | unknown_user | inactive | locked)
+    recordLoginAttempt(username, userId, success, reason, clientName) {
+        this.db.prepare(`
+            INSERT INTO login_attempts (username, userId, success, reason, clientName, createdAt)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(username, userId || null, success ? 1 : 0, reason || null, clientName || null, new Date().toISOString());
+        if (!success) {
+            console.warn(`[Access] Failed login for ${username}${clientName ? ` from ${clientName}` : ''}: ${reason}`);
+        }
+    }
+
     // Safe close with multiple attempts
     close() {
         let attempts = 0;
         const maxAttempts = 3;
+
+        // Temporary copies of backups opened for selective restore
+        this.closeBrowsedBackup();
         
         const attemptClose = () => {
             try {
@@ -3513,93 +6804,138 @@ class DatabaseManager {
     }
 
     // ============================================================
-    // Migration: REAL to INTEGER for Financial Amounts
+    // Schema Migrations
     // ============================================================
-    
+    // Numbered migrations live in migrations/schema-migrations.js. Pending ones run in
+    // order at startup, each in its own transaction, after a backup of the database.
+
     /**
-     * Run migration from REAL to INTEGER for financial amounts
-     * @returns {Promise<{success: boolean, message: string, backupPath?: string}>}
+     * Apply pending schema migrations.
+     * Stops at the first failure so later migrations never run on a half-upgraded schema.
+     * @param {{isNewDatabase?: boolean}} [options] - new databases are not backed up first
+     * @returns {{success: boolean, applied: number[], backupPath?: string|null, error?: string}}
      */
-    async runRealToIntegerMigration() {
+    runSchemaMigrations({ isNewDatabase = false } = {}) {
+        this.lastMigrationError = null;
         try {
-            const migrationModule = require('./migrations/run-migration-in-app');
-            const result = await migrationModule.runMigration(this.dbPath);
-            
-            if (result.success) {
-                return {
-                    success: true,
-                    message: `Migration completed successfully! Executed ${result.executed} statements. Backup saved to: ${result.backupPath}`,
-                    backupPath: result.backupPath,
-                    foreignKeyViolations: result.foreignKeyViolations
-                };
-            } else {
-                return {
-                    success: false,
-                    message: `Migration failed: ${result.error || 'Unknown error'}`
-                };
+            const appliedVersions = new Set(
+                this.db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+            );
+            const pending = SCHEMA_MIGRATIONS
+                .filter(migration => !appliedVersions.has(migration.version))
+                .sort((a, b) => a.version - b.version);
+
+            if (pending.length === 0) {
+                return { success: true, applied: [] };
+            }
+
+            let backupPath = null;
+            if (!isNewDatabase) {
+                backupPath = this.createPreMigrationBackup(this.getSchemaVersion(), pending[pending.length - 1].version);
+            }
+
+            const recordStmt = this.db.prepare(`
+                INSERT INTO schema_migrations (version, name, appliedAt, durationMs, backupPath)
+                VALUES (?, ?, ?, ?, ?)
+            `);
+            const applied = [];
+            for (const migration of pending) {
+                const startedAt = Date.now();
+                try {
+                    this.db.transaction(() => {
+                        migration.up(this.db);
+                        recordStmt.run(migration.version, migration.name, new Date().toISOString(), Date.now() - startedAt, backupPath);
+                    })();
+                } catch (error) {
+                    this.lastMigrationError = {
+                        version: migration.version,
+                        name: migration.name,
+                        error: error.message,
+                        backupPath,
+                        failedAt: new Date().toISOString()
+                    };
+                    console.error(`[Migration] ❌ Schema migration ${migration.version} (${migration.name}) failed, later migrations were not applied:`, error.message);
+                    return { success: false, applied, backupPath, error: error.message };
+                }
+                applied.push(migration.version);
+                if (!isNewDatabase) {
+                    console.log(`[Migration] Applied schema migration ${migration.version} (${migration.name})`);
+                }
             }
+
+            this.checkpoint();
+            return { success: true, applied, backupPath };
         } catch (error) {
-            return {
-                success: false,
-                message: `Migration error: ${error.message}`
-            };
+            this.lastMigrationError = { version: null, name: null, error: error.message, backupPath: null, failedAt: new Date().toISOString() };
+            console.error('[Migration] ❌ Schema migrations were not applied:', error.message);
+            return { success: false, applied: [], error: error.message };
         }
     }
 
     /**
-     * Rollback migration (restore REAL)
-     * @returns {Promise<{success: boolean, message: string}>}
+     * Copy the database to backups/ before migrating (synchronous; runs during construction).
+     * Throws if the backup cannot be made, so no migration runs without one.
+     * @returns {string} backup file path
      */
-    async rollbackRealToIntegerMigration() {
-        try {
-            const migrationModule = require('./migrations/run-migration-in-app');
-            const result = await migrationModule.runRollback(this.dbPath);
-            
-            if (result.success) {
-                return {
-                    success: true,
-                    message: `Rollback completed successfully! Executed ${result.executed} statements.`
-                };
-            } else {
-                return {
-                    success: false,
-                    message: `Rollback failed: ${result.error || 'Unknown error'}`
-                };
-            }
-        } catch (error) {
-            return {
-                success: false,
-                message: `Rollback error: ${error.message}`
-            };
+    createPreMigrationBackup(fromVersion, toVersion) {
+        const backupDir = path.join(this.userDataPath, 'backups');
+        if (!fs.existsSync(backupDir)) {
+            fs.mkdirSync(backupDir, { recursive: true });
+        }
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const backupPath = path.join(backupDir, `pre-migration-v${fromVersion}-to-v${toVersion}-${timestamp}.db`);
+
+        this.db.pragma('wal_checkpoint(FULL)');
+        const backupPathEscaped = backupPath.replace(/\\/g, '/').replace(/'/g, "''");
+        this.db.exec(`VACUUM INTO '${backupPathEscaped}'`);
+
+        const fileSize = fs.existsSync(backupPath) ? fs.statSync(backupPath).size : 0;
+        if (fileSize === 0) {
+            throw new Error('Pre-migration backup file was not created');
         }
+
+        // Older backup_history tables may not have checksum/encrypted yet, so insert the base columns only
+        this.db.prepare(`
+            INSERT INTO backup_history (id, backupPath, backupType, fileSize, createdAt)
+            VALUES (?, ?, ?, ?, ?)
+        `).run(`backup_${Date.now()}`, backupPath, 'pre-migration', fileSize, new Date().toISOString());
+
+        console.log(`[Migration] Pre-migration backup saved to: ${backupPath}`);
+        return backupPath;
+    }
+
+    // Highest applied migration version (0 if none)
+    getSchemaVersion() {
+        const row = this.db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get();
+        return row && row.version ? row.version : 0;
     }
 
     /**
-     * Test migration (verify data integrity)
-     * @returns {Promise<{success: boolean, message: string, results?: object}>}
+     * Current schema version, pending migrations and applied history for the settings page.
+     * @returns {{success: boolean, currentVersion?: number, latestVersion?: number, pending?: Array, history?: Array, lastError?: Object|null, error?: string}}
      */
-    async testRealToIntegerMigration() {
+    getSchemaMigrationStatus() {
         try {
-            const migrationModule = require('./migrations/run-migration-in-app');
-            const result = await migrationModule.runTests(this.dbPath);
-            
-            if (result.success) {
-                return {
-                    success: true,
-                    message: 'Tests completed successfully!',
-                    results: result
-                };
-            } else {
-                return {
-                    success: false,
-                    message: `Tests failed: ${result.error || 'Unknown error'}`
-                };
-            }
-        } catch (error) {
+            const descriptions = new Map(SCHEMA_MIGRATIONS.map(migration => [migration.version, migration.description || '']));
+            const history = this.db.prepare('SELECT * FROM schema_migrations ORDER BY version DESC').all()
+                .map(row => ({ ...row, description: descriptions.get(row.version) || '' }));
+            const appliedVersions = new Set(history.map(row => row.version));
+            const pending = SCHEMA_MIGRATIONS
+                .filter(migration => !appliedVersions.has(migration.version))
+                .map(({ version, name, description }) => ({ version, name, description }));
+
             return {
-                success: false,
-                message: `Test error: ${error.message}`
+                success: true,
+                currentVersion: this.getSchemaVersion(),
+                latestVersion: Math.max(0, ...SCHEMA_MIGRATIONS.map(migration => migration.version)),
+                pending,
+                history,
+                lastError: this.lastMigrationError || null
             };
+        } catch (error) {
+            console.error('[Migration] Error getting schema migration status:', error);
+            return { success: false, error: error.message };
         }
     }
 }
@@ -0,0 +1,350 @@
+#!/usr/bin/env node
+// Command-line maintenance tool for the application database.
+// Opens the same asel-database.db as the application (through DatabaseManager), so
+// maintenance can be scripted or done when the application itself will not start.
+//
+//   npm run db-tool -- <command> [options]
+//
+// Run it through Electron's Node (the npm script does this) so better-sqlite3 loads
+// with the build made for the application. Close the application before restore,
+// repair, migrate or vacuum.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const DatabaseManager = require('./database');
+const { toCsv } = require('./utils/csv');
+
+const DB_FILE_NAME = 'asel-database.db';
+
+const USAGE = `Usage: npm run db-tool -- <command> [options]
+
+Commands:
+  check              Integrity and foreign key check, schema version (read-only)
+  backup [file]      Back up the database (default: <data-dir>/backups/backup-<time>.db)
+  restore <file>     Replace the database with a backup (the current file is kept next to it)
+  repair             Rebuild a damaged database (falls back to the latest valid backup)
+  migrate            Apply pending schema migrations (a backup is made first)
+  vacuum             Give back unused space and refresh query statistics
+  export [table...]  Write tables as CSV files (default: all tables)
+
+Options:
+  --data-dir <dir>   Folder containing ${DB_FILE_NAME} (default: the application data folder)
+  --out <dir>        Folder for export (default: ./export-<date>)
+  --passphrase <p>   Encrypt the backup with this passphrase, or open an encrypted
+                     backup when restoring (the recovery key also works)
+  --yes              Do not ask before restore or repair
+  --help             Show this help`;
+
+// Tables left out of export: SQLite internals and the global search index (rebuilt from the data)
+const EXPORT_EXCLUDED_TABLE = /^(sqlite_|search_)/;
+// Columns never written to export files
+const EXPORT_EXCLUDED_COLUMNS = { users: ['password'] };
+
+function parseArgs(argv) {
+  const args = { command: null, params: [], dataDir: null, out: null, passphrase: null, yes: false, help: false };
+  const valueOptions = { '--data-dir': 'dataDir', '--out': 'out', '--passphrase': 'passphrase' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (valueOptions[arg]) {
+      if (!argv[i + 1]) {
+        throw new Error(`${arg} needs a value`);
+      }
+      args[valueOptions[arg]] = argv[++i];
+    } else if (arg === '--yes' || arg === '-y') {
+      args.yes = true;
+    } else if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else if (!args.command) {
+      args.command = arg;
+    } else {
+      args.params.push(arg);
+    }
+  }
+  return args;
+}
+
+// Same folder Electron's app.getPath('userData') gives the application
+function getDefaultDataDir() {
+  let appDataPath;
+  if (process.platform === 'win32') {
+    appDataPath = process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
+  } else if (process.platform === 'darwin') {
+    appDataPath = path.join(os.homedir(), 'Library', 'Application Support');
+  } else {
+    appDataPath = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  }
+  const pkg = require('./package.json');
+  // Installed builds are named after the product, development runs after the package
+  const dirs = [pkg.productName, pkg.build && pkg.build.productName, pkg.name]
+    .filter(Boolean)
+    .map(name => path.join(appDataPath, name));
+  return dirs.find(dir => fs.existsSync(path.join(dir, DB_FILE_NAME))) || dirs[0];
+}
+
+function formatSize(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+function timestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    rl.question(`${question} [y/N] `, answer => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+// Opens the file without creating tables or migrating; the caller opens a connection if needed
+function openManager(dataDir) {
+  return new DatabaseManager({ userDataPath: dataDir, initialize: false });
+}
+
+function checkCommand(dataDir) {
+  const manager = openManager(dataDir);
+  try {
+    manager.openConnection({ readonly: true });
+    const health = manager.performFullHealthCheck();
+    if (!health.success) {
+      throw new Error(health.error);
+    }
+    const foreignKeyErrors = manager.db.pragma('foreign_key_check');
+    const status = manager.getSchemaMigrationStatus();
+
+    console.log(`Database:      ${manager.dbPath} (${formatSize(fs.statSync(manager.dbPath).size)})`);
+    console.log(`Integrity:     ${health.ok ? 'ok' : `${health.errors.length} problem(s)`}`);
+    health.errors.slice(0, 20).forEach(message => console.log(`  - ${message}`));
+    console.log(`Foreign keys:  ${foreignKeyErrors.length === 0 ? 'ok' : `${foreignKeyErrors.length} broken reference(s)`}`);
+    foreignKeyErrors.slice(0, 20).forEach(row => console.log(`  - ${row.table} row ${row.rowid} -> ${row.parent}`));
+    if (status.success) {
+      console.log(`Schema:        version ${status.currentVersion} of ${status.latestVersion}`);
+      status.pending.forEach(migration => console.log(`  pending ${migration.version} (${migration.name})`));
+    } else {
+      console.log(`Schema:        unknown (${status.error})`);
+    }
+    return health.ok && foreignKeyErrors.length === 0;
+  } finally {
+    manager.close();
+  }
+}
+
+async function backupCommand(dataDir, [backupPath], args) {
+  const manager = openManager(dataDir);
+  try {
+    manager.openConnection();
+    const extension = args.passphrase ? '.encrypted' : '.db';
+    const target = path.resolve(backupPath || path.join(dataDir, 'backups', `backup-${timestamp()}${extension}`));
+    const result = await manager.createBackup(target, args.passphrase ? { passphrase: args.passphrase } : null);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    console.log(`Backup saved: ${target} (${formatSize(result.fileSize)})`);
+    console.log(`SHA-256:      ${result.checksum}`);
+    if (result.encrypted) {
+      console.log('Encrypted:    yes (restore with --passphrase)');
+    }
+    return true;
+  } finally {
+    manager.close();
+  }
+}
+
+async function restoreCommand(dataDir, [backupPath], args) {
+  if (!backupPath) {
+    throw new Error('restore needs the backup file: npm run db-tool -- restore <file>');
+  }
+  const source = path.resolve(backupPath);
+  if (!args.yes && !(await confirm(`Replace ${path.join(dataDir, DB_FILE_NAME)} with ${source}?`))) {
+    console.log('Cancelled.');
+    return false;
+  }
+  const manager = openManager(dataDir);
+  try {
+    // An open connection lets restoreBackup close the current database cleanly (no stale WAL file)
+    try {
+      manager.openConnection();
+    } catch (error) {
+      console.warn(`Current database could not be opened (${error.message}); restoring over it.`);
+    }
+    const result = manager.restoreBackup(source, { passphrase: args.passphrase });
+    if (!result.success) {
+      if (result.needsPassphrase) {
+        const hint = result.hint ? ` (hint: ${result.hint})` : '';
+        throw new Error(`${args.passphrase ? result.error : 'The backup is encrypted; give its passphrase or recovery key with --passphrase'}${hint}`);
+      }
+      throw new Error(result.error);
+    }
+    console.log(`Restored from ${source}`);
+    console.log('Pending schema migrations run the next time the application or "migrate" opens the database.');
+    return true;
+  } finally {
+    manager.close();
+  }
+}
+
+async function repairCommand(dataDir, params, args) {
+  if (!args.yes && !(await confirm(`Repair ${path.join(dataDir, DB_FILE_NAME)}? A copy of the current file is kept.`))) {
+    console.log('Cancelled.');
+    return false;
+  }
+  const manager = openManager(dataDir);
+  try {
+    manager.repairDatabase(manager.dbPath);
+    const health = manager.db ? manager.performFullHealthCheck() : { success: false, error: 'Database could not be reopened' };
+    if (!health.success) {
+      throw new Error(health.error);
+    }
+    console.log(health.ok ? 'Repair finished, integrity check: ok' : `Repair finished, ${health.errors.length} problem(s) remain:`);
+    health.errors.slice(0, 20).forEach(message => console.log(`  - ${message}`));
+    return health.ok;
+  } finally {
+    manager.close();
+  }
+}
+
+function migrateCommand(dataDir) {
+  const before = openManager(dataDir);
+  let fromVersion;
+  try {
+    before.openConnection({ readonly: true });
+    const status = before.getSchemaMigrationStatus();
+    fromVersion = status.success ? status.currentVersion : 0;
+  } finally {
+    before.close();
+  }
+
+  // Opening the database normally creates missing tables and applies pending migrations
+  const manager = new DatabaseManager({ userDataPath: dataDir });
+  try {
+    const status = manager.getSchemaMigrationStatus();
+    if (!status.success) {
+      throw new Error(status.error);
+    }
+    if (status.lastError) {
+      console.error(`Migration ${status.lastError.version} (${status.lastError.name}) failed: ${status.lastError.error}`);
+      if (status.lastError.backupPath) {
+        console.error(`Backup made before migrating: ${status.lastError.backupPath}`);
+      }
+      return false;
+    }
+    const applied = status.history.filter(row => row.version > fromVersion);
+    if (applied.length === 0) {
+      console.log(`Schema is up to date (version ${status.currentVersion}).`);
+    } else {
+      applied.reverse().forEach(row => console.log(`Applied ${row.version} (${row.name})`));
+      console.log(`Schema version ${fromVersion} -> ${status.currentVersion}`);
+    }
+    return true;
+  } finally {
+    manager.close();
+  }
+}
+
+function vacuumCommand(dataDir) {
+  const manager = openManager(dataDir);
+  try {
+    manager.openConnection();
+    const result = manager.vacuumDatabase();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    console.log(`VACUUM done: ${formatSize(result.sizeBefore)} -> ${formatSize(result.sizeAfter)}`);
+    return true;
+  } finally {
+    manager.close();
+  }
+}
+
+function exportCommand(dataDir, tables, args) {
+  const manager = openManager(dataDir);
+  try {
+    manager.openConnection({ readonly: true });
+    // Amounts are converted from stored cents, which needs the current schema
+    const status = manager.getSchemaMigrationStatus();
+    if (!status.success || status.pending.length > 0) {
+      throw new Error('The database schema is not up to date; run "migrate" first');
+    }
+
+    const existing = manager.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name").all()
+      .map(row => row.name)
+      .filter(name => !EXPORT_EXCLUDED_TABLE.test(name));
+    const unknown = tables.filter(table => !existing.includes(table));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown table(s): ${unknown.join(', ')}`);
+    }
+
+    const outDir = path.resolve(args.out || `export-${new Date().toISOString().split('T')[0]}`);
+    fs.mkdirSync(outDir, { recursive: true });
+    (tables.length > 0 ? tables : existing).forEach(table => {
+      const excluded = EXPORT_EXCLUDED_COLUMNS[table] || [];
+      const columns = manager.db.prepare(`PRAGMA table_info(${table})`).all()
+        .map(column => column.name)
+        .filter(column => !excluded.includes(column));
+      const rows = manager.getAll(table);
+      fs.writeFileSync(path.join(outDir, `${table}.csv`), toCsv(rows, columns), 'utf8');
+      console.log(`${table}: ${rows.length} row(s)`);
+    });
+    console.log(`Exported to ${outDir}`);
+    return true;
+  } finally {
+    manager.close();
+  }
+}
+
+const COMMANDS = {
+  check: checkCommand,
+  backup: backupCommand,
+  restore: restoreCommand,
+  repair: repairCommand,
+  migrate: migrateCommand,
+  vacuum: vacuumCommand,
+  export: exportCommand
+};
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return 2;
+  }
+  if (args.help || !args.command) {
+    console.log(USAGE);
+    return args.help ? 0 : 2;
+  }
+  const command = COMMANDS[args.command];
+  if (!command) {
+    console.error(`Unknown command: ${args.command}`);
+    console.error(USAGE);
+    return 2;
+  }
+
+  const dataDir = path.resolve(args.dataDir || getDefaultDataDir());
+  // restore can also put a backup in place of a missing database
+  if (args.command !== 'restore' && !fs.existsSync(path.join(dataDir, DB_FILE_NAME))) {
+    console.error(`Database not found: ${path.join(dataDir, DB_FILE_NAME)}`);
+    console.error('Use --data-dir to point to the folder that contains it.');
+    return 1;
+  }
+
+  try {
+    return (await command(dataDir, args.params, args)) ? 0 : 1;
+  } catch (error) {
+    console.error(`${args.command} failed: ${error.message}`);
+    return 1;
+  }
+}
+
+main().then(code => {
+  process.exitCode = code;
+});
@@ -3,11 +3,34 @@
  * Developed by Eng. Mohamed Mohsen
  * Unauthorized copying of this file, via any medium is strictly prohibited.
  */
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, safeStorage } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const { AsyncLocalStorage } = require('async_hooks');
 const DatabaseManager = require('./database');
-const passwordUtils = require('./password-utils');
+const accessPolicy = require('./utils/db-access-policy');
+const { SEARCH_ENTITIES } = require('./utils/search-index');
+const { DEFAULT_LAN_PORT, LAN_CHANNELS, generatePairingCode, deriveLanKey } = require('./utils/lan-protocol');
+const { LanHost, LanClient } = require('./utils/lan-connection');
+const { MIN_PASSPHRASE_LENGTH, generateRecoveryKey } = require('./utils/backup-crypto');
+const { DEFAULT_RETENTION, normalizeRetention } = require('./utils/backup-retention');
+const {
+  MIRROR_MARKER_FILE,
+  normalizeMirrorDestinations,
+  normalizeOffsiteWarningDays,
+  selectBackupsToMirror,
+  getOffsiteStatus
+} = require('./utils/backup-mirror');
+const {
+  normalizeSchedule,
+  getLastScheduledTime,
+  getNextScheduledTime,
+  isScheduledRunDue
+} = require('./utils/backup-schedule');
+const { validateDataBundle, bundleToCsvFiles } = require('./utils/data-transfer');
+const { readSpreadsheet } = require('./utils/spreadsheet');
+const { normalizeMaintenanceSettings, getNextMaintenanceTime, isMaintenanceDue } = require('./utils/db-health');
 
 // Suppress cache-related errors and DevTools errors (these are harmless and don't affect functionality)
 if (process.platform === 'win32') {
@@ -210,6 +233,41 @@ let mainWindow;
 let loginWindow;
 let db;
 
+// Every ipcMain.handle handler is also kept here so LAN host mode can run it for a client PC.
+// After each call, the database writes it made are announced to the windows (data-changed).
+const ipcHandlers = new Map();
+const registerIpcHandler = ipcMain.handle.bind(ipcMain);
+ipcMain.handle = (channel, handler) => {
+  const announcingHandler = async (...args) => {
+    try {
+      return await handler(...args);
+    } finally {
+      broadcastDataChanges();
+    }
+  };
+  ipcHandlers.set(channel, announcingHandler);
+  return registerIpcHandler(channel, announcingHandler);
+};
+
+// ============================================================
+// Data Change Notifications
+// ============================================================
+// Pages subscribe through electronAPI.onDataChanged (see onDataChanged in scripts/header.js).
+// Each event is { table, operation, ids }; table '*' means the whole database was replaced.
+function broadcastDataChanges(changes = db && db.takeDataChanges ? db.takeDataChanges() : []) {
+  if (changes.length === 0) {
+    return;
+  }
+  BrowserWindow.getAllWindows().forEach(window => {
+    if (!window.isDestroyed()) {
+      changes.forEach(change => window.webContents.send('data-changed', change));
+    }
+  });
+  if (lanHost) {
+    lanHost.publishChanges(changes);
+  }
+}
+
 // Log errors to file
 function logErrorToFile(error, context = '') {
   try {
@@ -760,8 +818,15 @@ function createMainWindow() {
 }
 
 // IPC Handlers
-ipcMain.on('login-success', async (event, userData) => {
+ipcMain.on('login-success', async (event) => {
   try {
+    // The session is started by the 'login' handler once the password is verified;
+    // this only swaps the login window for the main window
+    if (accessPolicy.getPageName(event.sender.getURL()) !== 'login.html' || !sessionUserId) {
+      console.warn('[Access] login-success without a verified login was ignored');
+      return;
+    }
+
     // Hide login success message - only show errors
     
     // IMPORTANT: Create/show main window FIRST before closing login window
@@ -892,23 +957,135 @@ ipcMain.on('close-window', (event) => {
   }
 });
 
-// Helper function to get current user from renderer
-function getCurrentUserFromRenderer(event) {
+// ============================================================
+// Session & Database Access Policy
+// ============================================================
+// The main process remembers who logged in; every db-* call is checked against
+// utils/db-access-policy.js using the calling page and that user's current permissions.
+let sessionUserId = null;
+
+// In LAN host mode each client PC has its own session (kept by LanHost for the PC's channel);
+// a request from a client runs inside lanRequestContext so getSessionUser() answers for that PC's user
+const lanRequestContext = new AsyncLocalStorage();
+
+function getCurrentSessionUserId() {
+  const lanRequest = lanRequestContext.getStore();
+  if (lanRequest) {
+    return lanHost ? lanHost.getSessionUserId(lanRequest.channelId) : null;
+  }
+  return sessionUserId;
+}
+
+// Current session user, re-read from the database so permission/status changes apply immediately
+function getSessionUser() {
+  const userId = getCurrentSessionUserId();
+  if (!userId || !db) {
+    return null;
+  }
   try {
-    // Try to get user info from the renderer process
-    // We'll pass it from the renderer, but if not provided, try to get from session
-    const webContents = event.sender;
-    if (webContents && webContents.getURL) {
-      // User info should be passed in data, but we can't access localStorage from main process
-      // So we'll rely on the renderer to pass createdBy in the data
-      return null; // Will be handled by renderer passing createdBy in data
+    const user = db.getById('users', userId);
+    if (!user || (user.status && user.status !== 'active')) {
+      return null;
     }
+    return {
+      id: user.id,
+      username: user.username,
+      type: user.type,
+      permissions: accessPolicy.parsePermissions(user.permissions)
+    };
+  } catch (error) {
+    console.error('Error reading session user:', error);
+    return null;
+  }
+}
+
+function getSenderPage(event) {
+  try {
+    return accessPolicy.getPageName(event.sender.getURL());
   } catch (error) {
-    // Ignore
+    return '';
   }
-  return null;
 }
 
+function logAccessDenied(channel, page, decision) {
+  console.warn(`[Access] Denied ${channel} from ${page || 'unknown page'}: ${decision.reason}`);
+}
+
+function authorizeTableAccess(event, channel, table, operation, data = null) {
+  const page = getSenderPage(event);
+  const decision = accessPolicy.checkTableAccess({ page, user: getSessionUser(), table, operation, data });
+  if (!decision.allowed) {
+    logAccessDenied(channel, page, decision);
+  }
+  return decision;
+}
+
+// Actor recorded in audit_log for writes made by this request
+function getAuditContext(event) {
+  const user = getSessionUser();
+  return {
+    userId: user ? user.id : null,
+    username: user ? user.username : null,
+    source: getSenderPage(event)
+  };
+}
+
+function authorizeChannel(event, channel) {
+  const decision = accessPolicy.checkChannelAccess(channel, getSessionUser());
+  if (!decision.allowed) {
+    logAccessDenied(channel, getSenderPage(event), decision);
+  }
+  return decision;
+}
+
+// Verify a username and password and start the session of this PC (or, over LAN, of the
+// client PC that sent it). Returns only the user's profile and permissions, plus over LAN
+// the token the client resumes its session with (kept by the client's main process).
+ipcMain.handle('login', async (event, username, password) => {
+  try {
+    if (!db) {
+      try {
+        db = new DatabaseManager();
+      } catch (initError) {
+        console.error('Error initializing database in login:', initError);
+        return { success: false, error: `Database not initialized: ${initError.message}` };
+      }
+    }
+    await db.ensureInitialized();
+    if (getSenderPage(event) !== 'login.html') {
+      return { success: false, error: accessPolicy.ACCESS_DENIED_MESSAGE };
+    }
+    const lanRequest = lanRequestContext.getStore();
+    const result = await db.verifyLogin(username, password, lanRequest ? lanRequest.clientName : os.hostname());
+    if (!result.success) {
+      return result;
+    }
+    let sessionToken = null;
+    if (lanRequest) {
+      sessionToken = lanHost.startSession(lanRequest.channelId, result.userId);
+    } else {
+      sessionUserId = result.userId;
+    }
+    const user = getSessionUser();
+    if (!user) {
+      return { success: false, error: 'حدث خطأ أثناء تسجيل الدخول' };
+    }
+    const { email } = db.getById('users', user.id) || {};
+    const reply = { success: true, user: { ...user, email: email || '' } };
+    return sessionToken ? { ...reply, sessionToken } : reply;
+  } catch (error) {
+    console.error('Error in login:', error);
+    return { success: false, error: 'حدث خطأ أثناء تسجيل الدخول' };
+  }
+});
+
+ipcMain.on('logout', () => {
+  sessionUserId = null;
+  if (lanClient) {
+    lanClient.endSession();
+  }
+});
+
 // Database IPC Handlers
 ipcMain.handle('db-insert', async (event, table, data) => {
   try {
@@ -922,11 +1099,15 @@ ipcMain.handle('db-insert', async (event, table, data) => {
       }
     }
     await db.ensureInitialized();
+    const access = authorizeTableAccess(event, 'db-insert', table, 'insert', data);
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
     
     // If createdBy is not provided in data, try to get it from the renderer
     // The renderer should pass createdBy in the data object
     // If not provided, we'll leave it null (for backward compatibility)
-    const result = db.insert(table, data);
+    const result = db.runWithAuditContext(getAuditContext(event), () => db.insert(table, data));
     // Check if result has success property (error case)
     if (result && result.success === false) {
       return result;
@@ -950,7 +1131,7 @@ ipcMain.handle('db-insert', async (event, table, data) => {
   }
 });
 
-ipcMain.handle('db-update', async (event, table, id, data) => {
+ipcMain.handle('db-update', async (event, table, id, data, expectedUpdatedAt = null) => {
   try {
     if (!db) {
       try {
@@ -961,9 +1142,17 @@ ipcMain.handle('db-update', async (event, table, id, data) => {
       }
     }
     await db.ensureInitialized();
-    const result = db.update(table, id, data);
+    const access = authorizeTableAccess(event, 'db-update', table, 'update', data);
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    const result = db.runWithAuditContext(getAuditContext(event), () => db.update(table, id, data, expectedUpdatedAt));
     // Check if result has success property (error case)
     if (result && result.success === false) {
+      // Conflicts carry the current row back to the renderer
+      if (result.current) {
+        return { ...result, current: accessPolicy.sanitizeRows(getSenderPage(event), table, result.current) };
+      }
       return result;
     }
     // Check if result has changes (SQLite success indicator)
@@ -996,7 +1185,11 @@ ipcMain.handle('db-delete', async (event, table, id) => {
       }
     }
     await db.ensureInitialized();
-    return db.delete(table, id);
+    const access = authorizeTableAccess(event, 'db-delete', table, 'delete');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    return db.runWithAuditContext(getAuditContext(event), () => db.delete(table, id));
   } catch (error) {
     console.error('Error in db-delete:', error);
     return { success: false, error: error.message };
@@ -1014,7 +1207,10 @@ ipcMain.handle('db-get', async (event, table, id) => {
       }
     }
     await db.ensureInitialized();
-    return db.getById(table, id);
+    if (!authorizeTableAccess(event, 'db-get', table, 'read').allowed) {
+      return null;
+    }
+    return accessPolicy.sanitizeRows(getSenderPage(event), table, db.getById(table, id));
   } catch (error) {
     console.error('Error in db-get:', error);
     return null;
@@ -1032,356 +1228,2152 @@ ipcMain.handle('db-get-all', async (event, table, where = '', params = []) => {
       }
     }
     await db.ensureInitialized();
+    if (!authorizeTableAccess(event, 'db-get-all', table, 'read').allowed) {
+      return [];
+    }
+    const whereCheck = accessPolicy.checkWhereClause(where);
+    if (!whereCheck.allowed) {
+      logAccessDenied('db-get-all', getSenderPage(event), whereCheck);
+      return [];
+    }
     const result = db.getAll(table, where, params);
-    return result || [];
+    return accessPolicy.sanitizeRows(getSenderPage(event), table, result || []);
   } catch (error) {
     console.error(`Error in db-get-all for table ${table}:`, error);
     return [];
   }
 });
 
-ipcMain.handle('db-query', async (event, sql, params = []) => {
+// Paginated list of a table: {filters, search, sort, page, pageSize, columns} -> {rows, total, page, totalPages}
+ipcMain.handle('db-search', async (event, table, options = {}) => {
   try {
     if (!db) {
       try {
         db = new DatabaseManager();
       } catch (initError) {
-        console.error('Error initializing database in db-query:', initError);
+        console.error('Error initializing database in db-search:', initError);
         return { success: false, error: `Database not initialized: ${initError.message}` };
       }
     }
     await db.ensureInitialized();
-    const result = db.query(sql, params);
-    // If it's a SELECT query, return the data directly
-    if (sql.trim().toUpperCase().startsWith('SELECT')) {
-      return result || [];
+    const page = getSenderPage(event);
+    const access = accessPolicy.checkSearchOptions({ page, user: getSessionUser(), table, options });
+    if (!access.allowed) {
+      logAccessDenied('db-search', page, access);
+      return { success: false, error: access.error };
     }
-    // For other queries, return success status
-    return { success: true, result };
-  } catch (error) {
-    // Don't log duplicate column errors - they're expected during migration
-    if (error.message && error.message.includes('duplicate column')) {
-      // Silently ignore duplicate column errors - they're expected
-      return { success: true, result: 'Column already exists' };
+    const result = db.search(table, options || {});
+    if (result.success) {
+      result.rows = accessPolicy.sanitizeRows(page, table, result.rows);
     }
-    console.error('Error in db-query:', error);
+    return result;
+  } catch (error) {
+    console.error(`Error in db-search for table ${table}:`, error);
     return { success: false, error: error.message };
   }
 });
 
-// Password Hashing IPC Handlers
-ipcMain.handle('hash-password', async (event, password) => {
+// Global search from the top bar (results only for the pages the user may open)
+ipcMain.handle('global-search', async (event, text, options = {}) => {
   try {
-    const hashedPassword = await passwordUtils.hashPassword(password);
-    return { success: true, hashedPassword };
+    if (!db) {
+      try {
+        db = new DatabaseManager();
+      } catch (initError) {
+        console.error('Error initializing database in global-search:', initError);
+        return { success: false, error: `Database not initialized: ${initError.message}` };
+      }
+    }
+    await db.ensureInitialized();
+    const entityPages = {};
+    Object.entries(SEARCH_ENTITIES).forEach(([table, entity]) => {
+      entityPages[table] = entity.page;
+    });
+    const access = accessPolicy.getGlobalSearchTables(getSessionUser(), entityPages);
+    if (!access.allowed) {
+      logAccessDenied('global-search', getSenderPage(event), access);
+      return { success: false, error: access.error };
+    }
+    return db.globalSearch(text, { limit: options && options.limit, tables: access.tables });
   } catch (error) {
+    console.error('Error in global-search:', error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('compare-password', async (event, password, hashedPassword) => {
+ipcMain.handle('db-query', async (event, sql, params = []) => {
   try {
-    const isMatch = await passwordUtils.comparePassword(password, hashedPassword);
-    return { success: true, isMatch };
+    if (!db) {
+      try {
+        db = new DatabaseManager();
+      } catch (initError) {
+        console.error('Error initializing database in db-query:', initError);
+        return { success: false, error: `Database not initialized: ${initError.message}` };
+      }
+    }
+    await db.ensureInitialized();
+    // Raw SQL from pages is read-only; writes go through db-insert/update/delete or the posting handlers
+    const page = getSenderPage(event);
+    const access = accessPolicy.checkSelectQuery({ page, user: getSessionUser(), sql });
+    if (!access.allowed) {
+      logAccessDenied('db-query', page, access);
+      return { success: false, error: access.error };
+    }
+    const result = db.selectQuery(sql, params);
+    return result || [];
   } catch (error) {
+    console.error('Error in db-query:', error);
     return { success: false, error: error.message };
   }
 });
 
-
-ipcMain.handle('db-get-path', () => {
-  const userDataPath = app.getPath('userData');
-  const dbPath = path.join(userDataPath, 'asel-database.db');
-  return dbPath;
+// Document Posting IPC Handlers
+// These run the whole document (header, items, stock and balances) in one transaction
+ipcMain.handle('sales-invoice-post', async (event, invoiceData, items) => {
+  try {
+    if (!db) {
+      try {
+        db = new DatabaseManager();
+      } catch (initError) {
+        console.error('Error initializing database in sales-invoice-post:', initError);
+        return { success: false, error: `Database not initialized: ${initError.message}` };
+      }
+    }
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'sales-invoice-post');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    return db.runWithAuditContext(getAuditContext(event), () => db.postSalesInvoice(invoiceData, items));
+  } catch (error) {
+    console.error('Error in sales-invoice-post:', error);
+    return { success: false, error: error.message };
+  }
 });
 
-// Migration IPC Handlers
-ipcMain.handle('run-migration', async () => {
+ipcMain.handle('purchase-invoice-post', async (event, invoiceData, items) => {
   try {
+    if (!db) {
+      try {
+        db = new DatabaseManager();
+      } catch (initError) {
+        console.error('Error initializing database in purchase-invoice-post:', initError);
+        return { success: false, error: `Database not initialized: ${initError.message}` };
+      }
+    }
     await db.ensureInitialized();
-    const result = await db.runRealToIntegerMigration();
-    return result;
+    const access = authorizeChannel(event, 'purchase-invoice-post');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    return db.runWithAuditContext(getAuditContext(event), () => db.postPurchaseInvoice(invoiceData, items));
   } catch (error) {
-    return {
-      success: false,
-      message: `Migration error: ${error.message}`
-    };
+    console.error('Error in purchase-invoice-post:', error);
+    return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('rollback-migration', async () => {
+ipcMain.handle('purchase-invoice-edit', async (event, invoiceId, invoiceData, items) => {
   try {
+    if (!db) {
+      try {
+        db = new DatabaseManager();
+      } catch (initError) {
+        console.error('Error initializing database in purchase-invoice-edit:', initError);
+        return { success: false, error: `Database not initialized: ${initError.message}` };
+      }
+    }
     await db.ensureInitialized();
-    const result = await db.rollbackRealToIntegerMigration();
-    return result;
+    const access = authorizeChannel(event, 'purchase-invoice-edit');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    return db.runWithAuditContext(getAuditContext(event), () => db.editPurchaseInvoice(invoiceId, invoiceData, items));
   } catch (error) {
-    return {
-      success: false,
-      message: `Rollback error: ${error.message}`
-    };
+    console.error('Error in purchase-invoice-edit:', error);
+    return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('test-migration', async () => {
+ipcMain.handle('purchase-invoice-delete', async (event, invoiceId) => {
   try {
+    if (!db) {
+      try {
+        db = new DatabaseManager();
+      } catch (initError) {
+        console.error('Error initializing database in purchase-invoice-delete:', initError);
+        return { success: false, error: `Database not initialized: ${initError.message}` };
+      }
+    }
     await db.ensureInitialized();
-    const result = await db.testRealToIntegerMigration();
-    return result;
+    const access = authorizeChannel(event, 'purchase-invoice-delete');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    return db.runWithAuditContext(getAuditContext(event), () => db.deletePurchaseInvoice(invoiceId));
   } catch (error) {
-    return {
-      success: false,
-      message: `Test error: ${error.message}`
-    };
+    console.error('Error in purchase-invoice-delete:', error);
+    return { success: false, error: error.message };
   }
 });
 
-// Backup IPC Handlers
-ipcMain.handle('backup-create', async (event, backupType = 'manual') => {
+ipcMain.handle('inventory-adjustment-post', async (event, adjustmentData) => {
   try {
+    if (!db) {
+      try {
+        db = new DatabaseManager();
+      } catch (initError) {
+        console.error('Error initializing database in inventory-adjustment-post:', initError);
+        return { success: false, error: `Database not initialized: ${initError.message}` };
+      }
+    }
     await db.ensureInitialized();
-    
-    // Ask user to choose backup location
-    const result = await dialog.showSaveDialog(mainWindow, {
-      title: 'اختر مكان حفظ النسخة الاحتياطية',
-      defaultPath: `backup-${new Date().toISOString().replace(/[:.]/g, '-')}.db`,
-      filters: [
-        { name: 'SQLite Database', extensions: ['db', 'sqlite', 'sqlite3'] },
-        { name: 'All Files', extensions: ['*'] }
-      ],
-      buttonLabel: 'حفظ'
-    });
-
-    if (result.canceled) {
-      return { success: false, cancelled: true };
+    const access = authorizeChannel(event, 'inventory-adjustment-post');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
     }
+    return db.runWithAuditContext(getAuditContext(event), () => db.postInventoryAdjustment(adjustmentData));
+  } catch (error) {
+    console.error('Error in inventory-adjustment-post:', error);
+    return { success: false, error: error.message };
+  }
+});
 
-    const backupPath = result.filePath;
-    const backupResult = await db.createBackup(backupPath);
-    
-    if (backupResult.success) {
-      // Update backup type in history
-      const history = db.getBackupHistory(1);
-      if (history.length > 0) {
-        db.query('UPDATE backup_history SET backupType = ? WHERE id = ?', [backupType, history[0].id]);
+ipcMain.handle('return-post', async (event, returnData) => {
+  try {
+    if (!db) {
+      try {
+        db = new DatabaseManager();
+      } catch (initError) {
+        console.error('Error initializing database in return-post:', initError);
+        return { success: false, error: `Database not initialized: ${initError.message}` };
       }
-      
-      return { success: true, backupPath, fileSize: backupResult.fileSize };
-    } else {
-      return { success: false, error: backupResult.error };
     }
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'return-post');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    return db.runWithAuditContext(getAuditContext(event), () => db.postReturn(returnData));
   } catch (error) {
+    console.error('Error in return-post:', error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('backup-restore', async (event, backupPath = null) => {
+ipcMain.handle('delivery-settlement-post', async (event, settlementData, items) => {
   try {
-    await db.ensureInitialized();
-    
-    // If backup path is provided, use it directly
-    if (backupPath && typeof backupPath === 'string' && fs.existsSync(backupPath)) {
-      // Validate backup file
-      const fileStats = fs.statSync(backupPath);
-      if (!fileStats.isFile()) {
-        return { success: false, error: 'المسار المحدد ليس ملف' };
-      }
-      if (fileStats.size === 0) {
-        return { success: false, error: 'الملف فارغ' };
-      }
-      
-      const restoreResult = db.restoreBackup(backupPath);
-      
-      if (!restoreResult.success) {
-        console.error('❌ Restore failed:', restoreResult.error);
+    if (!db) {
+      try {
+        db = new DatabaseManager();
+      } catch (initError) {
+        console.error('Error initializing database in delivery-settlement-post:', initError);
+        return { success: false, error: `Database not initialized: ${initError.message}` };
       }
-      
-      return restoreResult;
     }
-    
-    // Otherwise, show file dialog
-    // Use db.userDataPath instead of app.getPath('userData') to avoid cache path issues
     await db.ensureInitialized();
-    const userDataPath = db.userDataPath || app.getPath('userData');
-    const backupDir = path.join(userDataPath, 'backups');
-    const defaultPath = fs.existsSync(backupDir) ? backupDir : userDataPath;
-    
-    console.log('[Backup Restore] Opening file dialog at:', defaultPath);
-    console.log('[Backup Restore] UserDataPath:', userDataPath);
-    console.log('[Backup Restore] Backup directory exists:', fs.existsSync(backupDir));
-    if (fs.existsSync(backupDir)) {
+    const access = authorizeChannel(event, 'delivery-settlement-post');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    return db.runWithAuditContext(getAuditContext(event), () => db.postDeliverySettlement(settlementData, items));
+  } catch (error) {
+    console.error('Error in delivery-settlement-post:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Stock Movements Ledger IPC Handlers
+ipcMain.handle('stock-movements-get', async (event, productId, dateFrom, dateTo) => {
+  try {
+    if (!db) {
       try {
-        const files = fs.readdirSync(backupDir);
-        console.log('[Backup Restore] Files in backup directory:', files);
-      } catch (err) {
-        console.error('[Backup Restore] Error reading backup directory:', err);
+        db = new DatabaseManager();
+      } catch (initError) {
+        console.error('Error initializing database in stock-movements-get:', initError);
+        return { success: false, error: `Database not initialized: ${initError.message}` };
       }
     }
-    
-    const result = await dialog.showOpenDialog(mainWindow, {
-      title: 'اختر ملف النسخ الاحتياطي',
-      defaultPath: defaultPath,
-      filters: [
-        { name: 'All Files', extensions: ['*'] },
-        { name: 'SQLite Database', extensions: ['db', 'sqlite', 'sqlite3'] },
-        { name: 'Encrypted Backups', extensions: ['encrypted'] },
-        { name: 'JSON Files', extensions: ['json'] }
-      ],
-      properties: ['openFile']
-    });
-
-    if (result.canceled) {
-      return { success: false, cancelled: true };
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'stock-movements-get');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
     }
-
+    return { success: true, movements: db.getStockMovements(productId, dateFrom, dateTo) };
+  } catch (error) {
+    console.error('Error in stock-movements-get:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('stock-get-at-date', async (event, productId, date) => {
+  try {
+    if (!db) {
+      try {
+        db = new DatabaseManager();
+      } catch (initError) {
+        console.error('Error initializing database in stock-get-at-date:', initError);
+        return { success: false, error: `Database not initialized: ${initError.message}` };
+      }
+    }
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'stock-get-at-date');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    return { success: true, stock: db.getStockAtDate(productId, date) };
+  } catch (error) {
+    console.error('Error in stock-get-at-date:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('stock-rebuild', async (event, productId) => {
+  try {
+    if (!db) {
+      try {
+        db = new DatabaseManager();
+      } catch (initError) {
+        console.error('Error initializing database in stock-rebuild:', initError);
+        return { success: false, error: `Database not initialized: ${initError.message}` };
+      }
+    }
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'stock-rebuild');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    return db.runWithAuditContext(getAuditContext(event), () => db.rebuildProductStock(productId || null));
+  } catch (error) {
+    console.error('Error in stock-rebuild:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Audit Log IPC Handlers
+ipcMain.handle('audit-log-search', async (event, filters = {}) => {
+  try {
+    if (!db) {
+      try {
+        db = new DatabaseManager();
+      } catch (initError) {
+        console.error('Error initializing database in audit-log-search:', initError);
+        return { success: false, error: `Database not initialized: ${initError.message}` };
+      }
+    }
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'audit-log-search');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    return db.searchAuditLog(filters);
+  } catch (error) {
+    console.error('Error in audit-log-search:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Recycle Bin IPC Handlers
+ipcMain.handle('recycle-bin-delete', async (event, table, id) => {
+  try {
+    if (!db) {
+      try {
+        db = new DatabaseManager();
+      } catch (initError) {
+        console.error('Error initializing database in recycle-bin-delete:', initError);
+        return { success: false, error: `Database not initialized: ${initError.message}` };
+      }
+    }
+    await db.ensureInitialized();
+    const access = authorizeTableAccess(event, 'recycle-bin-delete', table, 'delete');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    const user = getSessionUser();
+    return db.runWithAuditContext(getAuditContext(event), () => db.moveToRecycleBin(table, id, user ? user.id : null));
+  } catch (error) {
+    console.error('Error in recycle-bin-delete:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('recycle-bin-list', async (event, filters = {}) => {
+  try {
+    if (!db) {
+      try {
+        db = new DatabaseManager();
+      } catch (initError) {
+        console.error('Error initializing database in recycle-bin-list:', initError);
+        return { success: false, error: `Database not initialized: ${initError.message}` };
+      }
+    }
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'recycle-bin-list');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    return db.getRecycleBin(filters);
+  } catch (error) {
+    console.error('Error in recycle-bin-list:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('recycle-bin-restore', async (event, entryId) => {
+  try {
+    if (!db) {
+      try {
+        db = new DatabaseManager();
+      } catch (initError) {
+        console.error('Error initializing database in recycle-bin-restore:', initError);
+        return { success: false, error: `Database not initialized: ${initError.message}` };
+      }
+    }
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'recycle-bin-restore');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    const user = getSessionUser();
+    return db.runWithAuditContext(getAuditContext(event), () => db.restoreFromRecycleBin(entryId, user ? user.id : null));
+  } catch (error) {
+    console.error('Error in recycle-bin-restore:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('recycle-bin-purge', async (event, entryId) => {
+  try {
+    if (!db) {
+      try {
+        db = new DatabaseManager();
+      } catch (initError) {
+        console.error('Error initializing database in recycle-bin-purge:', initError);
+        return { success: false, error: `Database not initialized: ${initError.message}` };
+      }
+    }
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'recycle-bin-purge');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    return db.runWithAuditContext(getAuditContext(event), () => db.purgeRecycleBinEntry(entryId));
+  } catch (error) {
+    console.error('Error in recycle-bin-purge:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-get-path', (event) => {
+  if (!authorizeChannel(event, 'db-get-path').allowed) {
+    return null;
+  }
+  const userDataPath = app.getPath('userData');
+  const dbPath = path.join(userDataPath, 'asel-database.db');
+  return dbPath;
+});
+
+// Schema Migrations IPC Handlers
+ipcMain.handle('schema-get-status', async (event) => {
+  try {
+    if (!db) {
+      try {
+        db = new DatabaseManager();
+      } catch (initError) {
+        console.error('Error initializing database in schema-get-status:', initError);
+        return { success: false, error: `Database not initialized: ${initError.message}` };
+      }
+    }
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'schema-get-status');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    return db.getSchemaMigrationStatus();
+  } catch (error) {
+    console.error('Error in schema-get-status:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Backup IPC Handlers
+ipcMain.handle('backup-create', async (event, backupType = 'manual') => {
+  try {
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'backup-create');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+
+    const encryption = getBackupEncryption();
+    const defaultFileName = `backup-${new Date().toISOString().replace(/[:.]/g, '-')}${getBackupFileExtension(encryption)}`;
+    let backupPath;
+    if (event.lan) {
+      // Requested from a client PC: no dialog on the host, the backup goes to the host's backups folder
+      const backupDir = path.join(db.userDataPath || app.getPath('userData'), 'backups');
+      fs.mkdirSync(backupDir, { recursive: true });
+      backupPath = path.join(backupDir, defaultFileName);
+    } else {
+      // Ask user to choose backup location
+      const result = await dialog.showSaveDialog(mainWindow, {
+        title: 'اختر مكان حفظ النسخة الاحتياطية',
+        defaultPath: defaultFileName,
+        filters: encryption ? [
+          { name: 'Encrypted Backups', extensions: ['encrypted'] },
+          { name: 'All Files', extensions: ['*'] }
+        ] : [
+          { name: 'SQLite Database', extensions: ['db', 'sqlite', 'sqlite3'] },
+          { name: 'All Files', extensions: ['*'] }
+        ],
+        buttonLabel: 'حفظ'
+      });
+
+      if (result.canceled) {
+        return { success: false, cancelled: true };
+      }
+
+      backupPath = result.filePath;
+    }
+    const backupResult = await db.createBackup(backupPath, encryption);
+    
+    if (backupResult.success) {
+      // Update backup type in history
+      const history = db.getBackupHistory(1);
+      if (history.length > 0) {
+        db.query('UPDATE backup_history SET backupType = ? WHERE id = ?', [backupType, history[0].id]);
+      }
+      mirrorNewBackup(backupPath);
+      
+      return { success: true, backupPath, fileSize: backupResult.fileSize, verification: backupResult.verification };
+    } else {
+      return { success: false, error: backupResult.error };
+    }
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// A client PC names a backup by its path on the host: only backups the host recorded
+// itself are accepted, never an arbitrary file on the host's disk
+function checkLanBackupPath(event, channel, backupPath) {
+  if (!event.lan || db.isRecordedBackupPath(backupPath)) {
+    return { allowed: true };
+  }
+  logAccessDenied(channel, getSenderPage(event), { reason: 'backup path not in the backup history' });
+  return { allowed: false, error: 'ملف النسخة الاحتياطية غير موجود على الجهاز المضيف' };
+}
+
+ipcMain.handle('backup-restore', async (event, backupPath = null, passphrase = null) => {
+  try {
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'backup-restore');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    // A client PC cannot browse the host's files; it restores entries from the backup history
+    const pathAccess = checkLanBackupPath(event, 'backup-restore', backupPath);
+    if (!pathAccess.allowed) {
+      return { success: false, error: pathAccess.error };
+    }
+    
+    // If backup path is provided, use it directly
+    if (backupPath && typeof backupPath === 'string' && fs.existsSync(backupPath)) {
+      // Validate backup file
+      const fileStats = fs.statSync(backupPath);
+      if (!fileStats.isFile()) {
+        return { success: false, error: 'المسار المحدد ليس ملف' };
+      }
+      if (fileStats.size === 0) {
+        return { success: false, error: 'الملف فارغ' };
+      }
+      
+      return restoreBackupFile(backupPath, passphrase);
+    }
+    
+    if (event.lan) {
+      return { success: false, error: 'ملف النسخة الاحتياطية غير موجود على الجهاز المضيف' };
+    }
+
+    // Otherwise, show file dialog
+    // Use db.userDataPath instead of app.getPath('userData') to avoid cache path issues
+    await db.ensureInitialized();
+    const userDataPath = db.userDataPath || app.getPath('userData');
+    const backupDir = path.join(userDataPath, 'backups');
+    const defaultPath = fs.existsSync(backupDir) ? backupDir : userDataPath;
+    
+    console.log('[Backup Restore] Opening file dialog at:', defaultPath);
+    console.log('[Backup Restore] UserDataPath:', userDataPath);
+    console.log('[Backup Restore] Backup directory exists:', fs.existsSync(backupDir));
+    if (fs.existsSync(backupDir)) {
+      try {
+        const files = fs.readdirSync(backupDir);
+        console.log('[Backup Restore] Files in backup directory:', files);
+      } catch (err) {
+        console.error('[Backup Restore] Error reading backup directory:', err);
+      }
+    }
+    
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'اختر ملف النسخ الاحتياطي',
+      defaultPath: defaultPath,
+      filters: [
+        { name: 'All Files', extensions: ['*'] },
+        { name: 'SQLite Database', extensions: ['db', 'sqlite', 'sqlite3'] },
+        { name: 'Encrypted Backups', extensions: ['encrypted'] },
+        { name: 'JSON Files', extensions: ['json'] }
+      ],
+      properties: ['openFile']
+    });
+
+    if (result.canceled) {
+      return { success: false, cancelled: true };
+    }
+
     const selectedBackupPath = result.filePaths[0];
     
     // Check if file exists
     if (!fs.existsSync(selectedBackupPath)) {
       return { success: false, error: 'الملف المحدد غير موجود' };
     }
-    
-    const fileStats = fs.statSync(selectedBackupPath);
-    
-    if (!fileStats.isFile()) {
-      return { success: false, error: 'المسار المحدد ليس ملف' };
+    
+    const fileStats = fs.statSync(selectedBackupPath);
+    
+    if (!fileStats.isFile()) {
+      return { success: false, error: 'المسار المحدد ليس ملف' };
+    }
+    
+    if (fileStats.size === 0) {
+      return { success: false, error: 'الملف فارغ' };
+    }
+    
+    return restoreBackupFile(selectedBackupPath, passphrase);
+  } catch (error) {
+    console.error('Error in backup-restore:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('backup-get-history', async (event, limit = 10) => {
+  try {
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'backup-get-history');
+    if (!access.allowed) {
+      return [];
+    }
+    return db.getBackupHistory(limit);
+  } catch (error) {
+    return [];
+  }
+});
+
+// Test-restore a backup from the history again (integrity check) and record the result
+ipcMain.handle('backup-verify', async (event, backupPath, passphrase = null) => {
+  try {
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'backup-verify');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    const pathAccess = checkLanBackupPath(event, 'backup-verify', backupPath);
+    if (!pathAccess.allowed) {
+      return { success: false, error: pathAccess.error };
+    }
+    if (!backupPath || typeof backupPath !== 'string' || !fs.existsSync(backupPath)) {
+      return { success: false, error: 'ملف النسخة الاحتياطية غير موجود' };
+    }
+
+    const encryption = passphrase ? null : getBackupEncryption();
+    const result = db.reverifyBackup(backupPath, { passphrase: passphrase || (encryption && encryption.passphrase) });
+    if (result.needsPassphrase) {
+      return {
+        ...result,
+        backupPath,
+        error: passphrase ? 'كلمة مرور النسخة الاحتياطية أو مفتاح الاسترداد غير صحيح' : 'النسخة الاحتياطية مشفرة، أدخل كلمة المرور أو مفتاح الاسترداد'
+      };
+    }
+    return result;
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Selective restore: open a backup read-only, compare its tables with the live data and
+// put back selected rows. The stored passphrase is tried first for encrypted backups.
+ipcMain.handle('backup-browse-open', async (event, backupPath, passphrase = null) => {
+  try {
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'backup-browse-open');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    const pathAccess = checkLanBackupPath(event, 'backup-browse-open', backupPath);
+    if (!pathAccess.allowed) {
+      return { success: false, error: pathAccess.error };
+    }
+    if (!backupPath || typeof backupPath !== 'string' || !fs.existsSync(backupPath)) {
+      return { success: false, error: 'ملف النسخة الاحتياطية غير موجود' };
+    }
+
+    const encryption = passphrase ? null : getBackupEncryption();
+    const result = db.openBackupForBrowse(backupPath, { passphrase: passphrase || (encryption && encryption.passphrase) });
+    if (result.needsPassphrase) {
+      return {
+        ...result,
+        backupPath,
+        error: passphrase ? 'كلمة مرور النسخة الاحتياطية أو مفتاح الاسترداد غير صحيح' : 'النسخة الاحتياطية مشفرة، أدخل كلمة المرور أو مفتاح الاسترداد'
+      };
+    }
+    return result;
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('backup-browse-diff', async (event, browseId, table, options = {}) => {
+  try {
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'backup-browse-diff');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    return db.diffBackupTable(browseId, table, options || {});
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('backup-browse-restore', async (event, browseId, table, ids) => {
+  try {
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'backup-browse-restore');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    const user = getSessionUser();
+    return db.runWithAuditContext(getAuditContext(event), () => db.restoreBackupRows(browseId, table, ids, user ? user.id : null));
+  } catch (error) {
+    console.error('Error in backup-browse-restore:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('backup-browse-close', async (event, browseId) => {
+  try {
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'backup-browse-close');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    db.closeBrowsedBackup(browseId);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('backup-get-path', (event) => {
+  if (!authorizeChannel(event, 'backup-get-path').allowed) {
+    return null;
+  }
+  const userDataPath = app.getPath('userData');
+  return path.join(userDataPath, 'backups');
+});
+
+ipcMain.handle('backup-set-auto-settings', async (event, settings) => {
+  try {
+    const access = authorizeChannel(event, 'backup-set-auto-settings');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+
+    // Save settings to file
+    const userDataPath = app.getPath('userData');
+    
+    // Ensure userData directory exists
+    if (!fs.existsSync(userDataPath)) {
+      try {
+        fs.mkdirSync(userDataPath, { recursive: true });
+      } catch (mkdirError) {
+        return { success: false, error: `Cannot create user data directory: ${mkdirError.message}` };
+      }
+    }
+    
+    const settingsPath = path.join(userDataPath, 'auto-backup-settings.json');
+
+    // A folder chosen on a client PC does not exist on the host; keep the host's folders
+    if (event.lan) {
+      const current = fs.existsSync(settingsPath) ? JSON.parse(fs.readFileSync(settingsPath, 'utf8')) : {};
+      settings = { ...settings, path: current.path || '', mirrors: current.mirrors || [] };
+    }
+    
+    // Ensure backup directory exists with error handling
+    if (settings.path) {
+      if (!fs.existsSync(settings.path)) {
+        try {
+          fs.mkdirSync(settings.path, { recursive: true });
+        } catch (mkdirError) {
+          return { success: false, error: `Cannot create backup directory: ${mkdirError.message}` };
+        }
+      }
+      
+      // Verify directory is writable
+      try {
+        fs.accessSync(settings.path, fs.constants.W_OK);
+      } catch (accessError) {
+        return { success: false, error: `Backup directory is not writable: ${accessError.message}` };
+      }
+    }
+    
+    const mirrors = normalizeMirrorDestinations(settings.mirrors);
+    for (const destination of mirrors) {
+      const mirrorError = prepareMirrorDestination(destination);
+      if (mirrorError) {
+        return { success: false, error: `${destination.label}: ${mirrorError}` };
+      }
+    }
+
+    settings = {
+      ...settings,
+      retention: normalizeRetention(settings.retention),
+      schedule: normalizeSchedule(settings.schedule),
+      mirrors,
+      offsiteWarningDays: normalizeOffsiteWarningDays(settings.offsiteWarningDays)
+    };
+
+    // Write settings file with error handling
+    try {
+      fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2), 'utf8');
+    } catch (writeError) {
+      return { success: false, error: `Cannot write settings file: ${writeError.message}` };
+    }
+    
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('backup-get-auto-settings', async (event) => {
+  try {
+    const access = authorizeChannel(event, 'backup-get-auto-settings');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    const userDataPath = app.getPath('userData');
+    const settingsPath = path.join(userDataPath, 'auto-backup-settings.json');
+    
+    if (fs.existsSync(settingsPath)) {
+      const settings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+      return {
+        success: true,
+        settings: {
+          ...settings,
+          retention: normalizeRetention(settings.retention),
+          schedule: normalizeSchedule(settings.schedule),
+          mirrors: normalizeMirrorDestinations(settings.mirrors),
+          offsiteWarningDays: normalizeOffsiteWarningDays(settings.offsiteWarningDays)
+        }
+      };
+    } else {
+      return {
+        success: true,
+        settings: {
+          enabled: false,
+          path: '',
+          interval: 'daily',
+          retention: { ...DEFAULT_RETENTION },
+          schedule: normalizeSchedule(),
+          mirrors: [],
+          offsiteWarningDays: normalizeOffsiteWarningDays()
+        }
+      };
+    }
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Which files in the automatic backup folder a retention policy would keep or remove
+ipcMain.handle('backup-preview-retention', async (event, retention) => {
+  try {
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'backup-preview-retention');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    const settingsPath = path.join(app.getPath('userData'), 'auto-backup-settings.json');
+    const settings = fs.existsSync(settingsPath) ? JSON.parse(fs.readFileSync(settingsPath, 'utf8')) : {};
+    const backupDir = settings.path || path.join(app.getPath('userData'), 'backups');
+    return { ...db.previewBackupRetention(backupDir, retention), backupDir };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('backup-select-path', async (event) => {
+  try {
+    const access = authorizeChannel(event, 'backup-select-path');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    if (!mainWindow || mainWindow.isDestroyed()) {
+      // If main window is not available, try to get any window
+      const allWindows = BrowserWindow.getAllWindows();
+      if (allWindows.length > 0) {
+        mainWindow = allWindows[0];
+      } else {
+        return { success: false, error: 'No window available' };
+      }
+    }
+
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'اختر مجلد حفظ النسخ الاحتياطية',
+      properties: ['openDirectory', 'createDirectory']
+    });
+
+    if (result.canceled) {
+      return { success: false, cancelled: true };
+    }
+
+    if (result.filePaths && result.filePaths.length > 0) {
+      return { success: true, path: result.filePaths[0] };
+    } else {
+      return { success: false, error: 'No path selected' };
+    }
+  } catch (error) {
+    console.error('Error in backup-select-path:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('backup-disable-auto', async (event) => {
+  try {
+    const access = authorizeChannel(event, 'backup-disable-auto');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    // Disable auto backup
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Restore a backup file; encrypted backups are tried with this PC's passphrase when none is given
+function restoreBackupFile(backupPath, passphrase) {
+  const encryption = passphrase ? null : getBackupEncryption();
+  const restoreResult = db.restoreBackup(backupPath, { passphrase: passphrase || (encryption && encryption.passphrase) });
+
+  if (restoreResult.needsPassphrase) {
+    // The page asks for the passphrase (or recovery key) and calls again with this path
+    return {
+      ...restoreResult,
+      backupPath,
+      error: passphrase ? 'كلمة مرور النسخة الاحتياطية أو مفتاح الاسترداد غير صحيح' : 'النسخة الاحتياطية مشفرة، أدخل كلمة المرور أو مفتاح الاسترداد'
+    };
+  }
+  if (!restoreResult.success) {
+    console.error('❌ Restore failed:', restoreResult.error);
+  } else {
+    broadcastDataChanges([{ table: '*', operation: 'restore', ids: [] }]);
+  }
+  return restoreResult;
+}
+
+// ============================================================
+// Backup Encryption
+// ============================================================
+// backup-encryption.json keeps the passphrase and recovery key protected by the operating
+// system (safeStorage), so automatic backups can be encrypted without asking. The files
+// themselves only need the passphrase or recovery key, so they restore on any PC.
+const BACKUP_ENCRYPTION_FILE = 'backup-encryption.json';
+
+function readBackupEncryptionSettings() {
+  const settingsPath = path.join(app.getPath('userData'), BACKUP_ENCRYPTION_FILE);
+  try {
+    if (fs.existsSync(settingsPath)) {
+      return JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+    }
+  } catch (error) {
+    console.error('[Backup] Could not read backup encryption settings:', error.message);
+  }
+  return { enabled: false, hint: '' };
+}
+
+/**
+ * Passphrase, recovery key and hint for new backups, or null when backups are not encrypted.
+ * @returns {{passphrase: string, recoveryKey: string, hint: string}|null}
+ */
+function getBackupEncryption() {
+  const settings = readBackupEncryptionSettings();
+  if (!settings.enabled) {
+    return null;
+  }
+  try {
+    return {
+      passphrase: safeStorage.decryptString(Buffer.from(settings.passphrase, 'base64')),
+      recoveryKey: safeStorage.decryptString(Buffer.from(settings.recoveryKey, 'base64')),
+      hint: settings.hint || ''
+    };
+  } catch (error) {
+    // Never fall back to plain backups silently: the backup fails and the error is shown
+    throw new Error(`لا يمكن قراءة كلمة مرور النسخ الاحتياطية على هذا الجهاز: ${error.message}`);
+  }
+}
+
+function getBackupFileExtension(encryption) {
+  return encryption ? '.encrypted' : '.db';
+}
+
+ipcMain.handle('backup-get-encryption', async (event) => {
+  const access = authorizeChannel(event, 'backup-get-encryption');
+  if (!access.allowed) {
+    return { success: false, error: access.error };
+  }
+  const settings = readBackupEncryptionSettings();
+  return {
+    success: true,
+    enabled: !!settings.enabled,
+    hint: settings.hint || '',
+    updatedAt: settings.updatedAt || null,
+    available: safeStorage.isEncryptionAvailable()
+  };
+});
+
+// settings: { enabled, passphrase, hint }. A new recovery key is made with each passphrase
+// and returned once, for the user to write down.
+ipcMain.handle('backup-set-encryption', async (event, settings = {}) => {
+  try {
+    const access = authorizeChannel(event, 'backup-set-encryption');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    const settingsPath = path.join(app.getPath('userData'), BACKUP_ENCRYPTION_FILE);
+
+    if (!settings.enabled) {
+      fs.writeFileSync(settingsPath, JSON.stringify({ enabled: false, hint: '', updatedAt: new Date().toISOString() }, null, 2), 'utf8');
+      return { success: true };
+    }
+    const passphrase = typeof settings.passphrase === 'string' ? settings.passphrase : '';
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      return { success: false, error: `كلمة مرور النسخ الاحتياطية يجب أن تكون ${MIN_PASSPHRASE_LENGTH} أحرف على الأقل` };
+    }
+    const hint = String(settings.hint || '').trim();
+    if (hint && hint.includes(passphrase)) {
+      return { success: false, error: 'التلميح لا يجب أن يحتوي على كلمة المرور' };
+    }
+    if (!safeStorage.isEncryptionAvailable()) {
+      return { success: false, error: 'لا يمكن حفظ كلمة المرور بأمان على هذا الجهاز' };
+    }
+
+    const recoveryKey = generateRecoveryKey();
+    fs.writeFileSync(settingsPath, JSON.stringify({
+      enabled: true,
+      hint,
+      passphrase: safeStorage.encryptString(passphrase).toString('base64'),
+      recoveryKey: safeStorage.encryptString(recoveryKey).toString('base64'),
+      updatedAt: new Date().toISOString()
+    }, null, 2), 'utf8');
+    console.log('[Backup] Backup passphrase changed; new backups are encrypted');
+    return { success: true, recoveryKey };
+  } catch (error) {
+    console.error('Error in backup-set-encryption:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ============================================================
+// Backup Mirrors
+// ============================================================
+// Every backup is also copied to the mirror destinations in auto-backup-settings.json
+// (utils/backup-mirror.js). The destinations are checked every MIRROR_CHECK_INTERVAL_MS;
+// when a removable drive is plugged in or a network folder is reachable again, the
+// backups it is missing are copied to it.
+const MIRROR_CHECK_INTERVAL_MS = 15 * 1000;
+let mirrorCheckTimer = null;
+const mirrorAvailability = new Map();
+
+function readAutoBackupSettings() {
+  const settingsPath = path.join(app.getPath('userData'), 'auto-backup-settings.json');
+  try {
+    if (fs.existsSync(settingsPath)) {
+      return JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+    }
+  } catch (error) {
+    console.error('[Backup] Could not read auto backup settings:', error.message);
+  }
+  return {};
+}
+
+// A removable drive only counts when it is the drive that was added (its marker file has the id)
+function isMirrorAvailable(destination) {
+  try {
+    if (destination.type === 'removable') {
+      const marker = JSON.parse(fs.readFileSync(path.join(destination.path, MIRROR_MARKER_FILE), 'utf8'));
+      return marker.id === destination.id;
+    }
+    return fs.statSync(destination.path).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+// Check a destination when it is saved; removable drives get their marker file. Returns an error or null.
+function prepareMirrorDestination(destination) {
+  try {
+    if (destination.type === 'removable' && isMirrorAvailable(destination)) {
+      return null;
+    }
+    fs.mkdirSync(destination.path, { recursive: true });
+    fs.accessSync(destination.path, fs.constants.W_OK);
+    if (destination.type === 'removable') {
+      fs.writeFileSync(path.join(destination.path, MIRROR_MARKER_FILE), JSON.stringify({
+        id: destination.id,
+        label: destination.label,
+        createdAt: new Date().toISOString()
+      }, null, 2), 'utf8');
+    }
+    return null;
+  } catch (error) {
+    return destination.type === 'removable'
+      ? `وصّل القرص الخارجي ثم احفظ مرة أخرى (${error.message})`
+      : `لا يمكن الكتابة في المجلد (${error.message})`;
+  }
+}
+
+/**
+ * Copy to each available destination the backups it does not have yet, then apply the
+ * retention policy to the copies made there (other files in the folder are left alone).
+ * @param {Array<Object>} [destinations] - Defaults to every configured destination
+ * @returns {{copied: number, failed: number, unavailable: number}}
+ */
+function mirrorPendingBackups(destinations = null) {
+  const summary = { copied: 0, failed: 0, unavailable: 0 };
+  if (!db || !db.db || lanClient) {
+    return summary;
+  }
+  const settings = readAutoBackupSettings();
+  const targets = destinations || normalizeMirrorDestinations(settings.mirrors);
+  if (targets.length === 0) {
+    return summary;
+  }
+  const backups = db.getBackupHistory(1000).filter(backup => backup.backupPath && fs.existsSync(backup.backupPath));
+  targets.forEach(destination => {
+    if (!isMirrorAvailable(destination)) {
+      summary.unavailable++;
+      return;
+    }
+    const pending = selectBackupsToMirror(backups, db.getBackupCopies(destination.id), destination.id);
+    pending.forEach(backup => {
+      const result = db.copyBackupToMirror(backup.backupPath, destination);
+      summary[result.success ? 'copied' : 'failed']++;
+    });
+    if (pending.length > 0) {
+      console.log(`[Backup] Copied ${pending.length} backup(s) to ${destination.label}`);
+      const retentionResult = db.applyMirrorRetention(destination, settings.retention);
+      if (!retentionResult.success) {
+        console.warn(`[Backup] Retention failed in ${destination.path}:`, retentionResult.error);
+      }
+    }
+  });
+  return summary;
+}
+
+// After a new backup: copy it now, and record unreachable network folders as failed
+// (a removable drive that is not plugged in just waits for it)
+function mirrorNewBackup(backupPath) {
+  try {
+    const destinations = normalizeMirrorDestinations(readAutoBackupSettings().mirrors);
+    destinations
+      .filter(destination => destination.type === 'folder' && !isMirrorAvailable(destination))
+      .forEach(destination => db.recordBackupCopy(backupPath, destination.id, 'failed', {
+        error: 'مجلد الوجهة غير متاح'
+      }));
+    mirrorPendingBackups(destinations);
+    broadcastDataChanges();
+  } catch (error) {
+    console.error('[Backup] Error copying backup to mirror destinations:', error);
+  }
+}
+
+function checkMirrorDestinations() {
+  try {
+    const destinations = normalizeMirrorDestinations(readAutoBackupSettings().mirrors);
+    const arrived = destinations.filter(destination => {
+      const available = isMirrorAvailable(destination);
+      const wasAvailable = mirrorAvailability.get(destination.id) === true;
+      mirrorAvailability.set(destination.id, available);
+      return available && !wasAvailable;
+    });
+    if (arrived.length > 0) {
+      mirrorPendingBackups(arrived);
+      broadcastDataChanges();
+    }
+  } catch (error) {
+    console.error('[Backup] Error checking mirror destinations:', error);
+  }
+}
+
+// The host or a standalone PC makes the copies; a client PC has no backups of its own
+function startMirrorWatcher() {
+  if (lanClient || mirrorCheckTimer) {
+    return;
+  }
+  mirrorCheckTimer = setInterval(checkMirrorDestinations, MIRROR_CHECK_INTERVAL_MS);
+  checkMirrorDestinations();
+}
+
+function stopMirrorWatcher() {
+  if (mirrorCheckTimer) {
+    clearInterval(mirrorCheckTimer);
+    mirrorCheckTimer = null;
+  }
+}
+
+// Each destination with whether it is reachable now and its last copy, plus the off-machine warning
+ipcMain.handle('backup-get-mirror-status', async (event) => {
+  try {
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'backup-get-mirror-status');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    const settings = readAutoBackupSettings();
+    const destinations = normalizeMirrorDestinations(settings.mirrors);
+    const offsiteWarningDays = normalizeOffsiteWarningDays(settings.offsiteWarningDays);
+    const copies = db.getBackupCopies();
+    const destinationIds = new Set(destinations.map(destination => destination.id));
+    return {
+      success: true,
+      destinations: destinations.map(destination => ({
+        ...destination,
+        available: isMirrorAvailable(destination),
+        lastCopy: copies.find(copy => copy.destinationId === destination.id) || null
+      })),
+      offsiteWarningDays,
+      offsite: getOffsiteStatus(copies.filter(copy => destinationIds.has(copy.destinationId)), offsiteWarningDays)
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Copy the missing backups to every reachable destination now
+ipcMain.handle('backup-mirror-now', async (event) => {
+  try {
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'backup-mirror-now');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    return { success: true, ...mirrorPendingBackups() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ============================================================
+// Backup Scheduler
+// ============================================================
+// Automatic backups follow settings.schedule (utils/backup-schedule.js). The main process
+// checks every minute whether a run is due; a run missed while the program was closed is
+// made once, shortly after the next startup. Each run is recorded in backup_runs, and
+// failed runs are shown in the header notifications (see System Alerts).
+const BACKUP_SCHEDULER_INTERVAL_MS = 60 * 1000;
+const BACKUP_CATCH_UP_DELAY_MS = 30 * 1000;
+let backupSchedulerTimer = null;
+let backupCatchUpTimer = null;
+
+function formatBackupFileTime(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+}
+
+/**
+ * Make one automatic backup in the auto backup folder, copy it to the mirror destinations
+ * and apply the retention policy. The run is recorded in backup_runs, and kept in
+ * runningAutoBackup while it runs so quitting waits for it.
+ * @param {Object} settings - Contents of auto-backup-settings.json
+ * @param {'schedule'|'catch-up'|'exit'} trigger
+ * @param {{fileStem?: string, scheduledFor?: Date|null}} [options]
+ * @returns {Promise<{success: boolean, backupPath?: string, error?: string}>}
+ */
+async function runAutoBackup(settings, trigger, options = {}) {
+  const backup = makeAutoBackup(settings, trigger, options);
+  runningAutoBackup = backup;
+  try {
+    return await backup;
+  } finally {
+    if (runningAutoBackup === backup) {
+      runningAutoBackup = null;
+    }
+  }
+}
+
+async function makeAutoBackup(settings, trigger, { fileStem = null, scheduledFor = null } = {}) {
+  const run = { trigger, scheduledFor: scheduledFor ? scheduledFor.toISOString() : null, startedAt: new Date().toISOString() };
+  let backupPath = null;
+  isBackupInProgress = true;
+  try {
+    if (!settings.path) {
+      throw new Error('لم يتم اختيار مجلد حفظ النسخ الاحتياطية التلقائية');
+    }
+    const backupDir = settings.path;
+    fs.mkdirSync(backupDir, { recursive: true });
+
+    // An encrypted backup that cannot be made fails rather than being saved unencrypted
+    const encryption = getBackupEncryption();
+    const stem = fileStem || `backup-${formatBackupFileTime(scheduledFor || new Date())}`;
+    backupPath = path.join(backupDir, `${stem}${getBackupFileExtension(encryption)}`);
+
+    const backupResult = await db.createAutoBackup(backupPath, encryption);
+    if (!backupResult.success) {
+      throw new Error(backupResult.error);
+    }
+    mirrorNewBackup(backupPath);
+
+    // Remove the backups the retention policy no longer keeps
+    try {
+      const cleanupResult = db.applyBackupRetention(backupDir, settings.retention);
+      if (cleanupResult.success && cleanupResult.deletedCount > 0) {
+        console.log(`✅ Retention policy removed ${cleanupResult.deletedCount} old backup(s), kept ${cleanupResult.keptCount}`);
+      }
+    } catch (cleanupError) {
+      console.error('⚠️ Error cleaning up old backups:', cleanupError);
+      // Don't fail the backup process if cleanup fails
+    }
+    
+    // Also clean up old renamed files (.old.timestamp) older than 7 days
+    try {
+      const renamedCleanupResult = await db.cleanupOldRenamedFiles(backupDir, 7);
+      if (renamedCleanupResult.success && renamedCleanupResult.deletedCount > 0) {
+        const sizeInMB = (renamedCleanupResult.sizeFreed / (1024 * 1024)).toFixed(2);
+        // Only log if significant cleanup happened (more than 10 files or 100MB)
+        if (renamedCleanupResult.deletedCount > 10 || renamedCleanupResult.sizeFreed > 100 * 1024 * 1024) {
+          console.log(`✅ Cleaned up ${renamedCleanupResult.deletedCount} old renamed file(s), freed ${sizeInMB} MB`);
+        } else if (process.env.NODE_ENV === 'development' || process.env.DEBUG) {
+          console.debug(`✅ Cleaned up ${renamedCleanupResult.deletedCount} old renamed file(s), freed ${sizeInMB} MB`);
+        }
+      }
+    } catch (renamedCleanupError) {
+      console.warn('⚠️ Error cleaning up old renamed files:', renamedCleanupError);
+    }
+
+    // The file was made but its test restore failed: keep it, but report the run as failed
+    if (backupResult.verification === 'failed') {
+      db.recordBackupRun({ ...run, status: 'failed', backupPath, error: 'فشل التحقق من النسخة باستعادة تجريبية' });
+    } else {
+      db.recordBackupRun({ ...run, status: 'success', backupPath });
+    }
+    return { success: true, backupPath };
+  } catch (error) {
+    console.error(`❌ Failed to create auto backup (${trigger}):`, error.message);
+    db.recordBackupRun({ ...run, status: 'failed', backupPath, error: error.message });
+    return { success: false, error: error.message };
+  } finally {
+    isBackupInProgress = false;
+    broadcastDataChanges();
+  }
+}
+
+async function checkBackupSchedule() {
+  try {
+    if (!db || !db.db || lanClient || isBackupInProgress) {
+      return;
+    }
+    const settings = readAutoBackupSettings();
+    if (!settings.enabled) {
+      return;
+    }
+    const schedule = normalizeSchedule(settings.schedule);
+    const now = new Date();
+    const lastRun = db.getBackupRuns(1, { triggers: ['schedule', 'catch-up'] })[0];
+    if (!isScheduledRunDue(schedule, lastRun ? lastRun.startedAt : null, now)) {
+      return;
+    }
+    const scheduledFor = getLastScheduledTime(schedule, now);
+    // Reached on time by the minute check, or missed while the program was closed
+    const trigger = now - scheduledFor > 2 * BACKUP_SCHEDULER_INTERVAL_MS ? 'catch-up' : 'schedule';
+    await runAutoBackup(settings, trigger, { scheduledFor });
+  } catch (error) {
+    console.error('[Backup] Error checking the backup schedule:', error);
+  }
+}
+
+// The host or a standalone PC makes the backups; a client PC works on the host's database
+function startBackupScheduler() {
+  if (lanClient || backupSchedulerTimer) {
+    return;
+  }
+  // Catch up after startup has settled rather than while the first window opens
+  backupCatchUpTimer = setTimeout(checkBackupSchedule, BACKUP_CATCH_UP_DELAY_MS);
+  backupSchedulerTimer = setInterval(checkBackupSchedule, BACKUP_SCHEDULER_INTERVAL_MS);
+}
+
+function stopBackupScheduler() {
+  clearTimeout(backupCatchUpTimer);
+  clearInterval(backupSchedulerTimer);
+  backupCatchUpTimer = null;
+  backupSchedulerTimer = null;
+}
+
+// Scheduled runs for the backup page, with the time of the next run
+ipcMain.handle('backup-get-runs', async (event, limit = 50) => {
+  try {
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'backup-get-runs');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    const settings = readAutoBackupSettings();
+    const schedule = normalizeSchedule(settings.schedule);
+    const nextRun = settings.enabled ? getNextScheduledTime(schedule) : null;
+    return {
+      success: true,
+      runs: db.getBackupRuns(limit),
+      schedule,
+      nextRunAt: nextRun ? nextRun.toISOString() : null
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ============================================================
+// Database Maintenance
+// ============================================================
+// Integrity check, WAL checkpoint, VACUUM and ANALYZE (DatabaseManager.runMaintenance), run from
+// the maintenance page or on the schedule in maintenance-settings.json (utils/db-health.js).
+// The schedule is checked every hour and once shortly after startup, on the host or a standalone
+// PC only, and never while a backup is being made. Database problems found by
+// getDatabaseHealth are shown in the header notifications (see System Alerts).
+const MAINTENANCE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const MAINTENANCE_CATCH_UP_DELAY_MS = 2 * 60 * 1000;
+let maintenanceTimer = null;
+let maintenanceCatchUpTimer = null;
+
+function getMaintenanceSettingsPath() {
+  return path.join(app.getPath('userData'), 'maintenance-settings.json');
+}
+
+function readMaintenanceSettings() {
+  try {
+    const settingsPath = getMaintenanceSettingsPath();
+    if (fs.existsSync(settingsPath)) {
+      return normalizeMaintenanceSettings(JSON.parse(fs.readFileSync(settingsPath, 'utf8')));
+    }
+  } catch (error) {
+    console.error('[Database] Could not read maintenance settings:', error.message);
+  }
+  return normalizeMaintenanceSettings();
+}
+
+function getLastScheduledMaintenanceAt() {
+  const lastRun = db.getMaintenanceRuns(1, { trigger: 'schedule' })[0];
+  return lastRun ? lastRun.startedAt : null;
+}
+
+function checkMaintenanceSchedule() {
+  try {
+    if (!db || !db.db || lanClient || isBackupInProgress) {
+      return;
+    }
+    const settings = readMaintenanceSettings();
+    if (!isMaintenanceDue(settings, getLastScheduledMaintenanceAt())) {
+      return;
+    }
+    const result = db.runMaintenance(settings.tasks, 'schedule');
+    (result.results || [])
+      .filter(run => run.status !== 'success')
+      .forEach(run => console.warn(`[Database] Scheduled maintenance task ${run.task} ${run.status}: ${run.error}`));
+  } catch (error) {
+    console.error('[Database] Error running scheduled maintenance:', error);
+  } finally {
+    broadcastDataChanges();
+  }
+}
+
+function startMaintenanceScheduler() {
+  if (lanClient || maintenanceTimer) {
+    return;
+  }
+  maintenanceCatchUpTimer = setTimeout(checkMaintenanceSchedule, MAINTENANCE_CATCH_UP_DELAY_MS);
+  maintenanceTimer = setInterval(checkMaintenanceSchedule, MAINTENANCE_CHECK_INTERVAL_MS);
+}
+
+function stopMaintenanceScheduler() {
+  clearTimeout(maintenanceCatchUpTimer);
+  clearInterval(maintenanceTimer);
+  maintenanceCatchUpTimer = null;
+  maintenanceTimer = null;
+}
+
+// Measurements, schedule and run history for the maintenance page
+ipcMain.handle('db-health-get', async (event, limit = 30) => {
+  try {
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'db-health-get');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    const result = db.getDatabaseHealth();
+    if (!result.success) {
+      return result;
+    }
+    const settings = readMaintenanceSettings();
+    const nextRun = getNextMaintenanceTime(settings, getLastScheduledMaintenanceAt());
+    return {
+      success: true,
+      health: result.health,
+      settings,
+      nextRunAt: nextRun ? nextRun.toISOString() : null,
+      runs: db.getMaintenanceRuns(limit)
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-maintenance-run', async (event, tasks) => {
+  try {
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'db-maintenance-run');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    if (isBackupInProgress) {
+      return { success: false, error: 'جاري إنشاء نسخة احتياطية، أعد المحاولة بعد انتهائها' };
+    }
+    return db.runWithAuditContext(getAuditContext(event), () => db.runMaintenance(tasks, 'manual'));
+  } catch (error) {
+    console.error('Error in db-maintenance-run:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('db-maintenance-set-settings', async (event, settings) => {
+  try {
+    const access = authorizeChannel(event, 'db-maintenance-set-settings');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    const normalized = normalizeMaintenanceSettings(settings);
+    fs.writeFileSync(getMaintenanceSettingsPath(), JSON.stringify(normalized, null, 2), 'utf8');
+    return { success: true, settings: normalized };
+  } catch (error) {
+    console.error('Error in db-maintenance-set-settings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Balances and stock recomputed from the documents, with the corrections made so far
+ipcMain.handle('consistency-check', async (event) => {
+  try {
+    if (!db) {
+      try {
+        db = new DatabaseManager();
+      } catch (initError) {
+        console.error('Error initializing database in consistency-check:', initError);
+        return { success: false, error: `Database not initialized: ${initError.message}` };
+      }
+    }
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'consistency-check');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    const result = db.checkDataConsistency();
+    return result.success ? { ...result, corrections: db.getConsistencyCorrections(30) } : result;
+  } catch (error) {
+    console.error('Error in consistency-check:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// selection: { customers: [ids], suppliers: [ids], products: [ids] }
+ipcMain.handle('consistency-apply', async (event, selection) => {
+  try {
+    if (!db) {
+      try {
+        db = new DatabaseManager();
+      } catch (initError) {
+        console.error('Error initializing database in consistency-apply:', initError);
+        return { success: false, error: `Database not initialized: ${initError.message}` };
+      }
+    }
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'consistency-apply');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    return db.runWithAuditContext(getAuditContext(event), () => db.applyConsistencyCorrections(selection));
+  } catch (error) {
+    console.error('Error in consistency-apply:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ============================================================
+// System Alerts
+// ============================================================
+// Problems shown in the header notifications on every page (scripts/header.js).
+// Alert: { id, level: 'error' | 'warning', title, details, page, createdAt, dismissible }
+const BACKUP_ALERT_DAYS = 30;
+
+function getSystemAlerts(user) {
+  const alerts = [];
+  if (!db || !db.db || !accessPolicy.userHasPermission(user, 'backup')) {
+    return alerts;
+  }
+  const health = db.getDatabaseHealth();
+  if (health.success) {
+    health.health.issues.forEach(issue => alerts.push({
+      id: `db-health:${issue.id}`,
+      level: issue.level,
+      title: issue.title,
+      details: issue.details,
+      page: 'maintenance.html',
+      createdAt: null,
+      dismissible: false
+    }));
+  }
+
+  const since = new Date(Date.now() - BACKUP_ALERT_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  db.getBackupRuns(20, { failedOnly: true, includeDismissed: false })
+    .filter(run => run.startedAt >= since)
+    .forEach(run => alerts.push({
+      id: `backup-run:${run.id}`,
+      level: 'error',
+      title: 'فشل النسخ الاحتياطي التلقائي',
+      details: run.error || 'خطأ غير معروف',
+      page: 'backup.html',
+      createdAt: run.startedAt,
+      dismissible: true
+    }));
+
+  const settings = readAutoBackupSettings();
+  const destinations = normalizeMirrorDestinations(settings.mirrors);
+  if (destinations.length > 0) {
+    const destinationIds = new Set(destinations.map(destination => destination.id));
+    const offsite = getOffsiteStatus(
+      db.getBackupCopies().filter(copy => destinationIds.has(copy.destinationId)),
+      normalizeOffsiteWarningDays(settings.offsiteWarningDays)
+    );
+    if (offsite.overdue) {
+      alerts.push({
+        id: 'backup-offsite',
+        level: 'warning',
+        title: 'لا توجد نسخة احتياطية حديثة خارج الجهاز',
+        details: offsite.lastCopyAt ? `آخر نسخة منذ ${offsite.daysSince} يوم` : 'لم تُنسخ أي نسخة بعد',
+        page: 'backup.html',
+        createdAt: offsite.lastCopyAt,
+        dismissible: false
+      });
+    }
+  }
+  return alerts;
+}
+
+ipcMain.handle('system-get-alerts', async () => {
+  try {
+    if (!db) {
+      try {
+        db = new DatabaseManager();
+      } catch (initError) {
+        console.error('Error initializing database in system-get-alerts:', initError);
+        return { success: false, error: `Database not initialized: ${initError.message}`, alerts: [] };
+      }
+    }
+    await db.ensureInitialized();
+    return { success: true, alerts: getSystemAlerts(getSessionUser()) };
+  } catch (error) {
+    return { success: false, error: error.message, alerts: [] };
+  }
+});
+
+ipcMain.handle('system-dismiss-alert', async (event, alertId) => {
+  try {
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'system-dismiss-alert');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    if (typeof alertId === 'string' && alertId.startsWith('backup-run:')) {
+      return db.dismissBackupRun(alertId.slice('backup-run:'.length));
+    }
+    return { success: false, error: 'لا يمكن إخفاء هذا التنبيه' };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ============================================================
+// Data Export / Import
+// ============================================================
+// data-export and data-import run where the database is (the host PC for LAN clients);
+// the file dialogs and file access run on the PC in front of the user.
+
+ipcMain.handle('data-export', async (event) => {
+  try {
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'data-export');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    return { success: true, bundle: db.exportData({ appVersion: app.getVersion() }) };
+  } catch (error) {
+    console.error('Error in data-export:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Write an exported bundle as one JSON file, or as a folder with one CSV file per table
+ipcMain.handle('data-export-save', async (event, bundle, format = 'json') => {
+  try {
+    const access = authorizeChannel(event, 'data-export-save');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    if (!bundle || !bundle.tables) {
+      return { success: false, error: 'لا توجد بيانات للحفظ' };
+    }
+    const window = BrowserWindow.fromWebContents(event.sender) || mainWindow;
+    const baseName = `asel-data-${new Date().toISOString().split('T')[0]}`;
+
+    if (format === 'csv') {
+      const result = await dialog.showOpenDialog(window, {
+        title: 'اختر مجلد حفظ ملفات CSV',
+        properties: ['openDirectory', 'createDirectory']
+      });
+      if (result.canceled || !result.filePaths || result.filePaths.length === 0) {
+        return { success: false, cancelled: true };
+      }
+      const folder = path.join(result.filePaths[0], baseName);
+      fs.mkdirSync(folder, { recursive: true });
+      bundleToCsvFiles(bundle).forEach(file => {
+        fs.writeFileSync(path.join(folder, file.fileName), file.content, 'utf8');
+      });
+      return { success: true, path: folder };
+    }
+
+    const result = await dialog.showSaveDialog(window, {
+      title: 'حفظ ملف تصدير البيانات',
+      defaultPath: `${baseName}.json`,
+      filters: [{ name: 'JSON', extensions: ['json'] }],
+      properties: ['showOverwriteConfirmation']
+    });
+    if (result.canceled || !result.filePath) {
+      return { success: false, cancelled: true };
+    }
+    fs.writeFileSync(result.filePath, JSON.stringify(bundle), 'utf8');
+    return { success: true, path: result.filePath };
+  } catch (error) {
+    console.error('Error in data-export-save:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Choose and read an export file; its contents are checked by data-import
+ipcMain.handle('data-import-read-file', async (event) => {
+  try {
+    const access = authorizeChannel(event, 'data-import-read-file');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    const window = BrowserWindow.fromWebContents(event.sender) || mainWindow;
+    const result = await dialog.showOpenDialog(window, {
+      title: 'اختر ملف تصدير البيانات',
+      filters: [{ name: 'JSON', extensions: ['json'] }],
+      properties: ['openFile']
+    });
+    if (result.canceled || !result.filePaths || result.filePaths.length === 0) {
+      return { success: false, cancelled: true };
     }
-    
-    if (fileStats.size === 0) {
-      return { success: false, error: 'الملف فارغ' };
+    let bundle;
+    try {
+      bundle = JSON.parse(fs.readFileSync(result.filePaths[0], 'utf8').replace(/^\uFEFF/, ''));
+    } catch (parseError) {
+      return { success: false, error: 'تعذر قراءة الملف: ليس ملف JSON صحيحاً' };
     }
-    
-    const restoreResult = db.restoreBackup(selectedBackupPath);
-    
-    if (!restoreResult.success) {
-      console.error('❌ Restore failed:', restoreResult.error);
+    const check = validateDataBundle(bundle);
+    if (!check.valid) {
+      return { success: false, error: check.errors.join('، ') };
     }
-    
-    return restoreResult;
+    return { success: true, bundle, fileName: path.basename(result.filePaths[0]) };
   } catch (error) {
-    console.error('Error in backup-restore:', error);
+    console.error('Error in data-import-read-file:', error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('backup-get-history', async (event, limit = 10) => {
+// Check (dryRun) or import a bundle
+ipcMain.handle('data-import', async (event, bundle, options = {}) => {
   try {
     await db.ensureInitialized();
-    return db.getBackupHistory(limit);
+    const access = authorizeChannel(event, 'data-import');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    const dryRun = !options || options.dryRun !== false;
+    return db.runWithAuditContext(getAuditContext(event), () => db.importData(bundle, { dryRun }));
   } catch (error) {
-    return [];
+    console.error('Error in data-import:', error);
+    return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('backup-get-path', () => {
-  const userDataPath = app.getPath('userData');
-  return path.join(userDataPath, 'backups');
-});
+// ============================================================
+// Record Import (products, customers and suppliers from a spreadsheet)
+// ============================================================
+// The file is read on the PC in front of the user; records-import checks and adds the rows
+// where the database is. The entity names are also the permissions of their pages.
 
-ipcMain.handle('backup-set-auto-settings', async (event, settings) => {
+// Choose and read an .xlsx or .csv file (first sheet)
+ipcMain.handle('records-import-read-file', async (event) => {
   try {
-    // Save settings to file
-    const userDataPath = app.getPath('userData');
-    
-    // Ensure userData directory exists
-    if (!fs.existsSync(userDataPath)) {
-      try {
-        fs.mkdirSync(userDataPath, { recursive: true });
-      } catch (mkdirError) {
-        return { success: false, error: `Cannot create user data directory: ${mkdirError.message}` };
-      }
+    const access = authorizeChannel(event, 'records-import-read-file');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
     }
-    
-    const settingsPath = path.join(userDataPath, 'auto-backup-settings.json');
-    
-    // Ensure backup directory exists with error handling
-    if (settings.path) {
-      if (!fs.existsSync(settings.path)) {
-        try {
-          fs.mkdirSync(settings.path, { recursive: true });
-        } catch (mkdirError) {
-          return { success: false, error: `Cannot create backup directory: ${mkdirError.message}` };
-        }
-      }
-      
-      // Verify directory is writable
-      try {
-        fs.accessSync(settings.path, fs.constants.W_OK);
-      } catch (accessError) {
-        return { success: false, error: `Backup directory is not writable: ${accessError.message}` };
-      }
+    const window = BrowserWindow.fromWebContents(event.sender) || mainWindow;
+    const result = await dialog.showOpenDialog(window, {
+      title: 'اختر ملف Excel أو CSV',
+      filters: [
+        { name: 'Excel / CSV', extensions: ['xlsx', 'csv'] }
+      ],
+      properties: ['openFile']
+    });
+    if (result.canceled || !result.filePaths || result.filePaths.length === 0) {
+      return { success: false, cancelled: true };
     }
-    
-    // Write settings file with error handling
+    const fileName = path.basename(result.filePaths[0]);
+    let sheet;
     try {
-      fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2), 'utf8');
-    } catch (writeError) {
-      return { success: false, error: `Cannot write settings file: ${writeError.message}` };
+      sheet = readSpreadsheet(fs.readFileSync(result.filePaths[0]), fileName);
+    } catch (readError) {
+      return { success: false, error: `تعذر قراءة الملف: ${readError.message}` };
     }
-    
-    return { success: true };
+    if (sheet.rows.length < 2) {
+      return { success: false, error: 'الملف لا يحتوي على بيانات (الصف الأول لأسماء الأعمدة)' };
+    }
+    return { success: true, fileName, sheetName: sheet.sheetName, rows: sheet.rows };
   } catch (error) {
+    console.error('Error in records-import-read-file:', error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('backup-get-auto-settings', async (event) => {
+// Check (dryRun) or add the data rows of a file
+ipcMain.handle('records-import', async (event, entity, rows, mapping, options = {}) => {
   try {
-    const userDataPath = app.getPath('userData');
-    const settingsPath = path.join(userDataPath, 'auto-backup-settings.json');
-    
-    if (fs.existsSync(settingsPath)) {
-      const settings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
-      return { success: true, settings };
-    } else {
-      return { success: true, settings: { enabled: false, path: '', interval: 'daily' } };
+    await db.ensureInitialized();
+    const access = authorizeChannel(event, 'records-import');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    if (!accessPolicy.userHasPermission(getSessionUser(), entity)) {
+      logAccessDenied('records-import', getSenderPage(event), { reason: `no ${entity} permission` });
+      return { success: false, error: accessPolicy.ACCESS_DENIED_MESSAGE };
     }
+    const dryRun = !options || options.dryRun !== false;
+    const firstRowNumber = options && options.firstRowNumber ? options.firstRowNumber : 2;
+    return db.runWithAuditContext(getAuditContext(event),
+      () => db.importRecords(entity, rows, mapping, { dryRun, firstRowNumber }));
   } catch (error) {
+    console.error('Error in records-import:', error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('backup-select-path', async (event) => {
+// ============================================================
+// LAN Mode (several PCs sharing one database)
+// ============================================================
+// lan-settings.json picks the mode of this PC:
+// - standalone: the local database is used (default)
+// - host: the local database is used and also served to client PCs (utils/lan-connection.js)
+// - client: preload.js sends the channels in LAN_CHANNELS through 'lan-invoke' to the host
+// Changes apply after restarting the application.
+const LAN_MODES = ['standalone', 'host', 'client'];
+const DEFAULT_LAN_SETTINGS = { mode: 'standalone', port: DEFAULT_LAN_PORT, pairingCode: '', hostAddress: '' };
+
+let lanSettings = { ...DEFAULT_LAN_SETTINGS };
+let lanHost = null;
+let lanClient = null;
+let lanStartError = null;
+
+function getLanSettingsPath() {
+  return path.join(app.getPath('userData'), 'lan-settings.json');
+}
+
+function readLanSettings() {
   try {
-    if (!mainWindow || mainWindow.isDestroyed()) {
-      // If main window is not available, try to get any window
-      const allWindows = BrowserWindow.getAllWindows();
-      if (allWindows.length > 0) {
-        mainWindow = allWindows[0];
-      } else {
-        return { success: false, error: 'No window available' };
-      }
+    const settingsPath = getLanSettingsPath();
+    if (fs.existsSync(settingsPath)) {
+      return { ...DEFAULT_LAN_SETTINGS, ...JSON.parse(fs.readFileSync(settingsPath, 'utf8')) };
     }
+  } catch (error) {
+    console.error('[LAN] Error reading LAN settings:', error);
+  }
+  return { ...DEFAULT_LAN_SETTINGS };
+}
 
-    const result = await dialog.showOpenDialog(mainWindow, {
-      title: 'اختر مجلد حفظ النسخ الاحتياطية',
-      properties: ['openDirectory', 'createDirectory']
-    });
+// Checks settings from the settings page; returns an error message or null
+function validateLanSettings(settings) {
+  if (!settings || !LAN_MODES.includes(settings.mode)) {
+    return 'وضع الشبكة غير صحيح';
+  }
+  const port = Number(settings.port);
+  if (!Number.isInteger(port) || port < 1024 || port > 65535) {
+    return 'رقم المنفذ يجب أن يكون بين 1024 و 65535';
+  }
+  if (settings.mode === 'client' && !String(settings.hostAddress || '').trim()) {
+    return 'أدخل عنوان الجهاز المضيف';
+  }
+  if (settings.mode !== 'standalone') {
+    try {
+      deriveLanKey(settings.pairingCode);
+    } catch (error) {
+      return 'رمز الربط غير صحيح';
+    }
+  }
+  return null;
+}
 
-    if (result.canceled) {
-      return { success: false, cancelled: true };
+function getLanStatus() {
+  if (lanHost) {
+    return lanHost.getStatus();
+  }
+  if (lanClient) {
+    return lanClient.getStatus();
+  }
+  return {
+    mode: lanSettings.mode,
+    state: lanSettings.mode === 'client' ? 'disconnected' : undefined,
+    running: false,
+    lastError: lanStartError
+  };
+}
+
+function broadcastLanStatus() {
+  const status = getLanStatus();
+  BrowserWindow.getAllWindows().forEach(window => {
+    if (!window.isDestroyed()) {
+      window.webContents.send('lan-status', status);
     }
+  });
+}
 
-    if (result.filePaths && result.filePaths.length > 0) {
-      return { success: true, path: result.filePaths[0] };
-    } else {
-      return { success: false, error: 'No path selected' };
+/**
+ * Run one request from a client PC (called by LanHost after the message was authenticated).
+ * The IPC handler gets a stand-in event whose URL carries the page of the client's session
+ * (never a page the request names), so the access policy and audit log treat it like the
+ * same page on this PC.
+ */
+async function handleLanRequest(request, remoteAddress) {
+  // channelId is set by LanHost from the channel the request came through; clientId is only
+  // what the client says about itself
+  const { clientId, channelId, channel, args = [] } = request;
+  const clientName = request.clientName || remoteAddress;
+
+  if (channel === 'lan-ping') {
+    return { success: true, hostName: os.hostname() };
+  }
+
+  if (channel === 'lan-session') {
+    // Sent by the client's main process (not its pages): to end the session, or to resume it
+    // after reconnecting. Sessions only start with a login verified here ('login' handler);
+    // a resume must bring the token that login returned, never just a user id.
+    // Pages cannot send it: lan-session is not in LAN_CHANNELS
+    const [token] = args;
+    if (!token) {
+      lanHost.endSession(channelId);
+      console.log(`[LAN] Session ended on ${clientName}`);
+      return { success: true };
+    }
+    if (!lanHost.resumeSession(channelId, token)) {
+      console.warn(`[Access] Refused to resume an unknown LAN session from ${clientName}`);
+      return { success: false, error: accessPolicy.ACCESS_DENIED_MESSAGE };
+    }
+    return { success: true };
+  }
+
+  if (channel === 'lan-navigate') {
+    // Sent by the client's main process before a request from another page: the session
+    // moves there only if its user may open that page
+    const page = accessPolicy.getPageName(String(args[0] || ''));
+    const { result } = lanRequestContext.run({ channelId, clientName }, () => accessPolicy.checkPageAccess(page, getSessionUser()));
+    if (!result.allowed || !lanHost.setSessionPage(channelId, page)) {
+      logAccessDenied('lan-navigate', page, result.allowed ? { reason: 'no LAN session' } : result);
+      return { success: false, error: accessPolicy.ACCESS_DENIED_MESSAGE };
+    }
+    return { success: true };
+  }
+
+  const page = lanHost.getSessionPage(channelId);
+  const event = { lan: true, sender: { getURL: () => `lan://${clientId}/${page}` } };
+
+  if (channel === 'lan-authorize') {
+    // A client asking whether its user may use one of its own LAN channels (e.g. lan-save-settings)
+    return lanRequestContext.run({ channelId, clientName }, () => authorizeChannel(event, args[0]));
+  }
+
+  const handler = ipcHandlers.get(channel);
+  if (!LAN_CHANNELS.includes(channel) || !handler) {
+    console.warn(`[LAN] Refused channel ${channel} from ${clientName}`);
+    return { success: false, error: `Channel ${channel} is not available over LAN` };
+  }
+  return lanRequestContext.run({ channelId, clientName }, () => handler(event, ...args));
+}
+
+async function startLanMode() {
+  lanSettings = readLanSettings();
+  const port = Number(lanSettings.port) || DEFAULT_LAN_PORT;
+  try {
+    if (lanSettings.mode === 'host') {
+      lanHost = new LanHost({ pairingCode: lanSettings.pairingCode, port, handleRequest: handleLanRequest });
+      lanHost.on('status', broadcastLanStatus);
+      await lanHost.start();
+      console.log(`[LAN] Hosting the database on port ${port}`);
+    } else if (lanSettings.mode === 'client') {
+      lanClient = new LanClient({ hostAddress: lanSettings.hostAddress, port, pairingCode: lanSettings.pairingCode });
+      lanClient.on('status', broadcastLanStatus);
+      lanClient.on('data-changed', broadcastDataChanges);
+      lanClient.on('session-ended', () => {
+        // The host restarted and no longer knows this PC's login
+        console.warn('[LAN] The host ended the session of this PC; log in again');
+        sessionUserId = null;
+      });
+      lanClient.start();
     }
   } catch (error) {
-    console.error('Error in backup-select-path:', error);
-    return { success: false, error: error.message };
+    lanStartError = error.message;
+    console.error(`[LAN] Could not start ${lanSettings.mode} mode:`, error.message);
   }
+}
+
+// The settings page checks this PC's LAN settings; a client asks the host, where its user is known
+async function authorizeLanSettings(event, channel) {
+  if (getSenderPage(event) !== 'settings.html') {
+    return { allowed: false, error: accessPolicy.ACCESS_DENIED_MESSAGE };
+  }
+  if (lanSettings.mode !== 'client') {
+    return authorizeChannel(event, channel);
+  }
+  if (lanClient) {
+    const decision = await lanClient.request('lan-authorize', [channel], 'settings.html');
+    if (!decision.offline) {
+      return decision;
+    }
+  }
+  // Unreachable host: the address or code may be exactly what needs fixing, but only by the
+  // user logged in on this PC, whose permissions the host can no longer confirm
+  if (!sessionUserId) {
+    logAccessDenied(channel, 'settings.html', { reason: 'no logged-in user while the host is unreachable' });
+    return { allowed: false, error: accessPolicy.ACCESS_DENIED_MESSAGE };
+  }
+  return { allowed: true };
+}
+
+// Read synchronously by preload.js before the page runs
+ipcMain.on('lan-get-routing', (event) => {
+  event.returnValue = { mode: lanSettings.mode, channels: LAN_CHANNELS };
 });
 
-ipcMain.handle('backup-disable-auto', async (event) => {
+// While the host cannot be reached, these channels answer the way their handlers do on
+// failure, so pages that expect a list or a record keep working with no data
+const LAN_OFFLINE_RESULTS = { 'db-get-all': [], 'db-get': null, 'backup-get-history': [] };
+
+ipcMain.handle('lan-invoke', async (event, channel, args = []) => {
+  if (!LAN_CHANNELS.includes(channel)) {
+    return { success: false, error: `Channel ${channel} is not available over LAN` };
+  }
+  // Never fall back to the local database: its data would silently diverge from the host
+  const result = lanClient
+    ? await lanClient.request(channel, Array.isArray(args) ? args : [], getSenderPage(event))
+    : { success: false, error: 'إعدادات الاتصال بالجهاز المضيف غير مكتملة', offline: true };
+  if (result && result.offline && channel in LAN_OFFLINE_RESULTS) {
+    return LAN_OFFLINE_RESULTS[channel];
+  }
+  // The host started the session; remember it here for reconnecting and logging out.
+  // The session token stays in this process, pages never see it
+  if (channel === 'login' && result && result.success && lanClient) {
+    const { sessionToken, ...pageResult } = result;
+    sessionUserId = pageResult.user.id;
+    lanClient.rememberSession(sessionToken);
+    return pageResult;
+  }
+  return result;
+});
+
+ipcMain.handle('lan-get-status', () => {
+  return getLanStatus();
+});
+
+ipcMain.handle('lan-get-settings', async (event) => {
+  const access = await authorizeLanSettings(event, 'lan-get-settings');
+  if (!access.allowed) {
+    return { success: false, error: access.error };
+  }
+  return { success: true, settings: readLanSettings(), activeMode: lanSettings.mode };
+});
+
+ipcMain.handle('lan-save-settings', async (event, settings) => {
   try {
-    // Disable auto backup
-    return { success: true };
+    const access = await authorizeLanSettings(event, 'lan-save-settings');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    const validationError = validateLanSettings(settings);
+    if (validationError) {
+      return { success: false, error: validationError };
+    }
+    const saved = {
+      mode: settings.mode,
+      port: Number(settings.port),
+      pairingCode: settings.mode === 'standalone' ? '' : String(settings.pairingCode).trim().toUpperCase(),
+      hostAddress: settings.mode === 'client' ? String(settings.hostAddress).trim() : ''
+    };
+    fs.writeFileSync(getLanSettingsPath(), JSON.stringify(saved, null, 2), 'utf8');
+    console.log(`[LAN] Settings saved (mode: ${saved.mode}); applied after restart`);
+    return { success: true, restartRequired: true };
   } catch (error) {
+    console.error('Error in lan-save-settings:', error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('db-open-folder', () => {
+ipcMain.handle('lan-generate-pairing-code', async (event) => {
+  const access = await authorizeLanSettings(event, 'lan-generate-pairing-code');
+  return access.allowed ? generatePairingCode() : '';
+});
+
+// Checks a host address and pairing code before they are saved
+ipcMain.handle('lan-test-connection', async (event, settings = {}) => {
+  try {
+    const access = await authorizeLanSettings(event, 'lan-test-connection');
+    if (!access.allowed) {
+      return { success: false, error: access.error };
+    }
+    const validationError = validateLanSettings({ ...settings, mode: 'client' });
+    if (validationError) {
+      return { success: false, error: validationError };
+    }
+    const probe = new LanClient({
+      hostAddress: String(settings.hostAddress).trim(),
+      port: Number(settings.port),
+      pairingCode: settings.pairingCode
+    });
+    const result = await probe.send({ channel: 'lan-ping', args: [], page: '' }, 5000);
+    return { success: true, hostName: result && result.hostName };
+  } catch (error) {
+    return { success: false, error: `تعذر الاتصال بالجهاز المضيف: ${error.message}` };
+  }
+});
+
+ipcMain.handle('db-open-folder', (event) => {
+  if (!authorizeChannel(event, 'db-open-folder').allowed) {
+    return null;
+  }
   const userDataPath = app.getPath('userData');
   const { shell } = require('electron');
   shell.openPath(userDataPath);
@@ -1846,32 +3838,12 @@ app.whenReady().then(async () => {
       // Continue anyway
     }
 
-    // Auto-run migration if database exists and uses REAL format
-    try {
-      if (db && fs.existsSync(db.dbPath)) {
-        await db.ensureInitialized();
-        // Check if migration is needed
-        const tableInfo = db.db.prepare('PRAGMA table_info(products)').all();
-        if (tableInfo.length > 0) {
-          const smallestPriceColumn = tableInfo.find(col => col.name === 'smallestPrice');
-          // SQLite stores type as string, check if it's REAL
-          if (smallestPriceColumn && (smallestPriceColumn.type === 'REAL' || smallestPriceColumn.type === 2)) {
-            console.log('[Migration] ⚠️ Database uses REAL format. Auto-running migration...');
-            const migrationResult = await db.runRealToIntegerMigration();
-            if (migrationResult.success) {
-              console.log('[Migration] ✅ Migration completed successfully!');
-              console.log('[Migration] Backup saved to:', migrationResult.backupPath);
-            } else {
-              console.error('[Migration] ❌ Migration failed:', migrationResult.message);
-            }
-          }
-        }
-      }
-    } catch (migrationError) {
-      console.error('[Migration] Error checking/running migration:', migrationError.message);
-      // Don't block app startup if migration check fails
-    }
-    
+    // Before any window opens: preload.js reads the LAN mode when a page loads
+    await startLanMode();
+    startMirrorWatcher();
+    startBackupScheduler();
+    startMaintenanceScheduler();
+
     createLoginWindow();
 
     app.on('activate', () => {
@@ -1892,20 +3864,38 @@ app.whenReady().then(async () => {
 
 // Track if backup is in progress
 let isBackupInProgress = false;
+// The automatic backup being written (see runAutoBackup), awaited before quitting
+let runningAutoBackup = null;
+let isQuitting = false;
 
 // Check and create auto backup before quitting
 app.on('before-quit', async (event) => {
   // Prevent default quit behavior until backup is complete
   event.preventDefault();
+  // Quit again while the first quit still waits for a backup: that one exits
+  if (isQuitting) {
+    return;
+  }
+  isQuitting = true;
+  stopMirrorWatcher();
+  stopBackupScheduler();
+  stopMaintenanceScheduler();
   
   try {
-    if (isBackupInProgress) {
-      // If backup is already in progress, allow quit
+    // A scheduled backup still being written would be cut off by app.exit() and its run
+    // never recorded, so let it finish first
+    if (runningAutoBackup) {
+      await runningAutoBackup;
+    }
+
+    if (!db) {
       app.exit(0);
       return;
     }
 
-    if (!db) {
+    // A client PC works on the host's database; the host makes the backups
+    if (lanClient) {
+      lanClient.stop();
       app.exit(0);
       return;
     }
@@ -1913,13 +3903,7 @@ app.on('before-quit', async (event) => {
     await db.ensureInitialized();
     
     // Get auto backup settings
-    const userDataPath = app.getPath('userData');
-    const settingsPath = path.join(userDataPath, 'auto-backup-settings.json');
-    
-    let settings = {};
-    if (fs.existsSync(settingsPath)) {
-      settings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
-    }
+    const settings = readAutoBackupSettings();
 
     // Check if auto backup is enabled
     if (!settings.enabled) {
@@ -1927,166 +3911,107 @@ app.on('before-quit', async (event) => {
       return;
     }
 
-    // Create backup directory if it doesn't exist
-    const backupDir = settings.path || path.join(userDataPath, 'backups');
-    if (!fs.existsSync(backupDir)) {
-      try {
-        fs.mkdirSync(backupDir, { recursive: true });
-      } catch (mkdirError) {
-        console.error('Error creating backup directory:', mkdirError);
-        // Continue anyway - might fail silently if backup not needed
-      }
-    }
-    
-    // Verify backup directory is writable
-    try {
-      if (fs.existsSync(backupDir)) {
-        fs.accessSync(backupDir, fs.constants.W_OK);
-      }
-    } catch (accessError) {
-      console.error('Backup directory is not writable:', accessError);
-      // Continue anyway - might still work
-    }
-
-    // Get backup interval from settings (default: daily)
-    const interval = settings.interval || 'daily';
+    const schedule = normalizeSchedule(settings.schedule);
+    if (schedule.type === 'close') {
+      // Get backup interval from settings (default: daily)
+      const interval = settings.interval || 'daily';
 
-    // Create backup file name with date based on interval
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    let backupFileName;
-    
-    if (interval === 'weekly') {
-      // Weekly: use year-week format (YYYY-WW)
-      const year = today.getFullYear();
-      const startOfYear = new Date(today.getFullYear(), 0, 1);
-      const days = Math.floor((today - startOfYear) / (24 * 60 * 60 * 1000));
-      const weekNumber = Math.ceil((days + startOfYear.getDay() + 1) / 7);
-      backupFileName = `backup-${year}-W${weekNumber.toString().padStart(2, '0')}.db`;
-    } else if (interval === 'monthly') {
-      // Monthly: use year-month format (YYYY-MM)
-      const year = today.getFullYear();
-      const month = String(today.getMonth() + 1).padStart(2, '0');
-      backupFileName = `backup-${year}-${month}.db`;
-    } else {
-      // Daily: use date format (YYYY-MM-DD)
-      const dateStr = today.toISOString().split('T')[0];
-      backupFileName = `backup-${dateStr}.db`;
-    }
-    
-    const backupPath = path.join(backupDir, backupFileName);
-
-    // Check if backup file actually exists (not just in database)
-    const backupFileExists = fs.existsSync(backupPath) && fs.statSync(backupPath).size > 0;
-
-    // Check last backup date from database
-    const lastBackupDate = db.getLastBackupDate();
-
-    // Check if we need to create backup based on interval
-    let needsBackup = false;
-    if (!backupFileExists) {
-      // Backup file doesn't exist, create one
-      needsBackup = true;
-    } else if (!lastBackupDate) {
-      // No backup record in database, but file exists - create new one anyway
-      needsBackup = true;
-    } else {
-      const lastBackup = new Date(lastBackupDate);
-      lastBackup.setHours(0, 0, 0, 0);
-      
-      // Calculate days difference
-      const daysDiff = Math.floor((today - lastBackup) / (1000 * 60 * 60 * 24));
+      // Create backup file name with date based on interval
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      let backupFileStem;
       
-      // Check based on interval
-      if (interval === 'daily') {
-        // Daily: create backup if last backup is older than today
-        needsBackup = daysDiff >= 1;
-      } else if (interval === 'weekly') {
-        // Weekly: create backup if last backup is 7 days or older
-        needsBackup = daysDiff >= 7;
+      if (interval === 'weekly') {
+        // Weekly: use year-week format (YYYY-WW)
+        const year = today.getFullYear();
+        const startOfYear = new Date(today.getFullYear(), 0, 1);
+        const days = Math.floor((today - startOfYear) / (24 * 60 * 60 * 1000));
+        const weekNumber = Math.ceil((days + startOfYear.getDay() + 1) / 7);
+        backupFileStem = `backup-${year}-W${weekNumber.toString().padStart(2, '0')}`;
       } else if (interval === 'monthly') {
-        // Monthly: create backup if last backup is 30 days or older
-        needsBackup = daysDiff >= 30;
+        // Monthly: use year-month format (YYYY-MM)
+        const year = today.getFullYear();
+        const month = String(today.getMonth() + 1).padStart(2, '0');
+        backupFileStem = `backup-${year}-${month}`;
       } else {
-        // Default to daily
-        needsBackup = daysDiff >= 1;
+        // Daily: use date format (YYYY-MM-DD)
+        const dateStr = today.toISOString().split('T')[0];
+        backupFileStem = `backup-${dateStr}`;
       }
-    }
-
-    if (needsBackup && settings.path) {
-      isBackupInProgress = true;
       
-      // Create auto backup (synchronous operation)
-      const backupResult = await db.createAutoBackup(backupPath);
-      
-      isBackupInProgress = false;
-      
-      if (!backupResult.success) {
-        console.error('❌ Failed to create auto backup:', backupResult.error);
+      // Check if backup file actually exists (not just in database), encrypted or not
+      const backupDir = settings.path || path.join(app.getPath('userData'), 'backups');
+      const backupFileExists = ['.db', '.encrypted'].some(extension => {
+        const filePath = path.join(backupDir, `${backupFileStem}${extension}`);
+        return fs.existsSync(filePath) && fs.statSync(filePath).size > 0;
+      });
+
+      // Check last backup date from database
+      const lastBackupDate = db.getLastBackupDate();
+
+      // Check if we need to create backup based on interval
+      let needsBackup = false;
+      if (!backupFileExists) {
+        // Backup file doesn't exist, create one
+        needsBackup = true;
+      } else if (!lastBackupDate) {
+        // No backup record in database, but file exists - create new one anyway
+        needsBackup = true;
       } else {
-        // Clean up old backups if count exceeds 15 (delete oldest 10 files)
-        try {
-          const cleanupResult = db.deleteOldBackupsWhenExceeds(15, 10, backupDir);
-          if (cleanupResult.success && cleanupResult.deletedCount > 0) {
-            console.log(`✅ Cleaned up ${cleanupResult.deletedCount} oldest backup(s) (threshold: 15, deleted: 10)`);
-          }
-        } catch (cleanupError) {
-          console.error('⚠️ Error cleaning up old backups:', cleanupError);
-          // Don't fail the backup process if cleanup fails
-        }
+        const lastBackup = new Date(lastBackupDate);
+        lastBackup.setHours(0, 0, 0, 0);
         
-        // Also clean up old renamed files (.old.timestamp) older than 7 days
-        try {
-          const renamedCleanupResult = await db.cleanupOldRenamedFiles(backupDir, 7);
-          if (renamedCleanupResult.success && renamedCleanupResult.deletedCount > 0) {
-            const sizeInMB = (renamedCleanupResult.sizeFreed / (1024 * 1024)).toFixed(2);
-            // Only log if significant cleanup happened (more than 10 files or 100MB)
-            if (renamedCleanupResult.deletedCount > 10 || renamedCleanupResult.sizeFreed > 100 * 1024 * 1024) {
-              console.log(`✅ Cleaned up ${renamedCleanupResult.deletedCount} old renamed file(s), freed ${sizeInMB} MB`);
-            } else if (process.env.NODE_ENV === 'development' || process.env.DEBUG) {
-              console.debug(`✅ Cleaned up ${renamedCleanupResult.deletedCount} old renamed file(s), freed ${sizeInMB} MB`);
-            }
-          }
-        } catch (renamedCleanupError) {
-          console.warn('⚠️ Error cleaning up old renamed files:', renamedCleanupError);
+        // Calculate days difference
+        const daysDiff = Math.floor((today - lastBackup) / (1000 * 60 * 60 * 24));
+        
+        // Check based on interval
+        if (interval === 'daily') {
+          // Daily: create backup if last backup is older than today
+          needsBackup = daysDiff >= 1;
+        } else if (interval === 'weekly') {
+          // Weekly: create backup if last backup is 7 days or older
+          needsBackup = daysDiff >= 7;
+        } else if (interval === 'monthly') {
+          // Monthly: create backup if last backup is 30 days or older
+          needsBackup = daysDiff >= 30;
+        } else {
+          // Default to daily
+          needsBackup = daysDiff >= 1;
         }
       }
-      
-      // Close database connection with proper checkpoint
-      if (db) {
+
+      if (needsBackup) {
+        await runAutoBackup(settings, 'exit', { fileStem: backupFileStem });
+      }
+    } else if (schedule.onExit) {
+      await runAutoBackup(settings, 'exit');
+    }
+
+    // Close database connection with proper checkpoint
+    try {
+      // Ensure checkpoint is done before closing
+      if (db.db && db.db.open) {
         try {
-          await db.ensureInitialized();
-          // Ensure checkpoint is done before closing
-          if (db.db && db.db.open) {
-            try {
-              db.checkpoint();
-            } catch (checkpointError) {
-              console.warn('[Main] Checkpoint before quit failed:', checkpointError.message);
-            }
-          }
-          db.close();
-        } catch (closeError) {
-          console.error('[Main] Error closing database:', closeError);
-          // Force close as last resort
-          try {
-            if (db && db.db) {
-              db.db.close();
-            }
-          } catch (forceCloseError) {
-            console.error('[Main] Force close also failed:', forceCloseError);
-          }
+          db.checkpoint();
+        } catch (checkpointError) {
+          console.warn('[Main] Checkpoint before quit failed:', checkpointError.message);
         }
       }
-      
-      // Now allow quit
-      app.exit(0);
-    } else {
-      // No backup needed, close database and quit
-      if (db) {
-        db.close();
+      db.close();
+    } catch (closeError) {
+      console.error('[Main] Error closing database:', closeError);
+      // Force close as last resort
+      try {
+        if (db && db.db) {
+          db.db.close();
+        }
+      } catch (forceCloseError) {
+        console.error('[Main] Force close also failed:', forceCloseError);
       }
-      app.exit(0);
     }
+    
+    // Now allow quit
+    app.exit(0);
   } catch (error) {
     console.error('❌ Error in auto backup on quit:', error);
     isBackupInProgress = false;
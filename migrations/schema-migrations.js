@@ -0,0 +1,695 @@
+/**
+ * Numbered Schema Migrations
+ *
+ * Each migration upgrades an existing database by one step and is recorded in the
+ * schema_migrations table once applied. DatabaseManager.runSchemaMigrations() runs
+ * the pending ones in order at startup, each inside its own transaction.
+ *
+ * Rules for adding a migration:
+ * - Append to the end with the next version number; never renumber or edit an applied one.
+ * - up(db) receives the better-sqlite3 connection and must not open its own transaction.
+ * - Migrations must be safe on databases that were upgraded by the old ad-hoc ALTER
+ *   blocks before schema_migrations existed, so check before adding or rebuilding.
+ */
+
+const { createSearchTables, rebuildSearchIndex } = require('../utils/search-index');
+
+function tableExists(db, table) {
+    return !!db.prepare(`SELECT name FROM sqlite_master WHERE type='table' AND name=?`).get(table);
+}
+
+function getColumnNames(db, table) {
+    return db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+}
+
+// Add a column if the table exists and does not have it yet.
+// Returns true when the column was added.
+function addColumnIfMissing(db, table, column, definition) {
+    if (!tableExists(db, table)) {
+        return false;
+    }
+    if (getColumnNames(db, table).includes(column)) {
+        return false;
+    }
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+}
+
+// Recreate a table with a new definition, copying the columns both versions share.
+// SQLite cannot drop columns or foreign keys, so this is the only way to remove them.
+function rebuildTable(db, table, createSql) {
+    const tempTable = `${table}_new`;
+    const oldColumns = getColumnNames(db, table);
+
+    db.exec(`DROP TABLE IF EXISTS ${tempTable}`);
+    db.exec(createSql.replace(`CREATE TABLE ${table}`, `CREATE TABLE ${tempTable}`));
+
+    const sharedColumns = getColumnNames(db, tempTable).filter(col => oldColumns.includes(col));
+    const columnList = sharedColumns.join(', ');
+    db.exec(`INSERT INTO ${tempTable} (${columnList}) SELECT ${columnList} FROM ${table}`);
+    db.exec(`DROP TABLE ${table}`);
+    db.exec(`ALTER TABLE ${tempTable} RENAME TO ${table}`);
+}
+
+// Monetary columns, stored as INTEGER cents since migration 14. DatabaseManager
+// converts them to and from EGP at its read/write methods.
+const MONEY_COLUMNS = {
+    products: ['smallestPrice', 'largestPrice'],
+    customers: ['openingBalance', 'balance'],
+    suppliers: ['openingBalance', 'balance'],
+    sales_invoices: [
+        'subtotal', 'taxAmount', 'shipping', 'discount', 'total', 'paid', 'remaining',
+        'oldBalance', 'oldBalancePlusTotal', 'newBalance', 'remainingWithOldBalance'
+    ],
+    sales_invoice_items: ['price', 'total'],
+    purchase_invoices: [
+        'subtotal', 'taxAmount', 'shipping', 'discount', 'total', 'paid', 'remaining',
+        'oldBalance', 'oldBalancePlusTotal', 'newBalance', 'remainingWithOldBalance'
+    ],
+    purchase_invoice_items: ['price', 'total'],
+    receipts: ['amount', 'oldBalance', 'newBalance'],
+    payments: ['amount', 'oldBalance', 'newBalance'],
+    returns: ['unitPrice', 'totalAmount', 'oldBalance', 'newBalance'],
+    fixed_assets: ['purchasePrice', 'currentValue'],
+    operating_expenses: ['amount'],
+    stock_movements: ['price']
+};
+
+// Money columns of a table that exist in this database
+function getMoneyColumns(db, table) {
+    if (!MONEY_COLUMNS[table] || !tableExists(db, table)) {
+        return [];
+    }
+    const columns = getColumnNames(db, table);
+    return MONEY_COLUMNS[table].filter(column => columns.includes(column));
+}
+
+// Date of each product's opening stock movement: the day it was created, or its earliest
+// document if that is older (see migration 11)
+function getOpeningStockDates(db) {
+    const documentDates = [
+        ['sales_invoice_items', 'sales_invoices', 'SELECT i.productId, d.date FROM sales_invoice_items i JOIN sales_invoices d ON d.id = i.invoiceId'],
+        ['purchase_invoice_items', 'purchase_invoices', 'SELECT i.productId, d.date FROM purchase_invoice_items i JOIN purchase_invoices d ON d.id = i.invoiceId'],
+        ['delivery_note_items', 'delivery_notes', 'SELECT i.productId, d.date FROM delivery_note_items i JOIN delivery_notes d ON d.id = i.deliveryNoteId'],
+        ['settlement_items', 'delivery_settlements', 'SELECT i.productId, d.date FROM settlement_items i JOIN delivery_settlements d ON d.id = i.settlementId'],
+        ['returns', 'returns', 'SELECT productId, date FROM returns'],
+        ['inventory_adjustments', 'inventory_adjustments', 'SELECT productId, date FROM inventory_adjustments']
+    ].filter(([itemsTable, documentsTable]) => tableExists(db, itemsTable) && tableExists(db, documentsTable))
+        .map(([, , sql]) => sql);
+    const dates = ['SELECT id AS productId, createdAt AS date FROM products', ...documentDates].join(' UNION ALL ');
+    return db.prepare(`
+        SELECT productId, MIN(substr(date, 1, 10)) as date FROM (${dates})
+        WHERE date IS NOT NULL AND date != ''
+        GROUP BY productId
+    `).all();
+}
+
+// Row count and SUM of every money column, used to verify the cents conversion
+function getMoneyTotals(db) {
+    const totals = {};
+    Object.keys(MONEY_COLUMNS).forEach(table => {
+        getMoneyColumns(db, table).forEach(column => {
+            totals[`${table}.${column}`] = db.prepare(
+                `SELECT COUNT(${column}) as count, COALESCE(SUM(${column}), 0) as total FROM ${table}`
+            ).get();
+        });
+    });
+    return totals;
+}
+
+// Scale the money values kept inside recycle_bin entries (row, child rows, balance effect)
+function scaleRecycleBinMoney(db, factor) {
+    if (!tableExists(db, 'recycle_bin')) {
+        return;
+    }
+    const scaleRow = (table, row) => {
+        (MONEY_COLUMNS[table] || []).forEach(column => {
+            if (row && row[column] !== null && row[column] !== undefined && row[column] !== '') {
+                row[column] = Math.round((parseFloat(row[column]) || 0) * factor);
+            }
+        });
+    };
+    const update = db.prepare('UPDATE recycle_bin SET data = ? WHERE id = ?');
+    db.prepare('SELECT id, tableName, data FROM recycle_bin').all().forEach(entry => {
+        let data;
+        try {
+            data = JSON.parse(entry.data);
+        } catch (error) {
+            return;
+        }
+        scaleRow(entry.tableName, data.row);
+        Object.entries(data.children || {}).forEach(([table, rows]) => (rows || []).forEach(row => scaleRow(table, row)));
+        if (data.effects && data.effects.balance && data.effects.balance.amount) {
+            data.effects.balance.amount = Math.round((parseFloat(data.effects.balance.amount) || 0) * factor);
+        }
+        update.run(JSON.stringify(data), entry.id);
+    });
+}
+
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 1,
+        name: 'users_profile_columns',
+        description: 'أعمدة البريد والنوع والحالة والصلاحيات للمستخدمين',
+        up(db) {
+            addColumnIfMissing(db, 'users', 'email', 'TEXT');
+            if (addColumnIfMissing(db, 'users', 'type', 'TEXT')) {
+                db.exec(`UPDATE users SET type = 'sales' WHERE type IS NULL`);
+            }
+            if (addColumnIfMissing(db, 'users', 'status', 'TEXT')) {
+                db.exec(`UPDATE users SET status = 'active' WHERE status IS NULL`);
+            }
+            if (addColumnIfMissing(db, 'users', 'permissions', 'TEXT')) {
+                db.exec(`UPDATE users SET permissions = '[]' WHERE permissions IS NULL`);
+            }
+            if (addColumnIfMissing(db, 'users', 'updatedAt', 'TEXT')) {
+                db.exec(`UPDATE users SET updatedAt = datetime('now') WHERE updatedAt IS NULL OR updatedAt = ''`);
+            }
+            addColumnIfMissing(db, 'users', 'lastLogin', 'TEXT');
+
+            // Very old databases have a NOT NULL fullName column that the app no longer writes
+            if (getColumnNames(db, 'users').includes('fullName')) {
+                db.exec(`UPDATE users SET fullName = COALESCE(NULLIF(username, ''), 'User') WHERE fullName IS NULL OR fullName = ''`);
+            }
+        }
+    },
+    {
+        version: 2,
+        name: 'created_by_columns',
+        description: 'عمود المنشئ (createdBy) لجميع الجداول',
+        up(db) {
+            const tables = [
+                'products', 'categories', 'customers', 'suppliers', 'sales_invoices',
+                'delivery_notes', 'delivery_settlements', 'purchase_invoices',
+                'receipts', 'payments', 'inventory_adjustments', 'returns',
+                'fixed_assets', 'operating_expenses'
+            ];
+            tables.forEach(table => addColumnIfMissing(db, table, 'createdBy', 'TEXT'));
+        }
+    },
+    {
+        version: 3,
+        name: 'customers_suppliers_notes_opening_balance',
+        description: 'الملاحظات والرصيد الافتتاحي للعملاء والموردين',
+        up(db) {
+            // Leftovers from interrupted table rebuilds in older versions
+            db.exec(`DROP TABLE IF EXISTS customers_new`);
+            db.exec(`DROP TABLE IF EXISTS suppliers_new`);
+
+            addColumnIfMissing(db, 'customers', 'notes', 'TEXT');
+            if (addColumnIfMissing(db, 'customers', 'openingBalance', 'INTEGER DEFAULT 0')) {
+                db.exec(`UPDATE customers SET openingBalance = 0 WHERE openingBalance IS NULL`);
+            }
+            addColumnIfMissing(db, 'suppliers', 'notes', 'TEXT');
+        }
+    },
+    {
+        version: 4,
+        name: 'returns_remove_entity_fk',
+        description: 'إعادة بناء جدول المرتجعات بدون قيد entityId وإضافة الأعمدة الناقصة',
+        up(db) {
+            if (!tableExists(db, 'returns')) {
+                return;
+            }
+
+            const returnsColumns = [
+                ['operationType', 'TEXT'],
+                ['returnType', 'TEXT'],
+                ['entityId', 'TEXT'],
+                ['entityType', 'TEXT'],
+                ['unitPrice', 'REAL'],
+                ['totalAmount', 'REAL'],
+                ['returnReason', 'TEXT'],
+                ['isDamaged', `TEXT DEFAULT 'false'`],
+                ['restoredToStock', `TEXT DEFAULT 'false'`],
+                ['updatedAt', 'TEXT'],
+                ['invoiceId', 'TEXT'],
+                ['invoiceType', 'TEXT'],
+                ['invoiceNumber', 'TEXT'],
+                ['userId', 'TEXT'],
+                ['restoreBalance', `TEXT DEFAULT 'false'`],
+                ['oldBalance', 'REAL'],
+                ['newBalance', 'REAL']
+            ];
+            returnsColumns.forEach(([column, definition]) => addColumnIfMissing(db, 'returns', column, definition));
+
+            // entityId can point at a customer or a supplier, so it must not carry a foreign key
+            const hasEntityIdFK = db.prepare(`PRAGMA foreign_key_list(returns)`).all().some(fk => fk.from === 'entityId');
+            if (hasEntityIdFK) {
+                rebuildTable(db, 'returns', `
+                    CREATE TABLE returns (
+                        id TEXT PRIMARY KEY,
+                        returnNumber TEXT UNIQUE NOT NULL,
+                        productId TEXT NOT NULL,
+                        date TEXT NOT NULL,
+                        operationType TEXT,
+                        returnType TEXT,
+                        entityId TEXT,
+                        entityType TEXT,
+                        invoiceId TEXT,
+                        invoiceType TEXT,
+                        invoiceNumber TEXT,
+                        quantity REAL NOT NULL,
+                        unitPrice REAL,
+                        totalAmount REAL,
+                        returnReason TEXT,
+                        isDamaged TEXT DEFAULT 'false',
+                        restoredToStock TEXT DEFAULT 'false',
+                        restoreBalance TEXT DEFAULT 'false',
+                        notes TEXT,
+                        oldBalance REAL,
+                        newBalance REAL,
+                        createdBy TEXT,
+                        createdAt TEXT NOT NULL,
+                        updatedAt TEXT,
+                        userId TEXT,
+                        FOREIGN KEY (productId) REFERENCES products(id),
+                        FOREIGN KEY (invoiceId) REFERENCES sales_invoices(id),
+                        FOREIGN KEY (invoiceId) REFERENCES purchase_invoices(id)
+                    )
+                `);
+            }
+        }
+    },
+    {
+        version: 5,
+        name: 'inventory_adjustments_stock_snapshot',
+        description: 'المخزون قبل وبعد التسوية والمستخدم في تسويات المخزون',
+        up(db) {
+            addColumnIfMissing(db, 'inventory_adjustments', 'userId', 'TEXT');
+            addColumnIfMissing(db, 'inventory_adjustments', 'oldStock', 'REAL');
+            addColumnIfMissing(db, 'inventory_adjustments', 'newStock', 'REAL');
+        }
+    },
+    {
+        version: 6,
+        name: 'invoice_balance_snapshots',
+        description: 'أعمدة نوع الفاتورة والاستحقاق والرصيد القديم والجديد في فواتير البيع والشراء',
+        up(db) {
+            addColumnIfMissing(db, 'purchase_invoices', 'dueDate', 'TEXT');
+            if (addColumnIfMissing(db, 'purchase_invoices', 'invoiceType', `TEXT DEFAULT 'normal'`)) {
+                db.exec(`UPDATE purchase_invoices SET invoiceType = 'normal' WHERE invoiceType IS NULL`);
+            }
+            addColumnIfMissing(db, 'purchase_invoice_items', 'category', 'TEXT');
+
+            addColumnIfMissing(db, 'sales_invoices', 'deliveryNoteId', 'TEXT');
+            addColumnIfMissing(db, 'sales_invoices', 'deliveryNoteNumber', 'TEXT');
+            if (addColumnIfMissing(db, 'sales_invoices', 'invoiceType', `TEXT DEFAULT 'normal'`)) {
+                db.exec(`UPDATE sales_invoices SET invoiceType = 'normal' WHERE invoiceType IS NULL`);
+            }
+
+            // oldBalance + remaining = newBalance; remainingWithOldBalance is kept separately for printing
+            ['sales_invoices', 'purchase_invoices'].forEach(table => {
+                addColumnIfMissing(db, table, 'oldBalance', 'REAL');
+                addColumnIfMissing(db, table, 'oldBalancePlusTotal', 'REAL');
+                addColumnIfMissing(db, table, 'newBalance', 'REAL');
+                addColumnIfMissing(db, table, 'remainingWithOldBalance', 'REAL');
+            });
+        }
+    },
+    {
+        version: 7,
+        name: 'payments_remove_type',
+        description: 'حذف عمود النوع من المدفوعات وإضافة الرصيد القديم والجديد للسندات',
+        up(db) {
+            if (tableExists(db, 'payments') && getColumnNames(db, 'payments').includes('type')) {
+                rebuildTable(db, 'payments', `
+                    CREATE TABLE payments (
+                        id TEXT PRIMARY KEY,
+                        paymentNumber TEXT UNIQUE NOT NULL,
+                        supplierId TEXT,
+                        toName TEXT,
+                        date TEXT NOT NULL,
+                        amount REAL NOT NULL,
+                        paymentMethod TEXT NOT NULL,
+                        notes TEXT,
+                        oldBalance REAL,
+                        newBalance REAL,
+                        createdBy TEXT,
+                        createdAt TEXT NOT NULL,
+                        updatedAt TEXT NOT NULL,
+                        FOREIGN KEY (supplierId) REFERENCES suppliers(id)
+                    )
+                `);
+            }
+
+            ['payments', 'receipts'].forEach(table => {
+                addColumnIfMissing(db, table, 'oldBalance', 'REAL');
+                addColumnIfMissing(db, table, 'newBalance', 'REAL');
+            });
+        }
+    },
+    {
+        version: 8,
+        name: 'delivery_notes_columns',
+        description: 'أمين المخزن في أذون الصرف وتصنيف الأصناف',
+        up(db) {
+            addColumnIfMissing(db, 'delivery_note_items', 'productCategory', `TEXT DEFAULT ''`);
+            if (addColumnIfMissing(db, 'delivery_notes', 'warehouseKeeperName', 'TEXT')) {
+                db.exec(`UPDATE delivery_notes SET warehouseKeeperName = salesRepName WHERE warehouseKeeperName IS NULL AND salesRepName IS NOT NULL`);
+            }
+        }
+    },
+    {
+        version: 9,
+        name: 'company_info_contacts',
+        description: 'بيانات التواصل والمندوب والمحاسب والمدير في إعدادات الشركة',
+        up(db) {
+            if (addColumnIfMissing(db, 'company_info', 'taxRate', 'REAL DEFAULT 0')) {
+                db.exec(`UPDATE company_info SET taxRate = 0 WHERE taxRate IS NULL`);
+            }
+            addColumnIfMissing(db, 'company_info', 'warehouseKeeperName', 'TEXT');
+            addColumnIfMissing(db, 'company_info', 'warehouseKeeperPhone', 'TEXT');
+            addColumnIfMissing(db, 'company_info', 'marketingWhatsApp', 'TEXT');
+            addColumnIfMissing(db, 'company_info', 'marketingMobile', 'TEXT');
+            addColumnIfMissing(db, 'company_info', 'marketingWorkingHours', 'TEXT');
+            [
+                'salesRepName', 'salesRepPhone', 'accountantName', 'accountantPhone',
+                'managerName', 'managerMobile'
+            ].forEach(column => addColumnIfMissing(db, 'company_info', column, `TEXT DEFAULT ''`));
+        }
+    },
+    {
+        version: 10,
+        name: 'misc_columns',
+        description: 'رقم المصروف والمستلم وبيانات التحقق من النسخ الاحتياطية',
+        up(db) {
+            addColumnIfMissing(db, 'operating_expenses', 'expenseNumber', 'TEXT');
+            addColumnIfMissing(db, 'operating_expenses', 'recipientName', 'TEXT');
+            addColumnIfMissing(db, 'backup_history', 'checksum', 'TEXT');
+            addColumnIfMissing(db, 'backup_history', 'encrypted', 'INTEGER DEFAULT 0');
+        }
+    },
+    {
+        version: 11,
+        name: 'stock_movements_opening_balances',
+        description: 'بدء سجل حركات المخزون من الرصيد الحالي لكل صنف',
+        up(db) {
+            // Only when the ledger is introduced on an existing database.
+            // Each product gets one movement with its stock at activation, dated at its creation or
+            // earliest document. That stock already nets out every earlier document, which has no
+            // movement of its own, so for dates before activation stock-at-date reports the stock
+            // at activation, not what was on hand then; it is exact from activation on.
+            const existing = db.prepare('SELECT COUNT(*) as count FROM stock_movements').get();
+            if (existing.count > 0) {
+                return;
+            }
+            const now = new Date().toISOString();
+            const openingDates = new Map(getOpeningStockDates(db).map(row => [row.productId, row.date]));
+            const insert = db.prepare(`
+                INSERT INTO stock_movements (id, productId, quantity, sourceType, notes, date, createdAt)
+                VALUES (?, ?, ?, 'opening_balance', 'رصيد افتتاحي عند تفعيل سجل حركات المخزون', ?, ?)
+            `);
+            db.prepare('SELECT id, stock FROM products WHERE stock IS NOT NULL AND stock != 0').all().forEach(product => {
+                insert.run(`opening_${product.id}`, product.id, product.stock, openingDates.get(product.id) || now.split('T')[0], now);
+            });
+        }
+    },
+    {
+        version: 12,
+        name: 'audit_log',
+        description: 'سجل مراجعة لكل إضافة وتعديل وحذف مع البيانات قبل وبعد التغيير',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS audit_log (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    userId TEXT,
+                    username TEXT,
+                    tableName TEXT NOT NULL,
+                    rowId TEXT,
+                    operation TEXT NOT NULL,
+                    documentNumber TEXT,
+                    beforeData TEXT,
+                    afterData TEXT,
+                    source TEXT,
+                    createdAt TEXT NOT NULL
+                )
+            `);
+            db.exec('CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(createdAt)');
+            db.exec('CREATE INDEX IF NOT EXISTS idx_audit_log_table_row ON audit_log(tableName, rowId)');
+            db.exec('CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(userId)');
+            db.exec('CREATE INDEX IF NOT EXISTS idx_audit_log_document ON audit_log(documentNumber)');
+        }
+    },
+    {
+        version: 13,
+        name: 'recycle_bin',
+        description: 'سلة المحذوفات: حفظ المستندات والبيانات المحذوفة مع إمكانية استعادتها',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS recycle_bin (
+                    id TEXT PRIMARY KEY,
+                    tableName TEXT NOT NULL,
+                    rowId TEXT NOT NULL,
+                    documentNumber TEXT,
+                    data TEXT NOT NULL,
+                    deletedBy TEXT,
+                    deletedByName TEXT,
+                    deletedAt TEXT NOT NULL,
+                    source TEXT,
+                    restoredAt TEXT,
+                    restoredBy TEXT
+                )
+            `);
+            db.exec('CREATE INDEX IF NOT EXISTS idx_recycle_bin_deleted ON recycle_bin(deletedAt)');
+            db.exec('CREATE INDEX IF NOT EXISTS idx_recycle_bin_table_row ON recycle_bin(tableName, rowId)');
+        }
+    },
+    {
+        version: 14,
+        name: 'money_integer_cents',
+        description: 'تحويل جميع المبالغ المالية إلى قروش (أعداد صحيحة) مع التحقق من تطابق الإجماليات',
+        up(db) {
+            // Databases converted by the old REAL_to_INTEGER script already hold cents
+            // (that script rebuilt sales_invoices with an INTEGER total column)
+            const totalColumn = tableExists(db, 'sales_invoices')
+                ? db.prepare('PRAGMA table_info(sales_invoices)').all().find(col => col.name === 'total')
+                : null;
+            if (totalColumn && String(totalColumn.type).toUpperCase() === 'INTEGER') {
+                return;
+            }
+
+            // ROUND(x, 6) first drops binary noise (1.005 * 100 = 100.49999999999999), as egpToCents does.
+            // Values are converted in place: changing a declared column type needs a table
+            // rebuild, and dropping a parent table with foreign keys on would cascade to
+            // its child rows. New databases get INTEGER columns from createTables().
+            const before = getMoneyTotals(db);
+            Object.keys(MONEY_COLUMNS).forEach(table => {
+                const columns = getMoneyColumns(db, table);
+                if (columns.length === 0) {
+                    return;
+                }
+                db.exec(`UPDATE ${table} SET ${columns.map(column =>
+                    `${column} = CASE WHEN ${column} IS NULL THEN NULL ELSE CAST(ROUND(ROUND(${column} * 100, 6)) AS INTEGER) END`
+                ).join(', ')}`);
+            });
+            scaleRecycleBinMoney(db, 100);
+
+            // Totals after must equal totals before (each value moves by at most half a cent)
+            const after = getMoneyTotals(db);
+            Object.entries(before).forEach(([key, { count, total }]) => {
+                const converted = after[key];
+                if (converted.count !== count || Math.abs(converted.total - total * 100) > count * 0.5 + 0.000001) {
+                    throw new Error(`Money totals do not match after conversion (${key}: ${total} -> ${converted.total / 100})`);
+                }
+            });
+            console.log(`[Migration] Converted ${Object.keys(before).length} money columns to cents, totals verified`);
+        }
+    },
+    {
+        version: 15,
+        name: 'list_search_indexes',
+        description: 'فهارس لقوائم العملاء والموردين والمنتجات والسندات (ترتيب وتقسيم الصفحات في قاعدة البيانات)',
+        up(db) {
+            // Default sort of the paginated list screens (db-search)
+            db.exec('CREATE INDEX IF NOT EXISTS idx_customers_created ON customers(createdAt)');
+            db.exec('CREATE INDEX IF NOT EXISTS idx_suppliers_created ON suppliers(createdAt)');
+            db.exec('CREATE INDEX IF NOT EXISTS idx_products_created ON products(createdAt)');
+            db.exec('CREATE INDEX IF NOT EXISTS idx_receipts_date_created ON receipts(date, createdAt)');
+            db.exec('CREATE INDEX IF NOT EXISTS idx_payments_date_created ON payments(date, createdAt)');
+            // Customer status filter
+            db.exec('CREATE INDEX IF NOT EXISTS idx_customers_status ON customers(status)');
+        }
+    },
+    {
+        version: 16,
+        name: 'global_search_index',
+        description: 'فهرس البحث الشامل (FTS5) للمنتجات والعملاء والموردين والفواتير والسندات وأذون الصرف والمصروفات',
+        up(db) {
+            createSearchTables(db);
+            const count = rebuildSearchIndex(db);
+            console.log(`[Migration] Indexed ${count} records for global search`);
+        }
+    },
+    {
+        version: 17,
+        name: 'backup_verification',
+        description: 'نتيجة التحقق من كل نسخة احتياطية باستعادة تجريبية',
+        up(db) {
+            addColumnIfMissing(db, 'backup_history', 'verificationStatus', 'TEXT');
+            addColumnIfMissing(db, 'backup_history', 'verifiedAt', 'TEXT');
+            addColumnIfMissing(db, 'backup_history', 'verificationDetails', 'TEXT');
+        }
+    },
+    {
+        version: 18,
+        name: 'backup_copies',
+        description: 'نسخ النسخ الاحتياطية إلى وجهات إضافية (قرص خارجي أو مجلد شبكة) وحالة كل وجهة',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS backup_copies (
+                    id TEXT PRIMARY KEY,
+                    backupPath TEXT NOT NULL,
+                    destinationId TEXT NOT NULL,
+                    copyPath TEXT,
+                    status TEXT NOT NULL,
+                    error TEXT,
+                    copiedAt TEXT NOT NULL
+                )
+            `);
+            db.exec('CREATE INDEX IF NOT EXISTS idx_backup_copies_backup ON backup_copies(backupPath)');
+            db.exec('CREATE INDEX IF NOT EXISTS idx_backup_copies_destination ON backup_copies(destinationId)');
+        }
+    },
+    {
+        version: 19,
+        name: 'backup_runs',
+        description: 'سجل تشغيل النسخ الاحتياطي المجدول (التلقائي وعند الإغلاق والتعويض عند بدء التشغيل)',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS backup_runs (
+                    id TEXT PRIMARY KEY,
+                    trigger TEXT NOT NULL,
+                    scheduledFor TEXT,
+                    startedAt TEXT NOT NULL,
+                    finishedAt TEXT,
+                    status TEXT NOT NULL,
+                    backupPath TEXT,
+                    error TEXT,
+                    dismissedAt TEXT
+                )
+            `);
+            db.exec('CREATE INDEX IF NOT EXISTS idx_backup_runs_started ON backup_runs(startedAt)');
+        }
+    },
+    {
+        version: 20,
+        name: 'maintenance_runs',
+        description: 'سجل صيانة قاعدة البيانات (فحص السلامة ودمج WAL والضغط وتحديث الإحصاءات)',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS maintenance_runs (
+                    id TEXT PRIMARY KEY,
+                    task TEXT NOT NULL,
+                    trigger TEXT NOT NULL,
+                    startedAt TEXT NOT NULL,
+                    finishedAt TEXT,
+                    status TEXT NOT NULL,
+                    details TEXT,
+                    error TEXT,
+                    username TEXT
+                )
+            `);
+            db.exec('CREATE INDEX IF NOT EXISTS idx_maintenance_runs_task ON maintenance_runs(task, startedAt)');
+        }
+    },
+    {
+        version: 21,
+        name: 'party_opening_balances',
+        description: 'حفظ الرصيد الافتتاحي لكل عميل ومورد لفحص تطابق الأرصدة مع المستندات',
+        up(db) {
+            // The pages only wrote the initial balance to the balance column. Take it from the
+            // record's first audit entry, or else treat what the documents do not explain as opening.
+            const parties = [
+                {
+                    table: 'customers',
+                    documents: `
+                        COALESCE((SELECT SUM(remaining) FROM sales_invoices WHERE customerId = customers.id), 0)
+                        - COALESCE((SELECT SUM(amount) FROM receipts WHERE customerId = customers.id), 0)
+                        - COALESCE((SELECT SUM(totalAmount) FROM returns
+                            WHERE entityId = customers.id AND returnType = 'from_customer' AND restoreBalance = 'true'), 0)`
+                },
+                {
+                    table: 'suppliers',
+                    documents: `
+                        COALESCE((SELECT SUM(remaining) FROM purchase_invoices WHERE supplierId = suppliers.id), 0)
+                        - COALESCE((SELECT SUM(amount) FROM payments WHERE supplierId = suppliers.id), 0)
+                        - COALESCE((SELECT SUM(totalAmount) FROM returns
+                            WHERE entityId = suppliers.id AND COALESCE(returnType, '') != 'from_customer' AND restoreBalance = 'true'), 0)`
+                }
+            ];
+            parties.forEach(({ table, documents }) => {
+                // Audit snapshots are in EGP
+                db.prepare(`
+                    UPDATE ${table}
+                    SET openingBalance = COALESCE(
+                        (SELECT CAST(ROUND(json_extract(afterData, '$.balance') * 100) AS INTEGER)
+                            FROM audit_log
+                            WHERE tableName = '${table}' AND rowId = ${table}.id AND operation = 'insert'
+                            ORDER BY id LIMIT 1),
+                        CAST(ROUND(COALESCE(balance, 0) - (${documents})) AS INTEGER)
+                    )
+                    WHERE COALESCE(openingBalance, 0) = 0
+                `).run();
+            });
+        }
+    },
+    {
+        version: 22,
+        name: 'consistency_corrections',
+        description: 'سجل تصحيحات الأرصدة والمخزون من فحص تطابق البيانات',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS consistency_corrections (
+                    id TEXT PRIMARY KEY,
+                    entityType TEXT NOT NULL,
+                    entityId TEXT NOT NULL,
+                    entityName TEXT,
+                    field TEXT NOT NULL,
+                    details TEXT,
+                    username TEXT,
+                    createdAt TEXT NOT NULL
+                )
+            `);
+            db.exec('CREATE INDEX IF NOT EXISTS idx_consistency_corrections_created ON consistency_corrections(createdAt)');
+        }
+    },
+    {
+        version: 23,
+        name: 'login_attempts',
+        description: 'سجل محاولات تسجيل الدخول (الناجحة والفاشلة) لإيقاف الدخول مؤقتاً بعد المحاولات الفاشلة المتكررة',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS login_attempts (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    username TEXT NOT NULL,
+                    userId TEXT,
+                    success INTEGER NOT NULL,
+                    reason TEXT,
+                    clientName TEXT,
+                    createdAt TEXT NOT NULL
+                )
+            `);
+            db.exec('CREATE INDEX IF NOT EXISTS idx_login_attempts_username ON login_attempts(username COLLATE NOCASE, createdAt)');
+        }
+    },
+    {
+        version: 24,
+        name: 'consistency_corrections_audit',
+        description: 'ربط كل تصحيح من فحص تطابق البيانات بالمستخدم والصفحة وقيد سجل التدقيق الخاص به',
+        up(db) {
+            addColumnIfMissing(db, 'consistency_corrections', 'userId', 'TEXT');
+            addColumnIfMissing(db, 'consistency_corrections', 'source', 'TEXT');
+            addColumnIfMissing(db, 'consistency_corrections', 'auditLogId', 'INTEGER');
+        }
+    }
+];
+
+module.exports = {
+    SCHEMA_MIGRATIONS,
+    MONEY_COLUMNS,
+    tableExists,
+    getColumnNames,
+    addColumnIfMissing,
+    rebuildTable
+};
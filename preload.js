@@ -1,5 +1,13 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
+// LAN client mode: database and backup channels go to the host PC through the main process
+let lanRouting = { mode: 'standalone', channels: [] };
+try {
+  lanRouting = ipcRenderer.sendSync('lan-get-routing') || lanRouting;
+} catch (error) {
+  console.error('Error reading LAN routing:', error);
+}
+
 // Helper function to safely invoke IPC methods
 function safeInvoke(method, ...args) {
   try {
@@ -8,8 +16,11 @@ function safeInvoke(method, ...args) {
       console.error(`IPC renderer not available for method: ${method}`);
       return Promise.resolve({ success: false, error: 'IPC renderer not available' });
     }
-    
-    return ipcRenderer.invoke(method, ...args).catch(error => {
+
+    const invocation = lanRouting.mode === 'client' && lanRouting.channels.includes(method)
+      ? ipcRenderer.invoke('lan-invoke', method, args)
+      : ipcRenderer.invoke(method, ...args);
+    return invocation.catch(error => {
       console.error(`Error in IPC invoke ${method}:`, error);
       // Return error in consistent format
       return { success: false, error: error.message || String(error) };
@@ -44,33 +55,106 @@ try {
     maximizeWindow: () => safeSend('maximize-window'),
     closeWindow: () => safeSend('close-window'),
     sendLoginSuccess: (userData) => safeSend('login-success', userData),
+    logout: () => safeSend('logout'),
     
     // Database API
     dbInsert: (table, data) => safeInvoke('db-insert', table, data),
-    dbUpdate: (table, id, data) => safeInvoke('db-update', table, id, data),
+    dbUpdate: (table, id, data, expectedUpdatedAt = null) => safeInvoke('db-update', table, id, data, expectedUpdatedAt),
     dbDelete: (table, id) => safeInvoke('db-delete', table, id),
     dbGet: (table, id) => safeInvoke('db-get', table, id),
     dbGetAll: (table, where = '', params = []) => safeInvoke('db-get-all', table, where, params),
     dbQuery: (sql, params = []) => safeInvoke('db-query', sql, params),
-    
+    dbSearch: (table, options = {}) => safeInvoke('db-search', table, options),
+    globalSearch: (text, options = {}) => safeInvoke('global-search', text, options),
+    onDataChanged: (callback) => {
+      try {
+        ipcRenderer.on('data-changed', (event, change) => callback(change));
+      } catch (error) {
+        console.error('Error setting up data-changed listener:', error);
+      }
+    },
+
+    // Document Posting API (atomic, runs in main process)
+    salesInvoicePost: (invoiceData, items) => safeInvoke('sales-invoice-post', invoiceData, items),
+    purchaseInvoicePost: (invoiceData, items) => safeInvoke('purchase-invoice-post', invoiceData, items),
+    purchaseInvoiceEdit: (invoiceId, invoiceData, items) => safeInvoke('purchase-invoice-edit', invoiceId, invoiceData, items),
+    purchaseInvoiceDelete: (invoiceId) => safeInvoke('purchase-invoice-delete', invoiceId),
+    inventoryAdjustmentPost: (adjustmentData) => safeInvoke('inventory-adjustment-post', adjustmentData),
+    returnPost: (returnData) => safeInvoke('return-post', returnData),
+    deliverySettlementPost: (settlementData, items) => safeInvoke('delivery-settlement-post', settlementData, items),
+
+    // Stock Movements Ledger API
+    stockMovementsGet: (productId, dateFrom = null, dateTo = null) => safeInvoke('stock-movements-get', productId, dateFrom, dateTo),
+    stockGetAtDate: (productId, date) => safeInvoke('stock-get-at-date', productId, date),
+    stockRebuild: (productId = null) => safeInvoke('stock-rebuild', productId),
+
+    // Audit Log API
+    auditLogSearch: (filters = {}) => safeInvoke('audit-log-search', filters),
+
+    // Recycle Bin API
+    recycleBinDelete: (table, id) => safeInvoke('recycle-bin-delete', table, id),
+    recycleBinList: (filters = {}) => safeInvoke('recycle-bin-list', filters),
+    recycleBinRestore: (entryId) => safeInvoke('recycle-bin-restore', entryId),
+    recycleBinPurge: (entryId) => safeInvoke('recycle-bin-purge', entryId),
+
+    // Record Import API (products, customers and suppliers from Excel / CSV)
+    recordsImportReadFile: () => safeInvoke('records-import-read-file'),
+    recordsImport: (entity, rows, mapping, options = {}) => safeInvoke('records-import', entity, rows, mapping, options),
+
     // Database Path API
     dbGetPath: () => safeInvoke('db-get-path'),
     dbOpenFolder: () => safeInvoke('db-open-folder'),
     
     // Backup API
     backupCreate: (backupType = 'manual') => safeInvoke('backup-create', backupType),
-    backupRestore: (backupPath = null) => safeInvoke('backup-restore', backupPath),
+    backupRestore: (backupPath = null, passphrase = null) => safeInvoke('backup-restore', backupPath, passphrase),
     backupGetHistory: (limit = 10) => safeInvoke('backup-get-history', limit),
+    backupVerify: (backupPath, passphrase = null) => safeInvoke('backup-verify', backupPath, passphrase),
+    backupBrowseOpen: (backupPath, passphrase = null) => safeInvoke('backup-browse-open', backupPath, passphrase),
+    backupBrowseDiff: (browseId, table, options = {}) => safeInvoke('backup-browse-diff', browseId, table, options),
+    backupBrowseRestore: (browseId, table, ids) => safeInvoke('backup-browse-restore', browseId, table, ids),
+    backupBrowseClose: (browseId) => safeInvoke('backup-browse-close', browseId),
+    dataExport: () => safeInvoke('data-export'),
+    dataExportSave: (bundle, format = 'json') => safeInvoke('data-export-save', bundle, format),
+    dataImportReadFile: () => safeInvoke('data-import-read-file'),
+    dataImport: (bundle, options = {}) => safeInvoke('data-import', bundle, options),
     backupGetPath: () => safeInvoke('backup-get-path'),
     backupSetAutoSettings: (settings) => safeInvoke('backup-set-auto-settings', settings),
     backupGetAutoSettings: () => safeInvoke('backup-get-auto-settings'),
+    backupPreviewRetention: (retention) => safeInvoke('backup-preview-retention', retention),
+    backupGetMirrorStatus: () => safeInvoke('backup-get-mirror-status'),
+    backupMirrorNow: () => safeInvoke('backup-mirror-now'),
+    backupGetRuns: (limit = 50) => safeInvoke('backup-get-runs', limit),
+    getSystemAlerts: () => safeInvoke('system-get-alerts'),
+    dismissSystemAlert: (alertId) => safeInvoke('system-dismiss-alert', alertId),
     backupSelectPath: () => safeInvoke('backup-select-path'),
     backupDisableAuto: () => safeInvoke('backup-disable-auto'),
+    backupGetEncryption: () => safeInvoke('backup-get-encryption'),
+    backupSetEncryption: (settings) => safeInvoke('backup-set-encryption', settings),
+
+    // Database Maintenance API
+    dbHealthGet: (limit = 30) => safeInvoke('db-health-get', limit),
+    dbMaintenanceRun: (tasks) => safeInvoke('db-maintenance-run', tasks),
+    dbMaintenanceSetSettings: (settings) => safeInvoke('db-maintenance-set-settings', settings),
+    consistencyCheck: () => safeInvoke('consistency-check'),
+    consistencyApply: (selection) => safeInvoke('consistency-apply', selection),
+
+    // LAN Mode API
+    lanGetStatus: () => safeInvoke('lan-get-status'),
+    onLanStatus: (callback) => {
+      try {
+        ipcRenderer.on('lan-status', (event, status) => callback(status));
+      } catch (error) {
+        console.error('Error setting up lan-status listener:', error);
+      }
+    },
+    lanGetSettings: () => safeInvoke('lan-get-settings'),
+    lanSaveSettings: (settings) => safeInvoke('lan-save-settings', settings),
+    lanGeneratePairingCode: () => safeInvoke('lan-generate-pairing-code'),
+    lanTestConnection: (settings) => safeInvoke('lan-test-connection', settings),
     
     // Migration API
-    runMigration: () => safeInvoke('run-migration'),
-    rollbackMigration: () => safeInvoke('rollback-migration'),
-    testMigration: () => safeInvoke('test-migration'),
+    schemaGetStatus: () => safeInvoke('schema-get-status'),
     
     // Save Invoice API
     saveInvoiceToFile: (invoiceContent, defaultFileName) => safeInvoke('save-invoice-to-file', invoiceContent, defaultFileName),
@@ -79,11 +163,7 @@ try {
     openPrintWindow: (htmlContent, windowTitle) => safeInvoke('open-print-window', htmlContent, windowTitle),
     
     // Get Asset Path API
-    getAssetPath: (assetName) => safeInvoke('get-asset-path', assetName),
-    
-    // Password Hashing API
-    hashPassword: (password) => safeInvoke('hash-password', password),
-    comparePassword: (password, hashedPassword) => safeInvoke('compare-password', password, hashedPassword)
+    getAssetPath: (assetName) => safeInvoke('get-asset-path', assetName)
   });
 } catch (error) {
   console.error('Error exposing electronAPI:', error);
@@ -84,8 +84,55 @@ let supplierStatementData = null; // Store statement data for PDF/Print
 let customerStatementItems = [];
 let supplierStatementItems = [];
 let productMovementItems = [];
+
+// Stock ledger source types -> movement badge class and label
+const STOCK_MOVEMENT_TYPES = {
+    opening_balance: { type: 'set', label: 'رصيد افتتاحي' },
+    purchase_invoice: { type: 'purchase', label: 'مشتريات' },
+    sales_invoice: { type: 'sale', label: 'مبيعات' },
+    inventory_adjustment: { type: 'adjustment', label: 'جرد' },
+    return: { type: 'return', label: 'مرتجع' },
+    delivery_settlement: { type: 'settlement', label: 'تسوية إذن صرف' },
+    manual: { type: 'adjustment', label: 'تعديل يدوي' }
+};
 let deliveryNotesSettlementsItems = [];
 let operatingExpensesItems = [];
+let auditLogItems = [];
+
+// Audit log labels
+const AUDIT_OPERATION_LABELS = {
+    insert: 'إضافة',
+    update: 'تعديل',
+    delete: 'حذف',
+    restore: 'استعادة',
+    purge: 'حذف نهائي'
+};
+
+const AUDIT_TABLE_LABELS = {
+    sales_invoices: 'فواتير المبيعات',
+    sales_invoice_items: 'بنود فواتير المبيعات',
+    purchase_invoices: 'فواتير المشتريات',
+    purchase_invoice_items: 'بنود فواتير المشتريات',
+    receipts: 'سندات القبض',
+    payments: 'سندات الصرف',
+    products: 'المنتجات',
+    categories: 'الأصناف',
+    customers: 'العملاء',
+    suppliers: 'الموردين',
+    delivery_notes: 'أذون الصرف',
+    delivery_note_items: 'بنود أذون الصرف',
+    delivery_settlements: 'التسويات',
+    settlement_items: 'بنود التسويات',
+    inventory_adjustments: 'تسويات المخزون',
+    returns: 'المرتجعات',
+    operating_expenses: 'المصاريف التشغيلية',
+    fixed_assets: 'الأصول الثابتة',
+    users: 'المستخدمين',
+    company_info: 'بيانات الشركة'
+};
+
+// Fields that change on every save and are not shown as changes
+const AUDIT_IGNORED_FIELDS = ['updatedAt'];
 
 // Pagination variables
 let currentPage = 1;
@@ -102,7 +149,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     const tabParam = urlParams.get('tab');
     if (tabParam) {
         // Valid tab IDs
-        const validTabs = ['customer-statement', 'supplier-statement', 'product-movement', 'delivery-notes-settlements', 'operating-expenses'];
+        const validTabs = ['customer-statement', 'supplier-statement', 'product-movement', 'delivery-notes-settlements', 'operating-expenses', 'audit-log'];
         if (validTabs.includes(tabParam)) {
             // Switch to the specified tab
             setTimeout(() => {
@@ -176,6 +223,7 @@ async function loadInitialData() {
         }
         
         populateSelects();
+        populateAuditFilters();
     } catch (error) {
         console.error('Error loading initial data:', error);
     }
@@ -359,6 +407,20 @@ function initializeEventListeners() {
     document.getElementById('saveOperatingExpensesBtn')?.addEventListener('click', () => saveReport('operating-expenses'));
     document.getElementById('printOperatingExpensesBtn')?.addEventListener('click', () => printReport('operating-expenses'));
     
+    // Audit Log
+    document.getElementById('loadAuditLogBtn')?.addEventListener('click', loadAuditLog);
+    document.getElementById('auditDocumentNumber')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            loadAuditLog();
+        }
+    });
+    document.getElementById('auditLogBody')?.addEventListener('click', (e) => {
+        const detailsBtn = e.target.closest('[data-audit-id]');
+        if (detailsBtn) {
+            toggleAuditDetails(detailsBtn.dataset.auditId);
+        }
+    });
+    
     // Pagination controls
     document.getElementById('prevPageBtn')?.addEventListener('click', async () => {
         if (currentPage > 1) {
@@ -535,9 +597,9 @@ async function loadCustomerStatement() {
         
         // Calculate summary - استخدام القيم المحفوظة
         const calculatedOpeningBalance = statement.length > 0 ? statement[0].oldBalance : 0;
-        const totalSales = statement.filter(s => s.type === 'فاتورة مبيعات').reduce((sum, s) => sum + s.invoiceAmount, 0);
-        const totalReceipts = statement.filter(s => s.type === 'سند قبض').reduce((sum, s) => sum + s.paid, 0);
-        const totalReturns = statement.filter(s => s.type === 'مرتجع من عميل').reduce((sum, s) => sum + s.paid, 0);
+        const totalSales = Money.sum(statement.filter(s => s.type === 'فاتورة مبيعات'), s => s.invoiceAmount);
+        const totalReceipts = Money.sum(statement.filter(s => s.type === 'سند قبض'), s => s.paid);
+        const totalReturns = Money.sum(statement.filter(s => s.type === 'مرتجع من عميل'), s => s.paid);
         const closingBalance = statement.length > 0 ? statement[statement.length - 1].newBalance : calculatedOpeningBalance;
         const firstDate = dateFrom || (statement.length > 0 ? statement[0].date : new Date().toISOString().split('T')[0]);
         const lastDate = dateTo || (statement.length > 0 ? statement[statement.length - 1].date : new Date().toISOString().split('T')[0]);
@@ -730,9 +792,9 @@ async function loadSupplierStatement() {
         
         // Calculate summary - استخدام القيم المحفوظة
         const calculatedOpeningBalance = statement.length > 0 ? statement[0].oldBalance : 0;
-        const totalPurchases = statement.filter(s => s.type === 'فاتورة مشتريات').reduce((sum, s) => sum + s.invoiceAmount, 0);
-        const totalPayments = statement.filter(s => s.type === 'سند صرف').reduce((sum, s) => sum + s.paid, 0);
-        const totalReturns = statement.filter(s => s.type === 'مرتجع إلى مورد').reduce((sum, s) => sum + s.paid, 0);
+        const totalPurchases = Money.sum(statement.filter(s => s.type === 'فاتورة مشتريات'), s => s.invoiceAmount);
+        const totalPayments = Money.sum(statement.filter(s => s.type === 'سند صرف'), s => s.paid);
+        const totalReturns = Money.sum(statement.filter(s => s.type === 'مرتجع إلى مورد'), s => s.paid);
         const closingBalance = statement.length > 0 ? statement[statement.length - 1].newBalance : calculatedOpeningBalance;
         const firstDate = dateFrom || (statement.length > 0 ? statement[0].date : new Date().toISOString().split('T')[0]);
         const lastDate = dateTo || (statement.length > 0 ? statement[statement.length - 1].date : new Date().toISOString().split('T')[0]);
@@ -796,233 +858,34 @@ async function loadProductMovement() {
             return;
         }
         
-        const movements = [];
-        
-        // Load purchase invoices
-        if (window.electronAPI && window.electronAPI.dbGetAll) {
-            let query = '';
-            let params = [];
-            if (dateFrom) {
-                query += 'date >= ?';
-                params.push(dateFrom);
-            }
-            if (dateTo) {
-                if (query) query += ' AND ';
-                query += 'date <= ?';
-                params.push(dateTo);
-            }
-            
-            const purchaseInvoices = await window.electronAPI.dbGetAll('purchase_invoices', query, params) || [];
-            
-            // Optimized: Load all items in one query instead of per-invoice
-            let purchaseItems = [];
-            if (purchaseInvoices.length > 0 && window.electronAPI.dbQuery) {
-                const invoiceIds = purchaseInvoices.map(inv => inv.id);
-                const placeholders = invoiceIds.map(() => '?').join(',');
-                purchaseItems = await window.electronAPI.dbQuery(
-                    `SELECT * FROM purchase_invoice_items WHERE invoiceId IN (${placeholders}) AND productId = ?`,
-                    [...invoiceIds, productId]
-                ) || [];
-            }
-            
-            // Create a map for faster lookup
-            const purchaseItemsMap = {};
-            purchaseItems.forEach(item => {
-                if (!purchaseItemsMap[item.invoiceId]) {
-                    purchaseItemsMap[item.invoiceId] = [];
-                }
-                purchaseItemsMap[item.invoiceId].push(item);
-            });
-            
-            for (const invoice of purchaseInvoices) {
-                const items = purchaseItemsMap[invoice.id] || [];
-                for (const item of items) {
-                    movements.push({
-                        date: invoice.date,
-                        createdAt: invoice.createdAt || invoice.date,
-                        type: 'purchase',
-                        typeLabel: 'مشتريات',
-                        entityType: 'purchase_invoice',
-                        entityId: invoice.id,
-                        refNumber: invoice.invoiceNumber || invoice.id,
-                        productName: item.productName || product.name,
-                        category: product.category || 'غير محدد',
-                        unit: item.unit === 'smallest' ? 'صغرى' : 'كبرى',
-                        quantity: parseFloat(item.quantity || 0),
-                        price: parseFloat(item.price || 0),
-                        total: parseFloat(item.total || 0),
-                        balanceBefore: 0, // Will calculate
-                        balanceAfter: 0,
-                        user: getUserName(invoice.userId)
-                    });
-                }
-            }
-            
-            // Load sales invoices
-            const salesInvoices = await window.electronAPI.dbGetAll('sales_invoices', query, params) || [];
-            
-            // Optimized: Load all items in one query instead of per-invoice
-            let salesItems = [];
-            if (salesInvoices.length > 0 && window.electronAPI.dbQuery) {
-                const invoiceIds = salesInvoices.map(inv => inv.id);
-                const placeholders = invoiceIds.map(() => '?').join(',');
-                salesItems = await window.electronAPI.dbQuery(
-                    `SELECT * FROM sales_invoice_items WHERE invoiceId IN (${placeholders}) AND productId = ?`,
-                    [...invoiceIds, productId]
-                ) || [];
-            }
-            
-            // Create a map for faster lookup
-            const salesItemsMap = {};
-            salesItems.forEach(item => {
-                if (!salesItemsMap[item.invoiceId]) {
-                    salesItemsMap[item.invoiceId] = [];
-                }
-                salesItemsMap[item.invoiceId].push(item);
-            });
-            
-            for (const invoice of salesInvoices) {
-                const items = salesItemsMap[invoice.id] || [];
-                for (const item of items) {
-                    movements.push({
-                        date: invoice.date,
-                        createdAt: invoice.createdAt || invoice.date,
-                        type: 'sale',
-                        typeLabel: 'مبيعات',
-                        entityType: 'sales_invoice',
-                        entityId: invoice.id,
-                        refNumber: invoice.invoiceNumber || invoice.id,
-                        productName: item.productName || product.name,
-                        category: product.category || 'غير محدد',
-                        unit: item.unit === 'smallest' ? 'صغرى' : 'كبرى',
-                        quantity: -parseFloat(item.quantity || 0),
-                        price: parseFloat(item.price || 0),
-                        total: parseFloat(item.total || 0),
-                        balanceBefore: 0, // Will calculate
-                        balanceAfter: 0,
-                        user: getUserName(invoice.userId)
-                    });
-                }
-            }
-            
-            // Load inventory adjustments
-            query = 'productId = ?';
-            params = [productId];
-            if (dateFrom) {
-                query += ' AND date >= ?';
-                params.push(dateFrom);
-            }
-            if (dateTo) {
-                query += ' AND date <= ?';
-                params.push(dateTo);
-            }
-            
-            const adjustments = await window.electronAPI.dbGetAll('inventory_adjustments', query, params) || [];
-            
-            for (const adj of adjustments) {
-                let quantity = parseFloat(adj.quantity || 0);
-                
-                if (adj.type === 'increase') {
-                    // Keep positive for increase
-                } else if (adj.type === 'decrease') {
-                    quantity = -quantity;
-                } else if (adj.type === 'set') {
-                    // Keep as is for set
-                }
-                
-                movements.push({
-                    date: adj.date,
-                    createdAt: adj.createdAt || adj.date,
-                    type: 'adjustment',
-                    typeLabel: 'جرد',
-                    entityType: 'inventory_adjustment',
-                    entityId: adj.id,
-                    refNumber: adj.adjustmentNumber || adj.id,
-                    productName: product.name,
-                    category: product.category || 'غير محدد',
-                    unit: 'صغرى',
-                    quantity: quantity,
-                    price: 0,
-                    total: 0,
-                    balanceBefore: 0, // Will calculate
-                    balanceAfter: 0,
-                    user: getUserName(adj.userId)
-                });
-            }
-
-            // Load returns for this product (only those that restore to stock)
-            let returnQuery = 'productId = ? AND restoredToStock = ?';
-            let returnParams = [productId, 'true'];
-            if (dateFrom) {
-                returnQuery += ' AND date >= ?';
-                returnParams.push(dateFrom);
-            }
-            if (dateTo) {
-                returnQuery += ' AND date <= ?';
-                returnParams.push(dateTo);
-            }
-            
-            const returns = await window.electronAPI.dbGetAll('returns', returnQuery, returnParams) || [];
-            
-            for (const ret of returns) {
-                // Calculate quantity based on return type:
-                // - Return from customer: positive (increases inventory - we get product back)
-                // - Return to supplier: negative (decreases inventory - we return product to supplier)
-                let quantity = parseFloat(ret.quantity || 0);
-                if (ret.returnType === 'to_supplier') {
-                    quantity = -quantity; // Negative for supplier returns (decreases inventory)
-                }
-                // If returnType is 'from_customer', quantity stays positive (increases inventory)
-                
-                const returnTypeLabel = ret.returnType === 'from_customer' ? 'مرتجع من عميل' : 'مرتجع إلى مورد';
-                
-                movements.push({
-                    date: ret.date,
-                    createdAt: ret.createdAt || ret.date,
-                    type: 'return',
-                    typeLabel: returnTypeLabel,
-                    entityType: 'return',
-                    entityId: ret.id,
-                    refNumber: ret.returnNumber || ret.id,
-                    productName: product.name,
-                    category: product.category || 'غير محدد',
-                    unit: 'صغرى',
-                    quantity: quantity,
-                    price: parseFloat(ret.unitPrice || 0),
-                    total: parseFloat(ret.totalAmount || 0),
-                    balanceBefore: 0, // Will calculate
-                    balanceAfter: 0,
-                    user: getUserName(ret.userId)
-                });
-            }
+        // Load movements from the stock ledger (one query, running balances included)
+        const result = await window.electronAPI.stockMovementsGet(productId, dateFrom || null, dateTo || null);
+        if (!result || result.success === false) {
+            throw new Error((result && result.error) || 'Failed to load stock movements');
         }
         
-        // Sort by createdAt (actual time of operation) from oldest to newest
-        // This ensures correct chronological order even if date is set to future/past
-        movements.sort((a, b) => {
-            const timeA = new Date(a.createdAt || a.updatedAt || a.date);
-            const timeB = new Date(b.createdAt || b.updatedAt || b.date);
-            return timeA.getTime() - timeB.getTime(); // Oldest first (ascending order)
-        });
-        
-        // Start from opening stock, not current stock
-        let currentBalance = parseFloat(product.openingStock || 0);
-        movements.forEach(movement => {
-            // Store balance before movement
-            movement.balanceBefore = currentBalance;
-            
-            if (movement.type === 'set' || movement.type === 'adjustment') {
-                // For set operations, check if it's a set type
-                const adjustment = movements.find(m => m.refNumber === movement.refNumber && m.type === 'adjustment');
-                if (adjustment && adjustment.type === 'set') {
-                    currentBalance = Math.abs(movement.quantity);
-                } else {
-                    currentBalance += movement.quantity;
-                }
-            } else {
-                currentBalance += movement.quantity;
-            }
-            movement.balanceAfter = currentBalance;
+        const movements = (result.movements || []).map(movement => {
+            const typeInfo = STOCK_MOVEMENT_TYPES[movement.sourceType] || { type: 'adjustment', label: movement.sourceType };
+            const price = parseFloat(movement.price || 0);
+            const quantity = parseFloat(movement.quantity || 0);
+            return {
+                date: movement.date,
+                createdAt: movement.createdAt,
+                type: typeInfo.type,
+                typeLabel: movement.notes && movement.notes !== typeInfo.label ? `${typeInfo.label} (${movement.notes})` : typeInfo.label,
+                entityType: movement.sourceType,
+                entityId: movement.sourceId,
+                refNumber: movement.sourceNumber || movement.sourceId || '-',
+                productName: product.name,
+                category: product.category || 'غير محدد',
+                unit: 'صغرى',
+                quantity: quantity,
+                price: price,
+                total: price > 0 ? Math.abs(quantity) * price : 0,
+                balanceBefore: parseFloat(movement.balanceBefore || 0),
+                balanceAfter: parseFloat(movement.balanceAfter || 0),
+                user: getUserName(movement.userId)
+            };
         });
         
         // Store items for pagination
@@ -1050,6 +913,8 @@ function getCurrentItems() {
             return deliveryNotesSettlementsItems;
         case 'operating-expenses':
             return operatingExpensesItems;
+        case 'audit-log':
+            return auditLogItems;
         default:
             return [];
     }
@@ -1140,6 +1005,9 @@ async function renderCurrentTab() {
         case 'operating-expenses':
             renderOperatingExpenses();
             break;
+        case 'audit-log':
+            renderAuditLog();
+            break;
     }
 }
 
@@ -1737,6 +1605,206 @@ function renderOperatingExpenses() {
     updatePaginationDisplay();
 }
 
+// ============================================================
+// Audit Log
+// ============================================================
+
+// Populate user and table filters of the audit log tab
+function populateAuditFilters() {
+    const userSelect = document.getElementById('auditUserFilter');
+    if (userSelect) {
+        const currentValue = userSelect.value;
+        userSelect.innerHTML = '<option value="">جميع المستخدمين</option>';
+        users.forEach(user => {
+            const option = document.createElement('option');
+            option.value = user.id;
+            option.textContent = user.username || user.fullName || user.id;
+            userSelect.appendChild(option);
+        });
+        userSelect.value = currentValue;
+    }
+    
+    const tableSelect = document.getElementById('auditTableFilter');
+    if (tableSelect && tableSelect.options.length <= 1) {
+        Object.entries(AUDIT_TABLE_LABELS).forEach(([table, label]) => {
+            const option = document.createElement('option');
+            option.value = table;
+            option.textContent = label;
+            tableSelect.appendChild(option);
+        });
+    }
+}
+
+function escapeAuditValue(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function parseAuditData(json) {
+    if (!json) {
+        return null;
+    }
+    try {
+        return JSON.parse(json);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Field-level changes of an audit entry: [{field, before, after}]
+function getAuditChanges(entry) {
+    const before = parseAuditData(entry.beforeData) || {};
+    const after = parseAuditData(entry.afterData) || {};
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(field => !AUDIT_IGNORED_FIELDS.includes(field));
+    
+    return fields
+        .map(field => ({
+            field,
+            before: before[field] === undefined ? null : before[field],
+            after: after[field] === undefined ? null : after[field]
+        }))
+        .filter(change => entry.operation !== 'update' || JSON.stringify(change.before) !== JSON.stringify(change.after));
+}
+
+function formatAuditValue(value) {
+    if (value === null || value === undefined || value === '') {
+        return '-';
+    }
+    if (Array.isArray(value)) {
+        return `${value.length} بند`;
+    }
+    if (typeof value === 'object') {
+        return escapeAuditValue(JSON.stringify(value));
+    }
+    return escapeAuditValue(value);
+}
+
+// Load audit log entries using the current filters
+async function loadAuditLog() {
+    const tbody = document.getElementById('auditLogBody');
+    
+    if (!window.electronAPI || !window.electronAPI.auditLogSearch) {
+        tbody.innerHTML = '<tr><td colspan="7" class="empty-state">سجل التعديلات غير متاح</td></tr>';
+        return;
+    }
+    
+    try {
+        tbody.innerHTML = '<tr><td colspan="7" class="empty-state">جارٍ التحميل...</td></tr>';
+        
+        const result = await window.electronAPI.auditLogSearch({
+            userId: document.getElementById('auditUserFilter').value,
+            tableName: document.getElementById('auditTableFilter').value,
+            operation: document.getElementById('auditOperationFilter').value,
+            dateFrom: document.getElementById('auditDateFrom').value,
+            dateTo: document.getElementById('auditDateTo').value,
+            documentNumber: document.getElementById('auditDocumentNumber').value.trim()
+        });
+        
+        if (!result || !result.success) {
+            throw new Error(result?.error || 'خطأ غير معروف');
+        }
+        
+        auditLogItems = result.entries || [];
+        currentPage = 1;
+        
+        if (result.total > auditLogItems.length && window.showToast) {
+            window.showToast(`تم عرض أحدث ${auditLogItems.length} من ${result.total} تغيير، حدد الفترة لتضييق النتائج`, 'info');
+        }
+        
+        renderAuditLog();
+    } catch (error) {
+        console.error('Error loading audit log:', error);
+        auditLogItems = [];
+        tbody.innerHTML = `<tr><td colspan="7" class="empty-state">حدث خطأ أثناء تحميل سجل التعديلات: ${escapeAuditValue(error.message)}</td></tr>`;
+        document.getElementById('paginationContainer').style.display = 'none';
+    }
+}
+
+// Render Audit Log with pagination
+function renderAuditLog() {
+    const tbody = document.getElementById('auditLogBody');
+    const items = auditLogItems;
+    
+    if (items.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="empty-state">لا توجد تغييرات مطابقة لمعايير البحث</td></tr>';
+        document.getElementById('paginationContainer').style.display = 'none';
+        return;
+    }
+    
+    const startIndex = itemsPerPage === Infinity ? 0 : (currentPage - 1) * itemsPerPage;
+    const endIndex = itemsPerPage === Infinity ? items.length : Math.min(startIndex + itemsPerPage, items.length);
+    const paginatedItems = itemsPerPage === Infinity ? items : items.slice(startIndex, endIndex);
+    
+    tbody.innerHTML = paginatedItems.map(entry => {
+        const changedAt = new Date(entry.createdAt);
+        const changedAtStr = `${changedAt.toLocaleDateString('ar-EG')} ${changedAt.toLocaleTimeString('ar-EG', { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: true })}`;
+        const userName = entry.username || getUserName(entry.userId);
+        const changedFields = entry.operation === 'update'
+            ? getAuditChanges(entry).map(change => change.field).join('، ')
+            : '-';
+        
+        return `
+            <tr>
+                <td>${changedAtStr}</td>
+                <td>${escapeAuditValue(userName)}</td>
+                <td><span class="movement-type-badge audit-${entry.operation}">${AUDIT_OPERATION_LABELS[entry.operation] || entry.operation}</span></td>
+                <td>${AUDIT_TABLE_LABELS[entry.tableName] || escapeAuditValue(entry.tableName)}</td>
+                <td><strong>${escapeAuditValue(entry.documentNumber || entry.rowId || '-')}</strong></td>
+                <td class="audit-changed-fields">${escapeAuditValue(changedFields || '-')}</td>
+                <td><button type="button" class="btn btn-secondary btn-sm" data-audit-id="${entry.id}">عرض</button></td>
+            </tr>
+            <tr class="audit-details-row" id="auditDetails-${entry.id}" style="display: none;">
+                <td colspan="7"></td>
+            </tr>
+        `;
+    }).join('');
+    
+    updatePaginationDisplay();
+}
+
+// Show/hide the before/after values of one audit entry
+function toggleAuditDetails(entryId) {
+    const detailsRow = document.getElementById(`auditDetails-${entryId}`);
+    const entry = auditLogItems.find(item => String(item.id) === String(entryId));
+    if (!detailsRow || !entry) {
+        return;
+    }
+    
+    if (detailsRow.style.display !== 'none') {
+        detailsRow.style.display = 'none';
+        return;
+    }
+    
+    const changes = getAuditChanges(entry);
+    detailsRow.querySelector('td').innerHTML = changes.length === 0
+        ? '<div class="empty-state">لا توجد تغييرات في القيم</div>'
+        : `
+            <table class="audit-details-table">
+                <thead>
+                    <tr>
+                        <th>الحقل</th>
+                        <th>قبل</th>
+                        <th>بعد</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${changes.map(change => `
+                        <tr>
+                            <td>${escapeAuditValue(change.field)}</td>
+                            <td class="audit-before">${formatAuditValue(change.before)}</td>
+                            <td class="audit-after">${formatAuditValue(change.after)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    detailsRow.style.display = '';
+}
+
 // Convert table to CSV
 function tableToCSV(table) {
     const rows = table.querySelectorAll('tr');
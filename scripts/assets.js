@@ -580,9 +580,12 @@ async function deleteAsset(assetId) {
         return;
     }
     
-    if (window.electronAPI && window.electronAPI.dbDelete) {
+    if (window.electronAPI && window.electronAPI.recycleBinDelete) {
         try {
-            await window.electronAPI.dbDelete('fixed_assets', assetId);
+            const deleteResult = await window.electronAPI.recycleBinDelete('fixed_assets', assetId);
+            if (!deleteResult || deleteResult.success === false) {
+                throw new Error((deleteResult && deleteResult.error) || 'خطأ غير معروف');
+            }
             assets = assets.filter(a => a.id !== assetId);
         } catch (error) {
             console.error('Error deleting asset:', error);
@@ -743,15 +746,11 @@ function formatCurrency(amount) {
 
 // Show Total Assets
 function showTotalAssets() {
-    const totalPurchasePrice = assets.reduce((sum, asset) => {
-        return sum + (parseFloat(asset.purchasePrice) || 0);
-    }, 0);
+    const totalPurchasePrice = Money.sum(assets, asset => asset.purchasePrice);
     
-    const totalCurrentValue = assets.reduce((sum, asset) => {
-        return sum + (parseFloat(asset.currentValue || asset.purchasePrice) || 0);
-    }, 0);
+    const totalCurrentValue = Money.sum(assets, asset => asset.currentValue || asset.purchasePrice);
     
-    const totalDepreciation = totalPurchasePrice - totalCurrentValue;
+    const totalDepreciation = Money.subtract(totalPurchasePrice, totalCurrentValue);
     const depreciationPercentage = totalPurchasePrice > 0 
         ? ((totalDepreciation / totalPurchasePrice) * 100).toFixed(2) 
         : 0;
@@ -906,15 +905,11 @@ async function generateAssetsReportHTML() {
         }
     }
     
-    const totalPurchasePrice = assets.reduce((sum, asset) => {
-        return sum + (parseFloat(asset.purchasePrice) || 0);
-    }, 0);
+    const totalPurchasePrice = Money.sum(assets, asset => asset.purchasePrice);
     
-    const totalCurrentValue = assets.reduce((sum, asset) => {
-        return sum + (parseFloat(asset.currentValue || asset.purchasePrice) || 0);
-    }, 0);
+    const totalCurrentValue = Money.sum(assets, asset => asset.currentValue || asset.purchasePrice);
     
-    const totalDepreciation = totalPurchasePrice - totalCurrentValue;
+    const totalDepreciation = Money.subtract(totalPurchasePrice, totalCurrentValue);
     const depreciationPercentage = totalPurchasePrice > 0 
         ? ((totalDepreciation / totalPurchasePrice) * 100).toFixed(2) 
         : 0;
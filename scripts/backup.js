@@ -86,6 +86,9 @@ function showConfirmDialog(message, onConfirm, onCancel) {
 let currentPage = 1;
 const itemsPerPage = 20;
 let allBackupHistory = [];
+// Mirror destinations being edited, and their status from the main process
+let mirrorDestinations = [];
+let mirrorStatus = null;
 
 // Load backup history on page load
 document.addEventListener('DOMContentLoaded', async () => {
@@ -94,7 +97,19 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     await loadBackupHistory();
     await loadAutoBackupSettings();
+    await loadMirrorStatus();
+    await loadBackupRuns();
+    await loadBackupEncryptionSettings();
     initializeEventListeners();
+
+    // Scheduled backups, copies made when a drive is plugged in, or backups made from another PC
+    if (typeof onDataChanged === 'function') {
+        onDataChanged(['backup_history', 'backup_copies', 'backup_runs'], async () => {
+            await loadBackupHistory();
+            await loadMirrorStatus();
+            await loadBackupRuns();
+        }, 500);
+    }
 });
 
 // Initialize Event Listeners
@@ -109,17 +124,32 @@ function initializeEventListeners() {
         await restoreBackup();
     });
 
+    // Data export / import
+    document.getElementById('exportDataJsonBtn').addEventListener('click', (e) => exportData('json', e.currentTarget));
+    document.getElementById('exportDataCsvBtn').addEventListener('click', (e) => exportData('csv', e.currentTarget));
+    document.getElementById('importDataBtn').addEventListener('click', importData);
+
     // Auto Backup Settings
     document.getElementById('autoBackupEnabled').addEventListener('change', (e) => {
         const pathGroup = document.getElementById('autoBackupPathGroup');
-        const intervalGroup = document.getElementById('autoBackupIntervalGroup');
+        const scheduleGroup = document.getElementById('autoBackupScheduleGroup');
+        const retentionGroup = document.getElementById('autoBackupRetentionGroup');
         if (e.target.checked) {
             pathGroup.style.display = 'block';
-            intervalGroup.style.display = 'block';
+            scheduleGroup.style.display = 'block';
+            retentionGroup.style.display = 'block';
         } else {
             pathGroup.style.display = 'none';
-            intervalGroup.style.display = 'none';
+            scheduleGroup.style.display = 'none';
+            retentionGroup.style.display = 'none';
         }
+        updateScheduleFields();
+    });
+    document.getElementById('backupScheduleType').addEventListener('change', updateScheduleFields);
+
+    // Retention Preview
+    document.getElementById('previewRetentionBtn').addEventListener('click', async () => {
+        await previewRetention();
     });
 
     // Select Backup Path Button
@@ -151,11 +181,30 @@ function initializeEventListeners() {
         });
     }
 
+    // Mirror Destinations
+    document.getElementById('addRemovableMirrorBtn').addEventListener('click', async () => {
+        await addMirrorDestination('removable');
+    });
+    document.getElementById('addFolderMirrorBtn').addEventListener('click', async () => {
+        await addMirrorDestination('folder');
+    });
+    document.getElementById('mirrorNowBtn').addEventListener('click', async () => {
+        await mirrorBackupsNow();
+    });
+
     // Save Auto Backup Settings
     document.getElementById('saveAutoBackupBtn').addEventListener('click', async () => {
         await saveAutoBackupSettings();
     });
 
+    // Backup Encryption
+    document.getElementById('backupEncryptionEnabled').addEventListener('change', (e) => {
+        document.getElementById('backupEncryptionFields').style.display = e.target.checked ? 'block' : 'none';
+    });
+    document.getElementById('saveBackupEncryptionBtn').addEventListener('click', async () => {
+        await saveBackupEncryptionSettings();
+    });
+
     // Pagination Event Listeners
     document.getElementById('prevPageBtn').addEventListener('click', () => {
         if (currentPage > 1) {
@@ -215,6 +264,9 @@ async function createBackup() {
                 const pathMsg = result.backupPath ? ` المسار: ${result.backupPath}` : '';
                 const sizeMsg = result.fileSize ? ` الحجم: ${formatFileSize(result.fileSize)}` : '';
                 window.showToast(`تم إنشاء النسخة الاحتياطية بنجاح!${pathMsg}${sizeMsg}`, 'success');
+                if (result.verification === 'failed') {
+                    window.showToast('تحذير: فشل التحقق من النسخة الجديدة باستعادة تجريبية، راجع تاريخ النسخ الاحتياطي', 'error');
+                }
             }
             currentPage = 1; // Reset to first page
             await loadBackupHistory();
@@ -261,7 +313,7 @@ async function proceedWithRestore() {
         btn.disabled = true;
         btn.textContent = 'جارٍ الاستعادة...';
 
-        const result = await window.electronAPI.backupRestore();
+        const result = await resolveEncryptedRestore(await window.electronAPI.backupRestore());
         
         if (result.success) {
             if (window.showToast) {
@@ -296,7 +348,7 @@ async function loadBackupHistory() {
         if (!window.electronAPI || !window.electronAPI.backupGetHistory) {
             console.error('electronAPI.backupGetHistory is not available');
             document.getElementById('backupHistoryBody').innerHTML = 
-                '<tr><td colspan="5" class="text-center">⚠️ واجهة البرنامج غير متاحة. يرجى إعادة تحميل الصفحة.</td></tr>';
+                '<tr><td colspan="7" class="text-center">⚠️ واجهة البرنامج غير متاحة. يرجى إعادة تحميل الصفحة.</td></tr>';
             return;
         }
         
@@ -322,7 +374,7 @@ async function loadBackupHistory() {
         const tbody = document.getElementById('backupHistoryBody');
         if (tbody) {
             tbody.innerHTML = 
-                '<tr><td colspan="5" class="text-center">❌ حدث خطأ أثناء تحميل التاريخ: ' + (error.message || error) + '</td></tr>';
+                '<tr><td colspan="7" class="text-center">❌ حدث خطأ أثناء تحميل التاريخ: ' + (error.message || error) + '</td></tr>';
         }
     }
 }
@@ -333,6 +385,8 @@ function renderBackupHistory() {
     const emptyState = document.getElementById('emptyState');
     const paginationContainer = document.getElementById('paginationContainer');
     
+    renderVerificationAlert();
+
     if (!allBackupHistory || allBackupHistory.length === 0) {
         tbody.innerHTML = '';
         if (emptyState) {
@@ -416,18 +470,26 @@ function renderBackupHistory() {
 
         const row = document.createElement('tr');
         const isDiscovered = backup.discovered === true;
-        const backupTypeBadge = backup.backupType === 'auto' ? 'badge-success' : 'badge-primary';
-        const backupTypeText = backup.backupType === 'auto' ? 'تلقائي' : 'يدوي';
+        const backupTypeBadge = backup.backupType === 'auto' ? 'badge-success' : backup.backupType === 'pre-migration' ? 'badge-warning' : 'badge-primary';
+        const backupTypeText = backup.backupType === 'auto' ? 'تلقائي' : backup.backupType === 'pre-migration' ? 'قبل الترحيل' : 'يدوي';
         const discoveredBadge = isDiscovered ? '<span class="badge badge-warning" style="margin-right: 5px;" title="تم اكتشاف هذا الملف على القرص">مكتشف</span>' : '';
+        const encryptedBadge = backup.encrypted ? '<span class="badge badge-encrypted" title="تُستعاد بكلمة مرور النسخ الاحتياطية أو مفتاح الاسترداد">🔒 مشفرة</span>' : '';
+        if (backup.verificationStatus === 'failed') {
+            row.className = 'verification-failed';
+        }
         
         row.innerHTML = `
             <td>${formattedDate}</td>
             <td>${backup.backupPath || '-'}</td>
-            <td>${discoveredBadge}<span class="badge ${backupTypeBadge}">${backupTypeText}</span></td>
+            <td>${discoveredBadge}<span class="badge ${backupTypeBadge}">${backupTypeText}</span>${encryptedBadge}</td>
             <td>${formatFileSize(backup.fileSize || 0)}</td>
+            <td class="verification-cell"></td>
+            <td class="copies-cell"></td>
             <td>
             </td>
         `;
+        renderVerificationCell(row.querySelector('.verification-cell'), backup, canRestoreBackups);
+        renderCopiesCell(row.querySelector('.copies-cell'), backup);
         
         // Add restore button only for manager or system_engineer
         const actionsCell = row.querySelector('td:last-child');
@@ -440,12 +502,161 @@ function renderBackupHistory() {
             restoreBtn.setAttribute('data-backup-path', backup.backupPath);
             restoreBtn.addEventListener('click', () => restoreSpecificBackup(backup.backupPath));
             actionsCell.appendChild(restoreBtn);
+
+            const browseBtn = document.createElement('button');
+            browseBtn.className = 'btn btn-sm btn-secondary';
+            browseBtn.textContent = 'استعادة جزئية';
+            browseBtn.type = 'button';
+            browseBtn.title = 'تصفح النسخة ومقارنتها بالبيانات الحالية واستعادة سجلات محددة فقط';
+            browseBtn.style.marginRight = '6px';
+            browseBtn.addEventListener('click', () => openSelectiveRestore(backup));
+            actionsCell.appendChild(browseBtn);
         }
         
         tbody.appendChild(row);
     });
 }
 
+// Summary of the last test restore of a backup, for the badge tooltip
+function describeVerification(backup) {
+    if (!backup.verificationStatus) {
+        return 'لم يتم التحقق من هذه النسخة باستعادة تجريبية';
+    }
+    const verifiedAt = backup.verifiedAt ? new Date(backup.verifiedAt).toLocaleString('ar-EG') : '';
+    let details = {};
+    try {
+        details = backup.verificationDetails ? JSON.parse(backup.verificationDetails) : {};
+    } catch (error) {
+        details = {};
+    }
+    const lines = [`آخر تحقق: ${verifiedAt}`];
+    if (details.error) {
+        lines.push(`الخطأ: ${details.error}`);
+    }
+    (details.mismatches || []).forEach(mismatch => {
+        lines.push(`${mismatch.item}: الحالية ${mismatch.live} / النسخة ${mismatch.backup === null ? '-' : mismatch.backup}`);
+    });
+    if (backup.verificationStatus === 'verified') {
+        lines.push(`سلامة الملف: ${details.integrity || 'ok'}، الجداول: ${details.tables || 0}`);
+    }
+    return lines.join('\n');
+}
+
+// Verification badge, plus a button to test-restore backups that are not verified
+function renderVerificationCell(cell, backup, canVerify) {
+    const badge = document.createElement('span');
+    if (backup.verificationStatus === 'verified') {
+        badge.className = 'badge badge-success';
+        badge.textContent = 'تم التحقق';
+    } else if (backup.verificationStatus === 'failed') {
+        badge.className = 'badge badge-danger';
+        badge.textContent = 'فشل التحقق';
+    } else {
+        badge.className = 'badge badge-warning';
+        badge.textContent = 'غير متحقق';
+    }
+    badge.title = describeVerification(backup);
+    cell.appendChild(badge);
+
+    if (canVerify && backup.verificationStatus !== 'verified' && backup.backupPath) {
+        const verifyBtn = document.createElement('button');
+        verifyBtn.className = 'btn btn-sm btn-secondary';
+        verifyBtn.type = 'button';
+        verifyBtn.textContent = 'تحقق';
+        verifyBtn.title = 'فتح النسخة في مكان مؤقت وفحص سلامتها';
+        verifyBtn.addEventListener('click', () => verifySpecificBackup(backup.backupPath, verifyBtn));
+        cell.appendChild(verifyBtn);
+    }
+}
+
+// Warn above the history when the latest backup is not verified or any backup failed its test restore
+function renderVerificationAlert() {
+    const alertEl = document.getElementById('backupVerificationAlert');
+    if (!alertEl) {
+        return;
+    }
+    const history = allBackupHistory || [];
+    const failedCount = history.filter(backup => backup.verificationStatus === 'failed').length;
+    const latest = history[0];
+    let message = '';
+    if (latest && latest.verificationStatus === 'failed') {
+        message = '⚠️ فشل التحقق من آخر نسخة احتياطية، وقد لا يمكن الاستعادة منها. أنشئ نسخة جديدة وتحقق منها.';
+    } else if (failedCount > 0) {
+        message = `⚠️ يوجد ${failedCount} نسخة احتياطية فشل التحقق منها، لا تعتمد عليها في الاستعادة.`;
+    } else if (latest && latest.verificationStatus !== 'verified') {
+        message = '⚠️ آخر نسخة احتياطية لم يتم التحقق منها بعد. اضغط "تحقق" لفحصها.';
+    }
+    alertEl.textContent = message;
+    alertEl.className = failedCount > 0 ? 'verification-alert' : 'verification-alert warning';
+    alertEl.style.display = message ? 'block' : 'none';
+}
+
+// One badge per mirror destination: copied, failed, or waiting for the destination
+function renderCopiesCell(cell, backup) {
+    const destinations = mirrorStatus ? mirrorStatus.destinations : [];
+    if (destinations.length === 0 || backup.discovered) {
+        cell.textContent = '-';
+        return;
+    }
+    destinations.forEach(destination => {
+        const copy = (backup.copies || []).find(item => item.destinationId === destination.id);
+        const badge = document.createElement('span');
+        if (copy && copy.status === 'copied') {
+            badge.className = 'badge badge-success';
+            badge.textContent = `✓ ${destination.label}`;
+            badge.title = `نُسخت في ${new Date(copy.copiedAt).toLocaleString('ar-EG')}\n${copy.copyPath || ''}`;
+        } else if (copy && copy.status === 'failed') {
+            badge.className = 'badge badge-danger';
+            badge.textContent = `✗ ${destination.label}`;
+            badge.title = `فشل النسخ: ${copy.error || 'خطأ غير معروف'}`;
+        } else {
+            badge.className = 'badge badge-warning';
+            badge.textContent = `⏳ ${destination.label}`;
+            badge.title = destination.type === 'removable' ? 'بانتظار توصيل القرص الخارجي' : 'بانتظار النسخ';
+        }
+        cell.appendChild(badge);
+    });
+}
+
+// Test-restore one backup from the history and show the result
+async function verifySpecificBackup(backupPath, btn) {
+    try {
+        btn.disabled = true;
+        btn.textContent = 'جارٍ التحقق...';
+        let result = await window.electronAPI.backupVerify(backupPath);
+        while (result && result.needsPassphrase) {
+            const passphrase = await promptBackupPassphrase(result.hint, result.error);
+            if (!passphrase) {
+                return;
+            }
+            result = await window.electronAPI.backupVerify(backupPath, passphrase);
+        }
+
+        if (result && result.success) {
+            if (window.showToast) {
+                if (result.status === 'verified') {
+                    window.showToast('تم التحقق من النسخة الاحتياطية بنجاح', 'success');
+                } else {
+                    window.showToast(`فشل التحقق من النسخة الاحتياطية: ${(result.details && result.details.error) || 'الملف تالف'}`, 'error');
+                }
+            }
+            await loadBackupHistory();
+        } else if (window.showToast) {
+            window.showToast(`تعذر التحقق من النسخة الاحتياطية: ${(result && result.error) || 'خطأ غير معروف'}`, 'error');
+        }
+    } catch (error) {
+        console.error('Error verifying backup:', error);
+        if (window.showToast) {
+            window.showToast('حدث خطأ أثناء التحقق من النسخة الاحتياطية: ' + (error.message || error), 'error');
+        }
+    } finally {
+        if (btn.isConnected) {
+            btn.disabled = false;
+            btn.textContent = 'تحقق';
+        }
+    }
+}
+
 // Restore Specific Backup
 async function restoreSpecificBackup(backupPath) {
     showConfirmDialog(
@@ -486,7 +697,7 @@ async function proceedWithSpecificRestore(backupPath) {
         });
         
         // Call restore with specific backup path
-        const result = await window.electronAPI.backupRestore(backupPath);
+        const result = await resolveEncryptedRestore(await window.electronAPI.backupRestore(backupPath));
         
         // Re-enable buttons
         restoreBtns.forEach(btn => {
@@ -535,14 +746,26 @@ async function loadAutoBackupSettings() {
             document.getElementById('autoBackupEnabled').checked = settings.enabled || false;
             document.getElementById('backupPath').value = settings.path || '';
             document.getElementById('backupInterval').value = settings.interval || 'daily';
+            setRetentionInputs(settings.retention || {});
+            const schedule = settings.schedule || {};
+            document.getElementById('backupScheduleType').value = schedule.type || 'close';
+            document.getElementById('backupScheduleTime').value = schedule.time || '02:00';
+            document.getElementById('backupEveryHours').value = schedule.everyHours || 6;
+            document.getElementById('backupOnExit').checked = schedule.onExit !== false;
+            mirrorDestinations = settings.mirrors || [];
+            document.getElementById('offsiteWarningDays').value = settings.offsiteWarningDays !== undefined ? settings.offsiteWarningDays : '';
+            renderMirrorDestinations();
 
             // Show/hide settings based on enabled state
             const pathGroup = document.getElementById('autoBackupPathGroup');
-            const intervalGroup = document.getElementById('autoBackupIntervalGroup');
+            const scheduleGroup = document.getElementById('autoBackupScheduleGroup');
+            const retentionGroup = document.getElementById('autoBackupRetentionGroup');
             if (settings.enabled) {
                 pathGroup.style.display = 'block';
-                intervalGroup.style.display = 'block';
+                scheduleGroup.style.display = 'block';
+                retentionGroup.style.display = 'block';
             }
+            updateScheduleFields();
         }
     } catch (error) {
         console.error('Error loading auto backup settings:', error);
@@ -566,7 +789,16 @@ async function saveAutoBackupSettings() {
         const settings = {
             enabled: enabled,
             path: path,
-            interval: interval || 'daily'
+            interval: interval || 'daily',
+            retention: getRetentionInputs(),
+            schedule: {
+                type: document.getElementById('backupScheduleType').value,
+                time: document.getElementById('backupScheduleTime').value,
+                everyHours: document.getElementById('backupEveryHours').value,
+                onExit: document.getElementById('backupOnExit').checked
+            },
+            mirrors: mirrorDestinations,
+            offsiteWarningDays: document.getElementById('offsiteWarningDays').value
         };
         
         // Send settings to main process
@@ -575,8 +807,16 @@ async function saveAutoBackupSettings() {
         if (result.success) {
             const intervalText = interval === 'daily' ? 'يومي' : interval === 'weekly' ? 'أسبوعي' : 'شهري';
             if (window.showToast) {
-                window.showToast(`تم حفظ الإعدادات بنجاح! سيتم إنشاء نسخة احتياطية تلقائياً (${intervalText}) عند إغلاق البرنامج حسب الفترة المحددة.`, 'success');
+                if (settings.schedule.type === 'close') {
+                    window.showToast(`تم حفظ الإعدادات بنجاح! سيتم إنشاء نسخة احتياطية تلقائياً (${intervalText}) عند إغلاق البرنامج حسب الفترة المحددة.`, 'success');
+                } else {
+                    window.showToast('تم حفظ الإعدادات بنجاح! سيتم إنشاء النسخ الاحتياطية تلقائياً حسب الموعد المحدد.', 'success');
+                }
             }
+            await loadBackupRuns();
+            // Saved destinations get their ids (and removable drives their marker) in the main process
+            await loadAutoBackupSettings();
+            await loadMirrorStatus();
         } else {
             if (window.showToast) {
                 window.showToast('فشل حفظ الإعدادات: ' + (result.error || 'خطأ غير معروف'), 'error');
@@ -590,6 +830,928 @@ async function saveAutoBackupSettings() {
     }
 }
 
+// Show the fields of the chosen schedule (the close interval only applies to backups on close)
+function updateScheduleFields() {
+    const enabled = document.getElementById('autoBackupEnabled').checked;
+    const type = document.getElementById('backupScheduleType').value;
+    document.getElementById('scheduleDailyFields').style.display = type === 'daily' ? 'block' : 'none';
+    document.getElementById('scheduleHoursFields').style.display = type === 'hours' ? 'block' : 'none';
+    document.getElementById('backupOnExitLabel').style.display = type === 'close' ? 'none' : 'block';
+    document.getElementById('autoBackupIntervalGroup').style.display = enabled && type === 'close' ? 'block' : 'none';
+}
+
+const BACKUP_RUN_TRIGGERS = {
+    schedule: 'في الموعد',
+    'catch-up': 'تعويض عند التشغيل',
+    exit: 'عند الإغلاق'
+};
+
+// History of automatic backup runs and the time of the next one
+async function loadBackupRuns() {
+    const tbody = document.getElementById('backupRunsBody');
+    try {
+        if (!tbody || !window.electronAPI || !window.electronAPI.backupGetRuns) {
+            return;
+        }
+        const result = await window.electronAPI.backupGetRuns(50);
+        if (!result || !result.success) {
+            tbody.innerHTML = '<tr><td colspan="4" class="text-center">❌ تعذر تحميل السجل</td></tr>';
+            return;
+        }
+
+        const nextRunEl = document.getElementById('nextBackupRun');
+        if (nextRunEl) {
+            nextRunEl.textContent = result.nextRunAt ? `الموعد التالي: ${new Date(result.nextRunAt).toLocaleString('ar-EG')}` : '';
+        }
+
+        if (result.runs.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="4" class="text-center">لم يتم تشغيل أي نسخ تلقائي بعد</td></tr>';
+            return;
+        }
+        tbody.innerHTML = '';
+        result.runs.forEach(run => {
+            const row = document.createElement('tr');
+            if (run.status === 'failed') {
+                row.className = 'verification-failed';
+            }
+            row.innerHTML = `
+                <td></td>
+                <td></td>
+                <td><span class="badge ${run.status === 'success' ? 'badge-success' : 'badge-danger'}">${run.status === 'success' ? 'نجح' : 'فشل'}</span></td>
+                <td></td>
+            `;
+            const cells = row.querySelectorAll('td');
+            cells[0].textContent = new Date(run.startedAt).toLocaleString('ar-EG');
+            cells[1].textContent = BACKUP_RUN_TRIGGERS[run.trigger] || run.trigger;
+            if (run.scheduledFor && run.trigger === 'catch-up') {
+                cells[1].title = `موعد النسخة الفائتة: ${new Date(run.scheduledFor).toLocaleString('ar-EG')}`;
+            }
+            cells[3].textContent = run.status === 'success' ? (run.backupPath || '-') : (run.error || 'خطأ غير معروف');
+            tbody.appendChild(row);
+        });
+    } catch (error) {
+        console.error('Error loading backup runs:', error);
+    }
+}
+
+// Load the mirror destinations' status and the off-machine copy warning
+async function loadMirrorStatus() {
+    try {
+        if (!window.electronAPI || !window.electronAPI.backupGetMirrorStatus) {
+            return;
+        }
+        const result = await window.electronAPI.backupGetMirrorStatus();
+        if (!result || !result.success) {
+            return;
+        }
+        mirrorStatus = result;
+        renderOffsiteAlert();
+        renderMirrorDestinations();
+        renderBackupHistory();
+    } catch (error) {
+        console.error('Error loading mirror status:', error);
+    }
+}
+
+// Warn above the history when no backup was copied off this PC for too long
+function renderOffsiteAlert() {
+    const alertEl = document.getElementById('offsiteBackupAlert');
+    if (!alertEl || !mirrorStatus) {
+        return;
+    }
+    const offsite = mirrorStatus.offsite || {};
+    let message = '';
+    if (offsite.overdue) {
+        if (mirrorStatus.destinations.length === 0) {
+            message = '💾 لا توجد أي نسخة احتياطية خارج هذا الجهاز. أضف قرصاً خارجياً أو مجلداً على الشبكة في إعدادات النسخ الاحتياطي.';
+        } else if (!offsite.lastCopyAt) {
+            message = '💾 لم تُنسخ أي نسخة احتياطية خارج هذا الجهاز بعد. وصّل القرص الخارجي أو تأكد من الوصول إلى مجلد الشبكة.';
+        } else {
+            message = `💾 آخر نسخة خارج هذا الجهاز منذ ${offsite.daysSince} يوم. وصّل القرص الخارجي أو تأكد من الوصول إلى مجلد الشبكة.`;
+        }
+    }
+    alertEl.textContent = message;
+    alertEl.style.display = message ? 'block' : 'none';
+}
+
+// Destinations being edited, with whether each is reachable and its last copy
+function renderMirrorDestinations() {
+    const list = document.getElementById('mirrorDestinationsList');
+    if (!list) {
+        return;
+    }
+    list.innerHTML = '';
+    if (mirrorDestinations.length === 0) {
+        list.innerHTML = '<small>لا توجد وجهات إضافية</small>';
+        return;
+    }
+    mirrorDestinations.forEach((destination, index) => {
+        const status = mirrorStatus && mirrorStatus.destinations.find(item => item.id && item.id === destination.id);
+        const item = document.createElement('div');
+        item.className = 'mirror-item';
+        item.innerHTML = `
+            <span class="badge ${destination.type === 'removable' ? 'badge-primary' : 'badge-encrypted'}"></span>
+            <div class="mirror-info">
+                <strong class="mirror-label"></strong>
+                <span class="mirror-path"></span>
+                <small class="mirror-state"></small>
+            </div>
+            <button class="btn btn-sm btn-secondary" type="button" title="إزالة">✕</button>
+        `;
+        item.querySelector('.badge').textContent = destination.type === 'removable' ? 'USB' : 'شبكة';
+        item.querySelector('.mirror-label').textContent = destination.label || destination.path;
+        item.querySelector('.mirror-path').textContent = destination.path;
+        let state = 'لم تُحفظ بعد';
+        if (status) {
+            const availability = status.available ? 'متصلة' : (destination.type === 'removable' ? 'القرص غير موصّل' : 'غير متاحة');
+            const lastCopy = status.lastCopy
+                ? `آخر نسخ: ${new Date(status.lastCopy.copiedAt).toLocaleString('ar-EG')}${status.lastCopy.status === 'failed' ? ' (فشل)' : ''}`
+                : 'لم تُنسخ إليها أي نسخة بعد';
+            state = `${availability} - ${lastCopy}`;
+        }
+        item.querySelector('.mirror-state').textContent = state;
+        item.querySelector('button').addEventListener('click', () => {
+            mirrorDestinations.splice(index, 1);
+            renderMirrorDestinations();
+        });
+        list.appendChild(item);
+    });
+}
+
+// Pick a folder on a USB drive or a network share; saved with the other settings
+async function addMirrorDestination(type) {
+    try {
+        const result = await window.electronAPI.backupSelectPath();
+        if (!result || !result.success || !result.path) {
+            return;
+        }
+        if (mirrorDestinations.some(destination => destination.path.toLowerCase() === result.path.toLowerCase())) {
+            if (window.showToast) {
+                window.showToast('هذا المجلد مضاف بالفعل', 'warning');
+            }
+            return;
+        }
+        const label = type === 'removable' ? 'قرص خارجي' : 'مجلد الشبكة';
+        mirrorDestinations.push({ path: result.path, type, label: `${label} ${mirrorDestinations.length + 1}` });
+        renderMirrorDestinations();
+        if (window.showToast) {
+            window.showToast('اضغط "حفظ الإعدادات" لحفظ الوجهة', 'info');
+        }
+    } catch (error) {
+        console.error('Error adding mirror destination:', error);
+    }
+}
+
+// Copy the backups the destinations are missing now
+async function mirrorBackupsNow() {
+    const btn = document.getElementById('mirrorNowBtn');
+    try {
+        btn.disabled = true;
+        btn.textContent = 'جارٍ النسخ...';
+        const result = await window.electronAPI.backupMirrorNow();
+        if (result && result.success) {
+            let message = `تم نسخ ${result.copied} نسخة`;
+            if (result.failed > 0) {
+                message += `، وفشل نسخ ${result.failed}`;
+            }
+            if (result.unavailable > 0) {
+                message += `، و${result.unavailable} وجهة غير متاحة`;
+            }
+            if (window.showToast) {
+                window.showToast(message, result.failed > 0 ? 'error' : 'success');
+            }
+        } else if (window.showToast) {
+            window.showToast(`فشل النسخ: ${(result && result.error) || 'خطأ غير معروف'}`, 'error');
+        }
+        await loadBackupHistory();
+        await loadMirrorStatus();
+    } catch (error) {
+        console.error('Error copying backups to mirror destinations:', error);
+    } finally {
+        btn.disabled = false;
+        btn.textContent = 'نسخ الآن';
+    }
+}
+
+// ============================================================
+// Selective Restore
+// ============================================================
+// Browse a backup, compare a table or one record with the current data and put back
+// only the selected rows (the rest of the current data is kept)
+
+const SELECTIVE_RESTORE_TABLE_LABELS = {
+    sales_invoices: 'فواتير المبيعات',
+    purchase_invoices: 'فواتير المشتريات',
+    receipts: 'سندات القبض',
+    payments: 'سندات الصرف',
+    returns: 'المرتجعات',
+    inventory_adjustments: 'تسويات المخزون',
+    delivery_notes: 'أذون الصرف',
+    delivery_settlements: 'التسويات',
+    operating_expenses: 'المصاريف التشغيلية',
+    fixed_assets: 'الأصول الثابتة',
+    customers: 'العملاء',
+    suppliers: 'الموردين',
+    categories: 'الأصناف',
+    products: 'المنتجات',
+    users: 'المستخدمين',
+    company_info: 'بيانات الشركة'
+};
+
+const SELECTIVE_RESTORE_STATUSES = {
+    missing: { label: 'محذوف بعد النسخة', badge: 'badge-danger' },
+    changed: { label: 'معدّل بعد النسخة', badge: 'badge-warning' },
+    added: { label: 'أضيف بعد النسخة', badge: 'badge-primary' },
+    same: { label: 'مطابق', badge: 'badge-success' }
+};
+
+const SELECTIVE_RESTORE_PAGE_SIZE = 50;
+
+let selectiveRestore = null;
+
+function escapeBackupValue(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+async function openSelectiveRestore(backup) {
+    try {
+        let result = await window.electronAPI.backupBrowseOpen(backup.backupPath);
+        while (result && result.needsPassphrase) {
+            const passphrase = await promptBackupPassphrase(result.hint, result.error);
+            if (!passphrase) {
+                return;
+            }
+            result = await window.electronAPI.backupBrowseOpen(backup.backupPath, passphrase);
+        }
+        if (!result || !result.success) {
+            if (window.showToast) {
+                window.showToast(`تعذر فتح النسخة الاحتياطية: ${(result && result.error) || 'خطأ غير معروف'}`, 'error');
+            }
+            return;
+        }
+
+        const firstTable = result.tables.find(table => table.restorable) || result.tables[0];
+        selectiveRestore = {
+            backup,
+            browseId: result.browseId,
+            tables: result.tables,
+            upgradeError: result.upgradeError,
+            table: firstTable ? firstTable.name : null,
+            status: '',
+            search: '',
+            offset: 0,
+            total: 0,
+            restorable: false,
+            selected: new Set()
+        };
+        renderSelectiveRestoreModal();
+        await loadSelectiveRestoreRows();
+    } catch (error) {
+        console.error('Error opening backup for selective restore:', error);
+        if (window.showToast) {
+            window.showToast('حدث خطأ أثناء فتح النسخة الاحتياطية: ' + (error.message || error), 'error');
+        }
+    }
+}
+
+function renderSelectiveRestoreModal() {
+    const date = new Date(selectiveRestore.backup.createdAt).toLocaleString('ar-EG');
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.id = 'selectiveRestoreModal';
+    modal.innerHTML = `
+        <div class="modal-content selective-restore-content">
+            <div class="modal-header">
+                <h2 style="margin: 0; font-size: 1.25rem;">استعادة جزئية من نسخة ${escapeBackupValue(date)}</h2>
+                <button class="modal-close">&times;</button>
+            </div>
+            <div class="modal-body" style="padding: 20px;">
+                <div class="verification-alert warning selective-upgrade-alert" style="display: none;"></div>
+                <div class="selective-restore-filters">
+                    <select class="selective-table"></select>
+                    <select class="selective-status">
+                        <option value="">كل السجلات</option>
+                        ${Object.entries(SELECTIVE_RESTORE_STATUSES).map(([status, info]) => `<option value="${status}">${info.label}</option>`).join('')}
+                    </select>
+                    <input type="text" class="selective-search" placeholder="بحث...">
+                </div>
+                <div class="selective-summary"></div>
+                <div class="table-container selective-rows">
+                    <table class="backup-history-table">
+                        <thead>
+                            <tr>
+                                <th><input type="checkbox" class="selective-select-all" title="تحديد كل السجلات القابلة للاستعادة في هذه الصفحة"></th>
+                                <th>السجل</th>
+                                <th>الحالة</th>
+                                <th>الحقول المختلفة</th>
+                            </tr>
+                        </thead>
+                        <tbody class="selective-rows-body"></tbody>
+                    </table>
+                </div>
+                <div class="selective-pager">
+                    <button type="button" class="btn btn-secondary btn-sm selective-prev">← السابق</button>
+                    <span class="selective-page-info"></span>
+                    <button type="button" class="btn btn-secondary btn-sm selective-next">التالي →</button>
+                </div>
+                <div class="selective-record"></div>
+                <div class="selective-restore-actions">
+                    <small>السجلات المحذوفة تُعاد مع بنودها وأثرها على المخزون والأرصدة. العملاء والموردون والمنتجات الموجودة تُعاد بياناتها إلى قيم النسخة مع بقاء الرصيد والمخزون الحاليين.</small>
+                    <button type="button" class="btn btn-primary selective-restore-btn" disabled>استعادة المحدد</button>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    const upgradeAlert = modal.querySelector('.selective-upgrade-alert');
+    if (selectiveRestore.upgradeError) {
+        upgradeAlert.textContent = `يمكن تصفح هذه النسخة فقط: تعذر تحديث بنيتها إلى إصدار البرنامج الحالي (${selectiveRestore.upgradeError})`;
+        upgradeAlert.style.display = 'block';
+    }
+
+    const tableSelect = modal.querySelector('.selective-table');
+    selectiveRestore.tables.forEach(table => {
+        const option = document.createElement('option');
+        option.value = table.name;
+        const live = table.liveRows === null ? 'غير موجود حالياً' : `حالياً ${table.liveRows}`;
+        option.textContent = `${SELECTIVE_RESTORE_TABLE_LABELS[table.name] || table.name} (${table.rows} في النسخة، ${live})`;
+        tableSelect.appendChild(option);
+    });
+    tableSelect.value = selectiveRestore.table || '';
+
+    const reload = () => {
+        selectiveRestore.offset = 0;
+        selectiveRestore.selected.clear();
+        loadSelectiveRestoreRows();
+    };
+    tableSelect.addEventListener('change', () => {
+        selectiveRestore.table = tableSelect.value;
+        reload();
+    });
+    modal.querySelector('.selective-status').addEventListener('change', (e) => {
+        selectiveRestore.status = e.target.value;
+        reload();
+    });
+    let searchTimer = null;
+    modal.querySelector('.selective-search').addEventListener('input', (e) => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            selectiveRestore.search = e.target.value;
+            reload();
+        }, 300);
+    });
+    modal.querySelector('.selective-prev').addEventListener('click', () => {
+        selectiveRestore.offset = Math.max(0, selectiveRestore.offset - SELECTIVE_RESTORE_PAGE_SIZE);
+        loadSelectiveRestoreRows();
+    });
+    modal.querySelector('.selective-next').addEventListener('click', () => {
+        selectiveRestore.offset += SELECTIVE_RESTORE_PAGE_SIZE;
+        loadSelectiveRestoreRows();
+    });
+    modal.querySelector('.selective-select-all').addEventListener('change', (e) => {
+        modal.querySelectorAll('.selective-row-check:not(:disabled)').forEach(checkbox => {
+            checkbox.checked = e.target.checked;
+            checkbox.dispatchEvent(new Event('change'));
+        });
+    });
+    modal.querySelector('.selective-restore-btn').addEventListener('click', restoreSelectedRows);
+    modal.querySelector('.modal-close').addEventListener('click', closeSelectiveRestore);
+}
+
+async function loadSelectiveRestoreRows() {
+    const modal = document.getElementById('selectiveRestoreModal');
+    if (!modal || !selectiveRestore.table) {
+        return;
+    }
+    const tbody = modal.querySelector('.selective-rows-body');
+    tbody.innerHTML = '<tr><td colspan="4" class="text-center">جارٍ التحميل...</td></tr>';
+    modal.querySelector('.selective-record').innerHTML = '';
+    modal.querySelector('.selective-select-all').checked = false;
+
+    const result = await window.electronAPI.backupBrowseDiff(selectiveRestore.browseId, selectiveRestore.table, {
+        status: selectiveRestore.status || null,
+        search: selectiveRestore.search,
+        offset: selectiveRestore.offset,
+        limit: SELECTIVE_RESTORE_PAGE_SIZE
+    });
+    if (!result || !result.success) {
+        tbody.innerHTML = `<tr><td colspan="4" class="text-center">${escapeBackupValue((result && result.error) || 'تعذر تحميل السجلات')}</td></tr>`;
+        return;
+    }
+
+    selectiveRestore.total = result.total;
+    selectiveRestore.restorable = result.restorable;
+    const summary = result.summary;
+    modal.querySelector('.selective-summary').innerHTML = Object.entries(SELECTIVE_RESTORE_STATUSES)
+        .map(([status, info]) => `<span class="badge ${info.badge}">${info.label}: ${summary[status]}</span>`)
+        .join(' ') + (result.restorable ? '' : ' <small>(هذا الجدول للعرض فقط)</small>');
+
+    const end = Math.min(selectiveRestore.offset + SELECTIVE_RESTORE_PAGE_SIZE, result.total);
+    modal.querySelector('.selective-page-info').textContent = result.total === 0
+        ? 'لا توجد سجلات'
+        : `${selectiveRestore.offset + 1} - ${end} من ${result.total}`;
+    modal.querySelector('.selective-prev').disabled = selectiveRestore.offset === 0;
+    modal.querySelector('.selective-next').disabled = end >= result.total;
+
+    tbody.innerHTML = '';
+    result.rows.forEach(row => {
+        const info = SELECTIVE_RESTORE_STATUSES[row.status];
+        const canRestore = result.restorable && (row.status === 'missing' || row.status === 'changed');
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td><input type="checkbox" class="selective-row-check" ${canRestore ? '' : 'disabled'}></td>
+            <td><a href="#" class="selective-record-link">${escapeBackupValue(row.label || row.id)}</a></td>
+            <td><span class="badge ${info.badge}">${info.label}</span></td>
+            <td>${escapeBackupValue(row.changedColumns.filter(column => column !== 'updatedAt').join('، '))}</td>
+        `;
+        const checkbox = tr.querySelector('.selective-row-check');
+        checkbox.checked = selectiveRestore.selected.has(String(row.id));
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                selectiveRestore.selected.add(String(row.id));
+            } else {
+                selectiveRestore.selected.delete(String(row.id));
+            }
+            updateSelectiveRestoreButton();
+        });
+        tr.querySelector('.selective-record-link').addEventListener('click', (e) => {
+            e.preventDefault();
+            showSelectiveRestoreRecord(row.id);
+        });
+        tbody.appendChild(tr);
+    });
+    if (result.rows.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="4" class="text-center">لا توجد سجلات</td></tr>';
+    }
+    updateSelectiveRestoreButton();
+}
+
+function updateSelectiveRestoreButton() {
+    const button = document.querySelector('#selectiveRestoreModal .selective-restore-btn');
+    if (button) {
+        button.disabled = selectiveRestore.selected.size === 0;
+        button.textContent = selectiveRestore.selected.size > 0
+            ? `استعادة المحدد (${selectiveRestore.selected.size})`
+            : 'استعادة المحدد';
+    }
+}
+
+// Both versions of one record side by side, with the number of child rows in each
+async function showSelectiveRestoreRecord(id) {
+    const panel = document.querySelector('#selectiveRestoreModal .selective-record');
+    const result = await window.electronAPI.backupBrowseDiff(selectiveRestore.browseId, selectiveRestore.table, { id });
+    if (!result || !result.success || result.rows.length === 0) {
+        panel.textContent = (result && result.error) || 'السجل غير موجود';
+        return;
+    }
+    const row = result.rows[0];
+    const columns = Object.keys(row.backup || row.live);
+    const format = value => (value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+    const childRows = Object.entries(row.children || {}).map(([table, versions]) => `
+        <tr>
+            <td>${escapeBackupValue(table)}</td>
+            <td>${versions.backup.length}</td>
+            <td>${versions.live.length}</td>
+        </tr>
+    `).join('');
+    panel.innerHTML = `
+        <h3>${escapeBackupValue(row.label || row.id)}</h3>
+        <table class="backup-history-table">
+            <thead><tr><th>الحقل</th><th>في النسخة الاحتياطية</th><th>حالياً</th></tr></thead>
+            <tbody>
+                ${columns.map(column => `
+                    <tr class="${row.changedColumns.includes(column) ? 'selective-changed' : ''}">
+                        <td>${escapeBackupValue(column)}</td>
+                        <td>${row.backup ? escapeBackupValue(format(row.backup[column])) : '-'}</td>
+                        <td>${row.live ? escapeBackupValue(format(row.live[column])) : '-'}</td>
+                    </tr>
+                `).join('')}
+                ${childRows}
+            </tbody>
+        </table>
+    `;
+}
+
+function restoreSelectedRows() {
+    const ids = [...selectiveRestore.selected];
+    const tableLabel = SELECTIVE_RESTORE_TABLE_LABELS[selectiveRestore.table] || selectiveRestore.table;
+    showConfirmDialog(
+        `سيتم استعادة ${ids.length} من سجلات ${tableLabel} من النسخة الاحتياطية، وتبقى باقي البيانات الحالية كما هي. هل تريد المتابعة؟`,
+        async () => {
+            try {
+                const result = await window.electronAPI.backupBrowseRestore(selectiveRestore.browseId, selectiveRestore.table, ids);
+                if (!result || !result.success) {
+                    if (window.showToast) {
+                        window.showToast(`فشلت الاستعادة: ${(result && result.error) || 'خطأ غير معروف'}`, 'error');
+                    }
+                    return;
+                }
+                const parts = [`تمت استعادة ${result.restored.length}`];
+                if (result.updated.length > 0) {
+                    parts.push(`وإعادة ${result.updated.length} إلى قيم النسخة`);
+                }
+                if (result.skipped.length > 0) {
+                    parts.push(`وتخطي ${result.skipped.length}: ${[...new Set(result.skipped.map(item => item.reason))].join('، ')}`);
+                }
+                if (window.showToast) {
+                    window.showToast(parts.join(' '), result.skipped.length > 0 ? 'warning' : 'success');
+                }
+                selectiveRestore.selected.clear();
+                await loadSelectiveRestoreRows();
+            } catch (error) {
+                console.error('Error restoring rows from backup:', error);
+                if (window.showToast) {
+                    window.showToast('حدث خطأ أثناء الاستعادة: ' + (error.message || error), 'error');
+                }
+            }
+        }
+    );
+}
+
+function closeSelectiveRestore() {
+    const modal = document.getElementById('selectiveRestoreModal');
+    if (modal) {
+        modal.remove();
+    }
+    if (selectiveRestore) {
+        window.electronAPI.backupBrowseClose(selectiveRestore.browseId);
+        selectiveRestore = null;
+    }
+}
+
+// ============================================================
+// Data Export / Import
+// ============================================================
+
+const DATA_IMPORT_COUNT_LABELS = {
+    new: 'جديد',
+    existing: 'موجود',
+    linked: 'مرتبط بسجل موجود',
+    skipped: 'متخطى',
+    errors: 'أخطاء'
+};
+
+async function exportData(format, btn) {
+    const originalText = btn.textContent;
+    try {
+        btn.disabled = true;
+        btn.textContent = 'جارٍ التصدير...';
+        const result = await window.electronAPI.dataExport();
+        if (!result || !result.success) {
+            if (window.showToast) {
+                window.showToast(`فشل تصدير البيانات: ${(result && result.error) || 'خطأ غير معروف'}`, 'error');
+            }
+            return;
+        }
+        const saved = await window.electronAPI.dataExportSave(result.bundle, format);
+        if (saved && saved.success) {
+            if (window.showToast) {
+                window.showToast(`تم تصدير البيانات إلى: ${saved.path}`, 'success');
+            }
+        } else if (saved && !saved.cancelled && window.showToast) {
+            window.showToast(`فشل حفظ ملف التصدير: ${saved.error || 'خطأ غير معروف'}`, 'error');
+        }
+    } catch (error) {
+        console.error('Error exporting data:', error);
+        if (window.showToast) {
+            window.showToast('حدث خطأ أثناء تصدير البيانات: ' + (error.message || error), 'error');
+        }
+    } finally {
+        btn.disabled = false;
+        btn.textContent = originalText;
+    }
+}
+
+// Read an export file, check it against the current data and show the report before importing
+async function importData() {
+    try {
+        const file = await window.electronAPI.dataImportReadFile();
+        if (!file || !file.success) {
+            if (file && !file.cancelled && window.showToast) {
+                window.showToast(file.error || 'تعذر قراءة الملف', 'error');
+            }
+            return;
+        }
+        const report = await window.electronAPI.dataImport(file.bundle, { dryRun: true });
+        if (!report || !report.success) {
+            if (window.showToast) {
+                window.showToast(`تعذر فحص الملف: ${(report && report.error) || 'خطأ غير معروف'}`, 'error');
+            }
+            return;
+        }
+        showDataImportReport(file, report);
+    } catch (error) {
+        console.error('Error importing data:', error);
+        if (window.showToast) {
+            window.showToast('حدث خطأ أثناء استيراد البيانات: ' + (error.message || error), 'error');
+        }
+    }
+}
+
+function showDataImportReport(file, report) {
+    const newRows = report.tables.reduce((sum, table) => sum + table.new, 0);
+    const canImport = report.errors.length === 0 && newRows > 0;
+    const exportedAt = file.bundle.exportedAt ? new Date(file.bundle.exportedAt).toLocaleString('ar-EG') : '-';
+    const listItems = items => items.map(item => `
+        <li><strong>${escapeBackupValue(SELECTIVE_RESTORE_TABLE_LABELS[item.table] || item.table)} - ${escapeBackupValue(item.label)}:</strong> ${escapeBackupValue(item.message)}</li>
+    `).join('');
+
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+        <div class="modal-content selective-restore-content">
+            <div class="modal-header">
+                <h2 style="margin: 0; font-size: 1.25rem;">فحص ملف الاستيراد</h2>
+                <button class="modal-close">&times;</button>
+            </div>
+            <div class="modal-body" style="padding: 20px;">
+                <p style="margin-top: 0;">${escapeBackupValue(file.fileName)} - تم التصدير في ${escapeBackupValue(exportedAt)}</p>
+                ${report.errors.length > 0 ? `<div class="verification-alert">لا يمكن الاستيراد قبل تصحيح ${report.errors.length} من الأخطاء في الملف</div>` : ''}
+                <div class="table-container">
+                    <table class="backup-history-table">
+                        <thead>
+                            <tr>
+                                <th>الجدول</th>
+                                <th>في الملف</th>
+                                ${Object.values(DATA_IMPORT_COUNT_LABELS).map(label => `<th>${label}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${report.tables.filter(table => table.total > 0).map(table => `
+                                <tr>
+                                    <td>${escapeBackupValue(SELECTIVE_RESTORE_TABLE_LABELS[table.table] || table.table)}</td>
+                                    <td>${table.total}</td>
+                                    ${Object.keys(DATA_IMPORT_COUNT_LABELS).map(key => `<td>${table[key]}</td>`).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                ${report.errors.length > 0 ? `<h3>الأخطاء</h3><ul class="data-import-list">${listItems(report.errors)}</ul>` : ''}
+                ${report.conflicts.length > 0 ? `<h3>التعارضات</h3><ul class="data-import-list">${listItems(report.conflicts)}</ul>` : ''}
+                ${report.warnings.length > 0 ? `<h3>ملاحظات</h3><ul class="data-import-list">${report.warnings.map(warning => `<li>${escapeBackupValue(warning)}</li>`).join('')}</ul>` : ''}
+                <div class="selective-restore-actions">
+                    <small>يضيف الاستيراد السجلات الجديدة فقط، ولا يعدّل السجلات الموجودة. يُنصح بإنشاء نسخة احتياطية قبل الاستيراد.</small>
+                    <button type="button" class="btn btn-secondary data-import-cancel">إلغاء</button>
+                    <button type="button" class="btn btn-primary data-import-confirm" ${canImport ? '' : 'disabled'}>استيراد ${newRows} سجل</button>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    const close = () => modal.remove();
+    modal.querySelector('.modal-close').addEventListener('click', close);
+    modal.querySelector('.data-import-cancel').addEventListener('click', close);
+    modal.querySelector('.data-import-confirm').addEventListener('click', async (e) => {
+        e.target.disabled = true;
+        e.target.textContent = 'جارٍ الاستيراد...';
+        const result = await window.electronAPI.dataImport(file.bundle, { dryRun: false });
+        if (result && result.success && result.imported) {
+            close();
+            if (window.showToast) {
+                window.showToast(`تم استيراد ${newRows} سجل بنجاح`, 'success');
+            }
+        } else {
+            e.target.textContent = 'فشل الاستيراد';
+            if (window.showToast) {
+                window.showToast(`فشل الاستيراد: ${(result && (result.error || (result.errors && result.errors.length > 0 && 'يوجد أخطاء في الملف'))) || 'خطأ غير معروف'}`, 'error');
+            }
+        }
+    });
+}
+
+// Ask for the passphrase of an encrypted backup until it opens or the user cancels
+async function resolveEncryptedRestore(result) {
+    while (result && result.needsPassphrase) {
+        const passphrase = await promptBackupPassphrase(result.hint, result.error);
+        if (!passphrase) {
+            return { success: false, cancelled: true };
+        }
+        result = await window.electronAPI.backupRestore(result.backupPath, passphrase);
+    }
+    return result;
+}
+
+// Passphrase dialog for an encrypted backup; resolves with the text or null when cancelled
+function promptBackupPassphrase(hint, message) {
+    return new Promise(resolve => {
+        const modal = document.createElement('div');
+        modal.className = 'modal active';
+        modal.style.zIndex = '10001';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width: 450px;">
+                <div class="modal-header">
+                    <h2 style="margin: 0; font-size: 1.25rem;">نسخة احتياطية مشفرة</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body settings-card" style="padding: 24px;">
+                    <p class="passphrase-message" style="margin: 0 0 12px 0;"></p>
+                    <p class="passphrase-hint" style="margin: 0 0 12px 0; color: #64748b;"></p>
+                    <div class="form-group">
+                        <input type="password" class="passphrase-input" placeholder="كلمة المرور أو مفتاح الاسترداد">
+                    </div>
+                    <div style="display: flex; gap: 12px; justify-content: flex-end;">
+                        <button class="btn btn-secondary passphrase-cancel" style="min-width: 100px;">إلغاء</button>
+                        <button class="btn btn-primary passphrase-ok" style="min-width: 100px;">متابعة</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        modal.querySelector('.passphrase-message').textContent = message || '';
+        modal.querySelector('.passphrase-hint').textContent = hint ? `التلميح: ${hint}` : '';
+        document.body.appendChild(modal);
+
+        const input = modal.querySelector('.passphrase-input');
+        const close = (value) => {
+            modal.remove();
+            resolve(value);
+        };
+        modal.querySelector('.modal-close').addEventListener('click', () => close(null));
+        modal.querySelector('.passphrase-cancel').addEventListener('click', () => close(null));
+        modal.querySelector('.passphrase-ok').addEventListener('click', () => close(input.value || null));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                close(input.value || null);
+            }
+        });
+        setTimeout(() => input.focus(), 100);
+    });
+}
+
+// Shown once after setting a passphrase: the recovery key is not displayed again
+function showRecoveryKeyDialog(recoveryKey) {
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.style.zIndex = '10001';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 500px;">
+            <div class="modal-header">
+                <h2 style="margin: 0; font-size: 1.25rem;">مفتاح الاسترداد</h2>
+            </div>
+            <div class="modal-body" style="padding: 24px;">
+                <p style="margin: 0;">اكتب هذا المفتاح واحفظه بعيداً عن الجهاز. يفتح النسخ الاحتياطية الجديدة إذا نُسيت كلمة المرور، ولن يظهر مرة أخرى.</p>
+                <code class="recovery-key"></code>
+                <div style="display: flex; justify-content: flex-end;">
+                    <button class="btn btn-primary recovery-key-done" style="min-width: 100px;">تم الحفظ</button>
+                </div>
+            </div>
+        </div>
+    `;
+    modal.querySelector('.recovery-key').textContent = recoveryKey;
+    modal.querySelector('.recovery-key-done').addEventListener('click', () => modal.remove());
+    document.body.appendChild(modal);
+}
+
+// Load Backup Encryption Settings
+async function loadBackupEncryptionSettings() {
+    try {
+        const result = await window.electronAPI.backupGetEncryption();
+        if (!result || !result.success) {
+            return;
+        }
+        document.getElementById('backupEncryptionEnabled').checked = result.enabled;
+        document.getElementById('backupPassphraseHint').value = result.hint || '';
+        document.getElementById('backupEncryptionFields').style.display = result.enabled ? 'block' : 'none';
+
+        let status = result.enabled
+            ? 'النسخ الاحتياطية الجديدة تُشفَّر. لتغيير كلمة المرور أو التلميح أدخل كلمة مرور جديدة واحفظ.'
+            : 'النسخ الاحتياطية الجديدة غير مشفرة.';
+        if (!result.available) {
+            status += ' لا يمكن حفظ كلمة المرور بأمان على هذا الجهاز.';
+        }
+        document.getElementById('backupEncryptionStatus').textContent = status;
+    } catch (error) {
+        console.error('Error loading backup encryption settings:', error);
+    }
+}
+
+// Save Backup Encryption Settings
+async function saveBackupEncryptionSettings() {
+    try {
+        const enabled = document.getElementById('backupEncryptionEnabled').checked;
+        const passphrase = document.getElementById('backupPassphrase').value;
+        const confirmation = document.getElementById('backupPassphraseConfirm').value;
+        const hint = document.getElementById('backupPassphraseHint').value.trim();
+
+        if (enabled && passphrase !== confirmation) {
+            if (window.showToast) {
+                window.showToast('كلمتا المرور غير متطابقتين', 'error');
+            }
+            return;
+        }
+
+        const result = await window.electronAPI.backupSetEncryption({ enabled, passphrase, hint });
+        if (result.success) {
+            document.getElementById('backupPassphrase').value = '';
+            document.getElementById('backupPassphraseConfirm').value = '';
+            if (window.showToast) {
+                window.showToast(enabled ? 'تم حفظ كلمة مرور النسخ الاحتياطية' : 'تم إيقاف تشفير النسخ الاحتياطية', 'success');
+            }
+            if (result.recoveryKey) {
+                showRecoveryKeyDialog(result.recoveryKey);
+            }
+            await loadBackupEncryptionSettings();
+        } else if (window.showToast) {
+            window.showToast('فشل حفظ إعدادات التشفير: ' + (result.error || 'خطأ غير معروف'), 'error');
+        }
+    } catch (error) {
+        console.error('Error saving backup encryption settings:', error);
+        if (window.showToast) {
+            window.showToast('حدث خطأ أثناء حفظ إعدادات التشفير: ' + error.message, 'error');
+        }
+    }
+}
+
+// Retention policy inputs: an empty field keeps every period of that tier
+const RETENTION_INPUTS = {
+    daily: 'retentionDaily',
+    weekly: 'retentionWeekly',
+    monthly: 'retentionMonthly',
+    yearly: 'retentionYearly'
+};
+
+const RETENTION_TIER_NAMES = {
+    daily: 'يومي',
+    weekly: 'أسبوعي',
+    monthly: 'شهري',
+    yearly: 'سنوي',
+    latest: 'الأحدث'
+};
+
+function setRetentionInputs(retention) {
+    Object.entries(RETENTION_INPUTS).forEach(([tier, inputId]) => {
+        const value = retention[tier];
+        document.getElementById(inputId).value = value === null || value === undefined ? '' : value;
+    });
+}
+
+function getRetentionInputs() {
+    const retention = {};
+    Object.entries(RETENTION_INPUTS).forEach(([tier, inputId]) => {
+        const value = document.getElementById(inputId).value.trim();
+        retention[tier] = value === '' ? null : Math.max(0, parseInt(value, 10) || 0);
+    });
+    return retention;
+}
+
+// Show which backups the policy in the form keeps and which it would delete
+async function previewRetention() {
+    const container = document.getElementById('retentionPreview');
+    try {
+        const result = await window.electronAPI.backupPreviewRetention(getRetentionInputs());
+        if (!result || !result.success) {
+            throw new Error((result && result.error) || 'خطأ غير معروف');
+        }
+        container.style.display = 'block';
+        if (result.files.length === 0) {
+            container.textContent = 'لا توجد نسخ احتياطية في مجلد الحفظ';
+            return;
+        }
+
+        const removedCount = result.files.filter(file => !file.keep).length;
+        const summary = document.createElement('div');
+        summary.className = 'retention-summary';
+        summary.textContent = `${result.files.length} نسخة في ${result.backupDir}: يُحتفظ بـ ${result.files.length - removedCount} وتُحذف ${removedCount} عند النسخ التلقائي القادم`;
+
+        const table = document.createElement('table');
+        table.className = 'backup-history-table';
+        table.innerHTML = '<thead><tr><th>التاريخ</th><th>الملف</th><th>الحجم</th><th>الحالة</th></tr></thead><tbody></tbody>';
+        const tbody = table.querySelector('tbody');
+        result.files.forEach(file => {
+            const row = document.createElement('tr');
+            if (!file.keep) {
+                row.className = 'removed';
+            }
+            const status = file.keep
+                ? `<span class="badge badge-success">يُحتفظ بها (${file.keptFor.map(tier => RETENTION_TIER_NAMES[tier]).join('، ')})</span>`
+                : '<span class="badge badge-danger">ستُحذف</span>';
+            row.innerHTML = `
+                <td>${new Date(file.date).toLocaleString('ar-EG')}</td>
+                <td></td>
+                <td>${formatFileSize(file.size || 0)}</td>
+                <td>${status}</td>
+            `;
+            row.children[1].textContent = file.name;
+            tbody.appendChild(row);
+        });
+
+        container.innerHTML = '';
+        container.appendChild(summary);
+        container.appendChild(table);
+    } catch (error) {
+        console.error('Error previewing backup retention:', error);
+        if (window.showToast) {
+            window.showToast('فشل معاينة سياسة الاحتفاظ: ' + error.message, 'error');
+        }
+    }
+}
+
 // Format File Size
 function formatFileSize(bytes) {
     if (bytes === 0) return '0 Bytes';
@@ -0,0 +1,200 @@
+// Edit conflict dialog (optimistic concurrency)
+// Saves send the updatedAt of the record as it was when the edit modal opened.
+// If the record was changed by another window or user in the meantime, the main
+// process rejects the save with {conflict: true, current} and this dialog lets the
+// user merge the two versions, reload the saved copy, or keep their own changes.
+
+// Values compared as strings so 5 and '5' (or null and '') count as the same
+function isSameConflictValue(a, b) {
+    const normalize = (value) => (value === null || value === undefined ? '' : String(value).trim());
+    return normalize(a) === normalize(b);
+}
+
+/**
+ * Three-way merge of an edited record.
+ * Fields changed only by the user keep the user's value, fields changed only on the
+ * server keep the server value, and fields changed on both sides are conflicts.
+ * @param {Object} base - Record as it was when the edit started
+ * @param {Object} mine - Values the user is saving
+ * @param {Object} theirs - Current record in the database
+ * @param {Array<{key: string, label: string}>} fields - Editable fields
+ * @returns {{merged: Object, conflicts: Array<{key: string, label: string, mine: *, theirs: *}>, theirsChanged: Array<{key: string, label: string, theirs: *}>}}
+ */
+function mergeRecordChanges(base, mine, theirs, fields) {
+    const merged = { ...theirs };
+    const conflicts = [];
+    const theirsChanged = [];
+    const original = base || {};
+
+    fields.forEach(({ key, label }) => {
+        const mineChanged = !isSameConflictValue(mine[key], original[key]);
+        const theirsChangedField = !isSameConflictValue(theirs[key], original[key]);
+        if (mineChanged && theirsChangedField && !isSameConflictValue(mine[key], theirs[key])) {
+            conflicts.push({ key, label, mine: mine[key], theirs: theirs[key] });
+            merged[key] = mine[key];
+        } else if (mineChanged) {
+            merged[key] = mine[key];
+        } else if (theirsChangedField) {
+            theirsChanged.push({ key, label, theirs: theirs[key] });
+        }
+    });
+
+    return { merged, conflicts, theirsChanged };
+}
+
+function escapeConflictValue(value) {
+    if (value === null || value === undefined || value === '') {
+        return '<span style="color: var(--text-secondary, #94a3b8);">—</span>';
+    }
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Show the merge/reload dialog for a rejected save.
+ * Resolves with one of:
+ *   {action: 'merge', data}  - save data (server copy + user's changes + chosen values)
+ *   {action: 'reload'}       - discard the user's changes and reload the saved copy
+ *   {action: 'cancel'}       - keep the modal open without saving
+ * Records with line items (invoices) cannot be merged field by field; pass
+ * allowMerge: false to offer "save my version" instead.
+ * @param {Object} options - {title, base, mine, theirs, fields, allowMerge = true, deleted = false}
+ * @returns {Promise<{action: string, data?: Object}>}
+ */
+function showConflictDialog({ title = 'تعارض في التعديل', base, mine, theirs, fields, allowMerge = true, deleted = false }) {
+    return new Promise((resolve) => {
+        const { merged, conflicts, theirsChanged } = deleted
+            ? { merged: null, conflicts: [], theirsChanged: [] }
+            : mergeRecordChanges(base, mine, theirs, fields);
+
+        // Only fields outside the form changed (e.g. balance or stock): nothing to ask
+        if (!deleted && allowMerge && conflicts.length === 0 && theirsChanged.length === 0) {
+            resolve({ action: 'merge', data: merged });
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'modal active';
+        modal.style.zIndex = '10002';
+
+        const modalContent = document.createElement('div');
+        modalContent.className = 'modal-content';
+        modalContent.style.maxWidth = '640px';
+
+        const modalHeader = document.createElement('div');
+        modalHeader.className = 'modal-header';
+        modalHeader.innerHTML = `
+            <h2 style="margin: 0; font-size: 1.25rem;">⚠️ ${escapeConflictValue(title)}</h2>
+            <button class="modal-close">&times;</button>
+        `;
+
+        const modalBody = document.createElement('div');
+        modalBody.className = 'modal-body';
+        modalBody.style.padding = '24px';
+
+        let bodyHtml;
+        if (deleted) {
+            bodyHtml = '<p style="margin: 0 0 16px 0; line-height: 1.6;">تم حذف هذا السجل من مستخدم أو نافذة أخرى بعد فتحه، لذلك لا يمكن حفظ التعديلات.</p>';
+        } else {
+            bodyHtml = '<p style="margin: 0 0 16px 0; line-height: 1.6;">تم تعديل هذا السجل من مستخدم أو نافذة أخرى بعد فتحه.</p>';
+            if (conflicts.length > 0) {
+                bodyHtml += `
+                    <p style="margin: 0 0 8px 0; font-weight: 600;">حقول تم تعديلها من الطرفين${allowMerge ? ' (اختر القيمة المطلوبة)' : ''}:</p>
+                    <table class="conflict-table" style="width: 100%; border-collapse: collapse; margin-bottom: 16px;">
+                        <thead>
+                            <tr>
+                                <th style="text-align: right; padding: 6px;">الحقل</th>
+                                <th style="text-align: right; padding: 6px;">قيمتك</th>
+                                <th style="text-align: right; padding: 6px;">القيمة المحفوظة</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${conflicts.map(field => `
+                                <tr>
+                                    <td style="padding: 6px;">${escapeConflictValue(field.label)}</td>
+                                    <td style="padding: 6px;">
+                                        <label>${allowMerge ? `<input type="radio" name="conflict_${field.key}" value="mine" checked> ` : ''}${escapeConflictValue(field.mine)}</label>
+                                    </td>
+                                    <td style="padding: 6px;">
+                                        <label>${allowMerge ? `<input type="radio" name="conflict_${field.key}" value="theirs"> ` : ''}${escapeConflictValue(field.theirs)}</label>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `;
+            }
+            if (theirsChanged.length > 0) {
+                bodyHtml += `
+                    <p style="margin: 0 0 8px 0; font-weight: 600;">تعديلات الطرف الآخر${allowMerge ? ' (سيتم الاحتفاظ بها)' : ''}:</p>
+                    <ul style="margin: 0 0 16px 0; padding-right: 20px;">
+                        ${theirsChanged.map(field => `<li>${escapeConflictValue(field.label)}: ${escapeConflictValue(field.theirs)}</li>`).join('')}
+                    </ul>
+                `;
+            }
+        }
+        modalBody.innerHTML = bodyHtml;
+
+        const buttonsDiv = document.createElement('div');
+        buttonsDiv.style.display = 'flex';
+        buttonsDiv.style.gap = '12px';
+        buttonsDiv.style.justifyContent = 'flex-end';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'btn btn-secondary';
+        cancelBtn.textContent = 'إلغاء';
+
+        const reloadBtn = document.createElement('button');
+        reloadBtn.className = 'btn btn-secondary';
+        reloadBtn.textContent = deleted ? 'إغلاق' : 'تحميل النسخة المحفوظة';
+
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'btn btn-primary';
+        saveBtn.textContent = allowMerge ? 'حفظ بعد الدمج' : 'حفظ تعديلاتي';
+
+        buttonsDiv.appendChild(cancelBtn);
+        buttonsDiv.appendChild(reloadBtn);
+        if (!deleted) {
+            buttonsDiv.appendChild(saveBtn);
+        }
+        modalBody.appendChild(buttonsDiv);
+
+        modalContent.appendChild(modalHeader);
+        modalContent.appendChild(modalBody);
+        modal.appendChild(modalContent);
+        document.body.appendChild(modal);
+
+        const close = (result) => {
+            modal.remove();
+            resolve(result);
+        };
+
+        modalHeader.querySelector('.modal-close').addEventListener('click', () => close({ action: 'cancel' }));
+        cancelBtn.addEventListener('click', () => close({ action: 'cancel' }));
+        reloadBtn.addEventListener('click', () => close({ action: 'reload' }));
+        saveBtn.addEventListener('click', () => {
+            if (!allowMerge) {
+                close({ action: 'merge', data: { ...mine } });
+                return;
+            }
+            const data = { ...merged };
+            conflicts.forEach(field => {
+                const choice = modalBody.querySelector(`input[name="conflict_${field.key}"]:checked`);
+                data[field.key] = choice && choice.value === 'theirs' ? field.theirs : field.mine;
+            });
+            close({ action: 'merge', data });
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                close({ action: 'cancel' });
+            }
+        });
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { mergeRecordChanges, isSameConflictValue };
+}
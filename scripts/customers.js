@@ -61,23 +61,69 @@ let customers = [];
 let invoices = [];
 
 // Pagination & Filter State
+// customers holds only the page on screen; filtering, sorting and paging run in the database (db-search)
 let currentPage = 1;
 const itemsPerPage = 20;
-let filteredCustomers = [];
+let totalCustomersCount = 0;
+// Customer as it was when the edit modal opened (base of the edit conflict check)
+let editingCustomerBase = null;
+
+// Editable customer fields: record key -> form input (used by the edit conflict dialog)
+const CUSTOMER_FORM_FIELDS = [
+    { key: 'code', label: 'كود العميل', inputId: 'customerCode' },
+    { key: 'name', label: 'اسم العميل', inputId: 'customerName' },
+    { key: 'phone', label: 'رقم الهاتف', inputId: 'phone' },
+    { key: 'address', label: 'العنوان', inputId: 'address' },
+    { key: 'status', label: 'الحالة', inputId: 'status' },
+    { key: 'notes', label: 'ملاحظات', inputId: 'notes' }
+];
 
 // Load data on page load
 document.addEventListener('DOMContentLoaded', async () => {
     await loadData();
     initializeEventListeners();
-    applyFilters();
+    // Opened from the global search in the top bar: list and open that record
+    const searchTarget = getGlobalSearchTarget();
+    if (searchTarget) {
+        document.getElementById('searchInput').value = searchTarget.search;
+    }
+    await applyFilters();
+    if (searchTarget) {
+        viewCustomerDetails(searchTarget.id);
+    }
     await checkInactiveCustomers();
     
     // Check inactive customers every hour
     setInterval(async () => {
         await checkInactiveCustomers();
     }, 3600000); // 1 hour
+
+    // Keep the list current when customers are changed in another window or PC
+    onDataChanged(['customers'], refreshCustomersAfterChanges);
 });
 
+// Update the rows on screen in place; reload the page when rows may have moved in or out of it
+async function refreshCustomersAfterChanges(changes) {
+    const { updatedIds, rowsAddedOrRemoved } = summarizeDataChanges(changes, 'customers');
+    const filtered = document.getElementById('statusFilter').value || document.getElementById('balanceFilter').value;
+    if (rowsAddedOrRemoved || filtered) {
+        await loadCustomersPage();
+        return;
+    }
+    const shown = customers.filter(customer => updatedIds.has(customer.id));
+    if (shown.length === 0) {
+        return;
+    }
+    const fresh = await Promise.all(shown.map(customer => window.electronAPI.dbGet('customers', customer.id)));
+    if (fresh.some(row => !row)) {
+        await loadCustomersPage();
+        return;
+    }
+    const byId = new Map(fresh.map(row => [row.id, row]));
+    customers = customers.map(customer => byId.get(customer.id) || customer);
+    renderCustomers();
+}
+
 // Initialize Event Listeners
 function initializeEventListeners() {
     // Add Customer Button
@@ -93,6 +139,11 @@ function initializeEventListeners() {
         });
     }
 
+    // Import from Excel / CSV
+    document.getElementById('importCustomersBtn').addEventListener('click', () => {
+        openRecordImportWizard('customers', { onImported: applyFilters });
+    });
+
     // Modal Close Buttons
     document.getElementById('closeModal').addEventListener('click', closeModal);
     document.getElementById('closeDetailsModal').addEventListener('click', closeDetailsModal);
@@ -102,32 +153,28 @@ function initializeEventListeners() {
     document.getElementById('customerForm').addEventListener('submit', handleFormSubmit);
 
     // Search and Filters
+    let searchTimeout = null;
     document.getElementById('searchInput').addEventListener('input', () => {
-        currentPage = 1;
-        applyFilters();
-    });
-    document.getElementById('statusFilter').addEventListener('change', () => {
-        currentPage = 1;
-        applyFilters();
-    });
-    document.getElementById('balanceFilter').addEventListener('change', () => {
-        currentPage = 1;
-        applyFilters();
+        // Wait for the user to stop typing before querying the database
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(applyFilters, 300);
     });
+    document.getElementById('statusFilter').addEventListener('change', applyFilters);
+    document.getElementById('balanceFilter').addEventListener('change', applyFilters);
 
     // Pagination Event Listeners
     document.getElementById('prevPageBtn').addEventListener('click', () => {
         if (currentPage > 1) {
             currentPage--;
-            applyFilters();
+            loadCustomersPage();
         }
     });
     
     document.getElementById('nextPageBtn').addEventListener('click', () => {
-        const totalPages = Math.ceil(filteredCustomers.length / itemsPerPage);
+        const totalPages = Math.ceil(totalCustomersCount / itemsPerPage);
         if (currentPage < totalPages) {
             currentPage++;
-            applyFilters();
+            loadCustomersPage();
         }
     });
 
@@ -148,17 +195,13 @@ function initializeEventListeners() {
 // Load Data from Database
 async function loadData() {
     // Try to load from database first
-    if (window.electronAPI && window.electronAPI.dbGetAll) {
+    if (window.electronAPI && window.electronAPI.dbSearch) {
         try {
-            customers = await window.electronAPI.dbGetAll('customers', '', []);
-            // Don't load all invoices on startup - load only when needed (for performance on weak devices)
+            // Customers are loaded a page at a time by loadCustomersPage()
             // Invoices will be loaded on demand when viewing customer details
+            customers = [];
             invoices = [];
             
-            // Ensure arrays
-            customers = Array.isArray(customers) ? customers : [];
-            invoices = Array.isArray(invoices) ? invoices : [];
-            
             // Ensure cash customer exists
             await ensureCashCustomer();
             
@@ -203,12 +246,8 @@ async function ensureCashCustomer() {
                 
                 if (window.electronAPI && window.electronAPI.dbInsert) {
                     await window.electronAPI.dbInsert('customers', newCashCustomer);
-                    customers.push(newCashCustomer);
                     console.log('[Customers] Cash customer created successfully');
                 }
-            } else {
-                // Add to local array if exists in DB but not in local
-                customers.push(dbCustomers[0]);
             }
         }
     } catch (error) {
@@ -218,7 +257,9 @@ async function ensureCashCustomer() {
 
 // Recalculate all customer balances from invoices
 async function recalculateAllCustomerBalances() {
-    for (const customer of customers) {
+    const result = await window.electronAPI.dbSearch('customers', { columns: ['id'] });
+    const allCustomers = result && result.success ? result.rows : customers;
+    for (const customer of allCustomers) {
         await recalculateCustomerBalanceFromInvoices(customer.id);
     }
     await saveCustomers();
@@ -281,7 +322,11 @@ async function updateCustomerFirstTransactionDate(customerId) {
 
 // Recalculate customer balance from invoices
 async function recalculateCustomerBalanceFromInvoices(customerId) {
-    const customer = customers.find(c => c.id === customerId);
+    // The customer may be on another page than the one loaded
+    let customer = customers.find(c => c.id === customerId);
+    if (!customer && window.electronAPI && window.electronAPI.dbGet) {
+        customer = await window.electronAPI.dbGet('customers', customerId);
+    }
     if (!customer) return;
     
     try {
@@ -297,10 +342,7 @@ async function recalculateCustomerBalanceFromInvoices(customerId) {
         }
         
         // Calculate: sum of all remaining amounts from all invoices (all invoices are included in balance)
-        let totalRemaining = 0;
-        customerInvoices.forEach(invoice => {
-            totalRemaining += parseFloat(invoice.remaining || 0);
-        });
+        const totalRemaining = Money.sum(customerInvoices, invoice => invoice.remaining);
         
         // Get all receipts for this customer from database
         let customerReceipts = [];
@@ -314,10 +356,7 @@ async function recalculateCustomerBalanceFromInvoices(customerId) {
         }
         
         // Calculate: sum of all receipt amounts (receipts reduce customer debt)
-        let totalReceipts = 0;
-        customerReceipts.forEach(receipt => {
-            totalReceipts += parseFloat(receipt.amount || 0);
-        });
+        const totalReceipts = Money.sum(customerReceipts, receipt => receipt.amount);
         
         // Get all returns from customers (returns reduce customer debt)
         let customerReturns = [];
@@ -335,17 +374,14 @@ async function recalculateCustomerBalanceFromInvoices(customerId) {
         }
         
         // Calculate: sum of all return amounts (returns reduce customer debt)
-        let totalReturns = 0;
-        customerReturns.forEach(ret => {
-            totalReturns += parseFloat(ret.totalAmount || 0);
-        });
+        const totalReturns = Money.sum(customerReturns, ret => ret.totalAmount);
         
         // Get current balance (should not recalculate - balance is updated directly by transactions)
         // This function is kept for backward compatibility but should not be used for normal operations
         // Balance is now updated directly: balance = currentBalance + invoiceRemaining (for new invoice)
         // or balance = currentBalance + (newRemaining - oldRemaining) (for edit)
         // For receipts: balance = currentBalance - receiptAmount
-        // الرصيد في قاعدة البيانات محفوظ بالجنيه المصري مباشرة
+        // الرصيد يصل من قاعدة البيانات بالجنيه المصري
         const balance = parseFloat(customer.balance || 0);
         
         customer.balance = balance;
@@ -366,7 +402,7 @@ async function recalculateCustomerBalanceFromInvoices(customerId) {
         
         // Update customer in database
         if (window.electronAPI && window.electronAPI.dbUpdate) {
-            // الرصيد يُحفظ بالجنيه المصري مباشرة في قاعدة البيانات
+            // المبالغ هنا بالجنيه المصري، وقاعدة البيانات تحولها إلى قروش عند الحفظ
             customer.balance = balance;
             customer.lastTransactionDate = customer.lastTransactionDate || null;
             customer.updatedAt = new Date().toISOString();
@@ -388,16 +424,13 @@ async function saveCustomers() {
 
 // Generate Customer Code
 async function generateCustomerCode() {
-    if (window.electronAPI && window.electronAPI.dbGetAll) {
+    if (window.electronAPI && window.electronAPI.dbQuery) {
         try {
-            // Get all customers to find highest counter
-            const allCustomers = await window.electronAPI.dbGetAll('customers', '', []);
-            const codes = allCustomers.map(c => c.code).filter(code => code && code.startsWith('CUST-'));
-            const numbers = codes.map(code => {
-                const match = code.match(/CUST-(\d+)/);
-                return match ? parseInt(match[1]) : 0;
-            });
-            const maxNumber = numbers.length > 0 ? Math.max(...numbers) : 0;
+            // Highest CUST- counter, read in the database instead of loading every customer
+            const result = await window.electronAPI.dbQuery(
+                "SELECT MAX(CAST(SUBSTR(code, 6) AS INTEGER)) as maxNumber FROM customers WHERE code LIKE 'CUST-%'"
+            );
+            const maxNumber = Array.isArray(result) && result[0] ? (result[0].maxNumber || 0) : 0;
             const counter = maxNumber + 1;
             
             // Format: CUST-00001
@@ -485,10 +518,23 @@ async function openAddModal() {
 }
 
 // Open Edit Modal
-function openEditModal(customerId) {
+async function openEditModal(customerId) {
     const customer = customers.find(c => c.id === customerId);
     if (!customer) return;
 
+    // Start from the saved copy: its updatedAt is what the save is checked against
+    if (window.electronAPI && window.electronAPI.dbGet) {
+        try {
+            const savedCustomer = await window.electronAPI.dbGet('customers', customerId);
+            if (savedCustomer) {
+                Object.assign(customer, savedCustomer);
+            }
+        } catch (error) {
+            console.error('Error loading customer for edit:', error);
+        }
+    }
+    editingCustomerBase = { ...customer };
+
     const modal = document.getElementById('customerModal');
     const form = document.getElementById('customerForm');
     const title = document.getElementById('modalTitle');
@@ -503,7 +549,7 @@ function openEditModal(customerId) {
     document.getElementById('customerName').value = customer.name;
     document.getElementById('phone').value = customer.phone || '';
     document.getElementById('address').value = customer.address || '';
-    // الرصيد في قاعدة البيانات محفوظ بالجنيه المصري مباشرة
+    // الرصيد يصل من قاعدة البيانات بالجنيه المصري
     const balance = parseFloat(customer.balance) || 0;
     document.getElementById('currentBalance').value = balance;
     document.getElementById('status').value = customer.status || 'active';
@@ -591,6 +637,40 @@ function closeDetailsModal() {
     document.getElementById('detailsModal').classList.remove('active');
 }
 
+// Save rejected because the customer was changed elsewhere: merge, reload or cancel
+async function resolveCustomerEditConflict(customerId, customerData, conflictResult) {
+    const resolution = await showConflictDialog({
+        title: 'تم تعديل بيانات العميل من مكان آخر',
+        base: editingCustomerBase,
+        mine: customerData,
+        theirs: conflictResult.current,
+        fields: CUSTOMER_FORM_FIELDS,
+        deleted: conflictResult.deleted
+    });
+
+    if (conflictResult.deleted) {
+        if (resolution.action !== 'cancel') {
+            customers = customers.filter(c => c.id !== customerId);
+            await loadCustomersPage();
+            closeModal();
+        }
+        return;
+    }
+
+    // openEditModal refreshes the local copy from the database
+    if (resolution.action === 'reload') {
+        await openEditModal(customerId);
+        renderCustomers();
+    } else if (resolution.action === 'merge') {
+        // Re-open on the current copy, put the merged values in the form and save again
+        await openEditModal(customerId);
+        CUSTOMER_FORM_FIELDS.forEach(field => {
+            document.getElementById(field.inputId).value = resolution.data[field.key] ?? '';
+        });
+        document.getElementById('customerForm').requestSubmit();
+    }
+}
+
 // Handle Form Submit
 async function handleFormSubmit(e) {
     e.preventDefault();
@@ -636,12 +716,9 @@ async function handleFormSubmit(e) {
         // Also check in database to ensure no duplicates
         if (window.electronAPI && window.electronAPI.dbGetAll) {
             try {
-                const allCustomers = await window.electronAPI.dbGetAll('customers', '', []);
-                const dbDuplicate = Array.isArray(allCustomers) ? allCustomers.find(c => 
-                    c && c.id !== customerId && 
-                    c.name && c.name.toLowerCase().trim() === customerData.name.toLowerCase().trim()
-                ) : null;
-                if (dbDuplicate) {
+                const dbDuplicates = await window.electronAPI.dbGetAll('customers', 'LOWER(TRIM(name)) = ? AND id != ?',
+                    [customerData.name.toLowerCase().trim(), customerId || '']);
+                if (Array.isArray(dbDuplicates) && dbDuplicates.length > 0) {
                     showMessage('يوجد عميل آخر بنفس الاسم. يرجى اختيار اسم مختلف', 'error');
                     return;
                 }
@@ -684,7 +761,14 @@ async function handleFormSubmit(e) {
             if (window.electronAPI && window.electronAPI.dbUpdate) {
                 // Note: For updates, we don't change createdBy (it should remain the original creator)
                 // But we could add updatedBy if needed in the future
-                const updateResult = await window.electronAPI.dbUpdate('customers', customerId, customerData);
+                const updateResult = await window.electronAPI.dbUpdate('customers', customerId, customerData,
+                    editingCustomerBase ? editingCustomerBase.updatedAt : null);
+                
+                // Changed elsewhere since the modal opened
+                if (updateResult && updateResult.conflict) {
+                    await resolveCustomerEditConflict(customerId, customerData, updateResult);
+                    return;
+                }
                 
                 // Check if update was successful
                 if (!updateResult || !updateResult.success) {
@@ -693,6 +777,7 @@ async function handleFormSubmit(e) {
                     showMessage('فشل تحديث العميل في قاعدة البيانات: ' + errorMsg, 'error');
                     return; // Don't continue if database update failed
                 }
+                customerData.updatedAt = updateResult.updatedAt || customerData.updatedAt;
             } else {
                 console.warn('Database API not available, updating localStorage only');
                 showMessage('تحذير: قاعدة البيانات غير متاحة، تم التحديث في الذاكرة المحلية فقط', 'warning');
@@ -720,11 +805,9 @@ async function handleFormSubmit(e) {
             // Also check in database to ensure no duplicates
             if (window.electronAPI && window.electronAPI.dbGetAll) {
                 try {
-                    const allCustomers = await window.electronAPI.dbGetAll('customers', '', []);
-                    const dbDuplicate = Array.isArray(allCustomers) ? allCustomers.find(c => 
-                        c && c.name && c.name.toLowerCase().trim() === customerData.name.toLowerCase().trim()
-                    ) : null;
-                    if (dbDuplicate) {
+                    const dbDuplicates = await window.electronAPI.dbGetAll('customers', 'LOWER(TRIM(name)) = ?',
+                        [customerData.name.toLowerCase().trim()]);
+                    if (Array.isArray(dbDuplicates) && dbDuplicates.length > 0) {
                         showMessage('يوجد عميل آخر بنفس الاسم. يرجى اختيار اسم مختلف', 'error');
                         return;
                     }
@@ -736,8 +819,10 @@ async function handleFormSubmit(e) {
             
             customerData.id = Date.now().toString();
             // Set initial balance to current balance entered by user (بالجنيه المصري)
-            // الرصيد يُحفظ بالجنيه المصري مباشرة في قاعدة البيانات
+            // المبالغ هنا بالجنيه المصري، وقاعدة البيانات تحولها إلى قروش عند الحفظ
             customerData.balance = currentBalance || 0;
+            // Kept as entered: the consistency check recomputes the balance from it and the documents
+            customerData.openingBalance = customerData.balance;
             customerData.firstTransactionDate = null; // Will be set when first transaction occurs
             
             // Insert in database
@@ -786,8 +871,7 @@ async function handleFormSubmit(e) {
         
         // Save to localStorage as backup
         await saveCustomers();
-        currentPage = 1;
-        applyFilters();
+        await loadCustomersPage();
         closeModal();
         
         // Show success message
@@ -939,16 +1023,18 @@ async function proceedWithDeletion(customerId) {
             }
         }
         
-        // Delete from database
-        if (window.electronAPI && window.electronAPI.dbDelete) {
-            await window.electronAPI.dbDelete('customers', customerId);
+        // Move to the recycle bin
+        if (window.electronAPI && window.electronAPI.recycleBinDelete) {
+            const deleteResult = await window.electronAPI.recycleBinDelete('customers', customerId);
+            if (!deleteResult || deleteResult.success === false) {
+                throw new Error((deleteResult && deleteResult.error) || 'خطأ غير معروف');
+            }
         }
         
         // Remove from local array
         customers = customers.filter(c => c.id !== customerId);
         await saveCustomers();
-        currentPage = 1;
-        applyFilters();
+        await loadCustomersPage();
         showMessage('تم حذف العميل بنجاح', 'success');
     } catch (error) {
         console.error('Error deleting customer:', error);
@@ -1022,51 +1108,72 @@ function viewCustomerDetails(customerId) {
     document.getElementById('detailsModal').classList.add('active');
 }
 
-// Render Customers Table
-// Apply Filters
-function applyFilters() {
-    // Get filters
-    const searchTerm = document.getElementById('searchInput').value.toLowerCase();
+// Search options for the current search box and filters
+function getCustomerSearchOptions() {
+    const searchTerm = document.getElementById('searchInput').value.trim();
     const statusFilter = document.getElementById('statusFilter').value;
     const balanceFilter = document.getElementById('balanceFilter').value;
 
-    // Filter customers
-    filteredCustomers = customers.filter(customer => {
-        const matchSearch = !searchTerm || 
-            customer.name.toLowerCase().includes(searchTerm) ||
-            customer.code.toLowerCase().includes(searchTerm) ||
-            (customer.phone && customer.phone.includes(searchTerm));
-        
-        const matchStatus = !statusFilter || customer.status === statusFilter;
-
-        // Balance filter
-        let matchBalance = true;
-        if (balanceFilter) {
-            const balance = parseFloat(customer.balance) || 0;
-            switch (balanceFilter) {
-                case 'high':
-                    matchBalance = balance > 10000;
-                    break;
-                case 'medium':
-                    matchBalance = balance > 5000 && balance <= 10000;
-                    break;
-                case 'low':
-                    matchBalance = balance > 0 && balance <= 5000;
-                    break;
-                case 'zero':
-                    matchBalance = balance === 0;
-                    break;
-                case 'negative':
-                    matchBalance = balance < 0;
-                    break;
-            }
-        }
+    const filters = [];
+    if (statusFilter) {
+        filters.push({ column: 'status', op: '=', value: statusFilter });
+    }
 
-        return matchSearch && matchStatus && matchBalance;
-    });
+    // Balance filter (amounts in EGP)
+    switch (balanceFilter) {
+        case 'high':
+            filters.push({ column: 'balance', op: '>', value: 10000 });
+            break;
+        case 'medium':
+            filters.push({ column: 'balance', op: '>', value: 5000 }, { column: 'balance', op: '<=', value: 10000 });
+            break;
+        case 'low':
+            filters.push({ column: 'balance', op: '>', value: 0 }, { column: 'balance', op: '<=', value: 5000 });
+            break;
+        case 'zero':
+            filters.push({ column: 'balance', op: '=', value: 0 });
+            break;
+        case 'negative':
+            filters.push({ column: 'balance', op: '<', value: 0 });
+            break;
+    }
 
-    // Render paginated customers
+    return {
+        filters,
+        search: { text: searchTerm, columns: ['name', 'code', 'phone'] },
+        sort: { column: 'createdAt', direction: 'desc' }
+    };
+}
+
+// Apply Filters (back to the first page)
+async function applyFilters() {
     currentPage = 1;
+    await loadCustomersPage();
+}
+
+// Load the current page of customers from the database
+async function loadCustomersPage() {
+    if (!window.electronAPI || !window.electronAPI.dbSearch) {
+        return;
+    }
+    try {
+        const result = await window.electronAPI.dbSearch('customers', {
+            ...getCustomerSearchOptions(),
+            page: currentPage,
+            pageSize: itemsPerPage
+        });
+        if (!result || !result.success) {
+            throw new Error((result && result.error) || 'خطأ غير معروف');
+        }
+        customers = result.rows;
+        totalCustomersCount = result.total;
+        currentPage = result.page;
+    } catch (error) {
+        console.error('Error loading customers page:', error);
+        showMessage('خطأ في تحميل العملاء: ' + error.message, 'error');
+        customers = [];
+        totalCustomersCount = 0;
+    }
     renderCustomers();
 }
 
@@ -1078,7 +1185,7 @@ function renderCustomers() {
     // Clear table
     tbody.innerHTML = '';
 
-    if (filteredCustomers.length === 0) {
+    if (totalCustomersCount === 0) {
         emptyState.classList.remove('hidden');
         paginationContainer.classList.add('hidden');
         return;
@@ -1087,11 +1194,11 @@ function renderCustomers() {
     emptyState.classList.add('hidden');
     paginationContainer.classList.remove('hidden');
 
-    // Calculate pagination
-    const totalPages = Math.ceil(filteredCustomers.length / itemsPerPage);
+    // Calculate pagination (customers is already the current page)
+    const totalPages = Math.ceil(totalCustomersCount / itemsPerPage);
     const startIndex = (currentPage - 1) * itemsPerPage;
-    const endIndex = Math.min(startIndex + itemsPerPage, filteredCustomers.length);
-    const paginatedCustomers = filteredCustomers.slice(startIndex, endIndex);
+    const endIndex = startIndex + customers.length;
+    const paginatedCustomers = customers;
     
     // Get current logged-in user type
     const currentUserType = localStorage.getItem('asel_userType') || '';
@@ -1099,7 +1206,7 @@ function renderCustomers() {
     
     // Update pagination info
     document.getElementById('paginationInfo').textContent = 
-        `عرض ${startIndex + 1} - ${endIndex} من ${filteredCustomers.length}`;
+        `عرض ${startIndex + 1} - ${endIndex} من ${totalCustomersCount}`;
     
     // Update pagination buttons
     document.getElementById('prevPageBtn').disabled = currentPage === 1;
@@ -1123,7 +1230,7 @@ function renderCustomers() {
         pageBtn.textContent = i;
         pageBtn.addEventListener('click', () => {
             currentPage = i;
-            applyFilters();
+            loadCustomersPage();
         });
         pageNumbersEl.appendChild(pageBtn);
     }
@@ -1131,7 +1238,7 @@ function renderCustomers() {
     // Render customers
     paginatedCustomers.forEach(customer => {
         const row = document.createElement('tr');
-        // الرصيد في قاعدة البيانات محفوظ بالجنيه المصري مباشرة
+        // الرصيد يصل من قاعدة البيانات بالجنيه المصري
         const balance = parseFloat(customer.balance) || 0;
         
         // Determine balance color class based on amount
@@ -1220,44 +1327,52 @@ async function checkInactiveCustomers() {
             salesInvoices = JSON.parse(localStorage.getItem(STORAGE_KEYS.SALES_INVOICES) || '[]');
         }
 
-        for (const customer of customers) {
+        // Only the fields needed here, for all customers (not just the page on screen)
+        const allCustomersResult = await window.electronAPI.dbSearch('customers', {
+            columns: ['id', 'status', 'createdAt', 'lastTransactionDate']
+        });
+        const allCustomers = allCustomersResult && allCustomersResult.success ? allCustomersResult.rows : [];
+
+        for (const customer of allCustomers) {
             // Find invoices for this customer (all invoices)
             const customerInvoices = salesInvoices.filter(invoice => 
                 invoice.customerId === customer.id
             );
 
+            const changes = {};
             if (customerInvoices.length > 0) {
                 // Get most recent invoice
                 const lastInvoice = customerInvoices.sort((a, b) => 
                     new Date(b.date) - new Date(a.date)
                 )[0];
                 
-                customer.lastTransactionDate = lastInvoice.date;
+                if (customer.lastTransactionDate !== lastInvoice.date) {
+                    changes.lastTransactionDate = lastInvoice.date;
+                }
                 
                 // Check if last invoice was more than 15 days ago
                 const lastInvoiceDate = new Date(lastInvoice.date);
-                if (lastInvoiceDate < fifteenDaysAgo) {
-                    customer.status = 'inactive';
-                } else {
-                    customer.status = 'active';
+                const status = lastInvoiceDate < fifteenDaysAgo ? 'inactive' : 'active';
+                if (customer.status !== status) {
+                    changes.status = status;
                 }
             } else {
                 // No invoices for this customer
                 // Check if customer was created more than 15 days ago
                 const createdDate = new Date(customer.createdAt);
-                if (createdDate < fifteenDaysAgo) {
-                    customer.status = 'inactive';
+                if (createdDate < fifteenDaysAgo && customer.status !== 'inactive') {
+                    changes.status = 'inactive';
                 }
             }
             
-            // Update customer in database
-            if (window.electronAPI && window.electronAPI.dbUpdate) {
-                await window.electronAPI.dbUpdate('customers', customer.id, customer);
+            // Update customer in database (only when something changed)
+            if (Object.keys(changes).length > 0 && window.electronAPI && window.electronAPI.dbUpdate) {
+                await window.electronAPI.dbUpdate('customers', customer.id, changes);
             }
         }
 
         await saveCustomers();
-        applyFilters();
+        await loadCustomersPage();
         
         // Update sidebar badge for inactive customers
         if (typeof window.updateInactiveCustomersBadge === 'function') {
@@ -408,7 +408,7 @@ async function loadAccountsReceivableAndPayable(salesInvoices, purchaseInvoices)
                     const balance = parseFloat(customer.balance) || 0;
                     // Only count positive balances (customer owes us)
                     if (balance > 0) {
-                        accountsReceivable += balance;
+                        accountsReceivable = Money.add(accountsReceivable, balance);
                     }
                 }
             });
@@ -436,7 +436,7 @@ async function loadAccountsReceivableAndPayable(salesInvoices, purchaseInvoices)
                     const balance = parseFloat(supplier.balance) || 0;
                     // Only count positive balances (we owe supplier)
                     if (balance > 0) {
-                        accountsPayable += balance;
+                        accountsPayable = Money.add(accountsPayable, balance);
                     }
                 }
             });
@@ -473,11 +473,11 @@ async function loadDashboardChartData() {
                 SELECT 
                     DATE(si.date) as saleDate,
                     COUNT(DISTINCT si.id) as invoiceCount,
-                    SUM(si.total) as totalSales,
-                    SUM(si.taxAmount) as totalTax,
-                    SUM(si.discount) as totalDiscount,
-                    SUM(si.paid) as totalPaid,
-                    SUM(si.remaining) as totalRemaining
+                    egp(SUM(si.total)) as totalSales,
+                    egp(SUM(si.taxAmount)) as totalTax,
+                    egp(SUM(si.discount)) as totalDiscount,
+                    egp(SUM(si.paid)) as totalPaid,
+                    egp(SUM(si.remaining)) as totalRemaining
                 FROM sales_invoices si
                 WHERE si.date >= ? AND si.date <= ?
                 GROUP BY DATE(si.date)
@@ -660,7 +660,7 @@ function updateDashboardChart() {
         }
         
         // Use totalSales if available (aggregated), otherwise use total
-        dataMap[key].sales += (invoice.totalSales || invoice.total || 0);
+        dataMap[key].sales = Money.add(dataMap[key].sales, invoice.totalSales || invoice.total || 0);
     });
     
     // Calculate costs
@@ -704,14 +704,14 @@ function updateDashboardChart() {
             if (purchaseInv) {
                 const invDate = purchaseInv.date ? purchaseInv.date.split('T')[0] : '';
                 if (invDate >= fromDate && invDate <= toDate) {
-                    totalPurchaseCost += (pi.price || 0) * (pi.quantity || 0);
+                    totalPurchaseCost = Money.add(totalPurchaseCost, Money.multiply(pi.price || 0, pi.quantity || 0));
                     totalPurchaseQty += (pi.quantity || 0);
                 }
             }
         });
         
         const avgPurchasePrice = totalPurchaseQty > 0 ? totalPurchaseCost / totalPurchaseQty : 0;
-        dataMap[key].cost += avgPurchasePrice * (item.quantity || 0);
+        dataMap[key].cost = Money.add(dataMap[key].cost, Money.multiply(avgPurchasePrice, item.quantity || 0));
     });
     
     // Sort keys
@@ -732,12 +732,12 @@ function updateDashboardChart() {
     
     const salesData = sortedKeys.map(key => dataMap[key].sales);
     const costData = sortedKeys.map(key => dataMap[key].cost);
-    const profitData = sortedKeys.map(key => dataMap[key].sales - dataMap[key].cost);
+    const profitData = sortedKeys.map(key => Money.subtract(dataMap[key].sales, dataMap[key].cost));
     
     // Calculate totals for stat cards
-    const totalSales = salesData.reduce((sum, val) => sum + val, 0);
-    const totalCost = costData.reduce((sum, val) => sum + val, 0);
-    const totalProfit = profitData.reduce((sum, val) => sum + val, 0);
+    const totalSales = Money.sum(salesData);
+    const totalCost = Money.sum(costData);
+    const totalProfit = Money.sum(profitData);
     
     // Update stat cards
     updateDashboardChartStats(totalSales, totalCost, totalProfit);
@@ -1266,7 +1266,7 @@ async function loadTodayBestSellingProducts() {
             }
 
             productStats[productId].totalQuantity += quantity;
-            productStats[productId].totalSales += total;
+            productStats[productId].totalSales = Money.add(productStats[productId].totalSales, total);
         });
 
         // Convert to array and sort by quantity (descending)
@@ -1457,6 +1457,9 @@ function closeNotificationsPopup() {
 // Load notifications (low stock products and high balance customers)
 async function loadNotifications() {
     try {
+        // System alerts (scripts/header.js)
+        await loadSystemAlertNotifications();
+
         // Load low stock products
         await loadLowStockNotifications();
         
@@ -1664,7 +1667,9 @@ async function updateNotificationBadge() {
             return balance > 10000;
         }).length;
         
-        const totalCount = lowStockCount + highBalanceCount;
+        // System alerts (failed automatic backups, ...) from scripts/header.js
+        const systemAlertCount = (await getSystemAlerts()).length;
+        const totalCount = lowStockCount + highBalanceCount + systemAlertCount;
         
         // Update badge
         if (totalCount > 0) {
@@ -1731,8 +1736,30 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Update notification badge every 30 seconds
     setInterval(updateNotificationBadge, 30000);
+    
+    // Follow writes made in other windows (or on other PCs in LAN mode)
+    onDataChanged([...DASHBOARD_COUNTER_TABLES, ...DASHBOARD_DOCUMENT_TABLES], refreshDashboardAfterChanges, 500);
 });
 
+// Tables whose lists feed the counters at the top of the dashboard
+const DASHBOARD_COUNTER_TABLES = ['products', 'categories', 'customers', 'suppliers'];
+// Tables behind the recent sales, best sellers and the chart
+const DASHBOARD_DOCUMENT_TABLES = ['sales_invoices', 'sales_invoice_items', 'purchase_invoices', 'purchase_invoice_items'];
+
+// Refresh only the parts of the dashboard fed by the changed tables
+async function refreshDashboardAfterChanges(changes) {
+    const changedTables = new Set(changes.map(change => change.table));
+    if (changedTables.has('*') || DASHBOARD_COUNTER_TABLES.some(table => changedTables.has(table))) {
+        // Counters (and the balances behind receivable/payable) are computed from the full lists
+        await loadStatistics();
+        return;
+    }
+    const customers = await window.electronAPI.dbGetAll('customers', '', []);
+    loadRecentSales([], Array.isArray(customers) ? customers : []);
+    loadTodayBestSellingProducts();
+    await loadDashboardChartData();
+}
+
 // Navigate to report page with permission check
 function navigateToReport(url) {
     try {
@@ -64,6 +64,17 @@ document.addEventListener('DOMContentLoaded', async () => {
         await loadProductsOnly(); // Only load products, not delivery notes
         initializeEventListeners();
         renderProducts();
+        
+        // Opened from the global search in the top bar: open the note of that day
+        const searchTarget = getGlobalSearchTarget();
+        if (searchTarget && window.electronAPI && window.electronAPI.dbGet) {
+            const note = await window.electronAPI.dbGet('delivery_notes', searchTarget.id);
+            if (note && note.date) {
+                const selectedDateForLoad = document.getElementById('selectedDateForLoad');
+                if (selectedDateForLoad) selectedDateForLoad.value = note.date;
+                await openNewNoteWithDate(note.date);
+            }
+        }
         console.log('[Delivery Notes] DOMContentLoaded - Initialization complete');
     } catch (error) {
         console.error('[Delivery Notes] Error during initialization:', error);
@@ -1400,65 +1411,17 @@ async function proceedWithNoteDeletion(noteId) {
         
         // No need to restore stock - products come from invoices where stock was already deducted
         
-        // Check for linked settlements first (must be deleted before delivery note)
-        if (window.electronAPI && window.electronAPI.dbGetAll) {
-            const linkedSettlements = await window.electronAPI.dbGetAll('delivery_settlements', 'deliveryNoteId = ?', [noteId]);
-            if (linkedSettlements && linkedSettlements.length > 0) {
-                console.log(`[Delivery Notes] Found ${linkedSettlements.length} settlements linked to this note. Deleting settlements first...`);
-                
-                // Delete settlement items first (foreign key constraint)
-                for (const settlement of linkedSettlements) {
-                    if (window.electronAPI.dbQuery) {
-                        await window.electronAPI.dbQuery('DELETE FROM settlement_items WHERE settlementId = ?', [settlement.id]);
-                    } else if (window.electronAPI.dbGetAll && window.electronAPI.dbDelete) {
-                        const settlementItems = await window.electronAPI.dbGetAll('settlement_items', 'settlementId = ?', [settlement.id]);
-                        if (settlementItems && settlementItems.length > 0) {
-                            for (const item of settlementItems) {
-                                await window.electronAPI.dbDelete('settlement_items', item.id);
-                            }
-                        }
-                    }
-                    
-                    // Delete settlement
-                    if (window.electronAPI.dbDelete) {
-                        await window.electronAPI.dbDelete('delivery_settlements', settlement.id);
-                        console.log(`[Delivery Notes] Deleted settlement ${settlement.id}`);
-                    }
-                }
-            }
-        }
-        
-        // Delete note items from database (foreign key constraint - has ON DELETE CASCADE but we delete manually to be safe)
-        if (window.electronAPI && window.electronAPI.dbQuery) {
-            const itemsDeleteResult = await window.electronAPI.dbQuery('DELETE FROM delivery_note_items WHERE deliveryNoteId = ?', [noteId]);
-            console.log(`[Delivery Notes] Deleted note items:`, itemsDeleteResult);
-        } else if (window.electronAPI && window.electronAPI.dbGetAll && window.electronAPI.dbDelete) {
-            const noteItems = await window.electronAPI.dbGetAll('delivery_note_items', 'deliveryNoteId = ?', [noteId]);
-            if (noteItems && noteItems.length > 0) {
-                console.log(`[Delivery Notes] Found ${noteItems.length} note items to delete`);
-                for (const item of noteItems) {
-                    const itemDeleteResult = await window.electronAPI.dbDelete('delivery_note_items', item.id);
-                    console.log(`[Delivery Notes] Deleted item ${item.id}:`, itemDeleteResult);
-                }
-            }
-        }
-        
-        // Delete note from database
-        if (window.electronAPI && window.electronAPI.dbDelete) {
-            console.log(`[Delivery Notes] Deleting note ${noteId} from database...`);
-            const deleteResult = await window.electronAPI.dbDelete('delivery_notes', noteId);
+        // Move note (with its items and linked settlements) to the recycle bin in one transaction
+        if (window.electronAPI && window.electronAPI.recycleBinDelete) {
+            console.log(`[Delivery Notes] Moving note ${noteId} to recycle bin...`);
+            const deleteResult = await window.electronAPI.recycleBinDelete('delivery_notes', noteId);
             console.log(`[Delivery Notes] Delete result:`, deleteResult);
             
             // Check if deletion failed
-            if (deleteResult && deleteResult.success === false) {
-                throw new Error(deleteResult.error || 'فشل حذف إذن الصرف من قاعدة البيانات');
-            }
-            // Check if no rows were deleted (note doesn't exist or already deleted)
-            if (deleteResult && deleteResult.changes !== undefined && deleteResult.changes === 0) {
-                console.warn(`[Delivery Notes] Note ${noteId} was not found in database or already deleted`);
-            } else {
-                console.log(`[Delivery Notes] Successfully deleted note ${noteId} from database`);
+            if (!deleteResult || deleteResult.success === false) {
+                throw new Error((deleteResult && deleteResult.error) || 'فشل حذف إذن الصرف من قاعدة البيانات');
             }
+            console.log(`[Delivery Notes] Successfully moved note ${noteId} to recycle bin`);
         } else {
             // Fallback to localStorage if database API is not available
             console.log(`[Delivery Notes] Database API not available, using localStorage fallback`);
@@ -2163,8 +2126,8 @@ async function generatePrintContent(note) {
             }).join('');
             
             // Calculate totals for this page
-            const pageTotalAmount = invoices.reduce((sum, inv) => sum + parseFloat(inv.total || 0), 0);
-            const pageTotalOldBalance = invoices.reduce((sum, inv) => sum + parseFloat(inv.oldBalance || 0), 0);
+            const pageTotalAmount = Money.sum(invoices, inv => inv.total);
+            const pageTotalOldBalance = Money.sum(invoices, inv => inv.oldBalance);
             const pageTotalCombined = pageTotalAmount + pageTotalOldBalance;
             
             return `
@@ -50,7 +50,7 @@ function numberToArabicWords(number) {
     
     let result = '';
     const num = Math.floor(number);
-    const decimal = Math.round((number - num) * 100);
+    const decimal = Math.round(Money.subtract(number, num) * 100);
     
     // Handle thousands
     if (num >= 1000) {
@@ -119,7 +119,16 @@ let sortBy = 'date-desc';
 document.addEventListener('DOMContentLoaded', async () => {
     await loadData();
     initializeEventListeners();
+    // Opened from the global search in the top bar: list and open that record
+    const searchTarget = getGlobalSearchTarget();
+    if (searchTarget) {
+        document.getElementById('searchInput').value = searchTarget.search;
+        searchQuery = searchTarget.search;
+    }
     await applyFilters();
+    if (searchTarget) {
+        await viewExpense(searchTarget.id);
+    }
 });
 
 // Initialize Event Listeners
@@ -409,7 +418,7 @@ async function handleFormSubmit(e) {
     const date = document.getElementById('expenseDate').value;
     const expenseType = document.getElementById('expenseType').value;
     const category = expenseType === 'salaries' ? 'salaries' : document.getElementById('expenseCategory').value;
-    const amount = parseFloat(document.getElementById('expenseAmount').value);
+    const amount = Money.round(parseFloat(document.getElementById('expenseAmount').value) || 0);
     const recipientName = document.getElementById('recipientName').value.trim();
     const description = document.getElementById('expenseDescription').value.trim();
 
@@ -723,9 +732,11 @@ async function applyFilters() {
             const categoryName = getCategoryName(expense.category);
             const description = (expense.description || '').toLowerCase();
             const recipientName = (expense.recipientName || '').toLowerCase();
+            const expenseNumber = (expense.expenseNumber || '').toLowerCase();
             return categoryName.toLowerCase().includes(term) || 
                    description.includes(term) || 
-                   recipientName.includes(term);
+                   recipientName.includes(term) ||
+                   expenseNumber.includes(term);
         });
     }
     
@@ -1113,9 +1124,12 @@ async function proceedWithExpenseDeletion(expenseId) {
     if (!expense) return;
 
     try {
-        // Delete from database if available
-        if (window.electronAPI && window.electronAPI.dbDelete) {
-            await window.electronAPI.dbDelete('operating_expenses', expenseId);
+        // Move to the recycle bin
+        if (window.electronAPI && window.electronAPI.recycleBinDelete) {
+            const deleteResult = await window.electronAPI.recycleBinDelete('operating_expenses', expenseId);
+            if (!deleteResult || deleteResult.success === false) {
+                throw new Error((deleteResult && deleteResult.error) || 'خطأ غير معروف');
+            }
         } else {
             // Fallback to localStorage
             saveExpenses();
@@ -1,5 +1,5 @@
 // Top Bar Component - Sticky Header for all pages
-// Includes: Clock, Notifications, Calculator, User Greeting, Logout
+// Includes: Clock, Global Search, Notifications, Calculator, User Greeting, Logout
 
 // ===================================
 // Clock Functionality
@@ -60,9 +60,10 @@ function closeNotificationsPopup() {
     }
 }
 
-// Load notifications (low stock products and high balance customers)
+// Load notifications (system alerts, low stock products and high balance customers)
 async function loadNotifications() {
     try {
+        await loadSystemAlertNotifications();
         await loadLowStockNotifications();
         await loadHighBalanceNotifications();
         updateNotificationBadge();
@@ -71,6 +72,72 @@ async function loadNotifications() {
     }
 }
 
+// Alerts from the main process (failed automatic backups, ...) for the logged-in user
+async function getSystemAlerts() {
+    if (!window.electronAPI || !window.electronAPI.getSystemAlerts) return [];
+    try {
+        const result = await window.electronAPI.getSystemAlerts();
+        return result && result.success ? result.alerts : [];
+    } catch (error) {
+        console.error('Error loading system alerts:', error);
+        return [];
+    }
+}
+
+// System alerts are listed first in the popup, in a section added only when there are any
+async function loadSystemAlertNotifications() {
+    const content = document.querySelector('#notificationsPopup .popup-content');
+    if (!content) return;
+
+    const alerts = await getSystemAlerts();
+    let section = document.getElementById('systemAlertsSection');
+    if (alerts.length === 0) {
+        if (section) section.remove();
+        return;
+    }
+    if (!section) {
+        section = document.createElement('div');
+        section.className = 'notifications-section';
+        section.id = 'systemAlertsSection';
+        section.innerHTML = '<h4>⚠️ تنبيهات النظام</h4><div class="notifications-list"></div>';
+        content.prepend(section);
+    }
+
+    const list = section.querySelector('.notifications-list');
+    list.innerHTML = '';
+    alerts.forEach(alert => {
+        const item = document.createElement('div');
+        item.className = `notification-item system-alert system-alert-${alert.level}`;
+        item.innerHTML = `
+            <div class="notification-item-title"></div>
+            <div class="notification-item-details"></div>
+        `;
+        item.querySelector('.notification-item-title').textContent = `${alert.level === 'error' ? '🔴' : '⚠️'} ${alert.title}`;
+        const when = alert.createdAt ? ` - ${new Date(alert.createdAt).toLocaleString('ar-EG')}` : '';
+        item.querySelector('.notification-item-details').textContent = `${alert.details}${when}`;
+        if (alert.page) {
+            item.addEventListener('click', () => {
+                window.location.href = alert.page;
+            });
+        }
+        if (alert.dismissible && window.electronAPI.dismissSystemAlert) {
+            const dismissBtn = document.createElement('button');
+            dismissBtn.type = 'button';
+            dismissBtn.className = 'system-alert-dismiss';
+            dismissBtn.title = 'إخفاء';
+            dismissBtn.textContent = '×';
+            dismissBtn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                await window.electronAPI.dismissSystemAlert(alert.id);
+                await loadSystemAlertNotifications();
+                updateNotificationBadge();
+            });
+            item.prepend(dismissBtn);
+        }
+        list.appendChild(item);
+    });
+}
+
 // Load low stock products
 async function loadLowStockNotifications() {
     const container = document.getElementById('lowStockNotifications');
@@ -245,7 +312,8 @@ async function updateNotificationBadge() {
             return balance > 10000;
         }).length;
         
-        const totalCount = lowStockCount + highBalanceCount;
+        const systemAlertCount = (await getSystemAlerts()).length;
+        const totalCount = lowStockCount + highBalanceCount + systemAlertCount;
         
         if (totalCount > 0) {
             badge.textContent = totalCount > 99 ? '99+' : totalCount.toString();
@@ -458,6 +526,283 @@ const debouncedUpdateToggleState = debounce(updateToggleButtonStateCompat, debou
 // ===================================
 
 // Initialize Top Bar
+// ===================================
+// Global Search
+// ===================================
+
+let globalSearchResults = [];
+let globalSearchActiveIndex = -1;
+let globalSearchRequestId = 0;
+
+function escapeGlobalSearchHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text === null || text === undefined ? '' : String(text);
+    return div.innerHTML;
+}
+
+// Add the search box to the top bar (only when the app can search the database)
+function initGlobalSearch() {
+    const topBar = document.querySelector('.top-bar');
+    if (!topBar || document.getElementById('topBarSearch') ||
+        !window.electronAPI || !window.electronAPI.globalSearch) {
+        return;
+    }
+    
+    const container = document.createElement('div');
+    container.className = 'top-bar-search';
+    container.id = 'topBarSearch';
+    container.innerHTML = `
+        <input type="text" id="topBarSearchInput" class="top-bar-search-input" autocomplete="off"
+            placeholder="🔍 بحث: رقم فاتورة، عميل، مورد، منتج، هاتف..." title="بحث في كل البيانات">
+        <div class="top-bar-search-results" id="topBarSearchResults"></div>
+    `;
+    const toggleBtn = document.getElementById('topBarSidebarToggle');
+    topBar.insertBefore(container, toggleBtn ? toggleBtn.nextSibling : topBar.firstChild);
+    
+    const input = document.getElementById('topBarSearchInput');
+    const debouncedSearch = debounce(() => runGlobalSearch(input.value), 250);
+    input.addEventListener('input', debouncedSearch);
+    input.addEventListener('focus', () => {
+        if (globalSearchResults.length > 0) {
+            document.getElementById('topBarSearchResults').classList.add('active');
+        }
+    });
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (globalSearchResults.length === 0) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            globalSearchActiveIndex = (globalSearchActiveIndex + step + globalSearchResults.length) % globalSearchResults.length;
+            highlightGlobalSearchResult();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            const result = globalSearchResults[globalSearchActiveIndex >= 0 ? globalSearchActiveIndex : 0];
+            if (result) openGlobalSearchResult(result);
+        } else if (e.key === 'Escape') {
+            closeGlobalSearchResults();
+            input.blur();
+        }
+    });
+    
+    document.getElementById('topBarSearchResults').addEventListener('click', (e) => {
+        const item = e.target.closest('[data-result-index]');
+        if (item) {
+            openGlobalSearchResult(globalSearchResults[parseInt(item.dataset.resultIndex, 10)]);
+        }
+    });
+    
+    // Close results when clicking outside
+    document.addEventListener('click', (e) => {
+        if (!container.contains(e.target)) {
+            closeGlobalSearchResults();
+        }
+    });
+}
+
+// Search the database and show the matches under the search box
+async function runGlobalSearch(text) {
+    const resultsElement = document.getElementById('topBarSearchResults');
+    if (!resultsElement) return;
+    
+    const requestId = ++globalSearchRequestId;
+    if (!text || !text.trim()) {
+        globalSearchResults = [];
+        closeGlobalSearchResults();
+        return;
+    }
+    
+    try {
+        const result = await window.electronAPI.globalSearch(text, { limit: 20 });
+        // A newer search started while this one was running
+        if (requestId !== globalSearchRequestId) return;
+        
+        globalSearchResults = result && result.success ? result.results : [];
+        globalSearchActiveIndex = -1;
+        if (!result || !result.success) {
+            resultsElement.innerHTML = '<div class="notification-item empty">حدث خطأ أثناء البحث</div>';
+        } else if (globalSearchResults.length === 0) {
+            resultsElement.innerHTML = '<div class="notification-item empty">لا توجد نتائج</div>';
+        } else {
+            resultsElement.innerHTML = globalSearchResults.map((item, index) => `
+                <div class="notification-item top-bar-search-item" data-result-index="${index}">
+                    <div class="notification-item-title">
+                        <span class="top-bar-search-label">${escapeGlobalSearchHtml(item.label)}</span>
+                        ${escapeGlobalSearchHtml(item.title || '-')}
+                    </div>
+                    <div class="notification-item-details">
+                        ${escapeGlobalSearchHtml(item.subtitle || '')}${item.date ? ` - ${escapeGlobalSearchHtml(String(item.date).split('T')[0])}` : ''}
+                    </div>
+                </div>
+            `).join('');
+        }
+        resultsElement.classList.add('active');
+    } catch (error) {
+        console.error('Error in global search:', error);
+    }
+}
+
+function highlightGlobalSearchResult() {
+    document.querySelectorAll('#topBarSearchResults [data-result-index]').forEach(item => {
+        const isActive = parseInt(item.dataset.resultIndex, 10) === globalSearchActiveIndex;
+        item.classList.toggle('active', isActive);
+        if (isActive) item.scrollIntoView({ block: 'nearest' });
+    });
+}
+
+function closeGlobalSearchResults() {
+    const resultsElement = document.getElementById('topBarSearchResults');
+    if (resultsElement) {
+        resultsElement.classList.remove('active');
+    }
+}
+
+// Go to the page of the record; the page opens it (see getGlobalSearchTarget)
+function openGlobalSearchResult(result) {
+    if (!result) return;
+    window.location.href = `${result.page}?search=${encodeURIComponent(result.title || '')}&open=${encodeURIComponent(result.entityId)}`;
+}
+
+/**
+ * Record to open when the page was reached from the global search.
+ * Removes the parameters from the address so a reload shows the normal list.
+ * @returns {{search: string, id: string}|null}
+ */
+function getGlobalSearchTarget() {
+    const params = new URLSearchParams(window.location.search);
+    const id = params.get('open');
+    if (!id) {
+        return null;
+    }
+    if (window.history && window.history.replaceState) {
+        window.history.replaceState(null, '', window.location.pathname);
+    }
+    return { search: params.get('search') || '', id };
+}
+
+// ===================================
+// Data Change Notifications
+// ===================================
+// The main process announces every database write as { table, operation, ids }, whether it
+// was made in this window, another window or (in LAN mode) on another PC. Table '*' means
+// the whole database was replaced (backup restored).
+
+const dataChangeSubscribers = [];
+
+/**
+ * Call callback(changes) when any of the tables change. Changes arriving close together
+ * are delivered in one call, so a posted invoice refreshes a page once.
+ * @param {string[]} tables
+ * @param {(changes: Array<{table: string, operation: string, ids: string[]}>) => *} callback
+ * @param {number} [wait] - ms to collect changes before calling
+ */
+function onDataChanged(tables, callback, wait = 300) {
+    dataChangeSubscribers.push({ tables, callback, wait, pending: [], timer: null });
+}
+
+function dispatchDataChange(change) {
+    dataChangeSubscribers.forEach(subscriber => {
+        if (change.table !== '*' && !subscriber.tables.includes(change.table)) return;
+        subscriber.pending.push(change);
+        clearTimeout(subscriber.timer);
+        subscriber.timer = setTimeout(async () => {
+            const changes = subscriber.pending;
+            subscriber.pending = [];
+            try {
+                await subscriber.callback(changes);
+            } catch (error) {
+                console.error('Error refreshing after data change:', error);
+            }
+        }, subscriber.wait);
+    });
+}
+
+/**
+ * What happened to one table in a batch of changes.
+ * @returns {{updatedIds: Set<string>, rowsAddedOrRemoved: boolean}} rowsAddedOrRemoved is also
+ *   true when the changed rows were not listed (bulk change or restored backup)
+ */
+function summarizeDataChanges(changes, table) {
+    const summary = { updatedIds: new Set(), rowsAddedOrRemoved: false };
+    changes.forEach(change => {
+        if (change.table === '*' || (change.table === table && change.ids.length === 0)) {
+            summary.rowsAddedOrRemoved = true;
+        } else if (change.table === table) {
+            if (change.operation === 'update') {
+                change.ids.forEach(id => summary.updatedIds.add(id));
+            } else {
+                summary.rowsAddedOrRemoved = true;
+            }
+        }
+    });
+    return summary;
+}
+
+if (window.electronAPI && window.electronAPI.onDataChanged) {
+    window.electronAPI.onDataChanged(dispatchDataChange);
+}
+
+// ===================================
+// LAN Connection Status
+// ===================================
+
+// Show whether this PC is connected to the host PC (client) or how many PCs use it (host)
+function initLanStatus() {
+    const topBar = document.querySelector('.top-bar');
+    if (!topBar || document.getElementById('topBarLanStatus') ||
+        !window.electronAPI || !window.electronAPI.lanGetStatus) {
+        return;
+    }
+    
+    const indicator = document.createElement('div');
+    indicator.className = 'top-bar-lan-status';
+    indicator.id = 'topBarLanStatus';
+    indicator.style.display = 'none';
+    const search = document.getElementById('topBarSearch');
+    const toggleBtn = document.getElementById('topBarSidebarToggle');
+    const after = search || toggleBtn;
+    topBar.insertBefore(indicator, after ? after.nextSibling : topBar.firstChild);
+    
+    window.electronAPI.onLanStatus(updateLanStatus);
+    window.electronAPI.lanGetStatus().then(updateLanStatus).catch(error => {
+        console.error('Error loading LAN status:', error);
+    });
+}
+
+function updateLanStatus(status) {
+    const indicator = document.getElementById('topBarLanStatus');
+    if (!indicator || !status) return;
+    
+    let text = '';
+    let state = '';
+    let title = '';
+    if (status.mode === 'client') {
+        if (status.state === 'connected') {
+            state = 'connected';
+            text = 'متصل بالجهاز المضيف';
+            title = `${status.hostName || status.hostAddress}:${status.port}`;
+        } else {
+            state = 'disconnected';
+            text = status.state === 'connecting' ? 'جارٍ الاتصال بالجهاز المضيف...' : 'غير متصل - جارٍ إعادة المحاولة';
+            title = status.lastError || '';
+        }
+    } else if (status.mode === 'host') {
+        if (status.running) {
+            state = 'connected';
+            text = `جهاز مضيف (${(status.clients || []).length} متصل)`;
+            title = (status.clients || []).map(client => client.name).join('، ') || (status.addresses || []).join('، ');
+        } else {
+            state = 'disconnected';
+            text = 'الجهاز المضيف متوقف';
+            title = status.lastError || '';
+        }
+    }
+    
+    indicator.style.display = text ? '' : 'none';
+    indicator.className = `top-bar-lan-status ${state}`;
+    indicator.textContent = text;
+    indicator.title = title;
+}
+
 function initTopBar() {
     // Check if elements exist
     const timeElement = document.getElementById('topBarTime');
@@ -472,6 +817,12 @@ function initTopBar() {
     // Initialize user greeting immediately
     updateUserGreeting();
     
+    // Search box for all records
+    initGlobalSearch();
+    
+    // LAN mode connection state
+    initLanStatus();
+    
     // Try again after delays
     setTimeout(updateUserGreeting, 100);
     setTimeout(updateUserGreeting, 300);
@@ -608,6 +959,10 @@ function initTopBar() {
                         localStorage.removeItem('asel_rememberMe');
                     }
                     
+                    if (window.electronAPI && window.electronAPI.logout) {
+                        window.electronAPI.logout();
+                    }
+                    
                     window.location.href = 'login.html';
                 }
         }
@@ -623,6 +978,16 @@ function initTopBar() {
     
     // Update notification badge every 30 seconds
     setInterval(updateNotificationBadge, 30000);
+    
+    // Low stock and high balance counts follow sales, purchases and edits in any window,
+    // system alerts follow automatic backup and maintenance runs
+    onDataChanged(['products', 'customers', 'backup_runs', 'backup_copies', 'maintenance_runs'], () => {
+        const popup = document.getElementById('notificationsPopup');
+        if (popup && popup.classList.contains('active')) {
+            return loadNotifications();
+        }
+        return updateNotificationBadge();
+    });
 }
 
 // Initialize when DOM is ready
@@ -44,8 +44,44 @@ document.addEventListener('DOMContentLoaded', async () => {
     renderCategories();
     await applyAdjustmentFilters();
     await applyReturnFilters();
+
+    // Follow stock changes made by invoices, returns or adjustments in other windows or PCs
+    onDataChanged(['products', 'inventory_adjustments', 'returns'], refreshInventoryAfterChanges);
 });
 
+// Stock updates only touch the product info; new or removed rows reload the lists
+async function refreshInventoryAfterChanges(changes) {
+    const { updatedIds, rowsAddedOrRemoved } = summarizeDataChanges(changes, 'products');
+    const otherTables = changes.some(change => change.table !== 'products');
+    if (!rowsAddedOrRemoved && !otherTables) {
+        const fresh = await Promise.all([...updatedIds].map(id => window.electronAPI.dbGet('products', id)));
+        fresh.filter(Boolean).forEach(product => {
+            const index = products.findIndex(p => p.id === product.id);
+            if (index !== -1) {
+                products[index] = product;
+            }
+        });
+        if (updatedIds.has(document.getElementById('adjustmentProductSelect').value)) {
+            onAdjustmentProductChange();
+        }
+        return;
+    }
+
+    // Keep the products picked in the forms across the reload
+    const adjustmentProductId = document.getElementById('adjustmentProductSelect').value;
+    const returnProductId = document.getElementById('returnProductSelect').value;
+    await loadData();
+    renderProducts();
+    document.getElementById('adjustmentProductSelect').value = adjustmentProductId;
+    document.getElementById('returnProductSelect').value = returnProductId;
+    onAdjustmentProductChange();
+    if (currentTab === 'adjustment') {
+        await applyAdjustmentFilters();
+    } else {
+        await applyReturnFilters();
+    }
+}
+
 // Reload data when page becomes visible again (user returns to page)
 document.addEventListener('visibilitychange', async () => {
     if (!document.hidden) {
@@ -1333,7 +1369,7 @@ function onReturnReasonChange() {
 function calculateReturnTotal() {
     const quantity = parseFloat(document.getElementById('adjustmentAmount').value) || 0;
     const unitPrice = parseFloat(document.getElementById('unitPrice').value) || 0;
-    const total = quantity * unitPrice;
+    const total = Money.multiply(unitPrice, quantity);
     
     // Display total (you can add a display field if needed)
 }
@@ -1507,139 +1543,31 @@ async function handleAdjustmentSubmit(e) {
 
 // Save Adjustment to Database
 async function saveAdjustmentToDatabase(adjustmentData) {
-    const { productId, date, type, quantity, reason, notes, oldStock, newStock } = adjustmentData;
+    const { productId, date, type, quantity, reason, notes } = adjustmentData;
 
     try {
-        // CRITICAL: Get the LATEST product from database right before updating
-        // This ensures we have the most current stock value, accounting for any concurrent updates
-        let dbProduct = await window.electronAPI.dbGet('products', productId);
-        if (!dbProduct) {
-            throw new Error(`Product ${productId} not found in database`);
-        }
-
-        const actualCurrentStock = parseFloat(dbProduct.stock || 0);
-        // Recalculate newStock based on ACTUAL current stock from database
-        // This handles cases where stock was changed by another operation between form submission and now
-        let recalculatedNewStock = newStock;
-        const stockDifference = newStock - oldStock; // The change amount (could be positive or negative)
-        
-        // Apply the same change to the actual current stock
-        recalculatedNewStock = actualCurrentStock + stockDifference;
-        
-        // For 'set' type, use the exact value
-        if (type === 'set') {
-            recalculatedNewStock = parseFloat(quantity);
-        }
-        
-        // Update product stock with recalculated value
-        let stockValue = parseFloat(recalculatedNewStock);
-        if (isNaN(stockValue)) {
-            throw new Error(`Invalid stock value: ${recalculatedNewStock}`);
-        }
-        
-        dbProduct.stock = stockValue;
-        dbProduct.lastInventoryDate = date;
-        dbProduct.updatedAt = new Date().toISOString();
-
-        // Update product stock - simplified approach for better performance
-        // Get fresh product data and update directly
-        const currentProduct = await window.electronAPI.dbGet('products', productId);
-        if (!currentProduct) {
-            throw new Error(`Product ${productId} not found in database`);
-        }
-        
-        // Update product with target stock
-        currentProduct.stock = stockValue;
-        currentProduct.lastInventoryDate = date;
-        currentProduct.updatedAt = new Date().toISOString();
-        
-        await window.electronAPI.dbUpdate('products', currentProduct.id, currentProduct);
-        
-        // Wait briefly to ensure database update is committed
-        await new Promise(resolve => setTimeout(resolve, 100));
-        
-        // Verify the update (quick check)
-        const verifyProduct = await window.electronAPI.dbGet('products', productId);
-        const actualStock = parseFloat(verifyProduct?.stock || 0);
-        const stockDiff = Math.abs(actualStock - stockValue);
-        
-        let finalStockValue = stockValue;
-        if (stockDiff > 0.01) {
-            // If mismatch, try one more time
-            verifyProduct.stock = stockValue;
-            verifyProduct.updatedAt = new Date().toISOString();
-            await window.electronAPI.dbUpdate('products', verifyProduct.id, verifyProduct);
-            finalStockValue = stockValue;
-        } else {
-            finalStockValue = actualStock;
-        }
-        
-        // Update adjustmentData with final values for consistency
-        // Note: actualCurrentStock was captured at the start, finalStockValue is the verified result
-        adjustmentData.oldStock = actualCurrentStock;
-        adjustmentData.newStock = finalStockValue;
-        
-        // Update stockValue for use in rest of function
-        stockValue = finalStockValue;
-
-        // Generate adjustment number
-        const adjustmentNumber = generateInventoryNumber();
-        const currentUserId = localStorage.getItem('asel_userId') || '';
-
-        // Create adjustment record (matching database schema)
-        // Use actualCurrentStock as oldStock to reflect the real state before adjustment
-        // ⚠️ مهم: هذه القيم تظل ثابتة ولا تتغير (لقطة تاريخية)
-        const adjustmentRecord = {
+        // Save the adjustment and its stock movement in one transaction in the main process.
+        // The new stock is recalculated there from the product's current stock.
+        const postResult = await window.electronAPI.inventoryAdjustmentPost({
             id: Date.now().toString(),
-            adjustmentNumber,
+            adjustmentNumber: generateInventoryNumber(),
             productId,
             date,
             type,
             quantity,
             reason: reason || '',
-            notes: notes || '',
-            // المخزون القديم يُحفظ في عمود oldStock في جدول inventory_adjustments
-            // المخزون القديم = المخزون الحالي من قاعدة البيانات (قبل عملية الجرد)
-            // ⚠️ هذه القيمة تظل ثابتة ولا تتغير (لقطة تاريخية)
-            oldStock: actualCurrentStock,
-            // المخزون الجديد يُحفظ في عمود newStock
-            // المخزون الجديد = المخزون بعد عملية الجرد
-            // ⚠️ هذه القيمة تظل ثابتة ولا تتغير (لقطة تاريخية)
-            newStock: finalStockValue,
-            createdAt: new Date().toISOString()
-        };
-
-        // Save to database
-        try {
-            const insertResult = await window.electronAPI.dbInsert('inventory_adjustments', adjustmentRecord);
-            
-            if (!insertResult) {
-                throw new Error('لم يتم إرجاع نتيجة من قاعدة البيانات');
-            }
-            
-            // Check if insert was successful - better-sqlite3 returns { changes: number, lastInsertRowid: number }
-            if (insertResult.changes === 0 && !insertResult.lastInsertRowid) {
-                // Try to verify by querying the database
-                const verifyRecord = await window.electronAPI.dbGet('inventory_adjustments', adjustmentRecord.id);
-                if (!verifyRecord) {
-                    throw new Error('فشل حفظ العملية في قاعدة البيانات - السجل غير موجود بعد الحفظ');
-                }
-            }
-        } catch (insertError) {
-            console.error('[Inventory] Error inserting adjustment record:', insertError);
-            throw new Error('فشل حفظ عملية الجرد في قاعدة البيانات: ' + insertError.message);
+            notes: notes || ''
+        });
+        if (!postResult || postResult.success === false) {
+            throw new Error('فشل حفظ عملية الجرد في قاعدة البيانات: ' + ((postResult && postResult.error) || 'خطأ غير معروف'));
         }
+        const adjustmentRecord = postResult.adjustment;
+        const finalStockValue = parseFloat(adjustmentRecord.newStock) || 0;
+        
+        // Update adjustmentData with the values saved in the main process
+        adjustmentData.oldStock = parseFloat(adjustmentRecord.oldStock) || 0;
+        adjustmentData.newStock = finalStockValue;
         
-        // Wait briefly to ensure database insert is committed
-        await new Promise(resolve => setTimeout(resolve, 200));
-
-        // Verify the record was saved before reloading
-        const savedRecord = await window.electronAPI.dbGet('inventory_adjustments', adjustmentRecord.id);
-        if (!savedRecord) {
-            console.error('[Inventory] CRITICAL: Record not found in database after insert!');
-            throw new Error('فشل التحقق من حفظ العملية في قاعدة البيانات');
-        }
-
         // Reload data - IMPORTANT: This reloads products and inventory operations from database
         try {
             await loadData();
@@ -2023,9 +1951,6 @@ async function handleFormSubmit(e) {
         inventoryOperations.find(op => op.id === document.getElementById('inventoryId').value)?.operationNumber : 
         generateInventoryNumber();
     
-    // Get current user ID
-    const currentUserId = localStorage.getItem('asel_userId') || '';
-
     const inventoryDataForDB = {
         id: document.getElementById('inventoryId').value || Date.now().toString(),
         adjustmentNumber: adjustmentNumber,
@@ -2035,7 +1960,6 @@ async function handleFormSubmit(e) {
         quantity: adjustmentAmount,
         reason: reason,
         notes: notes,
-        userId: currentUserId,
         createdAt: document.getElementById('inventoryId').value ? 
             inventoryOperations.find(op => op.id === document.getElementById('inventoryId').value)?.createdAt : 
             new Date().toISOString()
@@ -2055,109 +1979,27 @@ async function handleFormSubmit(e) {
         updatedAt: new Date().toISOString()
     };
 
-    // Update product in database FIRST
-    if (window.electronAPI && window.electronAPI.dbUpdate && window.electronAPI.dbInsert) {
+    // Save to database
+    if (window.electronAPI && window.electronAPI.inventoryAdjustmentPost) {
         try {
-            // If editing, revert old change first
-            if (document.getElementById('isEdit').value === 'true') {
-                const oldOperation = inventoryOperations.find(op => op.id === inventoryData.id);
-                if (oldOperation && oldOperation.productId) {
-                    // Get old product from database
-                    const oldProduct = await window.electronAPI.dbGet('products', oldOperation.productId);
-                    if (oldProduct) {
-                        // Revert to old stock
-                        oldProduct.stock = oldOperation.oldStock;
-                        oldProduct.updatedAt = new Date().toISOString();
-                        await window.electronAPI.dbUpdate('products', oldProduct.id, oldProduct);
-                        
-                        // Update local array
-                        const localOldProduct = products.find(p => p.id === oldProduct.id);
-                        if (localOldProduct) {
-                            localOldProduct.stock = oldOperation.oldStock;
-                        }
-                    }
-                }
+            // Save the operation and its stock movement in one transaction in the main process
+            // (an edit reverses the stock movement of the saved version first)
+            const postResult = await window.electronAPI.inventoryAdjustmentPost(inventoryDataForDB);
+            if (!postResult || postResult.success === false) {
+                throw new Error((postResult && postResult.error) || 'خطأ غير معروف');
             }
+            newStock = parseFloat(postResult.adjustment.newStock) || 0;
+            inventoryData.oldStock = parseFloat(postResult.adjustment.oldStock) || 0;
+            inventoryData.newStock = newStock;
+            inventoryData.change = newStock - inventoryData.oldStock;
             
-            // Get latest product data from database before updating
-            // If editing and product changed, get the new product
-            let dbProduct = null;
-            if (document.getElementById('isEdit').value === 'true') {
-                const oldOperation = inventoryOperations.find(op => op.id === inventoryData.id);
-                // If product changed, get the new product, otherwise get the old product
-                if (oldOperation && oldOperation.productId !== productId) {
-                    // Product changed, get new product
-                    dbProduct = await window.electronAPI.dbGet('products', productId);
-                } else {
-                    // Same product, get it again to ensure latest stock
-                    dbProduct = await window.electronAPI.dbGet('products', productId);
+            // Update local product objects
+            (postResult.products || []).forEach(dbProduct => {
+                const localProduct = products.find(p => p.id === dbProduct.id);
+                if (localProduct) {
+                    localProduct.stock = dbProduct.stock;
                 }
-            } else {
-                // New operation, get product normally
-                dbProduct = await window.electronAPI.dbGet('products', productId);
-            }
-            
-            if (!dbProduct) {
-                throw new Error(`Product ${productId} not found in database`);
-            }
-            
-            // Apply new stock change to database
-            // Ensure stock is a number, not a string
-            dbProduct.stock = parseFloat(newStock);
-            dbProduct.lastInventoryDate = date;
-            dbProduct.updatedAt = new Date().toISOString();
-            
-            // Verify stock value is set correctly
-            if (typeof dbProduct.stock !== 'number' || isNaN(dbProduct.stock)) {
-                console.error(`[Inventory] ERROR: stock is not a valid number! Value: ${dbProduct.stock}, Type: ${typeof dbProduct.stock}`);
-                dbProduct.stock = parseFloat(newStock) || 0;
-            }
-            
-            const updateResult = await window.electronAPI.dbUpdate('products', dbProduct.id, dbProduct);
-            
-            // Verify immediately after update - with multiple attempts (silently, only log errors)
-            let verified = false;
-            let verifyAttempts = 0;
-            const maxVerifyAttempts = 5;
-            
-            while (!verified && verifyAttempts < maxVerifyAttempts) {
-                verifyAttempts++;
-                await new Promise(resolve => setTimeout(resolve, 100));
-                
-                const verifyProduct = await window.electronAPI.dbGet('products', dbProduct.id);
-                
-                if (verifyProduct && Math.abs(parseFloat(verifyProduct.stock || 0) - newStock) < 0.01) {
-                    verified = true;
-                } else if (verifyProduct && verifyAttempts === maxVerifyAttempts) {
-                    const actualStock = parseFloat(verifyProduct.stock || 0);
-                    console.error(`[Inventory] CRITICAL: Stock mismatch after update! Expected: ${newStock}, Got: ${actualStock}`);
-                    
-                    // Try updating again with the exact newStock value
-                    const fixProduct = await window.electronAPI.dbGet('products', dbProduct.id);
-                    if (fixProduct) {
-                        fixProduct.stock = newStock;
-                        await window.electronAPI.dbUpdate('products', fixProduct.id, fixProduct);
-                    }
-                }
-            }
-            
-            // Update local product object
-            const localProduct = products.find(p => p.id === productId);
-            if (localProduct) {
-                localProduct.stock = newStock;
-                localProduct.lastInventoryDate = date;
-            }
-            
-            // Save inventory operation to database (use inventoryDataForDB which matches table schema)
-            if (document.getElementById('isEdit').value === 'true') {
-                const updateResult = await window.electronAPI.dbUpdate('inventory_adjustments', inventoryDataForDB.id, inventoryDataForDB);
-            } else {
-                const insertResult = await window.electronAPI.dbInsert('inventory_adjustments', inventoryDataForDB);
-                
-                // Verify the insert worked by trying to get the record
-                if (insertResult && insertResult.lastInsertRowid !== undefined) {
-                }
-            }
+            });
         } catch (error) {
             console.error('[Inventory] Error saving to database:', error);
             console.error('[Inventory] Error details:', error.message, error.stack);
@@ -2171,10 +2013,7 @@ async function handleFormSubmit(e) {
             return; // Stop execution if database update fails
         }
     } else {
-        console.error('[Inventory] electronAPI or dbUpdate/dbInsert not available!');
-        console.error('[Inventory] window.electronAPI:', window.electronAPI);
-        console.error('[Inventory] dbUpdate available:', window.electronAPI && window.electronAPI.dbUpdate);
-        console.error('[Inventory] dbInsert available:', window.electronAPI && window.electronAPI.dbInsert);
+        console.error('[Inventory] electronAPI or inventoryAdjustmentPost not available!');
     }
     
     // Reload data from database to ensure consistency
@@ -2446,7 +2285,7 @@ async function handleReturnSubmit(productId, date, reason, notes, returnType = n
     }
 
     // Calculate total amount and check if should restore to stock
-    const totalAmount = quantity * unitPrice;
+    const totalAmount = Money.multiply(unitPrice, quantity);
     
     // Don't restore to stock if damaged or expired
     const isDamaged = returnReason === 'damaged' ? 'true' : 'false';
@@ -2477,22 +2316,6 @@ async function handleReturnSubmit(productId, date, reason, notes, returnType = n
         return;
     }
 
-    const oldStock = parseFloat(product.stock) || 0;
-    let newStock = oldStock;
-
-    // Update stock based on return type and if not damaged
-    // For returns from customer: add to stock (we get the product back)
-    // For returns to supplier: subtract from stock (we return the product to supplier)
-    if (restoredToStock === 'true') {
-        if (returnType === 'from_customer') {
-            newStock = oldStock + quantity; // Add to stock (we get it back from customer)
-            console.log('[Return] Customer return: adding', quantity, 'to stock. Old:', oldStock, 'New:', newStock);
-        } else if (returnType === 'to_supplier') {
-            newStock = Math.max(0, oldStock - quantity); // Subtract from stock (we return it to supplier)
-            console.log('[Return] Supplier return: subtracting', quantity, 'from stock. Old:', oldStock, 'New:', newStock);
-        }
-    }
-
     // Get entity (customer or supplier) - MUST exist in database for foreign key constraint
     let entity = null;
     let entityType = returnType === 'from_customer' ? 'customer' : 'supplier';
@@ -2574,182 +2397,14 @@ async function handleReturnSubmit(productId, date, reason, notes, returnType = n
     console.log('[Return] returnType:', returnType);
     console.log('[Return] totalAmount:', totalAmount);
     
-    // الرصيد القديم = الرصيد الحالي من قاعدة البيانات مباشرة (تم إعادة تحميله أعلاه)
-    const oldBalance = parseFloat(entity.balance || 0);
-    let newBalance = oldBalance;
-    
-    console.log('[Return] Old balance from database:', oldBalance);
-    
-    // حساب الرصيد الجديد بناءً على restoreBalance
-    // Update entity balance only if restoreBalance is true
-    // For returns from customer: subtract from customer balance (debit - we take money back) only if restoreBalance is true
-    // For returns to supplier: subtract from supplier balance (debit - we return money) - always restore for suppliers
-    if (returnType === 'from_customer') {
-        // Only update balance if restoreBalance is checked
-        if (restoreBalance) {
-            newBalance = oldBalance - totalAmount; // Debit customer (subtract from balance - we take money back)
-            console.log('[Return] Updating customer balance. New balance:', newBalance);
-        } else {
-            newBalance = oldBalance; // Keep balance unchanged
-            console.log('[Return] restoreBalance not checked, keeping balance unchanged');
-        }
-    } else if (returnType === 'to_supplier') {
-        // Only update balance if restoreBalance is checked
-        if (restoreBalance) {
-            newBalance = oldBalance - totalAmount; // Debit supplier (subtract from balance - we return money)
-            console.log('[Return] Updating supplier balance. New balance:', newBalance);
-        } else {
-            newBalance = oldBalance; // Keep balance unchanged
-            console.log('[Return] restoreBalance not checked, keeping balance unchanged');
-        }
-    }
-    
-    // الرصيد يُحفظ بالجنيه المصري مباشرة في قاعدة البيانات
-    const oldBalanceToSave = oldBalance;
-    const newBalanceToSave = newBalance;
-    
-    console.log('[Return] Balance calculations to save in return:', {
-        oldBalance,
-        oldBalanceToSave,
-        totalAmount,
-        newBalance,
-        newBalanceToSave,
-        restoreBalance
-    });
-
-    // Always update entity balance if restoreBalance is checked (for both customers and suppliers)
-    const shouldUpdateBalance = restoreBalance;
-    
-    console.log('[Return] shouldUpdateBalance:', shouldUpdateBalance);
-    console.log('[Return] newBalance !== oldBalance:', newBalance !== oldBalance);
-    
-    if (shouldUpdateBalance && window.electronAPI && window.electronAPI.dbUpdate) {
-        try {
-            const tableName = returnType === 'from_customer' ? 'customers' : 'suppliers';
-            console.log('[Return] Updating balance in table:', tableName, 'for entity:', entity.id);
-            console.log('[Return] Entity before update:', JSON.stringify(entity, null, 2));
-            console.log('[Return] Old balance:', oldBalance, 'New balance:', newBalance, 'Difference:', (newBalance - oldBalance));
-            
-            // Create a new object with updated balance to ensure all fields are preserved
-            // Note: Don't include currentBalance if it doesn't exist in the table
-            const updatedEntity = {
-                ...entity,
-                balance: newBalance,
-                updatedAt: new Date().toISOString()
-            };
-            
-            // Only add currentBalance if it exists in the entity (some tables might have it)
-            if (entity.hasOwnProperty('currentBalance')) {
-                updatedEntity.currentBalance = newBalance;
-            }
-            
-            console.log('[Return] Entity after update:', JSON.stringify(updatedEntity, null, 2));
-            
-            const updateResult = await window.electronAPI.dbUpdate(tableName, entity.id, updatedEntity);
-            console.log('[Return] Balance update result:', updateResult);
-            
-            // Verify the update by reloading the entity
-            const verifyEntity = await window.electronAPI.dbGet(tableName, entity.id);
-            console.log('[Return] Entity after update (verified):', JSON.stringify(verifyEntity, null, 2));
-            console.log('[Return] Verified balance:', verifyEntity?.balance);
-            
-            if (window.showToast) {
-                window.showToast(`تم تحديث رصيد ${returnType === 'from_customer' ? 'العميل' : 'المورد'} من ${oldBalance.toFixed(2)} إلى ${newBalance.toFixed(2)}`, 'success');
-            }
-            
-            // Dispatch event to notify other screens about balance change
-            if (returnType === 'from_customer') {
-                window.dispatchEvent(new CustomEvent('customerBalanceUpdated', {
-                    detail: { 
-                        customerId: entity.id,
-                        oldBalance: oldBalance,
-                        newBalance: newBalance,
-                        change: newBalance - oldBalance
-                    },
-                    bubbles: true,
-                    cancelable: true
-                }));
-            } else {
-                window.dispatchEvent(new CustomEvent('supplierBalanceUpdated', {
-                    detail: { 
-                        supplierId: entity.id,
-                        oldBalance: oldBalance,
-                        newBalance: newBalance,
-                        change: newBalance - oldBalance
-                    },
-                    bubbles: true,
-                    cancelable: true
-                }));
-            }
-        } catch (error) {
-            console.error('[Return] Error updating entity balance:', error);
-            console.error('[Return] Error stack:', error.stack);
-            const errorMsg = 'خطأ في تحديث رصيد ' + (returnType === 'from_customer' ? 'العميل' : 'المورد') + ': ' + error.message;
-            if (window.showToast) {
-                window.showToast(errorMsg, 'error');
-            }
-            throw new Error(errorMsg);
-        }
-    } else if (!shouldUpdateBalance) {
-        console.log('[Return] Balance update skipped - restoreBalance not checked for customer return');
-        if (restoreBalance && returnType === 'from_customer') {
-            console.warn('[Return] WARNING: restoreBalance is checked but shouldUpdateBalance is false!');
-        }
-    } else if (!window.electronAPI || !window.electronAPI.dbUpdate) {
-        const errorMsg = 'لا يمكن الوصول إلى قاعدة البيانات - electronAPI أو dbUpdate غير متاح';
-        console.error('[Return]', errorMsg);
-        if (window.showToast) {
-            window.showToast(errorMsg, 'error');
-        }
-        throw new Error(errorMsg);
-    }
-
-    // Update product stock
-    if (restoredToStock === 'true' && window.electronAPI && window.electronAPI.dbUpdate) {
-        try {
-            product.stock = newStock;
-            product.updatedAt = new Date().toISOString();
-            await window.electronAPI.dbUpdate('products', product.id, product);
-        } catch (error) {
-            console.error('[Return] Error updating product stock:', error);
-            if (window.showToast) {
-                window.showToast('خطأ في تحديث المخزون: ' + error.message, 'error');
-            } else {
-            if (window.showToast) {
-                window.showToast('خطأ في تحديث المخزون: ' + error.message, 'error');
-            }
-            }
-            // Don't return here, continue with saving the return
-        }
-    } else {
-    }
-
-    // Ensure restoreBalance column exists in database
-    if (window.electronAPI && window.electronAPI.dbQuery) {
-        try {
-            await window.electronAPI.dbQuery('ALTER TABLE returns ADD COLUMN restoreBalance TEXT DEFAULT \'false\'', []);
-        } catch (alterError) {
-            // Column might already exist, ignore
-            if (alterError.message && !alterError.message.includes('duplicate column') && !alterError.message.includes('already exists')) {
-                console.warn('[Return] Could not add restoreBalance column (may already exist):', alterError.message);
-            }
-        }
-    }
-
-    // Generate return number
+    // Generate return id and number
+    const returnId = Date.now().toString();
     const returnNumber = generateReturnNumber();
 
-    // Get current user ID
-    const currentUserId = localStorage.getItem('asel_userId') || '';
-    
-    // Get restoreBalance option (only for customer returns) - reuse the variable already declared above
-    // restoreBalanceCheckbox is already declared earlier in the function, so we just use it here
-    const restoreBalanceValue = returnType === 'from_customer' && restoreBalanceCheckbox && restoreBalanceCheckbox.checked;
-
     // Create return record
     // Note: invoiceId, invoiceType, invoiceNumber are optional (can be null)
     const returnData = {
-        id: Date.now().toString(),
+        id: returnId,
         returnNumber: returnNumber,
         productId: productId,
         date: date,
@@ -2766,135 +2421,59 @@ async function handleReturnSubmit(productId, date, reason, notes, returnType = n
         returnReason: returnReason,
         isDamaged: isDamaged,
         restoredToStock: restoredToStock,
-        restoreBalance: restoreBalanceValue ? 'true' : 'false',
-        notes: notes || '',
-        userId: currentUserId || null,
-        // الرصيد القديم يُحفظ في عمود oldBalance في جدول returns
-        // الرصيد القديم = الرصيد الحالي من قاعدة البيانات (قبل خصم هذا المرتجع)
-        // ⚠️ مهم: هذه القيم تظل ثابتة ولا تتغير حتى بعد إنشاء فواتير جديدة أو سندات
-        // لأنها تمثل "لقطة تاريخية" (snapshot) من الرصيد في وقت إنشاء المرتجع
-        oldBalance: oldBalanceToSave,
-        // الرصيد الجديد يُحفظ في عمود newBalance
-        // الرصيد الجديد = الرصيد القديم - المبلغ (إذا كان restoreBalance = true)
-        // ⚠️ هذه القيمة تظل ثابتة ولا تتغير
-        newBalance: newBalanceToSave,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
+        restoreBalance: restoreBalance ? 'true' : 'false',
+        notes: notes || ''
     };
 
-    // Save return to database
-    
-    if (window.electronAPI && window.electronAPI.dbInsert) {
-        try {
-            
-            const insertResult = await window.electronAPI.dbInsert('returns', returnData);
-            
-            
-            // Check if insert was successful
-            if (insertResult && insertResult.success === false) {
-                const errorMsg = insertResult.error || 'خطأ غير معروف في حفظ البيانات';
-                console.error('[Return] Database insert failed:', errorMsg);
-                if (window.showToast) {
-                    window.showToast('خطأ في حفظ المرتجع: ' + errorMsg, 'error');
-                } else {
-                if (window.showToast) {
-                    window.showToast('خطأ في حفظ المرتجع: ' + errorMsg, 'error');
-                }
-                }
-                throw new Error(errorMsg);
-            }
-            
-            // Check for lastInsertRowid or changes (SQLite result format)
-            if (insertResult && (insertResult.lastInsertRowid !== undefined || insertResult.changes !== undefined)) {
-            } else if (insertResult && insertResult.changes === 0) {
-                console.warn('[Return] ⚠️ Insert returned 0 changes - may not have inserted');
-                if (window.showToast) {
-                    window.showToast('قد لا يكون تم حفظ المرتجع - يرجى التحقق من قاعدة البيانات', 'error');
-                } else {
-                if (window.showToast) {
-                    window.showToast('قد لا يكون تم حفظ المرتجع - يرجى التحقق من قاعدة البيانات', 'error');
-                }
-                }
-            } else {
-                console.warn('[Return] ⚠️ Insert result format unexpected:', insertResult);
-                // Still consider it success if we got a result object
-            }
-            
-            
-            // Return success indicator
-            return { success: true, insertResult };
-        } catch (error) {
-            console.error('[Return] ===== ERROR SAVING TO DATABASE =====');
-            console.error('[Return] Error name:', error.name);
-            console.error('[Return] Error message:', error.message);
-            console.error('[Return] Error stack:', error.stack);
-            console.error('[Return] Full error object:', error);
-            const errorMsg = 'خطأ في حفظ المرتجع في قاعدة البيانات: ' + (error.message || 'خطأ غير معروف');
-            if (window.showToast) {
-                window.showToast(errorMsg, 'error');
-            }
-            throw error; // Throw error instead of returning
-        }
-    } else {
-        const errorMsg = 'لا يمكن الوصول إلى قاعدة البيانات - electronAPI أو dbInsert غير متاح';
+    if (!window.electronAPI || !window.electronAPI.returnPost) {
+        const errorMsg = 'لا يمكن الوصول إلى قاعدة البيانات - returnPost غير متاح';
         console.error('[Return]', errorMsg);
-        console.error('[Return] window.electronAPI:', window.electronAPI);
-        console.error('[Return] dbInsert available:', window.electronAPI && window.electronAPI.dbInsert);
         if (window.showToast) {
             window.showToast(errorMsg, 'error');
         }
-        throw new Error(errorMsg); // Throw error instead of returning
+        throw new Error(errorMsg);
     }
 
-    // Success message - don't show alert here as it's handled in handleReturnFormSubmit
-    
-    // Reload data from database to ensure consistency
-    if (window.electronAPI && window.electronAPI.dbGetAll) {
-        try {
-            // Reload all data to ensure consistency
-            products = await window.electronAPI.dbGetAll('products', '', []) || [];
-            returns = await window.electronAPI.dbGetAll('returns', '', []) || [];
-            if (returnType === 'from_customer') {
-                customers = await window.electronAPI.dbGetAll('customers', '', []) || [];
-            } else {
-                suppliers = await window.electronAPI.dbGetAll('suppliers', '', []) || [];
-            }
-        } catch (error) {
-            console.error('[Inventory] Error reloading data after save:', error);
-            // On error, still update local arrays to show the data
-            returns.push(returnData);
-            const localProduct = products.find(p => p.id === productId);
-            if (localProduct && restoredToStock === 'true') {
-                localProduct.stock = newStock;
-            }
+    // Save the return with its stock movement and balance change in one transaction in the
+    // main process. The balance snapshot (oldBalance/newBalance) is taken there as well.
+    const postResult = await window.electronAPI.returnPost(returnData);
+    if (!postResult || postResult.success === false) {
+        const errorMsg = 'خطأ في حفظ المرتجع: ' + ((postResult && postResult.error) || 'خطأ غير معروف');
+        console.error('[Return] Database post failed:', postResult);
+        if (window.showToast) {
+            window.showToast(errorMsg, 'error');
         }
-    } else {
-        // Update local arrays as fallback
-        returns.push(returnData);
+        throw new Error(errorMsg);
+    }
+    const savedReturn = postResult.return;
+
+    if (restoreBalance) {
+        if (window.showToast) {
+            window.showToast(`تم تحديث رصيد ${returnType === 'from_customer' ? 'العميل' : 'المورد'} من ${savedReturn.oldBalance.toFixed(2)} إلى ${savedReturn.newBalance.toFixed(2)}`, 'success');
+        }
+        
+        // Dispatch event to notify other screens about balance change
+        const balanceDetail = {
+            oldBalance: savedReturn.oldBalance,
+            newBalance: savedReturn.newBalance,
+            change: Money.subtract(savedReturn.newBalance, savedReturn.oldBalance)
+        };
         if (returnType === 'from_customer') {
-            const localCustomer = customers.find(c => c.id === entityId);
-            if (localCustomer) {
-                localCustomer.balance = newBalance;
-                localCustomer.currentBalance = newBalance;
-            }
+            window.dispatchEvent(new CustomEvent('customerBalanceUpdated', {
+                detail: { customerId: entity.id, ...balanceDetail },
+                bubbles: true,
+                cancelable: true
+            }));
         } else {
-            const localSupplier = suppliers.find(s => s.id === entityId);
-            if (localSupplier) {
-                localSupplier.balance = newBalance;
-                localSupplier.currentBalance = newBalance;
-            }
-        }
-
-        const localProduct = products.find(p => p.id === productId);
-        if (localProduct && restoredToStock === 'true') {
-            localProduct.stock = newStock;
+            window.dispatchEvent(new CustomEvent('supplierBalanceUpdated', {
+                detail: { supplierId: entity.id, ...balanceDetail },
+                bubbles: true,
+                cancelable: true
+            }));
         }
     }
 
-    // Note: Don't refresh display here - it's handled in handleReturnFormSubmit
-    // The calling function will handle closing modal and refreshing
-    // Also, don't call applyReturnFilters() here as it tries to access DOM elements
-    // that might not be available yet
+    return { success: true, savedReturn };
 }
 
 // Generate Return Number
@@ -3016,34 +2595,18 @@ async function proceedWithInventoryOperationDeletion(operationId) {
 
     const operation = inventoryOperations.find(op => op.id === operationId);
     if (operation) {
-        // Revert stock change in database
-        if (window.electronAPI && window.electronAPI.dbGet && window.electronAPI.dbUpdate) {
+        // Move to the recycle bin (the stock change is reverted in the main process)
+        if (window.electronAPI && window.electronAPI.recycleBinDelete) {
             try {
-                const product = await window.electronAPI.dbGet('products', operation.productId);
-                if (product) {
-                    product.stock = operation.oldStock;
-                    await window.electronAPI.dbUpdate('products', product.id, product);
-                }
-                
-                // Delete from database
-                await window.electronAPI.dbDelete('inventory_adjustments', operationId);
-                
-                
-                // Wait for database updates to be fully committed before dispatching events
-                await new Promise(resolve => setTimeout(resolve, 300));
-                
-                // Verify the product was actually updated in the database before dispatching
-                if (window.electronAPI && window.electronAPI.dbGet) {
-                    try {
-                        const updatedProduct = await window.electronAPI.dbGet('products', operation.productId);
-                    } catch (error) {
-                        console.error('[Inventory] Error verifying product revert:', error);
-                    }
+                const deleteResult = await window.electronAPI.recycleBinDelete('inventory_adjustments', operationId);
+                if (!deleteResult || deleteResult.success === false) {
+                    throw new Error((deleteResult && deleteResult.error) || 'خطأ غير معروف');
                 }
+                const revertedProduct = (deleteResult.products || []).find(p => p.id === operation.productId);
                 
                 // Dispatch event to notify products screen
                 window.dispatchEvent(new CustomEvent('productStockUpdated', { 
-                    detail: { productId: operation.productId, newStock: operation.oldStock },
+                    detail: { productId: operation.productId, newStock: revertedProduct ? revertedProduct.stock : operation.oldStock },
                     bubbles: true,
                     cancelable: true
                 }));
@@ -3839,34 +3402,26 @@ async function proceedWithAdjustmentDeletion(operationId) {
 
     const operation = inventoryOperations.find(op => op.id === operationId);
     if (operation) {
-        // Revert stock change in database
-        if (window.electronAPI && window.electronAPI.dbGet && window.electronAPI.dbUpdate) {
-            try {
-                const product = await window.electronAPI.dbGet('products', operation.productId);
+        // Move to the recycle bin (the stock change is reverted in the main process)
+        try {
+            const deleteResult = await window.electronAPI.recycleBinDelete('inventory_adjustments', operationId);
+            if (!deleteResult || deleteResult.success === false) {
+                throw new Error((deleteResult && deleteResult.error) || 'خطأ غير معروف');
+            }
+
+            // Update stock locally
+            (deleteResult.products || []).forEach(dbProduct => {
+                const product = products.find(p => p.id === dbProduct.id);
                 if (product) {
-                    product.stock = operation.oldStock;
-                    await window.electronAPI.dbUpdate('products', product.id, product);
+                    product.stock = dbProduct.stock;
                 }
-                
-                // Delete from database
-                await window.electronAPI.dbDelete('inventory_adjustments', operationId);
-            } catch (error) {
-                console.error('[Inventory] Error reverting stock:', error);
-                if (window.showToast) {
-                    window.showToast('خطأ في استعادة المخزون: ' + error.message, 'error');
-                } else {
-                if (window.showToast) {
-                    window.showToast('خطأ في استعادة المخزون: ' + error.message, 'error');
-                }
-                }
-                return;
+            });
+        } catch (error) {
+            console.error('[Inventory] Error reverting stock:', error);
+            if (window.showToast) {
+                window.showToast('خطأ في استعادة المخزون: ' + error.message, 'error');
             }
-        }
-        
-        // Revert stock change locally
-        const product = products.find(p => p.id === operation.productId);
-        if (product) {
-            product.stock = operation.oldStock;
+            return;
         }
     }
 
@@ -3921,55 +3476,13 @@ async function proceedWithReturnDeletion(returnId) {
     if (!ret) return;
 
     try {
-        // Revert entity balance only if restoreBalance was true
-        // When deleting a return, we need to reverse the balance change only if it was applied
-        // For both customers and suppliers: we subtracted only if restoreBalance was true, so we add back only if it was true
-        const tableName = ret.returnType === 'from_customer' ? 'customers' : 'suppliers';
-        const shouldRevertBalance = (ret.restoreBalance === 'true' || ret.restoreBalance === true);
-        
-        if (shouldRevertBalance) {
-            const entity = await window.electronAPI.dbGet(tableName, ret.entityId);
-            if (entity) {
-                const updatedEntity = {
-                    ...entity,
-                    balance: parseFloat(entity.balance || 0) + ret.totalAmount, // Add back (reverse the subtraction)
-                    updatedAt: new Date().toISOString()
-                };
-                // Only add currentBalance if it exists in the entity
-                if (entity.hasOwnProperty('currentBalance')) {
-                    updatedEntity.currentBalance = updatedEntity.balance;
-                }
-                await window.electronAPI.dbUpdate(tableName, entity.id, updatedEntity);
-            }
-        }
-
-        // Revert product stock if it was restored
-        // For returns from customer: we added to stock, so subtract (reverse)
-        // For returns to supplier: we subtracted from stock, so add back (reverse)
-        if (ret.restoredToStock === 'true') {
-            const product = await window.electronAPI.dbGet('products', ret.productId);
-            if (product) {
-                const currentStock = parseFloat(product.stock || 0);
-                let newStock = currentStock;
-                
-                if (ret.returnType === 'from_customer') {
-                    // We added to stock, so subtract (reverse)
-                    newStock = Math.max(0, currentStock - ret.quantity);
-                    console.log('[Return] Reverting customer return: subtracting', ret.quantity, 'from stock. Old:', currentStock, 'New:', newStock);
-                } else if (ret.returnType === 'to_supplier') {
-                    // We subtracted from stock, so add back (reverse)
-                    newStock = currentStock + ret.quantity;
-                    console.log('[Return] Reverting supplier return: adding', ret.quantity, 'to stock. Old:', currentStock, 'New:', newStock);
-                }
-                
-                product.stock = newStock;
-                await window.electronAPI.dbUpdate('products', product.id, product);
-            }
+        // Move to the recycle bin. The main process reverts the entity balance (only if
+        // restoreBalance was applied) and the stock movements recorded for this return.
+        const deleteResult = await window.electronAPI.recycleBinDelete('returns', returnId);
+        if (!deleteResult || deleteResult.success === false) {
+            throw new Error((deleteResult && deleteResult.error) || 'خطأ غير معروف');
         }
 
-        // Delete from database
-        await window.electronAPI.dbDelete('returns', returnId);
-
         await loadData();
         await applyReturnFilters();
         if (window.showToast) {
@@ -4126,20 +3639,11 @@ async function cancelInventoryOperation(operationId) {
         `هل أنت متأكد من إلغاء العملية ${operation.operationNumber}؟\n\nسيتم عكس جميع العمليات المرتبطة بهذه العملية.`,
         async () => {
             try {
-                // Reverse operation: restore old stock
-                if (window.electronAPI && window.electronAPI.dbGet && window.electronAPI.dbUpdate) {
-                    const product = await window.electronAPI.dbGet('products', operation.productId);
-                    if (product) {
-                        // Restore old stock
-                        product.stock = operation.oldStock;
-                        await window.electronAPI.dbUpdate('products', product.id, product);
-                        
-                        // Update in local array
-                        const localProduct = products.find(p => p.id === product.id);
-                        if (localProduct) {
-                            localProduct.stock = operation.oldStock;
-                        }
-                    }
+                // Reverse operation: move it to the recycle bin
+                // (its stock movement is reversed in the main process)
+                const deleteResult = await window.electronAPI.recycleBinDelete('inventory_adjustments', operation.id);
+                if (!deleteResult || deleteResult.success === false) {
+                    throw new Error((deleteResult && deleteResult.error) || 'خطأ غير معروف');
                 }
                 
                 // Show success toast
@@ -4201,20 +3705,11 @@ async function cancelAdjustment(adjustmentId) {
         `هل أنت متأكد من إلغاء عملية الجرد ${adjustment.operationNumber || adjustment.adjustmentNumber}؟\n\nسيتم عكس جميع العمليات المرتبطة بهذه العملية.`,
         async () => {
             try {
-                // Reverse adjustment: restore old stock
-                if (window.electronAPI && window.electronAPI.dbGet && window.electronAPI.dbUpdate) {
-                    const product = await window.electronAPI.dbGet('products', adjustment.productId);
-                    if (product) {
-                        // Restore old stock
-                        product.stock = adjustment.oldStock;
-                        await window.electronAPI.dbUpdate('products', product.id, product);
-                        
-                        // Update in local array
-                        const localProduct = products.find(p => p.id === product.id);
-                        if (localProduct) {
-                            localProduct.stock = adjustment.oldStock;
-                        }
-                    }
+                // Reverse adjustment: move it to the recycle bin
+                // (its stock movement is reversed in the main process)
+                const deleteResult = await window.electronAPI.recycleBinDelete('inventory_adjustments', adjustment.id);
+                if (!deleteResult || deleteResult.success === false) {
+                    throw new Error((deleteResult && deleteResult.error) || 'خطأ غير معروف');
                 }
                 
                 // Show success toast
@@ -4276,48 +3771,11 @@ async function cancelReturn(returnId) {
         `هل أنت متأكد من إلغاء المرتجع ${ret.returnNumber || ret.id}؟\n\nسيتم عكس جميع العمليات المرتبطة بهذا المرتجع.`,
         async () => {
             try {
-                // Reverse return operations:
-                // 1. Reverse stock changes (if restored to stock, subtract it; if not, no change needed)
-                if (ret.restoredToStock === 'true' && window.electronAPI && window.electronAPI.dbGet && window.electronAPI.dbUpdate) {
-                    const product = await window.electronAPI.dbGet('products', ret.productId);
-                    if (product) {
-                        // Subtract the returned quantity from stock
-                        product.stock = Math.max(0, (product.stock || 0) - (ret.quantity || 0));
-                        await window.electronAPI.dbUpdate('products', product.id, product);
-                        
-                        // Update in local array
-                        const localProduct = products.find(p => p.id === product.id);
-                        if (localProduct) {
-                            localProduct.stock = product.stock;
-                        }
-                    }
-                }
-                
-                // 2. Reverse customer/supplier balance changes
-                if (ret.returnType === 'from_customer' && ret.entityId && window.electronAPI && window.electronAPI.dbGet && window.electronAPI.dbUpdate) {
-                    // Reverse customer balance (subtract the amount that was added)
-                    const customer = await window.electronAPI.dbGet('customers', ret.entityId);
-                    if (customer) {
-                        customer.balance = (customer.balance || 0) - (ret.totalAmount || 0);
-                        await window.electronAPI.dbUpdate('customers', customer.id, customer);
-                        
-                        // Recalculate customer balance
-                        if (window.recalculateCustomerBalance && typeof window.recalculateCustomerBalance === 'function') {
-                            await window.recalculateCustomerBalance(customer.id);
-                        }
-                    }
-                } else if (ret.returnType === 'to_supplier' && ret.entityId && window.electronAPI && window.electronAPI.dbGet && window.electronAPI.dbUpdate) {
-                    // Reverse supplier balance (add the amount that was subtracted)
-                    const supplier = await window.electronAPI.dbGet('suppliers', ret.entityId);
-                    if (supplier) {
-                        supplier.balance = (supplier.balance || 0) + (ret.totalAmount || 0);
-                        await window.electronAPI.dbUpdate('suppliers', supplier.id, supplier);
-                        
-                        // Recalculate supplier balance
-                        if (window.recalculateSupplierBalance && typeof window.recalculateSupplierBalance === 'function') {
-                            await window.recalculateSupplierBalance(supplier.id);
-                        }
-                    }
+                // Reverse return: move it to the recycle bin (its stock movement and
+                // customer/supplier balance change are reversed in the main process)
+                const deleteResult = await window.electronAPI.recycleBinDelete('returns', ret.id);
+                if (!deleteResult || deleteResult.success === false) {
+                    throw new Error((deleteResult && deleteResult.error) || 'خطأ غير معروف');
                 }
                 
                 // Show success toast
@@ -119,6 +119,11 @@ function proceedWithLogout() {
         localStorage.removeItem('asel_rememberMe');
     }
     
+    // End the session in the main process (database access is checked against it)
+    if (window.electronAPI && window.electronAPI.logout) {
+        window.electronAPI.logout();
+    }
+    
     // Redirect to login page
     window.location.href = 'login.html';
 }
@@ -0,0 +1,485 @@
+// Database Maintenance - health of the database file, maintenance tasks and their schedule
+// Needs utils/db-health.js loaded before it.
+
+const MAINTENANCE_TRIGGER_LABELS = {
+    manual: 'يدوي',
+    schedule: 'مجدول'
+};
+
+const MAINTENANCE_STATUS_LABELS = {
+    success: 'نجح',
+    failed: 'فشل',
+    skipped: 'لم يُنفّذ'
+};
+
+const CONSISTENCY_GROUPS = {
+    customers: { title: 'العملاء', field: 'balance' },
+    suppliers: { title: 'الموردين', field: 'balance' },
+    products: { title: 'المنتجات', field: 'stock' }
+};
+
+const CONSISTENCY_DOCUMENT_LABELS = {
+    sales_invoices: 'فاتورة مبيعات',
+    purchase_invoices: 'فاتورة مشتريات',
+    receipts: 'سند قبض',
+    payments: 'سند صرف',
+    returns: 'مرتجع',
+    inventory_adjustments: 'جرد',
+    delivery_settlements: 'تسوية إذن صرف'
+};
+
+let maintenanceRunning = false;
+// Result of the last consistency check
+let consistencyResult = null;
+
+document.addEventListener('DOMContentLoaded', async () => {
+    renderMaintenanceTaskControls();
+
+    document.getElementById('refreshHealthBtn').addEventListener('click', () => loadDatabaseHealth());
+    document.getElementById('runMaintenanceBtn').addEventListener('click', () => {
+        const tasks = getSelectedMaintenanceTasks();
+        if (tasks.length === 0) {
+            notifyMaintenance('اختر مهمة صيانة واحدة على الأقل في إعدادات الصيانة المجدولة', 'error');
+            return;
+        }
+        runMaintenanceTasks(tasks);
+    });
+    document.getElementById('taskButtons').addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-task]');
+        if (button) {
+            runMaintenanceTasks([button.dataset.task]);
+        }
+    });
+    document.getElementById('saveMaintenanceSettingsBtn').addEventListener('click', saveMaintenanceSettings);
+    document.getElementById('checkConsistencyBtn').addEventListener('click', checkDataConsistency);
+    document.getElementById('applyConsistencyBtn').addEventListener('click', applyConsistencyCorrections);
+    document.getElementById('consistencyResults').addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-documents]');
+        if (button) {
+            const row = document.getElementById(button.dataset.documents);
+            row.style.display = row.style.display === 'none' ? '' : 'none';
+        }
+    });
+    document.getElementById('consistencyResults').addEventListener('change', updateConsistencyApplyButton);
+
+    // Scheduled runs and runs from another PC
+    if (typeof onDataChanged === 'function') {
+        onDataChanged(['maintenance_runs'], () => loadDatabaseHealth());
+    }
+
+    await loadDatabaseHealth({ fillSettings: true });
+});
+
+function escapeMaintenanceValue(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function notifyMaintenance(message, type = 'info') {
+    if (window.showToast) {
+        window.showToast(message, type);
+    } else {
+        alert(message);
+    }
+}
+
+function formatMaintenanceDate(value) {
+    return value ? new Date(value).toLocaleString('ar-EG') : 'لم يتم بعد';
+}
+
+// One button per task and one checkbox per task in the schedule settings
+function renderMaintenanceTaskControls() {
+    document.getElementById('taskButtons').innerHTML = MAINTENANCE_TASKS.map(task => `
+        <button class="btn btn-secondary" data-task="${task}">${escapeMaintenanceValue(MAINTENANCE_TASK_LABELS[task])}</button>
+    `).join('');
+    document.getElementById('maintenanceTasks').innerHTML = MAINTENANCE_TASKS.map(task => `
+        <label style="display: block; margin-top: 6px;">
+            <input type="checkbox" data-schedule-task="${task}" checked>
+            ${escapeMaintenanceValue(MAINTENANCE_TASK_LABELS[task])}
+        </label>
+    `).join('');
+}
+
+function getSelectedMaintenanceTasks() {
+    return Array.from(document.querySelectorAll('input[data-schedule-task]'))
+        .filter(input => input.checked)
+        .map(input => input.dataset.scheduleTask);
+}
+
+function setMaintenanceButtonsDisabled(disabled) {
+    document.querySelectorAll('#runMaintenanceBtn, #taskButtons button').forEach(button => {
+        button.disabled = disabled;
+    });
+}
+
+/**
+ * Read and show the health of the database.
+ * @param {{fillSettings?: boolean}} [options] - fillSettings: also reset the settings form
+ *   (not done on refreshes, so unsaved changes in the form are kept)
+ */
+async function loadDatabaseHealth({ fillSettings = false } = {}) {
+    if (!window.electronAPI || !window.electronAPI.dbHealthGet) {
+        document.getElementById('healthIssues').innerHTML = '<div class="maintenance-issue error">صيانة قاعدة البيانات غير متاحة</div>';
+        return;
+    }
+    try {
+        const result = await window.electronAPI.dbHealthGet(30);
+        if (!result || !result.success) {
+            throw new Error((result && result.error) || 'خطأ غير معروف');
+        }
+        renderHealthIssues(result.health.issues);
+        renderHealthStats(result.health);
+        renderMaintenanceRuns(result.runs || []);
+        if (fillSettings) {
+            fillMaintenanceSettings(result.settings);
+        }
+        document.getElementById('maintenanceNextRun').textContent = result.nextRunAt
+            ? `الصيانة التالية: ${formatMaintenanceDate(result.nextRunAt)}`
+            : 'الصيانة المجدولة متوقفة';
+    } catch (error) {
+        console.error('Error loading database health:', error);
+        document.getElementById('healthIssues').innerHTML =
+            `<div class="maintenance-issue error">تعذر قراءة حالة قاعدة البيانات: ${escapeMaintenanceValue(error.message)}</div>`;
+    }
+}
+
+function renderHealthIssues(issues) {
+    const container = document.getElementById('healthIssues');
+    if (!issues || issues.length === 0) {
+        container.innerHTML = '<div class="maintenance-issue ok">✅ لا توجد مشاكل في قاعدة البيانات</div>';
+        return;
+    }
+    container.innerHTML = issues.map(issue => `
+        <div class="maintenance-issue ${issue.level === 'error' ? 'error' : ''}">
+            <strong>${issue.level === 'error' ? '⛔' : '⚠️'} ${escapeMaintenanceValue(issue.title)}</strong>
+            <div style="margin-top: 4px; font-size: 13px;">${escapeMaintenanceValue(issue.details)}</div>
+        </div>
+    `).join('');
+}
+
+// Last run of a task: its date, or its result when it did not succeed
+function describeLastRun(health, task) {
+    const run = health.lastRuns[task];
+    if (run && run.status !== 'success') {
+        return `آخر محاولة ${formatMaintenanceDate(run.startedAt)}: ${MAINTENANCE_STATUS_LABELS[run.status] || run.status}`;
+    }
+    return formatMaintenanceDate(health.lastSuccessAt[task]);
+}
+
+function renderHealthStats(health) {
+    const integrity = health.lastRuns.integrity_check;
+    const integrityValue = !integrity
+        ? 'لم يُفحص بعد'
+        : (integrity.status === 'success' ? 'سليمة' : (MAINTENANCE_STATUS_LABELS[integrity.status] || integrity.status));
+    const stats = [
+        { label: 'حجم قاعدة البيانات', value: formatBytes(health.dbSize), sub: health.dbPath },
+        { label: 'ملف WAL', value: formatBytes(health.walSize), sub: `آخر دمج: ${describeLastRun(health, 'checkpoint')}` },
+        { label: 'المساحة المتاحة على القرص', value: health.freeDiskSpace === null ? 'غير معروفة' : formatBytes(health.freeDiskSpace) },
+        {
+            label: 'المساحة الفارغة داخل الملف',
+            value: `${health.fragmentationPercent}%`,
+            sub: `${formatBytes(health.reclaimableBytes)} يمكن استرجاعها بالضغط`
+        },
+        { label: 'فحص السلامة', value: integrityValue, sub: integrity ? formatMaintenanceDate(integrity.startedAt) : '' },
+        { label: 'آخر ضغط (VACUUM)', value: describeLastRun(health, 'vacuum') },
+        { label: 'آخر تحديث للإحصاءات (ANALYZE)', value: describeLastRun(health, 'analyze') }
+    ];
+    document.getElementById('healthStats').innerHTML = stats.map(stat => `
+        <div class="maintenance-stat">
+            <div class="label">${escapeMaintenanceValue(stat.label)}</div>
+            <div class="value" style="${stat.value.length > 12 ? 'font-size: 15px;' : ''}">${escapeMaintenanceValue(stat.value)}</div>
+            ${stat.sub ? `<div class="sub" style="word-break: break-all;">${escapeMaintenanceValue(stat.sub)}</div>` : ''}
+        </div>
+    `).join('');
+}
+
+// Result of a run in a few words
+function describeMaintenanceRun(run) {
+    const details = run.details || {};
+    if (run.status !== 'success') {
+        const errors = Array.isArray(details.errors) ? details.errors.slice(0, 3) : [];
+        return [run.error || '', ...errors].filter(Boolean).join(' - ');
+    }
+    const duration = details.durationMs !== undefined ? ` (${(details.durationMs / 1000).toFixed(1)} ث)` : '';
+    if (run.task === 'integrity_check') {
+        return `قاعدة البيانات سليمة${duration}`;
+    }
+    if (run.task === 'checkpoint') {
+        return `WAL: ${formatBytes(details.walSizeBefore)} ← ${formatBytes(details.walSizeAfter)}${duration}`;
+    }
+    if (run.task === 'vacuum') {
+        return `الحجم: ${formatBytes(details.sizeBefore)} ← ${formatBytes(details.sizeAfter)}${duration}`;
+    }
+    return `تم${duration}`;
+}
+
+function renderMaintenanceRuns(runs) {
+    const tbody = document.getElementById('maintenanceRunsBody');
+    if (runs.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="empty-state">لم تُشغّل أي صيانة بعد</td></tr>';
+        return;
+    }
+    tbody.innerHTML = runs.map(run => `
+        <tr>
+            <td>${escapeMaintenanceValue(MAINTENANCE_TASK_LABELS[run.task] || run.task)}</td>
+            <td>${escapeMaintenanceValue(MAINTENANCE_TRIGGER_LABELS[run.trigger] || run.trigger)}</td>
+            <td>${escapeMaintenanceValue(formatMaintenanceDate(run.startedAt))}</td>
+            <td><span class="maintenance-status-${escapeMaintenanceValue(run.status)}">${escapeMaintenanceValue(MAINTENANCE_STATUS_LABELS[run.status] || run.status)}</span></td>
+            <td>${escapeMaintenanceValue(describeMaintenanceRun(run))}</td>
+            <td>${escapeMaintenanceValue(run.username || (run.trigger === 'schedule' ? 'تلقائي' : '-'))}</td>
+        </tr>
+    `).join('');
+}
+
+function fillMaintenanceSettings(settings) {
+    document.getElementById('maintenanceEnabled').checked = settings.enabled;
+    document.getElementById('maintenanceIntervalDays').value = settings.intervalDays;
+    document.querySelectorAll('input[data-schedule-task]').forEach(input => {
+        input.checked = settings.tasks.includes(input.dataset.scheduleTask);
+    });
+}
+
+async function saveMaintenanceSettings() {
+    try {
+        const result = await window.electronAPI.dbMaintenanceSetSettings({
+            enabled: document.getElementById('maintenanceEnabled').checked,
+            intervalDays: document.getElementById('maintenanceIntervalDays').value,
+            tasks: getSelectedMaintenanceTasks()
+        });
+        if (!result || !result.success) {
+            throw new Error((result && result.error) || 'خطأ غير معروف');
+        }
+        fillMaintenanceSettings(result.settings);
+        notifyMaintenance('تم حفظ إعدادات الصيانة', 'success');
+        await loadDatabaseHealth();
+    } catch (error) {
+        console.error('Error saving maintenance settings:', error);
+        notifyMaintenance('خطأ في حفظ الإعدادات: ' + error.message, 'error');
+    }
+}
+
+async function runMaintenanceTasks(tasks) {
+    if (maintenanceRunning) {
+        return;
+    }
+    if (tasks.includes('vacuum')
+        && !confirm('ضغط قاعدة البيانات يوقف الحفظ على كل الأجهزة حتى ينتهي (ثوانٍ إلى دقائق حسب الحجم). هل تريد المتابعة؟')) {
+        return;
+    }
+    maintenanceRunning = true;
+    setMaintenanceButtonsDisabled(true);
+    notifyMaintenance('جارٍ تشغيل الصيانة...', 'info');
+    try {
+        const result = await window.electronAPI.dbMaintenanceRun(tasks);
+        if (!result || !result.success) {
+            throw new Error((result && result.error) || 'خطأ غير معروف');
+        }
+        const failed = result.results.filter(run => run.status !== 'success');
+        if (failed.length === 0) {
+            notifyMaintenance('تمت الصيانة بنجاح', 'success');
+        } else {
+            notifyMaintenance(failed.map(run => `${MAINTENANCE_TASK_LABELS[run.task]}: ${run.error}`).join('\n'), 'error');
+        }
+    } catch (error) {
+        console.error('Error running maintenance:', error);
+        notifyMaintenance('خطأ في الصيانة: ' + error.message, 'error');
+    } finally {
+        maintenanceRunning = false;
+        setMaintenanceButtonsDisabled(false);
+        await loadDatabaseHealth();
+    }
+}
+
+function formatConsistencyNumber(value) {
+    return (Number(value) || 0).toLocaleString('ar-EG', { maximumFractionDigits: 3 });
+}
+
+function formatConsistencyAmount(value) {
+    return `${(Number(value) || 0).toLocaleString('ar-EG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ج.م`;
+}
+
+// Balances and stock recomputed from the documents (reads every document, so only on request)
+async function checkDataConsistency() {
+    const button = document.getElementById('checkConsistencyBtn');
+    button.disabled = true;
+    document.getElementById('applyConsistencyBtn').disabled = true;
+    document.getElementById('consistencySummary').innerHTML = '<div class="maintenance-issue ok">جارٍ فحص المستندات...</div>';
+    document.getElementById('consistencyResults').innerHTML = '';
+    try {
+        const result = await window.electronAPI.consistencyCheck();
+        if (!result || !result.success) {
+            throw new Error((result && result.error) || 'خطأ غير معروف');
+        }
+        consistencyResult = result;
+        renderConsistencyResult(result);
+        renderConsistencyCorrections(result.corrections || []);
+    } catch (error) {
+        console.error('Error checking data consistency:', error);
+        consistencyResult = null;
+        document.getElementById('consistencySummary').innerHTML =
+            `<div class="maintenance-issue error">تعذر فحص التطابق: ${escapeMaintenanceValue(error.message)}</div>`;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function renderConsistencyResult(result) {
+    const counts = Object.keys(CONSISTENCY_GROUPS).map(group => ({ group, count: result[group].length }));
+    const total = counts.reduce((sum, item) => sum + item.count, 0);
+    document.getElementById('consistencySummary').innerHTML = total === 0
+        ? `<div class="maintenance-issue ok">✅ كل الأرصدة والمخزون مطابقة للمستندات (${escapeMaintenanceValue(formatMaintenanceDate(result.checkedAt))})</div>`
+        : `<div class="maintenance-issue">⚠️ غير مطابق: ${counts.filter(item => item.count > 0)
+            .map(item => `${item.count} من ${CONSISTENCY_GROUPS[item.group].title}`).join('، ')}</div>`;
+    document.getElementById('consistencyResults').innerHTML = Object.keys(CONSISTENCY_GROUPS)
+        .filter(group => result[group].length > 0)
+        .map(group => (CONSISTENCY_GROUPS[group].field === 'balance'
+            ? renderBalanceDiscrepancies(group, result[group])
+            : renderStockDiscrepancies(result[group])))
+        .join('');
+    updateConsistencyApplyButton();
+}
+
+function renderConsistencyGroup(group, headers, rows) {
+    return `
+        <div class="consistency-group">
+            <h3>${escapeMaintenanceValue(CONSISTENCY_GROUPS[group].title)}</h3>
+            <div class="table-container">
+                <table class="customers-table">
+                    <thead>
+                        <tr>
+                            <th><input type="checkbox" data-select-all="${group}" checked></th>
+                            ${headers.map(header => `<th>${escapeMaintenanceValue(header)}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        </div>
+    `;
+}
+
+// Row of a customer/supplier/product with the button that shows its documents
+function renderConsistencyRow(group, item, index, cells, documentsHtml, columnCount) {
+    const rowId = `consistency-${group}-${index}`;
+    return `
+        <tr>
+            <td><input type="checkbox" data-consistency-group="${group}" value="${escapeMaintenanceValue(item.id)}" checked></td>
+            ${cells.map(cell => `<td>${cell}</td>`).join('')}
+            <td><button class="btn btn-secondary" data-documents="${rowId}">المستندات</button></td>
+        </tr>
+        <tr class="consistency-documents" id="${rowId}" style="display: none;">
+            <td colspan="${columnCount}">${documentsHtml}</td>
+        </tr>
+    `;
+}
+
+function renderBalanceDiscrepancies(group, parties) {
+    const rows = parties.map((party, index) => {
+        const documents = party.documents.length === 0
+            ? 'لا توجد مستندات - الرصيد يجب أن يساوي الرصيد الافتتاحي'
+            : `${party.documents.map(document => `
+                <div>${escapeMaintenanceValue(CONSISTENCY_DOCUMENT_LABELS[document.table] || document.table)}
+                    ${escapeMaintenanceValue(document.number || '')} - ${escapeMaintenanceValue(document.date || '')}:
+                    ${escapeMaintenanceValue(formatConsistencyAmount(document.amount))}</div>
+            `).join('')}${party.documentCount > party.documents.length
+                ? `<div>... و${party.documentCount - party.documents.length} مستند أقدم</div>`
+                : ''}`;
+        return renderConsistencyRow(group, party, index, [
+            escapeMaintenanceValue(party.name || party.code),
+            escapeMaintenanceValue(formatConsistencyAmount(party.openingBalance)),
+            escapeMaintenanceValue(formatConsistencyAmount(party.balance)),
+            escapeMaintenanceValue(formatConsistencyAmount(party.expectedBalance)),
+            `<span class="consistency-difference">${escapeMaintenanceValue(formatConsistencyAmount(party.difference))}</span>`
+        ], `الرصيد الافتتاحي ${escapeMaintenanceValue(formatConsistencyAmount(party.openingBalance))} + ${party.documentCount} مستند${documents}`, 7);
+    }).join('');
+    return renderConsistencyGroup(group, ['الاسم', 'الرصيد الافتتاحي', 'الرصيد المحفوظ', 'الرصيد المحسوب', 'الفرق', ''], rows);
+}
+
+function renderStockDiscrepancies(products) {
+    const rows = products.map((product, index) => {
+        const documents = product.documents.length === 0
+            ? 'المخزون المحفوظ لا يساوي مجموع حركات المنتج'
+            : product.documents.map(document => `
+                <div>${escapeMaintenanceValue(CONSISTENCY_DOCUMENT_LABELS[document.table] || document.table)}
+                    ${escapeMaintenanceValue(document.number || '')} - ${escapeMaintenanceValue(document.date || '')}:
+                    حسب المستند ${escapeMaintenanceValue(formatConsistencyNumber(document.expected))}،
+                    المسجل في الحركات ${escapeMaintenanceValue(formatConsistencyNumber(document.recorded))}</div>
+            `).join('');
+        return renderConsistencyRow('products', product, index, [
+            escapeMaintenanceValue(product.name || product.code),
+            escapeMaintenanceValue(formatConsistencyNumber(product.stock)),
+            escapeMaintenanceValue(formatConsistencyNumber(product.ledgerStock)),
+            escapeMaintenanceValue(formatConsistencyNumber(product.expectedStock)),
+            `<span class="consistency-difference">${escapeMaintenanceValue(formatConsistencyNumber(product.difference))}</span>`
+        ], documents, 7);
+    }).join('');
+    return renderConsistencyGroup('products', ['المنتج', 'المخزون المحفوظ', 'مجموع الحركات', 'المخزون المحسوب', 'الفرق', ''], rows);
+}
+
+function getSelectedConsistencyIds() {
+    const selection = {};
+    Object.keys(CONSISTENCY_GROUPS).forEach(group => {
+        selection[group] = Array.from(document.querySelectorAll(`input[data-consistency-group="${group}"]`))
+            .filter(input => input.checked)
+            .map(input => input.value);
+    });
+    return selection;
+}
+
+function updateConsistencyApplyButton(event) {
+    const selectAll = event && event.target.closest('input[data-select-all]');
+    if (selectAll) {
+        document.querySelectorAll(`input[data-consistency-group="${selectAll.dataset.selectAll}"]`).forEach(input => {
+            input.checked = selectAll.checked;
+        });
+    }
+    const selection = getSelectedConsistencyIds();
+    document.getElementById('applyConsistencyBtn').disabled =
+        !consistencyResult || Object.values(selection).every(ids => ids.length === 0);
+}
+
+async function applyConsistencyCorrections() {
+    const selection = getSelectedConsistencyIds();
+    const count = Object.values(selection).reduce((sum, ids) => sum + ids.length, 0);
+    if (count === 0 || !confirm(`سيتم تصحيح ${count} من الأرصدة والمخزون إلى القيم المحسوبة من المستندات. هل تريد المتابعة؟`)) {
+        return;
+    }
+    const button = document.getElementById('applyConsistencyBtn');
+    button.disabled = true;
+    try {
+        const result = await window.electronAPI.consistencyApply(selection);
+        if (!result || !result.success) {
+            throw new Error((result && result.error) || 'خطأ غير معروف');
+        }
+        notifyMaintenance(`تم تصحيح ${result.corrected} قيمة`, 'success');
+    } catch (error) {
+        console.error('Error applying consistency corrections:', error);
+        notifyMaintenance('خطأ في التصحيح: ' + error.message, 'error');
+    }
+    await checkDataConsistency();
+}
+
+function renderConsistencyCorrections(corrections) {
+    const tbody = document.getElementById('consistencyCorrectionsBody');
+    if (corrections.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="empty-state">لم يتم أي تصحيح بعد</td></tr>';
+        return;
+    }
+    tbody.innerHTML = corrections.map(correction => {
+        const details = correction.details || {};
+        const format = correction.field === 'stock' ? formatConsistencyNumber : formatConsistencyAmount;
+        return `
+            <tr>
+                <td>${escapeMaintenanceValue(formatMaintenanceDate(correction.createdAt))}</td>
+                <td>${escapeMaintenanceValue(`${correction.field === 'stock' ? 'مخزون' : 'رصيد'} - ${(CONSISTENCY_GROUPS[correction.entityType] || {}).title || correction.entityType}`)}</td>
+                <td>${escapeMaintenanceValue(correction.entityName)}</td>
+                <td>${escapeMaintenanceValue(format(details.oldValue))}</td>
+                <td>${escapeMaintenanceValue(format(details.newValue))}</td>
+                <td>${escapeMaintenanceValue(correction.username || '-')}</td>
+            </tr>
+        `;
+    }).join('');
+}
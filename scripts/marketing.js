@@ -10,23 +10,6 @@ let marketingContactInfo = {
 async function loadMarketingContactInfo() {
     try {
         if (window.electronAPI && window.electronAPI.dbGet) {
-            // Ensure columns exist in database (for existing databases)
-            try {
-                await window.electronAPI.dbQuery('ALTER TABLE company_info ADD COLUMN marketingWhatsApp TEXT', []);
-            } catch (e) {
-                // Column already exists, ignore
-            }
-            try {
-                await window.electronAPI.dbQuery('ALTER TABLE company_info ADD COLUMN marketingMobile TEXT', []);
-            } catch (e) {
-                // Column already exists, ignore
-            }
-            try {
-                await window.electronAPI.dbQuery('ALTER TABLE company_info ADD COLUMN marketingWorkingHours TEXT', []);
-            } catch (e) {
-                // Column already exists, ignore
-            }
-
             const companyInfo = await window.electronAPI.dbGet('company_info', 'company_001');
             
             if (companyInfo) {
@@ -49,9 +49,10 @@ let suppliers = [];
 let isSavingPayment = false; // Flag to prevent duplicate form submissions
 
 // Pagination & Filter State
+// payments holds only the page on screen; filtering, sorting and paging run in the database (db-search)
 let currentPage = 1;
 const itemsPerPage = 20;
-let filteredPayments = [];
+let totalPaymentsCount = 0;
 let searchQuery = '';
 let dateFrom = '';
 let dateTo = '';
@@ -63,7 +64,16 @@ document.addEventListener('DOMContentLoaded', async () => {
     await loadData();
     initializeEventListeners();
     renderSuppliers();
+    // Opened from the global search in the top bar: list and open that record
+    const searchTarget = getGlobalSearchTarget();
+    if (searchTarget) {
+        document.getElementById('searchInput').value = searchTarget.search;
+        searchQuery = searchTarget.search;
+    }
     await applyFilters();
+    if (searchTarget) {
+        viewPayment(searchTarget.id);
+    }
 });
 
 // Initialize Event Listeners
@@ -127,7 +137,7 @@ function initializeEventListeners() {
     });
     
     document.getElementById('nextPageBtn').addEventListener('click', async () => {
-        const totalPages = Math.ceil(filteredPayments.length / itemsPerPage);
+        const totalPages = Math.ceil(totalPaymentsCount / itemsPerPage);
         if (currentPage < totalPages) {
             currentPage++;
             await applyFilters();
@@ -143,10 +153,13 @@ function initializeEventListeners() {
     const clearFiltersBtn = document.getElementById('clearFiltersBtn');
 
     if (searchInput) {
-        searchInput.addEventListener('input', async (e) => {
+        let searchTimeout = null;
+        searchInput.addEventListener('input', (e) => {
             searchQuery = e.target.value;
             currentPage = 1;
-            await applyFilters();
+            // Wait for the user to stop typing before querying the database
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(applyFilters, 300);
         });
     }
 
@@ -202,14 +215,17 @@ function initializeEventListeners() {
 // Load Data
 async function loadData() {
     // Try to load from database first
-    if (window.electronAPI && window.electronAPI.dbGetAll) {
+    if (window.electronAPI && window.electronAPI.dbSearch) {
         try {
-            payments = await window.electronAPI.dbGetAll('payments', '', []);
-            suppliers = await window.electronAPI.dbGetAll('suppliers', '', []);
-            
-            // Ensure arrays
-            payments = Array.isArray(payments) ? payments : [];
-            suppliers = Array.isArray(suppliers) ? suppliers : [];
+            // Payments are loaded a page at a time by applyFilters()
+            payments = [];
+            // Only the supplier fields used by the dropdown and the payments table
+            // (the balance is reloaded from the database before it is used)
+            const suppliersResult = await window.electronAPI.dbSearch('suppliers', {
+                columns: ['id', 'code', 'name', 'balance'],
+                sort: { column: 'createdAt', direction: 'asc' }
+            });
+            suppliers = suppliersResult && suppliersResult.success ? suppliersResult.rows : [];
             
             return;
         } catch (error) {
@@ -246,8 +262,8 @@ async function generatePaymentNumber() {
     // Try to get counter from database first (more reliable)
     if (window.electronAPI && window.electronAPI.dbGetAll) {
         try {
-            // Get all payments from database
-            const allPayments = await window.electronAPI.dbGetAll('payments', '', []);
+            // Get this year's payments from database
+            const allPayments = await window.electronAPI.dbGetAll('payments', 'paymentNumber LIKE ?', [`${prefix}%`]);
             
             if (allPayments && allPayments.length > 0) {
                 // Filter payments with numbers matching current year pattern
@@ -394,7 +410,7 @@ async function calculateBalance() {
 
     if (supplier) {
         // Use the updated balance from database directly (already reloaded above)
-        // الرصيد في قاعدة البيانات محفوظ بالجنيه المصري مباشرة
+        // الرصيد يصل من قاعدة البيانات بالجنيه المصري
         let oldBalance = parseFloat(supplier.balance || 0);
         
         // If editing existing payment, add back the old payment amount to get the balance before this payment
@@ -405,15 +421,15 @@ async function calculateBalance() {
                     // Try to get from database if not in local array
                     const dbPayment = await window.electronAPI.dbGet('payments', paymentId);
                     if (dbPayment && dbPayment.supplierId === supplierId) {
-                        // المبلغ في قاعدة البيانات محفوظ بالجنيه المصري مباشرة
+                        // المبلغ يصل من قاعدة البيانات بالجنيه المصري
                         const oldAmount = parseFloat(dbPayment.amount || 0);
-                        oldBalance = oldBalance + oldAmount;
+                        oldBalance = Money.add(oldBalance, oldAmount);
                         console.log('[Payments] calculateBalance - Added back old payment amount for edit:', oldAmount);
                     }
                 } else if (oldPayment && oldPayment.supplierId === supplierId) {
-                    // المبلغ في قاعدة البيانات محفوظ بالجنيه المصري مباشرة
+                    // المبلغ يصل من قاعدة البيانات بالجنيه المصري
                     const oldAmount = parseFloat(oldPayment.amount || 0);
-                    oldBalance = oldBalance + oldAmount;
+                    oldBalance = Money.add(oldBalance, oldAmount);
                     console.log('[Payments] calculateBalance - Added back old payment amount for edit:', oldAmount);
                 }
             } catch (error) {
@@ -423,7 +439,7 @@ async function calculateBalance() {
         }
 
         // Payment decreases supplier debt (balance) - when we pay, debt decreases
-        const newBalance = oldBalance - amount;
+        const newBalance = Money.subtract(oldBalance, amount);
         
         console.log('[Payments] calculateBalance - Using updated balance from database:', {
             supplierId,
@@ -515,7 +531,7 @@ async function handleFormSubmit(e) {
 
     // Check if payment amount exceeds supplier balance (only for new payments, not edits)
     if (!isEdit) {
-        // الرصيد في قاعدة البيانات محفوظ بالجنيه المصري مباشرة
+        // الرصيد يصل من قاعدة البيانات بالجنيه المصري
         const supplierBalance = parseFloat(supplier.balance) || 0;
         
         // If editing, we need to account for the old payment amount
@@ -524,13 +540,13 @@ async function handleFormSubmit(e) {
             const oldPayment = payments.find(p => p.id === paymentId);
             if (oldPayment && oldPayment.supplierId === supplierId) {
                 // Add back the old payment amount to get balance before this payment
-                effectiveBalance = supplierBalance + oldPayment.amount;
+                effectiveBalance = Money.add(supplierBalance, oldPayment.amount);
             }
         }
         
         // Check if amount exceeds balance
         if (amount > effectiveBalance) {
-            const excessAmount = amount - effectiveBalance;
+            const excessAmount = Money.subtract(amount, effectiveBalance);
             const warningMessage = `⚠️ تحذير: مبلغ السند (${amount.toFixed(2)} ج.م) أكبر من رصيد المورد (${effectiveBalance.toFixed(2)} ج.م)\n\nالفرق: ${excessAmount.toFixed(2)} ج.م\n\nسيصبح رصيد المورد سالباً (المورد سيدين لنا). هل تريد المتابعة؟`;
             
             // Use showConfirmDialog if available, otherwise use confirm
@@ -627,19 +643,19 @@ async function proceedWithPayment() {
     try {
         // Check if payment amount exceeds supplier balance (for edits too)
         if (isEdit) {
-            // الرصيد في قاعدة البيانات محفوظ بالجنيه المصري مباشرة
+            // الرصيد يصل من قاعدة البيانات بالجنيه المصري
         const supplierBalance = parseFloat(supplier.balance) || 0;
             const oldPayment = payments.find(p => p.id === paymentId);
             
             // Calculate effective balance (add back old payment amount)
             let effectiveBalance = supplierBalance;
             if (oldPayment && oldPayment.supplierId === supplierId) {
-                effectiveBalance = supplierBalance + oldPayment.amount;
+                effectiveBalance = Money.add(supplierBalance, oldPayment.amount);
             }
             
             // Check if new amount exceeds balance
             if (amount > effectiveBalance) {
-                const excessAmount = amount - effectiveBalance;
+                const excessAmount = Money.subtract(amount, effectiveBalance);
                 const warningMessage = `⚠️ تحذير: مبلغ السند الجديد (${amount.toFixed(2)} ج.م) أكبر من رصيد المورد (${effectiveBalance.toFixed(2)} ج.م)\n\nالفرق: ${excessAmount.toFixed(2)} ج.م\n\nسيصبح رصيد المورد سالباً (المورد سيدين لنا). هل تريد المتابعة؟`;
                 
                 // Use showConfirmDialog if available, otherwise use confirm
@@ -709,7 +725,7 @@ async function proceedWithPaymentSave() {
         const oldPayment = payments.find(p => p.id === paymentId);
         if (oldPayment && oldPayment.supplierId === supplierId) {
             const oldAmount = parseFloat(oldPayment.amount || 0);
-            calculatedOldBalance = calculatedOldBalance + oldAmount;
+            calculatedOldBalance = Money.add(calculatedOldBalance, oldAmount);
             console.log('[Payments] proceedWithPaymentSave - Editing payment: Added back old payment amount to get balance before this payment:', {
                 currentBalance: parseFloat(supplierForBalance.balance || 0),
                 oldAmount,
@@ -718,12 +734,12 @@ async function proceedWithPaymentSave() {
         }
     }
     
-    // الرصيد يُحفظ بالجنيه المصري مباشرة في قاعدة البيانات
+    // المبالغ هنا بالجنيه المصري، وقاعدة البيانات تحولها إلى قروش عند الحفظ
     const oldBalanceToSave = calculatedOldBalance;
     
     // حساب الرصيد الجديد (oldBalance - amount)
     // سند الصرف يقلل دين المورد (الرصيد)
-    const newBalanceToSave = oldBalanceToSave - amount;
+    const newBalanceToSave = Money.subtract(oldBalanceToSave, amount);
     
     console.log('[Payments] proceedWithPaymentSave - Balance calculations to save in payment:', {
         calculatedOldBalance,
@@ -1112,101 +1128,62 @@ async function applyFilters() {
         }
     }
     
-    // Start with all payments
-    filteredPayments = [...payments];
-    
-    // Apply search filter
-    if (searchQuery) {
-        const query = searchQuery.toLowerCase();
-        filteredPayments = filteredPayments.filter(payment => {
-            // Search by payment number
-            const paymentNumber = (payment.paymentNumber || '').toLowerCase();
-            if (paymentNumber.includes(query)) return true;
-            
-            // Search by supplier name
-            const supplier = suppliers.find(s => s.id === payment.supplierId);
-            if (supplier) {
-                const supplierName = (supplier.name || '').toLowerCase();
-                if (supplierName.includes(query)) return true;
-            }
-            
-            return false;
-        });
+    if (!window.electronAPI || !window.electronAPI.dbSearch) {
+        totalPaymentsCount = payments.length;
+        await renderPayments();
+        return;
     }
     
-    // Apply date range filter (use effectiveDateFrom and effectiveDateTo)
+    // Date range filter (use effectiveDateFrom and effectiveDateTo)
+    const filters = [];
     if (effectiveDateFrom) {
-        filteredPayments = filteredPayments.filter(payment => {
-            return new Date(payment.date) >= new Date(effectiveDateFrom);
-        });
+        filters.push({ column: 'date', op: '>=', value: effectiveDateFrom });
     }
-    
     if (effectiveDateTo) {
-        filteredPayments = filteredPayments.filter(payment => {
-            const paymentDate = new Date(payment.date);
-            const toDate = new Date(effectiveDateTo);
-            toDate.setHours(23, 59, 59, 999); // Include entire day
-            return paymentDate <= toDate;
-        });
+        filters.push({ column: 'date', op: '<=', value: effectiveDateTo + ' 23:59:59' }); // Include entire day
     }
     
-    // Apply payment method filter
+    // Payment method filter
     if (paymentMethodFilter) {
-        filteredPayments = filteredPayments.filter(payment => {
-            return payment.paymentMethod === paymentMethodFilter;
-        });
+        filters.push({ column: 'paymentMethod', op: '=', value: paymentMethodFilter });
     }
     
-    // Apply sorting
-    filteredPayments.sort((a, b) => {
-        switch (sortBy) {
-            case 'date-desc':
-                // Sort by date first, then by createdAt/updatedAt (newest first)
-                const dateA = new Date(a.date || 0);
-                const dateB = new Date(b.date || 0);
-                if (dateB.getTime() !== dateA.getTime()) {
-                    return dateB.getTime() - dateA.getTime();
-                }
-                // If same date, sort by createdAt or updatedAt (newest first)
-                const timeA = new Date(a.createdAt || a.updatedAt || 0);
-                const timeB = new Date(b.createdAt || b.updatedAt || 0);
-                return timeB.getTime() - timeA.getTime();
-            case 'date-asc':
-                // Sort by date first, then by createdAt/updatedAt (oldest first)
-                const dateA2 = new Date(a.date || 0);
-                const dateB2 = new Date(b.date || 0);
-                if (dateA2.getTime() !== dateB2.getTime()) {
-                    return dateA2.getTime() - dateB2.getTime();
-                }
-                // If same date, sort by createdAt or updatedAt (oldest first)
-                const timeA2 = new Date(a.createdAt || a.updatedAt || 0);
-                const timeB2 = new Date(b.createdAt || b.updatedAt || 0);
-                return timeA2.getTime() - timeB2.getTime();
-            case 'amount-desc':
-                return (b.amount || 0) - (a.amount || 0);
-            case 'amount-asc':
-                return (a.amount || 0) - (b.amount || 0);
-            case 'number-desc':
-                return (b.paymentNumber || '').localeCompare(a.paymentNumber || '');
-            case 'number-asc':
-                return (a.paymentNumber || '').localeCompare(b.paymentNumber || '');
-            default:
-                // Default: newest first by date, then by createdAt/updatedAt
-                const dateA3 = new Date(a.date || 0);
-                const dateB3 = new Date(b.date || 0);
-                if (dateB3.getTime() !== dateA3.getTime()) {
-                    return dateB3.getTime() - dateA3.getTime();
-                }
-                const timeA3 = new Date(a.createdAt || a.updatedAt || 0);
-                const timeB3 = new Date(b.createdAt || b.updatedAt || 0);
-                return timeB3.getTime() - timeA3.getTime();
-        }
-    });
+    // Sorting (newest first by date, then by createdAt)
+    const sortOptions = {
+        'date-desc': [{ column: 'date', direction: 'desc' }, { column: 'createdAt', direction: 'desc' }],
+        'date-asc': [{ column: 'date', direction: 'asc' }, { column: 'createdAt', direction: 'asc' }],
+        'amount-desc': { column: 'amount', direction: 'desc' },
+        'amount-asc': { column: 'amount', direction: 'asc' },
+        'number-desc': { column: 'paymentNumber', direction: 'desc' },
+        'number-asc': { column: 'paymentNumber', direction: 'asc' }
+    };
     
-    // Reset to first page if current page is out of bounds
-    const totalPages = Math.ceil(filteredPayments.length / itemsPerPage);
-    if (currentPage > totalPages && totalPages > 0) {
-        currentPage = 1;
+    try {
+        const result = await window.electronAPI.dbSearch('payments', {
+            filters,
+            // Search by payment number or supplier name
+            search: {
+                text: searchQuery.trim(),
+                columns: ['paymentNumber'],
+                related: [{ column: 'supplierId', table: 'suppliers', columns: ['name'] }]
+            },
+            sort: sortOptions[sortBy] || sortOptions['date-desc'],
+            page: currentPage,
+            pageSize: itemsPerPage
+        });
+        if (!result || !result.success) {
+            throw new Error((result && result.error) || 'خطأ غير معروف');
+        }
+        payments = result.rows;
+        totalPaymentsCount = result.total;
+        currentPage = result.page;
+    } catch (error) {
+        console.error('Error loading payments page:', error);
+        payments = [];
+        totalPaymentsCount = 0;
+        if (window.showToast) {
+            window.showToast('خطأ في تحميل الدفعات: ' + error.message, 'error');
+        }
     }
     
     // Render paginated payments
@@ -1220,7 +1197,7 @@ async function renderPayments() {
     
     tbody.innerHTML = '';
     
-    if (filteredPayments.length === 0) {
+    if (totalPaymentsCount === 0) {
         emptyState.classList.remove('hidden');
         paginationContainer.classList.add('hidden');
         return;
@@ -1229,11 +1206,11 @@ async function renderPayments() {
     emptyState.classList.add('hidden');
     paginationContainer.classList.remove('hidden');
 
-    // Calculate pagination
-    const totalPages = Math.ceil(filteredPayments.length / itemsPerPage);
+    // Calculate pagination (payments is already the current page)
+    const totalPages = Math.ceil(totalPaymentsCount / itemsPerPage);
     const startIndex = (currentPage - 1) * itemsPerPage;
-    const endIndex = Math.min(startIndex + itemsPerPage, filteredPayments.length);
-    const paginatedPayments = filteredPayments.slice(startIndex, endIndex);
+    const endIndex = startIndex + payments.length;
+    const paginatedPayments = payments;
     
     // Get current logged-in user type
     const currentUserType = localStorage.getItem('asel_userType') || '';
@@ -1243,7 +1220,7 @@ async function renderPayments() {
     
     // Update pagination info
     document.getElementById('paginationInfo').textContent = 
-        `عرض ${startIndex + 1} - ${endIndex} من ${filteredPayments.length}`;
+        `عرض ${startIndex + 1} - ${endIndex} من ${totalPaymentsCount}`;
     
     // Update pagination buttons
     document.getElementById('prevPageBtn').disabled = currentPage === 1;
@@ -1336,7 +1313,7 @@ function viewPayment(paymentId) {
 
     // Calculate balances
     const currentBalance = supplier ? (supplier.balance || 0) : 0;
-    const oldBalance = currentBalance + payment.amount; // الرصيد القديم = الرصيد الحالي + المدفوع
+    const oldBalance = Money.add(currentBalance, payment.amount); // الرصيد القديم = الرصيد الحالي + المدفوع
     const paidAmount = payment.amount; // المدفوع
     const newBalance = currentBalance; // الرصيد الجديد = الرصيد الحالي
 
@@ -1417,8 +1394,12 @@ async function deletePayment(paymentId) {
 
     try {
         // Save to database if available
-        if (window.electronAPI && window.electronAPI.dbDelete) {
-            await window.electronAPI.dbDelete('payments', paymentId);
+        if (window.electronAPI && window.electronAPI.recycleBinDelete) {
+            // Move to the recycle bin (the supplier balance is reverted in the main process)
+            const deleteResult = await window.electronAPI.recycleBinDelete('payments', paymentId);
+            if (!deleteResult || deleteResult.success === false) {
+                throw new Error((deleteResult && deleteResult.error) || 'خطأ غير معروف');
+            }
             
             // Recalculate supplier balance (includes all invoices and payments)
             // This ensures opening balance is only used for first transaction
@@ -1434,17 +1415,11 @@ async function deletePayment(paymentId) {
                         // Get all payments (after deletion, this payment won't be included)
                         const supplierPayments = await window.electronAPI.dbGetAll('payments', 'supplierId = ?', [payment.supplierId]);
                         
-                        let totalRemaining = 0;
-                        supplierInvoices.forEach(invoice => {
-                            totalRemaining += invoice.remaining || 0;
-                        });
-                        let totalPayments = 0;
-                        supplierPayments.forEach(p => {
-                            totalPayments += p.amount || 0;
-                        });
+                        const totalRemaining = Money.sum(supplierInvoices, invoice => invoice.remaining);
+                        const totalPayments = Money.sum(supplierPayments, p => p.amount);
                         
                         // Balance calculation: total remaining from invoices minus total payments
-                        const newBalance = totalRemaining - totalPayments;
+                        const newBalance = Money.subtract(totalRemaining, totalPayments);
                         
                         await window.electronAPI.dbUpdate('suppliers', payment.supplierId, {
                             ...supplier,
@@ -134,6 +134,7 @@ if (typeof PermissionsManager === 'undefined') {
             'expenses': 'a[href="expenses.html"]',
             'backup': 'a[href="backup.html"]',
             'action_logs': 'a[href="action-logs.html"]',
+            'recycle_bin': 'a[href="recycle-bin.html"]',
             'users': 'a[href="users.html"]',
             'settings': 'a[href="settings.html"]'
         };
@@ -212,6 +213,7 @@ if (typeof PermissionsManager === 'undefined') {
             'settings': ['settings'], // Only 'settings' permission
             'users': ['users'], // Only 'users' permission
             'action_logs': ['action_logs'], // Only 'action_logs' permission
+            'recycle_bin': ['recycle_bin'], // Only 'recycle_bin' permission
             'delivery-notes': ['delivery-notes'], // Only 'delivery-notes' permission
             'settlements': ['settlements'] // Only 'settlements' permission
         };
@@ -296,7 +298,9 @@ if (typeof PermissionsManager === 'undefined') {
             'reports.html': ['reports'], // Only 'reports' permission
             'expenses.html': ['expenses'], // Only 'expenses' permission
             'backup.html': ['backup'], // Only 'backup' permission
+            'maintenance.html': ['backup'], // Database maintenance is part of the backup section
             'action-logs.html': ['action_logs'], // Only 'action_logs' permission
+            'recycle-bin.html': ['recycle_bin'], // Only 'recycle_bin' permission
             'users.html': ['users'], // Only 'users' permission
             'settings.html': ['settings'], // Only 'settings' permission
             'calculator.html': [] // Calculator is always accessible (empty array means no permission required)
@@ -431,7 +435,9 @@ if (typeof PermissionsManager === 'undefined') {
             'reports.html': ['reports'], // Only 'reports' permission
             'expenses.html': ['expenses'], // Only 'expenses' permission
             'backup.html': ['backup'], // Only 'backup' permission
+            'maintenance.html': ['backup'], // Database maintenance is part of the backup section
             'action-logs.html': ['action_logs'], // Only 'action_logs' permission
+            'recycle-bin.html': ['recycle_bin'], // Only 'recycle_bin' permission
             'users.html': ['users'], // Only 'users' permission
             'settings.html': ['settings'] // Only 'settings' permission
         };
@@ -552,7 +558,9 @@ if (typeof PermissionsManager === 'undefined') {
             'reports.html': ['reports'],
             'expenses.html': ['expenses'],
             'backup.html': ['backup'],
+            'maintenance.html': ['backup'],
             'action-logs.html': ['action_logs'],
+            'recycle-bin.html': ['recycle_bin'],
             'users.html': ['users'],
             'settings.html': ['settings']
         };
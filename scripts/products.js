@@ -56,20 +56,45 @@ let products = [];
 let categories = [];
 
 // Pagination & Filter State
+// products holds only the page on screen; filtering, sorting and paging run in the database (db-search)
 let currentPage = 1;
 const itemsPerPage = 20;
-let filteredProducts = [];
+let totalProductsCount = 0;
 let searchQuery = '';
 let categoryFilter = '';
 let statusFilter = '';
 let stockFilter = '';
+// Product as it was when the edit modal opened (base of the edit conflict check)
+let editingProductBase = null;
+
+// Editable product fields: record key -> form input (used by the edit conflict dialog)
+const PRODUCT_FORM_FIELDS = [
+    { key: 'code', label: 'كود المنتج', inputId: 'productCode' },
+    { key: 'name', label: 'اسم المنتج', inputId: 'productName' },
+    { key: 'category', label: 'الصنف', inputId: 'category' },
+    { key: 'smallestUnit', label: 'الوحدة الصغرى', inputId: 'smallestUnit' },
+    { key: 'largestUnit', label: 'الوحدة الكبرى', inputId: 'largestUnit' },
+    { key: 'conversionFactor', label: 'معامل التحويل', inputId: 'conversionFactor' },
+    { key: 'smallestPrice', label: 'سعر الوحدة الصغرى', inputId: 'priceSmallestUnit' },
+    { key: 'largestPrice', label: 'سعر الوحدة الكبرى', inputId: 'priceLargestUnit' },
+    { key: 'notes', label: 'ملاحظات', inputId: 'notes' },
+    { key: 'status', label: 'الحالة', inputId: 'status' }
+];
 
 // Load data on page load
 document.addEventListener('DOMContentLoaded', async () => {
     await loadData();
     initializeEventListeners();
     renderCategories();
-    applyFilters(); // Use applyFilters instead of renderProducts
+    // Opened from the global search in the top bar: list and open that record
+    const searchTarget = getGlobalSearchTarget();
+    if (searchTarget) {
+        document.getElementById('searchInput').value = searchTarget.search;
+    }
+    await applyFilters();
+    if (searchTarget) {
+        viewProductDetails(searchTarget.id);
+    }
     
     // Reload products when page becomes visible (e.g., user switches tabs)
     document.addEventListener('visibilitychange', async () => {
@@ -196,6 +221,17 @@ function initializeEventListeners() {
         openCategoriesModal();
     });
 
+    // Import from Excel / CSV (may add categories too)
+    document.getElementById('importProductsBtn').addEventListener('click', () => {
+        openRecordImportWizard('products', {
+            onImported: async () => {
+                await loadData();
+                renderCategories();
+                await applyFilters();
+            }
+        });
+    });
+
     // Modal Close Buttons
     document.getElementById('closeModal').addEventListener('click', closeModal);
     document.getElementById('closeDetailsModal').addEventListener('click', closeDetailsModal);
@@ -218,36 +254,29 @@ function initializeEventListeners() {
 
     // Search and Filters
     // Filter Event Listeners
+    let searchTimeout = null;
     document.getElementById('searchInput').addEventListener('input', () => {
-        currentPage = 1;
-        applyFilters();
-    });
-    document.getElementById('categoryFilter').addEventListener('change', () => {
-        currentPage = 1;
-        applyFilters();
-    });
-    document.getElementById('statusFilter').addEventListener('change', () => {
-        currentPage = 1;
-        applyFilters();
-    });
-    document.getElementById('stockFilter').addEventListener('change', () => {
-        currentPage = 1;
-        applyFilters();
+        // Wait for the user to stop typing before querying the database
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(applyFilters, 300);
     });
+    document.getElementById('categoryFilter').addEventListener('change', applyFilters);
+    document.getElementById('statusFilter').addEventListener('change', applyFilters);
+    document.getElementById('stockFilter').addEventListener('change', applyFilters);
     
     // Pagination Event Listeners
     document.getElementById('prevPageBtn').addEventListener('click', () => {
         if (currentPage > 1) {
             currentPage--;
-            applyFilters();
+            loadProductsPage();
         }
     });
     
     document.getElementById('nextPageBtn').addEventListener('click', () => {
-        const totalPages = Math.ceil(filteredProducts.length / itemsPerPage);
+        const totalPages = Math.ceil(totalProductsCount / itemsPerPage);
         if (currentPage < totalPages) {
             currentPage++;
-            applyFilters();
+            loadProductsPage();
         }
     });
 
@@ -292,15 +321,17 @@ function initializeEventListeners() {
         while (!success && retries < maxRetries) {
             retries++;
             
-            if (window.electronAPI && window.electronAPI.dbGetAll) {
+            if (window.electronAPI && window.electronAPI.dbSearch) {
                 try {
-                    // Reload ALL products from database to ensure we have latest data
+                    // Reload the current page from database to ensure we have latest data
                     await reloadProductsFromDatabase(true);
                     
                     // Verify the specific product was updated correctly
                     if (productId) {
                         const updatedProduct = products.find(p => p.id === productId);
-                        if (updatedProduct && newStock !== undefined) {
+                        if (!updatedProduct) {
+                            success = true; // Not on the page on screen
+                        } else if (newStock !== undefined) {
                             const stockDiff = Math.abs(parseFloat(updatedProduct.stock || 0) - parseFloat(newStock));
                             if (stockDiff < 0.01) {
                                 console.log('[Products] Verified product stock updated correctly (attempt', retries, '):', updatedProduct.stock);
@@ -332,11 +363,11 @@ function initializeEventListeners() {
                                 const index = products.findIndex(p => p.id === productId);
                                 if (index !== -1) {
                                     products[index] = updatedProduct;
-                                    applyFilters();
+                                    renderProducts();
                                     console.log('[Products] Updated single product:', productId);
                                     success = true;
                                 } else {
-                                    // Product not found in local array, reload all
+                                    // Product not on the page on screen, nothing to update
                                     if (retries < maxRetries) {
                                         await new Promise(resolve => setTimeout(resolve, 300));
                                     }
@@ -366,108 +397,42 @@ function initializeEventListeners() {
 }
 
 // Reload Products from Database (helper function)
+// Re-reads the page on screen and only re-renders it when something on it changed (or when forced)
 async function reloadProductsFromDatabase(force = false) {
-    if (window.electronAPI && window.electronAPI.dbGetAll) {
-        try {
-            const dbProducts = await window.electronAPI.dbGetAll('products', '', []);
-            if (Array.isArray(dbProducts) && dbProducts.length >= 0) {
-                // If force is true, always reload and update
-                if (force) {
-                    console.log('[Products] Force reloading products from database');
-                    products = dbProducts;
-                    currentPage = 1;
-                    applyFilters();
-                    console.log('[Products] Products reloaded. Count:', products.length);
-                    return;
-                }
-                
-                // Check if there's a recent update marker FIRST - if yes, always reload
-                const updateMarker = localStorage.getItem('last_product_stock_update');
-                let recentUpdate = false;
-                let updateData = null;
-                
-                if (updateMarker) {
-                    try {
-                        updateData = JSON.parse(updateMarker);
-                        const timeSinceUpdate = Date.now() - updateData.timestamp;
-                        
-                        // If update happened in last 30 seconds, force update
-                        if (timeSinceUpdate < 30000) {
-                            recentUpdate = true;
-                        }
-                    } catch (error) {
-                        console.error('[Products] Error parsing update marker:', error);
-                    }
-                }
-                
-                // If there's a recent update, ALWAYS reload without checking
-                if (recentUpdate) {
-                    products = dbProducts;
-                    applyFilters();
-                    
-                    // Verify the product was updated correctly (only log errors)
-                    if (updateData) {
-                        const updatedProduct = products.find(p => p.id === updateData.productId);
-                        if (updatedProduct) {
-                            const actualStock = parseFloat(updatedProduct.stock || 0);
-                            const expectedStock = parseFloat(updateData.newStock || 0);
-                            const match = Math.abs(actualStock - expectedStock) < 0.01;
-                            
-                            if (!match) {
-                                console.warn('[Products] WARNING: Product stock mismatch after reload. Expected:', expectedStock, 'Got:', actualStock);
-                            }
-                        }
-                    }
-                    return; // Exit early - we've already reloaded
-                }
-                
-                // Otherwise, check if stock values have changed before updating
-                let hasChanges = false;
-                let changedProducts = [];
-                
-                if (products.length !== dbProducts.length) {
-                    hasChanges = true;
-                    console.log('[Products] Product count changed:', products.length, '->', dbProducts.length);
-                } else {
-                    for (let i = 0; i < dbProducts.length; i++) {
-                        const dbProduct = dbProducts[i];
-                        const localProduct = products.find(p => p.id === dbProduct.id);
-                        const localStock = parseFloat(localProduct?.stock || 0);
-                        const dbStock = parseFloat(dbProduct.stock || 0);
-                        const diff = Math.abs(localStock - dbStock);
-                        
-                        if (!localProduct) {
-                            hasChanges = true;
-                            changedProducts.push({ id: dbProduct.id, name: dbProduct.name, reason: 'new product' });
-                            break;
-                        } else if (diff > 0.01) {
-                            hasChanges = true;
-                            changedProducts.push({ 
-                                id: dbProduct.id, 
-                                name: dbProduct.name, 
-                                reason: 'stock changed',
-                                old: localStock,
-                                new: dbStock,
-                                diff: diff
-                            });
-                            break;
-                        }
-                    }
-                }
-                
-                if (hasChanges) {
-                    products = dbProducts;
-                    applyFilters();
-                }
-            } else {
-                console.warn('[Products] dbGetAll returned invalid data:', dbProducts);
-            }
-        } catch (error) {
-            console.error('[Products] Error reloading products:', error);
-            console.error('[Products] Error stack:', error.stack);
+    if (!window.electronAPI || !window.electronAPI.dbSearch) {
+        console.warn('[Products] electronAPI or dbSearch not available');
+        return;
+    }
+    try {
+        const result = await window.electronAPI.dbSearch('products', {
+            ...getProductSearchOptions(),
+            page: currentPage,
+            pageSize: itemsPerPage
+        });
+        if (!result || !result.success) {
+            console.warn('[Products] dbSearch failed:', result && result.error);
+            return;
+        }
+
+        const hasChanges = force ||
+            result.total !== totalProductsCount ||
+            result.rows.length !== products.length ||
+            result.rows.some((dbProduct, i) => {
+                const localProduct = products[i];
+                return dbProduct.id !== localProduct.id ||
+                    dbProduct.updatedAt !== localProduct.updatedAt ||
+                    Math.abs(parseFloat(dbProduct.stock || 0) - parseFloat(localProduct.stock || 0)) > 0.01;
+            });
+
+        if (hasChanges) {
+            products = result.rows;
+            totalProductsCount = result.total;
+            currentPage = result.page;
+            renderProducts();
         }
-    } else {
-        console.warn('[Products] electronAPI or dbGetAll not available');
+    } catch (error) {
+        console.error('[Products] Error reloading products:', error);
+        console.error('[Products] Error stack:', error.stack);
     }
 }
 
@@ -476,11 +441,11 @@ async function loadData() {
     // Try to load from database first
     if (window.electronAPI && window.electronAPI.dbGetAll) {
         try {
-            products = await window.electronAPI.dbGetAll('products', '', []);
+            // Products are loaded a page at a time by loadProductsPage()
+            products = [];
             categories = await window.electronAPI.dbGetAll('categories', '', []);
             
             // Ensure arrays
-            products = Array.isArray(products) ? products : [];
             categories = Array.isArray(categories) ? categories : [];
             
             // Convert categories from database objects to simple array of names
@@ -551,16 +516,13 @@ async function saveCategories() {
 
 // Generate Product Code
 async function generateProductCode() {
-    if (window.electronAPI && window.electronAPI.dbGetAll) {
+    if (window.electronAPI && window.electronAPI.dbQuery) {
         try {
-            // Get all products to find highest counter
-            const allProducts = await window.electronAPI.dbGetAll('products', '', []);
-            const codes = allProducts.map(p => p.code).filter(code => code && code.startsWith('PRD-'));
-            const numbers = codes.map(code => {
-                const match = code.match(/PRD-(\d+)/);
-                return match ? parseInt(match[1]) : 0;
-            });
-            const maxNumber = numbers.length > 0 ? Math.max(...numbers) : 0;
+            // Highest PRD- counter, read in the database instead of loading every product
+            const result = await window.electronAPI.dbQuery(
+                "SELECT MAX(CAST(SUBSTR(code, 5) AS INTEGER)) as maxNumber FROM products WHERE code LIKE 'PRD-%'"
+            );
+            const maxNumber = Array.isArray(result) && result[0] ? (result[0].maxNumber || 0) : 0;
             const counter = maxNumber + 1;
             
             // Format: PRD-00001
@@ -627,7 +589,7 @@ function calculateLargestUnitPrice() {
     
     // Only calculate if both values are valid
     if (smallestPrice > 0 && conversionFactor > 0) {
-        const calculatedLargestPrice = smallestPrice * conversionFactor;
+        const calculatedLargestPrice = Money.multiply(smallestPrice, conversionFactor);
         largestPriceInput.value = calculatedLargestPrice.toFixed(2);
     }
 }
@@ -686,10 +648,23 @@ async function openAddModal() {
 }
 
 // Open Edit Modal
-function openEditModal(productId) {
+async function openEditModal(productId) {
     const product = products.find(p => p.id === productId);
     if (!product) return;
 
+    // Start from the saved copy: its updatedAt is what the save is checked against
+    if (window.electronAPI && window.electronAPI.dbGet) {
+        try {
+            const savedProduct = await window.electronAPI.dbGet('products', productId);
+            if (savedProduct) {
+                Object.assign(product, savedProduct);
+            }
+        } catch (error) {
+            console.error('Error loading product for edit:', error);
+        }
+    }
+    editingProductBase = { ...product };
+
     const modal = document.getElementById('productModal');
     const form = document.getElementById('productForm');
     const title = document.getElementById('modalTitle');
@@ -754,6 +729,40 @@ function closeDetailsModal() {
     document.getElementById('detailsModal').classList.remove('active');
 }
 
+// Save rejected because the product was changed elsewhere: merge, reload or cancel
+async function resolveProductEditConflict(productId, productData, conflictResult) {
+    const resolution = await showConflictDialog({
+        title: 'تم تعديل بيانات المنتج من مكان آخر',
+        base: editingProductBase,
+        mine: productData,
+        theirs: conflictResult.current,
+        fields: PRODUCT_FORM_FIELDS,
+        deleted: conflictResult.deleted
+    });
+
+    if (conflictResult.deleted) {
+        if (resolution.action !== 'cancel') {
+            products = products.filter(p => p.id !== productId);
+            await loadProductsPage();
+            closeModal();
+        }
+        return;
+    }
+
+    // openEditModal refreshes the local copy from the database
+    if (resolution.action === 'reload') {
+        await openEditModal(productId);
+        renderProducts();
+    } else if (resolution.action === 'merge') {
+        // Re-open on the current copy, put the merged values in the form and save again
+        await openEditModal(productId);
+        PRODUCT_FORM_FIELDS.forEach(field => {
+            document.getElementById(field.inputId).value = resolution.data[field.key] ?? '';
+        });
+        document.getElementById('productForm').requestSubmit();
+    }
+}
+
 // Handle Form Submit
 async function handleFormSubmit(e) {
     e.preventDefault();
@@ -815,13 +824,10 @@ async function handleFormSubmit(e) {
                 // Also check in database to ensure no duplicates
                 if (window.electronAPI && window.electronAPI.dbGetAll) {
                     try {
-                        const allProducts = await window.electronAPI.dbGetAll('products', '', []);
-                        const dbDuplicate = Array.isArray(allProducts) ? allProducts.find(p => 
-                            p && p.id !== productId && 
-                            p.name && p.name.toLowerCase().trim() === productData.name.toLowerCase().trim() &&
-                            p.category === productData.category
-                        ) : null;
-                        if (dbDuplicate) {
+                        const dbDuplicates = await window.electronAPI.dbGetAll('products',
+                            'LOWER(TRIM(name)) = ? AND category = ? AND id != ?',
+                            [productData.name.toLowerCase().trim(), productData.category, productId]);
+                        if (Array.isArray(dbDuplicates) && dbDuplicates.length > 0) {
                             showMessage('يوجد منتج آخر بنفس الاسم ونفس الصنف. يرجى اختيار اسم أو صنف مختلف', 'error');
                             return;
                         }
@@ -839,8 +845,17 @@ async function handleFormSubmit(e) {
             productData.createdAt = existingProduct.createdAt;
             
             // Update in database
+            // Stock is maintained through the stock ledger (stock_movements), so it is not written from the edit form
             if (window.electronAPI && window.electronAPI.dbUpdate) {
-                const updateResult = await window.electronAPI.dbUpdate('products', productId, productData);
+                const { stock, ...productDbData } = productData;
+                const updateResult = await window.electronAPI.dbUpdate('products', productId, productDbData,
+                    editingProductBase ? editingProductBase.updatedAt : null);
+                
+                // Changed elsewhere since the modal opened
+                if (updateResult && updateResult.conflict) {
+                    await resolveProductEditConflict(productId, productData, updateResult);
+                    return;
+                }
                 
                 // Check if update was successful
                 if (!updateResult || !updateResult.success) {
@@ -849,6 +864,7 @@ async function handleFormSubmit(e) {
                     showMessage('فشل تحديث المنتج في قاعدة البيانات: ' + errorMsg, 'error');
                     return; // Don't continue if database update failed
                 }
+                productData.updatedAt = updateResult.updatedAt || productData.updatedAt;
             } else {
                 console.warn('Database API not available, updating localStorage only');
                 showMessage('تحذير: قاعدة البيانات غير متاحة، تم التحديث في الذاكرة المحلية فقط', 'warning');
@@ -874,12 +890,10 @@ async function handleFormSubmit(e) {
             // Also check in database to ensure no duplicates
             if (window.electronAPI && window.electronAPI.dbGetAll) {
                 try {
-                    const allProducts = await window.electronAPI.dbGetAll('products', '', []);
-                    const dbDuplicate = Array.isArray(allProducts) ? allProducts.find(p => 
-                        p && p.name && p.name.toLowerCase().trim() === productData.name.toLowerCase().trim() &&
-                        p.category === productData.category
-                    ) : null;
-                    if (dbDuplicate) {
+                    const dbDuplicates = await window.electronAPI.dbGetAll('products',
+                        'LOWER(TRIM(name)) = ? AND category = ?',
+                        [productData.name.toLowerCase().trim(), productData.category]);
+                    if (Array.isArray(dbDuplicates) && dbDuplicates.length > 0) {
                         showMessage('يوجد منتج آخر بنفس الاسم ونفس الصنف. يرجى اختيار اسم أو صنف مختلف', 'error');
                         return;
                     }
@@ -939,8 +953,7 @@ async function handleFormSubmit(e) {
         
         // Save to localStorage as backup
         await saveProducts();
-        currentPage = 1;
-        applyFilters();
+        await loadProductsPage();
         closeModal();
         
         // Show success message
@@ -1059,16 +1072,18 @@ async function deleteProduct(productId) {
 async function proceedWithProductDeletion(productId) {
 
     try {
-        // Delete from database
-        if (window.electronAPI && window.electronAPI.dbDelete) {
-            await window.electronAPI.dbDelete('products', productId);
+        // Move to the recycle bin
+        if (window.electronAPI && window.electronAPI.recycleBinDelete) {
+            const deleteResult = await window.electronAPI.recycleBinDelete('products', productId);
+            if (!deleteResult || deleteResult.success === false) {
+                throw new Error((deleteResult && deleteResult.error) || 'خطأ غير معروف');
+            }
         }
         
         // Remove from local array
         products = products.filter(p => p.id !== productId);
         await saveProducts();
-        currentPage = 1;
-        applyFilters();
+        await loadProductsPage();
         showMessage('تم حذف المنتج بنجاح', 'success');
     } catch (error) {
         console.error('Error deleting product:', error);
@@ -1146,51 +1161,69 @@ function viewProductDetails(productId) {
     document.getElementById('detailsModal').classList.add('active');
 }
 
-// Apply Filters and Pagination
-function applyFilters() {
-    // Get filters
-    const searchTerm = document.getElementById('searchInput').value.toLowerCase();
+// Search options for the current search box and filters
+function getProductSearchOptions() {
+    const searchTerm = document.getElementById('searchInput').value.trim();
     const categoryFilterValue = document.getElementById('categoryFilter').value;
     const statusFilterValue = document.getElementById('statusFilter').value;
     const stockFilterValue = document.getElementById('stockFilter').value;
 
-    // Filter products
-    console.log('[Products] applyFilters - Current products count:', products.length);
-    filteredProducts = products.filter(product => {
-        const stock = parseFloat(product.stock || 0);
-        
-        // Search filter - includes name, code, category, and stock value
-        const matchSearch = !searchTerm || 
-            product.name.toLowerCase().includes(searchTerm) ||
-            product.code.toLowerCase().includes(searchTerm) ||
-            product.category.toLowerCase().includes(searchTerm) ||
-            stock.toString().includes(searchTerm);
-        
-        // Category filter
-        const matchCategory = !categoryFilterValue || product.category === categoryFilterValue;
-        
-        // Status filter
-        const matchStatus = !statusFilterValue || product.status === statusFilterValue;
-        
-        // Stock filter
-        let matchStock = true;
-        if (stockFilterValue) {
-            if (stockFilterValue === 'zero') {
-                matchStock = stock === 0;
-            } else if (stockFilterValue === 'low') {
-                matchStock = stock > 0 && stock < 150;
-            } else if (stockFilterValue === 'medium') {
-                matchStock = stock >= 150 && stock < 300;
-            } else if (stockFilterValue === 'high') {
-                matchStock = stock >= 300;
-            }
-        }
+    const filters = [];
+    if (categoryFilterValue) {
+        filters.push({ column: 'category', op: '=', value: categoryFilterValue });
+    }
+    if (statusFilterValue) {
+        filters.push({ column: 'status', op: '=', value: statusFilterValue });
+    }
 
-        return matchSearch && matchCategory && matchStatus && matchStock;
-    });
+    // Stock filter
+    if (stockFilterValue === 'zero') {
+        filters.push({ column: 'stock', op: '=', value: 0 });
+    } else if (stockFilterValue === 'low') {
+        filters.push({ column: 'stock', op: '>', value: 0 }, { column: 'stock', op: '<', value: 150 });
+    } else if (stockFilterValue === 'medium') {
+        filters.push({ column: 'stock', op: '>=', value: 150 }, { column: 'stock', op: '<', value: 300 });
+    } else if (stockFilterValue === 'high') {
+        filters.push({ column: 'stock', op: '>=', value: 300 });
+    }
+
+    return {
+        filters,
+        // Search includes name, code, category, and stock value
+        search: { text: searchTerm, columns: ['name', 'code', 'category', 'stock'] },
+        sort: { column: 'createdAt', direction: 'desc' }
+    };
+}
+
+// Apply Filters (back to the first page)
+async function applyFilters() {
+    currentPage = 1;
+    await loadProductsPage();
+}
 
-    // Render products with pagination
-    console.log('[Products] applyFilters - Filtered products count:', filteredProducts.length);
+// Load the current page of products from the database
+async function loadProductsPage() {
+    if (!window.electronAPI || !window.electronAPI.dbSearch) {
+        return;
+    }
+    try {
+        const result = await window.electronAPI.dbSearch('products', {
+            ...getProductSearchOptions(),
+            page: currentPage,
+            pageSize: itemsPerPage
+        });
+        if (!result || !result.success) {
+            throw new Error((result && result.error) || 'خطأ غير معروف');
+        }
+        products = result.rows;
+        totalProductsCount = result.total;
+        currentPage = result.page;
+    } catch (error) {
+        console.error('[Products] Error loading products page:', error);
+        showMessage('خطأ في تحميل المنتجات: ' + error.message, 'error');
+        products = [];
+        totalProductsCount = 0;
+    }
     renderProducts();
 }
 
@@ -1203,7 +1236,7 @@ function renderProducts() {
     // Clear table
     tbody.innerHTML = '';
 
-    if (filteredProducts.length === 0) {
+    if (totalProductsCount === 0) {
         emptyState.classList.remove('hidden');
         paginationContainer.classList.add('hidden');
         return;
@@ -1212,11 +1245,11 @@ function renderProducts() {
     emptyState.classList.add('hidden');
     paginationContainer.classList.remove('hidden');
 
-    // Calculate pagination
-    const totalPages = Math.ceil(filteredProducts.length / itemsPerPage);
+    // Calculate pagination (products is already the current page)
+    const totalPages = Math.ceil(totalProductsCount / itemsPerPage);
     const startIndex = (currentPage - 1) * itemsPerPage;
-    const endIndex = Math.min(startIndex + itemsPerPage, filteredProducts.length);
-    const paginatedProducts = filteredProducts.slice(startIndex, endIndex);
+    const endIndex = startIndex + products.length;
+    const paginatedProducts = products;
     
     // Get current logged-in user type
     const currentUserType = localStorage.getItem('asel_userType') || '';
@@ -1224,7 +1257,7 @@ function renderProducts() {
     
     // Update pagination info
     document.getElementById('paginationInfo').textContent = 
-        `عرض ${startIndex + 1} - ${endIndex} من ${filteredProducts.length}`;
+        `عرض ${startIndex + 1} - ${endIndex} من ${totalProductsCount}`;
     
     // Update pagination buttons
     document.getElementById('prevPageBtn').disabled = currentPage === 1;
@@ -1248,7 +1281,7 @@ function renderProducts() {
         pageBtn.textContent = i;
         pageBtn.addEventListener('click', () => {
             currentPage = i;
-            applyFilters();
+            loadProductsPage();
         });
         pageNumbersEl.appendChild(pageBtn);
     }
@@ -1399,9 +1432,9 @@ async function checkInactiveProducts() {
                         product.status = 'active';
                     }
                     
-                    // Update in database
+                    // Update in database (only the status fields, stock is owned by the stock ledger)
                     if (window.electronAPI && window.electronAPI.dbUpdate) {
-                        await window.electronAPI.dbUpdate('products', product.id, product);
+                        await window.electronAPI.dbUpdate('products', product.id, { lastSaleDate: product.lastSaleDate, status: product.status });
                     }
                 } else {
                     // No sales for this product
@@ -1412,7 +1445,7 @@ async function checkInactiveProducts() {
                         
                         // Update in database
                         if (window.electronAPI && window.electronAPI.dbUpdate) {
-                            await window.electronAPI.dbUpdate('products', product.id, product);
+                            await window.electronAPI.dbUpdate('products', product.id, { status: product.status });
                         }
                     }
                 }
@@ -1448,7 +1481,7 @@ async function checkInactiveProducts() {
         }
 
         await saveProducts();
-        applyFilters();
+        await loadProductsPage();
     } catch (error) {
         console.error('Error checking inactive products:', error);
     }
@@ -1687,7 +1720,7 @@ async function saveCategoryEdit(index) {
             const affectedProducts = await window.electronAPI.dbGetAll('products', 'category = ?', [oldName]);
             for (const product of affectedProducts) {
                 product.category = newName;
-                await window.electronAPI.dbUpdate('products', product.id, product);
+                await window.electronAPI.dbUpdate('products', product.id, { category: newName });
             }
         }
         
@@ -1741,11 +1774,14 @@ async function deleteCategory(index) {
 async function proceedWithCategoryDeletion(index, categoryName) {
     
     try {
-        // Delete from database
-        if (window.electronAPI && window.electronAPI.dbGetAll && window.electronAPI.dbDelete) {
+        // Move to the recycle bin
+        if (window.electronAPI && window.electronAPI.dbGetAll && window.electronAPI.recycleBinDelete) {
             const dbCategories = await window.electronAPI.dbGetAll('categories', 'name = ?', [categoryName]);
             if (dbCategories && dbCategories.length > 0) {
-                await window.electronAPI.dbDelete('categories', dbCategories[0].id);
+                const deleteResult = await window.electronAPI.recycleBinDelete('categories', dbCategories[0].id);
+                if (!deleteResult || deleteResult.success === false) {
+                    throw new Error((deleteResult && deleteResult.error) || 'خطأ غير معروف');
+                }
             }
         }
         
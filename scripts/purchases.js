@@ -58,6 +58,17 @@ let products = [];
 let invoiceProducts = [];
 let currentInvoice = null;
 
+// Invoice header fields shown in the edit conflict dialog
+const PURCHASE_INVOICE_CONFLICT_FIELDS = [
+    { key: 'supplierName', label: 'المورد' },
+    { key: 'date', label: 'تاريخ الفاتورة' },
+    { key: 'dueDate', label: 'تاريخ الاستحقاق' },
+    { key: 'paymentMethod', label: 'طريقة الدفع' },
+    { key: 'notes', label: 'ملاحظات' },
+    { key: 'total', label: 'الإجمالي' },
+    { key: 'paid', label: 'المدفوع' }
+];
+
 // Pagination & Filter State
 let currentPage = 1;
 const itemsPerPage = 20;
@@ -77,7 +88,16 @@ document.addEventListener('DOMContentLoaded', async () => {
     initializeEventListeners();
     renderSuppliers();
     renderProducts();
-    applyFilters();
+    // Opened from the global search in the top bar: list and open that record
+    const searchTarget = getGlobalSearchTarget();
+    if (searchTarget) {
+        document.getElementById('searchInput').value = searchTarget.search;
+        searchQuery = searchTarget.search;
+    }
+    await applyFilters();
+    if (searchTarget) {
+        await viewInvoice(searchTarget.id);
+    }
     
     // Retry event listeners if button wasn't found initially
     setTimeout(() => {
@@ -433,124 +453,72 @@ async function getCompanySettings() {
 }
 
 // Load Data
-// Load invoices with pagination from database
-async function loadInvoicesPage(page = 1, limit = 20, filters = {}) {
-    if (!window.electronAPI || !window.electronAPI.dbQuery) {
-        return { invoices: [], total: 0 };
-    }
-    
-    const offset = (page - 1) * limit;
-    let query = 'SELECT * FROM purchase_invoices';
-    let params = [];
-    
-    // Build WHERE clause with filters
+// Filters, search and sort for loadInvoicesPage / getInvoicesCount
+function buildInvoiceSearchOptions(filters = {}) {
     const conditions = [];
     
     // Exclude reverse invoices from main view unless searching
     // If there's a search query, show all invoices (including reverse)
     // Otherwise, only show normal invoices
     if (!filters.searchQuery) {
-        conditions.push("(invoiceType IS NULL OR invoiceType = 'normal' OR invoiceType = '')");
+        conditions.push({ column: 'invoiceType', op: 'in', value: [null, '', 'normal'] });
     }
     
     if (filters.dateFrom) {
-        conditions.push('date >= ?');
-        params.push(filters.dateFrom);
+        conditions.push({ column: 'date', op: '>=', value: filters.dateFrom });
     }
     if (filters.dateTo) {
-        conditions.push('date <= ?');
-        params.push(filters.dateTo + ' 23:59:59');
+        conditions.push({ column: 'date', op: '<=', value: filters.dateTo + ' 23:59:59' });
     }
     if (filters.supplierId) {
-        conditions.push('supplierId = ?');
-        params.push(filters.supplierId);
-    }
-    if (filters.searchQuery) {
-        conditions.push('(invoiceNumber LIKE ? OR id IN (SELECT id FROM purchase_invoices pi INNER JOIN suppliers s ON pi.supplierId = s.id WHERE s.name LIKE ?))');
-        const searchTerm = `%${filters.searchQuery}%`;
-        params.push(searchTerm, searchTerm);
+        conditions.push({ column: 'supplierId', op: '=', value: filters.supplierId });
     }
     
-    if (conditions.length > 0) {
-        query += ' WHERE ' + conditions.join(' AND ');
-    }
+    // Sorting
+    const sortOptions = {
+        'date-desc': [{ column: 'date', direction: 'desc' }, { column: 'createdAt', direction: 'desc' }],
+        'date-asc': [{ column: 'date', direction: 'asc' }, { column: 'createdAt', direction: 'asc' }],
+        'total-desc': { column: 'total', direction: 'desc' },
+        'total-asc': { column: 'total', direction: 'asc' },
+        'number-desc': { column: 'invoiceNumber', direction: 'desc' },
+        'number-asc': { column: 'invoiceNumber', direction: 'asc' }
+    };
     
-    // Apply sorting
-    switch (filters.sortBy || 'date-desc') {
-        case 'date-desc':
-            query += ' ORDER BY date DESC, createdAt DESC';
-            break;
-        case 'date-asc':
-            query += ' ORDER BY date ASC, createdAt ASC';
-            break;
-        case 'total-desc':
-            query += ' ORDER BY total DESC';
-            break;
-        case 'total-asc':
-            query += ' ORDER BY total ASC';
-            break;
-        case 'number-desc':
-            query += ' ORDER BY invoiceNumber DESC';
-            break;
-        case 'number-asc':
-            query += ' ORDER BY invoiceNumber ASC';
-            break;
-        default:
-            query += ' ORDER BY date DESC, createdAt DESC';
-    }
-    
-    query += ' LIMIT ? OFFSET ?';
-    params.push(limit, offset);
-    
-    const invoices = await window.electronAPI.dbQuery(query, params) || [];
-    
-    // Get total count
-    let countQuery = 'SELECT COUNT(*) as count FROM purchase_invoices';
-    let countParams = [];
-    if (conditions.length > 0) {
-        countQuery += ' WHERE ' + conditions.join(' AND ');
-        countParams = params.slice(0, -2); // Remove LIMIT and OFFSET params
-    }
-    const countResult = await window.electronAPI.dbQuery(countQuery, countParams);
-    const total = countResult && countResult[0] ? countResult[0].count : 0;
-    
-    return { invoices, total };
+    return {
+        filters: conditions,
+        // Search by invoice number or supplier name
+        search: {
+            text: filters.searchQuery || '',
+            columns: ['invoiceNumber'],
+            related: [{ column: 'supplierId', table: 'suppliers', columns: ['name'] }]
+        },
+        sort: sortOptions[filters.sortBy] || sortOptions['date-desc']
+    };
 }
 
-// Get total invoices count with filters
-async function getInvoicesCount(filters = {}) {
-    if (!window.electronAPI || !window.electronAPI.dbQuery) {
-        return 0;
-    }
-    
-    let query = 'SELECT COUNT(*) as count FROM purchase_invoices';
-    let params = [];
-    
-    const conditions = [];
-    if (filters.dateFrom) {
-        conditions.push('date >= ?');
-        params.push(filters.dateFrom);
-    }
-    if (filters.dateTo) {
-        conditions.push('date <= ?');
-        params.push(filters.dateTo + ' 23:59:59');
-    }
-    if (filters.supplierId) {
-        conditions.push('supplierId = ?');
-        params.push(filters.supplierId);
-    }
-    if (filters.searchQuery) {
-        conditions.push('(invoiceNumber LIKE ? OR id IN (SELECT id FROM purchase_invoices pi INNER JOIN suppliers s ON pi.supplierId = s.id WHERE s.name LIKE ?))');
-        const searchTerm = `%${filters.searchQuery}%`;
-        params.push(searchTerm, searchTerm);
+// Load invoices with pagination from database
+async function loadInvoicesPage(page = 1, limit = 20, filters = {}) {
+    if (!window.electronAPI || !window.electronAPI.dbSearch) {
+        return { invoices: [], total: 0 };
     }
     
-    if (conditions.length > 0) {
-        query += ' WHERE ' + conditions.join(' AND ');
+    const result = await window.electronAPI.dbSearch('purchase_invoices', {
+        ...buildInvoiceSearchOptions(filters),
+        page,
+        pageSize: limit
+    });
+    if (!result || !result.success) {
+        console.error('Error loading invoices page:', result && result.error);
+        return { invoices: [], total: 0 };
     }
     
-    const result = await window.electronAPI.dbQuery(query, params);
-    return result && result[0] ? result[0].count : 0;
+    return { invoices: result.rows, total: result.total };
+}
+
+// Get total invoices count with filters
+async function getInvoicesCount(filters = {}) {
+    const result = await loadInvoicesPage(1, 1, filters);
+    return result.total;
 }
 
 // Load invoice items with lazy loading (cache support)
@@ -1080,7 +1048,7 @@ function addProductToInvoice() {
         unit: unit,
         unitName: unit === 'smallest' ? productData.smallestUnit : productData.largestUnit,
         price: price,
-        total: quantity * price
+        total: Money.multiply(price, quantity)
     };
 
     invoiceProducts.push(invoiceProduct);
@@ -1192,15 +1160,15 @@ async function calculateTotals() {
 
 // Internal function that does the actual calculation
 async function calculateTotalsInternal() {
-    const subtotal = invoiceProducts.reduce((sum, p) => sum + p.total, 0);
+    const subtotal = Money.sum(invoiceProducts, p => p.total);
     // Tax is always 0 for purchase invoices (no VAT)
     const taxRate = 0;
     const taxAmount = 0;
     const shipping = parseFloat(document.getElementById('shipping').value) || 0;
     const discount = parseFloat(document.getElementById('discount').value) || 0;
-    const total = subtotal + taxAmount + shipping - discount;
+    const total = Money.subtract(Money.add(subtotal, taxAmount, shipping), discount);
     const paid = parseFloat(document.getElementById('paid').value) || 0;
-    const remainingFromInvoice = total - paid; // المتبقي من الفاتورة فقط
+    const remainingFromInvoice = Money.subtract(total, paid); // المتبقي من الفاتورة فقط
 
     document.getElementById('subtotal').textContent = `${subtotal.toFixed(2)} ج.م`;
     document.getElementById('taxAmount').textContent = `${taxAmount.toFixed(2)} ج.م`;
@@ -1257,15 +1225,15 @@ async function calculateTotalsInternal() {
             // Balance is now updated directly by transactions, no need to recalculate
             
             // الرصيد القديم = الرصيد الحالي من قاعدة البيانات مباشرة (تم إعادة تحميله أعلاه)
-            // الرصيد في قاعدة البيانات محفوظ بالجنيه المصري مباشرة
+            // الرصيد يصل من قاعدة البيانات بالجنيه المصري
             let oldBalance = parseFloat(supplierData.balance || 0);
             
             // عند تعديل فاتورة موجودة: إضافة المتبقي القديم للفاتورة لإرجاع الرصيد إلى ما كان عليه قبل هذه الفاتورة
             if (currentInvoice && currentInvoice.id && currentInvoice.supplierId === supplierId) {
                 try {
-                    // المتبقي في قاعدة البيانات محفوظ بالجنيه المصري مباشرة
+                    // المتبقي يصل من قاعدة البيانات بالجنيه المصري
                     const oldInvoiceRemaining = parseFloat(currentInvoice.remaining || 0);
-                    oldBalance = oldBalance + oldInvoiceRemaining;
+                    oldBalance = Money.add(oldBalance, oldInvoiceRemaining);
                     console.log('[Purchases] calculateTotals - Editing invoice: Added back old invoice remaining to get balance before this invoice:', {
                         currentBalance: parseFloat(supplierData.balance || 0),
                         oldInvoiceRemaining,
@@ -1286,7 +1254,7 @@ async function calculateTotalsInternal() {
             // الرصيد الجديد = الرصيد القديم + المتبقي (remaining)
             // المتبقي = الإجمالي - المدفوع
             // إذن: الرصيد الجديد = الرصيد القديم + (الإجمالي - المدفوع)
-            const newBalance = oldBalance + remainingFromInvoice;
+            const newBalance = Money.add(oldBalance, remainingFromInvoice);
             
             console.log('[Purchases] calculateTotals - Balance calculation:', {
                                 oldBalance,
@@ -1393,10 +1361,10 @@ async function handleFormSubmit(e) {
         return;
     }
     
-    const subtotal = invoiceProducts.reduce((sum, p) => sum + p.total, 0);
+    const subtotal = Money.sum(invoiceProducts, p => p.total);
     const taxAmount = 0;
-    const total = subtotal + taxAmount + shipping - discount;
-    const remaining = total - paid;
+    const total = Money.subtract(Money.add(subtotal, taxAmount, shipping), discount);
+    const remaining = Money.subtract(total, paid);
 
     const invoiceId = currentInvoice ? currentInvoice.id : Date.now().toString();
 
@@ -1445,7 +1413,7 @@ async function handleFormSubmit(e) {
     // عند تعديل فاتورة موجودة: إضافة المتبقي القديم للفاتورة لإرجاع الرصيد إلى ما كان عليه قبل هذه الفاتورة
     if (currentInvoice && currentInvoice.id && currentInvoice.supplierId === supplierId) {
         const oldInvoiceRemaining = parseFloat(currentInvoice.remaining || 0);
-        calculatedOldBalance = calculatedOldBalance + oldInvoiceRemaining;
+        calculatedOldBalance = Money.add(calculatedOldBalance, oldInvoiceRemaining);
         console.log('[Purchases] handleFormSubmit - Editing invoice: Added back old invoice remaining to get balance before this invoice:', {
             currentBalance: parseFloat(supplierForBalance.balance || 0),
             oldInvoiceRemaining,
@@ -1453,20 +1421,20 @@ async function handleFormSubmit(e) {
         });
     }
     
-    // الرصيد يُحفظ بالجنيه المصري مباشرة في قاعدة البيانات
+    // المبالغ هنا بالجنيه المصري، وقاعدة البيانات تحولها إلى قروش عند الحفظ
     // الرصيد القديم يُحفظ في عمود oldBalance في جدول purchase_invoices
     oldBalanceToSave = calculatedOldBalance;
     
     // حساب القديم + الإجمالي (oldBalance + total)
-    const oldBalancePlusTotal = oldBalanceToSave + total;
+    const oldBalancePlusTotal = Money.add(oldBalanceToSave, total);
     
     // حساب الرصيد الجديد (oldBalance + remaining)
     // الرصيد الجديد = الرصيد القديم + المتبقي
-    const newBalanceToSave = oldBalanceToSave + remaining;
+    const newBalanceToSave = Money.add(oldBalanceToSave, remaining);
     
     // حساب المتبقي من الفاتورة والرصيد القديم (oldBalance + remaining)
     // هذه القيمة = newBalance (لكن نحفظها كعمود منفصل للوضوح)
-    const remainingWithOldBalanceToSave = oldBalanceToSave + remaining;
+    const remainingWithOldBalanceToSave = Money.add(oldBalanceToSave, remaining);
     
     console.log('[Purchases] handleFormSubmit - Balance calculations to save in invoice:', {
         calculatedOldBalance,
@@ -1518,99 +1486,78 @@ async function handleFormSubmit(e) {
         updatedAt: new Date().toISOString()
     };
 
-        // Save to database first
-        if (window.electronAPI && window.electronAPI.dbInsert && window.electronAPI.dbUpdate) {
-            // Prepare invoice data for database (without products array)
-            const invoiceDbData = { ...invoiceData };
-            delete invoiceDbData.products;
-            
-            if (currentInvoice) {
-                // Update existing invoice in database
-                console.log(`[Edit] Updating invoice ${invoiceId} with remaining: ${remaining}`);
-                console.log(`[Edit] Old invoice remaining: ${currentInvoice.remaining}`);
-                const updateResult = await window.electronAPI.dbUpdate('purchase_invoices', invoiceId, invoiceDbData);
-                
-                // Check if update was successful
-                if (!updateResult || !updateResult.success) {
-                    const errorMsg = updateResult?.error || 'خطأ غير معروف';
-                    console.error('Failed to update purchase invoice in database:', errorMsg);
-                    throw new Error('فشل تحديث فاتورة الشراء في قاعدة البيانات: ' + errorMsg);
-                }
-                console.log(`[Edit] Invoice updated in database`);
-                
-                // Delete old invoice items
-                if (window.electronAPI && window.electronAPI.dbQuery) {
-                    await window.electronAPI.dbQuery('DELETE FROM purchase_invoice_items WHERE invoiceId = ?', [invoiceId]);
-                } else {
-                    // Fallback: get all items and delete one by one
-                    const oldItems = await window.electronAPI.dbGetAll('purchase_invoice_items', 'invoiceId = ?', [invoiceId]);
-                    for (const item of oldItems) {
-                        await window.electronAPI.dbDelete('purchase_invoice_items', item.id);
-                    }
-                }
-                
-                // Revert stock changes from old invoice items (both "pending" and "delivered" add stock)
-                if (currentInvoice.products) {
-                    for (const invProduct of currentInvoice.products) {
-                        await revertProductStockFromPurchase(invProduct);
-                    }
-                }
-            } else {
-                // Insert new invoice in database
-                const insertResult = await window.electronAPI.dbInsert('purchase_invoices', invoiceDbData);
-                
-                // Check if insert was successful
-                if (!insertResult || !insertResult.success) {
-                    const errorMsg = insertResult?.error || 'خطأ غير معروف';
-                    console.error('Failed to insert purchase invoice to database:', errorMsg);
-                    throw new Error('فشل حفظ فاتورة الشراء في قاعدة البيانات: ' + errorMsg);
+        // Post the invoice in the main process: header, items, product stock and
+        // supplier balance are applied in one transaction, so nothing is half-applied
+        if (!window.electronAPI || !window.electronAPI.purchaseInvoicePost || !window.electronAPI.purchaseInvoiceEdit) {
+            throw new Error('واجهة حفظ الفواتير غير متاحة');
+        }
+        
+        // Prepare invoice data for database (without products array)
+        const invoiceDbData = { ...invoiceData };
+        delete invoiceDbData.products;
+        // Edits are rejected if the invoice was saved elsewhere after it was opened
+        invoiceDbData.expectedUpdatedAt = currentInvoice ? currentInvoice.updatedAt || null : null;
+        
+        const invoiceItemsData = invoiceProducts.map(product => {
+            // Get category from product data if not already in product object
+            let productCategory = product.category || '';
+            if (!productCategory && product.productId) {
+                const productData = products.find(p => p.id === product.productId);
+                if (productData) {
+                    productCategory = productData.category || '';
                 }
             }
-            
-            // Save invoice items
-            for (const product of invoiceProducts) {
-                // Get product code from product data
-                let productCode = product.productCode || '';
-                if (!productCode && product.productId) {
-                    const productData = products.find(p => p.id === product.productId);
-                    if (productData) {
-                        productCode = productData.code || '';
-                    }
-                }
-                
-                // Get category from product data if not already in product object
-                let productCategory = product.category || '';
-                if (!productCategory && product.productId) {
-                    const productData = products.find(p => p.id === product.productId);
-                    if (productData) {
-                        productCategory = productData.category || '';
-                    }
-                }
-                
-                const itemData = {
-                    id: Date.now().toString() + '-' + Math.random().toString(36).substr(2, 9),
-                    invoiceId: invoiceId,
-                    productId: product.productId,
-                    productName: product.productName || product.name || '',
-                    category: productCategory,
-                    quantity: product.quantity || 0,
-                    unit: product.unit || product.unitName || '',
-                    price: product.price || 0,
-                    total: product.total || 0
-                };
-                try {
-                    const insertResult = await window.electronAPI.dbInsert('purchase_invoice_items', itemData);
-                    if (insertResult && insertResult.success === false) {
-                        console.error(`Failed to insert invoice item:`, insertResult);
-                        throw new Error(`فشل حفظ منتج في الفاتورة: ${insertResult.error || 'خطأ غير معروف'}`);
-                    }
-                } catch (error) {
-                    console.error(`❌ Error saving invoice item:`, error);
-                    throw error; // Re-throw to stop the process
-                }
+            return {
+                productId: product.productId,
+                productName: product.productName || product.name || '',
+                category: productCategory,
+                unit: product.unit || product.unitName || '',
+                quantity: product.quantity || 0,
+                price: product.price || 0
+            };
+        });
+        
+        const postResult = currentInvoice
+            ? await window.electronAPI.purchaseInvoiceEdit(invoiceId, invoiceDbData, invoiceItemsData)
+            : await window.electronAPI.purchaseInvoicePost(invoiceDbData, invoiceItemsData);
+        if (postResult && postResult.conflict) {
+            await resolveInvoiceEditConflict(invoiceData, postResult);
+            return;
+        }
+        if (!postResult || postResult.success === false) {
+            console.error('Failed to post purchase invoice:', postResult);
+            const postError = new Error((postResult && postResult.error) || 'فشل حفظ فاتورة الشراء في قاعدة البيانات');
+            postError.validationErrors = postResult ? postResult.validationErrors : null;
+            throw postError;
+        }
+        
+        // Use the totals and balance snapshot calculated by the main process
+        const { items: savedItems, ...savedInvoiceRow } = postResult.invoice;
+        Object.assign(invoiceData, savedInvoiceRow);
+        
+        // Refresh local suppliers (new supplier and, if changed, the old one)
+        const affectedSupplierIds = [supplierId];
+        if (currentInvoice && currentInvoice.supplierId && currentInvoice.supplierId !== supplierId) {
+            affectedSupplierIds.push(currentInvoice.supplierId);
+        }
+        for (const affectedSupplierId of affectedSupplierIds) {
+            const dbSupplier = await window.electronAPI.dbGet('suppliers', affectedSupplierId);
+            const localSupplier = suppliers.find(s => s.id === affectedSupplierId);
+            if (dbSupplier && localSupplier) {
+                Object.assign(localSupplier, dbSupplier);
+            }
+        }
+        
+        // Refresh local product stock (stock was updated by the main process)
+        // Includes products removed from an edited invoice (their stock was reverted)
+        const affectedProductIds = new Set(savedItems.map(item => item.productId));
+        ((currentInvoice && currentInvoice.products) || []).forEach(p => affectedProductIds.add(p.productId));
+        for (const productId of affectedProductIds) {
+            const dbProduct = await window.electronAPI.dbGet('products', productId);
+            const localProduct = products.find(p => p.id === productId);
+            if (dbProduct && localProduct) {
+                localProduct.stock = dbProduct.stock;
             }
-        } else {
-            console.warn('Database API not available, saving to localStorage only');
         }
 
         // Update local array
@@ -1623,13 +1570,6 @@ async function handleFormSubmit(e) {
             invoices.push(invoiceData);
         }
 
-        // Update product stock in database for both "pending" (مسودة) and "delivered" (تم التخزين)
-        // Both statuses add stock to inventory
-        await updateProductStockFromPurchase(invoiceProducts, invoiceId);
-        
-        // If editing and changing from "delivered" to "pending", no need to revert stock
-        // because both statuses add stock (we already updated with new products)
-        
         // Dispatch event to notify products screen
         invoiceProducts.forEach(product => {
             window.dispatchEvent(new CustomEvent('productStockUpdated', { detail: { productId: product.productId } }));
@@ -1699,102 +1639,12 @@ async function handleFormSubmit(e) {
             }
         }
         
-        // Get saved invoice from invoices array (works for both pagination and non-pagination cases)
-        const savedInvoice = invoices.find(inv => inv.id === invoiceId);
-        
-        // Ensure saved invoice has correct remaining value
-        if (savedInvoice) {
-            savedInvoice.remaining = remaining;
-            // Update in database to ensure consistency
-            if (window.electronAPI && window.electronAPI.dbUpdate) {
-                try {
-                    const invoiceDbData = { ...savedInvoice };
-                    delete invoiceDbData.products;
-                    await window.electronAPI.dbUpdate('purchase_invoices', invoiceId, invoiceDbData);
-                } catch (error) {
-                    console.error('Error updating invoice remaining in database:', error);
-                }
-            }
-        }
-        
         // Save to localStorage as backup
         await saveInvoices();
         
         currentPage = 1;
         applyFilters();
         
-        // Recalculate supplier balance from all invoices
-        // IMPORTANT: For edits, we need to ensure the invoice is updated in database before recalculating
-        // Wait a bit to ensure database transaction is committed
-        if (currentInvoice) {
-            // Small delay to ensure database transaction is committed
-            await new Promise(resolve => setTimeout(resolve, 100));
-        }
-        
-        // This will use the updated remaining value from the database directly
-        // Update supplier balance directly after saving invoice
-        // If supplier was changed, update balance for old supplier first (subtract old invoice remaining)
-        if (currentInvoice && currentInvoice.supplierId && currentInvoice.supplierId !== supplierId) {
-            const oldSupplierId = currentInvoice.supplierId;
-            console.log(`[Purchases] Supplier changed from ${oldSupplierId} to ${supplierId}. Updating old supplier balance...`);
-            try {
-                const oldSupplier = await window.electronAPI.dbGet('suppliers', oldSupplierId);
-                if (oldSupplier) {
-                    const oldInvoiceRemaining = parseFloat(currentInvoice.remaining || 0);
-                    const newOldSupplierBalance = Math.max(0, (parseFloat(oldSupplier.balance || 0) - oldInvoiceRemaining));
-                    await window.electronAPI.dbUpdate('suppliers', oldSupplierId, {
-                        ...oldSupplier,
-                        balance: newOldSupplierBalance,
-                        updatedAt: new Date().toISOString()
-                    });
-                }
-            } catch (error) {
-                console.error('[Purchases] Error updating old supplier balance:', error);
-                // Continue even if update fails
-            }
-        }
-        
-        // Update supplier balance directly: currentBalance + newRemaining - oldRemaining (if editing)
-        try {
-            const supplier = await window.electronAPI.dbGet('suppliers', supplierId);
-            if (supplier) {
-                const currentBalance = parseFloat(supplier.balance || 0);
-                const newRemaining = parseFloat(remaining || 0);
-                let newBalance = currentBalance;
-                
-                if (currentInvoice && currentInvoice.id && currentInvoice.supplierId === supplierId) {
-                    // Editing existing invoice: subtract old remaining, add new remaining
-                    const oldRemaining = parseFloat(currentInvoice.remaining || 0);
-                    newBalance = currentBalance - oldRemaining + newRemaining;
-                } else {
-                    // New invoice: add remaining
-                    newBalance = currentBalance + newRemaining;
-                }
-                
-                await window.electronAPI.dbUpdate('suppliers', supplierId, {
-                    ...supplier,
-                    balance: newBalance,
-                    lastTransactionDate: new Date().toISOString(),
-                    updatedAt: new Date().toISOString()
-                });
-                
-                console.log('[Purchases] Supplier balance updated directly:', {
-                    supplierId,
-                    oldBalance: currentBalance,
-                    newBalance,
-                    invoiceRemaining: newRemaining
-                });
-            }
-        } catch (error) {
-            console.error('[Purchases] Error updating supplier balance:', error);
-            // Continue even if update fails
-        }
-        
-        // Update first transaction date for new invoices
-        if (!currentInvoice) {
-            await updateSupplierFirstTransactionDate(supplierId);
-        }
-        
         // Auto print after saving
         closeModal();
         setTimeout(() => {
@@ -1814,91 +1664,44 @@ async function handleFormSubmit(e) {
     }
 }
 
-// Update Product Stock from Purchase Invoice
-async function updateProductStockFromPurchase(invoiceProducts, invoiceId) {
-    try {
-        for (const invoiceProduct of invoiceProducts) {
-            // Get product from database
-            let product = null;
-            if (window.electronAPI && window.electronAPI.dbGet) {
-                product = await window.electronAPI.dbGet('products', invoiceProduct.productId);
-            }
-            
-            if (!product) {
-                console.error('Product not found:', invoiceProduct.productId);
-                continue;
-            }
-            
-            // Calculate quantity to add in smallest unit
-            let quantityToAdd = invoiceProduct.quantity || 0;
-            
-            // If unit is largest, convert to smallest
-            if (invoiceProduct.unit === 'largest') {
-                const conversionFactor = product.conversionFactor || 1;
-                quantityToAdd = invoiceProduct.quantity * conversionFactor;
-            }
-            
-            // Update stock
-            const currentStock = parseFloat(product.stock) || 0;
-            const newStock = currentStock + quantityToAdd;
-            
-            product.stock = newStock;
-            
-            // Update product in database
-            if (window.electronAPI && window.electronAPI.dbUpdate) {
-                await window.electronAPI.dbUpdate('products', product.id, product);
-            }
-            
-            // Update in local array too
-            const localProduct = products.find(p => p.id === product.id);
-            if (localProduct) {
-                localProduct.stock = newStock;
-            }
+// Save rejected because the invoice was changed elsewhere: save my version, reload or cancel
+async function resolveInvoiceEditConflict(invoiceData, conflictResult) {
+    const invoiceId = invoiceData.id;
+    const withSupplierName = (invoice) => {
+        if (!invoice) return invoice;
+        const supplier = suppliers.find(s => s.id === invoice.supplierId);
+        return { ...invoice, supplierName: supplier ? supplier.name : invoice.supplierId };
+    };
+
+    const resolution = await showConflictDialog({
+        title: 'تم تعديل الفاتورة من مكان آخر',
+        base: withSupplierName(currentInvoice),
+        mine: withSupplierName(invoiceData),
+        theirs: withSupplierName(conflictResult.current),
+        fields: PURCHASE_INVOICE_CONFLICT_FIELDS,
+        allowMerge: false,
+        deleted: conflictResult.deleted
+    });
+
+    if (conflictResult.deleted) {
+        if (resolution.action !== 'cancel') {
+            invoices = invoices.filter(inv => inv.id !== invoiceId);
+            delete invoiceItemsCache[invoiceId];
+            applyFilters();
+            closeModal();
         }
-    } catch (error) {
-        console.error('Error updating product stock:', error);
+        return;
     }
-}
 
-// Revert Product Stock from Purchase Invoice (for editing)
-async function revertProductStockFromPurchase(invProduct) {
-    try {
-        let product = null;
-        if (window.electronAPI && window.electronAPI.dbGet) {
-            product = await window.electronAPI.dbGet('products', invProduct.productId);
-        }
-        
-        if (!product) {
-            return;
-        }
-        
-        // Calculate quantity to revert in smallest unit
-        let quantityToRevert = invProduct.quantity || 0;
-        
-        // If unit is largest, convert to smallest
-        if (invProduct.unit === 'largest') {
-            const conversionFactor = product.conversionFactor || 1;
-            quantityToRevert = invProduct.quantity * conversionFactor;
-        }
-        
-        // Revert stock (decrease - was added on purchase)
-        const currentStock = parseFloat(product.stock) || 0;
-        const newStock = Math.max(0, currentStock - quantityToRevert);
-        
-        product.stock = newStock;
-        
-        // Update product in database
-        if (window.electronAPI && window.electronAPI.dbUpdate) {
-            await window.electronAPI.dbUpdate('products', product.id, product);
-        }
-        
-        // Update in local array too
-        const localProduct = products.find(p => p.id === product.id);
-        if (localProduct) {
-            localProduct.stock = newStock;
-        }
-    } catch (error) {
-        console.error('Error reverting product stock:', error);
+    if (resolution.action === 'reload') {
+        // editInvoice reloads the header and items from the database
+        delete invoiceItemsCache[invoiceId];
+        await editInvoice(invoiceId);
+        applyFilters();
+    } else if (resolution.action === 'merge') {
+        // Save the form again on top of the current copy (after this submit has finished)
+        currentInvoice.updatedAt = conflictResult.current.updatedAt;
+        setTimeout(() => document.getElementById('invoiceForm').requestSubmit(), 0);
     }
 }
 
@@ -2014,17 +1817,10 @@ async function recalculateSupplierBalance(supplierId) {
     }
     
     // Calculate: sum of all remaining amounts from all invoices
-    let totalRemaining = 0;
-    supplierInvoices.forEach(invoice => {
-        const invoiceRemaining = parseFloat(invoice.remaining) || 0;
-        totalRemaining += invoiceRemaining;
-    });
+    const totalRemaining = Money.sum(supplierInvoices, invoice => invoice.remaining);
     
     // Calculate: sum of all payment amounts (payments reduce supplier debt)
-    let totalPayments = 0;
-    supplierPayments.forEach(payment => {
-        totalPayments += parseFloat(payment.amount) || 0;
-    });
+    const totalPayments = Money.sum(supplierPayments, payment => payment.amount);
     
     // Get all returns to this supplier from database
     let supplierReturns = [];
@@ -2038,15 +1834,12 @@ async function recalculateSupplierBalance(supplierId) {
     }
     
     // Calculate: sum of all returns to supplier (returns reduce debt/balance)
-    let totalReturns = 0;
-    supplierReturns.forEach(ret => {
-        totalReturns += parseFloat(ret.totalAmount || 0);
-    });
+    const totalReturns = Money.sum(supplierReturns, ret => ret.totalAmount);
     
     // Balance calculation:
     // Balance is calculated from transactions: invoices (debt) - payments - returns
     // The initial balance is already included in the supplier.balance when created
-    const balance = totalRemaining - totalPayments - totalReturns;
+    const balance = Money.subtract(totalRemaining, totalPayments, totalReturns);
     
     supplier.balance = balance;
     supplier.lastTransactionDate = new Date().toISOString();
@@ -2416,6 +2209,18 @@ async function editInvoice(invoiceId) {
         return;
     }
     
+    // Start from the saved copy: its updatedAt is what the save is checked against
+    if (window.electronAPI && window.electronAPI.dbGet) {
+        try {
+            const savedInvoice = await window.electronAPI.dbGet('purchase_invoices', invoiceId);
+            if (savedInvoice) {
+                Object.assign(invoice, savedInvoice);
+            }
+        } catch (error) {
+            console.error('Error loading invoice for edit:', error);
+        }
+    }
+    
     // Prevent editing cancelled (reverse) invoices
     if (invoice.invoiceType === 'reverse') {
         if (window.showToast) {
@@ -2796,64 +2601,33 @@ async function proceedWithInvoiceDeletion(invoiceId) {
             return;
         }
         
-        // Revert product stock for "pending" (مسودة) invoices
-        // Both "pending" and "delivered" add stock, so we need to revert it on deletion
-        if (invoice.products && invoice.products.length > 0) {
-            for (const invProduct of invoice.products) {
-                // Get product from database
-                let product = null;
-                if (window.electronAPI && window.electronAPI.dbGet) {
-                    product = await window.electronAPI.dbGet('products', invProduct.productId);
-                }
-                
-                if (product) {
-                    // Calculate quantity to revert in smallest unit
-                    let quantityToRevert = invProduct.quantity || 0;
-                    
-                    // If unit is largest, convert to smallest
-                    if (invProduct.unit === 'largest') {
-                        const conversionFactor = product.conversionFactor || 1;
-                        quantityToRevert = invProduct.quantity * conversionFactor;
-                    }
-                    
-                    // Revert stock (decrease - was added on purchase)
-                    const currentStock = parseFloat(product.stock) || 0;
-                    const newStock = Math.max(0, currentStock - quantityToRevert);
-                    
-                    product.stock = newStock;
-                    
-                    // Update product in database
-                    if (window.electronAPI && window.electronAPI.dbUpdate) {
-                        await window.electronAPI.dbUpdate('products', product.id, product);
-                    }
-                    
-                    // Update in local array too
-                    const localProduct = products.find(p => p.id === product.id);
-                    if (localProduct) {
-                        localProduct.stock = newStock;
-                    }
-                }
-            }
+        // Delete the invoice in the main process: items, product stock and supplier
+        // balance are reverted in one transaction
+        if (!window.electronAPI || !window.electronAPI.purchaseInvoiceDelete) {
+            throw new Error('واجهة حذف الفواتير غير متاحة');
         }
-        
-        // Always recalculate supplier balance (to remove invoice remaining from balance)
-        if (invoice.supplierId) {
-            await recalculateSupplierBalance(invoice.supplierId);
+        const deleteResult = await window.electronAPI.purchaseInvoiceDelete(invoiceId);
+        if (!deleteResult || deleteResult.success === false) {
+            console.error('Failed to delete purchase invoice:', deleteResult);
+            showMessage('خطأ في حذف الفاتورة: ' + ((deleteResult && deleteResult.error) || 'خطأ غير معروف'), 'error');
+            return;
         }
         
-        // Delete invoice items from database first (foreign key constraint)
-        if (window.electronAPI && window.electronAPI.dbQuery) {
-            await window.electronAPI.dbQuery('DELETE FROM purchase_invoice_items WHERE invoiceId = ?', [invoiceId]);
-        } else if (window.electronAPI && window.electronAPI.dbGetAll && window.electronAPI.dbDelete) {
-            const invoiceItems = await window.electronAPI.dbGetAll('purchase_invoice_items', 'invoiceId = ?', [invoiceId]);
-            for (const item of invoiceItems) {
-                await window.electronAPI.dbDelete('purchase_invoice_items', item.id);
+        // Refresh local product stock and supplier balance
+        const deletedItems = (deleteResult.invoice && deleteResult.invoice.items) || [];
+        for (const productId of new Set(deletedItems.map(item => item.productId))) {
+            const dbProduct = await window.electronAPI.dbGet('products', productId);
+            const localProduct = products.find(p => p.id === productId);
+            if (dbProduct && localProduct) {
+                localProduct.stock = dbProduct.stock;
             }
         }
-        
-        // Delete invoice from database
-        if (window.electronAPI && window.electronAPI.dbDelete) {
-            await window.electronAPI.dbDelete('purchase_invoices', invoiceId);
+        if (invoice.supplierId) {
+            const dbSupplier = await window.electronAPI.dbGet('suppliers', invoice.supplierId);
+            const localSupplier = suppliers.find(s => s.id === invoice.supplierId);
+            if (dbSupplier && localSupplier) {
+                Object.assign(localSupplier, dbSupplier);
+            }
         }
         
         // Remove from local array
@@ -3003,10 +2777,10 @@ async function generatePrintContent(invoice, supplier) {
     } else {
         // Fallback: إذا لم تكن القيم موجودة (للحوافظ القديمة)
         // Calculate old balance: current balance - current invoice remaining
-        oldBalance = supplier ? (supplier.balance || 0) - (invoice.remaining || 0) : 0;
-        oldBalancePlusTotal = oldBalance + invoice.total;
+        oldBalance = supplier ? Money.subtract(supplier.balance || 0, invoice.remaining || 0) : 0;
+        oldBalancePlusTotal = Money.add(oldBalance, invoice.total);
         newBalance = supplier ? (supplier.balance || 0) : 0;
-        remainingWithOldBalance = (invoice.remaining || 0) + oldBalance;
+        remainingWithOldBalance = Money.add(invoice.remaining || 0, oldBalance);
         
         console.warn('[generatePrintContent] Balance values not found in database, using fallback calculation:', {
             oldBalance,
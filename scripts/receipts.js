@@ -49,9 +49,10 @@ let customers = [];
 let isSavingReceipt = false; // Flag to prevent duplicate form submissions
 
 // Pagination & Filter State
+// receipts holds only the page on screen; filtering, sorting and paging run in the database (db-search)
 let currentPage = 1;
 const itemsPerPage = 20;
-let filteredReceipts = [];
+let totalReceiptsCount = 0;
 let searchQuery = '';
 let dateFrom = '';
 let dateTo = '';
@@ -63,7 +64,16 @@ document.addEventListener('DOMContentLoaded', async () => {
     await loadData();
     initializeEventListeners();
     renderCustomers();
+    // Opened from the global search in the top bar: list and open that record
+    const searchTarget = getGlobalSearchTarget();
+    if (searchTarget) {
+        document.getElementById('searchInput').value = searchTarget.search;
+        searchQuery = searchTarget.search;
+    }
     await applyFilters();
+    if (searchTarget) {
+        viewReceipt(searchTarget.id);
+    }
 });
 
 // Initialize Event Listeners
@@ -143,7 +153,7 @@ function initializeEventListeners() {
     });
     
     document.getElementById('nextPageBtn').addEventListener('click', async () => {
-        const totalPages = Math.ceil(filteredReceipts.length / itemsPerPage);
+        const totalPages = Math.ceil(totalReceiptsCount / itemsPerPage);
         if (currentPage < totalPages) {
             currentPage++;
             await applyFilters();
@@ -159,10 +169,13 @@ function initializeEventListeners() {
     const clearFiltersBtn = document.getElementById('clearFiltersBtn');
 
     if (searchInput) {
-        searchInput.addEventListener('input', async (e) => {
+        let searchTimeout = null;
+        searchInput.addEventListener('input', (e) => {
             searchQuery = e.target.value;
             currentPage = 1;
-            await applyFilters();
+            // Wait for the user to stop typing before querying the database
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(applyFilters, 300);
         });
     }
 
@@ -218,14 +231,17 @@ function initializeEventListeners() {
 // Load Data
 async function loadData() {
     // Try to load from database first
-    if (window.electronAPI && window.electronAPI.dbGetAll) {
+    if (window.electronAPI && window.electronAPI.dbSearch) {
         try {
-            receipts = await window.electronAPI.dbGetAll('receipts', '', []);
-            customers = await window.electronAPI.dbGetAll('customers', '', []);
-            
-            // Ensure arrays
-            receipts = Array.isArray(receipts) ? receipts : [];
-            customers = Array.isArray(customers) ? customers : [];
+            // Receipts are loaded a page at a time by applyFilters()
+            receipts = [];
+            // Only the customer fields used by the dropdown and the receipts table
+            // (calculateBalance reloads the full customer from the database)
+            const customersResult = await window.electronAPI.dbSearch('customers', {
+                columns: ['id', 'code', 'name', 'balance'],
+                sort: { column: 'createdAt', direction: 'asc' }
+            });
+            customers = customersResult && customersResult.success ? customersResult.rows : [];
             
             return;
         } catch (error) {
@@ -264,7 +280,7 @@ async function generateReceiptNumber() {
     
     if (window.electronAPI && window.electronAPI.dbGetAll) {
         try {
-            const allReceipts = await window.electronAPI.dbGetAll('receipts', '', []);
+            const allReceipts = await window.electronAPI.dbGetAll('receipts', 'receiptNumber LIKE ?', [`${prefix}%`]);
             if (Array.isArray(allReceipts) && allReceipts.length > 0) {
                 // Find the highest counter for this year
                 const yearReceipts = allReceipts.filter(r => 
@@ -391,7 +407,7 @@ async function calculateBalance() {
     
     if (customer) {
         // Use the updated balance from database directly (already reloaded above)
-        // الرصيد في قاعدة البيانات محفوظ بالجنيه المصري مباشرة
+        // الرصيد يصل من قاعدة البيانات بالجنيه المصري
         let oldBalance = parseFloat(customer.balance || 0);
         
         // If editing existing receipt, add back the old receipt amount to get the balance before this receipt
@@ -402,15 +418,15 @@ async function calculateBalance() {
                     // Try to get from database if not in local array
                     const dbReceipt = await window.electronAPI.dbGet('receipts', receiptId);
                     if (dbReceipt && dbReceipt.customerId === customerId) {
-                        // المبلغ في قاعدة البيانات محفوظ بالجنيه المصري مباشرة
+                        // المبلغ يصل من قاعدة البيانات بالجنيه المصري
                         const oldAmount = parseFloat(dbReceipt.amount || 0);
-                        oldBalance = oldBalance + oldAmount;
+                        oldBalance = Money.add(oldBalance, oldAmount);
                         console.log('[Receipts] calculateBalance - Added back old receipt amount for edit:', oldAmount);
                     }
                 } else if (oldReceipt && oldReceipt.customerId === customerId) {
-                    // المبلغ في قاعدة البيانات محفوظ بالجنيه المصري مباشرة
+                    // المبلغ يصل من قاعدة البيانات بالجنيه المصري
                     const oldAmount = parseFloat(oldReceipt.amount || 0);
-                    oldBalance = oldBalance + oldAmount;
+                    oldBalance = Money.add(oldBalance, oldAmount);
                     console.log('[Receipts] calculateBalance - Added back old receipt amount for edit:', oldAmount);
                 }
             } catch (error) {
@@ -420,7 +436,7 @@ async function calculateBalance() {
         }
         
         // Receipt reduces customer debt (balance)
-        const newBalance = oldBalance - amount;
+        const newBalance = Money.subtract(oldBalance, amount);
 
         console.log('[Receipts] calculateBalance - Using updated balance from database:', {
             customerId,
@@ -522,12 +538,12 @@ async function handleFormSubmit(e) {
 
     // Check if receipt amount exceeds customer balance (only for new receipts, not edits)
     if (!isEdit) {
-        // الرصيد في قاعدة البيانات محفوظ بالجنيه المصري مباشرة
+        // الرصيد يصل من قاعدة البيانات بالجنيه المصري
         const customerBalance = parseFloat(customer.balance) || 0;
         
         // Check if amount exceeds balance
         if (amount > customerBalance) {
-            const excessAmount = amount - customerBalance;
+            const excessAmount = Money.subtract(amount, customerBalance);
             const warningMessage = `⚠️ تحذير: مبلغ السند (${amount.toFixed(2)} ج.م) أكبر من رصيد العميل (${customerBalance.toFixed(2)} ج.م)\n\nالفرق: ${excessAmount.toFixed(2)} ج.م\n\nسيصبح رصيد العميل سالباً (نحن مدينون للعميل). هل تريد المتابعة؟`;
             
             // Use showConfirmDialog if available, otherwise use confirm
@@ -646,19 +662,19 @@ async function proceedWithReceipt() {
         }
         
             if (customer) {
-                // الرصيد في قاعدة البيانات محفوظ بالجنيه المصري مباشرة
+                // الرصيد يصل من قاعدة البيانات بالجنيه المصري
         const customerBalance = parseFloat(customer.balance) || 0;
                 const oldReceipt = receipts.find(r => r.id === receiptId);
                 
                 // Calculate effective balance (add back old receipt amount)
                 let effectiveBalance = customerBalance;
                 if (oldReceipt && oldReceipt.customerId === customerId) {
-                    effectiveBalance = customerBalance + oldReceipt.amount;
+                    effectiveBalance = Money.add(customerBalance, oldReceipt.amount);
                 }
                 
                 // Check if new amount exceeds balance
                 if (amount > effectiveBalance) {
-                    const excessAmount = amount - effectiveBalance;
+                    const excessAmount = Money.subtract(amount, effectiveBalance);
                     const warningMessage = `⚠️ تحذير: مبلغ السند الجديد (${amount.toFixed(2)} ج.م) أكبر من رصيد العميل (${effectiveBalance.toFixed(2)} ج.م)\n\nالفرق: ${excessAmount.toFixed(2)} ج.م\n\nسيصبح رصيد العميل سالباً (نحن مدينون للعميل). هل تريد المتابعة؟`;
                     
                     // Use showConfirmDialog if available, otherwise use confirm
@@ -741,7 +757,7 @@ async function proceedWithReceiptSave() {
         const oldReceipt = receipts.find(r => r.id === receiptId);
         if (oldReceipt && oldReceipt.customerId === customerId) {
             const oldAmount = parseFloat(oldReceipt.amount || 0);
-            calculatedOldBalance = calculatedOldBalance + oldAmount;
+            calculatedOldBalance = Money.add(calculatedOldBalance, oldAmount);
             console.log('[Receipts] proceedWithReceiptSave - Editing receipt: Added back old receipt amount to get balance before this receipt:', {
                 currentBalance: parseFloat(customer.balance || 0),
                 oldAmount,
@@ -750,12 +766,12 @@ async function proceedWithReceiptSave() {
         }
     }
     
-    // الرصيد يُحفظ بالجنيه المصري مباشرة في قاعدة البيانات
+    // المبالغ هنا بالجنيه المصري، وقاعدة البيانات تحولها إلى قروش عند الحفظ
     const oldBalanceToSave = calculatedOldBalance;
     
     // حساب الرصيد الجديد (oldBalance - amount)
     // سند القبض يقلل دين العميل (الرصيد)
-    const newBalanceToSave = oldBalanceToSave - amount;
+    const newBalanceToSave = Money.subtract(oldBalanceToSave, amount);
     
     console.log('[Receipts] proceedWithReceiptSave - Balance calculations to save in receipt:', {
         calculatedOldBalance,
@@ -865,22 +881,7 @@ async function proceedWithReceiptSave() {
                 await updateCustomerFirstTransactionDate(customerId);
             }
             
-            // Reload receipts from database to ensure consistency
-            try {
-                receipts = await window.electronAPI.dbGetAll('receipts', '', []);
-                receipts = Array.isArray(receipts) ? receipts : [];
-            } catch (reloadError) {
-                console.error('Error reloading receipts from database:', reloadError);
-                // Fallback: update local array manually
-                if (isEdit) {
-                    const index = receipts.findIndex(r => r.id === receiptId);
-                    if (index !== -1) {
-                        receipts[index] = receiptData;
-                    }
-                } else {
-                    receipts.push(receiptData);
-                }
-            }
+            // The list is reloaded from database by applyFilters() below
         } else {
             // Fallback to localStorage
             if (isEdit) {
@@ -1040,101 +1041,62 @@ async function applyFilters() {
         }
     }
     
-    // Start with all receipts
-    filteredReceipts = [...receipts];
-    
-    // Apply search filter
-    if (searchQuery) {
-        const query = searchQuery.toLowerCase();
-        filteredReceipts = filteredReceipts.filter(receipt => {
-            // Search by receipt number
-            const receiptNumber = (receipt.receiptNumber || '').toLowerCase();
-            if (receiptNumber.includes(query)) return true;
-            
-            // Search by customer name
-            const customer = customers.find(c => c.id === receipt.customerId);
-            if (customer) {
-                const customerName = (customer.name || '').toLowerCase();
-                if (customerName.includes(query)) return true;
-            }
-            
-            return false;
-        });
+    if (!window.electronAPI || !window.electronAPI.dbSearch) {
+        totalReceiptsCount = receipts.length;
+        await renderReceipts();
+        return;
     }
     
-    // Apply date range filter (use effectiveDateFrom and effectiveDateTo)
+    // Date range filter (use effectiveDateFrom and effectiveDateTo)
+    const filters = [];
     if (effectiveDateFrom) {
-        filteredReceipts = filteredReceipts.filter(receipt => {
-            return new Date(receipt.date) >= new Date(effectiveDateFrom);
-        });
+        filters.push({ column: 'date', op: '>=', value: effectiveDateFrom });
     }
-    
     if (effectiveDateTo) {
-        filteredReceipts = filteredReceipts.filter(receipt => {
-            const receiptDate = new Date(receipt.date);
-            const toDate = new Date(effectiveDateTo);
-            toDate.setHours(23, 59, 59, 999); // Include entire day
-            return receiptDate <= toDate;
-        });
+        filters.push({ column: 'date', op: '<=', value: effectiveDateTo + ' 23:59:59' }); // Include entire day
     }
     
-    // Apply payment method filter
+    // Payment method filter
     if (paymentMethodFilter) {
-        filteredReceipts = filteredReceipts.filter(receipt => {
-            return receipt.paymentMethod === paymentMethodFilter;
-        });
+        filters.push({ column: 'paymentMethod', op: '=', value: paymentMethodFilter });
     }
     
-    // Apply sorting
-    filteredReceipts.sort((a, b) => {
-        switch (sortBy) {
-            case 'date-desc':
-                // Sort by date first, then by createdAt/updatedAt (newest first)
-                const dateA = new Date(a.date || 0);
-                const dateB = new Date(b.date || 0);
-                if (dateB.getTime() !== dateA.getTime()) {
-                    return dateB.getTime() - dateA.getTime();
-                }
-                // If same date, sort by createdAt or updatedAt (newest first)
-                const timeA = new Date(a.createdAt || a.updatedAt || 0);
-                const timeB = new Date(b.createdAt || b.updatedAt || 0);
-                return timeB.getTime() - timeA.getTime();
-            case 'date-asc':
-                // Sort by date first, then by createdAt/updatedAt (oldest first)
-                const dateA2 = new Date(a.date || 0);
-                const dateB2 = new Date(b.date || 0);
-                if (dateA2.getTime() !== dateB2.getTime()) {
-                    return dateA2.getTime() - dateB2.getTime();
-                }
-                // If same date, sort by createdAt or updatedAt (oldest first)
-                const timeA2 = new Date(a.createdAt || a.updatedAt || 0);
-                const timeB2 = new Date(b.createdAt || b.updatedAt || 0);
-                return timeA2.getTime() - timeB2.getTime();
-            case 'amount-desc':
-                return (b.amount || 0) - (a.amount || 0);
-            case 'amount-asc':
-                return (a.amount || 0) - (b.amount || 0);
-            case 'number-desc':
-                return (b.receiptNumber || '').localeCompare(a.receiptNumber || '');
-            case 'number-asc':
-                return (a.receiptNumber || '').localeCompare(b.receiptNumber || '');
-            default:
-                // Default: newest first by date, then by createdAt/updatedAt
-                const dateA3 = new Date(a.date || 0);
-                const dateB3 = new Date(b.date || 0);
-                if (dateB3.getTime() !== dateA3.getTime()) {
-                    return dateB3.getTime() - dateA3.getTime();
-                }
-                const timeA3 = new Date(a.createdAt || a.updatedAt || 0);
-                const timeB3 = new Date(b.createdAt || b.updatedAt || 0);
-                return timeB3.getTime() - timeA3.getTime();
-        }
-    });
+    // Sorting (newest first by date, then by createdAt)
+    const sortOptions = {
+        'date-desc': [{ column: 'date', direction: 'desc' }, { column: 'createdAt', direction: 'desc' }],
+        'date-asc': [{ column: 'date', direction: 'asc' }, { column: 'createdAt', direction: 'asc' }],
+        'amount-desc': { column: 'amount', direction: 'desc' },
+        'amount-asc': { column: 'amount', direction: 'asc' },
+        'number-desc': { column: 'receiptNumber', direction: 'desc' },
+        'number-asc': { column: 'receiptNumber', direction: 'asc' }
+    };
     
-    // Reset to first page if current page is out of bounds
-    const totalPages = Math.ceil(filteredReceipts.length / itemsPerPage);
-    if (currentPage > totalPages && totalPages > 0) {
-        currentPage = 1;
+    try {
+        const result = await window.electronAPI.dbSearch('receipts', {
+            filters,
+            // Search by receipt number or customer name
+            search: {
+                text: searchQuery.trim(),
+                columns: ['receiptNumber'],
+                related: [{ column: 'customerId', table: 'customers', columns: ['name'] }]
+            },
+            sort: sortOptions[sortBy] || sortOptions['date-desc'],
+            page: currentPage,
+            pageSize: itemsPerPage
+        });
+        if (!result || !result.success) {
+            throw new Error((result && result.error) || 'خطأ غير معروف');
+        }
+        receipts = result.rows;
+        totalReceiptsCount = result.total;
+        currentPage = result.page;
+    } catch (error) {
+        console.error('Error loading receipts page:', error);
+        receipts = [];
+        totalReceiptsCount = 0;
+        if (window.showToast) {
+            window.showToast('خطأ في تحميل السندات: ' + error.message, 'error');
+        }
     }
     
     // Render paginated receipts
@@ -1148,7 +1110,7 @@ async function renderReceipts() {
     
     tbody.innerHTML = '';
     
-    if (filteredReceipts.length === 0) {
+    if (totalReceiptsCount === 0) {
         emptyState.classList.remove('hidden');
         paginationContainer.classList.add('hidden');
         return;
@@ -1157,11 +1119,11 @@ async function renderReceipts() {
     emptyState.classList.add('hidden');
     paginationContainer.classList.remove('hidden');
 
-    // Calculate pagination
-    const totalPages = Math.ceil(filteredReceipts.length / itemsPerPage);
+    // Calculate pagination (receipts is already the current page)
+    const totalPages = Math.ceil(totalReceiptsCount / itemsPerPage);
     const startIndex = (currentPage - 1) * itemsPerPage;
-    const endIndex = Math.min(startIndex + itemsPerPage, filteredReceipts.length);
-    const paginatedReceipts = filteredReceipts.slice(startIndex, endIndex);
+    const endIndex = startIndex + receipts.length;
+    const paginatedReceipts = receipts;
     
     // Get current logged-in user type
     const currentUserType = localStorage.getItem('asel_userType') || '';
@@ -1171,7 +1133,7 @@ async function renderReceipts() {
     
     // Update pagination info
     document.getElementById('paginationInfo').textContent = 
-        `عرض ${startIndex + 1} - ${endIndex} من ${filteredReceipts.length}`;
+        `عرض ${startIndex + 1} - ${endIndex} من ${totalReceiptsCount}`;
     
     // Update pagination buttons
     document.getElementById('prevPageBtn').disabled = currentPage === 1;
@@ -1262,7 +1224,7 @@ function viewReceipt(receiptId) {
 
     // Calculate balances
     const currentBalance = customer ? (customer.balance || 0) : 0;
-    const oldBalance = currentBalance + receipt.amount; // الرصيد القديم = الرصيد الحالي + المدفوع
+    const oldBalance = Money.add(currentBalance, receipt.amount); // الرصيد القديم = الرصيد الحالي + المدفوع
     const paidAmount = receipt.amount; // المدفوع
     const newBalance = currentBalance; // الرصيد الجديد = الرصيد الحالي
 
@@ -1417,8 +1379,12 @@ async function proceedWithReceiptDeletion(receiptId) {
 
     try {
         // Save to database if available
-        if (window.electronAPI && window.electronAPI.dbDelete) {
-            await window.electronAPI.dbDelete('receipts', receiptId);
+        if (window.electronAPI && window.electronAPI.recycleBinDelete) {
+            // Move to the recycle bin (the customer balance is reverted in the main process)
+            const deleteResult = await window.electronAPI.recycleBinDelete('receipts', receiptId);
+            if (!deleteResult || deleteResult.success === false) {
+                throw new Error((deleteResult && deleteResult.error) || 'خطأ غير معروف');
+            }
             // Recalculate customer balance (includes all invoices and receipts)
             if (window.recalculateCustomerBalance && typeof window.recalculateCustomerBalance === 'function') {
                 await window.recalculateCustomerBalance(receipt.customerId);
@@ -1427,15 +1393,7 @@ async function proceedWithReceiptDeletion(receiptId) {
             await updateCustomerBalanceInDB(receipt.customerId, receipt.amount);
             }
             
-            // Reload receipts from database to ensure consistency
-            try {
-                receipts = await window.electronAPI.dbGetAll('receipts', '', []);
-                receipts = Array.isArray(receipts) ? receipts : [];
-            } catch (reloadError) {
-                console.error('Error reloading receipts from database:', reloadError);
-                // Fallback: remove from local array manually
-                receipts = receipts.filter(r => r.id !== receiptId);
-            }
+            // The list is reloaded from database by applyFilters() below
         } else {
             // Fallback to localStorage
             updateCustomerBalance(receipt.customerId, receipt.amount);
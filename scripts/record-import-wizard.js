@@ -0,0 +1,244 @@
+// Import wizard for products, customers and suppliers (Excel .xlsx or CSV)
+// 1. the file is read in the main process (first sheet, first row = column names)
+// 2. the user picks the column of each field (guessed from the column names)
+// 3. every row is checked against the database and the errors are shown row by row
+// 4. the rows are added in one transaction, only when no row has an error
+// Needs utils/record-import.js loaded before it.
+
+const RECORD_IMPORT_ENTITY_LABELS = {
+    products: 'المنتجات',
+    customers: 'العملاء',
+    suppliers: 'الموردين'
+};
+
+// Rows listed in the check result (errors first); the counts cover every row
+const RECORD_IMPORT_PREVIEW_LIMIT = 200;
+
+function escapeImportValue(value) {
+    if (value === null || value === undefined || value === '') {
+        return '<span style="color: var(--text-secondary, #94a3b8);">—</span>';
+    }
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function notifyImport(message, type) {
+    if (typeof showToast === 'function') {
+        showToast(message, type);
+    } else {
+        alert(message);
+    }
+}
+
+// Spreadsheet column name (0 -> A, 27 -> AB)
+function getImportColumnLetter(index) {
+    let letters = '';
+    let value = index + 1;
+    while (value > 0) {
+        const remainder = (value - 1) % 26;
+        letters = String.fromCharCode(65 + remainder) + letters;
+        value = Math.floor((value - 1) / 26);
+    }
+    return letters;
+}
+
+/**
+ * Choose a file and run the import wizard.
+ * @param {string} entity - products | customers | suppliers
+ * @param {{onImported?: Function}} [options] - onImported is called after a successful import
+ */
+async function openRecordImportWizard(entity, { onImported = null } = {}) {
+    if (!window.electronAPI || !window.electronAPI.recordsImportReadFile) {
+        notifyImport('الاستيراد غير متاح', 'error');
+        return;
+    }
+    const file = await window.electronAPI.recordsImportReadFile();
+    if (!file || !file.success) {
+        if (file && !file.cancelled) {
+            notifyImport(file.error || 'تعذر قراءة الملف', 'error');
+        }
+        return;
+    }
+
+    const fields = RECORD_IMPORT_FIELDS[entity];
+    const headers = file.rows[0];
+    const dataRows = file.rows.slice(1);
+    const mapping = guessColumnMapping(headers, entity);
+    let checkedMapping = null;
+
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.style.zIndex = '10002';
+    modal.innerHTML = `
+        <div class="modal-content" style="max-width: 900px;">
+            <div class="modal-header">
+                <h2 style="margin: 0; font-size: 1.25rem;">📥 استيراد ${RECORD_IMPORT_ENTITY_LABELS[entity]} من ملف</h2>
+                <button class="modal-close">&times;</button>
+            </div>
+            <div class="modal-body" style="padding: 24px;">
+                <p style="margin: 0 0 16px 0;">
+                    الملف: <strong>${escapeImportValue(file.fileName)}</strong>${file.sheetName ? ` (ورقة ${escapeImportValue(file.sheetName)})` : ''}
+                    - ${dataRows.length} صف
+                </p>
+                <p style="margin: 0 0 8px 0; font-weight: 600;">اختر عمود كل حقل في الملف:</p>
+                <div class="record-import-mapping" style="display: grid; grid-template-columns: repeat(auto-fill, minmax(260px, 1fr)); gap: 8px 16px; margin-bottom: 16px;">
+                    ${fields.map(field => `
+                        <label style="display: flex; align-items: center; gap: 8px; justify-content: space-between;">
+                            <span>${escapeImportValue(field.label)}${field.required ? ' <span style="color: #ef4444;">*</span>' : ''}</span>
+                            <select data-field="${field.key}" style="flex: 0 0 55%; padding: 4px;">
+                                <option value="">${field.key === 'code' ? '— توليد تلقائي —' : '— غير موجود —'}</option>
+                                ${headers.map((header, index) => `
+                                    <option value="${index}" ${mapping[field.key] === index ? 'selected' : ''}>${getImportColumnLetter(index)}: ${escapeImportValue(header)}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                    `).join('')}
+                </div>
+                ${entity === 'products' ? '<p style="margin: 0 0 16px 0; color: var(--text-secondary, #64748b); font-size: 0.9rem;">الأصناف غير الموجودة تُضاف تلقائياً، وسعر أكبر وحدة يُحسب من سعر أصغر وحدة ومعامل التحويل إذا لم يكن في الملف.</p>' : ''}
+                <div class="record-import-result"></div>
+                <div style="display: flex; gap: 12px; justify-content: flex-end; margin-top: 16px;">
+                    <button class="btn btn-secondary" data-action="cancel">إلغاء</button>
+                    <button class="btn btn-secondary" data-action="check">فحص البيانات</button>
+                    <button class="btn btn-primary" data-action="import" disabled>استيراد</button>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    const resultDiv = modal.querySelector('.record-import-result');
+    const checkBtn = modal.querySelector('[data-action="check"]');
+    const importBtn = modal.querySelector('[data-action="import"]');
+    const close = () => modal.remove();
+
+    const readMapping = () => {
+        const selected = {};
+        modal.querySelectorAll('select[data-field]').forEach(select => {
+            selected[select.dataset.field] = select.value === '' ? null : parseInt(select.value, 10);
+        });
+        return selected;
+    };
+
+    // A changed mapping must be checked again before importing
+    modal.querySelectorAll('select[data-field]').forEach(select => {
+        select.addEventListener('change', () => {
+            checkedMapping = null;
+            importBtn.disabled = true;
+            resultDiv.innerHTML = '';
+        });
+    });
+
+    checkBtn.addEventListener('click', async () => {
+        const selected = readMapping();
+        checkBtn.disabled = true;
+        importBtn.disabled = true;
+        resultDiv.innerHTML = '<p>جاري فحص البيانات...</p>';
+        try {
+            const report = await window.electronAPI.recordsImport(entity, dataRows, selected, { dryRun: true, firstRowNumber: 2 });
+            if (!report || !report.success) {
+                resultDiv.innerHTML = `<p style="color: #ef4444;">${escapeImportValue((report && report.error) || 'تعذر فحص البيانات')}</p>`;
+                return;
+            }
+            resultDiv.innerHTML = renderRecordImportReport(entity, report, selected);
+            if (report.invalid === 0 && report.total > 0) {
+                checkedMapping = selected;
+                importBtn.disabled = false;
+            }
+        } catch (error) {
+            console.error('Error checking import file:', error);
+            resultDiv.innerHTML = `<p style="color: #ef4444;">${escapeImportValue(error.message)}</p>`;
+        } finally {
+            checkBtn.disabled = false;
+        }
+    });
+
+    importBtn.addEventListener('click', async () => {
+        if (!checkedMapping) {
+            return;
+        }
+        importBtn.disabled = true;
+        checkBtn.disabled = true;
+        try {
+            const result = await window.electronAPI.recordsImport(entity, dataRows, checkedMapping, { dryRun: false, firstRowNumber: 2 });
+            if (!result || !result.success || !result.imported) {
+                // Data changed since the check (e.g. a record added from another PC): show the new errors
+                if (result && result.success && result.rows) {
+                    resultDiv.innerHTML = renderRecordImportReport(entity, result, checkedMapping);
+                }
+                notifyImport((result && result.error) || 'لم يتم الاستيراد، راجع الأخطاء', 'error');
+                checkBtn.disabled = false;
+                return;
+            }
+            notifyImport(`تم استيراد ${result.total} من ${RECORD_IMPORT_ENTITY_LABELS[entity]}${result.newCategories.length > 0 ? ` وإضافة ${result.newCategories.length} صنف جديد` : ''}`, 'success');
+            close();
+            if (typeof onImported === 'function') {
+                await onImported(result);
+            }
+        } catch (error) {
+            console.error('Error importing records:', error);
+            notifyImport('خطأ في الاستيراد: ' + error.message, 'error');
+            checkBtn.disabled = false;
+        }
+    });
+
+    modal.querySelector('.modal-close').addEventListener('click', close);
+    modal.querySelector('[data-action="cancel"]').addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            close();
+        }
+    });
+}
+
+// Counts, new categories and the rows of a check result (rows with errors first)
+function renderRecordImportReport(entity, report, mapping) {
+    const columns = RECORD_IMPORT_FIELDS[entity].filter(field =>
+        field.key === 'code' || mapping[field.key] !== null || (entity === 'products' && field.key === 'largestPrice'));
+    const rows = [...report.rows].sort((a, b) => (b.errors.length > 0) - (a.errors.length > 0) || a.rowNumber - b.rowNumber);
+    const shown = rows.slice(0, RECORD_IMPORT_PREVIEW_LIMIT);
+
+    let html = `
+        <div style="display: flex; gap: 16px; flex-wrap: wrap; margin-bottom: 12px;">
+            <span>عدد الصفوف: <strong>${report.total}</strong></span>
+            <span style="color: #16a34a;">صالحة: <strong>${report.valid}</strong></span>
+            <span style="color: ${report.invalid > 0 ? '#ef4444' : 'inherit'};">بها أخطاء: <strong>${report.invalid}</strong></span>
+        </div>
+    `;
+    if (report.newCategories && report.newCategories.length > 0) {
+        html += `<p style="margin: 0 0 12px 0;">أصناف جديدة ستتم إضافتها: ${report.newCategories.map(escapeImportValue).join('، ')}</p>`;
+    }
+    if (report.invalid > 0) {
+        html += '<p style="margin: 0 0 12px 0; color: #ef4444;">صحّح الأخطاء في الملف أو اختيار الأعمدة ثم افحص مرة أخرى؛ لا يتم استيراد أي صف طالما توجد أخطاء.</p>';
+    }
+    html += `
+        <div style="max-height: 320px; overflow: auto; border: 1px solid var(--border-color, #e2e8f0); border-radius: 6px;">
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.9rem;">
+                <thead>
+                    <tr style="position: sticky; top: 0; background: var(--bg-secondary, #f8fafc);">
+                        <th style="text-align: right; padding: 6px;">الصف</th>
+                        ${columns.map(field => `<th style="text-align: right; padding: 6px;">${escapeImportValue(field.label)}</th>`).join('')}
+                        <th style="text-align: right; padding: 6px;">الحالة</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${shown.map(row => `
+                        <tr style="border-top: 1px solid var(--border-color, #e2e8f0);${row.errors.length > 0 ? ' background: rgba(239, 68, 68, 0.08);' : ''}">
+                            <td style="padding: 6px;">${row.rowNumber}</td>
+                            ${columns.map(field => `<td style="padding: 6px;">${escapeImportValue(row.data[field.key])}</td>`).join('')}
+                            <td style="padding: 6px;">${row.errors.length > 0
+                                ? `<span style="color: #ef4444;">${row.errors.map(escapeImportValue).join('<br>')}</span>`
+                                : '<span style="color: #16a34a;">✓</span>'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+    if (rows.length > shown.length) {
+        html += `<p style="margin: 8px 0 0 0; color: var(--text-secondary, #64748b);">يتم عرض أول ${shown.length} صف فقط.</p>`;
+    }
+    return html;
+}
@@ -0,0 +1,166 @@
+// Recycle Bin - deleted documents and master data with restore
+
+const RECYCLE_BIN_TABLE_LABELS = {
+    sales_invoices: 'فاتورة مبيعات',
+    purchase_invoices: 'فاتورة مشتريات',
+    receipts: 'سند قبض',
+    payments: 'سند صرف',
+    returns: 'مرتجع',
+    inventory_adjustments: 'عملية جرد',
+    delivery_notes: 'إذن صرف',
+    delivery_settlements: 'تسوية',
+    operating_expenses: 'مصروف تشغيلي',
+    fixed_assets: 'أصل ثابت',
+    customers: 'عميل',
+    suppliers: 'مورد',
+    categories: 'صنف',
+    products: 'منتج'
+};
+
+let recycleBinEntries = [];
+
+document.addEventListener('DOMContentLoaded', async () => {
+    populateRecycleTableFilter();
+
+    document.getElementById('recycleTableFilter').addEventListener('change', loadRecycleBin);
+    document.getElementById('recycleStatusFilter').addEventListener('change', loadRecycleBin);
+
+    // Restore / purge buttons (delegated)
+    document.getElementById('recycleBinBody').addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-action]');
+        if (!button) {
+            return;
+        }
+        if (button.dataset.action === 'restore') {
+            restoreRecycleBinEntry(button.dataset.entryId);
+        } else if (button.dataset.action === 'purge') {
+            purgeRecycleBinEntry(button.dataset.entryId);
+        }
+    });
+
+    await loadRecycleBin();
+});
+
+function populateRecycleTableFilter() {
+    const select = document.getElementById('recycleTableFilter');
+    Object.entries(RECYCLE_BIN_TABLE_LABELS).forEach(([table, label]) => {
+        const option = document.createElement('option');
+        option.value = table;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+}
+
+function escapeRecycleValue(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+async function loadRecycleBin() {
+    const tbody = document.getElementById('recycleBinBody');
+
+    if (!window.electronAPI || !window.electronAPI.recycleBinList) {
+        tbody.innerHTML = '<tr><td colspan="5" class="empty-state">سلة المحذوفات غير متاحة</td></tr>';
+        return;
+    }
+
+    try {
+        const result = await window.electronAPI.recycleBinList({
+            tableName: document.getElementById('recycleTableFilter').value,
+            includeRestored: document.getElementById('recycleStatusFilter').value === 'all'
+        });
+        if (!result || !result.success) {
+            throw new Error(result?.error || 'خطأ غير معروف');
+        }
+        recycleBinEntries = result.entries || [];
+        renderRecycleBin();
+    } catch (error) {
+        console.error('[RecycleBin] Error loading recycle bin:', error);
+        tbody.innerHTML = `<tr><td colspan="5" class="empty-state">خطأ في تحميل سلة المحذوفات: ${escapeRecycleValue(error.message)}</td></tr>`;
+    }
+}
+
+function renderRecycleBin() {
+    const tbody = document.getElementById('recycleBinBody');
+
+    if (recycleBinEntries.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="empty-state">سلة المحذوفات فارغة</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = recycleBinEntries.map(entry => {
+        const deletedAt = new Date(entry.deletedAt).toLocaleString('ar-EG');
+        const actions = entry.restoredAt
+            ? `<span class="recycle-restored">تمت الاستعادة ${escapeRecycleValue(new Date(entry.restoredAt).toLocaleString('ar-EG'))}${entry.restoredBy ? ` - ${escapeRecycleValue(entry.restoredBy)}` : ''}</span>`
+            : `<div class="recycle-actions">
+                    <button class="btn btn-primary" data-action="restore" data-entry-id="${escapeRecycleValue(entry.id)}">↩️ استعادة</button>
+                    <button class="btn btn-danger" data-action="purge" data-entry-id="${escapeRecycleValue(entry.id)}">🗑️ حذف نهائي</button>
+               </div>`;
+        return `
+            <tr>
+                <td><span class="recycle-type-badge">${escapeRecycleValue(RECYCLE_BIN_TABLE_LABELS[entry.tableName] || entry.tableName)}</span></td>
+                <td>${escapeRecycleValue(entry.documentNumber || entry.rowId)}</td>
+                <td>${escapeRecycleValue(entry.deletedByName || entry.deletedBy || '-')}</td>
+                <td>${escapeRecycleValue(deletedAt)}</td>
+                <td>${actions}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+async function restoreRecycleBinEntry(entryId) {
+    const entry = recycleBinEntries.find(e => e.id === entryId);
+    if (!entry) {
+        return;
+    }
+    const label = RECYCLE_BIN_TABLE_LABELS[entry.tableName] || entry.tableName;
+    if (!confirm(`هل تريد استعادة ${label} ${entry.documentNumber || ''}؟\nسيتم إرجاع أثره على المخزون والأرصدة.`)) {
+        return;
+    }
+
+    try {
+        const result = await window.electronAPI.recycleBinRestore(entryId);
+        if (!result || result.success === false) {
+            throw new Error(result?.error || 'خطأ غير معروف');
+        }
+        if (window.showToast) {
+            window.showToast('تمت الاستعادة بنجاح', 'success');
+        }
+        window.dispatchEvent(new CustomEvent('productsNeedRefresh', { bubbles: true }));
+        await loadRecycleBin();
+    } catch (error) {
+        console.error('[RecycleBin] Error restoring entry:', error);
+        if (window.showToast) {
+            window.showToast('خطأ في الاستعادة: ' + error.message, 'error', 5000);
+        }
+    }
+}
+
+async function purgeRecycleBinEntry(entryId) {
+    const entry = recycleBinEntries.find(e => e.id === entryId);
+    if (!entry) {
+        return;
+    }
+    if (!confirm('سيتم حذف هذا العنصر نهائياً ولن يمكن استعادته. هل أنت متأكد؟')) {
+        return;
+    }
+
+    try {
+        const result = await window.electronAPI.recycleBinPurge(entryId);
+        if (!result || result.success === false) {
+            throw new Error(result?.error || 'خطأ غير معروف');
+        }
+        if (window.showToast) {
+            window.showToast('تم الحذف النهائي', 'success');
+        }
+        await loadRecycleBin();
+    } catch (error) {
+        console.error('[RecycleBin] Error purging entry:', error);
+        if (window.showToast) {
+            window.showToast('خطأ في الحذف النهائي: ' + error.message, 'error');
+        }
+    }
+}
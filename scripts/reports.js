@@ -87,9 +87,9 @@ function calculateAveragePurchasePrice(productId, saleDate = null) {
                 // Price is per unit (smallest or largest), so we need to calculate total cost
                 // If unit is largest, price is per largest unit, so multiply by quantity
                 // If unit is smallest, price is per smallest unit, so multiply by quantity
-                const itemCost = (pi.price || 0) * (pi.quantity || 0);
+                const itemCost = Money.multiply(pi.price || 0, pi.quantity || 0);
                 
-                totalPurchaseCost += itemCost;
+                totalPurchaseCost = Money.add(totalPurchaseCost, itemCost);
                 totalPurchaseQtyInSmallestUnit += quantityInSmallestUnit;
             }
         }
@@ -115,9 +115,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 if (type === 'expenseUpdated') {
                     // Wait a bit for database to be updated
                     await new Promise(resolve => setTimeout(resolve, 300));
-                    // Reload expenses data
-                    operatingExpenses = await window.electronAPI.dbGetAll('operating_expenses');
-                    // Reapply filters to update KPIs
+                    // Reapply filters to reload expenses and update KPIs
                     await applyFilters();
                 }
             });
@@ -135,12 +133,10 @@ document.addEventListener('DOMContentLoaded', async () => {
                 const timeSinceUpdate = Date.now() - updateData.timestamp;
                 // If update happened in last 10 seconds, reload data
                 if (timeSinceUpdate < 10000) {
-                    operatingExpenses = await window.electronAPI.dbGetAll('operating_expenses');
                     await applyFilters();
                 }
             } catch (error) {
                 // If marker exists but invalid, do normal reload
-                operatingExpenses = await window.electronAPI.dbGetAll('operating_expenses');
                 await applyFilters();
             }
         }
@@ -214,10 +210,16 @@ async function loadData() {
     try {
         // Load only essential data for filters (customers, products, categories)
         // Reports will load filtered data on demand
-        if (window.electronAPI && window.electronAPI.dbGetAll) {
-            products = await window.electronAPI.dbGetAll('products') || [];
-            customers = await window.electronAPI.dbGetAll('customers') || [];
-            suppliers = await window.electronAPI.dbGetAll('suppliers') || [];
+        // (only the columns the reports use)
+        if (window.electronAPI && window.electronAPI.dbSearch) {
+            const [productsResult, customersResult, suppliersResult] = await Promise.all([
+                window.electronAPI.dbSearch('products', { columns: ['id', 'name', 'category', 'conversionFactor'], sort: { column: 'createdAt', direction: 'asc' } }),
+                window.electronAPI.dbSearch('customers', { columns: ['id', 'name'], sort: { column: 'createdAt', direction: 'asc' } }),
+                window.electronAPI.dbSearch('suppliers', { columns: ['id', 'name'], sort: { column: 'createdAt', direction: 'asc' } })
+            ]);
+            products = productsResult && productsResult.success ? productsResult.rows : [];
+            customers = customersResult && customersResult.success ? customersResult.rows : [];
+            suppliers = suppliersResult && suppliersResult.success ? suppliersResult.rows : [];
             categories = await window.electronAPI.dbGetAll('categories') || [];
             
             // Don't load all invoices/items here - load them on demand with filters
@@ -358,16 +360,19 @@ async function loadFilteredPurchaseData(filters) {
 
 // Load filtered operating expenses
 async function loadFilteredExpenses(filters) {
-    if (!window.electronAPI || !window.electronAPI.dbGetAll) {
+    if (!window.electronAPI || !window.electronAPI.dbSearch) {
         return [];
     }
     
     try {
-        return await window.electronAPI.dbGetAll(
-            'operating_expenses',
-            'date >= ? AND date <= ?',
-            [filters.fromDate || '', filters.toDate ? filters.toDate + ' 23:59:59' : '']
-        ) || [];
+        const result = await window.electronAPI.dbSearch('operating_expenses', {
+            filters: [
+                { column: 'date', op: '>=', value: filters.fromDate || '' },
+                { column: 'date', op: '<=', value: filters.toDate ? filters.toDate + ' 23:59:59' : '' }
+            ],
+            sort: { column: 'date', direction: 'desc' }
+        });
+        return result && result.success ? result.rows : [];
     } catch (error) {
         console.error('Error loading filtered expenses:', error);
         return [];
@@ -491,7 +496,7 @@ async function applyFilters() {
 // Calculate KPIs
 async function calculateKPIs(invoices, items) {
     // Total Sales
-    const totalSales = invoices.reduce((sum, inv) => sum + (inv.total || 0), 0);
+    const totalSales = Money.sum(invoices, inv => inv.total || 0);
     
     // Calculate COGS (Cost of Goods Sold)
     let totalCOGS = 0;
@@ -515,12 +520,12 @@ async function calculateKPIs(invoices, items) {
         }
         
         // Calculate cost: price per smallest unit * quantity in smallest unit
-        const itemCost = avgPurchasePrice * quantityInSmallestUnit;
-        totalCOGS += itemCost;
+        const itemCost = Money.multiply(avgPurchasePrice, quantityInSmallestUnit);
+        totalCOGS = Money.add(totalCOGS, itemCost);
     }
     
     // Gross Profit
-    const grossProfit = totalSales - totalCOGS;
+    const grossProfit = Money.subtract(totalSales, totalCOGS);
     
     // Operating Expenses
     const filters = getFilters();
@@ -528,10 +533,10 @@ async function calculateKPIs(invoices, items) {
         const expDate = exp.date.split('T')[0];
         return expDate >= filters.fromDate && expDate <= filters.toDate;
     });
-    const totalExpenses = filteredExpenses.reduce((sum, exp) => sum + (exp.amount || 0), 0);
+    const totalExpenses = Money.sum(filteredExpenses, exp => exp.amount || 0);
     
     // Net Profit
-    const netProfit = grossProfit - totalExpenses;
+    const netProfit = Money.subtract(grossProfit, totalExpenses);
     
     // Profit Margin
     const profitMargin = totalSales > 0 ? (netProfit / totalSales) * 100 : 0;
@@ -577,7 +582,7 @@ function renderProductsProfit(items, invoices = []) {
         }
         
         productStats[product.id].totalQuantity += (item.quantity || 0);
-        productStats[product.id].totalSales += (item.price || 0) * (item.quantity || 0);
+        productStats[product.id].totalSales = Money.add(productStats[product.id].totalSales, Money.multiply(item.price || 0, item.quantity || 0));
         
         // Calculate cost - get the invoice date for accurate cost calculation
         const invoice = invoices.find(inv => inv.id === item.invoiceId);
@@ -591,14 +596,14 @@ function renderProductsProfit(items, invoices = []) {
             quantityInSmallestUnit = (item.quantity || 0) * conversionFactor;
         }
         
-        productStats[product.id].totalCost += avgPurchasePrice * quantityInSmallestUnit;
+        productStats[product.id].totalCost = Money.add(productStats[product.id].totalCost, Money.multiply(avgPurchasePrice, quantityInSmallestUnit));
     });
     
     // Convert to array and calculate averages
     const productArray = Object.values(productStats).map(stat => {
         const avgPurchasePrice = stat.totalQuantity > 0 ? stat.totalCost / stat.totalQuantity : 0;
         const avgSalePrice = stat.totalQuantity > 0 ? stat.totalSales / stat.totalQuantity : 0;
-        const profit = stat.totalSales - stat.totalCost;
+        const profit = Money.subtract(stat.totalSales, stat.totalCost);
         const profitMargin = stat.totalSales > 0 ? (profit / stat.totalSales) * 100 : 0;
         
         return {
@@ -655,7 +660,7 @@ function renderCustomersProfit(invoices, items) {
             };
         }
         
-        customerStats[customer.id].totalSales += (invoice.total || 0);
+        customerStats[customer.id].totalSales = Money.add(customerStats[customer.id].totalSales, invoice.total || 0);
     });
     
     // Calculate costs for each customer
@@ -680,7 +685,7 @@ function renderCustomersProfit(invoices, items) {
                     quantityInSmallestUnit = (item.quantity || 0) * conversionFactor;
                 }
                 
-                totalCost += avgPurchasePrice * quantityInSmallestUnit;
+                totalCost = Money.add(totalCost, Money.multiply(avgPurchasePrice, quantityInSmallestUnit));
             });
         });
         
@@ -689,7 +694,7 @@ function renderCustomersProfit(invoices, items) {
     
     // Convert to array and calculate profit
     const customerArray = Object.values(customerStats).map(stat => {
-        const profit = stat.totalSales - stat.totalCost;
+        const profit = Money.subtract(stat.totalSales, stat.totalCost);
         const profitMargin = stat.totalSales > 0 ? (profit / stat.totalSales) * 100 : 0;
         const status = profitMargin >= 20 ? 'profitable' : profitMargin >= 10 ? 'moderate' : profitMargin < 0 ? 'loss' : 'low';
         
@@ -775,17 +780,16 @@ function renderSuppliersProfit() {
         }
         
         // Calculate total only for filtered items (or all items if no category filter)
-        const invoiceTotal = filteredItems.reduce((sum, item) => 
-            sum + ((item.price || 0) * (item.quantity || 0)), 0);
-        supplierStats[supplier.id].totalPurchases += invoiceTotal;
+        const invoiceTotal = Money.sum(filteredItems, item => Money.multiply(item.price || 0, item.quantity || 0));
+        supplierStats[supplier.id].totalPurchases = Money.add(supplierStats[supplier.id].totalPurchases, invoiceTotal);
         
         filteredItems.forEach(item => {
             const product = products.find(p => p.id === item.productId);
             if (!product) return;
             
             // Calculate item cost
-            const itemCost = (item.price || 0) * (item.quantity || 0);
-            supplierStats[supplier.id].totalCost += itemCost;
+            const itemCost = Money.multiply(item.price || 0, item.quantity || 0);
+            supplierStats[supplier.id].totalCost = Money.add(supplierStats[supplier.id].totalCost, itemCost);
             
             // Convert quantity to smallest unit for accurate average calculation
             let quantityInSmallestUnit = item.quantity || 0;
@@ -862,7 +866,7 @@ function generateAlerts(items, invoices = []) {
         }
         
         productStats[product.id].totalQuantity += (item.quantity || 0);
-        productStats[product.id].totalSales += (item.price || 0) * (item.quantity || 0);
+        productStats[product.id].totalSales = Money.add(productStats[product.id].totalSales, Money.multiply(item.price || 0, item.quantity || 0));
         
         // Calculate cost - get the invoice date for accurate cost calculation
         const invoice = invoices.find(inv => inv.id === item.invoiceId);
@@ -876,12 +880,12 @@ function generateAlerts(items, invoices = []) {
             quantityInSmallestUnit = (item.quantity || 0) * conversionFactor;
         }
         
-        productStats[product.id].totalCost += avgPurchasePrice * quantityInSmallestUnit;
+        productStats[product.id].totalCost = Money.add(productStats[product.id].totalCost, Money.multiply(avgPurchasePrice, quantityInSmallestUnit));
     });
     
     // Analyze each product
     Object.values(productStats).forEach(stat => {
-        const profit = stat.totalSales - stat.totalCost;
+        const profit = Money.subtract(stat.totalSales, stat.totalCost);
         const profitMargin = stat.totalSales > 0 ? (profit / stat.totalSales) * 100 : 0;
         
         // High sales but low profit
@@ -47,6 +47,17 @@ let customers = [];
 let products = [];
 let invoiceProducts = [];
 let currentInvoice = null;
+
+// Invoice header fields shown in the edit conflict dialog
+const SALES_INVOICE_CONFLICT_FIELDS = [
+    { key: 'customerName', label: 'العميل' },
+    { key: 'date', label: 'تاريخ الفاتورة' },
+    { key: 'dueDate', label: 'تاريخ الاستحقاق' },
+    { key: 'paymentMethod', label: 'طريقة الدفع' },
+    { key: 'notes', label: 'ملاحظات' },
+    { key: 'total', label: 'الإجمالي' },
+    { key: 'paid', label: 'المدفوع' }
+];
 let deliveryNotes = []; // أذون الصرف
 let selectedDeliveryNote = null; // إذن الصرف المختار
 
@@ -70,7 +81,16 @@ document.addEventListener('DOMContentLoaded', async () => {
     initializeEventListeners();
     renderCustomers();
     renderProducts();
-    applyFilters(); // Use applyFilters instead of renderInvoices
+    // Opened from the global search in the top bar: list and open that record
+    const searchTarget = getGlobalSearchTarget();
+    if (searchTarget) {
+        document.getElementById('searchInput').value = searchTarget.search;
+        searchQuery = searchTarget.search;
+    }
+    await applyFilters(); // Use applyFilters instead of renderInvoices
+    if (searchTarget) {
+        await viewInvoice(searchTarget.id);
+    }
 });
 
 // Initialize Event Listeners
@@ -431,118 +451,65 @@ async function getCompanySettings() {
     }
 }
 
-// Load invoices with pagination from database
-async function loadInvoicesPage(page = 1, limit = 20, filters = {}) {
-    if (!window.electronAPI || !window.electronAPI.dbQuery) {
-        return { invoices: [], total: 0 };
-    }
-    
-    const offset = (page - 1) * limit;
-    let query = 'SELECT * FROM sales_invoices';
-    let params = [];
-    
-    // Build WHERE clause with filters
+// Filters, search and sort for loadInvoicesPage / getInvoicesCount
+function buildInvoiceSearchOptions(filters = {}) {
     const conditions = [];
     
-    
     if (filters.dateFrom) {
-        conditions.push('date >= ?');
-        params.push(filters.dateFrom);
+        conditions.push({ column: 'date', op: '>=', value: filters.dateFrom });
     }
     if (filters.dateTo) {
-        conditions.push('date <= ?');
-        params.push(filters.dateTo + ' 23:59:59');
+        conditions.push({ column: 'date', op: '<=', value: filters.dateTo + ' 23:59:59' });
     }
     if (filters.customerId) {
-        conditions.push('customerId = ?');
-        params.push(filters.customerId);
-    }
-    if (filters.searchQuery) {
-        conditions.push('(invoiceNumber LIKE ? OR id IN (SELECT id FROM sales_invoices si INNER JOIN customers c ON si.customerId = c.id WHERE c.name LIKE ?))');
-        const searchTerm = `%${filters.searchQuery}%`;
-        params.push(searchTerm, searchTerm);
+        conditions.push({ column: 'customerId', op: '=', value: filters.customerId });
     }
     
-    if (conditions.length > 0) {
-        query += ' WHERE ' + conditions.join(' AND ');
-    }
+    // Sorting
+    const sortOptions = {
+        'date-desc': [{ column: 'date', direction: 'desc' }, { column: 'createdAt', direction: 'desc' }],
+        'date-asc': [{ column: 'date', direction: 'asc' }, { column: 'createdAt', direction: 'asc' }],
+        'total-desc': { column: 'total', direction: 'desc' },
+        'total-asc': { column: 'total', direction: 'asc' },
+        'number-desc': { column: 'invoiceNumber', direction: 'desc' },
+        'number-asc': { column: 'invoiceNumber', direction: 'asc' }
+    };
     
-    // Apply sorting
-    switch (filters.sortBy || 'date-desc') {
-        case 'date-desc':
-            query += ' ORDER BY date DESC, createdAt DESC';
-            break;
-        case 'date-asc':
-            query += ' ORDER BY date ASC, createdAt ASC';
-            break;
-        case 'total-desc':
-            query += ' ORDER BY total DESC';
-            break;
-        case 'total-asc':
-            query += ' ORDER BY total ASC';
-            break;
-        case 'number-desc':
-            query += ' ORDER BY invoiceNumber DESC';
-            break;
-        case 'number-asc':
-            query += ' ORDER BY invoiceNumber ASC';
-            break;
-        default:
-            query += ' ORDER BY date DESC, createdAt DESC';
-    }
-    
-    query += ' LIMIT ? OFFSET ?';
-    params.push(limit, offset);
-    
-    const invoices = await window.electronAPI.dbQuery(query, params) || [];
-    
-    // Get total count
-    let countQuery = 'SELECT COUNT(*) as count FROM sales_invoices';
-    let countParams = [];
-    if (conditions.length > 0) {
-        countQuery += ' WHERE ' + conditions.join(' AND ');
-        countParams = params.slice(0, -2); // Remove LIMIT and OFFSET params
-    }
-    const countResult = await window.electronAPI.dbQuery(countQuery, countParams);
-    const total = countResult && countResult[0] ? countResult[0].count : 0;
-    
-    return { invoices, total };
+    return {
+        filters: conditions,
+        // Search by invoice number or customer name
+        search: {
+            text: filters.searchQuery || '',
+            columns: ['invoiceNumber'],
+            related: [{ column: 'customerId', table: 'customers', columns: ['name'] }]
+        },
+        sort: sortOptions[filters.sortBy] || sortOptions['date-desc']
+    };
 }
 
-// Get total invoices count with filters
-async function getInvoicesCount(filters = {}) {
-    if (!window.electronAPI || !window.electronAPI.dbQuery) {
-        return 0;
-    }
-    
-    let query = 'SELECT COUNT(*) as count FROM sales_invoices';
-    let params = [];
-    
-    const conditions = [];
-    if (filters.dateFrom) {
-        conditions.push('date >= ?');
-        params.push(filters.dateFrom);
-    }
-    if (filters.dateTo) {
-        conditions.push('date <= ?');
-        params.push(filters.dateTo + ' 23:59:59');
-    }
-    if (filters.customerId) {
-        conditions.push('customerId = ?');
-        params.push(filters.customerId);
-    }
-    if (filters.searchQuery) {
-        conditions.push('(invoiceNumber LIKE ? OR id IN (SELECT id FROM sales_invoices si INNER JOIN customers c ON si.customerId = c.id WHERE c.name LIKE ?))');
-        const searchTerm = `%${filters.searchQuery}%`;
-        params.push(searchTerm, searchTerm);
+// Load invoices with pagination from database
+async function loadInvoicesPage(page = 1, limit = 20, filters = {}) {
+    if (!window.electronAPI || !window.electronAPI.dbSearch) {
+        return { invoices: [], total: 0 };
     }
     
-    if (conditions.length > 0) {
-        query += ' WHERE ' + conditions.join(' AND ');
+    const result = await window.electronAPI.dbSearch('sales_invoices', {
+        ...buildInvoiceSearchOptions(filters),
+        page,
+        pageSize: limit
+    });
+    if (!result || !result.success) {
+        console.error('Error loading invoices page:', result && result.error);
+        return { invoices: [], total: 0 };
     }
     
-    const result = await window.electronAPI.dbQuery(query, params);
-    return result && result[0] ? result[0].count : 0;
+    return { invoices: result.rows, total: result.total };
+}
+
+// Get total invoices count with filters
+async function getInvoicesCount(filters = {}) {
+    const result = await loadInvoicesPage(1, 1, filters);
+    return result.total;
 }
 
 // Load invoice items with lazy loading (cache support)
@@ -1617,14 +1584,14 @@ async function onCustomerChange() {
         console.log('[Sales] onCustomerChange - Customer found:', customer.name, 'Code:', customer.code, 'Balance:', customer.balance);
         
         // Use the updated balance from database directly (already reloaded above)
-        // الرصيد في قاعدة البيانات محفوظ بالجنيه المصري مباشرة
+        // الرصيد يصل من قاعدة البيانات بالجنيه المصري
         let oldBalance = parseFloat(customer.balance || 0);
         
         // If editing existing invoice, add back the old invoice remaining to get the balance before this invoice
         if (currentInvoice && currentInvoice.id) {
             try {
                 const oldInvoiceRemaining = parseFloat(currentInvoice.remaining || 0);
-                oldBalance = oldBalance + oldInvoiceRemaining;
+                oldBalance = Money.add(oldBalance, oldInvoiceRemaining);
                 console.log('[Sales] onCustomerChange - Added back old invoice remaining for edit:', oldInvoiceRemaining);
             } catch (error) {
                 console.error('[Sales] Error getting old invoice remaining in onCustomerChange:', error);
@@ -1831,7 +1798,7 @@ async function addProductToInvoice() {
             return;
         }
         existingProduct.quantity = newTotalQuantity;
-        existingProduct.total = newTotalQuantity * existingProduct.price;
+        existingProduct.total = Money.multiply(existingProduct.price, newTotalQuantity);
         renderInvoiceProducts();
         await calculateTotals();
         
@@ -1879,7 +1846,7 @@ async function addProductToInvoice() {
         unitName: unit === 'smallest' ? currentProduct.smallestUnit : currentProduct.largestUnit,
         smallestUnit: currentProduct.smallestUnit || '', // Store smallest unit name
         price: price,
-        total: quantity * price
+        total: Money.multiply(price, quantity)
     };
 
     invoiceProducts.push(invoiceProduct);
@@ -1984,7 +1951,7 @@ async function calculateTotals() {
     
     if (invoiceProducts.length > 0) {
         // Calculate subtotal from products
-        subtotal = invoiceProducts.reduce((sum, p) => sum + p.total, 0);
+        subtotal = Money.sum(invoiceProducts, p => p.total);
     } else {
         subtotal = 0;
     }
@@ -1998,12 +1965,12 @@ async function calculateTotals() {
         taxRate = 0;
     }
     
-    const taxAmount = (subtotal * taxRate) / 100;
+    const taxAmount = Money.percent(subtotal, taxRate);
     const shipping = parseFloat(document.getElementById('shipping').value) || 0;
     const discount = parseFloat(document.getElementById('discount').value) || 0;
-    const total = subtotal + taxAmount + shipping - discount;
+    const total = Money.subtract(Money.add(subtotal, taxAmount, shipping), discount);
     const paid = parseFloat(document.getElementById('paid').value) || 0;
-    const remaining = total - paid;
+    const remaining = Money.subtract(total, paid);
 
     document.getElementById('subtotal').textContent = `${subtotal.toFixed(2)} ج.م`;
     document.getElementById('taxAmount').textContent = `${taxAmount.toFixed(2)} ج.م`;
@@ -2036,15 +2003,15 @@ async function calculateTotals() {
         
         if (customer) {
             // الرصيد القديم = الرصيد الحالي من قاعدة البيانات مباشرة (تم إعادة تحميله أعلاه)
-            // الرصيد في قاعدة البيانات محفوظ بالجنيه المصري مباشرة
+            // الرصيد يصل من قاعدة البيانات بالجنيه المصري
             let oldBalance = parseFloat(customer.balance || 0);
             
             // عند تعديل فاتورة موجودة: إضافة المتبقي القديم للفاتورة لإرجاع الرصيد إلى ما كان عليه قبل هذه الفاتورة
             if (currentInvoice && currentInvoice.id) {
                 try {
-                    // المتبقي في قاعدة البيانات محفوظ بالجنيه المصري مباشرة
+                    // المتبقي يصل من قاعدة البيانات بالجنيه المصري
                     const oldInvoiceRemaining = parseFloat(currentInvoice.remaining || 0);
-                    oldBalance = oldBalance + oldInvoiceRemaining;
+                    oldBalance = Money.add(oldBalance, oldInvoiceRemaining);
                     console.log('[Sales] calculateTotals - Editing invoice: Added back old invoice remaining to get balance before this invoice:', {
                         currentBalance: parseFloat(customer.balance || 0),
                         oldInvoiceRemaining,
@@ -2065,7 +2032,7 @@ async function calculateTotals() {
             // الرصيد الجديد = الرصيد القديم + المتبقي (remaining)
             // المتبقي = الإجمالي - المدفوع
             // إذن: الرصيد الجديد = الرصيد القديم + (الإجمالي - المدفوع)
-            const newBalance = oldBalance + remaining;
+            const newBalance = Money.add(oldBalance, remaining);
             
             console.log('[Sales] calculateTotals - Balance calculation:', {
                 oldBalance,
@@ -2214,13 +2181,13 @@ async function handleFormSubmit(e) {
     let subtotal = 0;
     
     if (invoiceProducts.length > 0) {
-        subtotal = invoiceProducts.reduce((sum, p) => sum + p.total, 0);
+        subtotal = Money.sum(invoiceProducts, p => p.total);
     }
     const taxRate = parseFloat(document.getElementById('taxRate').value) || 0;
-    const taxAmount = (subtotal * taxRate) / 100;
+    const taxAmount = Money.percent(subtotal, taxRate);
     const shipping = parseFloat(document.getElementById('shipping').value) || 0;
-    const total = subtotal + taxAmount + shipping - discount;
-    const remaining = total - paid;
+    const total = Money.subtract(Money.add(subtotal, taxAmount, shipping), discount);
+    const remaining = Money.subtract(total, paid);
 
     const invoiceId = currentInvoice ? currentInvoice.id : Date.now().toString();
     
@@ -2306,7 +2273,7 @@ async function handleFormSubmit(e) {
     // عند تعديل فاتورة موجودة: إضافة المتبقي القديم للفاتورة لإرجاع الرصيد إلى ما كان عليه قبل هذه الفاتورة
     if (currentInvoice && currentInvoice.id && currentInvoice.customerId === customerId) {
         const oldInvoiceRemaining = parseFloat(currentInvoice.remaining || 0);
-        calculatedOldBalance = calculatedOldBalance + oldInvoiceRemaining;
+        calculatedOldBalance = Money.add(calculatedOldBalance, oldInvoiceRemaining);
         console.log('[Sales] handleFormSubmit - Editing invoice: Added back old invoice remaining to get balance before this invoice:', {
             currentBalance: parseFloat(customerForBalance.balance || 0),
             oldInvoiceRemaining,
@@ -2314,20 +2281,20 @@ async function handleFormSubmit(e) {
         });
     }
     
-    // الرصيد يُحفظ بالجنيه المصري مباشرة في قاعدة البيانات
+    // المبالغ هنا بالجنيه المصري، وقاعدة البيانات تحولها إلى قروش عند الحفظ
     // الرصيد القديم يُحفظ في عمود oldBalance في جدول sales_invoices
     oldBalanceToSave = calculatedOldBalance;
     
     // حساب القديم + الإجمالي (oldBalance + total)
-    const oldBalancePlusTotal = oldBalanceToSave + total;
+    const oldBalancePlusTotal = Money.add(oldBalanceToSave, total);
     
     // حساب الرصيد الجديد (oldBalance + remaining)
     // الرصيد الجديد = الرصيد القديم + المتبقي
-    const newBalanceToSave = oldBalanceToSave + remaining;
+    const newBalanceToSave = Money.add(oldBalanceToSave, remaining);
     
     // حساب المتبقي من الفاتورة والرصيد القديم (oldBalance + remaining)
     // هذه القيمة = newBalance (لكن نحفظها كعمود منفصل للوضوح)
-    const remainingWithOldBalanceToSave = oldBalanceToSave + remaining;
+    const remainingWithOldBalanceToSave = Money.add(oldBalanceToSave, remaining);
     
     console.log('[Sales] handleFormSubmit - Balance calculations to save in invoice:', {
         calculatedOldBalance,
@@ -2381,163 +2348,65 @@ async function handleFormSubmit(e) {
         updatedAt: new Date().toISOString()
     };
 
-        // Save to database first
-        if (window.electronAPI && window.electronAPI.dbInsert && window.electronAPI.dbUpdate) {
-            // Prepare invoice data for database (without products array)
-            const invoiceDbData = { ...invoiceData };
-            delete invoiceDbData.products;
-            
-            // Get old invoice items before deletion (for updating delivery note quantities)
-            let oldInvoiceItems = [];
-            if (currentInvoice) {
-                oldInvoiceItems = await window.electronAPI.dbGetAll('sales_invoice_items', 'invoiceId = ?', [invoiceId]);
-            }
-            
-            if (currentInvoice) {
-                // Update existing invoice in database
-                // dbUpdate expects (table, id, data)
-                const updateResult = await window.electronAPI.dbUpdate('sales_invoices', invoiceId, invoiceDbData);
-                
-                // Check if update was successful
-                // updateResult from better-sqlite3 is {changes: number}
-                // In case of error, it returns {success: false, error: ...}
-                if (updateResult && updateResult.success === false) {
-                    const errorMsg = updateResult.error || 'فشل تحديث الفاتورة في قاعدة البيانات';
-                    console.error('Failed to update invoice:', updateResult);
-                    throw new Error(errorMsg);
-                }
-                if (!updateResult || (updateResult.changes === undefined)) {
-                    console.error('Invalid update result:', updateResult);
-                    throw new Error('فشل تحديث الفاتورة في قاعدة البيانات: نتيجة غير صحيحة');
-                }
-                
-                
-                // Delete old invoice items
-                if (window.electronAPI && window.electronAPI.dbQuery) {
-                    await window.electronAPI.dbQuery('DELETE FROM sales_invoice_items WHERE invoiceId = ?', [invoiceId]);
-                } else {
-                    // Fallback: get all items and delete one by one
-                    for (const item of oldInvoiceItems) {
-                        await window.electronAPI.dbDelete('sales_invoice_items', item.id);
-                    }
-                }
+        // Post the invoice in the main process: header, items, product stock and
+        // customer balance are applied in one transaction, so nothing is half-applied
+        if (!window.electronAPI || !window.electronAPI.salesInvoicePost) {
+            throw new Error('واجهة حفظ الفواتير غير متاحة');
+        }
+        
+        // Prepare invoice data for database (without products array)
+        const invoiceDbData = { ...invoiceData };
+        delete invoiceDbData.products;
+        // Edits are rejected if the invoice was saved elsewhere after it was opened
+        invoiceDbData.expectedUpdatedAt = currentInvoice && currentInvoice.id ? currentInvoice.updatedAt || null : null;
+        
+        // Add createdBy to track who created this invoice
+        if (!currentInvoice && !invoiceDbData.createdBy) {
+            if (typeof addCreatedBy === 'function') {
+                addCreatedBy(invoiceDbData);
             } else {
-                // Insert new invoice in database
-                // Add createdBy to track who created this invoice
-                if (!invoiceDbData.createdBy) {
-                    if (typeof addCreatedBy === 'function') {
-                        addCreatedBy(invoiceDbData);
-                    } else {
-                        const currentUser = localStorage.getItem('asel_user') || localStorage.getItem('asel_userId') || '';
-                        if (currentUser) {
-                            invoiceDbData.createdBy = currentUser;
-                        }
-                    }
-                }
-                
-                const insertResult = await window.electronAPI.dbInsert('sales_invoices', invoiceDbData);
-                
-                // Check if insert was successful
-                // insertResult from better-sqlite3 is {changes: number, lastInsertRowid: number}
-                // In case of error, it returns {success: false, error: ...}
-                if (insertResult && insertResult.success === false) {
-                    const errorMsg = insertResult.error || 'فشل حفظ الفاتورة في قاعدة البيانات';
-                    console.error('Failed to insert invoice:', insertResult);
-                    throw new Error(errorMsg);
-                }
-                if (!insertResult || (insertResult.changes === undefined && insertResult.lastInsertRowid === undefined)) {
-                    console.error('Invalid insert result:', insertResult);
-                    throw new Error('فشل حفظ الفاتورة في قاعدة البيانات: نتيجة غير صحيحة');
-                }
-            }
-            
-            // Save invoice items and update delivery note quantities
-            for (const product of invoiceProducts) {
-                const itemData = {
-                    id: Date.now().toString() + '-' + Math.random().toString(36).substr(2, 9),
-                    invoiceId: invoiceId,
-                    productId: product.productId,
-                    productName: product.productName || product.name || '',
-                    quantity: product.quantity || 0,
-                    unit: product.unit || product.unitName || '',
-                    price: product.price || 0,
-                    total: product.total || 0
-                };
-                const itemInsertResult = await window.electronAPI.dbInsert('sales_invoice_items', itemData);
-                // Check if insert was successful
-                // itemInsertResult from better-sqlite3 is {changes: number, lastInsertRowid: number}
-                // In case of error, it returns {success: false, error: ...}
-                if (itemInsertResult && itemInsertResult.success === false) {
-                    console.error('Failed to insert invoice item:', itemInsertResult);
-                    throw new Error(`فشل حفظ منتج في الفاتورة: ${itemInsertResult.error || 'خطأ غير معروف'}`);
-                }
-                if (!itemInsertResult || (itemInsertResult.changes === undefined && itemInsertResult.lastInsertRowid === undefined)) {
-                    console.error('Invalid item insert result:', itemInsertResult);
-                    throw new Error(`فشل حفظ منتج في الفاتورة: نتيجة غير صحيحة`);
+                const currentUser = localStorage.getItem('asel_user') || localStorage.getItem('asel_userId') || '';
+                if (currentUser) {
+                    invoiceDbData.createdBy = currentUser;
                 }
-                
             }
         }
         
-        // Wait a moment to ensure database commits
-        await new Promise(resolve => setTimeout(resolve, 200));
+        const invoiceItemsData = invoiceProducts.map(product => ({
+            productId: product.productId,
+            productName: product.productName || product.name || '',
+            unit: product.unit || product.unitName || '',
+            quantity: product.quantity || 0,
+            price: product.price || 0
+        }));
         
-        // Update customer balance directly after saving invoice
-        // If customer was changed, update balance for old customer first (subtract old invoice remaining)
-        if (currentInvoice && currentInvoice.customerId && currentInvoice.customerId !== customerId) {
-            const oldCustomerId = currentInvoice.customerId;
-            console.log(`[Sales] Customer changed from ${oldCustomerId} to ${customerId}. Updating old customer balance...`);
-            try {
-                const oldCustomer = await window.electronAPI.dbGet('customers', oldCustomerId);
-                if (oldCustomer) {
-                    const oldInvoiceRemaining = parseFloat(currentInvoice.remaining || 0);
-                    const newOldCustomerBalance = Math.max(0, (parseFloat(oldCustomer.balance || 0) - oldInvoiceRemaining));
-                    await window.electronAPI.dbUpdate('customers', oldCustomerId, {
-                        ...oldCustomer,
-                        balance: newOldCustomerBalance,
-                        updatedAt: new Date().toISOString()
-                    });
-                }
-            } catch (error) {
-                console.error('[Sales] Error updating old customer balance:', error);
-                // Continue even if update fails
-            }
+        const postResult = await window.electronAPI.salesInvoicePost(invoiceDbData, invoiceItemsData);
+        if (postResult && postResult.conflict) {
+            await resolveInvoiceEditConflict(invoiceData, postResult);
+            return;
+        }
+        if (!postResult || postResult.success === false) {
+            console.error('Failed to post invoice:', postResult);
+            const postError = new Error((postResult && postResult.error) || 'فشل حفظ الفاتورة في قاعدة البيانات');
+            postError.validationErrors = postResult ? postResult.validationErrors : null;
+            throw postError;
         }
         
-        // Update customer balance directly: currentBalance + newRemaining - oldRemaining (if editing)
-        try {
-            const customer = await window.electronAPI.dbGet('customers', customerId);
-            if (customer) {
-                const currentBalance = parseFloat(customer.balance || 0);
-                const newRemaining = parseFloat(remaining || 0);
-                let newBalance = currentBalance;
-                
-                if (currentInvoice && currentInvoice.id && currentInvoice.customerId === customerId) {
-                    // Editing existing invoice: subtract old remaining, add new remaining
-                    const oldRemaining = parseFloat(currentInvoice.remaining || 0);
-                    newBalance = currentBalance - oldRemaining + newRemaining;
-                } else {
-                    // New invoice: add remaining
-                    newBalance = currentBalance + newRemaining;
-                }
-                
-                await window.electronAPI.dbUpdate('customers', customerId, {
-                    ...customer,
-                    balance: newBalance,
-                    lastTransactionDate: new Date().toISOString(),
-                    updatedAt: new Date().toISOString()
-                });
-                
-                console.log('[Sales] Customer balance updated directly:', {
-                    customerId,
-                    oldBalance: currentBalance,
-                    newBalance,
-                    invoiceRemaining: newRemaining
-                });
+        // Use the totals and balance snapshot calculated by the main process
+        const { items: savedItems, ...savedInvoice } = postResult.invoice;
+        Object.assign(invoiceData, savedInvoice);
+        
+        // Refresh local customers (new customer and, if changed, the old one)
+        const affectedCustomerIds = [customerId];
+        if (currentInvoice && currentInvoice.customerId && currentInvoice.customerId !== customerId) {
+            affectedCustomerIds.push(currentInvoice.customerId);
+        }
+        for (const affectedCustomerId of affectedCustomerIds) {
+            const dbCustomer = await window.electronAPI.dbGet('customers', affectedCustomerId);
+            const localCustomer = customers.find(c => c.id === affectedCustomerId);
+            if (dbCustomer && localCustomer) {
+                Object.assign(localCustomer, dbCustomer);
             }
-        } catch (error) {
-            console.error('[Sales] Error updating customer balance:', error);
-            // Continue even if update fails - balance will be updated on next load
         }
         
         // Update local array
@@ -2606,62 +2475,19 @@ async function handleFormSubmit(e) {
         
         applyFilters(); // Use applyFilters instead of renderInvoices
         
-        // Update first transaction date for new invoices
-        if (!currentInvoice) {
-            await updateCustomerFirstTransactionDate(customerId);
-        }
-        
-        // Update product stock for any invoice (pending or delivered)
-        // IMPORTANT: For edits, we need to revert old stock first, then apply new stock
-        console.log('[Sales] Invoice status:', status, 'invoiceId:', invoiceId);
-        console.log('[Sales] Updating product stock for invoice:', invoiceId);
-        console.log('[Sales] Invoice products count:', invoiceProducts.length);
-        console.log('[Sales] Is edit mode:', !!currentInvoice);
-        
-        // Always revert old stock first if editing (before deleting old items from database)
-        const isEdit = !!currentInvoice;
-        if (isEdit && window.electronAPI && window.electronAPI.dbGetAll) {
-            try {
-                console.log('[Sales] Reverting old stock changes BEFORE applying new changes');
-                
-                // Get old invoice to check if it was linked to a delivery note
-                let oldInvoice = null;
-                if (window.electronAPI && window.electronAPI.dbGet) {
-                    oldInvoice = await window.electronAPI.dbGet('sales_invoices', invoiceId);
-                }
-                
-                // Get old invoice items BEFORE they are deleted
-                const oldItems = await window.electronAPI.dbGetAll('sales_invoice_items', 'invoiceId = ?', [invoiceId]);
-                console.log('[Sales] Found old items to revert:', oldItems.length);
-                
-                // Revert stock changes for ALL old items
-                for (const oldItem of oldItems) {
-                    const oldProduct = await window.electronAPI.dbGet('products', oldItem.productId);
-                    if (oldProduct) {
-                        // Restore old stock (add back what was subtracted)
-                        let quantityToAdd = oldItem.quantity || 0;
-                        if (oldItem.unit === 'largest') {
-                            const conversionFactor = oldProduct.conversionFactor || 1;
-                            quantityToAdd = oldItem.quantity * conversionFactor;
-                        }
-                        
-                        const currentStock = parseFloat(oldProduct.stock) || 0;
-                        oldProduct.stock = currentStock + quantityToAdd;
-                        oldProduct.updatedAt = new Date().toISOString();
-                        await window.electronAPI.dbUpdate('products', oldProduct.id, oldProduct);
-                    }
-                }
-            } catch (error) {
-                console.error('[Sales] Error reverting old stock:', error);
+        // Refresh local product stock (stock was updated by the main process)
+        // Includes products removed from an edited invoice (their stock was restored)
+        const affectedProductIds = new Set(savedItems.map(item => item.productId));
+        ((currentInvoice && currentInvoice.products) || []).forEach(p => affectedProductIds.add(p.productId));
+        for (const productId of affectedProductIds) {
+            const dbProduct = await window.electronAPI.dbGet('products', productId);
+            const localProduct = products.find(p => p.id === productId);
+            if (dbProduct && localProduct) {
+                localProduct.stock = dbProduct.stock;
+                localProduct.lastSaleDate = dbProduct.lastSaleDate;
             }
         }
         
-        // Now apply new stock changes
-        await updateProductStockFromInvoice(invoiceProducts, invoiceId);
-        
-        // Wait a small delay to ensure database updates are committed
-        await new Promise(resolve => setTimeout(resolve, 100));
-        
         // Dispatch event to notify products screen - send for ALL products to ensure full refresh
         const uniqueProductIds = [...new Set(invoiceProducts.map(p => p.productId))];
         uniqueProductIds.forEach(productId => {
@@ -2735,6 +2561,51 @@ async function handleFormSubmit(e) {
     }
 }
 
+// Save rejected because the invoice was changed elsewhere: save my version, reload or cancel
+async function resolveInvoiceEditConflict(invoiceData, conflictResult) {
+    const invoiceId = invoiceData.id;
+    const withCustomerName = (invoice) => {
+        if (!invoice) return invoice;
+        const customer = customers.find(c => c.id === invoice.customerId);
+        return { ...invoice, customerName: customer ? customer.name : invoice.customerId };
+    };
+
+    const resolution = await showConflictDialog({
+        title: 'تم تعديل الفاتورة من مكان آخر',
+        base: withCustomerName(currentInvoice),
+        mine: withCustomerName(invoiceData),
+        theirs: withCustomerName(conflictResult.current),
+        fields: SALES_INVOICE_CONFLICT_FIELDS,
+        allowMerge: false,
+        deleted: conflictResult.deleted
+    });
+
+    if (conflictResult.deleted) {
+        if (resolution.action !== 'cancel') {
+            invoices = invoices.filter(inv => inv.id !== invoiceId);
+            applyFilters();
+            closeModal();
+        }
+        return;
+    }
+
+    if (resolution.action === 'reload') {
+        // Replace the local copy so editInvoice reloads header and items
+        const { items, ...savedInvoice } = conflictResult.current;
+        const localInvoice = invoices.find(inv => inv.id === invoiceId);
+        if (localInvoice) {
+            Object.keys(localInvoice).forEach(key => delete localInvoice[key]);
+            Object.assign(localInvoice, savedInvoice);
+        }
+        await editInvoice(invoiceId);
+        applyFilters();
+    } else if (resolution.action === 'merge') {
+        // Save the form again on top of the current copy (after this submit has finished)
+        currentInvoice.updatedAt = conflictResult.current.updatedAt;
+        setTimeout(() => document.getElementById('invoiceForm').requestSubmit(), 0);
+    }
+}
+
 // Update Customer First Transaction Date
 async function updateCustomerFirstTransactionDate(customerId) {
     if (!window.electronAPI || !window.electronAPI.dbGet || !window.electronAPI.dbUpdate) return;
@@ -2819,10 +2690,7 @@ async function recalculateCustomerBalance(customerId) {
     }
     
     // Calculate: sum of all remaining amounts from all invoices (all invoices are included in balance)
-    let totalRemaining = 0;
-    customerInvoices.forEach(invoice => {
-        totalRemaining += (invoice.remaining || 0);
-    });
+    const totalRemaining = Money.sum(customerInvoices, invoice => invoice.remaining || 0);
     
     // Get all receipts for this customer from database
     let customerReceipts = [];
@@ -2836,10 +2704,7 @@ async function recalculateCustomerBalance(customerId) {
     }
     
     // Calculate: sum of all receipt amounts (receipts reduce customer debt)
-    let totalReceipts = 0;
-    customerReceipts.forEach(receipt => {
-        totalReceipts += (receipt.amount || 0);
-    });
+    const totalReceipts = Money.sum(customerReceipts, receipt => receipt.amount || 0);
     
     // Get all returns from customers (returns reduce customer debt)
     let customerReturns = [];
@@ -2857,10 +2722,7 @@ async function recalculateCustomerBalance(customerId) {
     }
     
     // Calculate: sum of all return amounts (returns reduce customer debt)
-    let totalReturns = 0;
-    customerReturns.forEach(ret => {
-        totalReturns += (ret.totalAmount || 0);
-    });
+    const totalReturns = Money.sum(customerReturns, ret => ret.totalAmount || 0);
     
     // Get current balance (should not recalculate - balance is updated directly by transactions)
     // This function is kept for backward compatibility but should not be used for normal operations
@@ -2903,62 +2765,6 @@ async function recalculateCustomerBalance(customerId) {
     }
 }
 
-// Update Product Stock from Invoice
-async function updateProductStockFromInvoice(invoiceProducts, invoiceId) {
-    try {
-        // Note: Reverting old stock is now done BEFORE this function is called
-        // (in handleFormSubmit before deleting old items from database)
-        
-        // Apply new stock changes
-        for (const invoiceProduct of invoiceProducts) {
-            // Get product from database
-            let product = null;
-            if (window.electronAPI && window.electronAPI.dbGet) {
-                product = await window.electronAPI.dbGet('products', invoiceProduct.productId);
-            }
-            
-            if (!product) {
-                console.error('[Sales] Product not found:', invoiceProduct.productId);
-                continue;
-            }
-            
-            // Calculate quantity to subtract in smallest unit
-            let quantityToSubtract = invoiceProduct.quantityInSmallestUnit || invoiceProduct.quantity;
-            
-            // If unit is largest, convert to smallest
-            if (invoiceProduct.unit === 'largest') {
-                const conversionFactor = product.conversionFactor || 1;
-                quantityToSubtract = invoiceProduct.quantity * conversionFactor;
-            }
-            
-            // Update stock
-            const currentStock = parseFloat(product.stock) || 0;
-            const newStock = Math.max(0, currentStock - quantityToSubtract);
-            
-            product.stock = newStock;
-            product.lastSaleDate = new Date().toISOString();
-            product.updatedAt = new Date().toISOString();
-            
-            // Update product in database
-            if (window.electronAPI && window.electronAPI.dbUpdate) {
-                await window.electronAPI.dbUpdate('products', product.id, product);
-            } else {
-                console.error('[Sales] electronAPI or dbUpdate not available!');
-            }
-            
-            // Update in local array too
-            const localProduct = products.find(p => p.id === product.id);
-            if (localProduct) {
-                localProduct.stock = newStock;
-                localProduct.lastSaleDate = product.lastSaleDate;
-            }
-        }
-    } catch (error) {
-        console.error('[Sales] Error updating product stock:', error);
-        console.error('[Sales] Error details:', error.message, error.stack);
-    }
-}
-
 // Update Customer Balance (deprecated - use recalculateCustomerBalance instead)
 function updateCustomerBalance(customerId, amount) {
     // This function is kept for backward compatibility but recalculateCustomerBalance should be used
@@ -3422,6 +3228,21 @@ async function editInvoice(invoiceId) {
         return;
     }
     
+    // Start from the saved copy: its updatedAt is what the save is checked against
+    if (window.electronAPI && window.electronAPI.dbGet) {
+        try {
+            const savedInvoice = await window.electronAPI.dbGet('sales_invoices', invoiceId);
+            if (savedInvoice) {
+                if (savedInvoice.updatedAt !== invoice.updatedAt) {
+                    invoice.products = null; // Items may have changed too
+                }
+                Object.assign(invoice, savedInvoice);
+            }
+        } catch (error) {
+            console.error('Error loading invoice for edit:', error);
+        }
+    }
+    
     currentInvoice = invoice;
     
     // Lazy load invoice items if not already loaded
@@ -3925,10 +3746,10 @@ async function printInvoice() {
         const taxRate = parseFloat(document.getElementById('taxRate').value) || 0;
         const deliveryNoteId = document.getElementById('deliveryNoteSelect')?.value || null;
         
-        const subtotal = invoiceProducts.reduce((sum, p) => sum + p.total, 0);
-        const taxAmount = (subtotal * taxRate) / 100;
-        const total = subtotal + taxAmount + shipping - discount;
-        const remaining = total - paid;
+        const subtotal = Money.sum(invoiceProducts, p => p.total);
+        const taxAmount = Money.percent(subtotal, taxRate);
+        const total = Money.subtract(Money.add(subtotal, taxAmount, shipping), discount);
+        const remaining = Money.subtract(total, paid);
         
         // Generate temporary invoice number if not exists
         const invoiceNumber = currentInvoice?.invoiceNumber || `TEMP-${Date.now()}`;
@@ -4271,10 +4092,10 @@ async function generatePrintContent(invoice, customer, isForPrint = true, custom
         } else {
             // Fallback: إذا لم تكن القيم موجودة (للحوافظ القديمة)
             // Calculate old balance: current balance - current invoice remaining
-            oldBalance = (customer.balance || 0) - (invoice.remaining || 0);
-            oldBalancePlusTotal = oldBalance + invoiceTotal;
-            newBalance = oldBalance + invoiceRemaining;
-            remainingWithOldBalance = oldBalance + invoiceRemaining;
+            oldBalance = Money.subtract(customer.balance || 0, invoice.remaining || 0);
+            oldBalancePlusTotal = Money.add(oldBalance, invoiceTotal);
+            newBalance = Money.add(oldBalance, invoiceRemaining);
+            remainingWithOldBalance = Money.add(oldBalance, invoiceRemaining);
             
             console.warn('[generatePrintContent] Balance values not found in database, using fallback calculation:', {
                 oldBalance,
@@ -6948,7 +6769,7 @@ async function deleteInvoice(invoiceId) {
     // For pending invoices, proceed with deletion
     // Use custom confirmation dialog instead of confirm()
     showConfirmDialog(
-        'هل أنت متأكد من حذف هذه الفاتورة؟\n\nسيتم حذف الفاتورة نهائياً وإعادة المخزون للمنتجات.',
+        'هل أنت متأكد من حذف هذه الفاتورة؟\n\nسيتم نقل الفاتورة إلى سلة المحذوفات وإعادة المخزون للمنتجات.',
         () => {
             // User confirmed - proceed with deletion
             console.log('✅ User confirmed deletion');
@@ -6977,104 +6798,31 @@ async function proceedWithInvoiceDeletion(invoiceId) {
             return;
         }
         
-        // Always load invoice items from database to ensure we have the latest data
-        // This is important because products array in memory may not be up to date
-        if (window.electronAPI && window.electronAPI.dbGetAll) {
-            const invoiceItems = await window.electronAPI.dbGetAll('sales_invoice_items', 'invoiceId = ?', [invoiceId]);
-            invoice.products = [];
-            for (const item of invoiceItems) {
-                // Get product to calculate conversion factor
-                const product = await window.electronAPI.dbGet('products', item.productId);
-                let quantityInSmallestUnit = item.quantity || 0;
-                
-                // If unit was largest, convert to smallest
-                if (item.unit === 'largest' && product) {
-                    const conversionFactor = product.conversionFactor || 1;
-                    quantityInSmallestUnit = item.quantity * conversionFactor;
-                }
-                
-                invoice.products.push({
-                    productId: item.productId,
-                    productName: item.productName,
-                    quantity: item.quantity || 0,
-                    unit: item.unit || '',
-                    quantityInSmallestUnit: quantityInSmallestUnit
-                });
-            }
-        } else if (!invoice.products || invoice.products.length === 0) {
-            // Fallback: if no products loaded and no database access, show error
-            showMessage('لا يمكن تحميل منتجات الفاتورة', 'error');
-            return;
-        }
-        
         console.log('[Sales] Deleting invoice:', invoiceId);
-        console.log('[Sales] Invoice status:', invoice.status);
-        console.log('[Sales] Invoice customerId:', invoice.customerId);
-        console.log('[Sales] Invoice products count:', invoice.products ? invoice.products.length : 0);
-        
-        // Restore stock directly (no delivery note anymore)
-        if (invoice.products && invoice.products.length > 0) {
-            console.log('[Sales] Restoring stock directly...');
-            for (const invoiceProduct of invoice.products) {
-                // Get product from database
-                let product = null;
-                if (window.electronAPI && window.electronAPI.dbGet) {
-                    product = await window.electronAPI.dbGet('products', invoiceProduct.productId);
-                }
-                
-                if (product) {
-                    // Calculate quantity to add back in smallest unit
-                    let quantityToAdd = invoiceProduct.quantityInSmallestUnit || invoiceProduct.quantity;
-                    
-                    // If unit is largest, convert to smallest
-                    if (invoiceProduct.unit === 'largest') {
-                        const conversionFactor = product.conversionFactor || 1;
-                        quantityToAdd = invoiceProduct.quantity * conversionFactor;
-                    }
-                    
-                    // Restore stock
-                    const currentStock = parseFloat(product.stock) || 0;
-                    const newStock = currentStock + quantityToAdd;
-                    
-                    product.stock = newStock;
-                    product.updatedAt = new Date().toISOString();
-                    
-                    // Update product in database
-                    if (window.electronAPI && window.electronAPI.dbUpdate) {
-                        await window.electronAPI.dbUpdate('products', product.id, product);
-                        console.log(`[Sales] Restored product ${product.name} stock: ${currentStock} -> ${newStock} (+${quantityToAdd})`);
-                    }
-                    
-                    // Update in local array too
-                    const localProduct = products.find(p => p.id === product.id);
-                    if (localProduct) {
-                        localProduct.stock = newStock;
-                    }
-                }
-            }
-        }
         
-        // Delete invoice items from database first (foreign key constraint)
-        if (window.electronAPI && window.electronAPI.dbQuery) {
-            await window.electronAPI.dbQuery('DELETE FROM sales_invoice_items WHERE invoiceId = ?', [invoiceId]);
-        } else if (window.electronAPI && window.electronAPI.dbGetAll && window.electronAPI.dbDelete) {
-            const invoiceItems = await window.electronAPI.dbGetAll('sales_invoice_items', 'invoiceId = ?', [invoiceId]);
-            for (const item of invoiceItems) {
-                await window.electronAPI.dbDelete('sales_invoice_items', item.id);
-            }
+        // Move the invoice and its items to the recycle bin
+        // (stock and customer balance are reverted in the main process)
+        const deleteResult = await window.electronAPI.recycleBinDelete('sales_invoices', invoiceId);
+        if (!deleteResult || deleteResult.success === false) {
+            throw new Error((deleteResult && deleteResult.error) || 'خطأ غير معروف');
         }
         
-        // Delete invoice from database
-        if (window.electronAPI && window.electronAPI.dbDelete) {
-            await window.electronAPI.dbDelete('sales_invoices', invoiceId);
-        }
+        // Update stock in local array too
+        const affectedProducts = deleteResult.products || [];
+        affectedProducts.forEach(dbProduct => {
+            const localProduct = products.find(p => p.id === dbProduct.id);
+            if (localProduct) {
+                localProduct.stock = dbProduct.stock;
+            }
+        });
         
-        // Recalculate customer balance AFTER invoice deletion (for both pending and delivered)
-        // Pending invoices are also included in customer balance, so we need to recalculate
-        // IMPORTANT: Do this AFTER deleting from database so the invoice is not included in the calculation
+        // Refresh the local customer (its balance was reverted in the main process)
         if (invoice.customerId) {
-            console.log('[Sales] Recalculating customer balance after invoice deletion...');
-            await recalculateCustomerBalance(invoice.customerId);
+            const dbCustomer = await window.electronAPI.dbGet('customers', invoice.customerId);
+            const localCustomer = customers.find(c => c.id === invoice.customerId);
+            if (dbCustomer && localCustomer) {
+                Object.assign(localCustomer, dbCustomer);
+            }
         }
         
         // Remove from local array
@@ -7087,11 +6835,10 @@ async function proceedWithInvoiceDeletion(invoiceId) {
         applyFilters();
         
         // Dispatch events to update other screens
-        if (invoice.products && invoice.products.length > 0) {
-            const uniqueProductIds = [...new Set(invoice.products.map(p => p.productId))];
-            uniqueProductIds.forEach(productId => {
+        if (affectedProducts.length > 0) {
+            affectedProducts.forEach(dbProduct => {
                 window.dispatchEvent(new CustomEvent('productStockUpdated', { 
-                    detail: { productId: productId },
+                    detail: { productId: dbProduct.id },
                     bubbles: true,
                     cancelable: true
                 }));
@@ -8,6 +8,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         await loadCompanyInfo();
         initializeEventListeners();
         populateForm();
+        await loadSchemaStatus();
+        await loadLanSettings();
     } catch (error) {
         console.error('[Settings] Error during initialization:', error);
     }
@@ -64,43 +66,6 @@ function initializeEventListeners() {
 async function loadCompanyInfo() {
     try {
         if (window.electronAPI && window.electronAPI.dbGet) {
-            // First, ensure columns exist in database (for existing databases)
-            try {
-                await window.electronAPI.dbQuery('ALTER TABLE company_info ADD COLUMN warehouseKeeperName TEXT', []);
-            } catch (e) {
-                // Column already exists, ignore
-            }
-            try {
-                await window.electronAPI.dbQuery('ALTER TABLE company_info ADD COLUMN warehouseKeeperPhone TEXT', []);
-            } catch (e) {
-                // Column already exists, ignore
-            }
-            try {
-                await window.electronAPI.dbQuery('ALTER TABLE company_info ADD COLUMN marketingWhatsApp TEXT', []);
-            } catch (e) {
-                // Column already exists, ignore
-            }
-            try {
-                await window.electronAPI.dbQuery('ALTER TABLE company_info ADD COLUMN marketingMobile TEXT', []);
-            } catch (e) {
-                // Column already exists, ignore
-            }
-            try {
-                await window.electronAPI.dbQuery('ALTER TABLE company_info ADD COLUMN marketingWorkingHours TEXT', []);
-            } catch (e) {
-                // Column already exists, ignore
-            }
-            try {
-                await window.electronAPI.dbQuery('ALTER TABLE company_info ADD COLUMN managerName TEXT', []);
-            } catch (e) {
-                // Column already exists, ignore
-            }
-            try {
-                await window.electronAPI.dbQuery('ALTER TABLE company_info ADD COLUMN managerMobile TEXT', []);
-            } catch (e) {
-                // Column already exists, ignore
-            }
-            
             companyInfo = await window.electronAPI.dbGet('company_info', 'company_001');
             
             if (!companyInfo || companyInfo === null) {
@@ -340,33 +305,6 @@ async function handleFormSubmit(e) {
 
     try {
         if (window.electronAPI && window.electronAPI.dbUpdate) {
-            // First, ensure columns exist in database (for existing databases)
-            try {
-                await window.electronAPI.dbQuery('ALTER TABLE company_info ADD COLUMN warehouseKeeperName TEXT', []);
-            } catch (e) {
-                // Column already exists, ignore
-            }
-            try {
-                await window.electronAPI.dbQuery('ALTER TABLE company_info ADD COLUMN warehouseKeeperPhone TEXT', []);
-            } catch (e) {
-                // Column already exists, ignore
-            }
-            try {
-                await window.electronAPI.dbQuery('ALTER TABLE company_info ADD COLUMN marketingWhatsApp TEXT', []);
-            } catch (e) {
-                // Column already exists, ignore
-            }
-            try {
-                await window.electronAPI.dbQuery('ALTER TABLE company_info ADD COLUMN marketingMobile TEXT', []);
-            } catch (e) {
-                // Column already exists, ignore
-            }
-            try {
-                await window.electronAPI.dbQuery('ALTER TABLE company_info ADD COLUMN marketingWorkingHours TEXT', []);
-            } catch (e) {
-                // Column already exists, ignore
-            }
-            
             // First check if record exists
             const existing = await window.electronAPI.dbGet('company_info', 'company_001');
             
@@ -606,6 +544,194 @@ function showToastNextToButton(message, type = 'success') {
     }, duration);
 }
 
+// Load Schema Version and Migration History
+async function loadSchemaStatus() {
+    const tbody = document.getElementById('schemaHistoryBody');
+    if (!tbody || !window.electronAPI || !window.electronAPI.schemaGetStatus) {
+        return;
+    }
+
+    try {
+        const status = await window.electronAPI.schemaGetStatus();
+        if (!status || !status.success) {
+            tbody.innerHTML = `<tr><td colspan="5" class="empty-state">تعذر تحميل سجل الترحيلات${status && status.error ? ': ' + status.error : ''}</td></tr>`;
+            return;
+        }
+        renderSchemaStatus(status);
+    } catch (error) {
+        console.error('[Settings] Error loading schema status:', error);
+        tbody.innerHTML = '<tr><td colspan="5" class="empty-state">تعذر تحميل سجل الترحيلات</td></tr>';
+    }
+}
+
+// Render Schema Version and Migration History
+function renderSchemaStatus(status) {
+    document.getElementById('schemaCurrentVersion').textContent = status.currentVersion;
+    document.getElementById('schemaLatestVersion').textContent = status.latestVersion;
+    document.getElementById('schemaPendingCount').textContent = status.pending.length;
+
+    const errorBox = document.getElementById('schemaMigrationError');
+    if (errorBox) {
+        if (status.lastError) {
+            const failed = status.lastError.version ? `الترحيل رقم ${status.lastError.version} (${status.lastError.name})` : 'ترحيلات قاعدة البيانات';
+            const backupNote = status.lastError.backupPath ? `<br>النسخة الاحتياطية قبل الترحيل: <span dir="ltr">${status.lastError.backupPath}</span>` : '';
+            errorBox.innerHTML = `⚠️ فشل تطبيق ${failed}: ${status.lastError.error}${backupNote}`;
+            errorBox.style.display = 'block';
+        } else {
+            errorBox.style.display = 'none';
+        }
+    }
+
+    const tbody = document.getElementById('schemaHistoryBody');
+    tbody.innerHTML = '';
+
+    // Pending migrations first (newest version on top), then the applied history
+    [...status.pending].reverse().forEach(migration => {
+        const row = document.createElement('tr');
+        row.className = 'pending-row';
+        row.innerHTML = `
+            <td>${migration.version}</td>
+            <td>${migration.description || ''}<div class="migration-name">${migration.name}</div></td>
+            <td>معلق</td>
+            <td>-</td>
+            <td>-</td>
+        `;
+        tbody.appendChild(row);
+    });
+
+    status.history.forEach(migration => {
+        const appliedAt = new Date(migration.appliedAt).toLocaleDateString('ar-EG', {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${migration.version}</td>
+            <td>${migration.description || ''}<div class="migration-name">${migration.name}</div></td>
+            <td>${appliedAt}</td>
+            <td>${migration.durationMs !== null && migration.durationMs !== undefined ? migration.durationMs + ' ms' : '-'}</td>
+            <td class="backup-path">${migration.backupPath || '-'}</td>
+        `;
+        tbody.appendChild(row);
+    });
+
+    if (status.pending.length === 0 && status.history.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="empty-state">لا توجد ترحيلات</td></tr>';
+    }
+}
+
+// Load LAN Mode Settings (shown only to users allowed to change settings)
+async function loadLanSettings() {
+    const card = document.getElementById('lanSettingsCard');
+    if (!card || !window.electronAPI || !window.electronAPI.lanGetSettings) {
+        return;
+    }
+
+    try {
+        const result = await window.electronAPI.lanGetSettings();
+        if (!result || !result.success) {
+            return;
+        }
+        const settings = result.settings;
+        document.getElementById('lanMode').value = settings.mode;
+        document.getElementById('lanHostAddress').value = settings.hostAddress || '';
+        document.getElementById('lanPort').value = settings.port;
+        document.getElementById('lanPairingCode').value = settings.pairingCode || '';
+        card.style.display = '';
+
+        document.getElementById('lanMode').addEventListener('change', updateLanFields);
+        document.getElementById('lanGenerateCodeBtn').addEventListener('click', async () => {
+            document.getElementById('lanPairingCode').value = await window.electronAPI.lanGeneratePairingCode();
+        });
+        document.getElementById('lanTestBtn').addEventListener('click', testLanConnection);
+        document.getElementById('lanSaveBtn').addEventListener('click', saveLanSettings);
+        updateLanFields();
+
+        if (result.activeMode === 'host') {
+            renderLanHostInfo(await window.electronAPI.lanGetStatus());
+        }
+    } catch (error) {
+        console.error('[Settings] Error loading LAN settings:', error);
+    }
+}
+
+// Show only the fields the selected mode uses
+function updateLanFields() {
+    const mode = document.getElementById('lanMode').value;
+    document.querySelectorAll('.lan-field-network').forEach(el => {
+        el.style.display = mode === 'standalone' ? 'none' : '';
+    });
+    document.querySelectorAll('.lan-field-host').forEach(el => {
+        el.style.display = mode === 'host' ? '' : 'none';
+    });
+    document.querySelectorAll('.lan-field-client').forEach(el => {
+        el.style.display = mode === 'client' ? '' : 'none';
+    });
+    if (mode === 'host' && !document.getElementById('lanPairingCode').value) {
+        document.getElementById('lanGenerateCodeBtn').click();
+    }
+}
+
+// Addresses to type on the client PCs, and the PCs connected now
+function renderLanHostInfo(status) {
+    const info = document.getElementById('lanHostInfo');
+    if (!info || !status || status.mode !== 'host') {
+        return;
+    }
+    if (!status.running) {
+        info.textContent = `⚠️ الجهاز المضيف متوقف${status.lastError ? ': ' + status.lastError : ''}`;
+    } else {
+        const addresses = (status.addresses || []).join('، ') || '-';
+        const clients = (status.clients || []).map(client => `${client.name} (${client.address})`).join('، ') || 'لا يوجد';
+        info.textContent = `عنوان هذا الجهاز: ${addresses} — الأجهزة المتصلة الآن: ${clients}`;
+    }
+    info.style.display = 'block';
+}
+
+function showLanMessage(message, type) {
+    if (window.showToast) {
+        window.showToast(message, type);
+    } else {
+        showMessage(message, type);
+    }
+}
+
+function getLanFormSettings() {
+    return {
+        mode: document.getElementById('lanMode').value,
+        hostAddress: document.getElementById('lanHostAddress').value.trim(),
+        port: parseInt(document.getElementById('lanPort').value, 10),
+        pairingCode: document.getElementById('lanPairingCode').value.trim()
+    };
+}
+
+async function testLanConnection() {
+    const button = document.getElementById('lanTestBtn');
+    button.disabled = true;
+    try {
+        const result = await window.electronAPI.lanTestConnection(getLanFormSettings());
+        if (result && result.success) {
+            showLanMessage(`تم الاتصال بالجهاز المضيف ${result.hostName || ''}`, 'success');
+        } else {
+            showLanMessage(result && result.error ? result.error : 'تعذر الاتصال بالجهاز المضيف', 'error');
+        }
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function saveLanSettings() {
+    const result = await window.electronAPI.lanSaveSettings(getLanFormSettings());
+    if (result && result.success) {
+        showLanMessage('تم حفظ إعدادات الشبكة، أعد تشغيل البرنامج لتطبيقها', 'success');
+    } else {
+        showLanMessage(result && result.error ? result.error : 'تعذر حفظ إعدادات الشبكة', 'error');
+    }
+}
+
 // Show Message
 function showMessage(message, type = 'info') {
     // Remove existing messages
@@ -742,123 +742,42 @@ async function handleFormSubmit(e) {
     };
     
     try {
-        // Save to database
-        if (window.electronAPI && window.electronAPI.dbInsert && window.electronAPI.dbUpdate) {
-            const settlementDbData = { ...settlementData };
-            delete settlementDbData.items;
-            
-            if (currentSettlement) {
-                // Update existing settlement
-                const updateResult = await window.electronAPI.dbUpdate('delivery_settlements', settlementId, settlementDbData);
-                
-                // Check if update was successful
-                if (!updateResult || !updateResult.success) {
-                    const errorMsg = updateResult?.error || 'خطأ غير معروف';
-                    console.error('Failed to update settlement in database:', errorMsg);
-                    throw new Error('فشل تحديث التسوية في قاعدة البيانات: ' + errorMsg);
-                }
-                
-                // Delete old items
-                if (window.electronAPI.dbQuery) {
-                    await window.electronAPI.dbQuery('DELETE FROM settlement_items WHERE settlementId = ?', [settlementId]);
-                } else {
-                    const oldItems = await window.electronAPI.dbGetAll('settlement_items', 'settlementId = ?', [settlementId]);
-                    for (const item of oldItems) {
-                        await window.electronAPI.dbDelete('settlement_items', item.id);
-                    }
-                }
-            } else {
-                // Insert new settlement
-                // Add createdBy to track who created this settlement
-                if (!settlementDbData.createdBy) {
-                    if (typeof addCreatedBy === 'function') {
-                        addCreatedBy(settlementDbData);
-                    } else {
-                        const currentUser = localStorage.getItem('asel_user') || localStorage.getItem('asel_userId') || '';
-                        if (currentUser) {
-                            settlementDbData.createdBy = currentUser;
-                        }
-                    }
-                }
-                
-                const insertResult = await window.electronAPI.dbInsert('delivery_settlements', settlementDbData);
-                
-                // Check if insert was successful
-                if (!insertResult || !insertResult.success) {
-                    const errorMsg = insertResult?.error || 'خطأ غير معروف';
-                    console.error('Failed to insert settlement to database:', errorMsg);
-                    throw new Error('فشل حفظ التسوية في قاعدة البيانات: ' + errorMsg);
-                }
-            }
-            
-            // Save settlement items
-            for (const item of settlementItems) {
-                const itemData = {
-                    id: Date.now().toString() + '-' + Math.random().toString(36).substr(2, 9),
-                    settlementId: settlementId,
-                    productId: item.productId,
-                    productName: item.productName,
-                    productCode: item.productCode || '',
-                    issuedQuantity: item.issuedQuantity || 0,
-                    soldQuantity: item.soldQuantity || 0,
-                    returnedQuantity: item.returnedQuantity || 0,
-                    rejectedQuantity: item.rejectedQuantity || 0,
-                    difference: item.difference || 0,
-                    unit: item.unit || '',
-                    notes: item.notes || ''
-                };
-                const itemInsertResult = await window.electronAPI.dbInsert('settlement_items', itemData);
-                
-                // Check if item insert was successful
-                if (!itemInsertResult || !itemInsertResult.success) {
-                    const errorMsg = itemInsertResult?.error || 'خطأ غير معروف';
-                    console.error('Failed to insert settlement item to database:', errorMsg);
-                    throw new Error('فشل حفظ عنصر التسوية في قاعدة البيانات: ' + errorMsg);
-                }
-                
-                // Update product stock: deduct sold quantities (stock moves to sales rep's responsibility)
-                // Add back returned and rejected quantities to stock
-                await updateProductStockFromSettlement(item);
-            }
-            
-            // Reload delivery note from database to get latest data before updating
-            let deliveryNoteToUpdate = null;
-            if (window.electronAPI && window.electronAPI.dbGet) {
-                try {
-                    deliveryNoteToUpdate = await window.electronAPI.dbGet('delivery_notes', deliveryNoteId);
-                } catch (error) {
-                    console.error('Error loading delivery note for update:', error);
-                    // Fallback to local deliveryNote
-                    deliveryNoteToUpdate = deliveryNote;
-                }
+        // Add createdBy to track who created this settlement
+        if (!currentSettlement) {
+            if (typeof addCreatedBy === 'function') {
+                addCreatedBy(settlementData);
             } else {
-                deliveryNoteToUpdate = deliveryNote;
-            }
-            
-            // Update delivery note status to 'settled'
-            if (deliveryNoteToUpdate) {
-                const updateData = {
-                    ...deliveryNoteToUpdate,
-                    status: 'settled',
-                    updatedAt: new Date().toISOString()
-                };
-                
-                const updateResult = await window.electronAPI.dbUpdate('delivery_notes', deliveryNoteId, updateData);
-                
-                // Check if update was successful
-                if (updateResult && updateResult.success === false) {
-                    console.error('Failed to update delivery note status:', updateResult);
-                    throw new Error(`فشل تحديث حالة إذن الصرف: ${updateResult.error || 'خطأ غير معروف'}`);
-                }
-                
-                // Update local array
-                const localNoteIndex = deliveryNotes.findIndex(n => n.id === deliveryNoteId);
-                if (localNoteIndex !== -1) {
-                    deliveryNotes[localNoteIndex] = updateData;
+                const currentUser = localStorage.getItem('asel_user') || localStorage.getItem('asel_userId') || '';
+                if (currentUser) {
+                    settlementData.createdBy = currentUser;
                 }
             }
         }
         
+        // Save the settlement, its items, the stock put back and the delivery note status
+        // in one transaction in the main process
+        const postResult = await window.electronAPI.deliverySettlementPost(settlementData, settlementItems.map(item => ({
+            productId: item.productId,
+            productName: item.productName,
+            productCode: item.productCode || '',
+            issuedQuantity: item.issuedQuantity || 0,
+            soldQuantity: item.soldQuantity || 0,
+            returnedQuantity: item.returnedQuantity || 0,
+            rejectedQuantity: item.rejectedQuantity || 0,
+            difference: item.difference || 0,
+            unit: item.unit || '',
+            notes: item.notes || ''
+        })));
+        if (!postResult || postResult.success === false) {
+            throw new Error((postResult && postResult.error) || 'خطأ غير معروف');
+        }
+        
+        // Update local delivery note status
+        const localNote = deliveryNotes.find(n => n.id === deliveryNoteId);
+        if (localNote) {
+            localNote.status = 'settled';
+        }
+        
         // Update local array
         if (currentSettlement) {
             const index = settlements.findIndex(s => s.id === currentSettlement.id);
@@ -883,61 +802,6 @@ async function handleFormSubmit(e) {
     }
 }
 
-// Update Product Stock from Settlement
-// Deduct sold quantities (stock moves to sales rep's responsibility)
-// Add back returned and rejected quantities to stock
-async function updateProductStockFromSettlement(settlementItem) {
-    try {
-        let product = null;
-        if (window.electronAPI && window.electronAPI.dbGet) {
-            product = await window.electronAPI.dbGet('products', settlementItem.productId);
-        }
-        
-        if (!product) {
-            console.error('Product not found:', settlementItem.productId);
-            return;
-        }
-        
-        // Calculate quantities in smallest unit
-        let issuedQty = settlementItem.issuedQuantity || 0; // المصروف
-        let soldQty = settlementItem.soldQuantity || 0;
-        let returnedQty = settlementItem.returnedQuantity || 0;
-        let rejectedQty = settlementItem.rejectedQuantity || 0;
-        
-        if (settlementItem.unit === 'largest') {
-            const conversionFactor = product.conversionFactor || 1;
-            issuedQty = issuedQty * conversionFactor;
-            soldQty = soldQty * conversionFactor;
-            returnedQty = returnedQty * conversionFactor;
-            rejectedQty = rejectedQty * conversionFactor;
-        }
-        
-        // Calculate remaining quantity (difference) = issued - sold - returned - rejected
-        // This is the quantity that was not sold and should be returned to stock
-        const remainingQty = issuedQty - soldQty - returnedQty - rejectedQty;
-        
-        // Net change: add back remaining quantity (difference) + returned + rejected
-        // Note: Stock was already deducted when delivery note was created, so we only add back what wasn't sold
-        const netChange = remainingQty + returnedQty + rejectedQty;
-        
-        if (netChange !== 0) {
-            // Update stock
-            const currentStock = parseFloat(product.stock) || 0;
-            const newStock = Math.max(0, currentStock + netChange);
-            
-            product.stock = newStock;
-            
-            // Update product in database
-            if (window.electronAPI && window.electronAPI.dbUpdate) {
-                await window.electronAPI.dbUpdate('products', product.id, product);
-                console.log(`Updated product ${product.name} stock: ${currentStock} -> ${newStock} (issued: ${issuedQty}, sold: ${soldQty}, returned: +${returnedQty}, rejected: +${rejectedQty}, remaining: +${remainingQty})`);
-            }
-        }
-    } catch (error) {
-        console.error('Error updating product stock from settlement:', error);
-    }
-}
-
 // Apply Filters
 function applyFilters() {
     // If no date filters are set, default to current month
@@ -1217,44 +1081,13 @@ async function deleteSettlement(settlementId) {
     }
     
     try {
-        // Load settlement items from database
-        const settlementItems = await window.electronAPI.dbGetAll('settlement_items', 'settlementId = ?', [settlementId]);
-        
-        if (settlementItems && settlementItems.length > 0) {
-            // Revert stock changes: add back sold quantities, subtract returned and rejected quantities
-            for (const item of settlementItems) {
-                await revertProductStockFromSettlement(item);
-            }
-        }
-        
-        // Update delivery note status back to 'issued' (if exists)
-        if (settlement.deliveryNoteId && window.electronAPI && window.electronAPI.dbGet) {
-            try {
-                const deliveryNote = await window.electronAPI.dbGet('delivery_notes', settlement.deliveryNoteId);
-                if (deliveryNote) {
-                    await window.electronAPI.dbUpdate('delivery_notes', settlement.deliveryNoteId, {
-                        ...deliveryNote,
-                        status: 'issued'
-                    });
-                }
-            } catch (error) {
-                console.error('Error updating delivery note status:', error);
-            }
-        }
-        
-        // Delete settlement items
-        if (window.electronAPI && window.electronAPI.dbQuery) {
-            await window.electronAPI.dbQuery('DELETE FROM settlement_items WHERE settlementId = ?', [settlementId]);
-        } else {
-            const items = await window.electronAPI.dbGetAll('settlement_items', 'settlementId = ?', [settlementId]);
-            for (const item of items) {
-                await window.electronAPI.dbDelete('settlement_items', item.id);
-            }
+        // Move the settlement and its items to the recycle bin. The main process reverts
+        // the stock movements of the settlement and sets the delivery note back to 'issued'.
+        const deleteResult = await window.electronAPI.recycleBinDelete('delivery_settlements', settlementId);
+        if (!deleteResult || deleteResult.success === false) {
+            throw new Error((deleteResult && deleteResult.error) || 'خطأ غير معروف');
         }
         
-        // Delete settlement
-        await window.electronAPI.dbDelete('delivery_settlements', settlementId);
-        
         // Reload data
         await loadData();
         applyFilters();
@@ -1266,53 +1099,6 @@ async function deleteSettlement(settlementId) {
     }
 }
 
-// Revert Product Stock from Settlement (opposite of updateProductStockFromSettlement)
-// Add back sold quantities (stock was deducted), subtract returned and rejected quantities (stock was added)
-async function revertProductStockFromSettlement(settlementItem) {
-    try {
-        let product = null;
-        if (window.electronAPI && window.electronAPI.dbGet) {
-            product = await window.electronAPI.dbGet('products', settlementItem.productId);
-        }
-        
-        if (!product) {
-            console.error('Product not found:', settlementItem.productId);
-            return;
-        }
-        
-        // Calculate quantities in smallest unit
-        let soldQty = settlementItem.soldQuantity || 0;
-        let returnedQty = settlementItem.returnedQuantity || 0;
-        let rejectedQty = settlementItem.rejectedQuantity || 0;
-        
-        if (settlementItem.unit === 'largest') {
-            const conversionFactor = product.conversionFactor || 1;
-            soldQty = soldQty * conversionFactor;
-            returnedQty = returnedQty * conversionFactor;
-            rejectedQty = rejectedQty * conversionFactor;
-        }
-        
-        // Calculate net change: add back sold (was deducted), subtract returned and rejected (was added)
-        const netChange = soldQty - returnedQty - rejectedQty;
-        
-        if (netChange !== 0) {
-            // Update stock
-            const currentStock = parseFloat(product.stock) || 0;
-            const newStock = Math.max(0, currentStock + netChange);
-            
-            product.stock = newStock;
-            
-            // Update product in database
-            if (window.electronAPI && window.electronAPI.dbUpdate) {
-                await window.electronAPI.dbUpdate('products', product.id, product);
-                console.log(`Reverted product ${product.name} stock: ${currentStock} -> ${newStock} (sold: +${soldQty}, returned: -${returnedQty}, rejected: -${rejectedQty})`);
-            }
-        }
-    } catch (error) {
-        console.error('Error reverting product stock from settlement:', error);
-    }
-}
-
 // Print Settlement
 function printSettlementById(settlementId) {
     const settlement = settlements.find(s => s.id === settlementId);
@@ -69,7 +69,15 @@ document.addEventListener('DOMContentLoaded', async () => {
     await loadData();
     initializeEventListeners();
     await recalculateAllSupplierBalances();
+    // Opened from the global search in the top bar: list and open that record
+    const searchTarget = getGlobalSearchTarget();
+    if (searchTarget) {
+        document.getElementById('searchInput').value = searchTarget.search;
+    }
     applyFilters();
+    if (searchTarget) {
+        viewSupplierDetails(searchTarget.id);
+    }
     await checkInactiveSuppliers();
     
     // Retry event listeners if button wasn't found initially
@@ -127,6 +135,16 @@ function initializeEventListeners() {
         });
     }
 
+    // Import from Excel / CSV
+    document.getElementById('importSuppliersBtn').addEventListener('click', () => {
+        openRecordImportWizard('suppliers', {
+            onImported: async () => {
+                await loadData();
+                applyFilters();
+            }
+        });
+    });
+
     // Modal Close Buttons
     document.getElementById('closeModal').addEventListener('click', closeModal);
     document.getElementById('closeDetailsModal').addEventListener('click', closeDetailsModal);
@@ -343,7 +361,7 @@ async function recalculateSupplierBalanceFromInvoices(supplierId) {
         // or balance = currentBalance + (newRemaining - oldRemaining) (for edit)
         // For payments: balance = currentBalance - paymentAmount
         // For returns: balance = currentBalance - returnAmount
-        // الرصيد في قاعدة البيانات محفوظ بالجنيه المصري مباشرة
+        // الرصيد يصل من قاعدة البيانات بالجنيه المصري
         const balance = parseFloat(supplier.balance || 0);
         supplier.balance = balance;
         
@@ -453,7 +471,7 @@ function openEditModal(supplierId) {
     // Set current balance (read-only for existing suppliers)
     const currentBalanceField = document.getElementById('currentBalance');
     if (currentBalanceField) {
-        // الرصيد في قاعدة البيانات محفوظ بالجنيه المصري مباشرة
+        // الرصيد يصل من قاعدة البيانات بالجنيه المصري
         const balance = parseFloat(supplier.balance) || 0;
         currentBalanceField.value = balance;
         currentBalanceField.setAttribute('readonly', 'readonly');
@@ -590,7 +608,7 @@ async function handleFormSubmit(e) {
         // Add new supplier
             // Get current balance from form (only for new suppliers) - الرصيد الافتتاحي (بالجنيه المصري)
             const currentBalance = parseFloat(document.getElementById('currentBalance').value) || 0;
-            // الرصيد يُحفظ بالجنيه المصري مباشرة في قاعدة البيانات
+            // المبالغ هنا بالجنيه المصري، وقاعدة البيانات تحولها إلى قروش عند الحفظ
             const openingBalance = currentBalance;
             
             // Check if supplier with same name already exists
@@ -623,6 +641,8 @@ async function handleFormSubmit(e) {
             supplierData.id = Date.now().toString();
             // حفظ الرصيد الافتتاحي (في سنتات)
             supplierData.balance = openingBalance; // Set initial balance to opening balance from form
+            // Kept as entered: the consistency check recomputes the balance from it and the documents
+            supplierData.openingBalance = openingBalance;
             supplierData.firstTransactionDate = null; // Will be set when first transaction occurs
             
             // Insert in database
@@ -857,9 +877,12 @@ async function deleteSupplier(supplierId) {
 // Proceed with supplier deletion
 async function proceedWithSupplierDeletion(supplierId) {
     try {
-        // Delete from database
-        if (window.electronAPI && window.electronAPI.dbDelete) {
-            await window.electronAPI.dbDelete('suppliers', supplierId);
+        // Move to the recycle bin
+        if (window.electronAPI && window.electronAPI.recycleBinDelete) {
+            const deleteResult = await window.electronAPI.recycleBinDelete('suppliers', supplierId);
+            if (!deleteResult || deleteResult.success === false) {
+                throw new Error((deleteResult && deleteResult.error) || 'خطأ غير معروف');
+            }
         }
         
         // Remove from local array
@@ -1043,7 +1066,7 @@ function renderSuppliers() {
     // Render suppliers
     paginatedSuppliers.forEach(supplier => {
         const row = document.createElement('tr');
-        // الرصيد في قاعدة البيانات محفوظ بالجنيه المصري مباشرة
+        // الرصيد يصل من قاعدة البيانات بالجنيه المصري
         const balance = parseFloat(supplier.balance) || 0;
         
         // Determine balance color class based on amount
@@ -982,7 +982,8 @@ async function handleUserFormSubmit(e) {
                 }
                 userData.password = userPassword; // Will be automatically hashed by database.js
             } else {
-                userData.password = existingUser.password;
+                // Keep the stored password (password hashes are not sent to this page)
+                delete userData.password;
             }
 
             // Save to database - UPDATE existing user
@@ -177,6 +177,28 @@ function createTestInvoiceProducts(count = 1) {
   }));
 }
 
+/**
+ * Open a DatabaseManager on a fresh database in a temporary folder
+ * (the tests using it run in the node environment: @jest-environment node)
+ */
+function createTestDatabase() {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const DatabaseManager = require('../../database');
+  const userDataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'asel-test-'));
+  return new DatabaseManager({ userDataPath });
+}
+
+/**
+ * Close a database opened by createTestDatabase and delete its folder
+ */
+function removeTestDatabase(manager) {
+  if (!manager) return;
+  manager.close();
+  require('fs').rmSync(manager.userDataPath, { recursive: true, force: true });
+}
+
 module.exports = {
   createMockElement,
   setupMockDOM,
@@ -184,6 +206,8 @@ module.exports = {
   setupMockLocalStorage,
   setupMockElectronAPI,
   calculateExpectedTotal,
-  createTestInvoiceProducts
+  createTestInvoiceProducts,
+  createTestDatabase,
+  removeTestDatabase
 };
 
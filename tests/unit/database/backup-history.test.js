@@ -0,0 +1,36 @@
+/**
+ * @jest-environment node
+ */
+// Tests for checking backup paths named by LAN client PCs against the backups the host recorded
+
+const path = require('path');
+const { createTestDatabase, removeTestDatabase } = require('../../helpers/test-helpers');
+
+describe('DatabaseManager backup history', () => {
+  let manager;
+  const now = '2026-03-01T10:00:00.000Z';
+
+  beforeEach(() => {
+    manager = createTestDatabase();
+  });
+
+  afterEach(() => {
+    removeTestDatabase(manager);
+    manager = null;
+  });
+
+  test('should accept only recorded backups and their mirror copies', () => {
+    const backupPath = path.join(manager.userDataPath, 'backups', 'backup-1.db');
+    manager.db.prepare(`INSERT INTO backup_history (id, backupPath, backupType, fileSize, createdAt)
+      VALUES ('b1', ?, 'manual', 100, ?)`).run(backupPath, now);
+    manager.recordBackupCopy(backupPath, 'usb', 'copied', { copyPath: '/media/usb/backup-1.db' });
+    manager.recordBackupCopy(backupPath, 'share', 'failed', { copyPath: '/mnt/share/backup-1.db', error: 'offline' });
+
+    expect(manager.isRecordedBackupPath(backupPath)).toBe(true);
+    expect(manager.isRecordedBackupPath(path.join(manager.userDataPath, 'backups', '..', 'backups', 'backup-1.db'))).toBe(true);
+    expect(manager.isRecordedBackupPath('/media/usb/backup-1.db')).toBe(true);
+    expect(manager.isRecordedBackupPath('/mnt/share/backup-1.db')).toBe(false);
+    expect(manager.isRecordedBackupPath(manager.dbPath)).toBe(false);
+    expect(manager.isRecordedBackupPath(null)).toBe(false);
+  });
+});
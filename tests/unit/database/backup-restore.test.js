@@ -0,0 +1,105 @@
+/**
+ * @jest-environment node
+ */
+// Tests for putting back selected rows from a browsed backup in DatabaseManager
+
+const path = require('path');
+const { createTestDatabase, removeTestDatabase } = require('../../helpers/test-helpers');
+
+describe('DatabaseManager selective restore', () => {
+  let manager;
+
+  const stockOf = (id) => manager.db.prepare('SELECT stock FROM products WHERE id = ?').get(id).stock;
+  // Stored in cents
+  const balanceOf = (id) => manager.db.prepare('SELECT balance FROM customers WHERE id = ?').get(id).balance;
+  const count = (table) => manager.db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
+  // 4 bags at 100 EGP, nothing paid
+  const postInvoice = (id, customerId) => manager.postSalesInvoice(
+    { id, invoiceNumber: id.toUpperCase(), customerId, date: '2026-02-10', paid: 0 },
+    [{ productId: 'p1', productName: 'أرز', unit: 'smallest', quantity: 4, price: 100 }]
+  );
+  // Copy the live database and open the copy for browsing
+  const browseBackup = () => {
+    const backupPath = path.join(manager.userDataPath, 'backup-test.db');
+    manager.db.exec(`VACUUM INTO '${backupPath}'`);
+    return backupPath;
+  };
+
+  beforeEach(() => {
+    manager = createTestDatabase();
+    const now = new Date().toISOString();
+    const run = (sql, ...params) => manager.db.prepare(sql).run(...params);
+    run(`INSERT INTO products (id, code, name, category, smallestUnit, largestUnit, conversionFactor, stock, createdAt, updatedAt)
+      VALUES ('p1', 'P001', 'أرز', 'عام', 'كيس', 'كرتونة', 10, 0, ?, ?)`, now, now);
+    manager.recordStockMovement({ productId: 'p1', quantity: 20, sourceType: 'opening' });
+    ['c1', 'c2'].forEach((id, index) => {
+      run(`INSERT INTO customers (id, code, name, balance, createdAt, updatedAt) VALUES (?, ?, ?, 0, ?, ?)`,
+        id, `CUS-${index + 1}`, `عميل ${index + 1}`, now, now);
+    });
+  });
+
+  afterEach(() => {
+    manager.closeBrowsedBackup();
+    removeTestDatabase(manager);
+    manager = null;
+  });
+
+  test('should put back a deleted invoice with its items, stock and balance effects', () => {
+    postInvoice('i1', 'c1');
+    const backupPath = browseBackup();
+    manager.moveToRecycleBin('sales_invoices', 'i1');
+    expect(stockOf('p1')).toBe(20);
+    expect(balanceOf('c1')).toBe(0);
+
+    const { browseId } = manager.openBackupForBrowse(backupPath);
+    const result = manager.restoreBackupRows(browseId, 'sales_invoices', ['i1'], 'u1');
+    expect(result).toMatchObject({ success: true, restored: ['i1'], products: [{ id: 'p1', stock: 16 }] });
+    expect(stockOf('p1')).toBe(16);
+    expect(balanceOf('c1')).toBe(40000);
+    expect(count('sales_invoice_items')).toBe(1);
+    expect(manager.db.prepare("SELECT SUM(quantity) AS stock FROM stock_movements WHERE productId = 'p1'").get().stock).toBe(16);
+    expect(manager.db.prepare("SELECT restoredAt FROM recycle_bin WHERE rowId = 'i1'").get().restoredAt).toBeTruthy();
+  });
+
+  test('should roll back every row when one of them cannot be restored', () => {
+    postInvoice('i1', 'c1');
+    postInvoice('i2', 'c2');
+    const backupPath = browseBackup();
+    manager.moveToRecycleBin('sales_invoices', 'i1');
+    manager.moveToRecycleBin('sales_invoices', 'i2');
+    manager.moveToRecycleBin('customers', 'c2');
+
+    const { browseId } = manager.openBackupForBrowse(backupPath);
+    const result = manager.restoreBackupRows(browseId, 'sales_invoices', ['i1', 'i2']);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('يجب استعادة العميل أولاً');
+    expect(count('sales_invoices')).toBe(0);
+    expect(stockOf('p1')).toBe(20);
+    expect(balanceOf('c1')).toBe(0);
+  });
+
+  test('should put back a deleted product with its opening stock movement', () => {
+    const backupPath = browseBackup();
+    expect(manager.moveToRecycleBin('products', 'p1').success).toBe(true);
+    expect(count('stock_movements')).toBe(0);
+
+    const { browseId } = manager.openBackupForBrowse(backupPath);
+    const result = manager.restoreBackupRows(browseId, 'products', ['p1']);
+    expect(result).toMatchObject({ success: true, restored: ['p1'] });
+    expect(stockOf('p1')).toBe(20);
+    expect(manager.db.prepare("SELECT quantity, sourceType FROM stock_movements WHERE productId = 'p1'").all())
+      .toEqual([{ quantity: 20, sourceType: 'opening' }]);
+  });
+
+  test('should leave out of a restored product the stock of documents that are gone', () => {
+    postInvoice('i1', 'c1');
+    const backupPath = browseBackup();
+    manager.moveToRecycleBin('sales_invoices', 'i1');
+    manager.moveToRecycleBin('products', 'p1');
+
+    const { browseId } = manager.openBackupForBrowse(backupPath);
+    expect(manager.restoreBackupRows(browseId, 'products', ['p1']).success).toBe(true);
+    expect(stockOf('p1')).toBe(20);
+    expect(count('stock_movements')).toBe(1);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * @jest-environment node
+ */
+// Tests for recomputing balances and stock from the documents in DatabaseManager
+
+const { createTestDatabase, removeTestDatabase } = require('../../helpers/test-helpers');
+
+describe('DatabaseManager consistency check', () => {
+  let manager;
+
+  // A product with 100 in stock and a settlement of 10 issued, 6 sold, 1 returned and 1 rejected
+  const seed = (settlementMovement) => {
+    const now = new Date().toISOString();
+    const run = (sql, ...params) => manager.db.prepare(sql).run(...params);
+    run(`INSERT INTO products (id, code, name, category, smallestUnit, largestUnit, stock, createdAt, updatedAt)
+      VALUES ('p1', 'P001', 'أرز', 'عام', 'كيس', 'كرتونة', 0, ?, ?)`, now, now);
+    manager.recordStockMovement({ productId: 'p1', quantity: 100, sourceType: 'opening' });
+    run(`INSERT INTO delivery_notes (id, deliveryNoteNumber, date, warehouseKeeperName, status, createdAt, updatedAt)
+      VALUES ('n1', 'DN-1', '2026-03-01', 'أمين', 'settled', ?, ?)`, now, now);
+    run(`INSERT INTO delivery_settlements (id, settlementNumber, deliveryNoteId, date, createdAt, updatedAt)
+      VALUES ('s1', 'ST-1', 'n1', '2026-03-02', ?, ?)`, now, now);
+    run(`INSERT INTO settlement_items (id, settlementId, productId, productName, issuedQuantity, soldQuantity, returnedQuantity, rejectedQuantity, unit)
+      VALUES ('si1', 's1', 'p1', 'أرز', 10, 6, 1, 1, 'smallest')`);
+    manager.recordStockMovement({ productId: 'p1', quantity: settlementMovement, sourceType: 'delivery_settlement', sourceId: 's1' });
+  };
+
+  beforeEach(() => {
+    manager = createTestDatabase();
+  });
+
+  afterEach(() => {
+    removeTestDatabase(manager);
+    manager = null;
+  });
+
+  test('should accept stock moved by a settlement as the settlements page moves it', () => {
+    // Issued 10 - sold 6 put back in stock
+    seed(4);
+    expect(manager.findDataDiscrepancies().products).toEqual([]);
+  });
+
+  test('should report a settlement whose movements differ from its items', () => {
+    seed(2);
+    const [product] = manager.findDataDiscrepancies().products;
+    expect(product).toMatchObject({ id: 'p1', stock: 102, expectedStock: 104 });
+    expect(product.documents).toEqual([expect.objectContaining({ table: 'delivery_settlements', id: 's1', difference: 2 })]);
+  });
+
+  test('should adjust a balance by its difference and log the correction with the audit context', () => {
+    const now = new Date().toISOString();
+    // Stored in cents: opening balance 100, no documents, balance 250
+    manager.db.prepare(`INSERT INTO customers (id, code, name, openingBalance, balance, createdAt, updatedAt)
+      VALUES ('c1', 'CUS-1', 'عميل', 10000, 25000, ?, ?)`).run(now, now);
+    const context = { userId: 'u1', username: 'admin', source: 'maintenance.html' };
+
+    const result = manager.runWithAuditContext(context, () => manager.applyConsistencyCorrections({ customers: ['c1'] }));
+    expect(result).toEqual({ success: true, corrected: 1 });
+    expect(manager.db.prepare("SELECT balance FROM customers WHERE id = 'c1'").get().balance).toBe(10000);
+
+    const [correction] = manager.getConsistencyCorrections();
+    expect(correction).toMatchObject({ entityId: 'c1', field: 'balance', userId: 'u1', username: 'admin', source: 'maintenance.html' });
+    expect(correction.details).toMatchObject({ oldValue: 250, newValue: 100, difference: -150 });
+    const entry = manager.db.prepare('SELECT * FROM audit_log WHERE id = ?').get(correction.auditLogId);
+    expect(entry).toMatchObject({ tableName: 'customers', rowId: 'c1', operation: 'update', userId: 'u1', source: 'maintenance.html' });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * @jest-environment node
+ */
+// Tests for importing a data bundle (exported by another database) in DatabaseManager
+
+const { createTestDatabase, removeTestDatabase } = require('../../helpers/test-helpers');
+
+describe('DatabaseManager data import', () => {
+  let manager;
+  let source;
+  const now = '2026-02-01T10:00:00.000Z';
+
+  const run = (target, sql, ...params) => target.db.prepare(sql).run(...params);
+  const stockOf = (id) => manager.db.prepare('SELECT stock FROM products WHERE id = ?').get(id).stock;
+  // Stored in cents
+  const balanceOf = (id) => manager.db.prepare('SELECT balance FROM customers WHERE id = ?').get(id).balance;
+  const count = (table) => manager.db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
+  const addProduct = (target, id, stock) => {
+    run(target, `INSERT INTO products (id, code, name, category, smallestUnit, largestUnit, conversionFactor, stock, createdAt, updatedAt)
+      VALUES (?, 'P001', 'أرز', 'عام', 'كيس', 'كرتونة', 10, 0, ?, ?)`, id, now, now);
+    target.recordStockMovement({ productId: id, quantity: stock, sourceType: 'opening' });
+  };
+  const addCustomer = (target, id) => run(target, `INSERT INTO customers (id, code, name, balance, createdAt, updatedAt)
+    VALUES (?, 'CUS-1', 'عميل', 0, ?, ?)`, id, now, now);
+
+  // The other database: a product with 20 bags, a customer and one invoice for 4 bags at 100 EGP
+  beforeEach(() => {
+    manager = createTestDatabase();
+    source = createTestDatabase();
+    addProduct(source, 'p1', 20);
+    addCustomer(source, 'c1');
+    source.postSalesInvoice({ id: 'i1', invoiceNumber: 'INV-1', customerId: 'c1', date: '2026-02-10', paid: 0 },
+      [{ productId: 'p1', productName: 'أرز', unit: 'smallest', quantity: 4, price: 100 }]);
+  });
+
+  afterEach(() => {
+    removeTestDatabase(manager);
+    removeTestDatabase(source);
+    manager = null;
+    source = null;
+  });
+
+  test('should check a bundle without writing anything on a dry run', () => {
+    const result = manager.importData(source.exportData());
+    expect(result).toMatchObject({ success: true, dryRun: true, imported: false });
+    expect(result.tables.find(table => table.table === 'sales_invoices')).toMatchObject({ total: 1, new: 1 });
+    expect(count('products')).toBe(0);
+  });
+
+  test('should import records with their own ledger and balances as they were', () => {
+    const result = manager.importData(source.exportData(), { dryRun: false });
+    expect(result).toMatchObject({ success: true, imported: true });
+    expect(stockOf('p1')).toBe(16);
+    expect(balanceOf('c1')).toBe(40000);
+    expect(manager.db.prepare("SELECT sourceType, quantity FROM stock_movements WHERE productId = 'p1' ORDER BY quantity DESC").all())
+      .toEqual([{ sourceType: 'opening', quantity: 20 }, { sourceType: 'sales_invoice', quantity: -4 }]);
+  });
+
+  test('should add imported documents to records with the same code that are already here', () => {
+    addProduct(manager, 'live-p1', 30);
+    addCustomer(manager, 'live-c1');
+    const result = manager.importData(source.exportData(), { dryRun: false });
+    expect(result.imported).toBe(true);
+    expect(count('products')).toBe(1);
+    expect(stockOf('live-p1')).toBe(26);
+    expect(balanceOf('live-c1')).toBe(40000);
+    expect(manager.db.prepare("SELECT productId, quantity FROM stock_movements WHERE sourceType = 'sales_invoice'").all())
+      .toEqual([{ productId: 'live-p1', quantity: -4 }]);
+    expect(manager.db.prepare("SELECT customerId FROM sales_invoices WHERE id = 'i1'").get().customerId).toBe('live-c1');
+  });
+
+  test('should write nothing when a row references a record that does not exist', () => {
+    const bundle = source.exportData();
+    bundle.tables.sales_invoice_items[0].productId = 'missing';
+    const result = manager.importData(bundle, { dryRun: false });
+    expect(result).toMatchObject({ success: true, imported: false });
+    expect(result.errors).toHaveLength(1);
+    expect(manager.getAuditSnapshot('customers', 'c1')).toBeFalsy();
+    expect(count('stock_movements')).toBe(0);
+  });
+
+  test('should roll back every row when one cannot be written', () => {
+    run(manager, `CREATE TRIGGER fail_item BEFORE INSERT ON sales_invoice_items
+      BEGIN SELECT RAISE(ABORT, 'disk full'); END`);
+    const result = manager.importData(source.exportData(), { dryRun: false });
+    expect(result).toMatchObject({ success: false, imported: false, error: 'disk full' });
+    expect(count('products')).toBe(0);
+    expect(manager.getAuditSnapshot('customers', 'c1')).toBeFalsy();
+    expect(count('stock_movements')).toBe(0);
+  });
+});
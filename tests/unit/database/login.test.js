@@ -0,0 +1,78 @@
+/**
+ * @jest-environment node
+ */
+// Tests for checking logins in DatabaseManager
+
+const passwordUtils = require('../../../password-utils');
+const { LOGIN_LOCKOUT } = require('../../../utils/login-lockout');
+const { createTestDatabase, removeTestDatabase } = require('../../helpers/test-helpers');
+
+describe('DatabaseManager login', () => {
+  let manager;
+
+  beforeEach(async () => {
+    manager = createTestDatabase();
+    const now = new Date().toISOString();
+    manager.db.prepare(`
+      INSERT INTO users (id, username, password, type, status, permissions, createdAt, updatedAt)
+      VALUES ('u1', 'ahmed', ?, 'sales', 'active', '[]', ?, ?)
+    `).run(await passwordUtils.hashPassword('secret'), now, now);
+  });
+
+  afterEach(() => {
+    removeTestDatabase(manager);
+    manager = null;
+  });
+
+  const failFreeAttempts = async () => {
+    for (let i = 0; i < LOGIN_LOCKOUT.freeAttempts; i++) {
+      await manager.verifyLogin('ahmed', 'wrong');
+    }
+  };
+
+  test('should log in with the right password without regard to case', async () => {
+    const result = await manager.verifyLogin('AHMED', 'secret', 'PC-1');
+    expect(result).toEqual({ success: true, userId: 'u1' });
+    const attempt = manager.db.prepare('SELECT * FROM login_attempts').get();
+    expect(attempt).toMatchObject({ username: 'AHMED', userId: 'u1', success: 1, clientName: 'PC-1' });
+  });
+
+  test('should lock the username after the free attempts', async () => {
+    await failFreeAttempts();
+    const result = await manager.verifyLogin('ahmed', 'secret');
+    expect(result.success).toBe(false);
+    expect(result.lockedUntil).toBeTruthy();
+    expect(manager.db.prepare("SELECT COUNT(*) AS count FROM login_attempts WHERE reason = 'locked'").get().count).toBe(1);
+  });
+
+  test('should not let parallel attempts pass the lock', async () => {
+    const results = await Promise.all(
+      Array.from({ length: 20 }, (_, i) => manager.verifyLogin(i % 2 ? 'AHMED' : 'ahmed', 'guess' + i))
+    );
+    expect(manager.getLoginFailures('ahmed')).toMatchObject({ failures: LOGIN_LOCKOUT.freeAttempts });
+    expect(results.filter(result => result.lockedUntil)).toHaveLength(20 - LOGIN_LOCKOUT.freeAttempts + 1);
+    expect((await manager.verifyLogin('ahmed', 'secret')).success).toBe(false);
+  });
+
+  test('should keep the lock however many requests are refused during it', async () => {
+    await failFreeAttempts();
+    for (let i = 0; i < 120; i++) {
+      await manager.verifyLogin('ahmed', 'guess' + i);
+    }
+    expect(manager.getLoginFailures('ahmed')).toMatchObject({ failures: LOGIN_LOCKOUT.freeAttempts });
+    const result = await manager.verifyLogin('ahmed', 'secret');
+    expect(result.success).toBe(false);
+    expect(result.lockedUntil).toBeTruthy();
+  });
+
+  test('should count only the failures since the last successful login', async () => {
+    await manager.verifyLogin('ahmed', 'wrong');
+    await manager.verifyLogin('ahmed', 'wrong');
+    // The success is recorded a moment later than the failures
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await manager.verifyLogin('ahmed', 'secret');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await manager.verifyLogin('ahmed', 'wrong');
+    expect(manager.getLoginFailures('ahmed').failures).toBe(1);
+  });
+});
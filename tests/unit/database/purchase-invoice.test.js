@@ -0,0 +1,124 @@
+/**
+ * @jest-environment node
+ */
+// Tests for posting, editing and deleting purchase invoices in DatabaseManager
+
+const { createTestDatabase, removeTestDatabase } = require('../../helpers/test-helpers');
+
+describe('DatabaseManager purchase invoices', () => {
+  let manager;
+
+  const stockOf = (id) => manager.db.prepare('SELECT stock FROM products WHERE id = ?').get(id).stock;
+  // Stored in cents
+  const supplier = (id) => manager.db.prepare('SELECT balance, firstTransactionDate FROM suppliers WHERE id = ?').get(id);
+  const count = (table) => manager.db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
+  const invoiceData = (overrides = {}) => ({
+    invoiceNumber: 'PUR-1',
+    supplierId: 's1',
+    date: '2026-02-10',
+    shipping: 20,
+    paid: 100,
+    ...overrides
+  });
+  // 2 cartons (10 bags each) at 800 EGP and 5 bags at 90 EGP
+  const items = [
+    { productId: 'p1', productName: 'أرز', unit: 'largest', quantity: 2, price: 800 },
+    { productId: 'p1', productName: 'أرز', unit: 'smallest', quantity: 5, price: 90 }
+  ];
+
+  beforeEach(() => {
+    manager = createTestDatabase();
+    const now = new Date().toISOString();
+    const run = (sql, ...params) => manager.db.prepare(sql).run(...params);
+    run(`INSERT INTO products (id, code, name, category, smallestUnit, largestUnit, conversionFactor, stock, createdAt, updatedAt)
+      VALUES ('p1', 'P001', 'أرز', 'عام', 'كيس', 'كرتونة', 10, 0, ?, ?)`, now, now);
+    ['s1', 's2'].forEach((id, index) => {
+      run(`INSERT INTO suppliers (id, code, name, balance, createdAt, updatedAt) VALUES (?, ?, ?, 0, ?, ?)`,
+        id, `SUP-${index + 1}`, `مورد ${index + 1}`, now, now);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    removeTestDatabase(manager);
+    manager = null;
+  });
+
+  test('should post an invoice with its stock and balance effects', () => {
+    const result = manager.postPurchaseInvoice(invoiceData(), items);
+    expect(result.success).toBe(true);
+    expect(result.invoice).toMatchObject({ subtotal: 2050, total: 2070, remaining: 1970 });
+    expect(stockOf('p1')).toBe(25);
+    expect(supplier('s1')).toEqual({ balance: 197000, firstTransactionDate: '2026-02-10' });
+  });
+
+  test('should replace the effects of the previous version when editing', () => {
+    const { invoice } = manager.postPurchaseInvoice(invoiceData(), items);
+    const result = manager.editPurchaseInvoice(invoice.id,
+      invoiceData({ expectedUpdatedAt: invoice.updatedAt, supplierId: 's2', shipping: 0, paid: 0 }),
+      [{ productId: 'p1', unit: 'smallest', quantity: 8, price: 90 }]);
+    expect(result.success).toBe(true);
+    expect(stockOf('p1')).toBe(8);
+    expect(supplier('s1')).toEqual({ balance: 0, firstTransactionDate: null });
+    expect(supplier('s2')).toEqual({ balance: 72000, firstTransactionDate: '2026-02-10' });
+  });
+
+  test('should refuse an edit that removes quantities already sold and change nothing', () => {
+    const { invoice } = manager.postPurchaseInvoice(invoiceData(), items);
+    // 20 of the 25 bags leave the stock
+    manager.recordStockMovement({ productId: 'p1', quantity: -20, sourceType: 'manual' });
+    const result = manager.editPurchaseInvoice(invoice.id, invoiceData(), [{ productId: 'p1', unit: 'smallest', quantity: 3, price: 90 }]);
+    expect(result.success).toBe(false);
+    expect(result.validationErrors[0].field).toBe('items');
+    expect(stockOf('p1')).toBe(5);
+    expect(supplier('s1').balance).toBe(197000);
+    expect(count('purchase_invoice_items')).toBe(2);
+  });
+
+  test('should roll back every step when the last step of an edit fails', () => {
+    const { invoice } = manager.postPurchaseInvoice(invoiceData(), items);
+    const movements = count('stock_movements');
+    jest.spyOn(manager, 'writeEntityAuditLogs').mockImplementation(() => {
+      throw new Error('disk full');
+    });
+    const result = manager.editPurchaseInvoice(invoice.id, invoiceData({ supplierId: 's2', paid: 0 }), items.slice(1));
+    expect(result).toMatchObject({ success: false, error: 'disk full' });
+    expect(stockOf('p1')).toBe(25);
+    expect(supplier('s1')).toEqual({ balance: 197000, firstTransactionDate: '2026-02-10' });
+    expect(supplier('s2')).toEqual({ balance: 0, firstTransactionDate: null });
+    expect(manager.db.prepare('SELECT supplierId, remaining FROM purchase_invoices').get()).toEqual({ supplierId: 's1', remaining: 197000 });
+    expect(count('purchase_invoice_items')).toBe(2);
+    expect(count('stock_movements')).toBe(movements);
+  });
+
+  test('should refuse an edit of an invoice changed since it was opened', () => {
+    const { invoice } = manager.postPurchaseInvoice(invoiceData(), items);
+    const result = manager.editPurchaseInvoice(invoice.id,
+      invoiceData({ expectedUpdatedAt: '2026-01-01T00:00:00.000Z', paid: 0 }), items.slice(1));
+    expect(result).toMatchObject({ success: false, conflict: true });
+    expect(result.current.id).toBe(invoice.id);
+    expect(stockOf('p1')).toBe(25);
+    expect(supplier('s1').balance).toBe(197000);
+  });
+
+  test('should reverse the stock and balance when the invoice is deleted', () => {
+    const { invoice } = manager.postPurchaseInvoice(invoiceData(), items);
+    const result = manager.deletePurchaseInvoice(invoice.id);
+    expect(result.success).toBe(true);
+    expect(result.invoice.items).toHaveLength(2);
+    expect(stockOf('p1')).toBe(0);
+    expect(supplier('s1')).toEqual({ balance: 0, firstTransactionDate: null });
+    expect(count('purchase_invoices')).toBe(0);
+  });
+
+  test('should not delete an invoice whose quantities were already sold', () => {
+    const { invoice } = manager.postPurchaseInvoice(invoiceData(), items);
+    manager.recordStockMovement({ productId: 'p1', quantity: -10, sourceType: 'manual' });
+    const result = manager.deletePurchaseInvoice(invoice.id);
+    expect(result.success).toBe(false);
+    expect(stockOf('p1')).toBe(15);
+    expect(supplier('s1').balance).toBe(197000);
+    expect(count('purchase_invoices')).toBe(1);
+    expect(count('recycle_bin')).toBe(0);
+  });
+});
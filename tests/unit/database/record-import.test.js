@@ -0,0 +1,70 @@
+/**
+ * @jest-environment node
+ */
+// Tests for importing products, customers and suppliers from spreadsheet rows in DatabaseManager
+
+const { createTestDatabase, removeTestDatabase } = require('../../helpers/test-helpers');
+
+describe('DatabaseManager record import', () => {
+  let manager;
+
+  const count = (table) => manager.db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
+  // name, category, smallest unit, largest unit, factor, price, opening stock
+  const productMapping = {
+    name: 0, category: 1, smallestUnit: 2, largestUnit: 3, conversionFactor: 4, smallestPrice: 5, openingStock: 6
+  };
+  const productRows = [
+    ['أرز', 'بقالة', 'كيس', 'كرتونة', 10, 12.5, 40],
+    ['سكر', 'بقالة', 'كيس', 'شوال', 50, 20, 0]
+  ];
+
+  beforeEach(() => {
+    manager = createTestDatabase();
+  });
+
+  afterEach(() => {
+    removeTestDatabase(manager);
+    manager = null;
+  });
+
+  test('should add products with their opening stock in the ledger and a new category', () => {
+    const result = manager.importRecords('products', productRows, productMapping, { dryRun: false });
+    expect(result).toMatchObject({ success: true, imported: true, valid: 2, invalid: 0, newCategories: ['بقالة'] });
+    const rice = manager.db.prepare("SELECT id, code, stock, largestPrice FROM products WHERE name = 'أرز'").get();
+    expect(rice).toMatchObject({ stock: 40, largestPrice: 12500 });
+    expect(manager.db.prepare('SELECT quantity, sourceType FROM stock_movements WHERE productId = ?').all(rice.id))
+      .toEqual([{ quantity: 40, sourceType: 'opening_balance' }]);
+    expect(count('stock_movements')).toBe(1);
+    expect(manager.db.prepare("SELECT COUNT(*) AS count FROM categories WHERE name = 'بقالة'").get().count).toBe(1);
+  });
+
+  test('should add customers with their opening balance', () => {
+    const before = count('customers');
+    const result = manager.importRecords('customers', [['أحمد', '0100', 1500.25]], { name: 0, phone: 1, openingBalance: 2 }, { dryRun: false });
+    expect(result.imported).toBe(true);
+    expect(count('customers')).toBe(before + 1);
+    // Stored in cents
+    expect(manager.db.prepare("SELECT balance, openingBalance FROM customers WHERE name = 'أحمد'").get())
+      .toEqual({ balance: 150025, openingBalance: 150025 });
+  });
+
+  test('should write nothing when a row has an error', () => {
+    const rows = [...productRows, ['', 'بقالة', 'كيس', 'كرتونة', 10, 5, 3]];
+    const result = manager.importRecords('products', rows, productMapping, { dryRun: false });
+    expect(result).toMatchObject({ success: true, imported: false, valid: 2, invalid: 1 });
+    expect(result.rows[2].rowNumber).toBe(4);
+    expect(count('products')).toBe(0);
+    expect(count('categories')).toBe(0);
+    expect(count('stock_movements')).toBe(0);
+  });
+
+  test('should roll back every row when one cannot be written', () => {
+    manager.db.exec(`CREATE TRIGGER fail_product BEFORE INSERT ON products WHEN NEW.name = 'سكر'
+      BEGIN SELECT RAISE(ABORT, 'disk full'); END`);
+    const result = manager.importRecords('products', productRows, productMapping, { dryRun: false });
+    expect(result).toMatchObject({ success: false, imported: false, error: 'disk full' });
+    expect(count('products')).toBe(0);
+    expect(count('categories')).toBe(0);
+    expect(count('stock_movements')).toBe(0);
+  });
+});
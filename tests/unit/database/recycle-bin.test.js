@@ -0,0 +1,77 @@
+/**
+ * @jest-environment node
+ */
+// Tests for moving delivery notes and settlements to the recycle bin in DatabaseManager
+
+const { createTestDatabase, removeTestDatabase } = require('../../helpers/test-helpers');
+
+describe('DatabaseManager recycle bin', () => {
+  let manager;
+  const now = '2026-03-01T10:00:00.000Z';
+
+  // A delivery note with one settlement saved before the stock ledger (no stock movements)
+  const seed = (stock) => {
+    const run = (sql, ...params) => manager.db.prepare(sql).run(...params);
+    run(`INSERT INTO products (id, code, name, category, smallestUnit, largestUnit, stock, createdAt, updatedAt)
+      VALUES ('p1', 'P001', 'أرز', 'عام', 'كيس', 'كرتونة', ?, ?, ?)`, stock, now, now);
+    run(`INSERT INTO delivery_notes (id, deliveryNoteNumber, date, warehouseKeeperName, status, createdAt, updatedAt)
+      VALUES ('n1', 'DN-1', '2026-03-01', 'أمين', 'settled', ?, ?)`, now, now);
+    run(`INSERT INTO delivery_note_items (id, deliveryNoteId, productId, productName, quantity, unit, availableQuantity)
+      VALUES ('ni1', 'n1', 'p1', 'أرز', 10, 'smallest', 10)`);
+    run(`INSERT INTO delivery_settlements (id, settlementNumber, deliveryNoteId, date, createdAt, updatedAt)
+      VALUES ('s1', 'ST-1', 'n1', '2026-03-02', ?, ?)`, now, now);
+    run(`INSERT INTO settlement_items (id, settlementId, productId, productName, issuedQuantity, soldQuantity, returnedQuantity, rejectedQuantity, unit)
+      VALUES ('si1', 's1', 'p1', 'أرز', 10, 6, 1, 1, 'smallest')`);
+  };
+  const stockOf = () => manager.db.prepare("SELECT stock FROM products WHERE id = 'p1'").get().stock;
+  const count = (table) => manager.db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
+
+  beforeEach(() => {
+    manager = createTestDatabase();
+  });
+
+  afterEach(() => {
+    removeTestDatabase(manager);
+    manager = null;
+  });
+
+  test('should reverse the issued less sold quantity of a settlement saved before the stock ledger', () => {
+    seed(100);
+    const result = manager.moveToRecycleBin('delivery_settlements', 's1');
+    expect(result.success).toBe(true);
+    // The settlements page put back 10 - 6 = 4 (remaining 2 + returned 1 + rejected 1)
+    expect(stockOf()).toBe(96);
+    expect(manager.db.prepare("SELECT status FROM delivery_notes WHERE id = 'n1'").get().status).toBe('issued');
+
+    expect(manager.restoreFromRecycleBin(result.entryId).success).toBe(true);
+    expect(stockOf()).toBe(100);
+    expect(manager.db.prepare("SELECT status FROM delivery_notes WHERE id = 'n1'").get().status).toBe('settled');
+  });
+
+  test('should move a delivery note together with its settlements', () => {
+    seed(100);
+    const result = manager.moveToRecycleBin('delivery_notes', 'n1');
+    expect(result.success).toBe(true);
+    expect(result.products).toEqual([{ id: 'p1', stock: 96 }]);
+    expect(count('delivery_notes')).toBe(0);
+    expect(count('delivery_settlements')).toBe(0);
+    expect(count('settlement_items')).toBe(0);
+
+    const entries = manager.db.prepare('SELECT tableName, data FROM recycle_bin ORDER BY tableName').all();
+    expect(entries.map(entry => entry.tableName)).toEqual(['delivery_notes', 'delivery_settlements']);
+    // The note is archived as the settlement deletion left it
+    expect(JSON.parse(entries[0].data).row.status).toBe('issued');
+  });
+
+  test('should delete nothing when a settlement of the note cannot be reversed', () => {
+    seed(3);
+    const result = manager.moveToRecycleBin('delivery_notes', 'n1');
+    expect(result.success).toBe(false);
+    expect(stockOf()).toBe(3);
+    expect(count('delivery_notes')).toBe(1);
+    expect(count('delivery_settlements')).toBe(1);
+    expect(count('settlement_items')).toBe(1);
+    expect(count('recycle_bin')).toBe(0);
+    expect(count('stock_movements')).toBe(0);
+  });
+});
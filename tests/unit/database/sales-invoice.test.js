@@ -0,0 +1,128 @@
+/**
+ * @jest-environment node
+ */
+// Tests for posting, editing and deleting sales invoices in DatabaseManager
+
+const { createTestDatabase, removeTestDatabase } = require('../../helpers/test-helpers');
+
+describe('DatabaseManager sales invoices', () => {
+  let manager;
+
+  const stockOf = (id) => manager.db.prepare('SELECT stock FROM products WHERE id = ?').get(id).stock;
+  // Stored in cents
+  const customer = (id) => manager.db.prepare('SELECT balance, firstTransactionDate FROM customers WHERE id = ?').get(id);
+  const invoiceData = (overrides = {}) => ({
+    invoiceNumber: 'INV-1',
+    customerId: 'c1',
+    date: '2026-02-10',
+    paid: 50,
+    ...overrides
+  });
+  // 3 bags at 100 EGP and 1 carton (10 bags) at 900 EGP
+  const items = [
+    { productId: 'p1', productName: 'أرز', unit: 'smallest', quantity: 3, price: 100 },
+    { productId: 'p1', productName: 'أرز', unit: 'largest', quantity: 1, price: 900 }
+  ];
+
+  beforeEach(() => {
+    manager = createTestDatabase();
+    const now = new Date().toISOString();
+    const run = (sql, ...params) => manager.db.prepare(sql).run(...params);
+    run(`INSERT INTO products (id, code, name, category, smallestUnit, largestUnit, conversionFactor, stock, createdAt, updatedAt)
+      VALUES ('p1', 'P001', 'أرز', 'عام', 'كيس', 'كرتونة', 10, 0, ?, ?)`, now, now);
+    manager.recordStockMovement({ productId: 'p1', quantity: 20, sourceType: 'opening' });
+    ['c1', 'c2'].forEach((id, index) => {
+      run(`INSERT INTO customers (id, code, name, balance, createdAt, updatedAt) VALUES (?, ?, ?, 0, ?, ?)`,
+        id, `CUS-${index + 1}`, `عميل ${index + 1}`, now, now);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    removeTestDatabase(manager);
+    manager = null;
+  });
+
+  test('should post an invoice with its stock and balance effects', () => {
+    const result = manager.postSalesInvoice(invoiceData(), items);
+    expect(result.success).toBe(true);
+    expect(result.invoice).toMatchObject({ total: 1200, paid: 50, remaining: 1150 });
+    expect(result.invoice.items).toHaveLength(2);
+    expect(stockOf('p1')).toBe(7);
+    expect(customer('c1')).toEqual({ balance: 115000, firstTransactionDate: '2026-02-10' });
+  });
+
+  test('should replace the effects of the previous version when editing', () => {
+    const { invoice } = manager.postSalesInvoice(invoiceData(), items);
+    const result = manager.postSalesInvoice(
+      invoiceData({ id: invoice.id, expectedUpdatedAt: invoice.updatedAt, paid: 0 }),
+      [{ productId: 'p1', unit: 'smallest', quantity: 5, price: 100 }]
+    );
+    expect(result.success).toBe(true);
+    expect(stockOf('p1')).toBe(15);
+    expect(customer('c1').balance).toBe(50000);
+    expect(manager.db.prepare('SELECT COUNT(*) AS count FROM sales_invoice_items').get().count).toBe(1);
+  });
+
+  test('should move the balance and first transaction date when the customer changes', () => {
+    const { invoice } = manager.postSalesInvoice(invoiceData(), items);
+    const result = manager.postSalesInvoice(invoiceData({ id: invoice.id, customerId: 'c2' }), items);
+    expect(result.success).toBe(true);
+    expect(customer('c1')).toEqual({ balance: 0, firstTransactionDate: null });
+    expect(customer('c2')).toEqual({ balance: 115000, firstTransactionDate: '2026-02-10' });
+  });
+
+  test('should leave stock and balance unchanged when an edit asks for more than the stock', () => {
+    const { invoice } = manager.postSalesInvoice(invoiceData(), items);
+    const result = manager.postSalesInvoice(invoiceData({ id: invoice.id }), [{ productId: 'p1', unit: 'largest', quantity: 3, price: 900 }]);
+    expect(result.success).toBe(false);
+    expect(result.validationErrors[0].field).toBe('items');
+    expect(stockOf('p1')).toBe(7);
+    expect(customer('c1').balance).toBe(115000);
+    expect(manager.db.prepare('SELECT COUNT(*) AS count FROM sales_invoice_items').get().count).toBe(2);
+  });
+
+  test('should roll back every step when the last step of an edit fails', () => {
+    const { invoice } = manager.postSalesInvoice(invoiceData(), items);
+    const movements = manager.db.prepare('SELECT COUNT(*) AS count FROM stock_movements').get().count;
+    jest.spyOn(manager, 'writeAuditLog').mockImplementation(() => {
+      throw new Error('disk full');
+    });
+    const result = manager.postSalesInvoice(invoiceData({ id: invoice.id, customerId: 'c2', paid: 0 }), items.slice(0, 1));
+    expect(result).toMatchObject({ success: false, error: 'disk full' });
+    expect(stockOf('p1')).toBe(7);
+    expect(customer('c1')).toEqual({ balance: 115000, firstTransactionDate: '2026-02-10' });
+    expect(customer('c2')).toEqual({ balance: 0, firstTransactionDate: null });
+    expect(manager.db.prepare('SELECT customerId, remaining FROM sales_invoices').get()).toEqual({ customerId: 'c1', remaining: 115000 });
+    expect(manager.db.prepare('SELECT COUNT(*) AS count FROM stock_movements').get().count).toBe(movements);
+  });
+
+  test('should not post an invoice whose audit entry cannot be written', () => {
+    manager.db.exec(`CREATE TRIGGER fail_audit BEFORE INSERT ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'disk full'); END`);
+    const result = manager.postSalesInvoice(invoiceData(), items);
+    expect(result).toMatchObject({ success: false, error: 'disk full' });
+    expect(manager.db.prepare('SELECT COUNT(*) AS count FROM sales_invoices').get().count).toBe(0);
+    expect(stockOf('p1')).toBe(20);
+    expect(customer('c1')).toEqual({ balance: 0, firstTransactionDate: null });
+  });
+
+  test('should refuse an edit of an invoice changed since it was opened', () => {
+    const { invoice } = manager.postSalesInvoice(invoiceData(), items);
+    const result = manager.postSalesInvoice(
+      invoiceData({ id: invoice.id, expectedUpdatedAt: '2026-01-01T00:00:00.000Z', paid: 0 }),
+      items.slice(0, 1)
+    );
+    expect(result).toMatchObject({ success: false, conflict: true });
+    expect(result.current.id).toBe(invoice.id);
+    expect(stockOf('p1')).toBe(7);
+    expect(customer('c1').balance).toBe(115000);
+  });
+
+  test('should reverse the stock and balance when the invoice is deleted', () => {
+    const { invoice } = manager.postSalesInvoice(invoiceData(), items);
+    expect(manager.moveToRecycleBin('sales_invoices', invoice.id).success).toBe(true);
+    expect(stockOf('p1')).toBe(20);
+    expect(customer('c1')).toEqual({ balance: 0, firstTransactionDate: null });
+  });
+});
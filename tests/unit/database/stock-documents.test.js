@@ -0,0 +1,146 @@
+/**
+ * @jest-environment node
+ */
+// Tests for posting inventory adjustments, returns and delivery settlements in DatabaseManager
+
+const { createTestDatabase, removeTestDatabase } = require('../../helpers/test-helpers');
+
+describe('DatabaseManager stock documents', () => {
+  let manager;
+
+  const stockOf = (id) => manager.db.prepare('SELECT stock FROM products WHERE id = ?').get(id).stock;
+  const movementsOf = (sourceId) => manager.db.prepare('SELECT quantity, userId FROM stock_movements WHERE sourceId = ? ORDER BY rowid').all(sourceId);
+  // Stored in cents
+  const balanceOf = (table, id) => manager.db.prepare(`SELECT balance FROM ${table} WHERE id = ?`).get(id).balance;
+  const sessionUser = { userId: 'u1', username: 'admin', source: 'inventory.html' };
+
+  beforeEach(() => {
+    manager = createTestDatabase();
+    const now = new Date().toISOString();
+    const run = (sql, ...params) => manager.db.prepare(sql).run(...params);
+    run(`INSERT INTO products (id, code, name, category, smallestUnit, largestUnit, conversionFactor, stock, createdAt, updatedAt)
+      VALUES ('p1', 'P001', 'أرز', 'عام', 'كيس', 'كرتونة', 10, 0, ?, ?)`, now, now);
+    manager.recordStockMovement({ productId: 'p1', quantity: 20, sourceType: 'opening' });
+    run(`INSERT INTO customers (id, code, name, balance, createdAt, updatedAt) VALUES ('c1', 'CUS-1', 'عميل', 50000, ?, ?)`, now, now);
+    run(`INSERT INTO suppliers (id, code, name, balance, createdAt, updatedAt) VALUES ('s1', 'SUP-1', 'مورد', 50000, ?, ?)`, now, now);
+    run(`INSERT INTO delivery_notes (id, deliveryNoteNumber, date, warehouseKeeperName, status, createdAt, updatedAt)
+      VALUES ('n1', 'DN-1', '2026-03-01', 'أمين', 'issued', ?, ?)`, now, now);
+  });
+
+  afterEach(() => {
+    removeTestDatabase(manager);
+    manager = null;
+  });
+
+  describe('rebuildProductStock', () => {
+    test('should correct stock from the ledger with an audit entry for the session user', () => {
+      manager.db.prepare("UPDATE products SET stock = 12 WHERE id = 'p1'").run();
+      const result = manager.runWithAuditContext(sessionUser, () => manager.rebuildProductStock());
+      expect(result.corrected).toEqual([{ id: 'p1', name: 'أرز', oldStock: 12, newStock: 20 }]);
+      expect(stockOf('p1')).toBe(20);
+      const entry = manager.db.prepare("SELECT userId, operation, beforeData, afterData FROM audit_log WHERE tableName = 'products' AND rowId = 'p1' ORDER BY id DESC").get();
+      expect(entry).toMatchObject({ userId: 'u1', operation: 'update' });
+      expect(JSON.parse(entry.beforeData).stock).toBe(12);
+      expect(JSON.parse(entry.afterData).stock).toBe(20);
+    });
+  });
+
+  describe('postInventoryAdjustment', () => {
+    const adjustment = (overrides = {}) => ({
+      id: 'a1', adjustmentNumber: 'ADJ-1', productId: 'p1', date: '2026-03-05', type: 'set', quantity: 15, reason: 'جرد', ...overrides
+    });
+
+    test('should save the adjustment with its stock movement and the session user', () => {
+      const result = manager.runWithAuditContext(sessionUser, () => manager.postInventoryAdjustment(adjustment()));
+      expect(result.success).toBe(true);
+      expect(result.adjustment).toMatchObject({ oldStock: 20, newStock: 15, userId: 'u1' });
+      expect(result.products).toEqual([{ id: 'p1', stock: 15 }]);
+      expect(movementsOf('a1')).toEqual([{ quantity: -5, userId: 'u1' }]);
+    });
+
+    test('should reverse the saved version when editing', () => {
+      manager.postInventoryAdjustment(adjustment({ type: 'increase', quantity: 5 }));
+      const result = manager.postInventoryAdjustment(adjustment({ type: 'decrease', quantity: 3 }));
+      expect(result.success).toBe(true);
+      expect(result.adjustment).toMatchObject({ adjustmentNumber: 'ADJ-1', oldStock: 20, newStock: 17 });
+      expect(stockOf('p1')).toBe(17);
+    });
+
+    test('should reject an unknown type without writing anything', () => {
+      const result = manager.postInventoryAdjustment(adjustment({ type: 'other' }));
+      expect(result.success).toBe(false);
+      expect(manager.db.prepare('SELECT COUNT(*) AS count FROM inventory_adjustments').get().count).toBe(0);
+      expect(stockOf('p1')).toBe(20);
+    });
+  });
+
+  describe('postReturn', () => {
+    const returnData = (overrides = {}) => ({
+      id: 'r1', returnNumber: 'RET-1', productId: 'p1', date: '2026-03-05', returnType: 'from_customer', entityId: 'c1',
+      quantity: 2, unitPrice: 100, returnReason: 'other', restoredToStock: 'true', restoreBalance: 'true', ...overrides
+    });
+
+    test('should save a customer return with its stock and balance effects', () => {
+      const result = manager.postReturn(returnData());
+      expect(result.success).toBe(true);
+      expect(result.return).toMatchObject({ totalAmount: 200, oldBalance: 500, newBalance: 300 });
+      expect(stockOf('p1')).toBe(22);
+      expect(balanceOf('customers', 'c1')).toBe(30000);
+    });
+
+    test('should be reversed by the recycle bin', () => {
+      manager.postReturn(returnData({ returnType: 'to_supplier', entityId: 's1' }));
+      expect(stockOf('p1')).toBe(18);
+      expect(balanceOf('suppliers', 's1')).toBe(30000);
+
+      expect(manager.moveToRecycleBin('returns', 'r1').success).toBe(true);
+      expect(stockOf('p1')).toBe(20);
+      expect(balanceOf('suppliers', 's1')).toBe(50000);
+    });
+
+    test('should leave stock and balance alone for damaged goods without a balance change', () => {
+      const result = manager.postReturn(returnData({ returnReason: 'damaged', restoredToStock: 'false', restoreBalance: 'false' }));
+      expect(result.success).toBe(true);
+      expect(stockOf('p1')).toBe(20);
+      expect(balanceOf('customers', 'c1')).toBe(50000);
+    });
+
+    test('should not return more to a supplier than is in stock', () => {
+      const result = manager.postReturn(returnData({ returnType: 'to_supplier', entityId: 's1', quantity: 25 }));
+      expect(result.success).toBe(false);
+      expect(manager.db.prepare('SELECT COUNT(*) AS count FROM returns').get().count).toBe(0);
+      expect(balanceOf('suppliers', 's1')).toBe(50000);
+    });
+  });
+
+  describe('postDeliverySettlement', () => {
+    const settlement = (overrides = {}) => ({
+      id: 'st1', settlementNumber: 'ST-1', deliveryNoteId: 'n1', date: '2026-03-06', salesRepName: 'مندوب', ...overrides
+    });
+    // 1 carton issued, 6 bags sold: 4 bags go back
+    const items = [{ productId: 'p1', productName: 'أرز', issuedQuantity: 10, soldQuantity: 6, returnedQuantity: 1, rejectedQuantity: 1, unit: 'smallest' }];
+
+    test('should save the settlement, put back issued less sold and settle the delivery note', () => {
+      const result = manager.postDeliverySettlement(settlement(), items);
+      expect(result.success).toBe(true);
+      expect(result.settlement.items).toHaveLength(1);
+      expect(stockOf('p1')).toBe(24);
+      expect(manager.db.prepare("SELECT status FROM delivery_notes WHERE id = 'n1'").get().status).toBe('settled');
+    });
+
+    test('should replace the stock of the saved version when editing', () => {
+      manager.postDeliverySettlement(settlement(), items);
+      const result = manager.postDeliverySettlement(settlement(), [{ ...items[0], soldQuantity: 8 }]);
+      expect(result.success).toBe(true);
+      expect(stockOf('p1')).toBe(22);
+      expect(manager.db.prepare('SELECT COUNT(*) AS count FROM settlement_items').get().count).toBe(1);
+    });
+
+    test('should refuse a second settlement for the same delivery note', () => {
+      manager.postDeliverySettlement(settlement(), items);
+      const result = manager.postDeliverySettlement(settlement({ id: 'st2', settlementNumber: 'ST-2' }), items);
+      expect(result.success).toBe(false);
+      expect(stockOf('p1')).toBe(24);
+    });
+  });
+});
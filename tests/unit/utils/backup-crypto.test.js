@@ -0,0 +1,56 @@
+// Tests for passphrase-encrypted backup files
+
+const {
+  generateRecoveryKey,
+  encryptBackup,
+  isEncryptedBackup,
+  readBackupHeader,
+  decryptBackup
+} = require('../../../utils/backup-crypto');
+
+describe('backup encryption', () => {
+  const data = Buffer.concat([Buffer.from('SQLite format 3\0', 'latin1'), Buffer.alloc(4096, 7)]);
+  const recoveryKey = generateRecoveryKey();
+  const encrypted = encryptBackup(data, { passphrase: 'correct horse', recoveryKey, hint: 'the horse' });
+
+  test('should generate recovery keys of six groups of five characters', () => {
+    expect(recoveryKey).toMatch(/^[A-Z2-9]{5}(-[A-Z2-9]{5}){5}$/);
+    expect(generateRecoveryKey()).not.toBe(recoveryKey);
+  });
+
+  test('should open with the passphrase or the recovery key', () => {
+    expect(isEncryptedBackup(encrypted)).toBe(true);
+    expect(isEncryptedBackup(data)).toBe(false);
+    expect(decryptBackup(encrypted, 'correct horse').equals(data)).toBe(true);
+    expect(decryptBackup(encrypted, recoveryKey.toLowerCase().replace(/-/g, ' ')).equals(data)).toBe(true);
+  });
+
+  test('should use a new salt and key for every file', () => {
+    const again = encryptBackup(data, { passphrase: 'correct horse', recoveryKey });
+    expect(readBackupHeader(again).keys[0].kdf.salt).not.toBe(readBackupHeader(encrypted).keys[0].kdf.salt);
+    expect(again.subarray(-100).equals(encrypted.subarray(-100))).toBe(false);
+  });
+
+  test('should show the hint without the passphrase', () => {
+    const header = readBackupHeader(encrypted);
+    expect(header.version).toBe(1);
+    expect(header.hint).toBe('the horse');
+    expect(header.keys.map(slot => slot.type)).toEqual(['passphrase', 'recovery']);
+    expect(readBackupHeader(data)).toBeNull();
+  });
+
+  test('should reject a wrong passphrase and any change to the file', () => {
+    expect(() => decryptBackup(encrypted, 'wrong horse')).toThrow('Wrong backup passphrase');
+
+    const altered = Buffer.from(encrypted);
+    altered[altered.length - 100] ^= 1;
+    expect(() => decryptBackup(altered, 'correct horse')).toThrow('altered or damaged');
+
+    const hint = Buffer.from(encrypted.toString('latin1').replace('the horse', 'the house'), 'latin1');
+    expect(() => decryptBackup(hint, 'correct horse')).toThrow('altered or damaged');
+  });
+
+  test('should refuse short passphrases', () => {
+    expect(() => encryptBackup(data, { passphrase: 'short' })).toThrow('at least 8');
+  });
+});
@@ -0,0 +1,34 @@
+// Tests for comparing a table in a backup with the live database
+
+const { diffTableRows, getChangedColumns } = require('../../../utils/backup-diff');
+
+describe('backup diff', () => {
+  test('should sort rows into missing, changed, added and same', () => {
+    const backupRows = [
+      { id: 'c1', name: 'Ahmed', balance: 100 },
+      { id: 'c2', name: 'Mona', balance: 0 },
+      { id: 'c3', name: 'Sara', balance: 50 }
+    ];
+    const liveRows = [
+      { id: 'c1', name: 'Ahmed', balance: 100 },
+      { id: 'c3', name: 'Sara Ali', balance: 50 },
+      { id: 'c4', name: 'Omar', balance: 0 }
+    ];
+    const { summary, rows } = diffTableRows(backupRows, liveRows);
+    expect(summary).toEqual({ missing: 1, changed: 1, added: 1, same: 1 });
+    expect(rows.map(row => [row.id, row.status])).toEqual([['c1', 'same'], ['c2', 'missing'], ['c3', 'changed'], ['c4', 'added']]);
+    expect(rows[2].changedColumns).toEqual(['name']);
+    expect(rows[1].live).toBeNull();
+    expect(rows[3].backup).toBeNull();
+  });
+
+  test('should compare only the columns both versions have', () => {
+    expect(getChangedColumns({ id: 1, name: 'A' }, { id: 1, name: 'A', addedLater: 'x' })).toEqual([]);
+    expect(getChangedColumns({ id: 1, removedSince: 'x', name: 'A' }, { id: 1, name: 'B' })).toEqual(['name']);
+  });
+
+  test('should treat numbers stored differently and null/undefined as equal', () => {
+    expect(getChangedColumns({ id: 5, stock: 5, notes: null }, { id: '5', stock: '5', notes: undefined })).toEqual([]);
+    expect(getChangedColumns({ notes: null }, { notes: '' })).toEqual(['notes']);
+  });
+});
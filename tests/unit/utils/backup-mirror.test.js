@@ -0,0 +1,59 @@
+// Tests for copying backups to extra destinations (USB drive, network folder)
+
+const path = require('path');
+const {
+  normalizeMirrorDestinations,
+  normalizeOffsiteWarningDays,
+  selectBackupsToMirror,
+  getOffsiteStatus
+} = require('../../../utils/backup-mirror');
+
+describe('backup mirrors', () => {
+  test('should give every destination an id and drop duplicates and empty paths', () => {
+    const destinations = normalizeMirrorDestinations([
+      { id: 'usb', path: '/media/usb/backups', type: 'removable', label: 'USB' },
+      { path: '/media/USB/backups/', type: 'removable' },
+      { path: '/mnt/share/asel', type: 'cloud' },
+      { path: '  ' },
+      null
+    ]);
+    expect(destinations).toHaveLength(2);
+    expect(destinations[0]).toEqual({ id: 'usb', label: 'USB', path: path.resolve('/media/usb/backups'), type: 'removable' });
+    expect(destinations[1].id).toMatch(/^mirror_[0-9a-f]{12}$/);
+    expect(destinations[1]).toMatchObject({ label: 'asel', type: 'folder' });
+  });
+
+  test('should copy only the backups a destination does not have, oldest first', () => {
+    const backups = [
+      { backupPath: '/b/3.db', createdAt: '2026-06-03T10:00:00Z' },
+      { backupPath: '/b/1.db', createdAt: '2026-06-01T10:00:00Z' },
+      { backupPath: '/b/2.db', createdAt: '2026-06-02T10:00:00Z' }
+    ];
+    const copies = [
+      { backupPath: '/b/1.db', destinationId: 'usb', status: 'copied' },
+      { backupPath: '/b/2.db', destinationId: 'usb', status: 'failed' },
+      { backupPath: '/b/3.db', destinationId: 'share', status: 'copied' }
+    ];
+    expect(selectBackupsToMirror(backups, copies, 'usb').map(backup => backup.backupPath)).toEqual(['/b/2.db', '/b/3.db']);
+  });
+
+  test('should warn when the last off-machine copy is older than the warning days', () => {
+    const now = new Date('2026-06-20T12:00:00Z');
+    const copies = [
+      { status: 'copied', copiedAt: '2026-06-10T12:00:00Z' },
+      { status: 'failed', copiedAt: '2026-06-19T12:00:00Z' },
+      { status: 'copied', copiedAt: '2026-06-05T12:00:00Z' }
+    ];
+    expect(getOffsiteStatus(copies, 7, now)).toEqual({ lastCopyAt: '2026-06-10T12:00:00Z', daysSince: 10, overdue: true });
+    expect(getOffsiteStatus(copies, 14, now).overdue).toBe(false);
+    expect(getOffsiteStatus([], 7, now)).toEqual({ lastCopyAt: null, daysSince: null, overdue: true });
+    expect(getOffsiteStatus([], 0, now).overdue).toBe(false);
+  });
+
+  test('should default the warning to 7 days and allow turning it off', () => {
+    expect(normalizeOffsiteWarningDays()).toBe(7);
+    expect(normalizeOffsiteWarningDays('3')).toBe(3);
+    expect(normalizeOffsiteWarningDays(0)).toBe(0);
+    expect(normalizeOffsiteWarningDays('abc')).toBe(0);
+  });
+});
@@ -0,0 +1,60 @@
+// Tests for the grandfather-father-son backup retention policy
+
+const { DEFAULT_RETENTION, normalizeRetention, applyRetentionPolicy } = require('../../../utils/backup-retention');
+
+// One backup a day at 23:00 local time, from `days` days before 2026-06-30 up to it
+function dailyBackups(days) {
+  return Array.from({ length: days }, (_, i) => {
+    const date = new Date(2026, 5, 30 - i, 23, 0, 0);
+    return { name: `backup-${i}.db`, date };
+  });
+}
+
+function keptNames(result) {
+  return result.filter(backup => backup.keep).map(backup => backup.name);
+}
+
+describe('backup retention', () => {
+  test('should default to 7 daily, 4 weekly, 12 monthly and every yearly backup', () => {
+    expect(normalizeRetention()).toEqual(DEFAULT_RETENTION);
+    expect(normalizeRetention({ daily: '3', weekly: '', monthly: -2, yearly: 1 }))
+      .toEqual({ daily: 3, weekly: null, monthly: 0, yearly: 1 });
+  });
+
+  test('should keep the newest backup of each of the last N days', () => {
+    const result = applyRetentionPolicy(dailyBackups(10), { daily: 3, weekly: 0, monthly: 0, yearly: 0 });
+    expect(keptNames(result)).toEqual(['backup-0.db', 'backup-1.db', 'backup-2.db']);
+    expect(result[0].keptFor).toEqual(['daily']);
+  });
+
+  test('should keep one backup per week, month and year beyond the daily ones', () => {
+    // 2026-06-30 is a Tuesday; 400 days reach back into May 2025
+    const result = applyRetentionPolicy(dailyBackups(400), { daily: 7, weekly: 4, monthly: 12, yearly: null });
+    const kept = result.filter(backup => backup.keep);
+
+    const weekly = kept.filter(backup => backup.keptFor.includes('weekly'));
+    expect(weekly.map(backup => backup.date.getDate())).toEqual([30, 28, 21, 14]);
+
+    const monthly = kept.filter(backup => backup.keptFor.includes('monthly'));
+    expect(monthly).toHaveLength(12);
+    expect(monthly[1].date).toEqual(new Date(2026, 4, 31, 23, 0, 0));
+
+    const yearly = kept.filter(backup => backup.keptFor.includes('yearly'));
+    expect(yearly.map(backup => backup.date.getFullYear())).toEqual([2026, 2025]);
+    expect(kept.length).toBeLessThan(30);
+  });
+
+  test('should keep only the newest backup of a day that has several', () => {
+    const backups = [
+      { name: 'morning.db', date: '2026-06-30T06:00:00' },
+      { name: 'evening.db', date: '2026-06-30T20:00:00' }
+    ];
+    expect(keptNames(applyRetentionPolicy(backups, { daily: 7 }))).toEqual(['evening.db']);
+  });
+
+  test('should never remove the latest backup', () => {
+    const result = applyRetentionPolicy(dailyBackups(3), { daily: 0, weekly: 0, monthly: 0, yearly: 0 });
+    expect(keptNames(result)).toEqual(['backup-0.db']);
+    expect(result[0].keptFor).toEqual(['latest']);
+  });
+});
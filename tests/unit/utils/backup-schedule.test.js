@@ -0,0 +1,47 @@
+// Tests for the automatic backup schedule
+
+const {
+  DEFAULT_SCHEDULE,
+  normalizeSchedule,
+  getLastScheduledTime,
+  getNextScheduledTime,
+  isScheduledRunDue
+} = require('../../../utils/backup-schedule');
+
+describe('backup schedule', () => {
+  const daily = { type: 'daily', time: '02:30' };
+  const everySixHours = { type: 'hours', everyHours: 6 };
+
+  test('should default to backups on close and clean invalid values', () => {
+    expect(normalizeSchedule()).toEqual(DEFAULT_SCHEDULE);
+    expect(normalizeSchedule({ type: 'daily', time: '7:05', everyHours: 48, onExit: false }))
+      .toEqual({ type: 'daily', time: '07:05', everyHours: 6, onExit: false });
+    expect(normalizeSchedule({ type: 'weekly', time: '25:00' })).toMatchObject({ type: 'close', time: '02:00' });
+  });
+
+  test('should find the last and next daily run around the set time', () => {
+    const before = new Date(2026, 5, 10, 1, 0);
+    expect(getLastScheduledTime(daily, before)).toEqual(new Date(2026, 5, 9, 2, 30));
+    expect(getNextScheduledTime(daily, before)).toEqual(new Date(2026, 5, 10, 2, 30));
+
+    const after = new Date(2026, 5, 10, 2, 30);
+    expect(getLastScheduledTime(daily, after)).toEqual(new Date(2026, 5, 10, 2, 30));
+    expect(getNextScheduledTime(daily, after)).toEqual(new Date(2026, 5, 11, 2, 30));
+  });
+
+  test('should count hourly runs from midnight', () => {
+    expect(getLastScheduledTime(everySixHours, new Date(2026, 5, 10, 13, 45))).toEqual(new Date(2026, 5, 10, 12));
+    expect(getNextScheduledTime(everySixHours, new Date(2026, 5, 10, 13, 45))).toEqual(new Date(2026, 5, 10, 18));
+    expect(getNextScheduledTime(everySixHours, new Date(2026, 5, 10, 19))).toEqual(new Date(2026, 5, 11, 0));
+    expect(getNextScheduledTime({ type: 'hours', everyHours: 5 }, new Date(2026, 5, 10, 21))).toEqual(new Date(2026, 5, 11, 0));
+  });
+
+  test('should be due once when a run was missed', () => {
+    const now = new Date(2026, 5, 12, 9, 0);
+    // Program closed since June 8: one catch-up run, not one per missed day
+    expect(isScheduledRunDue(daily, new Date(2026, 5, 8, 2, 30), now)).toBe(true);
+    expect(isScheduledRunDue(daily, new Date(2026, 5, 12, 8, 59), now)).toBe(false);
+    expect(isScheduledRunDue(daily, null, now)).toBe(true);
+    expect(isScheduledRunDue({ type: 'close' }, null, now)).toBe(false);
+  });
+});
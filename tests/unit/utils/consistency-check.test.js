@@ -0,0 +1,75 @@
+// Tests for recomputing balances and stock from the documents
+
+const {
+  sumStockEffects,
+  diffStockEffects,
+  findBalanceDiscrepancies,
+  findStockDiscrepancies
+} = require('../../../utils/consistency-check');
+
+describe('consistency-check', () => {
+  test('should sum stock effects per product', () => {
+    const totals = sumStockEffects([
+      { productId: 'p1', quantity: 5 },
+      { productId: 'p2', quantity: -2 },
+      { productId: 'p1', quantity: -1.5 }
+    ]);
+    expect(totals.get('p1')).toBe(3.5);
+    expect(totals.get('p2')).toBe(-2);
+  });
+
+  test('should list the products on which a document and its movements differ', () => {
+    const expected = [{ productId: 'p1', quantity: -3 }, { productId: 'p2', quantity: -1 }];
+    const recorded = [{ productId: 'p1', quantity: -3 }, { productId: 'p3', quantity: 2 }];
+    expect(diffStockEffects(expected, recorded)).toEqual([
+      { productId: 'p2', expected: -1, recorded: 0, difference: -1 },
+      { productId: 'p3', expected: 0, recorded: 2, difference: -2 }
+    ]);
+    // Float rounding is not a difference
+    expect(diffStockEffects([{ productId: 'p1', quantity: 0.1 + 0.2 }], [{ productId: 'p1', quantity: 0.3 }])).toEqual([]);
+  });
+
+  test('should find balances that are not the opening balance plus the documents', () => {
+    const parties = [
+      { id: 'c1', name: 'Ali', openingBalance: 1000, balance: 6000 },
+      { id: 'c2', name: 'Omar', openingBalance: 0, balance: 2500 },
+      { id: 'c3', name: 'Sara', openingBalance: 500, balance: 500 }
+    ];
+    const documents = [
+      { partyId: 'c1', table: 'sales_invoices', date: '2026-01-01', amount: 8000 },
+      { partyId: 'c1', table: 'receipts', date: '2026-02-01', amount: -3000 },
+      { partyId: 'c2', table: 'sales_invoices', date: '2026-01-05', amount: 2000 }
+    ];
+    const discrepancies = findBalanceDiscrepancies(parties, documents);
+    expect(discrepancies).toHaveLength(1);
+    expect(discrepancies[0]).toMatchObject({ id: 'c2', expectedBalance: 2000, difference: -500 });
+    expect(discrepancies[0].documents).toHaveLength(1);
+  });
+
+  test('should list the documents of a balance newest first', () => {
+    const [party] = findBalanceDiscrepancies(
+      [{ id: 's1', openingBalance: null, balance: 0 }],
+      [
+        { partyId: 's1', date: '2026-01-01', amount: 100 },
+        { partyId: 's1', date: '2026-03-01', amount: 200 }
+      ]
+    );
+    expect(party.expectedBalance).toBe(300);
+    expect(party.documents.map(document => document.date)).toEqual(['2026-03-01', '2026-01-01']);
+  });
+
+  test('should find products whose stock differs from the ledger or the documents', () => {
+    const products = [
+      { id: 'p1', name: 'Rice', stock: 10 },
+      { id: 'p2', name: 'Sugar', stock: 7 },
+      { id: 'p3', name: 'Tea', stock: 4 }
+    ];
+    const ledgerTotals = new Map([['p1', 10], ['p2', 5], ['p3', 4]]);
+    const documentDifferences = [{ productId: 'p1', id: 'inv1', expected: -3, recorded: -1, difference: -2 }];
+    const discrepancies = findStockDiscrepancies(products, ledgerTotals, documentDifferences);
+    expect(discrepancies.map(product => product.id)).toEqual(['p1', 'p2']);
+    expect(discrepancies[0]).toMatchObject({ ledgerStock: 10, expectedStock: 8, difference: -2 });
+    expect(discrepancies[0].documents).toHaveLength(1);
+    expect(discrepancies[1]).toMatchObject({ ledgerStock: 5, expectedStock: 5, difference: -2, documents: [] });
+  });
+});
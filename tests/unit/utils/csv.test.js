@@ -0,0 +1,24 @@
+// Tests for the CSV export helpers
+
+const { escapeCsvValue, toCsv } = require('../../../utils/csv');
+
+describe('csv helpers', () => {
+  test('should quote values containing commas, quotes or line breaks', () => {
+    expect(escapeCsvValue('plain')).toBe('plain');
+    expect(escapeCsvValue('a,b')).toBe('"a,b"');
+    expect(escapeCsvValue('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeCsvValue('line1\nline2')).toBe('"line1\nline2"');
+    expect(escapeCsvValue(null)).toBe('');
+    expect(escapeCsvValue(12.5)).toBe('12.5');
+  });
+
+  test('should write a BOM, a header row and one line per row', () => {
+    const csv = toCsv([{ id: '1', name: 'أحمد', balance: 10.5 }, { id: '2', name: 'محمد, وشركاه' }]);
+    expect(csv.charCodeAt(0)).toBe(0xFEFF);
+    expect(csv.slice(1).split('\r\n')).toEqual(['id,name,balance', '1,أحمد,10.5', '2,"محمد, وشركاه",', '']);
+  });
+
+  test('should follow the given column order', () => {
+    expect(toCsv([{ a: 1, b: 2 }], ['b', 'a']).slice(1)).toBe('b,a\r\n2,1\r\n');
+  });
+});
@@ -0,0 +1,54 @@
+// Tests for the data export bundle and its checks before import
+
+const {
+  DATA_BUNDLE_FORMAT,
+  DATA_TRANSFER_TABLES,
+  buildDataBundle,
+  validateDataBundle,
+  bundleToCsvFiles
+} = require('../../../utils/data-transfer');
+
+describe('data transfer', () => {
+  const bundle = buildDataBundle({
+    customers: [{ id: 'c1', code: 'C1', name: 'أحمد, وشركاه', balance: 10.5 }],
+    sales_invoices: [],
+    users: [{ id: 'u1', username: 'admin', password: 'hash' }]
+  }, { exportedAt: '2026-06-01T10:00:00.000Z', schemaVersion: 19 });
+
+  test('should list tables so that referenced tables come first', () => {
+    const order = table => DATA_TRANSFER_TABLES.indexOf(table);
+    expect(order('customers')).toBeLessThan(order('sales_invoices'));
+    expect(order('products')).toBeLessThan(order('sales_invoice_items'));
+    expect(order('sales_invoices')).toBeLessThan(order('sales_invoice_items'));
+    expect(order('delivery_notes')).toBeLessThan(order('delivery_settlements'));
+    expect(DATA_TRANSFER_TABLES).not.toContain('users');
+  });
+
+  test('should build a bundle with counts and without tables that are not exported', () => {
+    expect(bundle).toMatchObject({
+      format: DATA_BUNDLE_FORMAT,
+      version: 1,
+      exportedAt: '2026-06-01T10:00:00.000Z',
+      schemaVersion: 19,
+      counts: { customers: 1, sales_invoices: 0 }
+    });
+    expect(Object.keys(bundle.tables)).toEqual(['customers', 'sales_invoices']);
+  });
+
+  test('should reject files that are not bundles, newer bundles and rows without an id', () => {
+    expect(validateDataBundle(bundle, 19)).toEqual({ valid: true, errors: [], warnings: [] });
+    expect(validateDataBundle({ tables: {} }).valid).toBe(false);
+    expect(validateDataBundle(bundle, 18).valid).toBe(false);
+    const broken = { ...bundle, tables: { customers: [{ name: 'بدون معرف' }], extra: [] } };
+    const result = validateDataBundle(broken, 19);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toHaveLength(1);
+    expect(result.warnings).toHaveLength(1);
+  });
+
+  test('should write one CSV file per table', () => {
+    const files = bundleToCsvFiles(bundle);
+    expect(files.map(file => file.fileName)).toEqual(['customers.csv', 'sales_invoices.csv']);
+    expect(files[0].content.slice(1).split('\r\n')[1]).toBe('c1,C1,"أحمد, وشركاه",10.5');
+  });
+});
@@ -0,0 +1,223 @@
+// Tests for the main-process database access policy
+
+const {
+  getPageName,
+  parsePermissions,
+  userHasPermission,
+  checkTableAccess,
+  checkSelectQuery,
+  checkWhereClause,
+  checkSearchOptions,
+  sanitizeRows,
+  checkChannelAccess,
+  getGlobalSearchTables
+} = require('../../../utils/db-access-policy');
+
+describe('db-access-policy', () => {
+  const admin = { id: 'u1', username: 'admin', permissions: ['*'] };
+  const salesUser = { id: 'u2', username: 'sales', permissions: ['sales', 'customers_view'] };
+
+  describe('getPageName', () => {
+    test('should extract the page file name from a file URL', () => {
+      expect(getPageName('file:///C:/app/resources/app.asar/sales.html?id=5#top')).toBe('sales.html');
+      expect(getPageName('file:///opt/app/login.html')).toBe('login.html');
+    });
+
+    test('should return empty string for missing URL', () => {
+      expect(getPageName('')).toBe('');
+      expect(getPageName(null)).toBe('');
+    });
+  });
+
+  describe('parsePermissions', () => {
+    test('should handle JSON, bare "*" and invalid values', () => {
+      expect(parsePermissions('["sales","products"]')).toEqual(['sales', 'products']);
+      expect(parsePermissions('*')).toEqual(['*']);
+      expect(parsePermissions('null')).toEqual([]);
+      expect(parsePermissions('not json')).toEqual([]);
+      expect(parsePermissions(['users'])).toEqual(['users']);
+    });
+  });
+
+  describe('userHasPermission', () => {
+    test('should accept wildcard, exact and _view variants', () => {
+      expect(userHasPermission(admin, 'settings')).toBe(true);
+      expect(userHasPermission(salesUser, 'sales')).toBe(true);
+      expect(userHasPermission(salesUser, 'customers')).toBe(true);
+      expect(userHasPermission(salesUser, 'users')).toBe(false);
+      expect(userHasPermission(null, 'sales')).toBe(false);
+    });
+  });
+
+  describe('checkTableAccess', () => {
+    test('should allow tables in the page allow-list', () => {
+      expect(checkTableAccess({ page: 'sales.html', user: salesUser, table: 'sales_invoices', operation: 'read' }).allowed).toBe(true);
+      expect(checkTableAccess({ page: 'sales.html', user: salesUser, table: 'customers', operation: 'update' }).allowed).toBe(true);
+    });
+
+    test('should reject tables and operations outside the allow-list', () => {
+      expect(checkTableAccess({ page: 'sales.html', user: salesUser, table: 'users', operation: 'read' }).allowed).toBe(false);
+      expect(checkTableAccess({ page: 'sales.html', user: salesUser, table: 'products', operation: 'delete' }).allowed).toBe(false);
+      expect(checkTableAccess({ page: 'sales.html', user: admin, table: 'sqlite_master', operation: 'read' }).allowed).toBe(false);
+    });
+
+    test('should reject users without the page permission or without a session', () => {
+      const result = checkTableAccess({ page: 'users.html', user: salesUser, table: 'users', operation: 'read' });
+      expect(result.allowed).toBe(false);
+      expect(result.error).toBeTruthy();
+      expect(checkTableAccess({ page: 'sales.html', user: null, table: 'sales_invoices', operation: 'read' }).allowed).toBe(false);
+    });
+
+    test('should not let the login page read or write users', () => {
+      expect(checkTableAccess({ page: 'login.html', user: null, table: 'users', operation: 'read' }).allowed).toBe(false);
+      expect(checkTableAccess({ page: 'login.html', user: null, table: 'users', operation: 'update', data: { lastLogin: 'x' } }).allowed).toBe(false);
+      expect(checkTableAccess({ page: 'login.html', user: null, table: 'users', operation: 'update', data: { permissions: '["*"]' } }).allowed).toBe(false);
+      expect(checkTableAccess({ page: 'login.html', user: null, table: 'users', operation: 'insert' }).allowed).toBe(false);
+    });
+
+    test('should reject invalid column names in data', () => {
+      const result = checkTableAccess({
+        page: 'customers.html', user: admin, table: 'customers', operation: 'insert',
+        data: { 'name) VALUES (1); DROP TABLE users; --': 'x' }
+      });
+      expect(result.allowed).toBe(false);
+    });
+  });
+
+  describe('checkSelectQuery', () => {
+    test('should allow SELECTs over readable tables', () => {
+      const sql = 'SELECT si.*, s.date FROM sales_invoice_items si JOIN sales_invoices s ON s.id = si.invoiceId WHERE s.date >= ?';
+      expect(checkSelectQuery({ page: 'products.html', user: admin, sql }).allowed).toBe(true);
+    });
+
+    test('should reject non-SELECT statements', () => {
+      expect(checkSelectQuery({ page: 'sales.html', user: admin, sql: 'DELETE FROM sales_invoice_items WHERE invoiceId = ?' }).allowed).toBe(false);
+      expect(checkSelectQuery({ page: 'sales.html', user: admin, sql: 'DROP TABLE users' }).allowed).toBe(false);
+      expect(checkSelectQuery({ page: 'sales.html', user: admin, sql: 'SELECT 1; DELETE FROM products' }).allowed).toBe(false);
+    });
+
+    test('should reject reads of tables the page may not read', () => {
+      expect(checkSelectQuery({ page: 'sales.html', user: admin, sql: 'SELECT username, password FROM users' }).allowed).toBe(false);
+      expect(checkSelectQuery({ page: 'sales.html', user: admin, sql: 'SELECT * FROM sqlite_master' }).allowed).toBe(false);
+      expect(checkSelectQuery({ page: 'sales.html', user: admin, sql: 'SELECT "password" FROM users' }).allowed).toBe(false);
+    });
+
+    test('should reject reads of the search index and of tables without a policy', () => {
+      expect(checkSelectQuery({ page: 'sales.html', user: admin, sql: 'SELECT * FROM search_documents' }).allowed).toBe(false);
+      expect(checkSelectQuery({ page: 'index.html', user: admin, sql: "SELECT rowid FROM search_index WHERE search_index MATCH 'x'" }).allowed).toBe(false);
+      expect(checkSelectQuery({ page: 'sales.html', user: admin, sql: 'SELECT * FROM products p, future_table f' }).allowed).toBe(false);
+      expect(checkSelectQuery({ page: 'sales.html', user: admin, sql: 'SELECT * FROM products LEFT JOIN new_table ON 1' }).allowed).toBe(false);
+      const withQuery = 'WITH recent AS (SELECT * FROM sales_invoices) SELECT r.*, c.name FROM recent r JOIN customers c ON c.id = r.customerId';
+      expect(checkSelectQuery({ page: 'sales.html', user: admin, sql: withQuery }).allowed).toBe(true);
+    });
+
+    test('should not treat table names inside string literals as references', () => {
+      const sql = "SELECT * FROM products WHERE name = 'users'";
+      expect(checkSelectQuery({ page: 'sales.html', user: admin, sql }).allowed).toBe(true);
+    });
+  });
+
+  describe('checkWhereClause', () => {
+    test('should allow simple filters and reject sub-selects', () => {
+      expect(checkWhereClause('invoiceId = ?').allowed).toBe(true);
+      expect(checkWhereClause('').allowed).toBe(true);
+      expect(checkWhereClause('1=1 UNION SELECT * FROM users').allowed).toBe(false);
+      expect(checkWhereClause('id IN (SELECT id FROM users)').allowed).toBe(false);
+    });
+
+    test('should reject filters on sensitive columns', () => {
+      expect(checkWhereClause("password LIKE 'a%'").allowed).toBe(false);
+      expect(checkWhereClause('substr(users.PASSWORD, 1, 1) = ?').allowed).toBe(false);
+      expect(checkWhereClause('"password" > ?').allowed).toBe(false);
+      expect(checkWhereClause("username = 'password'").allowed).toBe(true);
+    });
+  });
+
+  describe('checkSearchOptions', () => {
+    test('should allow searching readable tables and related tables', () => {
+      const options = {
+        filters: [{ column: 'date', op: '>=', value: '2026-01-01' }],
+        search: { text: 'أحمد', columns: ['receiptNumber'], related: [{ column: 'customerId', table: 'customers', columns: ['name'] }] },
+        sort: { column: 'date', direction: 'desc' }
+      };
+      expect(checkSearchOptions({ page: 'receipts.html', user: admin, table: 'receipts', options }).allowed).toBe(true);
+    });
+
+    test('should reject related tables the page may not read', () => {
+      const options = { search: { text: 'x', related: [{ column: 'customerId', table: 'users', columns: ['username'] }] } };
+      expect(checkSearchOptions({ page: 'receipts.html', user: admin, table: 'receipts', options }).allowed).toBe(false);
+    });
+
+    test('should reject filtering or sorting on hidden columns', () => {
+      expect(checkSearchOptions({ page: 'users.html', user: admin, table: 'users', options: { filters: { password: 'x' } } }).allowed).toBe(false);
+      expect(checkSearchOptions({ page: 'users.html', user: admin, table: 'users', options: { sort: [{ column: 'password' }] } }).allowed).toBe(false);
+      expect(checkSearchOptions({ page: 'users.html', user: admin, table: 'users', options: { filters: { username: 'x' } } }).allowed).toBe(true);
+    });
+
+    test('should reject invalid column names', () => {
+      const options = { sort: { column: 'date; DROP TABLE receipts' } };
+      expect(checkSearchOptions({ page: 'receipts.html', user: admin, table: 'receipts', options }).allowed).toBe(false);
+    });
+  });
+
+  describe('sanitizeRows', () => {
+    test('should strip password hashes on every page', () => {
+      const rows = [{ id: '1', username: 'a', password: '$2a$hash' }];
+      expect(sanitizeRows('users.html', 'users', rows)[0].password).toBeUndefined();
+      expect(sanitizeRows('users.html', 'users', rows[0]).password).toBeUndefined();
+      expect(sanitizeRows('login.html', 'users', rows)[0].password).toBeUndefined();
+      expect(sanitizeRows('users.html', 'products', rows)).toBe(rows);
+    });
+  });
+
+  describe('checkChannelAccess', () => {
+    test('should check dedicated channels against user permissions', () => {
+      expect(checkChannelAccess('sales-invoice-post', salesUser).allowed).toBe(true);
+      expect(checkChannelAccess('purchase-invoice-post', salesUser).allowed).toBe(false);
+      expect(checkChannelAccess('backup-restore', null).allowed).toBe(false);
+      expect(checkChannelAccess('db-unknown-channel', admin).allowed).toBe(false);
+      expect(checkChannelAccess('constructor', admin).allowed).toBe(false);
+      expect(checkChannelAccess('recycle-bin-restore', salesUser).allowed).toBe(false);
+      expect(checkChannelAccess('recycle-bin-restore', admin).allowed).toBe(true);
+      expect(checkChannelAccess('backup-create', salesUser).allowed).toBe(false);
+      expect(checkChannelAccess('lan-save-settings', salesUser).allowed).toBe(false);
+      expect(checkChannelAccess('lan-save-settings', admin).allowed).toBe(true);
+    });
+
+    test('should require a logged-in user to read the stock ledger', () => {
+      expect(checkChannelAccess('stock-movements-get', null).allowed).toBe(false);
+      expect(checkChannelAccess('stock-get-at-date', null).allowed).toBe(false);
+      expect(checkChannelAccess('stock-movements-get', salesUser).allowed).toBe(false);
+      expect(checkChannelAccess('stock-get-at-date', admin).allowed).toBe(true);
+    });
+
+    test('should guard backup reads and file pickers like the actions they serve', () => {
+      expect(checkChannelAccess('backup-get-history', null).allowed).toBe(false);
+      expect(checkChannelAccess('backup-get-encryption', salesUser).allowed).toBe(false);
+      expect(checkChannelAccess('backup-select-path', salesUser).allowed).toBe(false);
+      expect(checkChannelAccess('data-import-read-file', admin).allowed).toBe(true);
+      expect(checkChannelAccess('records-import-read-file', { ...salesUser, permissions: ['customers'] }).allowed).toBe(true);
+      expect(checkChannelAccess('lan-test-connection', salesUser).allowed).toBe(false);
+      expect(checkChannelAccess('schema-get-status', null).allowed).toBe(false);
+      expect(checkChannelAccess('db-get-path', null).allowed).toBe(false);
+      expect(checkChannelAccess('db-open-folder', salesUser).allowed).toBe(false);
+      expect(checkChannelAccess('db-get-path', admin).allowed).toBe(true);
+    });
+  });
+
+  describe('getGlobalSearchTables', () => {
+    const entityPages = {
+      sales_invoices: 'sales.html',
+      purchase_invoices: 'purchases.html',
+      products: 'products.html'
+    };
+
+    test('should only search records on pages the user may open', () => {
+      expect(getGlobalSearchTables(admin, entityPages).tables).toEqual(['sales_invoices', 'purchase_invoices', 'products']);
+      const sales = getGlobalSearchTables(salesUser, entityPages);
+      expect(sales.tables).toContain('sales_invoices');
+      expect(sales.tables).not.toContain('purchase_invoices');
+      expect(getGlobalSearchTables(null, entityPages).allowed).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+// Tests for the database health checks and the maintenance schedule
+
+const {
+  MAINTENANCE_TASKS,
+  DEFAULT_MAINTENANCE_SETTINGS,
+  formatBytes,
+  getFragmentationPercent,
+  normalizeMaintenanceSettings,
+  getNextMaintenanceTime,
+  isMaintenanceDue,
+  evaluateDatabaseHealth
+} = require('../../../utils/db-health');
+
+const MB = 1024 * 1024;
+
+describe('db-health', () => {
+  const now = new Date('2026-06-20T12:00:00Z');
+  const healthy = {
+    dbSize: 20 * MB,
+    walSize: 1 * MB,
+    freeDiskSpace: 50 * 1024 * MB,
+    fragmentationPercent: 2,
+    reclaimableBytes: 0.4 * MB,
+    lastRuns: {
+      integrity_check: { status: 'success', startedAt: '2026-06-18T12:00:00Z', details: { durationMs: 120 } }
+    }
+  };
+
+  test('should format sizes and compute the share of free pages', () => {
+    expect(formatBytes(512)).toBe('512 B');
+    expect(formatBytes(1.5 * MB)).toBe('1.5 MB');
+    expect(formatBytes(null)).toBe('—');
+    expect(getFragmentationPercent(250, 1000)).toBe(25);
+    expect(getFragmentationPercent(0, 1000)).toBe(0);
+    expect(getFragmentationPercent(5, 0)).toBe(0);
+  });
+
+  test('should default to weekly maintenance of every task and clean invalid values', () => {
+    expect(normalizeMaintenanceSettings()).toEqual(DEFAULT_MAINTENANCE_SETTINGS);
+    expect(normalizeMaintenanceSettings({ enabled: false, intervalDays: '500', tasks: ['vacuum', 'drop', 'checkpoint'] }))
+      .toEqual({ enabled: false, intervalDays: 90, tasks: ['checkpoint', 'vacuum'] });
+    expect(normalizeMaintenanceSettings({ intervalDays: 0 }).intervalDays).toBe(1);
+    expect(DEFAULT_MAINTENANCE_SETTINGS.tasks).toEqual(MAINTENANCE_TASKS);
+  });
+
+  test('should be due when never run or when the interval has passed', () => {
+    const settings = { enabled: true, intervalDays: 7 };
+    expect(isMaintenanceDue(settings, null, now)).toBe(true);
+    expect(isMaintenanceDue(settings, '2026-06-15T12:00:00Z', now)).toBe(false);
+    expect(isMaintenanceDue(settings, '2026-06-13T12:00:00Z', now)).toBe(true);
+    expect(getNextMaintenanceTime(settings, '2026-06-15T12:00:00Z', now)).toEqual(new Date('2026-06-22T12:00:00Z'));
+    expect(getNextMaintenanceTime({ enabled: false }, null, now)).toBeNull();
+    expect(isMaintenanceDue({ enabled: true, tasks: [] }, null, now)).toBe(false);
+  });
+
+  test('should report nothing for a healthy database', () => {
+    expect(evaluateDatabaseHealth(healthy, now)).toEqual([]);
+  });
+
+  test('should report integrity problems, low disk space, a large WAL file and free pages', () => {
+    const issues = evaluateDatabaseHealth({
+      ...healthy,
+      walSize: 80 * MB,
+      freeDiskSpace: 300 * MB,
+      fragmentationPercent: 40,
+      reclaimableBytes: 8 * MB,
+      lastRuns: {
+        integrity_check: { status: 'failed', startedAt: '2026-06-20T10:00:00Z', details: { errors: ['row 3 missing from index'] } }
+      }
+    }, now);
+    expect(issues.map(issue => issue.id)).toEqual(['integrity', 'disk-space', 'wal-size', 'fragmentation']);
+    expect(issues[0].level).toBe('error');
+    expect(issues[1].level).toBe('warning');
+  });
+
+  test('should raise the disk warning to an error below 100 MB and when space is under twice the database', () => {
+    expect(evaluateDatabaseHealth({ ...healthy, freeDiskSpace: 50 * MB }, now)[0])
+      .toMatchObject({ id: 'disk-space', level: 'error' });
+    expect(evaluateDatabaseHealth({ ...healthy, dbSize: 2048 * MB, freeDiskSpace: 3072 * MB }, now)[0])
+      .toMatchObject({ id: 'disk-space', level: 'warning' });
+    expect(evaluateDatabaseHealth({ ...healthy, freeDiskSpace: null }, now)).toEqual([]);
+  });
+
+  test('should report failed tasks and an old integrity check', () => {
+    const issues = evaluateDatabaseHealth({
+      ...healthy,
+      lastRuns: {
+        integrity_check: { status: 'success', startedAt: '2026-04-01T12:00:00Z' },
+        vacuum: { status: 'failed', startedAt: '2026-06-20T10:00:00Z', error: 'disk full' }
+      }
+    }, now);
+    expect(issues.map(issue => issue.id)).toEqual(['integrity-old', 'maintenance-failed']);
+    expect(issues[1].details).toContain('disk full');
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * @jest-environment node
+ */
+// Tests for passing data changes from the LAN host to client PCs and for the host's client sessions
+
+const { LanHost, LanClient } = require('../../../utils/lan-connection');
+
+describe('lan data changes', () => {
+  const pairingCode = 'ABCDE-FGHJK-LMNPQ-RSTUV';
+  const customerUpdate = { table: 'customers', operation: 'update', ids: ['c1'] };
+  const productInsert = { table: 'products', operation: 'insert', ids: ['p1'] };
+
+  test('should send each change once, after the cursor the client has', () => {
+    const host = new LanHost({ pairingCode, handleRequest: () => null });
+    const first = host.getChangesSince(null);
+    expect(first.changes).toEqual([]);
+
+    host.publishChanges([customerUpdate, productInsert]);
+    const update = host.getChangesSince(first);
+    expect(update.changes).toEqual([customerUpdate, productInsert]);
+    expect(host.getChangesSince(update).changes).toEqual([]);
+  });
+
+  test('should ask for a full reload after a host restart or a gap in the log', () => {
+    const host = new LanHost({ pairingCode, handleRequest: () => null });
+    const cursor = host.getChangesSince(null);
+    expect(host.getChangesSince({ ...cursor, epoch: 'old-host' }).changes)
+      .toEqual([{ table: '*', operation: 'reload', ids: [] }]);
+
+    host.publishChanges(Array.from({ length: 1001 }, () => customerUpdate));
+    expect(host.getChangesSince(cursor).changes).toEqual([{ table: '*', operation: 'reload', ids: [] }]);
+  });
+
+  test('should emit received changes and never move the client cursor back', () => {
+    const client = new LanClient({ hostAddress: '127.0.0.1', pairingCode });
+    const received = [];
+    client.on('data-changed', changes => received.push(changes));
+
+    client.receiveChanges({ epoch: 'e1', seq: 2, changes: [customerUpdate] });
+    client.receiveChanges({ epoch: 'e1', seq: 1, changes: [productInsert] });
+    expect(received).toEqual([[customerUpdate]]);
+    expect(client.changeCursor).toEqual({ epoch: 'e1', seq: 2 });
+  });
+});
+
+describe('lan sessions', () => {
+  const pairingCode = 'ABCDE-FGHJK-LMNPQ-RSTUV';
+
+  test('should refuse to resume a session the host never started', () => {
+    const host = new LanHost({ pairingCode, handleRequest: () => null });
+    // A paired client claiming a user id without a login verified on the host
+    expect(host.resumeSession('client-1', 'manager-user-id')).toBe(false);
+    expect(host.resumeSession('client-1', null)).toBe(false);
+    expect(host.getSessionUserId('client-1')).toBeNull();
+  });
+
+  test('should resume a session only with its own token from the same client', () => {
+    const host = new LanHost({ pairingCode, handleRequest: () => null });
+    const token = host.startSession('client-1', 'u1');
+    expect(host.getSessionUserId('client-1')).toBe('u1');
+    expect(host.resumeSession('client-1', token)).toBe(true);
+    expect(host.resumeSession('client-2', token)).toBe(false);
+    expect(host.resumeSession('client-1', 'u1')).toBe(false);
+
+    host.endSession('client-1');
+    expect(host.resumeSession('client-1', token)).toBe(false);
+    expect(host.getSessionUserId('client-1')).toBeNull();
+  });
+
+  test('should keep the page of a client on its session, not on its requests', () => {
+    const host = new LanHost({ pairingCode, handleRequest: () => null });
+    expect(host.getSessionPage('client-1')).toBe('login.html');
+    expect(host.setSessionPage('client-1', 'users.html')).toBe(false);
+
+    host.startSession('client-1', 'u1');
+    expect(host.getSessionPage('client-1')).toBe('');
+    expect(host.setSessionPage('client-1', 'sales.html')).toBe(true);
+    expect(host.getSessionPage('client-1')).toBe('sales.html');
+
+    host.endSession('client-1');
+    expect(host.getSessionPage('client-1')).toBe('login.html');
+  });
+});
+
+describe('lan channels', () => {
+  const pairingCode = 'ABCDE-FGHJK-LMNPQ-RSTUV';
+  let host;
+
+  beforeEach(async () => {
+    // Each request answers with the user of the session it was sent in
+    host = new LanHost({ pairingCode, port: 0, handleRequest: request => ({ userId: host.getSessionUserId(request.channelId) }) });
+    await host.start();
+  });
+
+  afterEach(() => host.stop());
+
+  const connect = () => new LanClient({ hostAddress: '127.0.0.1', port: host.server.address().port, pairingCode });
+
+  test('should not give a request the session of the client id it claims', async () => {
+    const cashier = connect();
+    await cashier.send({ channel: 'lan-ping', args: [], page: '' }, 5000);
+    host.startSession(cashier.channel.id, 'u1');
+    expect(await cashier.send({ channel: 'db-get-all', args: [], page: 'customers.html' }, 5000)).toEqual({ userId: 'u1' });
+
+    // Another paired PC copying the cashier's client id still talks through its own channel
+    const other = connect();
+    other.clientId = cashier.clientId;
+    expect(await other.send({ channel: 'db-get-all', args: [], page: 'customers.html' }, 5000)).toEqual({ userId: null });
+  });
+
+  test('should refuse requests sealed only with the pairing code or through an unknown channel', async () => {
+    const client = connect();
+    await expect(client.post(client.key, null, { channel: 'db-get-all', args: [], page: 'customers.html' }, 5000))
+      .rejects.toThrow('not sent through a channel');
+
+    await client.send({ channel: 'lan-ping', args: [], page: '' }, 5000);
+    host.channels.clear();
+    await expect(client.send({ channel: 'lan-ping', args: [], page: '' }, 5000)).rejects.toThrow('Unknown channel');
+    // The next request opens a new channel
+    expect(client.channel).toBeNull();
+    expect(await client.send({ channel: 'lan-ping', args: [], page: '' }, 5000)).toEqual({ userId: null });
+  });
+});
@@ -0,0 +1,92 @@
+// Tests for the LAN mode message protocol
+
+const {
+  MAX_CLOCK_SKEW_MS,
+  LAN_CHANNELS,
+  generatePairingCode,
+  deriveLanKey,
+  createChannelKeyPair,
+  deriveChannelKey,
+  sealMessage,
+  openMessage,
+  stampRequest,
+  ReplayGuard
+} = require('../../../utils/lan-protocol');
+
+describe('lan protocol', () => {
+  const code = 'ABCDE-FGHJK-LMNPQ-RSTUV';
+
+  test('should generate pairing codes of four groups of five characters', () => {
+    const pairingCode = generatePairingCode();
+    expect(pairingCode).toMatch(/^[A-Z2-9]{5}(-[A-Z2-9]{5}){3}$/);
+    expect(pairingCode).not.toMatch(/[01IO]/);
+    expect(generatePairingCode()).not.toBe(pairingCode);
+  });
+
+  test('should derive the same key regardless of dashes, spaces and case', () => {
+    expect(deriveLanKey('abcde fghjk lmnpq rstuv').equals(deriveLanKey(code))).toBe(true);
+    expect(() => deriveLanKey('SHORT')).toThrow('too short');
+  });
+
+  test('should open a sealed message with the same pairing code', () => {
+    const message = { channel: 'db-get-all', args: ['customers', '', []], page: 'customers.html' };
+    const envelope = sealMessage(deriveLanKey(code), message);
+    expect(envelope.data).not.toContain('customers');
+    expect(openMessage(deriveLanKey(code), envelope)).toEqual(message);
+  });
+
+  test('should reject messages sealed with another code or altered on the way', () => {
+    const envelope = sealMessage(deriveLanKey(code), { channel: 'db-delete', args: ['customers', 'c1'] });
+    expect(() => openMessage(deriveLanKey('ZZZZZ-FGHJK-LMNPQ-RSTUV'), envelope)).toThrow('could not be authenticated');
+
+    const data = Buffer.from(envelope.data, 'base64');
+    data[0] ^= 1;
+    expect(() => openMessage(deriveLanKey(code), { ...envelope, data: data.toString('base64') })).toThrow('could not be authenticated');
+    expect(() => openMessage(deriveLanKey(code), { ...envelope, v: 99 })).toThrow('Unsupported');
+  });
+
+  test('should agree on a channel key that the pairing code alone does not open', () => {
+    const pairingKey = deriveLanKey(code);
+    const client = createChannelKeyPair();
+    const host = createChannelKeyPair();
+    const clientKey = deriveChannelKey(pairingKey, client.privateKey, host.publicKey);
+    expect(deriveChannelKey(pairingKey, host.privateKey, client.publicKey).equals(clientKey)).toBe(true);
+
+    const envelope = sealMessage(clientKey, { channel: 'login', args: ['admin', 'secret'] }, 'channel-1');
+    expect(envelope.channel).toBe('channel-1');
+    expect(openMessage(clientKey, envelope).args).toEqual(['admin', 'secret']);
+    // Another paired PC that saw both public keys go by
+    const listener = createChannelKeyPair();
+    expect(() => openMessage(pairingKey, envelope)).toThrow('could not be authenticated');
+    expect(() => openMessage(deriveChannelKey(pairingKey, listener.privateKey, host.publicKey), envelope)).toThrow('could not be authenticated');
+    expect(() => deriveChannelKey(pairingKey, client.privateKey, 'not-a-key')).toThrow('Invalid channel public key');
+  });
+
+  test('should accept each request once and only near the host clock', () => {
+    const guard = new ReplayGuard();
+    const request = stampRequest({ channel: 'db-insert' });
+    expect(() => guard.check(request)).not.toThrow();
+    expect(() => guard.check(request)).toThrow('already received');
+
+    const old = { ...stampRequest({ channel: 'db-insert' }), ts: Date.now() - MAX_CLOCK_SKEW_MS - 1000 };
+    expect(() => guard.check(old)).toThrow('too far');
+    expect(() => guard.check({ channel: 'db-insert' })).toThrow('no timestamp');
+  });
+
+  test('should forget nonces once they are outside the time window', () => {
+    const guard = new ReplayGuard(1000);
+    guard.check({ ts: 0, nonce: 'a' }, 0);
+    guard.check({ ts: 5000, nonce: 'b' }, 5000);
+    expect(guard.seen.has('a')).toBe(false);
+    expect(guard.seen.has('b')).toBe(true);
+  });
+
+  test('should not send local-only channels to the host', () => {
+    expect(LAN_CHANNELS).toContain('db-insert');
+    expect(LAN_CHANNELS).toContain('backup-create');
+    expect(LAN_CHANNELS).toContain('login');
+    expect(LAN_CHANNELS).not.toContain('hash-password');
+    expect(LAN_CHANNELS).not.toContain('backup-select-path');
+    expect(LAN_CHANNELS).not.toContain('open-print-window');
+  });
+});
@@ -0,0 +1,42 @@
+// Tests for the lockout after repeated failed logins
+
+const { LOGIN_LOCKOUT, getLoginLockout, formatLockoutWait } = require('../../../utils/login-lockout');
+
+describe('login-lockout', () => {
+  const now = new Date('2026-06-20T12:00:00Z');
+  const secondsAgo = (seconds) => new Date(now.getTime() - seconds * 1000).toISOString();
+  const failures = (count, lastSecondsAgo = 1) => ({ failures: count, lastFailureAt: count ? secondsAgo(lastSecondsAgo) : null });
+
+  test('should not lock before the free attempts are used', () => {
+    const lockout = getLoginLockout(failures(LOGIN_LOCKOUT.freeAttempts - 1), now);
+    expect(lockout).toMatchObject({ locked: false, failures: LOGIN_LOCKOUT.freeAttempts - 1, lockedUntil: null });
+  });
+
+  test('should lock after the free attempts and double the wait with each failure', () => {
+    const first = getLoginLockout(failures(LOGIN_LOCKOUT.freeAttempts), now);
+    expect(first.locked).toBe(true);
+    expect(first.retryAfterMs).toBe(LOGIN_LOCKOUT.baseDelayMs - 1000);
+
+    const second = getLoginLockout(failures(LOGIN_LOCKOUT.freeAttempts + 1), now);
+    expect(second.retryAfterMs).toBe(2 * LOGIN_LOCKOUT.baseDelayMs - 1000);
+
+    const capped = getLoginLockout(failures(LOGIN_LOCKOUT.freeAttempts + 20), now);
+    expect(capped.retryAfterMs).toBe(LOGIN_LOCKOUT.maxDelayMs - 1000);
+  });
+
+  test('should unlock once the wait has passed', () => {
+    const lockout = getLoginLockout(failures(LOGIN_LOCKOUT.freeAttempts, 60), now);
+    expect(lockout.locked).toBe(false);
+    expect(lockout.failures).toBe(LOGIN_LOCKOUT.freeAttempts);
+  });
+
+  test('should not lock without failures', () => {
+    expect(getLoginLockout(null, now)).toMatchObject({ locked: false, failures: 0 });
+    expect(getLoginLockout({ failures: 0, lastFailureAt: null }, now)).toMatchObject({ locked: false, failures: 0 });
+  });
+
+  test('should format the wait in seconds or minutes', () => {
+    expect(formatLockoutWait(29500)).toBe('30 ثانية');
+    expect(formatLockoutWait(90 * 1000)).toBe('2 دقيقة');
+  });
+});
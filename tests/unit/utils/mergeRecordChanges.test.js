@@ -0,0 +1,65 @@
+// Tests for the three-way merge used by the edit conflict dialog
+
+const { mergeRecordChanges, isSameConflictValue } = require('../../../scripts/conflict-dialog');
+
+describe('mergeRecordChanges', () => {
+  const fields = [
+    { key: 'name', label: 'الاسم' },
+    { key: 'phone', label: 'الهاتف' },
+    { key: 'notes', label: 'ملاحظات' }
+  ];
+  const base = { id: 'c1', name: 'أحمد', phone: '0100', notes: '', balance: 100, updatedAt: 't1' };
+
+  test('should keep my changes and their changes to different fields', () => {
+    const mine = { ...base, name: 'أحمد علي' };
+    const theirs = { ...base, phone: '0111', balance: 250, updatedAt: 't2' };
+
+    const { merged, conflicts, theirsChanged } = mergeRecordChanges(base, mine, theirs, fields);
+
+    expect(conflicts).toEqual([]);
+    expect(merged.name).toBe('أحمد علي');
+    expect(merged.phone).toBe('0111');
+    expect(merged.balance).toBe(250);
+    expect(merged.updatedAt).toBe('t2');
+    expect(theirsChanged).toEqual([{ key: 'phone', label: 'الهاتف', theirs: '0111' }]);
+  });
+
+  test('should report a conflict when both sides changed the same field differently', () => {
+    const mine = { ...base, phone: '0122' };
+    const theirs = { ...base, phone: '0111' };
+
+    const { merged, conflicts } = mergeRecordChanges(base, mine, theirs, fields);
+
+    expect(conflicts).toEqual([{ key: 'phone', label: 'الهاتف', mine: '0122', theirs: '0111' }]);
+    expect(merged.phone).toBe('0122');
+  });
+
+  test('should not report a conflict when both sides made the same change', () => {
+    const mine = { ...base, notes: 'عميل مميز' };
+    const theirs = { ...base, notes: 'عميل مميز' };
+
+    const { conflicts, theirsChanged } = mergeRecordChanges(base, mine, theirs, fields);
+
+    expect(conflicts).toEqual([]);
+    expect(theirsChanged).toEqual([]);
+  });
+
+  test('should ignore changes to fields outside the form', () => {
+    const theirs = { ...base, balance: 0 };
+
+    const { conflicts, theirsChanged } = mergeRecordChanges(base, { ...base }, theirs, fields);
+
+    expect(conflicts).toEqual([]);
+    expect(theirsChanged).toEqual([]);
+  });
+});
+
+describe('isSameConflictValue', () => {
+  test('should compare numbers and strings by value', () => {
+    expect(isSameConflictValue(5, '5')).toBe(true);
+    expect(isSameConflictValue(null, '')).toBe(true);
+    expect(isSameConflictValue(undefined, null)).toBe(true);
+    expect(isSameConflictValue(' a ', 'a')).toBe(true);
+    expect(isSameConflictValue('a', 'b')).toBe(false);
+  });
+});
@@ -0,0 +1,63 @@
+// Tests for the shared money helpers (amounts stored as integer cents)
+
+const { Money, egpToCents, centsToEgp } = require('../../../utils/currency');
+
+describe('money helpers', () => {
+  describe('egpToCents / centsToEgp', () => {
+    test('should convert EGP to integer cents and back', () => {
+      expect(egpToCents(100.5)).toBe(10050);
+      expect(egpToCents('12.34')).toBe(1234);
+      expect(centsToEgp(10050)).toBe(100.5);
+      expect(centsToEgp(-1234)).toBe(-12.34);
+    });
+
+    test('should round half cents away from binary noise', () => {
+      expect(egpToCents(1.005)).toBe(101);
+      expect(egpToCents(0.285)).toBe(29);
+    });
+
+    test('should treat invalid amounts as zero', () => {
+      expect(egpToCents(null)).toBe(0);
+      expect(egpToCents('abc')).toBe(0);
+      expect(centsToEgp(undefined)).toBe(0);
+    });
+  });
+
+  describe('Money arithmetic', () => {
+    test('should add and subtract without floating point drift', () => {
+      expect(Money.add(0.1, 0.2)).toBe(0.3);
+      expect(Money.add(10, 20.15, 0.05)).toBe(30.2);
+      expect(Money.subtract(0.3, 0.1)).toBe(0.2);
+      expect(Money.subtract(100, 33.33, 33.33)).toBe(33.34);
+    });
+
+    test('should multiply a price by a quantity and round to cents', () => {
+      expect(Money.multiply(19.99, 3)).toBe(59.97);
+      expect(Money.multiply(10, 0.333)).toBe(3.33);
+      expect(Money.multiply(1.1, '3')).toBe(3.3);
+    });
+
+    test('should round only the product of a fractional unit cost', () => {
+      expect(Money.multiply(100 / 12, 1200)).toBe(10000);
+      expect(Money.multiply(100 / 12, 5)).toBe(41.67);
+      expect(Money.multiply(1.005, 1)).toBe(1.01);
+    });
+
+    test('should take a percentage rounded to cents', () => {
+      expect(Money.percent(100, 14)).toBe(14);
+      expect(Money.percent(33.33, 14)).toBe(4.67);
+      expect(Money.percent(50, 0)).toBe(0);
+    });
+
+    test('should sum a list of amounts or picked fields', () => {
+      expect(Money.sum([0.1, 0.2, 0.3])).toBe(0.6);
+      expect(Money.sum([{ total: 1.1 }, { total: 2.2 }, { total: null }], item => item.total)).toBe(3.3);
+      expect(Money.sum(null)).toBe(0);
+    });
+
+    test('should round an amount to whole cents', () => {
+      expect(Money.round(2.675)).toBe(2.68);
+      expect(Money.round(-1.005)).toBe(-1);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+// Tests for the field mapping and row checks of the record import wizard
+
+const {
+  guessColumnMapping,
+  parseImportNumber,
+  readImportRow,
+  formatRecordCode,
+  getMaxCodeCounter
+} = require('../../../utils/record-import');
+
+describe('record import', () => {
+  test('should guess the columns from Arabic or English headers', () => {
+    const mapping = guessColumnMapping(['اسم المنتج', 'Category', 'الوحدة الصغرى', 'أكبر وحدة بيع', 'السعر', 'لون'], 'products');
+    expect(mapping).toMatchObject({ name: 0, category: 1, smallestUnit: 2, largestUnit: 3, smallestPrice: 4, code: null, openingStock: null });
+    expect(guessColumnMapping(['كود العميل', 'الاسم', 'الرصيد'], 'customers'))
+      .toMatchObject({ code: 0, name: 1, openingBalance: 2, phone: null });
+  });
+
+  test('should parse numbers typed with Arabic digits and separators', () => {
+    expect(parseImportNumber('١٢٫٥')).toBe(12.5);
+    expect(parseImportNumber('1,250.75')).toBe(1250.75);
+    expect(parseImportNumber(-40)).toBe(-40);
+    expect(parseImportNumber('  ')).toBeNull();
+    expect(parseImportNumber('12 ج')).toBeNaN();
+  });
+
+  test('should report missing, invalid and negative values of a row', () => {
+    const mapping = { name: 0, category: 1, smallestUnit: 2, largestUnit: 3, conversionFactor: 4, smallestPrice: 5, openingStock: 6 };
+    expect(readImportRow([' زيت ', 'زيوت', 'زجاجة', 'كرتونة', '12', '30', ''], mapping, 'products')).toEqual({
+      data: { name: 'زيت', category: 'زيوت', smallestUnit: 'زجاجة', largestUnit: 'كرتونة', conversionFactor: 12, smallestPrice: 30 },
+      errors: []
+    });
+    expect(readImportRow(['', 'زيوت', 'زجاجة', 'كرتونة', '0', 'abc', '-5'], mapping, 'products').errors).toEqual([
+      'اسم المنتج مطلوب',
+      'سعر أصغر وحدة بيع ليس رقماً: abc',
+      'المخزون الافتتاحي لا يمكن أن يكون سالباً',
+      'معامل التحويل يجب أن يكون أكبر من صفر'
+    ]);
+    // Opening balances of customers may be negative (money owed to the customer)
+    expect(readImportRow(['أحمد', '-150'], { name: 0, openingBalance: 1 }, 'customers').data).toEqual({ name: 'أحمد', openingBalance: -150 });
+  });
+
+  test('should continue the codes of the pages', () => {
+    expect(getMaxCodeCounter(['PRD-00007', 'PRD-00012', 'X-99', null], 'products')).toBe(12);
+    expect(getMaxCodeCounter(['CASH'], 'customers')).toBe(0);
+    expect(formatRecordCode('suppliers', 13)).toBe('SUPP-00013');
+  });
+});
@@ -0,0 +1,37 @@
+// Tests for the global search text normalisation and query terms
+
+const { normalizeSearchText, buildSearchTerms } = require('../../../utils/search-index');
+
+describe('search-index', () => {
+  describe('normalizeSearchText', () => {
+    test('should unify Arabic letter forms and remove tashkeel', () => {
+      expect(normalizeSearchText('أحمد')).toBe(normalizeSearchText('احمد'));
+      expect(normalizeSearchText('إبراهيم')).toBe('ابراهيم');
+      expect(normalizeSearchText('مدرسة')).toBe('مدرسه');
+      expect(normalizeSearchText('مستشفى')).toBe('مستشفي');
+      expect(normalizeSearchText('مُحَمَّد')).toBe('محمد');
+      expect(normalizeSearchText('مـحـمـد')).toBe('محمد');
+    });
+
+    test('should convert Arabic-Indic digits and lower-case Latin text', () => {
+      expect(normalizeSearchText('٠١٢٣')).toBe('0123');
+      expect(normalizeSearchText('۴۵')).toBe('45');
+      expect(normalizeSearchText('INV-2026')).toBe('inv-2026');
+    });
+
+    test('should collapse spaces and handle empty values', () => {
+      expect(normalizeSearchText('  شركة   النور ')).toBe('شركه النور');
+      expect(normalizeSearchText(null)).toBe('');
+      expect(normalizeSearchText(undefined)).toBe('');
+      expect(normalizeSearchText(1234)).toBe('1234');
+    });
+  });
+
+  describe('buildSearchTerms', () => {
+    test('should split terms the index can match from shorter ones', () => {
+      expect(buildSearchTerms('أحمد ٥٥ محمد')).toEqual({ indexed: ['احمد', 'محمد'], short: ['55'] });
+      expect(buildSearchTerms('احمد أحمد')).toEqual({ indexed: ['احمد'], short: [] });
+      expect(buildSearchTerms('   ')).toEqual({ indexed: [], short: [] });
+    });
+  });
+});
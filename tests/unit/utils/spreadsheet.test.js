@@ -0,0 +1,73 @@
+// Tests for the .xlsx / CSV reader used by the import wizard
+
+const zlib = require('zlib');
+const { parseCsv, parseSheetXml, readXlsx, readSpreadsheet } = require('../../../utils/spreadsheet');
+
+// Minimal zip archive (deflated entries) as written by Excel
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  Object.keys(files).forEach(name => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const data = zlib.deflateRawSync(Buffer.from(files[name], 'utf8'));
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+describe('spreadsheet reader', () => {
+  test('should read quoted values and detect the separator of a CSV file', () => {
+    expect(parseCsv('\uFEFFname,price\r\n"زيت, 1 لتر",12.5\r\n"say ""hi""",3\r\n'))
+      .toEqual([['name', 'price'], ['زيت, 1 لتر', '12.5'], ['say "hi"', '3']]);
+    expect(parseCsv('name;price\nسكر;20')).toEqual([['name', 'price'], ['سكر', '20']]);
+    expect(parseCsv('a\tb\n"line1\nline2"\t2')).toEqual([['a', 'b'], ['line1\nline2', '2']]);
+  });
+
+  test('should read shared, inline and numeric cells and keep empty cells in place', () => {
+    const xml = '<worksheet><sheetData>'
+      + '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="inlineStr"><is><t>السعر</t></is></c></row>'
+      + '<row r="3"><c r="A3" t="s"><v>1</v></c><c r="B3"/><c r="C3"><v>12.5</v></c><c r="D3" t="b"><v>1</v></c></row>'
+      + '</sheetData></worksheet>';
+    expect(parseSheetXml(xml, ['الاسم', 'زيت'])).toEqual([
+      ['الاسم', '', 'السعر'],
+      [],
+      ['زيت', '', 12.5, true]
+    ]);
+  });
+
+  test('should read the first sheet of an xlsx workbook', () => {
+    const workbook = buildZip({
+      'xl/workbook.xml': '<workbook><sheets><sheet name="المنتجات" sheetId="1" r:id="rId7"/></sheets></workbook>',
+      'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId7" Target="worksheets/data.xml"/></Relationships>',
+      'xl/sharedStrings.xml': '<sst><si><t>الاسم</t></si><si><r><t>زيت </t></r><r><t>&amp; سمن</t></r></si></sst>',
+      'xl/worksheets/data.xml': '<worksheet><sheetData><row r="1"><c r="A1" t="s"><v>0</v></c></row>'
+        + '<row r="2"><c r="A2" t="s"><v>1</v></c><c r="B2"><v>7</v></c></row></sheetData></worksheet>'
+    });
+    expect(readXlsx(workbook)).toEqual({ sheetName: 'المنتجات', rows: [['الاسم'], ['زيت & سمن', 7]] });
+  });
+
+  test('should reject old xls files and drop empty rows at the end', () => {
+    expect(() => readSpreadsheet(Buffer.from(''), 'products.xls')).toThrow('xlsx');
+    expect(readSpreadsheet(Buffer.from('name\nسكر\n,\n\n'), 'list.csv').rows).toEqual([['name'], ['سكر']]);
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Backup Encryption
+ * Encrypted backups are portable: they open on any PC with the backup passphrase chosen
+ * by the user, or with the recovery key shown once when the passphrase is set.
+ *
+ * File layout:
+ *   "ASELBAK" | format version (1 byte) | header length (4 bytes, big endian) | header JSON
+ *   | AES-256-GCM ciphertext of the SQLite file | GCM tag (16 bytes)
+ *
+ * Each file gets a random data key. The header stores that key wrapped (AES-256-GCM) once
+ * under the passphrase and once under the recovery key, each with its own random scrypt
+ * salt. The whole header is authenticated with the data, so editing the hint or a wrapped
+ * key is detected like any other change to the file.
+ */
+
+const crypto = require('crypto');
+
+const BACKUP_MAGIC = Buffer.from('ASELBAK', 'ascii');
+const BACKUP_FORMAT_VERSION = 1;
+const PREFIX_LENGTH = BACKUP_MAGIC.length + 1 + 4;
+const TAG_LENGTH = 16;
+const MIN_PASSPHRASE_LENGTH = 8;
+// scrypt cost for passphrases (about 32 MB of memory to derive one key)
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const RECOVERY_KEY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * New recovery key (written down by the user, typed when the passphrase is lost).
+ * @returns {string} 30 characters in groups of five, letters and digits without look-alikes
+ */
+function generateRecoveryKey() {
+    const bytes = crypto.randomBytes(30);
+    const key = Array.from(bytes, byte => RECOVERY_KEY_ALPHABET[byte % RECOVERY_KEY_ALPHABET.length]).join('');
+    return key.match(/.{1,5}/g).join('-');
+}
+
+// Recovery keys are accepted with or without dashes, spaces and in any letter case
+function normalizeRecoveryKey(recoveryKey) {
+    return String(recoveryKey || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+function deriveKey(secret, kdf) {
+    return crypto.scryptSync(secret, Buffer.from(kdf.salt, 'base64'), 32, {
+        N: kdf.N,
+        r: kdf.r,
+        p: kdf.p,
+        maxmem: 256 * kdf.N * kdf.r
+    });
+}
+
+function wrapDataKey(type, secret, dataKey) {
+    const kdf = { name: 'scrypt', ...SCRYPT_PARAMS, salt: crypto.randomBytes(16).toString('base64') };
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(secret, kdf), iv);
+    const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+    return {
+        type,
+        kdf,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        wrapped: wrapped.toString('base64')
+    };
+}
+
+function unwrapDataKey(slot, secret) {
+    // The cost comes from the file; refuse values that would take minutes or gigabytes
+    if (!slot.kdf || slot.kdf.N > 2 ** 17 || slot.kdf.r > 16 || slot.kdf.p > 4) {
+        return null;
+    }
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(secret, slot.kdf), Buffer.from(slot.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(slot.tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(slot.wrapped, 'base64')), decipher.final()]);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Encrypt a backup.
+ * @param {Buffer} data - Plain SQLite backup
+ * @param {{passphrase: string, recoveryKey?: string, hint?: string}} options
+ * @returns {Buffer}
+ */
+function encryptBackup(data, { passphrase, recoveryKey = null, hint = '' }) {
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Backup passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+    const dataKey = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(12);
+    const keys = [wrapDataKey('passphrase', passphrase, dataKey)];
+    if (recoveryKey) {
+        keys.push(wrapDataKey('recovery', normalizeRecoveryKey(recoveryKey), dataKey));
+    }
+    const header = Buffer.from(JSON.stringify({
+        cipher: 'aes-256-gcm',
+        iv: iv.toString('base64'),
+        keys,
+        hint: hint || '',
+        createdAt: new Date().toISOString()
+    }), 'utf8');
+
+    const prefix = Buffer.alloc(PREFIX_LENGTH);
+    BACKUP_MAGIC.copy(prefix);
+    prefix.writeUInt8(BACKUP_FORMAT_VERSION, BACKUP_MAGIC.length);
+    prefix.writeUInt32BE(header.length, BACKUP_MAGIC.length + 1);
+    const aad = Buffer.concat([prefix, header]);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, iv);
+    cipher.setAAD(aad);
+    const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+    return Buffer.concat([aad, encrypted, cipher.getAuthTag()]);
+}
+
+/**
+ * True if the data starts like an encrypted backup (any format version).
+ * @param {Buffer} data - The file, or at least its first bytes
+ * @returns {boolean}
+ */
+function isEncryptedBackup(data) {
+    return Buffer.isBuffer(data) && data.length >= BACKUP_MAGIC.length &&
+        data.subarray(0, BACKUP_MAGIC.length).equals(BACKUP_MAGIC);
+}
+
+/**
+ * Read the header of an encrypted backup (no passphrase needed), e.g. to show the hint.
+ * @param {Buffer} data
+ * @returns {{version: number, headerLength: number, hint: string, createdAt: string, cipher: string, iv: string, keys: Object[]}|null}
+ *          null if the data is not an encrypted backup
+ */
+function readBackupHeader(data) {
+    if (!isEncryptedBackup(data)) {
+        return null;
+    }
+    if (data.length < PREFIX_LENGTH) {
+        throw new Error('Encrypted backup is truncated');
+    }
+    const version = data.readUInt8(BACKUP_MAGIC.length);
+    if (version !== BACKUP_FORMAT_VERSION) {
+        throw new Error(`Unsupported encrypted backup version ${version}`);
+    }
+    const headerLength = data.readUInt32BE(BACKUP_MAGIC.length + 1);
+    if (data.length < PREFIX_LENGTH + headerLength + TAG_LENGTH) {
+        throw new Error('Encrypted backup is truncated');
+    }
+    try {
+        const header = JSON.parse(data.subarray(PREFIX_LENGTH, PREFIX_LENGTH + headerLength).toString('utf8'));
+        return { ...header, version, headerLength };
+    } catch (error) {
+        throw new Error('Encrypted backup header is damaged');
+    }
+}
+
+/**
+ * Decrypt a backup with its passphrase or recovery key.
+ * Throws if neither opens the file, or if the file was altered or damaged.
+ * @param {Buffer} data
+ * @param {string} secret - Passphrase or recovery key
+ * @returns {Buffer} Plain SQLite backup
+ */
+function decryptBackup(data, secret) {
+    const header = readBackupHeader(data);
+    if (!header) {
+        throw new Error('Not an encrypted backup');
+    }
+    let dataKey = null;
+    for (const slot of header.keys || []) {
+        dataKey = unwrapDataKey(slot, slot.type === 'recovery' ? normalizeRecoveryKey(secret) : String(secret || ''));
+        if (dataKey) {
+            break;
+        }
+    }
+    if (!dataKey) {
+        const error = new Error('Wrong backup passphrase or recovery key');
+        error.code = 'WRONG_BACKUP_SECRET';
+        throw error;
+    }
+
+    const dataStart = PREFIX_LENGTH + header.headerLength;
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, Buffer.from(header.iv, 'base64'));
+        decipher.setAAD(data.subarray(0, dataStart));
+        decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+        return Buffer.concat([decipher.update(data.subarray(dataStart, data.length - TAG_LENGTH)), decipher.final()]);
+    } catch (error) {
+        throw new Error('Encrypted backup was altered or damaged');
+    }
+}
+
+module.exports = {
+    BACKUP_FORMAT_VERSION,
+    MIN_PASSPHRASE_LENGTH,
+    generateRecoveryKey,
+    normalizeRecoveryKey,
+    encryptBackup,
+    isEncryptedBackup,
+    readBackupHeader,
+    decryptBackup
+};
@@ -0,0 +1,70 @@
+/**
+ * Backup Diff
+ * Compares the rows of one table in a backup with the live database, by id:
+ * - missing: in the backup only (deleted since the backup was made)
+ * - changed: in both, with different values
+ * - added:   in the live database only (created since the backup was made)
+ * - same:    identical
+ * Only columns present on both sides are compared, so a column added by a later
+ * schema version never marks every row as changed.
+ */
+
+const DIFF_STATUSES = ['missing', 'changed', 'added', 'same'];
+
+function sameValue(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (a === null || a === undefined || b === null || b === undefined) {
+        return (a === null || a === undefined) && (b === null || b === undefined);
+    }
+    // SQLite may hand back 5 for one row and 5.0 / '5' for another
+    return String(a) === String(b);
+}
+
+/**
+ * Columns whose values differ between two versions of a row.
+ * @param {Object} backupRow
+ * @param {Object} liveRow
+ * @returns {string[]}
+ */
+function getChangedColumns(backupRow, liveRow) {
+    return Object.keys(backupRow)
+        .filter(column => Object.prototype.hasOwnProperty.call(liveRow, column))
+        .filter(column => !sameValue(backupRow[column], liveRow[column]));
+}
+
+/**
+ * Compare the rows of a table in a backup with the live rows.
+ * @param {Array<Object>} backupRows - Rows with an id column
+ * @param {Array<Object>} liveRows
+ * @returns {{summary: {missing: number, changed: number, added: number, same: number},
+ *            rows: Array<{id: *, status: string, changedColumns: string[], backup: Object|null, live: Object|null}>}}
+ *          Rows in backup order, then the rows added since
+ */
+function diffTableRows(backupRows, liveRows) {
+    const liveById = new Map(liveRows.map(row => [String(row.id), row]));
+    const summary = { missing: 0, changed: 0, added: 0, same: 0 };
+    const rows = [];
+
+    backupRows.forEach(backup => {
+        const live = liveById.get(String(backup.id)) || null;
+        liveById.delete(String(backup.id));
+        const changedColumns = live ? getChangedColumns(backup, live) : [];
+        const status = !live ? 'missing' : changedColumns.length > 0 ? 'changed' : 'same';
+        summary[status]++;
+        rows.push({ id: backup.id, status, changedColumns, backup, live });
+    });
+    liveById.forEach(live => {
+        summary.added++;
+        rows.push({ id: live.id, status: 'added', changedColumns: [], backup: null, live });
+    });
+
+    return { summary, rows };
+}
+
+module.exports = {
+    DIFF_STATUSES,
+    getChangedColumns,
+    diffTableRows
+};
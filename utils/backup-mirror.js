@@ -0,0 +1,100 @@
+/**
+ * Backup Mirrors
+ * Extra destinations that receive a copy of every backup: a removable drive or a network
+ * share folder. A removable drive is recognised by a marker file written when it is added,
+ * so another USB stick that gets the same drive letter is never written to.
+ * Copies are tracked per destination in backup_copies; a destination that is not
+ * reachable simply receives the missing copies the next time it is.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+const MIRROR_TYPES = ['removable', 'folder'];
+const MIRROR_MARKER_FILE = '.asel-backup-mirror.json';
+// Warn when the newest copy outside this PC is older than this many days
+const DEFAULT_OFFSITE_WARNING_DAYS = 7;
+
+/**
+ * Clean the list of mirror destinations from the settings.
+ * @param {Array<Object>} [destinations] - { id?, label?, path, type }
+ * @returns {Array<{id: string, label: string, path: string, type: 'removable'|'folder'}>}
+ *          One entry per folder, each with an id (new ones get a random id)
+ */
+function normalizeMirrorDestinations(destinations) {
+    const seenPaths = new Set();
+    return (Array.isArray(destinations) ? destinations : [])
+        .filter(destination => destination && typeof destination.path === 'string' && destination.path.trim())
+        .map(destination => ({
+            id: destination.id || `mirror_${crypto.randomBytes(6).toString('hex')}`,
+            label: String(destination.label || '').trim() || path.basename(destination.path.trim()) || destination.path.trim(),
+            path: path.resolve(destination.path.trim()),
+            type: MIRROR_TYPES.includes(destination.type) ? destination.type : 'folder'
+        }))
+        .filter(destination => {
+            const key = destination.path.toLowerCase();
+            if (seenPaths.has(key)) {
+                return false;
+            }
+            seenPaths.add(key);
+            return true;
+        });
+}
+
+/**
+ * Clean the number of days without an off-machine copy before warning.
+ * @param {*} days
+ * @returns {number} 0 turns the warning off
+ */
+function normalizeOffsiteWarningDays(days) {
+    if (days === undefined || days === null || days === '') {
+        return DEFAULT_OFFSITE_WARNING_DAYS;
+    }
+    const count = Math.floor(Number(days));
+    return Number.isFinite(count) && count > 0 ? count : 0;
+}
+
+/**
+ * Backups that a destination does not have yet, oldest first (so the newest is copied last
+ * and the destination's retention sees them in order).
+ * @param {Array<{backupPath: string, createdAt?: string}>} backups
+ * @param {Array<{backupPath: string, destinationId: string, status: string}>} copies
+ * @param {string} destinationId
+ * @returns {Array<Object>}
+ */
+function selectBackupsToMirror(backups, copies, destinationId) {
+    const copied = new Set(copies
+        .filter(copy => copy.destinationId === destinationId && copy.status === 'copied')
+        .map(copy => copy.backupPath));
+    return backups
+        .filter(backup => backup.backupPath && !copied.has(backup.backupPath))
+        .sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+}
+
+/**
+ * When the last copy outside this PC was made, and whether that is too long ago.
+ * @param {Array<{status: string, copiedAt: string}>} copies
+ * @param {number} warningDays - 0 never warns
+ * @param {Date} [now]
+ * @returns {{lastCopyAt: string|null, daysSince: number|null, overdue: boolean}}
+ */
+function getOffsiteStatus(copies, warningDays, now = new Date()) {
+    const lastCopyAt = copies
+        .filter(copy => copy.status === 'copied' && copy.copiedAt)
+        .map(copy => copy.copiedAt)
+        .sort()
+        .pop() || null;
+    const daysSince = lastCopyAt ? Math.floor((now - new Date(lastCopyAt)) / (24 * 60 * 60 * 1000)) : null;
+    const overdue = warningDays > 0 && (daysSince === null || daysSince >= warningDays);
+    return { lastCopyAt, daysSince, overdue };
+}
+
+module.exports = {
+    MIRROR_TYPES,
+    MIRROR_MARKER_FILE,
+    DEFAULT_OFFSITE_WARNING_DAYS,
+    normalizeMirrorDestinations,
+    normalizeOffsiteWarningDays,
+    selectBackupsToMirror,
+    getOffsiteStatus
+};
@@ -0,0 +1,97 @@
+/**
+ * Backup Retention (grandfather-father-son)
+ * Decides which backup files to keep: the newest backup of each of the last N days,
+ * N weeks, N months and N years. A backup kept for any tier stays; the rest are removed.
+ * Days, weeks and months are in local time (weeks start on Monday, ISO numbering).
+ */
+
+const RETENTION_TIERS = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// null keeps every period of that tier (yearly backups are kept forever by default)
+const DEFAULT_RETENTION = { daily: 7, weekly: 4, monthly: 12, yearly: null };
+
+/**
+ * Fill in and clean a retention policy.
+ * @param {Object} [policy] - { daily, weekly, monthly, yearly }: counts, null/'' for no limit
+ * @returns {{daily: number|null, weekly: number|null, monthly: number|null, yearly: number|null}}
+ */
+function normalizeRetention(policy) {
+    const normalized = {};
+    RETENTION_TIERS.forEach(tier => {
+        const value = policy && tier in policy ? policy[tier] : DEFAULT_RETENTION[tier];
+        if (value === null || value === '' || value === undefined) {
+            normalized[tier] = null;
+        } else {
+            const count = Math.floor(Number(value));
+            normalized[tier] = Number.isFinite(count) && count > 0 ? count : 0;
+        }
+    });
+    return normalized;
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+// ISO week: the week belongs to the year of its Thursday
+function isoWeekKey(date) {
+    const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    thursday.setDate(thursday.getDate() + 3 - ((thursday.getDay() + 6) % 7));
+    const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+    firstThursday.setDate(firstThursday.getDate() + 3 - ((firstThursday.getDay() + 6) % 7));
+    const week = 1 + Math.round((thursday - firstThursday) / (7 * 24 * 60 * 60 * 1000));
+    return `${thursday.getFullYear()}-W${pad(week)}`;
+}
+
+const PERIOD_KEYS = {
+    daily: date => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    weekly: isoWeekKey,
+    monthly: date => `${date.getFullYear()}-${pad(date.getMonth() + 1)}`,
+    yearly: date => String(date.getFullYear())
+};
+
+/**
+ * Mark which backups a policy keeps.
+ * @param {Array<{date: Date|string}>} backups - Any objects with the backup time in `date`
+ * @param {Object} [policy] - See normalizeRetention
+ * @returns {Array<Object>} The same backups, newest first, each with `keep` and `keptFor` (tiers)
+ */
+function applyRetentionPolicy(backups, policy) {
+    const retention = normalizeRetention(policy);
+    const sorted = backups
+        .map(backup => ({ ...backup, date: new Date(backup.date), keep: false, keptFor: [] }))
+        .filter(backup => !isNaN(backup.date.getTime()))
+        .sort((a, b) => b.date - a.date);
+
+    RETENTION_TIERS.forEach(tier => {
+        const limit = retention[tier];
+        const seenPeriods = new Set();
+        for (const backup of sorted) {
+            const period = PERIOD_KEYS[tier](backup.date);
+            if (seenPeriods.has(period)) {
+                continue;
+            }
+            if (limit !== null && seenPeriods.size >= limit) {
+                break;
+            }
+            // The newest backup of each period represents it
+            seenPeriods.add(period);
+            backup.keep = true;
+            backup.keptFor.push(tier);
+        }
+    });
+
+    // Whatever the policy, the latest backup is never removed
+    if (sorted.length > 0 && !sorted[0].keep) {
+        sorted[0].keep = true;
+        sorted[0].keptFor.push('latest');
+    }
+    return sorted;
+}
+
+module.exports = {
+    RETENTION_TIERS,
+    DEFAULT_RETENTION,
+    normalizeRetention,
+    applyRetentionPolicy
+};
@@ -0,0 +1,101 @@
+/**
+ * Backup Schedule
+ * When the main process makes automatic backups:
+ * - close: when the program is closed, at most once per day, week or month (the interval setting)
+ * - daily: every day at a set time (HH:MM, local time)
+ * - hours: every N hours, counted from local midnight (every 6 hours = 00:00, 06:00, 12:00, 18:00)
+ * A run that was missed because the program was closed is made once at the next startup.
+ * With onExit, daily and hourly schedules also back up when the program is closed.
+ */
+
+const SCHEDULE_TYPES = ['close', 'daily', 'hours'];
+const DEFAULT_SCHEDULE = { type: 'close', time: '02:00', everyHours: 6, onExit: true };
+
+/**
+ * Fill in and clean a backup schedule.
+ * @param {Object} [schedule] - { type, time, everyHours, onExit }
+ * @returns {{type: 'close'|'daily'|'hours', time: string, everyHours: number, onExit: boolean}}
+ */
+function normalizeSchedule(schedule) {
+    const value = schedule || {};
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value.time || ''));
+    const time = match && Number(match[1]) < 24 && Number(match[2]) < 60
+        ? `${match[1].padStart(2, '0')}:${match[2]}`
+        : DEFAULT_SCHEDULE.time;
+    const everyHours = Math.floor(Number(value.everyHours));
+    return {
+        type: SCHEDULE_TYPES.includes(value.type) ? value.type : DEFAULT_SCHEDULE.type,
+        time,
+        everyHours: everyHours >= 1 && everyHours <= 24 ? everyHours : DEFAULT_SCHEDULE.everyHours,
+        onExit: value.onExit === undefined ? DEFAULT_SCHEDULE.onExit : !!value.onExit
+    };
+}
+
+/**
+ * The latest scheduled time at or before now.
+ * @param {Object} schedule
+ * @param {Date} [now]
+ * @returns {Date|null} null for backups on close only
+ */
+function getLastScheduledTime(schedule, now = new Date()) {
+    const { type, time, everyHours } = normalizeSchedule(schedule);
+    if (type === 'daily') {
+        const [hours, minutes] = time.split(':').map(Number);
+        const slot = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hours, minutes);
+        if (slot > now) {
+            slot.setDate(slot.getDate() - 1);
+        }
+        return slot;
+    }
+    if (type === 'hours') {
+        const slotHour = Math.floor(now.getHours() / everyHours) * everyHours;
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate(), slotHour);
+    }
+    return null;
+}
+
+/**
+ * The next scheduled time after now.
+ * @param {Object} schedule
+ * @param {Date} [now]
+ * @returns {Date|null} null for backups on close only
+ */
+function getNextScheduledTime(schedule, now = new Date()) {
+    const normalized = normalizeSchedule(schedule);
+    const last = getLastScheduledTime(normalized, now);
+    if (!last) {
+        return null;
+    }
+    if (normalized.type === 'daily') {
+        return new Date(last.getFullYear(), last.getMonth(), last.getDate() + 1, last.getHours(), last.getMinutes());
+    }
+    const nextHour = last.getHours() + normalized.everyHours;
+    // Slots start again at midnight
+    return nextHour >= 24
+        ? new Date(last.getFullYear(), last.getMonth(), last.getDate() + 1)
+        : new Date(last.getFullYear(), last.getMonth(), last.getDate(), nextHour);
+}
+
+/**
+ * True when no run was made since the latest scheduled time (it is time, or it was missed).
+ * @param {Object} schedule
+ * @param {string|Date|null} lastRunAt - When the last scheduled run started
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isScheduledRunDue(schedule, lastRunAt, now = new Date()) {
+    const last = getLastScheduledTime(schedule, now);
+    if (!last) {
+        return false;
+    }
+    return !lastRunAt || new Date(lastRunAt) < last;
+}
+
+module.exports = {
+    SCHEDULE_TYPES,
+    DEFAULT_SCHEDULE,
+    normalizeSchedule,
+    getLastScheduledTime,
+    getNextScheduledTime,
+    isScheduledRunDue
+};
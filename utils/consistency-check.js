@@ -0,0 +1,131 @@
+/**
+ * Data Consistency
+ * Comparison of the totals kept up to date by the documents (customers.balance,
+ * suppliers.balance, products.stock) with the values recomputed from the documents themselves.
+ * The documents are read by DatabaseManager.checkDataConsistency; amounts here are in cents
+ * and quantities in the product's smallest unit, as they are stored.
+ */
+
+// Quantities are REAL: differences below this are float rounding, not discrepancies
+const STOCK_TOLERANCE = 1e-6;
+
+function roundQuantity(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Net quantity per product of a list of stock effects.
+ * @param {Array<{productId: string, quantity: number}>} effects
+ * @returns {Map<string, number>}
+ */
+function sumStockEffects(effects) {
+    const totals = new Map();
+    (effects || []).forEach(effect => {
+        totals.set(effect.productId, (totals.get(effect.productId) || 0) + (parseFloat(effect.quantity) || 0));
+    });
+    return totals;
+}
+
+/**
+ * Products on which the stock effect of a document, computed from its contents,
+ * differs from the movements recorded for it in the ledger.
+ * @param {Array<{productId: string, quantity: number}>} expected - From the document
+ * @param {Array<{productId: string, quantity: number}>} recorded - From stock_movements
+ * @returns {Array<{productId: string, expected: number, recorded: number, difference: number}>}
+ */
+function diffStockEffects(expected, recorded) {
+    const expectedTotals = sumStockEffects(expected);
+    const recordedTotals = sumStockEffects(recorded);
+    const productIds = new Set([...expectedTotals.keys(), ...recordedTotals.keys()]);
+    const differences = [];
+    productIds.forEach(productId => {
+        const expectedQuantity = expectedTotals.get(productId) || 0;
+        const recordedQuantity = recordedTotals.get(productId) || 0;
+        if (Math.abs(expectedQuantity - recordedQuantity) > STOCK_TOLERANCE) {
+            differences.push({
+                productId,
+                expected: roundQuantity(expectedQuantity),
+                recorded: roundQuantity(recordedQuantity),
+                difference: roundQuantity(expectedQuantity - recordedQuantity)
+            });
+        }
+    });
+    return differences;
+}
+
+/**
+ * Customers or suppliers whose balance is not their opening balance plus the amounts
+ * of their documents.
+ * @param {Array<{id: string, openingBalance: number, balance: number}>} parties - Cents
+ * @param {Array<{partyId: string, amount: number}>} documents - Amount each document adds to the balance (cents)
+ * @returns {Array<Object>} The parties that differ, each with expectedBalance, difference
+ *   and its documents (newest first)
+ */
+function findBalanceDiscrepancies(parties, documents) {
+    const documentsByParty = new Map();
+    (documents || []).forEach(document => {
+        if (!documentsByParty.has(document.partyId)) {
+            documentsByParty.set(document.partyId, []);
+        }
+        documentsByParty.get(document.partyId).push(document);
+    });
+    return (parties || []).reduce((discrepancies, party) => {
+        const partyDocuments = documentsByParty.get(party.id) || [];
+        const expectedBalance = Math.round((parseFloat(party.openingBalance) || 0)
+            + partyDocuments.reduce((sum, document) => sum + (parseFloat(document.amount) || 0), 0));
+        const balance = Math.round(parseFloat(party.balance) || 0);
+        if (balance !== expectedBalance) {
+            discrepancies.push({
+                ...party,
+                expectedBalance,
+                difference: expectedBalance - balance,
+                documents: [...partyDocuments].sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')))
+            });
+        }
+        return discrepancies;
+    }, []);
+}
+
+/**
+ * Products whose stock is not the total of their ledger, or whose documents differ from
+ * the movements recorded for them.
+ * @param {Array<{id: string, stock: number}>} products
+ * @param {Map<string, number>} ledgerTotals - Sum of stock_movements per product
+ * @param {Array<{productId: string, difference: number}>} documentDifferences - See diffStockEffects,
+ *   one entry per document and product
+ * @returns {Array<Object>} The products that differ, each with ledgerStock, expectedStock,
+ *   difference and the documents that differ
+ */
+function findStockDiscrepancies(products, ledgerTotals, documentDifferences) {
+    const differencesByProduct = new Map();
+    (documentDifferences || []).forEach(difference => {
+        if (!differencesByProduct.has(difference.productId)) {
+            differencesByProduct.set(difference.productId, []);
+        }
+        differencesByProduct.get(difference.productId).push(difference);
+    });
+    return (products || []).reduce((discrepancies, product) => {
+        const documents = differencesByProduct.get(product.id) || [];
+        const stock = parseFloat(product.stock) || 0;
+        const ledgerStock = ledgerTotals.get(product.id) || 0;
+        const expectedStock = ledgerStock + documents.reduce((sum, document) => sum + document.difference, 0);
+        if (Math.abs(expectedStock - stock) > STOCK_TOLERANCE || documents.length > 0) {
+            discrepancies.push({
+                ...product,
+                ledgerStock: roundQuantity(ledgerStock),
+                expectedStock: roundQuantity(expectedStock),
+                difference: roundQuantity(expectedStock - stock),
+                documents
+            });
+        }
+        return discrepancies;
+    }, []);
+}
+
+module.exports = {
+    STOCK_TOLERANCE,
+    sumStockEffects,
+    diffStockEffects,
+    findBalanceDiscrepancies,
+    findStockDiscrepancies
+};
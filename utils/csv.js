@@ -0,0 +1,38 @@
+/**
+ * CSV Utility Functions
+ * CSV files written for Excel: UTF-8 with a BOM (so Arabic text opens correctly),
+ * comma separated, CRLF line endings, values quoted only when needed.
+ */
+
+/**
+ * Quote one value for CSV.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document from rows.
+ * @param {Object[]} rows
+ * @param {string[]} [columns] - Column order (default: keys of all rows, in first-seen order)
+ * @returns {string}
+ */
+function toCsv(rows, columns = null) {
+    const headers = columns || [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const lines = [headers.map(escapeCsvValue).join(',')];
+    rows.forEach(row => {
+        lines.push(headers.map(column => escapeCsvValue(row[column])).join(','));
+    });
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    escapeCsvValue,
+    toCsv
+};
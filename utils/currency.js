@@ -1,72 +1,165 @@
 /**
  * Currency Utility Functions
- * Helper functions for converting between EGP and cents (after REAL to INTEGER migration)
+ * Money is stored in the database as INTEGER cents (قرش). Everything outside the
+ * database (page scripts, IPC payloads) works in EGP, and all arithmetic on amounts
+ * goes through these helpers so it is done on whole cents and rounded the same way
+ * everywhere.
+ *
+ * Loaded with require() in the main process and with a <script> tag in pages,
+ * where the helpers are available as window.Money.
  */
+(function (root) {
+    /**
+     * Convert EGP (Egyptian Pounds) to cents
+     * @param {number|string} egp - Amount in EGP
+     * @returns {number} Amount in cents (integer)
+     */
+    function egpToCents(egp) {
+        const amount = parseFloat(egp);
+        if (isNaN(amount)) {
+            return 0;
+        }
+        // toPrecision drops binary noise first (1.005 * 100 = 100.49999999999999)
+        return Math.round(parseFloat((amount * 100).toPrecision(12)));
+    }
 
-/**
- * Convert EGP (Egyptian Pounds) to cents
- * @param {number} egp - Amount in EGP
- * @returns {number} Amount in cents
- */
-function egpToCents(egp) {
-    if (egp === null || egp === undefined || isNaN(egp)) {
-        return 0;
+    /**
+     * Convert cents to EGP (Egyptian Pounds)
+     * @param {number} cents - Amount in cents
+     * @returns {number} Amount in EGP
+     */
+    function centsToEgp(cents) {
+        const amount = parseFloat(cents);
+        if (isNaN(amount)) {
+            return 0;
+        }
+        return Math.round(amount) / 100;
     }
-    return Math.round(egp * 100);
-}
 
-/**
- * Convert cents to EGP (Egyptian Pounds)
- * @param {number} cents - Amount in cents
- * @returns {number} Amount in EGP
- */
-function centsToEgp(cents) {
-    if (cents === null || cents === undefined || isNaN(cents)) {
-        return 0;
+    /**
+     * Round an EGP amount to whole cents
+     * @param {number|string} amount - Amount in EGP
+     * @returns {number}
+     */
+    function roundMoney(amount) {
+        return centsToEgp(egpToCents(amount));
     }
-    return cents / 100;
-}
 
-/**
- * Format currency for display
- * @param {number} amount - Amount in EGP (not cents!)
- * @returns {string} Formatted currency string
- */
-function formatCurrency(amount) {
-    if (amount === null || amount === undefined || isNaN(amount)) {
-        return '0.00 ج.م';
+    /**
+     * Add EGP amounts
+     * @param {...number} amounts
+     * @returns {number}
+     */
+    function addMoney(...amounts) {
+        return centsToEgp(amounts.reduce((sum, amount) => sum + egpToCents(amount), 0));
     }
-    return new Intl.NumberFormat('ar-EG', {
-        style: 'currency',
-        currency: 'EGP',
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
-    }).format(amount).replace('EGP', 'ج.م');
-}
 
-/**
- * Format currency from cents
- * @param {number} cents - Amount in cents
- * @returns {string} Formatted currency string
- */
-function formatCurrencyFromCents(cents) {
-    return formatCurrency(centsToEgp(cents));
-}
+    /**
+     * Subtract EGP amounts from the first one
+     * @param {number} amount
+     * @param {...number} amounts - Amounts to subtract
+     * @returns {number}
+     */
+    function subtractMoney(amount, ...amounts) {
+        return centsToEgp(amounts.reduce((rest, value) => rest - egpToCents(value), egpToCents(amount)));
+    }
 
-/**
- * Format Arabic currency (legacy function for compatibility)
- * @param {number} amount - Amount in EGP
- * @returns {string} Formatted currency string
- */
-function formatArabicCurrency(amount) {
-    return formatCurrency(amount);
-}
+    /**
+     * Multiply an EGP amount (e.g. a unit price by a quantity), rounded to cents.
+     * Only the product is rounded: an average cost such as 100 / 12 keeps its
+     * fractions, so 1200 units of it cost 10,000.00 and not 1200 × 8.33
+     * @param {number} amount - Amount in EGP
+     * @param {number} factor
+     * @returns {number}
+     */
+    function multiplyMoney(amount, factor) {
+        const value = (parseFloat(amount) || 0) * (parseFloat(factor) || 0);
+        return centsToEgp(Math.round(parseFloat((value * 100).toPrecision(12))));
+    }
+
+    /**
+     * Percentage of an EGP amount (e.g. tax), rounded to cents
+     * @param {number} amount - Amount in EGP
+     * @param {number} rate - Percentage (14 = 14%)
+     * @returns {number}
+     */
+    function percentOfMoney(amount, rate) {
+        return centsToEgp(Math.round(egpToCents(amount) * (parseFloat(rate) || 0) / 100));
+    }
+
+    /**
+     * Sum EGP amounts of a list
+     * @param {Array} items
+     * @param {Function} [getAmount] - Picks the amount from an item (default: the item itself)
+     * @returns {number}
+     */
+    function sumMoney(items, getAmount = (item) => item) {
+        return centsToEgp((items || []).reduce((sum, item) => sum + egpToCents(getAmount(item)), 0));
+    }
+
+    /**
+     * Format currency for display
+     * @param {number} amount - Amount in EGP (not cents!)
+     * @returns {string} Formatted currency string
+     */
+    function formatCurrency(amount) {
+        if (amount === null || amount === undefined || isNaN(amount)) {
+            return '0.00 ج.م';
+        }
+        return new Intl.NumberFormat('ar-EG', {
+            style: 'currency',
+            currency: 'EGP',
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2
+        }).format(amount).replace('EGP', 'ج.م');
+    }
+
+    /**
+     * Format currency from cents
+     * @param {number} cents - Amount in cents
+     * @returns {string} Formatted currency string
+     */
+    function formatCurrencyFromCents(cents) {
+        return formatCurrency(centsToEgp(cents));
+    }
 
-module.exports = {
-    egpToCents,
-    centsToEgp,
-    formatCurrency,
-    formatCurrencyFromCents,
-    formatArabicCurrency
-};
+    /**
+     * Format Arabic currency (legacy function for compatibility)
+     * @param {number} amount - Amount in EGP
+     * @returns {string} Formatted currency string
+     */
+    function formatArabicCurrency(amount) {
+        return formatCurrency(amount);
+    }
+
+    const Money = {
+        toCents: egpToCents,
+        fromCents: centsToEgp,
+        round: roundMoney,
+        add: addMoney,
+        subtract: subtractMoney,
+        multiply: multiplyMoney,
+        percent: percentOfMoney,
+        sum: sumMoney,
+        format: formatCurrency
+    };
 
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            Money,
+            egpToCents,
+            centsToEgp,
+            roundMoney,
+            addMoney,
+            subtractMoney,
+            multiplyMoney,
+            percentOfMoney,
+            sumMoney,
+            formatCurrency,
+            formatCurrencyFromCents,
+            formatArabicCurrency
+        };
+    } else {
+        root.Money = Money;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,102 @@
+/**
+ * Data Transfer
+ * Export of the application data as one JSON bundle (to move it to another installation)
+ * or as one CSV file per table (for an accountant), and the checks a bundle must pass
+ * before it is imported. Amounts are in EGP in both, as the pages show them.
+ * Users are not exported: passwords and permissions belong to each installation.
+ */
+
+const { toCsv } = require('./csv');
+
+const DATA_BUNDLE_FORMAT = 'asel-data-export';
+const DATA_BUNDLE_VERSION = 1;
+
+// Exported tables, each after the tables it references (the order rows are imported in)
+const DATA_TRANSFER_TABLES = [
+    'company_info', 'categories', 'customers', 'suppliers', 'products',
+    'sales_invoices', 'sales_invoice_items', 'purchase_invoices', 'purchase_invoice_items',
+    'delivery_notes', 'delivery_note_items', 'delivery_settlements', 'settlement_items',
+    'receipts', 'payments', 'returns', 'inventory_adjustments', 'stock_movements',
+    'operating_expenses', 'fixed_assets'
+];
+
+/**
+ * Wrap exported rows in a bundle.
+ * @param {Object<string, Array<Object>>} tables - Rows per table
+ * @param {{exportedAt?: string, schemaVersion?: number, appVersion?: string}} [meta]
+ * @returns {Object}
+ */
+function buildDataBundle(tables, meta = {}) {
+    const counts = {};
+    const bundleTables = {};
+    DATA_TRANSFER_TABLES.filter(table => Array.isArray(tables[table])).forEach(table => {
+        bundleTables[table] = tables[table];
+        counts[table] = tables[table].length;
+    });
+    return {
+        format: DATA_BUNDLE_FORMAT,
+        version: DATA_BUNDLE_VERSION,
+        exportedAt: meta.exportedAt || new Date().toISOString(),
+        schemaVersion: meta.schemaVersion || 0,
+        appVersion: meta.appVersion || null,
+        counts,
+        tables: bundleTables
+    };
+}
+
+/**
+ * Check the structure of a bundle read from a file (not its contents against a database).
+ * @param {*} bundle
+ * @param {number} [schemaVersion] - Schema version of this installation
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+ */
+function validateDataBundle(bundle, schemaVersion = null) {
+    const errors = [];
+    const warnings = [];
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== DATA_BUNDLE_FORMAT) {
+        return { valid: false, errors: ['الملف ليس ملف تصدير بيانات من البرنامج'], warnings };
+    }
+    if (bundle.version !== DATA_BUNDLE_VERSION) {
+        errors.push(`إصدار ملف التصدير (${bundle.version}) غير مدعوم`);
+    }
+    if (schemaVersion !== null && bundle.schemaVersion > schemaVersion) {
+        errors.push('الملف مُصدَّر من إصدار أحدث من البرنامج، حدّث البرنامج أولاً');
+    }
+    if (!bundle.tables || typeof bundle.tables !== 'object' || Array.isArray(bundle.tables)) {
+        errors.push('الملف لا يحتوي على جداول');
+    } else {
+        Object.keys(bundle.tables).forEach(table => {
+            const rows = bundle.tables[table];
+            if (!DATA_TRANSFER_TABLES.includes(table)) {
+                warnings.push(`الجدول ${table} غير معروف وسيتم تجاهله`);
+            } else if (!Array.isArray(rows)) {
+                errors.push(`بيانات الجدول ${table} غير صحيحة`);
+            } else if (rows.some(row => !row || typeof row !== 'object' || row.id === undefined || row.id === null || row.id === '')) {
+                errors.push(`بعض سجلات الجدول ${table} بلا معرّف`);
+            }
+        });
+    }
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * One CSV file per table of a bundle, with the columns of all its rows.
+ * @param {Object} bundle
+ * @returns {Array<{fileName: string, content: string, rows: number}>}
+ */
+function bundleToCsvFiles(bundle) {
+    return Object.keys(bundle.tables).map(table => ({
+        fileName: `${table}.csv`,
+        content: toCsv(bundle.tables[table]),
+        rows: bundle.tables[table].length
+    }));
+}
+
+module.exports = {
+    DATA_BUNDLE_FORMAT,
+    DATA_BUNDLE_VERSION,
+    DATA_TRANSFER_TABLES,
+    buildDataBundle,
+    validateDataBundle,
+    bundleToCsvFiles
+};
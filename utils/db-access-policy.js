@@ -0,0 +1,565 @@
+/**
+ * Database Access Policy
+ * Decides which tables each renderer page may read or write through the generic
+ * db-* IPC handlers, and which permission the logged-in user needs for it.
+ * Enforced in the main process - scripts/permissions.js only controls the UI.
+ */
+
+const ALL_WRITES = ['insert', 'update', 'delete'];
+
+// Tables read by the shared page chrome (header notifications, sidebar badges, print headers)
+const SHELL_READ_TABLES = ['products', 'customers', 'company_info'];
+
+// Every table the application knows about; used to find table references in raw SELECTs
+const KNOWN_TABLES = [
+    'products', 'categories', 'customers', 'suppliers',
+    'sales_invoices', 'sales_invoice_items', 'purchase_invoices', 'purchase_invoice_items',
+    'delivery_notes', 'delivery_note_items', 'delivery_settlements', 'settlement_items',
+    'receipts', 'payments', 'inventory_adjustments', 'returns', 'stock_movements',
+    'fixed_assets', 'operating_expenses', 'company_info', 'users',
+    'backup_history', 'backup_copies', 'backup_runs', 'maintenance_runs', 'consistency_corrections', 'login_attempts',
+    'schema_migrations', 'audit_log', 'recycle_bin',
+    // Global search index (read only through the global-search handler)
+    'search_documents', 'search_index'
+];
+
+// Columns that never leave the main process, unless a page policy lists the table in sensitiveRead
+const SENSITIVE_COLUMNS = {
+    users: ['password']
+};
+
+/**
+ * Per-page policy:
+ * - permission: required user permission (null = any logged-in user)
+ * - requiresSession: false only for the login page
+ * - read: tables the page may read (in addition to SHELL_READ_TABLES)
+ * - write: { table: ['insert' | 'update' | 'delete'] }
+ * - updateColumns: optional { table: [columns] } limiting which columns an update may set
+ * - sensitiveRead: tables whose sensitive columns this page may see
+ */
+const PAGE_POLICIES = {
+    // Credentials are checked by the 'login' handler in the main process
+    'login.html': {
+        permission: null,
+        requiresSession: false,
+        read: [],
+        write: {}
+    },
+    'index.html': {
+        permission: null,
+        read: ['categories', 'suppliers', 'sales_invoices', 'sales_invoice_items', 'purchase_invoices', 'purchase_invoice_items'],
+        write: {}
+    },
+    'products.html': {
+        permission: 'products',
+        read: ['categories', 'sales_invoices', 'sales_invoice_items'],
+        write: { products: ALL_WRITES, categories: ALL_WRITES }
+    },
+    'customers.html': {
+        permission: 'customers',
+        read: ['receipts', 'sales_invoices', 'returns'],
+        write: { customers: ALL_WRITES }
+    },
+    'suppliers.html': {
+        permission: 'suppliers',
+        read: ['suppliers', 'payments', 'purchase_invoices', 'returns'],
+        write: { suppliers: ALL_WRITES }
+    },
+    'sales.html': {
+        permission: 'sales',
+        read: ['sales_invoices', 'sales_invoice_items', 'delivery_notes', 'delivery_note_items', 'receipts', 'returns'],
+        write: { customers: ['insert', 'update'], sales_invoices: ['delete'], sales_invoice_items: ['delete'] }
+    },
+    'purchases.html': {
+        permission: 'purchases',
+        read: ['suppliers', 'purchase_invoices', 'purchase_invoice_items', 'payments', 'returns'],
+        write: { suppliers: ['update'] }
+    },
+    'receipts.html': {
+        permission: 'receipts',
+        read: ['receipts', 'sales_invoices'],
+        write: { receipts: ALL_WRITES, customers: ['update'] }
+    },
+    'payments.html': {
+        permission: 'payments',
+        read: ['payments', 'suppliers', 'purchase_invoices'],
+        write: { payments: ALL_WRITES, suppliers: ['update'] }
+    },
+    'inventory.html': {
+        permission: 'inventory',
+        read: [
+            'suppliers', 'inventory_adjustments', 'returns',
+            'sales_invoices', 'sales_invoice_items', 'purchase_invoices', 'purchase_invoice_items'
+        ],
+        // Adjustments and returns are saved through inventory-adjustment-post and return-post;
+        // delete is the recycle-bin-delete of one of them
+        write: { inventory_adjustments: ['delete'], returns: ['delete'] }
+    },
+    'delivery-notes.html': {
+        permission: 'delivery-notes',
+        read: [
+            'delivery_notes', 'delivery_note_items', 'delivery_settlements', 'settlement_items',
+            'sales_invoices', 'sales_invoice_items'
+        ],
+        write: {
+            delivery_notes: ALL_WRITES,
+            delivery_note_items: ALL_WRITES,
+            products: ['update']
+        }
+    },
+    'settlements.html': {
+        permission: 'settlements',
+        read: [
+            'delivery_notes', 'delivery_note_items', 'delivery_settlements', 'settlement_items',
+            'sales_invoices', 'sales_invoice_items'
+        ],
+        // Settlements are saved through delivery-settlement-post; delete is the recycle-bin-delete
+        write: { delivery_settlements: ['delete'] }
+    },
+    'assets.html': {
+        permission: 'assets',
+        read: ['fixed_assets', 'suppliers'],
+        write: { fixed_assets: ALL_WRITES }
+    },
+    'expenses.html': {
+        permission: 'expenses',
+        read: ['operating_expenses'],
+        write: { operating_expenses: ALL_WRITES }
+    },
+    'reports.html': {
+        permission: 'reports',
+        read: [
+            'categories', 'suppliers', 'operating_expenses',
+            'sales_invoices', 'sales_invoice_items', 'purchase_invoices', 'purchase_invoice_items'
+        ],
+        write: {}
+    },
+    'action-logs.html': {
+        permission: 'action_logs',
+        read: [
+            'suppliers', 'delivery_notes', 'delivery_note_items', 'operating_expenses', 'payments',
+            'purchase_invoices', 'receipts', 'returns', 'sales_invoices', 'users'
+        ],
+        write: {}
+    },
+    'maintenance.html': {
+        permission: 'backup',
+        read: [],
+        write: {}
+    },
+    'recycle-bin.html': {
+        permission: 'recycle_bin',
+        read: [],
+        write: {}
+    },
+    'users.html': {
+        permission: 'users',
+        read: ['users'],
+        write: { users: ALL_WRITES }
+    },
+    'settings.html': {
+        permission: 'settings',
+        read: [],
+        write: { company_info: ['insert', 'update'] }
+    },
+    'backup.html': { permission: 'backup', read: [], write: {} },
+    'marketing.html': { permission: null, read: ['categories'], write: {} },
+    'calculator.html': { permission: null, read: [], write: {} },
+    'about.html': { permission: null, read: [], write: {} }
+};
+
+// Dedicated IPC channels that change data, and the permissions that may call them (any of)
+const CHANNEL_PERMISSIONS = {
+    'sales-invoice-post': ['sales'],
+    'purchase-invoice-post': ['purchases'],
+    'purchase-invoice-edit': ['purchases'],
+    'purchase-invoice-delete': ['purchases'],
+    'inventory-adjustment-post': ['inventory'],
+    'return-post': ['inventory'],
+    'delivery-settlement-post': ['settlements'],
+    'stock-rebuild': ['inventory', 'products'],
+    'stock-movements-get': ['action_logs', 'inventory', 'products', 'reports'],
+    'stock-get-at-date': ['action_logs', 'inventory', 'products', 'reports'],
+    'schema-get-status': ['settings'],
+    'backup-create': ['backup'],
+    'backup-restore': ['backup'],
+    'backup-verify': ['backup'],
+    'backup-browse-open': ['backup'],
+    'backup-browse-diff': ['backup'],
+    'backup-browse-restore': ['backup'],
+    'backup-browse-close': ['backup'],
+    'backup-get-history': ['backup'],
+    'backup-get-path': ['backup'],
+    'db-get-path': ['backup'],
+    'db-open-folder': ['backup'],
+    'backup-get-auto-settings': ['backup'],
+    'backup-get-encryption': ['backup'],
+    'backup-get-mirror-status': ['backup'],
+    'backup-get-runs': ['backup'],
+    'backup-preview-retention': ['backup'],
+    'backup-select-path': ['backup'],
+    'data-export': ['backup'],
+    'data-export-save': ['backup'],
+    'data-import': ['backup'],
+    'data-import-read-file': ['backup'],
+    'records-import': ['products', 'customers', 'suppliers'],
+    'records-import-read-file': ['products', 'customers', 'suppliers'],
+    'backup-mirror-now': ['backup'],
+    'backup-set-auto-settings': ['backup'],
+    'backup-disable-auto': ['backup'],
+    'backup-set-encryption': ['backup'],
+    'system-dismiss-alert': ['backup'],
+    'db-health-get': ['backup'],
+    'db-maintenance-run': ['backup'],
+    'db-maintenance-set-settings': ['backup'],
+    'consistency-check': ['backup'],
+    'consistency-apply': ['backup'],
+    'audit-log-search': ['action_logs'],
+    'recycle-bin-list': ['recycle_bin'],
+    'recycle-bin-restore': ['recycle_bin'],
+    'recycle-bin-purge': ['recycle_bin'],
+    'lan-get-settings': ['settings'],
+    'lan-save-settings': ['settings'],
+    'lan-generate-pairing-code': ['settings'],
+    'lan-test-connection': ['settings']
+};
+
+const ACCESS_DENIED_MESSAGE = 'ليس لديك صلاحية لتنفيذ هذه العملية';
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Page file name from a renderer URL (file:///.../sales.html?x#y -> sales.html)
+function getPageName(url) {
+    if (!url || typeof url !== 'string') {
+        return '';
+    }
+    const withoutQuery = url.split('?')[0].split('#')[0];
+    const name = decodeURIComponent(withoutQuery.split(/[\\/]/).pop() || '');
+    return name || 'index.html';
+}
+
+// Permissions column is JSON, but older rows may hold a bare "*"
+function parsePermissions(value) {
+    if (Array.isArray(value)) {
+        return value;
+    }
+    if (typeof value !== 'string') {
+        return [];
+    }
+    const trimmed = value.trim();
+    if (trimmed === '*') {
+        return ['*'];
+    }
+    if (trimmed === '' || trimmed === 'null' || trimmed === 'undefined') {
+        return [];
+    }
+    try {
+        const parsed = JSON.parse(trimmed);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        return trimmed.includes('*') ? ['*'] : [];
+    }
+}
+
+// Same matching rules as PermissionsManager.hasPermission in scripts/permissions.js
+function userHasPermission(user, permission) {
+    if (!permission) {
+        return true;
+    }
+    const permissions = user ? parsePermissions(user.permissions) : [];
+    if (permissions.includes('*') || permissions.includes(permission)) {
+        return true;
+    }
+    if (permission.endsWith('_view')) {
+        return permissions.includes(permission.replace('_view', ''));
+    }
+    return permissions.includes(`${permission}_view`);
+}
+
+function deny(reason) {
+    return { allowed: false, reason, error: ACCESS_DENIED_MESSAGE };
+}
+
+// Session and page-permission checks shared by every operation
+function checkPageAccess(page, user) {
+    const policy = PAGE_POLICIES[page];
+    if (!policy) {
+        return { policy: null, result: deny(`page "${page}" has no database access`) };
+    }
+    if (policy.requiresSession !== false) {
+        if (!user) {
+            return { policy, result: deny(`no logged-in user on ${page}`) };
+        }
+        if (!userHasPermission(user, policy.permission)) {
+            return { policy, result: deny(`user ${user.username || user.id} lacks "${policy.permission}" permission for ${page}`) };
+        }
+    }
+    return { policy, result: { allowed: true } };
+}
+
+function canReadTable(policy, table) {
+    return SHELL_READ_TABLES.includes(table) || policy.read.includes(table) || !!policy.write[table];
+}
+
+/**
+ * Check a table operation coming from a renderer page.
+ * @param {{page: string, user: Object|null, table: string, operation: 'read'|'insert'|'update'|'delete', data?: Object}} request
+ * @returns {{allowed: boolean, reason?: string, error?: string}}
+ */
+function checkTableAccess({ page, user, table, operation, data = null }) {
+    if (!KNOWN_TABLES.includes(table)) {
+        return deny(`unknown table "${table}"`);
+    }
+    const { policy, result } = checkPageAccess(page, user);
+    if (!result.allowed) {
+        return result;
+    }
+
+    if (operation === 'read') {
+        return canReadTable(policy, table) ? { allowed: true } : deny(`${page} may not read ${table}`);
+    }
+
+    const allowedWrites = policy.write[table] || [];
+    if (!allowedWrites.includes(operation)) {
+        return deny(`${page} may not ${operation} ${table}`);
+    }
+
+    if (data && typeof data === 'object') {
+        const columns = Object.keys(data);
+        const badColumn = columns.find(column => !IDENTIFIER_PATTERN.test(column));
+        if (badColumn !== undefined) {
+            return deny(`invalid column name "${badColumn}"`);
+        }
+        const allowedColumns = operation === 'update' && policy.updateColumns && policy.updateColumns[table];
+        if (allowedColumns) {
+            const blocked = columns.filter(column => column !== 'updatedAt' && !allowedColumns.includes(column));
+            if (blocked.length > 0) {
+                return deny(`${page} may not update ${table}.${blocked.join(', ')}`);
+            }
+        }
+    }
+    return { allowed: true };
+}
+
+// Remove comments and string literals so keyword/table scanning only sees SQL structure.
+// Double quotes name identifiers in SQLite ("password"), so they are unquoted rather than removed
+function stripSqlLiteralsAndComments(sql) {
+    return sql
+        .replace(/--[^\n]*/g, ' ')
+        .replace(/\/\*[\s\S]*?\*\//g, ' ')
+        .replace(/'(?:[^']|'')*'/g, "''")
+        .replace(/"((?:[^"]|"")*)"/g, (match, name) => ` ${name.replace(/""/g, '"')} `);
+}
+
+// Any sensitive column named in a piece of SQL structure (see stripSqlLiteralsAndComments)
+function findSensitiveColumn(structure) {
+    return Object.values(SENSITIVE_COLUMNS).flat().find(column => new RegExp(`\\b${column}\\b`, 'i').test(structure));
+}
+
+// Words that may follow a table name after FROM/JOIN and are not its alias
+const SOURCE_FOLLOWERS = 'WHERE|JOIN|LEFT|RIGHT|FULL|INNER|OUTER|CROSS|NATURAL|ON|USING|GROUP|ORDER|LIMIT|HAVING|UNION|EXCEPT|INTERSECT|WINDOW';
+// FROM/JOIN followed by a table, or a comma list of tables, each with an optional alias
+const SOURCE_ALIAS = `(?:\\s+(?:AS\\s+)?(?!(?:${SOURCE_FOLLOWERS})\\b)\\w+)?`;
+const SOURCE_LIST_PATTERN = new RegExp(`\\b(?:FROM|JOIN)\\s+(\\w+${SOURCE_ALIAS}(?:\\s*,\\s*\\w+${SOURCE_ALIAS})*)`, 'gi');
+
+// Names read after FROM/JOIN that are neither a known table nor a WITH query of the statement
+function findUnknownSource(structure) {
+    const withNames = [...structure.matchAll(/(?:\bWITH(?:\s+RECURSIVE)?|,)\s*(\w+)\s*(?:\([^()]*\))?\s+AS\s*\(/gi)]
+        .map(match => match[1].toLowerCase());
+    const sources = [...structure.matchAll(SOURCE_LIST_PATTERN)]
+        .flatMap(match => match[1].split(',').map(source => source.trim().split(/\s+/)[0].toLowerCase()));
+    return sources.find(source => !KNOWN_TABLES.includes(source) && !withNames.includes(source));
+}
+
+/**
+ * Check raw SQL sent by a renderer page: a single SELECT over tables the page may read.
+ * (DatabaseManager.selectQuery additionally verifies the prepared statement is read-only.)
+ * @returns {{allowed: boolean, reason?: string, error?: string}}
+ */
+function checkSelectQuery({ page, user, sql }) {
+    if (typeof sql !== 'string' || sql.trim() === '') {
+        return deny('empty query');
+    }
+    const { policy, result } = checkPageAccess(page, user);
+    if (!result.allowed) {
+        return result;
+    }
+
+    const structure = stripSqlLiteralsAndComments(sql).trim().replace(/;\s*$/, '');
+    if (!/^(SELECT|WITH)\b/i.test(structure)) {
+        return deny('only SELECT queries are allowed from the renderer');
+    }
+    if (structure.includes(';')) {
+        return deny('multiple statements are not allowed');
+    }
+    if (/\b(sqlite_\w+|pragma_\w+|load_extension|attach|detach)\b/i.test(structure)) {
+        return deny('query references internal SQLite objects');
+    }
+
+    // A table added without a policy entry fails closed
+    const unknownSource = findUnknownSource(structure);
+    if (unknownSource) {
+        return deny(`query reads unknown table "${unknownSource}"`);
+    }
+
+    const referencedTables = KNOWN_TABLES.filter(table => new RegExp(`\\b${table}\\b`, 'i').test(structure));
+    const blockedTable = referencedTables.find(table => !canReadTable(policy, table));
+    if (blockedTable) {
+        return deny(`${page} may not read ${blockedTable}`);
+    }
+    const sensitiveTable = referencedTables.find(table => SENSITIVE_COLUMNS[table] && !(policy.sensitiveRead || []).includes(table)
+        && SENSITIVE_COLUMNS[table].some(column => new RegExp(`\\b${column}\\b|\\*`, 'i').test(structure)));
+    if (sensitiveTable) {
+        return deny(`${page} may not select sensitive columns of ${sensitiveTable}`);
+    }
+    return { allowed: true };
+}
+
+/**
+ * Check the WHERE fragment passed to db-get-all (it is concatenated into the SQL).
+ * Sub-selects are rejected so the fragment cannot read other tables, and sensitive columns
+ * may not be filtered on: password LIKE 'a%' would reveal a hash one character at a time.
+ */
+function checkWhereClause(where) {
+    if (!where || (typeof where === 'string' && where.trim() === '')) {
+        return { allowed: true };
+    }
+    if (typeof where !== 'string') {
+        return deny('invalid where clause');
+    }
+    const structure = stripSqlLiteralsAndComments(where);
+    if (structure.includes(';') || /\b(select|union|pragma|attach|sqlite_\w+)\b/i.test(structure)) {
+        return deny('where clause may only filter the requested table');
+    }
+    const sensitiveColumn = findSensitiveColumn(structure);
+    if (sensitiveColumn) {
+        return deny(`where clause may not filter on ${sensitiveColumn}`);
+    }
+    return { allowed: true };
+}
+
+/**
+ * Check the options of a db-search request: the page must be able to read the table
+ * and every related table searched through, and may not filter, search or sort on
+ * columns it is not allowed to see (that would reveal them row by row).
+ * @param {{page: string, user: Object|null, table: string, options?: Object}} request
+ * @returns {{allowed: boolean, reason?: string, error?: string}}
+ */
+function checkSearchOptions({ page, user, table, options = {} }) {
+    const tableAccess = checkTableAccess({ page, user, table, operation: 'read' });
+    if (!tableAccess.allowed) {
+        return tableAccess;
+    }
+    const policy = PAGE_POLICIES[page];
+    const hiddenColumns = (targetTable) => ((policy.sensitiveRead || []).includes(targetTable) ? [] : (SENSITIVE_COLUMNS[targetTable] || []));
+
+    const opts = options || {};
+    const search = opts.search || {};
+    const filters = Array.isArray(opts.filters) ? opts.filters : Object.keys(opts.filters || {}).map(column => ({ column }));
+    const sort = Array.isArray(opts.sort) ? opts.sort : (opts.sort ? [opts.sort] : []);
+    const columns = [
+        ...filters.map(filter => filter && filter.column),
+        ...sort.map(item => item && item.column),
+        ...(search.columns || []),
+        ...(opts.columns || []),
+        ...(search.related || []).map(relation => relation && relation.column)
+    ];
+    const badColumn = columns.find(column => typeof column !== 'string' || !IDENTIFIER_PATTERN.test(column));
+    if (badColumn !== undefined) {
+        return deny(`invalid column name "${badColumn}"`);
+    }
+    const hiddenColumn = columns.find(column => hiddenColumns(table).includes(column));
+    if (hiddenColumn) {
+        return deny(`${page} may not search on ${table}.${hiddenColumn}`);
+    }
+
+    for (const relation of search.related || []) {
+        const relatedAccess = checkTableAccess({ page, user, table: relation.table, operation: 'read' });
+        if (!relatedAccess.allowed) {
+            return relatedAccess;
+        }
+        const relatedColumns = relation.columns || [];
+        const badRelated = relatedColumns.find(column => typeof column !== 'string' || !IDENTIFIER_PATTERN.test(column));
+        if (badRelated !== undefined) {
+            return deny(`invalid column name "${badRelated}"`);
+        }
+        const hiddenRelated = relatedColumns.find(column => hiddenColumns(relation.table).includes(column));
+        if (hiddenRelated) {
+            return deny(`${page} may not search on ${relation.table}.${hiddenRelated}`);
+        }
+    }
+    return { allowed: true };
+}
+
+// Drop columns the page is not allowed to see (e.g. users.password)
+function sanitizeRows(page, table, rows) {
+    const hidden = SENSITIVE_COLUMNS[table];
+    const policy = PAGE_POLICIES[page];
+    if (!hidden || (policy && (policy.sensitiveRead || []).includes(table))) {
+        return rows;
+    }
+    const strip = row => {
+        if (!row || typeof row !== 'object') {
+            return row;
+        }
+        const copy = { ...row };
+        hidden.forEach(column => delete copy[column]);
+        return copy;
+    };
+    return Array.isArray(rows) ? rows.map(strip) : strip(rows);
+}
+
+/**
+ * Check a dedicated (non db-*) IPC channel against the logged-in user's permissions.
+ * Channels not listed in CHANNEL_PERMISSIONS are denied, so a handler whose channel was
+ * never added there fails closed.
+ */
+function checkChannelAccess(channel, user) {
+    const required = Object.prototype.hasOwnProperty.call(CHANNEL_PERMISSIONS, channel) ? CHANNEL_PERMISSIONS[channel] : null;
+    if (!required) {
+        return deny(`no access rule for channel ${channel}`);
+    }
+    if (!user) {
+        return deny(`no logged-in user for ${channel}`);
+    }
+    if (!required.some(permission => userHasPermission(user, permission))) {
+        return deny(`user ${user.username || user.id} may not call ${channel}`);
+    }
+    return { allowed: true };
+}
+
+/**
+ * Record types the logged-in user may find with the global search in the top bar:
+ * those whose page the user is allowed to open.
+ * @param {Object|null} user
+ * @param {Object<string, string>} entityPages - { table: page that opens its records }
+ * @returns {{allowed: boolean, tables?: string[], reason?: string, error?: string}}
+ */
+function getGlobalSearchTables(user, entityPages) {
+    if (!user) {
+        return deny('no logged-in user for global-search');
+    }
+    const tables = Object.keys(entityPages).filter(table => {
+        const policy = PAGE_POLICIES[entityPages[table]];
+        return policy && userHasPermission(user, policy.permission);
+    });
+    return { allowed: true, tables };
+}
+
+module.exports = {
+    PAGE_POLICIES,
+    KNOWN_TABLES,
+    CHANNEL_PERMISSIONS,
+    ACCESS_DENIED_MESSAGE,
+    getPageName,
+    parsePermissions,
+    userHasPermission,
+    checkPageAccess,
+    checkTableAccess,
+    checkSelectQuery,
+    checkWhereClause,
+    checkSearchOptions,
+    sanitizeRows,
+    checkChannelAccess,
+    getGlobalSearchTables
+};
@@ -0,0 +1,214 @@
+/**
+ * Database Health
+ * Thresholds and checks behind the database maintenance page: which measurements of the
+ * database (size, WAL file, free disk space, free pages, last maintenance runs) are a problem,
+ * and when scheduled maintenance is due. The measurements are taken by
+ * DatabaseManager.getDatabaseHealth; the problems are also shown in the header notifications.
+ * Loaded by the main process and, as a plain script, by the maintenance page (scripts/maintenance.js).
+ */
+
+// Maintenance tasks in the order they run
+const MAINTENANCE_TASKS = ['integrity_check', 'checkpoint', 'vacuum', 'analyze'];
+
+const MAINTENANCE_TASK_LABELS = {
+    integrity_check: 'فحص السلامة',
+    checkpoint: 'دمج ملف WAL',
+    vacuum: 'ضغط قاعدة البيانات (VACUUM)',
+    analyze: 'تحديث إحصاءات الاستعلامات (ANALYZE)'
+};
+
+const DEFAULT_MAINTENANCE_SETTINGS = { enabled: true, intervalDays: 7, tasks: [...MAINTENANCE_TASKS] };
+
+const DB_HEALTH_LIMITS = {
+    // Below this the database can fail to write at all
+    freeSpaceErrorBytes: 100 * 1024 * 1024,
+    // VACUUM and backups need room for a full copy of the database
+    freeSpaceWarningBytes: 500 * 1024 * 1024,
+    walWarningBytes: 50 * 1024 * 1024,
+    fragmentationWarningPercent: 25,
+    // A few free pages in a small database are not worth a warning
+    fragmentationMinBytes: 5 * 1024 * 1024,
+    integrityCheckWarningDays: 30
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Size for display (B, KB, MB, GB).
+ * @param {number|null} bytes
+ * @returns {string} '—' when unknown
+ */
+function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined || !isFinite(bytes)) {
+        return '—';
+    }
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Share of the database file taken by free pages (space VACUUM gives back).
+ * @param {number} freelistCount - PRAGMA freelist_count
+ * @param {number} pageCount - PRAGMA page_count
+ * @returns {number} Percent, one decimal
+ */
+function getFragmentationPercent(freelistCount, pageCount) {
+    if (!pageCount || pageCount <= 0 || !freelistCount || freelistCount <= 0) {
+        return 0;
+    }
+    return Math.round((freelistCount / pageCount) * 1000) / 10;
+}
+
+/**
+ * Fill in and clean the scheduled maintenance settings.
+ * @param {Object} [settings] - { enabled, intervalDays (1-90), tasks }
+ * @returns {{enabled: boolean, intervalDays: number, tasks: string[]}}
+ */
+function normalizeMaintenanceSettings(settings) {
+    const source = settings || {};
+    const days = Math.floor(Number(source.intervalDays));
+    const tasks = Array.isArray(source.tasks)
+        ? MAINTENANCE_TASKS.filter(task => source.tasks.includes(task))
+        : [...DEFAULT_MAINTENANCE_SETTINGS.tasks];
+    return {
+        enabled: source.enabled === undefined ? DEFAULT_MAINTENANCE_SETTINGS.enabled : source.enabled === true,
+        intervalDays: Number.isFinite(days) ? Math.min(90, Math.max(1, days)) : DEFAULT_MAINTENANCE_SETTINGS.intervalDays,
+        tasks
+    };
+}
+
+/**
+ * Time of the next scheduled maintenance.
+ * @param {Object} settings - See normalizeMaintenanceSettings
+ * @param {Date|string|null} lastRunAt - Start of the last scheduled run
+ * @param {Date} [now]
+ * @returns {Date|null} null when scheduled maintenance is off; now when it is due
+ */
+function getNextMaintenanceTime(settings, lastRunAt, now = new Date()) {
+    const normalized = normalizeMaintenanceSettings(settings);
+    if (!normalized.enabled || normalized.tasks.length === 0) {
+        return null;
+    }
+    if (!lastRunAt) {
+        return now;
+    }
+    const next = new Date(new Date(lastRunAt).getTime() + normalized.intervalDays * DAY_MS);
+    return next < now ? now : next;
+}
+
+/**
+ * Whether scheduled maintenance should run now.
+ * @param {Object} settings - See normalizeMaintenanceSettings
+ * @param {Date|string|null} lastRunAt - Start of the last scheduled run
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isMaintenanceDue(settings, lastRunAt, now = new Date()) {
+    const next = getNextMaintenanceTime(settings, lastRunAt, now);
+    return next !== null && next <= now;
+}
+
+/**
+ * Problems of the database, worst first.
+ * @param {Object} health - { dbSize, walSize, freeDiskSpace (null when unknown), fragmentationPercent,
+ *   reclaimableBytes, lastRuns: { task: { status, startedAt, details, error } | null } }
+ * @param {Date} [now]
+ * @returns {Array<{id: string, level: 'error'|'warning', title: string, details: string}>}
+ */
+function evaluateDatabaseHealth(health, now = new Date()) {
+    const issues = [];
+    const lastRuns = health.lastRuns || {};
+
+    const integrity = lastRuns.integrity_check;
+    // A failed check either found problems (details.errors) or could not run (error)
+    const integrityFailed = Boolean(integrity && integrity.status === 'failed' && integrity.details
+        && Array.isArray(integrity.details.errors) && integrity.details.errors.length > 0);
+    if (integrityFailed) {
+        issues.push({
+            id: 'integrity',
+            level: 'error',
+            title: 'فحص السلامة وجد مشاكل في قاعدة البيانات',
+            details: `${integrity.details.errors.length} مشكلة - استعد آخر نسخة احتياطية سليمة أو استخدم أداة الإصلاح`
+        });
+    } else if (integrity && integrity.status === 'success'
+        && now - new Date(integrity.startedAt) > DB_HEALTH_LIMITS.integrityCheckWarningDays * DAY_MS) {
+        issues.push({
+            id: 'integrity-old',
+            level: 'warning',
+            title: 'لم يتم فحص سلامة قاعدة البيانات منذ مدة',
+            details: `آخر فحص منذ ${Math.floor((now - new Date(integrity.startedAt)) / DAY_MS)} يوم`
+        });
+    }
+
+    const free = health.freeDiskSpace;
+    if (free !== null && free !== undefined) {
+        if (free < DB_HEALTH_LIMITS.freeSpaceErrorBytes) {
+            issues.push({
+                id: 'disk-space',
+                level: 'error',
+                title: 'مساحة القرص على وشك النفاد',
+                details: `المتبقي ${formatBytes(free)} فقط - قد يفشل حفظ البيانات`
+            });
+        } else if (free < Math.max(DB_HEALTH_LIMITS.freeSpaceWarningBytes, 2 * (health.dbSize || 0))) {
+            issues.push({
+                id: 'disk-space',
+                level: 'warning',
+                title: 'مساحة القرص منخفضة',
+                details: `المتبقي ${formatBytes(free)} وحجم قاعدة البيانات ${formatBytes(health.dbSize)}`
+            });
+        }
+    }
+
+    if (health.walSize > DB_HEALTH_LIMITS.walWarningBytes) {
+        issues.push({
+            id: 'wal-size',
+            level: 'warning',
+            title: 'ملف WAL كبير',
+            details: `حجمه ${formatBytes(health.walSize)} - شغّل دمج ملف WAL من صفحة الصيانة`
+        });
+    }
+
+    if (health.fragmentationPercent >= DB_HEALTH_LIMITS.fragmentationWarningPercent
+        && health.reclaimableBytes >= DB_HEALTH_LIMITS.fragmentationMinBytes) {
+        issues.push({
+            id: 'fragmentation',
+            level: 'warning',
+            title: 'قاعدة البيانات تحتاج إلى ضغط',
+            details: `${health.fragmentationPercent}% من الملف مساحة فارغة (${formatBytes(health.reclaimableBytes)})`
+        });
+    }
+
+    const failedTasks = MAINTENANCE_TASKS.filter(task => lastRuns[task] && lastRuns[task].status === 'failed'
+        && !(task === 'integrity_check' && integrityFailed));
+    if (failedTasks.length > 0) {
+        issues.push({
+            id: 'maintenance-failed',
+            level: 'warning',
+            title: 'فشلت آخر صيانة لقاعدة البيانات',
+            details: failedTasks.map(task => `${MAINTENANCE_TASK_LABELS[task]}: ${lastRuns[task].error || 'خطأ غير معروف'}`).join(' - ')
+        });
+    }
+
+    return issues.sort((a, b) => (a.level === 'error' ? 0 : 1) - (b.level === 'error' ? 0 : 1));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MAINTENANCE_TASKS,
+        MAINTENANCE_TASK_LABELS,
+        DEFAULT_MAINTENANCE_SETTINGS,
+        DB_HEALTH_LIMITS,
+        formatBytes,
+        getFragmentationPercent,
+        normalizeMaintenanceSettings,
+        getNextMaintenanceTime,
+        isMaintenanceDue,
+        evaluateDatabaseHealth
+    };
+}
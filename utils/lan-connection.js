@@ -0,0 +1,553 @@
+/**
+ * LAN Host and Client
+ * Transport for the multi-PC mode described in utils/lan-protocol.js: one sealed JSON
+ * message per HTTP POST to /rpc on the host.
+ *
+ * - Each client first opens its own channel with the host. The host hands every request
+ *   that came through a channel to handleRequest with that channel's id, and sessions
+ *   belong to the channel, not to the client id a request claims.
+ *
+ * - LanHost runs in the host PC's main process and hands each opened request to
+ *   handleRequest (main.js dispatches it to the same IPC handler a local page uses).
+ * - LanClient runs in a client PC's main process. It pings the host to know whether the
+ *   connection is up, reconnects with a growing delay after a failure, and resumes the
+ *   session after reconnecting with the token the host gave it at login (a host that
+ *   restarted no longer knows the token, and the user has to log in again).
+ *   Requests are never retried automatically, so a write is not applied twice.
+ * - Data changes made on the host (by any PC) ride along on every reply: the client sends
+ *   the last change it has seen and emits 'data-changed' with the newer ones.
+ */
+
+const http = require('http');
+const os = require('os');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const {
+    DEFAULT_LAN_PORT,
+    deriveLanKey,
+    createChannelKeyPair,
+    deriveChannelKey,
+    sealMessage,
+    openMessage,
+    stampRequest,
+    ReplayGuard
+} = require('./lan-protocol');
+
+const MAX_REQUEST_BYTES = 20 * 1024 * 1024;
+// Also how long a change made on another PC takes at most to show up on an idle client
+const PING_INTERVAL_MS = 5 * 1000;
+const MAX_RECONNECT_DELAY_MS = 30 * 1000;
+// A client that has not pinged for this long is no longer listed as connected
+const CLIENT_STALE_MS = 45 * 1000;
+const REQUEST_TIMEOUT_MS = 60 * 1000;
+const PING_TIMEOUT_MS = 5 * 1000;
+// Data changes kept on the host for clients that have not asked for them yet
+const MAX_CHANGE_LOG = 1000;
+
+const OFFLINE_MESSAGE = 'لا يوجد اتصال بالجهاز المضيف، جارٍ إعادة المحاولة';
+// Host reply to a channel it does not know (it restarted); the client opens a new one
+const UNKNOWN_CHANNEL_ERROR = 'Unknown channel';
+
+// IPv4 addresses of this PC on the local network (shown on the host for clients to type)
+function getLocalAddresses() {
+    return Object.values(os.networkInterfaces())
+        .flat()
+        .filter(item => item && item.family === 'IPv4' && !item.internal)
+        .map(item => item.address);
+}
+
+class LanHost extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.pairingCode
+     * @param {number} [options.port]
+     * @param {(request: Object, remoteAddress: string) => Promise<*>} options.handleRequest -
+     *   Gets the opened request with channelId set to the channel it came through
+     */
+    constructor({ pairingCode, port = DEFAULT_LAN_PORT, handleRequest }) {
+        super();
+        this.key = deriveLanKey(pairingCode);
+        this.port = port;
+        this.handleRequest = handleRequest;
+        this.replayGuard = new ReplayGuard();
+        this.clients = new Map();
+        this.server = null;
+        this.lastError = null;
+        this.pruneTimer = null;
+        // Sequence numbers restart with the host, so clients also compare the epoch
+        this.changeEpoch = crypto.randomUUID();
+        this.changeSeq = 0;
+        this.changeLog = [];
+        // Channel keys agreed with client PCs: channelId -> key
+        this.channels = new Map();
+        // Users logged in on client PCs: channelId -> { userId, token }
+        this.sessions = new Map();
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.onHttpRequest(req, res));
+            this.server.once('error', (error) => {
+                this.lastError = error.code === 'EADDRINUSE' ? `المنفذ ${this.port} مستخدم من برنامج آخر` : error.message;
+                this.server = null;
+                this.emit('status', this.getStatus());
+                reject(error);
+            });
+            this.server.listen(this.port, '0.0.0.0', () => {
+                this.lastError = null;
+                this.pruneTimer = setInterval(() => this.pruneClients(), CLIENT_STALE_MS / 3);
+                this.emit('status', this.getStatus());
+                resolve();
+            });
+        });
+    }
+
+    stop() {
+        clearInterval(this.pruneTimer);
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+    }
+
+    getStatus() {
+        const now = Date.now();
+        return {
+            mode: 'host',
+            running: !!this.server,
+            port: this.port,
+            addresses: getLocalAddresses(),
+            clients: [...this.clients.values()]
+                .filter(client => now - client.lastSeen < CLIENT_STALE_MS)
+                .map(({ clientId, name, address, lastSeen }) => ({ clientId, name, address, lastSeen: new Date(lastSeen).toISOString() })),
+            lastError: this.lastError
+        };
+    }
+
+    /**
+     * Keep data changes for client PCs (sent with their next reply).
+     * @param {Array<{table: string, operation: string, ids: string[]}>} changes
+     */
+    publishChanges(changes) {
+        changes.forEach(change => this.changeLog.push({ seq: ++this.changeSeq, change }));
+        if (this.changeLog.length > MAX_CHANGE_LOG) {
+            this.changeLog.splice(0, this.changeLog.length - MAX_CHANGE_LOG);
+        }
+    }
+
+    /**
+     * Changes a client has not seen yet.
+     * @param {{epoch: string, seq: number}|null} cursor - Last change the client received
+     * @returns {{epoch: string, seq: number, changes: Array}}
+     */
+    getChangesSince(cursor) {
+        const update = { epoch: this.changeEpoch, seq: this.changeSeq, changes: [] };
+        if (!cursor) {
+            // First contact: the client loads its pages from the host anyway
+            return update;
+        }
+        if (cursor.epoch !== this.changeEpoch || cursor.seq < this.changeSeq - this.changeLog.length) {
+            // Host restarted or the client missed more than the log keeps: reload everything
+            update.changes = [{ table: '*', operation: 'reload', ids: [] }];
+        } else {
+            update.changes = this.changeLog.filter(entry => entry.seq > cursor.seq).map(entry => entry.change);
+        }
+        return update;
+    }
+
+    /**
+     * Agree on a channel key with a client PC ('lan-hello').
+     * @param {string} clientPublicKey - From the client's createChannelKeyPair
+     * @returns {{channelId: string, publicKey: string}} Sent back to the client
+     */
+    openChannel(clientPublicKey) {
+        const { publicKey, privateKey } = createChannelKeyPair();
+        const channelId = crypto.randomUUID();
+        this.channels.set(channelId, deriveChannelKey(this.key, privateKey, clientPublicKey));
+        return { channelId, publicKey };
+    }
+
+    /**
+     * Start the session of a client PC once the host has verified its login.
+     * @param {string} clientId - Channel id of the client
+     * @param {string} userId
+     * @returns {string} Token the client resumes the session with after reconnecting
+     */
+    startSession(clientId, userId) {
+        const token = crypto.randomBytes(32).toString('hex');
+        // page: the client's page, set by setSessionPage once the host allowed its user there
+        this.sessions.set(clientId, { userId, token, page: null });
+        return token;
+    }
+
+    /**
+     * Resume the session of a client PC after it reconnected. Only the token handed out by
+     * startSession is accepted, so a paired client cannot claim another user's id.
+     * @param {string} clientId
+     * @param {string} token
+     * @returns {boolean}
+     */
+    resumeSession(clientId, token) {
+        const session = this.sessions.get(clientId);
+        if (!session || typeof token !== 'string' || token.length !== session.token.length) {
+            return false;
+        }
+        return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(session.token));
+    }
+
+    endSession(clientId) {
+        this.sessions.delete(clientId);
+    }
+
+    getSessionUserId(clientId) {
+        const session = this.sessions.get(clientId);
+        return session ? session.userId : null;
+    }
+
+    /**
+     * Record the page a client PC's user moved to (after the host checked the user may open it).
+     * @param {string} clientId
+     * @param {string} page
+     * @returns {boolean} false when the client has no session
+     */
+    setSessionPage(clientId, page) {
+        const session = this.sessions.get(clientId);
+        if (!session) {
+            return false;
+        }
+        session.page = page;
+        return true;
+    }
+
+    /**
+     * Page the host checks a client's requests against: the login page until the client has a
+     * session, then the page its session was last moved to.
+     * @param {string} clientId
+     * @returns {string}
+     */
+    getSessionPage(clientId) {
+        const session = this.sessions.get(clientId);
+        return session ? session.page || '' : 'login.html';
+    }
+
+    pruneClients() {
+        const now = Date.now();
+        let changed = false;
+        for (const [clientId, client] of this.clients) {
+            if (now - client.lastSeen >= CLIENT_STALE_MS) {
+                this.clients.delete(clientId);
+                changed = true;
+            }
+        }
+        if (changed) {
+            this.emit('status', this.getStatus());
+        }
+    }
+
+    onHttpRequest(req, res) {
+        if (req.method !== 'POST' || req.url !== '/rpc') {
+            res.writeHead(404).end();
+            return;
+        }
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_REQUEST_BYTES) {
+                res.writeHead(413).end();
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', async () => {
+            if (res.writableEnded) {
+                return;
+            }
+            let request;
+            let channelId = null;
+            let key = this.key;
+            try {
+                const envelope = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                if (envelope && envelope.channel) {
+                    channelId = envelope.channel;
+                    key = this.channels.get(channelId);
+                    if (!key) {
+                        throw new Error(UNKNOWN_CHANNEL_ERROR);
+                    }
+                }
+                request = openMessage(key, envelope);
+                // The pairing key alone only opens channels
+                if (!channelId && request.channel !== 'lan-hello') {
+                    throw new Error('Request was not sent through a channel');
+                }
+                this.replayGuard.check(request);
+            } catch (error) {
+                console.warn(`[LAN] Rejected request from ${req.socket.remoteAddress}: ${error.message}`);
+                res.writeHead(401, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: error.message }));
+                return;
+            }
+
+            this.trackClient(request, req.socket.remoteAddress);
+            let result;
+            try {
+                result = channelId
+                    ? await this.handleRequest({ ...request, channelId }, req.socket.remoteAddress)
+                    : this.openChannel((request.args || [])[0]);
+            } catch (error) {
+                console.error(`[LAN] Error handling ${request.channel}:`, error);
+                result = { success: false, error: error.message };
+            }
+            // undefined is not valid JSON; handlers that return nothing reply null
+            const reply = sealMessage(key, {
+                replyTo: request.nonce,
+                result: result === undefined ? null : result,
+                changes: this.getChangesSince(request.changesFrom)
+            }, channelId);
+            res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(reply));
+        });
+    }
+
+    trackClient(request, address) {
+        const isNew = !this.clients.has(request.clientId);
+        this.clients.set(request.clientId, {
+            clientId: request.clientId,
+            name: request.clientName || address,
+            address,
+            lastSeen: Date.now()
+        });
+        if (isNew) {
+            this.emit('status', this.getStatus());
+        }
+    }
+}
+
+class LanClient extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.hostAddress - Host PC name or IP address
+     * @param {number} [options.port]
+     * @param {string} options.pairingCode
+     */
+    constructor({ hostAddress, port = DEFAULT_LAN_PORT, pairingCode }) {
+        super();
+        this.key = deriveLanKey(pairingCode);
+        this.hostAddress = hostAddress;
+        this.port = port;
+        this.clientId = crypto.randomUUID();
+        this.clientName = os.hostname();
+        this.state = 'connecting';
+        this.hostName = null;
+        this.lastError = null;
+        this.connectedSince = null;
+        this.failedAttempts = 0;
+        this.sessionToken = null;
+        // Page the host's session of this PC was last moved to (lan-navigate)
+        this.sessionPage = null;
+        // { id, key } agreed with the host, opened by the first request
+        this.channel = null;
+        this.pingTimer = null;
+        this.stopped = false;
+        this.changeCursor = null;
+    }
+
+    start() {
+        this.stopped = false;
+        this.ping();
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.pingTimer);
+    }
+
+    getStatus() {
+        return {
+            mode: 'client',
+            state: this.state,
+            hostAddress: this.hostAddress,
+            port: this.port,
+            hostName: this.hostName,
+            connectedSince: this.connectedSince,
+            lastError: this.lastError
+        };
+    }
+
+    /**
+     * Run an IPC operation on the host.
+     * @param {string} channel
+     * @param {Array} args
+     * @param {string} page - Calling page; once logged in, the host's session is moved to it first
+     * and the host checks the request against that page
+     * @returns {Promise<*>} The handler's result, or { success: false, error, offline: true }
+     */
+    async request(channel, args = [], page = '') {
+        try {
+            if (this.sessionToken && page !== this.sessionPage) {
+                const moved = await this.send({ channel: 'lan-navigate', args: [page] }, REQUEST_TIMEOUT_MS);
+                if (!moved || !moved.success) {
+                    return moved;
+                }
+                this.sessionPage = page;
+            }
+            return await this.send({ channel, args }, REQUEST_TIMEOUT_MS);
+        } catch (error) {
+            this.setDisconnected(error);
+            return { success: false, error: OFFLINE_MESSAGE, offline: true };
+        }
+    }
+
+    /**
+     * Remember the session the host started for this PC's login, to resume it after reconnecting.
+     * @param {string|null} token
+     */
+    rememberSession(token) {
+        this.sessionToken = token || null;
+        this.sessionPage = null;
+    }
+
+    /**
+     * Forget the session of this PC and tell the host (logged out).
+     */
+    async endSession() {
+        this.sessionToken = null;
+        this.sessionPage = null;
+        try {
+            await this.send({ channel: 'lan-session', args: [null] }, PING_TIMEOUT_MS);
+        } catch (error) {
+            this.setDisconnected(error);
+        }
+    }
+
+    async ping() {
+        clearTimeout(this.pingTimer);
+        if (this.stopped) {
+            return;
+        }
+        try {
+            const result = await this.send({ channel: 'lan-ping', args: [] }, PING_TIMEOUT_MS);
+            const reconnected = this.state !== 'connected';
+            this.hostName = result && result.hostName ? result.hostName : null;
+            if (reconnected && this.sessionToken) {
+                const resumed = await this.send({ channel: 'lan-session', args: [this.sessionToken] }, PING_TIMEOUT_MS);
+                if (!resumed || !resumed.success) {
+                    this.sessionToken = null;
+                    this.emit('session-ended');
+                }
+            }
+            this.failedAttempts = 0;
+            this.lastError = null;
+            if (reconnected) {
+                this.state = 'connected';
+                this.connectedSince = new Date().toISOString();
+                console.log(`[LAN] Connected to host ${this.hostAddress}:${this.port}`);
+                this.emit('status', this.getStatus());
+            }
+            this.schedulePing(PING_INTERVAL_MS);
+        } catch (error) {
+            this.setDisconnected(error);
+        }
+    }
+
+    schedulePing(delay) {
+        clearTimeout(this.pingTimer);
+        if (!this.stopped) {
+            this.pingTimer = setTimeout(() => this.ping(), delay);
+        }
+    }
+
+    // Emit the host's data changes carried by a reply
+    receiveChanges(update) {
+        if (!update) {
+            return;
+        }
+        const cursor = this.changeCursor;
+        // Replies to parallel requests can arrive out of order; never step back
+        if (cursor && cursor.epoch === update.epoch && update.seq <= cursor.seq) {
+            return;
+        }
+        this.changeCursor = { epoch: update.epoch, seq: update.seq };
+        if (update.changes.length > 0) {
+            this.emit('data-changed', update.changes);
+        }
+    }
+
+    setDisconnected(error) {
+        this.failedAttempts++;
+        this.lastError = error.message;
+        if (this.state !== 'disconnected') {
+            console.warn(`[LAN] Lost connection to host ${this.hostAddress}:${this.port}: ${error.message}`);
+            this.state = 'disconnected';
+            this.connectedSince = null;
+            this.emit('status', this.getStatus());
+        }
+        // 2s, 4s, 8s ... up to 30s between attempts
+        this.schedulePing(Math.min(1000 * Math.pow(2, this.failedAttempts), MAX_RECONNECT_DELAY_MS));
+    }
+
+    async send(message, timeoutMs) {
+        if (!this.channel) {
+            const { publicKey, privateKey } = createChannelKeyPair();
+            const opened = await this.post(this.key, null, { channel: 'lan-hello', args: [publicKey] }, timeoutMs);
+            if (!opened || !opened.channelId) {
+                throw new Error((opened && opened.error) || 'Host did not open a channel');
+            }
+            this.channel = { id: opened.channelId, key: deriveChannelKey(this.key, privateKey, opened.publicKey) };
+        }
+        return this.post(this.channel.key, this.channel.id, message, timeoutMs);
+    }
+
+    post(key, channelId, message, timeoutMs) {
+        const request = stampRequest({
+            ...message,
+            clientId: this.clientId,
+            clientName: this.clientName,
+            changesFrom: this.changeCursor
+        });
+        const body = JSON.stringify(sealMessage(key, request, channelId));
+        return new Promise((resolve, reject) => {
+            const req = http.request({
+                host: this.hostAddress,
+                port: this.port,
+                path: '/rpc',
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+                timeout: timeoutMs
+            }, (res) => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => {
+                    try {
+                        const payload = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                        if (res.statusCode === 401) {
+                            if (payload.error === UNKNOWN_CHANNEL_ERROR && this.channel && this.channel.id === channelId) {
+                                this.channel = null;
+                            }
+                            throw new Error(`Host refused the request: ${payload.error}`);
+                        }
+                        if (res.statusCode !== 200) {
+                            throw new Error(`Host answered HTTP ${res.statusCode}`);
+                        }
+                        const reply = openMessage(key, payload);
+                        if (reply.replyTo !== request.nonce) {
+                            throw new Error('Reply does not match the request');
+                        }
+                        this.receiveChanges(reply.changes);
+                        resolve(reply.result);
+                    } catch (error) {
+                        reject(error);
+                    }
+                });
+            });
+            req.on('timeout', () => req.destroy(new Error('Host did not answer in time')));
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+}
+
+module.exports = {
+    LanHost,
+    LanClient,
+    getLocalAddresses
+};
@@ -0,0 +1,232 @@
+/**
+ * LAN Protocol
+ * Several PCs share one database: the host PC's main process serves the IPC operations
+ * listed in LAN_CHANNELS, and client PCs send them over the local network instead of
+ * using their own database file (see utils/lan-connection.js).
+ *
+ * Every request and response is a JSON message sealed with AES-256-GCM. A client first
+ * opens a channel ('lan-hello', sealed under the key derived from the pairing code shown
+ * on the host): both PCs exchange X25519 public keys and derive a key of their own, which
+ * seals everything else the client sends. Only PCs that know the code can open a channel,
+ * and a paired PC that listens on the network cannot read or forge another PC's channel
+ * (so it cannot act as that PC's logged-in user). The timestamp and nonce inside each
+ * sealed request stop a captured request from being replayed.
+ */
+
+const crypto = require('crypto');
+
+const PROTOCOL_VERSION = 2;
+const DEFAULT_LAN_PORT = 47800;
+// Requests older or newer than this (clock difference included) are rejected
+const MAX_CLOCK_SKEW_MS = 2 * 60 * 1000;
+const KEY_SALT = 'asel-lan-v1';
+const CHANNEL_KEY_INFO = 'asel-lan-channel';
+
+// IPC channels a client sends to the host; everything else (windows, printing,
+// dialogs, password hashing) stays on the client PC
+const LAN_CHANNELS = [
+    'login',
+    'db-insert',
+    'db-update',
+    'db-delete',
+    'db-get',
+    'db-get-all',
+    'db-search',
+    'global-search',
+    'db-query',
+    'sales-invoice-post',
+    'purchase-invoice-post',
+    'purchase-invoice-edit',
+    'purchase-invoice-delete',
+    'inventory-adjustment-post',
+    'return-post',
+    'delivery-settlement-post',
+    'stock-movements-get',
+    'stock-get-at-date',
+    'stock-rebuild',
+    'audit-log-search',
+    'recycle-bin-delete',
+    'recycle-bin-list',
+    'recycle-bin-restore',
+    'recycle-bin-purge',
+    'db-get-path',
+    'schema-get-status',
+    'backup-create',
+    'backup-restore',
+    'backup-get-history',
+    'backup-verify',
+    'backup-browse-open',
+    'backup-browse-diff',
+    'backup-browse-restore',
+    'backup-browse-close',
+    'data-export',
+    'data-import',
+    'records-import',
+    'backup-get-path',
+    'backup-set-auto-settings',
+    'backup-get-auto-settings',
+    'backup-preview-retention',
+    'backup-get-mirror-status',
+    'backup-mirror-now',
+    'backup-get-runs',
+    'system-get-alerts',
+    'system-dismiss-alert',
+    'db-health-get',
+    'db-maintenance-run',
+    'db-maintenance-set-settings',
+    'consistency-check',
+    'consistency-apply',
+    'backup-disable-auto',
+    'backup-get-encryption',
+    'backup-set-encryption'
+];
+
+/**
+ * New pairing code for a host (typed on each client PC).
+ * @returns {string} 20 characters, letters and digits without look-alikes
+ */
+function generatePairingCode() {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const bytes = crypto.randomBytes(20);
+    const code = Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+    return code.match(/.{1,5}/g).join('-');
+}
+
+/**
+ * Encryption key for a pairing code (dashes, spaces and letter case are ignored).
+ * @param {string} pairingCode
+ * @returns {Buffer} 32-byte key
+ */
+function deriveLanKey(pairingCode) {
+    const normalized = String(pairingCode || '').replace(/[\s-]/g, '').toUpperCase();
+    if (normalized.length < 16) {
+        throw new Error('Pairing code is too short');
+    }
+    return crypto.scryptSync(normalized, KEY_SALT, 32);
+}
+
+/**
+ * Key pair a PC uses once, to agree on a channel key with the other PC.
+ * @returns {{publicKey: string, privateKey: crypto.KeyObject}} publicKey is sent (base64)
+ */
+function createChannelKeyPair() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+    return { publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64'), privateKey };
+}
+
+/**
+ * Key of a client's channel. Both PCs compute the same key from their own private key and
+ * the other's public key; a PC that only saw the public keys cannot, even with the code.
+ * @param {Buffer} pairingKey - From deriveLanKey
+ * @param {crypto.KeyObject} privateKey - From createChannelKeyPair
+ * @param {string} peerPublicKey - The other PC's public key
+ * @returns {Buffer} 32-byte key
+ */
+function deriveChannelKey(pairingKey, privateKey, peerPublicKey) {
+    let secret;
+    try {
+        const publicKey = crypto.createPublicKey({ key: Buffer.from(String(peerPublicKey), 'base64'), format: 'der', type: 'spki' });
+        secret = crypto.diffieHellman({ privateKey, publicKey });
+    } catch (error) {
+        throw new Error('Invalid channel public key');
+    }
+    return Buffer.from(crypto.hkdfSync('sha256', secret, pairingKey, CHANNEL_KEY_INFO, 32));
+}
+
+/**
+ * Seal a message for sending.
+ * @param {Buffer} key - From deriveLanKey, or a channel key from deriveChannelKey
+ * @param {Object} message
+ * @param {string} [channelId] - Channel the key belongs to (sent in clear so the host can pick the key)
+ * @returns {{v: number, iv: string, tag: string, data: string, channel?: string}}
+ */
+function sealMessage(key, message, channelId) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(message), 'utf8'), cipher.final()]);
+    const envelope = {
+        v: PROTOCOL_VERSION,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+    return channelId ? { ...envelope, channel: channelId } : envelope;
+}
+
+/**
+ * Open a sealed message. Throws if it was not sealed with the same key or was altered.
+ * @param {Buffer} key
+ * @param {Object} envelope - From sealMessage
+ * @returns {Object}
+ */
+function openMessage(key, envelope) {
+    if (!envelope || envelope.v !== PROTOCOL_VERSION) {
+        throw new Error('Unsupported LAN protocol version');
+    }
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+        const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+        return JSON.parse(data.toString('utf8'));
+    } catch (error) {
+        throw new Error('Message could not be authenticated (wrong pairing code?)');
+    }
+}
+
+/**
+ * Add the timestamp and nonce every request carries.
+ * @param {Object} request - { clientId, channel, args, ... }
+ * @returns {Object}
+ */
+function stampRequest(request) {
+    return { ...request, ts: Date.now(), nonce: crypto.randomBytes(16).toString('hex') };
+}
+
+/**
+ * Remembers recent request nonces so each sealed request is accepted once.
+ */
+class ReplayGuard {
+    constructor(maxSkewMs = MAX_CLOCK_SKEW_MS) {
+        this.maxSkewMs = maxSkewMs;
+        this.seen = new Map();
+    }
+
+    /**
+     * Throws if the request is too old, from the future, or already seen.
+     * @param {{ts: number, nonce: string}} request
+     * @param {number} [now]
+     */
+    check(request, now = Date.now()) {
+        if (!request || typeof request.nonce !== 'string' || typeof request.ts !== 'number') {
+            throw new Error('Request has no timestamp or nonce');
+        }
+        if (Math.abs(now - request.ts) > this.maxSkewMs) {
+            throw new Error('Request time is too far from the host clock');
+        }
+        // Forget nonces older than the accepted window; they would fail the time check anyway
+        for (const [nonce, ts] of this.seen) {
+            if (now - ts > this.maxSkewMs) {
+                this.seen.delete(nonce);
+            }
+        }
+        if (this.seen.has(request.nonce)) {
+            throw new Error('Request was already received');
+        }
+        this.seen.set(request.nonce, request.ts);
+    }
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    DEFAULT_LAN_PORT,
+    MAX_CLOCK_SKEW_MS,
+    LAN_CHANNELS,
+    generatePairingCode,
+    deriveLanKey,
+    createChannelKeyPair,
+    deriveChannelKey,
+    sealMessage,
+    openMessage,
+    stampRequest,
+    ReplayGuard
+};
@@ -0,0 +1,53 @@
+/**
+ * Login Lockout
+ * After LOGIN_LOCKOUT.freeAttempts failed logins in a row a username is locked for a while,
+ * and every further failure doubles the wait (up to maxDelayMs). A successful login clears the count.
+ * The failures are counted in login_attempts by DatabaseManager.getLoginFailures.
+ */
+
+const LOGIN_LOCKOUT = {
+    freeAttempts: 5,
+    baseDelayMs: 30 * 1000,
+    maxDelayMs: 15 * 60 * 1000,
+    // Failures older than this are forgotten
+    resetAfterMs: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Lockout of a username from its failed logins since the last successful one.
+ * The failures are counted by DatabaseManager.getLoginFailures over every recorded attempt
+ * newer than resetAfterMs, leaving out the attempts refused because the username was already
+ * locked, so a burst of requests during a lockout cannot push the real failures out of the count.
+ * @param {{failures: number, lastFailureAt: string|null}} summary
+ * @param {Date} [now]
+ * @returns {{locked: boolean, failures: number, lockedUntil: string|null, retryAfterMs: number}}
+ */
+function getLoginLockout(summary, now = new Date()) {
+    const failures = (summary && summary.failures) || 0;
+    if (failures < LOGIN_LOCKOUT.freeAttempts || !summary.lastFailureAt) {
+        return { locked: false, failures, lockedUntil: null, retryAfterMs: 0 };
+    }
+    const delay = Math.min(
+        LOGIN_LOCKOUT.baseDelayMs * Math.pow(2, failures - LOGIN_LOCKOUT.freeAttempts),
+        LOGIN_LOCKOUT.maxDelayMs
+    );
+    const lockedUntil = new Date(new Date(summary.lastFailureAt).getTime() + delay);
+    const retryAfterMs = Math.max(0, lockedUntil - now);
+    return { locked: retryAfterMs > 0, failures, lockedUntil: lockedUntil.toISOString(), retryAfterMs };
+}
+
+/**
+ * Wait before the next login attempt, for the login page.
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatLockoutWait(ms) {
+    const seconds = Math.max(1, Math.ceil(ms / 1000));
+    return seconds < 60 ? `${seconds} ثانية` : `${Math.ceil(seconds / 60)} دقيقة`;
+}
+
+module.exports = {
+    LOGIN_LOCKOUT,
+    getLoginLockout,
+    formatLockoutWait
+};
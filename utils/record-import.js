@@ -0,0 +1,173 @@
+/**
+ * Record Import
+ * Fields of the products, customers and suppliers that can be imported from a spreadsheet,
+ * matching of the file's column headers to them, and the checks each row must pass on its own.
+ * Checks against the database (duplicates, categories, codes) are made by DatabaseManager.importRecords.
+ * Amounts are in EGP, as typed in the pages.
+ * Loaded by the main process and, as a plain script, by the import wizard (scripts/record-import-wizard.js).
+ */
+
+// Same formats as generateProductCode / generateCustomerCode / generateSupplierCode in the pages
+const RECORD_CODE_PREFIXES = {
+    products: 'PRD-',
+    customers: 'CUST-',
+    suppliers: 'SUPP-'
+};
+
+const RECORD_IMPORT_PARTY_FIELDS = [
+    { key: 'code', label: 'الكود', aliases: ['code', 'كود', 'كود العميل', 'كود المورد'] },
+    { key: 'name', label: 'الاسم', required: true, aliases: ['name', 'اسم', 'الإسم'] },
+    { key: 'phone', label: 'رقم التلفون', aliases: ['phone', 'mobile', 'تليفون', 'التليفون', 'الهاتف', 'الموبايل'] },
+    { key: 'address', label: 'العنوان', aliases: ['address', 'عنوان'] },
+    { key: 'openingBalance', label: 'الرصيد الافتتاحي', type: 'number', aliases: ['balance', 'opening balance', 'الرصيد', 'الرصيد الحالي'] },
+    { key: 'notes', label: 'ملاحظات', aliases: ['notes', 'ملاحظة'] }
+];
+
+// type: 'number' (may be negative) or 'positive' (>= 0); fields without a type are text
+const RECORD_IMPORT_FIELDS = {
+    products: [
+        { key: 'code', label: 'كود المنتج', aliases: ['code', 'كود', 'الكود'] },
+        { key: 'name', label: 'اسم المنتج', required: true, aliases: ['name', 'product', 'اسم', 'الاسم', 'المنتج'] },
+        { key: 'category', label: 'الصنف', required: true, aliases: ['category', 'صنف', 'الفئة'] },
+        { key: 'smallestUnit', label: 'أصغر وحدة بيع', required: true, aliases: ['smallest unit', 'unit', 'الوحدة الصغرى', 'الوحدة'] },
+        { key: 'largestUnit', label: 'أكبر وحدة بيع', required: true, aliases: ['largest unit', 'الوحدة الكبرى'] },
+        { key: 'conversionFactor', label: 'معامل التحويل', type: 'positive', required: true, aliases: ['conversion factor', 'factor'] },
+        { key: 'smallestPrice', label: 'سعر أصغر وحدة بيع', type: 'positive', required: true, aliases: ['smallest price', 'price', 'السعر', 'سعر الوحدة الصغرى'] },
+        { key: 'largestPrice', label: 'سعر أكبر وحدة بيع', type: 'positive', aliases: ['largest price', 'سعر الوحدة الكبرى'] },
+        { key: 'openingStock', label: 'المخزون الافتتاحي', type: 'positive', aliases: ['opening stock', 'stock', 'المخزون', 'الرصيد', 'الكمية'] },
+        { key: 'notes', label: 'ملاحظات', aliases: ['notes', 'ملاحظة'] }
+    ],
+    customers: RECORD_IMPORT_PARTY_FIELDS.map(field => (field.key === 'name' ? { ...field, label: 'اسم العميل' } : field)),
+    suppliers: RECORD_IMPORT_PARTY_FIELDS.map(field => (field.key === 'name' ? { ...field, label: 'اسم المورد' } : field))
+};
+
+// Lower case, no spaces/underscores/dashes and no Arabic letter variants, for comparing headers
+function normalizeImportHeader(header) {
+    return String(header === null || header === undefined ? '' : header)
+        .trim()
+        .toLowerCase()
+        .replace(/[أإآ]/g, 'ا')
+        .replace(/ة/g, 'ه')
+        .replace(/ى/g, 'ي')
+        .replace(/[\s_\-*:]+/g, '');
+}
+
+/**
+ * Guess which column holds each field from the header row.
+ * @param {Array<*>} headers - First row of the file
+ * @param {string} entity - products | customers | suppliers
+ * @returns {Object<string, number|null>} Field key -> column index (null = not in the file)
+ */
+function guessColumnMapping(headers, entity) {
+    const normalized = (headers || []).map(normalizeImportHeader);
+    const used = new Set();
+    const mapping = {};
+    RECORD_IMPORT_FIELDS[entity].forEach(field => {
+        const names = [field.key, field.label, ...(field.aliases || [])].map(normalizeImportHeader);
+        const index = normalized.findIndex((header, column) => header !== '' && !used.has(column) && names.includes(header));
+        mapping[field.key] = index === -1 ? null : index;
+        if (index !== -1) {
+            used.add(index);
+        }
+    });
+    return mapping;
+}
+
+/**
+ * Number typed in a spreadsheet cell: Arabic-Indic digits, the Arabic decimal separator and
+ * thousands separators are accepted.
+ * @param {*} value
+ * @returns {number|null} null when the cell is empty, NaN when it is not a number
+ */
+function parseImportNumber(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    const text = String(value === null || value === undefined ? '' : value)
+        .trim()
+        .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+        .replace(/٫/g, '.')
+        .replace(/[,،٬\s]/g, '');
+    if (text === '') {
+        return null;
+    }
+    return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : NaN;
+}
+
+/**
+ * Read one row of the file into record fields and check it on its own.
+ * @param {Array<*>} cells - Row of the file
+ * @param {Object<string, number|null>} mapping - Field key -> column index
+ * @param {string} entity - products | customers | suppliers
+ * @returns {{data: Object, errors: string[]}} data holds the mapped fields (numbers parsed, text trimmed)
+ */
+function readImportRow(cells, mapping, entity) {
+    const data = {};
+    const errors = [];
+    RECORD_IMPORT_FIELDS[entity].forEach(field => {
+        const column = mapping[field.key];
+        const raw = column === null || column === undefined ? '' : cells[column];
+        if (!field.type) {
+            const text = String(raw === null || raw === undefined ? '' : raw).trim();
+            if (text !== '') {
+                data[field.key] = text;
+            } else if (field.required) {
+                errors.push(`${field.label} مطلوب`);
+            }
+            return;
+        }
+        const number = parseImportNumber(raw);
+        if (number === null) {
+            if (field.required) {
+                errors.push(`${field.label} مطلوب`);
+            }
+        } else if (isNaN(number)) {
+            errors.push(`${field.label} ليس رقماً: ${raw}`);
+        } else if (field.type === 'positive' && number < 0) {
+            errors.push(`${field.label} لا يمكن أن يكون سالباً`);
+        } else {
+            data[field.key] = number;
+        }
+    });
+    if (entity === 'products' && data.conversionFactor === 0) {
+        errors.push('معامل التحويل يجب أن يكون أكبر من صفر');
+    }
+    return { data, errors };
+}
+
+/**
+ * Record code with the counter in the format of the pages (PRD-00001).
+ * @param {string} entity
+ * @param {number} counter
+ * @returns {string}
+ */
+function formatRecordCode(entity, counter) {
+    return `${RECORD_CODE_PREFIXES[entity]}${String(counter).padStart(5, '0')}`;
+}
+
+/**
+ * Highest counter among codes in the format of the pages.
+ * @param {string[]} codes
+ * @param {string} entity
+ * @returns {number} 0 when there is none
+ */
+function getMaxCodeCounter(codes, entity) {
+    const prefix = RECORD_CODE_PREFIXES[entity];
+    return codes.reduce((max, code) => {
+        const text = String(code || '');
+        const counter = text.startsWith(prefix) ? parseInt(text.slice(prefix.length), 10) : NaN;
+        return isNaN(counter) ? max : Math.max(max, counter);
+    }, 0);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RECORD_CODE_PREFIXES,
+        RECORD_IMPORT_FIELDS,
+        guessColumnMapping,
+        parseImportNumber,
+        readImportRow,
+        formatRecordCode,
+        getMaxCodeCounter
+    };
+}
@@ -0,0 +1,326 @@
+/**
+ * Global Search Index
+ * One SQLite FTS5 index over products, customers, suppliers, invoices, receipts,
+ * payments, delivery notes and expenses, used by the search box in the top bar.
+ *
+ * search_documents holds one row per record (what the result list shows plus the
+ * normalised searchable text); search_index is an FTS5 table over its content
+ * column, kept in step by plain SQL triggers. The trigram tokenizer matches any
+ * part of a word, so "1234" finds phone 01001234567 and invoice INV-2026-1234.
+ */
+
+// Record types in the index: page that opens them, label shown in results,
+// the document number / code (title) and the columns that are searched
+const SEARCH_ENTITIES = {
+    products: {
+        page: 'products.html',
+        label: 'منتج',
+        title: 'name',
+        subtitle: 'code',
+        fields: ['code', 'name', 'category', 'notes']
+    },
+    customers: {
+        page: 'customers.html',
+        label: 'عميل',
+        title: 'name',
+        subtitle: 'code',
+        fields: ['code', 'name', 'phone', 'address', 'notes'],
+        phoneFields: ['phone']
+    },
+    suppliers: {
+        page: 'suppliers.html',
+        label: 'مورد',
+        title: 'name',
+        subtitle: 'code',
+        fields: ['code', 'name', 'phone', 'address', 'notes'],
+        phoneFields: ['phone']
+    },
+    sales_invoices: {
+        page: 'sales.html',
+        label: 'فاتورة مبيعات',
+        title: 'invoiceNumber',
+        party: { column: 'customerId', table: 'customers' },
+        date: 'date',
+        fields: ['invoiceNumber', 'notes']
+    },
+    purchase_invoices: {
+        page: 'purchases.html',
+        label: 'فاتورة مشتريات',
+        title: 'invoiceNumber',
+        party: { column: 'supplierId', table: 'suppliers' },
+        date: 'date',
+        fields: ['invoiceNumber', 'notes']
+    },
+    receipts: {
+        page: 'receipts.html',
+        label: 'سند قبض',
+        title: 'receiptNumber',
+        party: { column: 'customerId', table: 'customers' },
+        date: 'date',
+        fields: ['receiptNumber', 'notes']
+    },
+    payments: {
+        page: 'payments.html',
+        label: 'سند صرف',
+        title: 'paymentNumber',
+        party: { column: 'supplierId', table: 'suppliers' },
+        subtitle: 'toName',
+        date: 'date',
+        fields: ['paymentNumber', 'toName', 'notes']
+    },
+    delivery_notes: {
+        page: 'delivery-notes.html',
+        label: 'إذن صرف',
+        title: 'deliveryNoteNumber',
+        subtitle: 'salesRepName',
+        date: 'date',
+        fields: ['deliveryNoteNumber', 'salesRepName', 'warehouseKeeperName', 'notes']
+    },
+    operating_expenses: {
+        page: 'expenses.html',
+        label: 'مصروف',
+        title: 'expenseNumber',
+        subtitle: 'category',
+        date: 'date',
+        fields: ['expenseNumber', 'category', 'recipientName', 'description']
+    }
+};
+
+// Shortest term the trigram index can match; shorter terms fall back to LIKE
+const MIN_INDEXED_TERM_LENGTH = 3;
+const DEFAULT_RESULT_LIMIT = 20;
+const MAX_RESULT_LIMIT = 50;
+
+/**
+ * Normalise text for indexing and searching, so spelling variants match:
+ * removes tashkeel and tatweel, unifies alef/yaa/taa marbuta/hamza forms,
+ * converts Arabic-Indic digits to 0-9 and lower-cases Latin letters.
+ * @param {*} text
+ * @returns {string}
+ */
+function normalizeSearchText(text) {
+    if (text === null || text === undefined) {
+        return '';
+    }
+    return String(text)
+        .replace(/[\u064B-\u065F\u0670\u0640]/g, '') // Tashkeel, superscript alef, tatweel
+        .replace(/[\u0622\u0623\u0625\u0671]/g, '\u0627') // Alef with madda/hamza/wasla -> bare alef
+        .replace(/[\u0649\u0626\u06CC]/g, '\u064A') // Alef maqsura, yaa with hamza, Persian yaa -> yaa
+        .replace(/\u0629/g, '\u0647') // Taa marbuta -> haa
+        .replace(/\u0624/g, '\u0648') // Waw with hamza -> waw
+        .replace(/\u06A9/g, '\u0643') // Persian kaf -> kaf
+        .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+        .replace(/[\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Split a search box entry into normalised terms; every term must match.
+ * @param {string} text
+ * @returns {{indexed: string[], short: string[]}} terms the FTS index can match, and shorter ones
+ */
+function buildSearchTerms(text) {
+    const terms = [...new Set(normalizeSearchText(text).split(' ').filter(Boolean))];
+    return {
+        indexed: terms.filter(term => [...term].length >= MIN_INDEXED_TERM_LENGTH),
+        short: terms.filter(term => [...term].length < MIN_INDEXED_TERM_LENGTH)
+    };
+}
+
+/**
+ * Create the index tables (used by the schema migration).
+ * @param {import('better-sqlite3').Database} db
+ */
+function createSearchTables(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS search_documents (
+            docId INTEGER PRIMARY KEY,
+            entityType TEXT NOT NULL,
+            entityId TEXT NOT NULL,
+            title TEXT,
+            subtitle TEXT,
+            date TEXT,
+            content TEXT NOT NULL,
+            UNIQUE (entityType, entityId)
+        );
+        CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+            content, content='search_documents', content_rowid='docId', tokenize='trigram'
+        );
+        CREATE TRIGGER IF NOT EXISTS search_documents_ai AFTER INSERT ON search_documents BEGIN
+            INSERT INTO search_index (rowid, content) VALUES (new.docId, new.content);
+        END;
+        CREATE TRIGGER IF NOT EXISTS search_documents_ad AFTER DELETE ON search_documents BEGIN
+            INSERT INTO search_index (search_index, rowid, content) VALUES ('delete', old.docId, old.content);
+        END;
+        CREATE TRIGGER IF NOT EXISTS search_documents_au AFTER UPDATE ON search_documents BEGIN
+            INSERT INTO search_index (search_index, rowid, content) VALUES ('delete', old.docId, old.content);
+            INSERT INTO search_index (rowid, content) VALUES (new.docId, new.content);
+        END;
+    `);
+}
+
+function getPartyName(db, entity, row) {
+    if (!entity.party || !row[entity.party.column]) {
+        return '';
+    }
+    const party = db.prepare(`SELECT name FROM ${entity.party.table} WHERE id = ?`).get(row[entity.party.column]);
+    return party ? party.name : '';
+}
+
+/**
+ * Index one record (insert or refresh); removes it when the row no longer exists.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} table
+ * @param {string} id
+ */
+function indexSearchRow(db, table, id) {
+    const entity = SEARCH_ENTITIES[table];
+    if (!entity) {
+        return;
+    }
+    const row = db.prepare(`SELECT * FROM ${table} WHERE id = ?`).get(id);
+    if (!row) {
+        removeSearchRow(db, table, id);
+        return;
+    }
+    const partyName = getPartyName(db, entity, row);
+    const values = entity.fields.map(field => row[field]);
+    // Phone numbers are also indexed without spaces and dashes
+    (entity.phoneFields || []).forEach(field => {
+        if (row[field]) {
+            values.push(String(row[field]).replace(/\D/g, ''));
+        }
+    });
+    values.push(partyName);
+
+    db.prepare(`
+        INSERT INTO search_documents (entityType, entityId, title, subtitle, date, content)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT (entityType, entityId) DO UPDATE SET
+            title = excluded.title, subtitle = excluded.subtitle, date = excluded.date, content = excluded.content
+    `).run(
+        table,
+        String(row.id),
+        row[entity.title] || '',
+        partyName || (entity.subtitle ? row[entity.subtitle] || '' : ''),
+        entity.date ? row[entity.date] || null : null,
+        values.map(normalizeSearchText).filter(Boolean).join(' ')
+    );
+}
+
+/**
+ * Remove one record from the index.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} table
+ * @param {string} id
+ */
+function removeSearchRow(db, table, id) {
+    if (!SEARCH_ENTITIES[table]) {
+        return;
+    }
+    db.prepare('DELETE FROM search_documents WHERE entityType = ? AND entityId = ?').run(table, String(id));
+}
+
+/**
+ * Re-index the documents of a customer or supplier (their name is part of each document).
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} partyTable - 'customers' or 'suppliers'
+ * @param {string} partyId
+ */
+function reindexPartyDocuments(db, partyTable, partyId) {
+    Object.entries(SEARCH_ENTITIES).forEach(([table, entity]) => {
+        if (!entity.party || entity.party.table !== partyTable) {
+            return;
+        }
+        db.prepare(`SELECT id FROM ${table} WHERE ${entity.party.column} = ?`).all(partyId)
+            .forEach(row => indexSearchRow(db, table, row.id));
+    });
+}
+
+/**
+ * Rebuild the whole index from the data tables (call inside a transaction).
+ * @param {import('better-sqlite3').Database} db
+ * @returns {number} Number of indexed records
+ */
+function rebuildSearchIndex(db) {
+    let count = 0;
+    db.exec('DELETE FROM search_documents');
+    Object.keys(SEARCH_ENTITIES).forEach(table => {
+        const exists = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+        if (!exists) {
+            return;
+        }
+        db.prepare(`SELECT id FROM ${table}`).all().forEach(row => {
+            indexSearchRow(db, table, row.id);
+            count++;
+        });
+    });
+    return count;
+}
+
+/**
+ * Search the index.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} text - What the user typed
+ * @param {{tables?: string[], limit?: number}} options - tables limits the record types searched
+ * @returns {Array<{entityType: string, entityId: string, title: string, subtitle: string, date: string|null, page: string, label: string}>}
+ */
+function searchIndex(db, text, options = {}) {
+    const { indexed, short } = buildSearchTerms(text);
+    const tables = (options.tables || Object.keys(SEARCH_ENTITIES)).filter(table => SEARCH_ENTITIES[table]);
+    if ((indexed.length === 0 && short.length === 0) || tables.length === 0) {
+        return [];
+    }
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_RESULT_LIMIT, 1), MAX_RESULT_LIMIT);
+
+    const conditions = [`d.entityType IN (${tables.map(() => '?').join(', ')})`];
+    const params = [...tables];
+    short.forEach(term => {
+        conditions.push("d.content LIKE ? ESCAPE '\\'");
+        params.push(`%${term.replace(/[\\%_]/g, match => `\\${match}`)}%`);
+    });
+
+    let sql;
+    if (indexed.length > 0) {
+        // Each term is a quoted FTS5 string, so punctuation in it has no query meaning
+        const match = indexed.map(term => `"${term.replace(/"/g, '""')}"`).join(' AND ');
+        sql = `
+            SELECT d.entityType, d.entityId, d.title, d.subtitle, d.date
+            FROM search_index
+            JOIN search_documents d ON d.docId = search_index.rowid
+            WHERE search_index MATCH ? AND ${conditions.join(' AND ')}
+            ORDER BY search_index.rank, d.date DESC
+            LIMIT ?
+        `;
+        params.unshift(match);
+    } else {
+        sql = `
+            SELECT d.entityType, d.entityId, d.title, d.subtitle, d.date
+            FROM search_documents d
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY d.date DESC
+            LIMIT ?
+        `;
+    }
+    params.push(limit);
+
+    return db.prepare(sql).all(...params).map(row => ({
+        ...row,
+        page: SEARCH_ENTITIES[row.entityType].page,
+        label: SEARCH_ENTITIES[row.entityType].label
+    }));
+}
+
+module.exports = {
+    SEARCH_ENTITIES,
+    normalizeSearchText,
+    buildSearchTerms,
+    createSearchTables,
+    indexSearchRow,
+    removeSearchRow,
+    reindexPartyDocuments,
+    rebuildSearchIndex,
+    searchIndex
+};
@@ -0,0 +1,280 @@
+/**
+ * Spreadsheet Reader
+ * Reads the first sheet of an Excel workbook (.xlsx) or a CSV file into rows of cell values,
+ * without a spreadsheet library: an .xlsx file is a zip archive of XML parts, read here with zlib.
+ * Only what an import needs is supported: text, numbers and booleans (no formulas, dates or styles;
+ * a formula cell gives its last calculated value). Old .xls files must be saved as .xlsx first.
+ */
+
+const zlib = require('zlib');
+
+const ZIP_END_SIGNATURE = 0x06054b50;
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+
+/**
+ * Read the files of a zip archive.
+ * @param {Buffer} buffer
+ * @returns {Map<string, Buffer>} File name -> contents
+ */
+function readZipEntries(buffer) {
+    // The end of central directory record is in the last 22 bytes + up to 64 KB of comment
+    let end = -1;
+    for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 0xFFFF); offset--) {
+        if (buffer.readUInt32LE(offset) === ZIP_END_SIGNATURE) {
+            end = offset;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new Error('الملف ليس ملف Excel (xlsx) صحيحاً');
+    }
+
+    const entries = new Map();
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== ZIP_CENTRAL_SIGNATURE) {
+            throw new Error('ملف Excel تالف');
+        }
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        if (buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_SIGNATURE) {
+            throw new Error('ملف Excel تالف');
+        }
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        if (method === 0) {
+            entries.set(name, data);
+        } else if (method === 8) {
+            entries.set(name, zlib.inflateRawSync(data));
+        }
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+function decodeXml(text) {
+    return text
+        .replace(/&#x([0-9a-fA-F]+);/g, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+function getXmlAttribute(tag, name) {
+    const match = new RegExp(`\\s${name}="([^"]*)"`).exec(tag);
+    return match ? decodeXml(match[1]) : null;
+}
+
+// Text of an <si> or <is> element: all its <t> runs, without phonetic (<rPh>) runs
+function getRichText(xml) {
+    const withoutPhonetic = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+    const parts = [];
+    const pattern = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+    let match;
+    while ((match = pattern.exec(withoutPhonetic)) !== null) {
+        parts.push(decodeXml(match[1]));
+    }
+    return parts.join('');
+}
+
+/**
+ * Texts of the shared strings part (xl/sharedStrings.xml).
+ * @param {string} xml
+ * @returns {string[]}
+ */
+function parseSharedStrings(xml) {
+    const strings = [];
+    const pattern = /<si>([\s\S]*?)<\/si>|<si\/>/g;
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+        strings.push(match[1] === undefined ? '' : getRichText(match[1]));
+    }
+    return strings;
+}
+
+// Zero-based column index of a cell reference (A1 -> 0, AB12 -> 27)
+function getColumnIndex(reference) {
+    const letters = /^[A-Z]+/.exec(reference || '');
+    if (!letters) {
+        return null;
+    }
+    return letters[0].split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Rows of a worksheet part (xl/worksheets/sheetN.xml), with empty cells as ''.
+ * @param {string} xml
+ * @param {string[]} sharedStrings
+ * @returns {Array<Array<string|number|boolean>>}
+ */
+function parseSheetXml(xml, sharedStrings) {
+    const rows = [];
+    const rowPattern = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+    const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let rowMatch;
+    while ((rowMatch = rowPattern.exec(xml)) !== null) {
+        const rowNumber = parseInt(getXmlAttribute(rowMatch[1], 'r'), 10);
+        const rowIndex = rowNumber > 0 ? rowNumber - 1 : rows.length;
+        const cells = [];
+        let cellMatch;
+        cellPattern.lastIndex = 0;
+        while ((cellMatch = cellPattern.exec(rowMatch[2] || '')) !== null) {
+            const columnIndex = getColumnIndex(getXmlAttribute(cellMatch[1], 'r'));
+            const type = getXmlAttribute(cellMatch[1], 't');
+            const content = cellMatch[2] || '';
+            const valueMatch = /<v>([\s\S]*?)<\/v>/.exec(content);
+            const raw = valueMatch ? decodeXml(valueMatch[1]) : '';
+            let value;
+            if (type === 's') {
+                value = sharedStrings[parseInt(raw, 10)] || '';
+            } else if (type === 'inlineStr') {
+                value = getRichText(content);
+            } else if (type === 'b') {
+                value = raw === '1';
+            } else if (type === 'str' || type === 'e' || raw === '') {
+                value = raw;
+            } else {
+                value = isFinite(Number(raw)) ? Number(raw) : raw;
+            }
+            cells[columnIndex === null ? cells.length : columnIndex] = value;
+        }
+        rows[rowIndex] = Array.from(cells, cell => (cell === undefined ? '' : cell));
+    }
+    return Array.from(rows, row => row || []);
+}
+
+/**
+ * First worksheet of an .xlsx workbook.
+ * @param {Buffer} buffer
+ * @returns {{sheetName: string, rows: Array<Array<string|number|boolean>>}}
+ */
+function readXlsx(buffer) {
+    const entries = readZipEntries(buffer);
+    const workbook = entries.get('xl/workbook.xml');
+    if (!workbook) {
+        throw new Error('الملف ليس ملف Excel (xlsx) صحيحاً');
+    }
+    const sheetTag = /<sheet\b[^>]*>/.exec(workbook.toString('utf8'));
+    if (!sheetTag) {
+        throw new Error('ملف Excel لا يحتوي على أوراق');
+    }
+    const sheetName = getXmlAttribute(sheetTag[0], 'name') || '';
+    const relationId = getXmlAttribute(sheetTag[0], 'r:id');
+
+    // The sheet part is named in the workbook relationships (usually worksheets/sheet1.xml)
+    let sheetPath = 'xl/worksheets/sheet1.xml';
+    const relationships = entries.get('xl/_rels/workbook.xml.rels');
+    if (relationships && relationId) {
+        const relationTags = relationships.toString('utf8').match(/<Relationship\b[^>]*>/g) || [];
+        const relation = relationTags.find(tag => getXmlAttribute(tag, 'Id') === relationId);
+        const target = relation ? getXmlAttribute(relation, 'Target') : null;
+        if (target) {
+            sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+        }
+    }
+    const sheet = entries.get(sheetPath);
+    if (!sheet) {
+        throw new Error('ملف Excel لا يحتوي على أوراق');
+    }
+    const sharedStrings = entries.has('xl/sharedStrings.xml')
+        ? parseSharedStrings(entries.get('xl/sharedStrings.xml').toString('utf8'))
+        : [];
+    return { sheetName, rows: parseSheetXml(sheet.toString('utf8'), sharedStrings) };
+}
+
+/**
+ * Rows of a CSV document. The separator (comma, semicolon or tab) is taken from the first line,
+ * since Excel saves CSV with the list separator of the Windows region settings.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    const content = String(text || '').replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    const separator = [',', ';', '\t']
+        .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+        .sort((a, b) => b.count - a.count)[0].candidate;
+
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') {
+                i++;
+            }
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+    if (value !== '' || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Read an .xlsx or .csv file, dropping empty rows at the end.
+ * @param {Buffer} buffer
+ * @param {string} fileName - Used for its extension
+ * @returns {{sheetName: string, rows: Array<Array<string|number|boolean>>}}
+ */
+function readSpreadsheet(buffer, fileName) {
+    const extension = String(fileName || '').split('.').pop().toLowerCase();
+    let result;
+    if (extension === 'xlsx') {
+        result = readXlsx(buffer);
+    } else if (extension === 'csv' || extension === 'txt') {
+        result = { sheetName: '', rows: parseCsv(buffer.toString('utf8')) };
+    } else if (extension === 'xls') {
+        throw new Error('ملفات Excel القديمة (xls) غير مدعومة، احفظ الملف بصيغة xlsx أو CSV أولاً');
+    } else {
+        throw new Error('نوع الملف غير مدعوم، اختر ملف xlsx أو CSV');
+    }
+    const isEmpty = row => row.every(cell => String(cell).trim() === '');
+    while (result.rows.length > 0 && isEmpty(result.rows[result.rows.length - 1])) {
+        result.rows.pop();
+    }
+    return result;
+}
+
+module.exports = {
+    readZipEntries,
+    parseSharedStrings,
+    parseSheetXml,
+    readXlsx,
+    parseCsv,
+    readSpreadsheet
+};